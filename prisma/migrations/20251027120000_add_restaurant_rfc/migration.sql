@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `restaurants` ADD COLUMN `rfc` VARCHAR(13) NULL;
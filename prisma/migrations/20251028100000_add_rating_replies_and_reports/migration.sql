@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE `ratings` ADD COLUMN `owner_replied_at` TIMESTAMP(6) NULL,
+    ADD COLUMN `owner_reply` TEXT NULL,
+    ADD COLUMN `report_reason` VARCHAR(255) NULL,
+    ADD COLUMN `reported_at` TIMESTAMP(6) NULL,
+    ADD COLUMN `reported_by_id` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `ratings_customer_id_idx` ON `ratings`(`customer_id`);
+
+-- CreateIndex
+CREATE INDEX `ratings_reported_by_id_idx` ON `ratings`(`reported_by_id`);
+
+-- AddForeignKey
+ALTER TABLE `ratings` ADD CONSTRAINT `ratings_customer_id_fkey` FOREIGN KEY (`customer_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ratings` ADD CONSTRAINT `ratings_driver_id_fkey` FOREIGN KEY (`driver_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ratings` ADD CONSTRAINT `ratings_reported_by_id_fkey` FOREIGN KEY (`reported_by_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
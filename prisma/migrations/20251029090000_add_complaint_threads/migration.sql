@@ -0,0 +1,55 @@
+-- AlterTable
+ALTER TABLE `complaints` ADD COLUMN `target` ENUM('order', 'restaurant', 'driver') NOT NULL DEFAULT 'order';
+
+-- AlterTable
+ALTER TABLE `notifications` MODIFY `type` ENUM('ORDER_UPDATE', 'PROMOTION', 'SYSTEM_ALERT', 'DRIVER_PAYOUT', 'RESTAURANT_PAYOUT', 'DRIVER_ASSIGNMENT', 'RESTAURANT_UPDATE', 'COMPLAINT_UPDATE') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `complaint_messages` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `complaint_id` INTEGER NOT NULL,
+    `sender_id` INTEGER NOT NULL,
+    `author_role` ENUM('customer', 'restaurant', 'support') NOT NULL,
+    `body` TEXT NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `complaint_messages_complaint_id_created_at_idx`(`complaint_id`, `created_at`),
+    INDEX `complaint_messages_sender_id_idx`(`sender_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `complaint_attachments` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `complaint_id` INTEGER NOT NULL,
+    `message_id` INTEGER NULL,
+    `uploaded_by_id` INTEGER NOT NULL,
+    `file_url` VARCHAR(255) NOT NULL,
+    `file_name` VARCHAR(255) NOT NULL,
+    `mime_type` VARCHAR(100) NOT NULL,
+    `size_bytes` INTEGER NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `complaint_attachments_complaint_id_idx`(`complaint_id`),
+    INDEX `complaint_attachments_message_id_idx`(`message_id`),
+    INDEX `complaint_attachments_uploaded_by_id_idx`(`uploaded_by_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `complaints` ADD CONSTRAINT `complaints_order_id_fkey` FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `complaint_messages` ADD CONSTRAINT `complaint_messages_complaint_id_fkey` FOREIGN KEY (`complaint_id`) REFERENCES `complaints`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `complaint_messages` ADD CONSTRAINT `complaint_messages_sender_id_fkey` FOREIGN KEY (`sender_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `complaint_attachments` ADD CONSTRAINT `complaint_attachments_complaint_id_fkey` FOREIGN KEY (`complaint_id`) REFERENCES `complaints`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `complaint_attachments` ADD CONSTRAINT `complaint_attachments_message_id_fkey` FOREIGN KEY (`message_id`) REFERENCES `complaint_messages`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `complaint_attachments` ADD CONSTRAINT `complaint_attachments_uploaded_by_id_fkey` FOREIGN KEY (`uploaded_by_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,67 @@
+-- AlterTable
+ALTER TABLE `audit_logs` MODIFY `entity` ENUM('USER', 'RESTAURANT', 'ORDER', 'TRANSACTION', 'DRIVER', 'CONFIG', 'COMPLAINT', 'RATING', 'MESSAGE', 'PROMOTION', 'SERVICE_AREA', 'INVENTORY_LOG', 'DRIVER_LOG', 'NOTIFICATION', 'RESTAURANT_CONFIG', 'RESTAURANT_SCHEDULE', 'ROUTE_LOG', 'REFUND') NOT NULL;
+
+-- AlterTable
+ALTER TABLE `orders` ADD COLUMN `refunded_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00;
+
+-- AlterTable
+ALTER TABLE `restaurant_wallet_transactions` MODIFY `type` ENUM('RESTAURANT_ORDER_CREDIT', 'RESTAURANT_PAYOUT_DEBIT', 'RESTAURANT_REFUND_DEBIT', 'RESTAURANT_PLATFORM_FEE_DEBIT', 'DRIVER_DELIVERY_FEE_CREDIT', 'DRIVER_TIPS_CREDIT', 'DRIVER_PAYOUT_DEBIT', 'DRIVER_PENALTY_DEBIT', 'DRIVER_REFUND_DEBIT', 'ADJUSTMENT_CREDIT', 'ADJUSTMENT_DEBIT') NOT NULL;
+
+-- AlterTable
+ALTER TABLE `driver_wallet_transactions` MODIFY `type` ENUM('RESTAURANT_ORDER_CREDIT', 'RESTAURANT_PAYOUT_DEBIT', 'RESTAURANT_REFUND_DEBIT', 'RESTAURANT_PLATFORM_FEE_DEBIT', 'DRIVER_DELIVERY_FEE_CREDIT', 'DRIVER_TIPS_CREDIT', 'DRIVER_PAYOUT_DEBIT', 'DRIVER_PENALTY_DEBIT', 'DRIVER_REFUND_DEBIT', 'ADJUSTMENT_CREDIT', 'ADJUSTMENT_DEBIT') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `refunds` (
+    `id` BIGINT NOT NULL AUTO_INCREMENT,
+    `order_id` BIGINT NOT NULL,
+    `type` ENUM('full', 'partial') NOT NULL,
+    `reason` ENUM('ORDER_NOT_DELIVERED', 'MISSING_ITEMS', 'WRONG_ITEMS', 'QUALITY_ISSUE', 'LATE_DELIVERY', 'RESTAURANT_CANCELLED', 'DUPLICATE_CHARGE', 'CUSTOMER_REQUEST', 'OTHER') NOT NULL,
+    `notes` TEXT NULL,
+    `amount` DECIMAL(10, 2) NOT NULL,
+    `restaurant_debit` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    `platform_fee_reversed` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    `driver_debit` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    `status` ENUM('pending', 'completed', 'failed') NOT NULL DEFAULT 'pending',
+    `provider` VARCHAR(50) NOT NULL,
+    `provider_refund_id` VARCHAR(255) NULL,
+    `failure_reason` TEXT NULL,
+    `requested_by_id` INTEGER NOT NULL,
+    `complaint_id` INTEGER NULL,
+    `processed_at` TIMESTAMP(6) NULL,
+    `created_at` TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+    `updated_at` TIMESTAMP(6) NOT NULL,
+
+    INDEX `refunds_order_id_idx`(`order_id`),
+    INDEX `refunds_status_idx`(`status`),
+    INDEX `refunds_requested_by_id_idx`(`requested_by_id`),
+    INDEX `refunds_complaint_id_idx`(`complaint_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `refund_items` (
+    `id` BIGINT NOT NULL AUTO_INCREMENT,
+    `refund_id` BIGINT NOT NULL,
+    `order_item_id` BIGINT NOT NULL,
+    `quantity` INTEGER NOT NULL,
+    `amount` DECIMAL(10, 2) NOT NULL,
+
+    INDEX `refund_items_refund_id_idx`(`refund_id`),
+    INDEX `refund_items_order_item_id_idx`(`order_item_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `refunds` ADD CONSTRAINT `refunds_order_id_fkey` FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `refunds` ADD CONSTRAINT `refunds_requested_by_id_fkey` FOREIGN KEY (`requested_by_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `refunds` ADD CONSTRAINT `refunds_complaint_id_fkey` FOREIGN KEY (`complaint_id`) REFERENCES `complaints`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `refund_items` ADD CONSTRAINT `refund_items_refund_id_fkey` FOREIGN KEY (`refund_id`) REFERENCES `refunds`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `refund_items` ADD CONSTRAINT `refund_items_order_item_id_fkey` FOREIGN KEY (`order_item_id`) REFERENCES `order_items`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,78 @@
+-- AlterTable
+ALTER TABLE `audit_logs` MODIFY `entity` ENUM('USER', 'RESTAURANT', 'ORDER', 'TRANSACTION', 'DRIVER', 'CONFIG', 'COMPLAINT', 'RATING', 'MESSAGE', 'PROMOTION', 'SERVICE_AREA', 'INVENTORY_LOG', 'DRIVER_LOG', 'NOTIFICATION', 'RESTAURANT_CONFIG', 'RESTAURANT_SCHEDULE', 'ROUTE_LOG', 'REFUND', 'COUPON') NOT NULL;
+
+-- AlterTable
+ALTER TABLE `orders` ADD COLUMN `coupon_id` INTEGER NULL,
+    ADD COLUMN `coupon_code` VARCHAR(50) NULL,
+    ADD COLUMN `discount_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    ADD COLUMN `discount_funded_by` ENUM('platform', 'restaurant') NULL;
+
+-- CreateTable
+CREATE TABLE `coupons` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `code` VARCHAR(50) NOT NULL,
+    `description` VARCHAR(255) NULL,
+    `discount_type` ENUM('percentage', 'fixed_amount', 'free_delivery') NOT NULL,
+    `discount_value` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    `max_discount_amount` DECIMAL(10, 2) NULL,
+    `min_order_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    `funded_by` ENUM('platform', 'restaurant') NOT NULL,
+    `restaurant_id` INTEGER NULL,
+    `service_area_id` INTEGER NULL,
+    `usage_limit` INTEGER NULL,
+    `per_user_limit` INTEGER NOT NULL DEFAULT 1,
+    `first_order_only` BOOLEAN NOT NULL DEFAULT false,
+    `redemption_count` INTEGER NOT NULL DEFAULT 0,
+    `starts_at` TIMESTAMP(6) NULL,
+    `expires_at` TIMESTAMP(6) NULL,
+    `is_active` BOOLEAN NOT NULL DEFAULT true,
+    `created_by_id` INTEGER NOT NULL,
+    `created_at` TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+    `updated_at` TIMESTAMP(6) NOT NULL,
+    `deleted_at` TIMESTAMP(6) NULL,
+
+    UNIQUE INDEX `coupons_code_key`(`code`),
+    INDEX `coupons_restaurant_id_idx`(`restaurant_id`),
+    INDEX `coupons_service_area_id_idx`(`service_area_id`),
+    INDEX `coupons_is_active_expires_at_idx`(`is_active`, `expires_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `coupon_redemptions` (
+    `id` BIGINT NOT NULL AUTO_INCREMENT,
+    `coupon_id` INTEGER NOT NULL,
+    `user_id` INTEGER NOT NULL,
+    `order_id` BIGINT NOT NULL,
+    `discount_amount` DECIMAL(10, 2) NOT NULL,
+    `created_at` TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+    UNIQUE INDEX `coupon_redemptions_order_id_key`(`order_id`),
+    INDEX `coupon_redemptions_coupon_id_user_id_idx`(`coupon_id`, `user_id`),
+    INDEX `coupon_redemptions_user_id_idx`(`user_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `orders_coupon_id_idx` ON `orders`(`coupon_id`);
+
+-- AddForeignKey
+ALTER TABLE `orders` ADD CONSTRAINT `orders_coupon_id_fkey` FOREIGN KEY (`coupon_id`) REFERENCES `coupons`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `coupons` ADD CONSTRAINT `coupons_restaurant_id_fkey` FOREIGN KEY (`restaurant_id`) REFERENCES `restaurants`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `coupons` ADD CONSTRAINT `coupons_service_area_id_fkey` FOREIGN KEY (`service_area_id`) REFERENCES `service_areas`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `coupons` ADD CONSTRAINT `coupons_created_by_id_fkey` FOREIGN KEY (`created_by_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `coupon_redemptions` ADD CONSTRAINT `coupon_redemptions_coupon_id_fkey` FOREIGN KEY (`coupon_id`) REFERENCES `coupons`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `coupon_redemptions` ADD CONSTRAINT `coupon_redemptions_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `coupon_redemptions` ADD CONSTRAINT `coupon_redemptions_order_id_fkey` FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE `orders` MODIFY `status` ENUM('pending', 'scheduled', 'placed', 'confirmed', 'preparing', 'ready_for_pickup', 'out_for_delivery', 'delivered', 'cancelled', 'refunded') NOT NULL DEFAULT 'pending',
+    ADD COLUMN `scheduled_for` TIMESTAMP(6) NULL,
+    ADD COLUMN `scheduled_release_at` TIMESTAMP(6) NULL;
+
+-- CreateIndex
+CREATE INDEX `orders_status_scheduled_release_at_idx` ON `orders`(`status`, `scheduled_release_at`);
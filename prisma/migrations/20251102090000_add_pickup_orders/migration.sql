@@ -0,0 +1,10 @@
+-- DropForeignKey
+ALTER TABLE `orders` DROP FOREIGN KEY `orders_address_id_fkey`;
+
+-- AlterTable
+ALTER TABLE `orders` MODIFY `address_id` INTEGER NULL,
+    ADD COLUMN `fulfillment_type` ENUM('delivery', 'pickup') NOT NULL DEFAULT 'delivery',
+    ADD COLUMN `pickup_code` VARCHAR(6) NULL;
+
+-- AddForeignKey
+ALTER TABLE `orders` ADD CONSTRAINT `orders_address_id_fkey` FOREIGN KEY (`address_id`) REFERENCES `addresses`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
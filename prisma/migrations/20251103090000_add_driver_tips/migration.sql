@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE `orders` ADD COLUMN `tip_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00;
+
+-- CreateTable
+CREATE TABLE `order_tips` (
+    `id` BIGINT NOT NULL AUTO_INCREMENT,
+    `order_id` BIGINT NOT NULL,
+    `customer_id` INTEGER NOT NULL,
+    `driver_id` INTEGER NOT NULL,
+    `amount` DECIMAL(10, 2) NOT NULL,
+    `status` ENUM('pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded') NOT NULL DEFAULT 'pending',
+    `provider` VARCHAR(50) NOT NULL DEFAULT 'mercadopago',
+    `provider_payment_id` VARCHAR(255) NULL,
+    `paid_at` TIMESTAMP(6) NULL,
+    `created_at` TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+    `updated_at` TIMESTAMP(6) NOT NULL,
+
+    UNIQUE INDEX `order_tips_provider_payment_id_key`(`provider_payment_id`),
+    INDEX `order_tips_order_id_idx`(`order_id`),
+    INDEX `order_tips_customer_id_idx`(`customer_id`),
+    INDEX `order_tips_driver_id_status_idx`(`driver_id`, `status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `order_tips` ADD CONSTRAINT `order_tips_order_id_fkey` FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `order_tips` ADD CONSTRAINT `order_tips_customer_id_fkey` FOREIGN KEY (`customer_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `order_tips` ADD CONSTRAINT `order_tips_driver_id_fkey` FOREIGN KEY (`driver_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
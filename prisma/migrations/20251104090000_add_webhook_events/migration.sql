@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE `webhook_events` (
+    `id` BIGINT NOT NULL AUTO_INCREMENT,
+    `provider` VARCHAR(50) NOT NULL DEFAULT 'mercadopago',
+    `event_id` VARCHAR(255) NOT NULL,
+    `event_type` VARCHAR(100) NULL,
+    `action` VARCHAR(100) NULL,
+    `resource_id` VARCHAR(255) NULL,
+    `provider_request_id` VARCHAR(255) NULL,
+    `signature_valid` BOOLEAN NOT NULL DEFAULT false,
+    `payload` JSON NOT NULL,
+    `status` ENUM('received', 'processing', 'processed', 'failed', 'rejected') NOT NULL DEFAULT 'received',
+    `attempts` INTEGER NOT NULL DEFAULT 0,
+    `last_error` TEXT NULL,
+    `next_retry_at` TIMESTAMP(6) NULL,
+    `processed_at` TIMESTAMP(6) NULL,
+    `created_at` TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+    `updated_at` TIMESTAMP(6) NOT NULL,
+
+    INDEX `webhook_events_status_next_retry_at_idx`(`status`, `next_retry_at`),
+    INDEX `webhook_events_resource_id_idx`(`resource_id`),
+    UNIQUE INDEX `webhook_events_provider_event_id_key`(`provider`, `event_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
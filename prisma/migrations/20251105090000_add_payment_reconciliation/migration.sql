@@ -0,0 +1,16 @@
+-- CreateIndex
+CREATE INDEX `payments_status_created_at_idx` ON `payments`(`status`, `created_at`);
+
+-- CreateTable
+CREATE TABLE `payment_reconciliation_reports` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `report_date` DATE NOT NULL,
+    `checked_count` INTEGER NOT NULL DEFAULT 0,
+    `mismatch_count` INTEGER NOT NULL DEFAULT 0,
+    `mismatches` JSON NOT NULL,
+    `created_at` TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+    `updated_at` TIMESTAMP(6) NOT NULL,
+
+    UNIQUE INDEX `payment_reconciliation_reports_report_date_key`(`report_date`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
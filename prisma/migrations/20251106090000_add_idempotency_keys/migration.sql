@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE `idempotency_keys` (
+    `id` BIGINT NOT NULL AUTO_INCREMENT,
+    `user_id` INTEGER NOT NULL,
+    `scope` VARCHAR(150) NOT NULL,
+    `key` VARCHAR(255) NOT NULL,
+    `request_hash` CHAR(64) NOT NULL,
+    `status` ENUM('in_progress', 'completed') NOT NULL DEFAULT 'in_progress',
+    `response_status` INTEGER NULL,
+    `response_body` JSON NULL,
+    `expires_at` TIMESTAMP(6) NOT NULL,
+    `created_at` TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+    `updated_at` TIMESTAMP(6) NOT NULL,
+
+    INDEX `idempotency_keys_expires_at_idx`(`expires_at`),
+    UNIQUE INDEX `idempotency_keys_user_id_scope_key_key`(`user_id`, `scope`, `key`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,104 @@
+-- AlterTable
+ALTER TABLE `restaurant_wallet_transactions` MODIFY `type` ENUM('RESTAURANT_ORDER_CREDIT', 'RESTAURANT_PAYOUT_DEBIT', 'RESTAURANT_REFUND_DEBIT', 'RESTAURANT_PLATFORM_FEE_DEBIT', 'RESTAURANT_CASH_COLLECTED_DEBIT', 'DRIVER_DELIVERY_FEE_CREDIT', 'DRIVER_TIPS_CREDIT', 'DRIVER_PAYOUT_DEBIT', 'DRIVER_PENALTY_DEBIT', 'DRIVER_REFUND_DEBIT', 'DRIVER_CASH_COLLECTED_DEBIT', 'ADJUSTMENT_CREDIT', 'ADJUSTMENT_DEBIT') NOT NULL,
+    ADD COLUMN `ledger_entry_id` BIGINT NULL;
+
+-- AlterTable
+ALTER TABLE `driver_wallet_transactions` MODIFY `type` ENUM('RESTAURANT_ORDER_CREDIT', 'RESTAURANT_PAYOUT_DEBIT', 'RESTAURANT_REFUND_DEBIT', 'RESTAURANT_PLATFORM_FEE_DEBIT', 'RESTAURANT_CASH_COLLECTED_DEBIT', 'DRIVER_DELIVERY_FEE_CREDIT', 'DRIVER_TIPS_CREDIT', 'DRIVER_PAYOUT_DEBIT', 'DRIVER_PENALTY_DEBIT', 'DRIVER_REFUND_DEBIT', 'DRIVER_CASH_COLLECTED_DEBIT', 'ADJUSTMENT_CREDIT', 'ADJUSTMENT_DEBIT') NOT NULL,
+    ADD COLUMN `ledger_entry_id` BIGINT NULL;
+
+-- CreateTable
+CREATE TABLE `ledger_accounts` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `code` VARCHAR(100) NOT NULL,
+    `type` ENUM('customer_payments', 'platform_revenue', 'restaurant_payable', 'driver_payable', 'tax_withheld', 'opening_balance') NOT NULL,
+    `name` VARCHAR(255) NOT NULL,
+    `restaurant_id` INTEGER NULL,
+    `driver_id` INTEGER NULL,
+    `created_at` TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+    UNIQUE INDEX `ledger_accounts_code_key`(`code`),
+    INDEX `ledger_accounts_type_idx`(`type`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ledger_entries` (
+    `id` BIGINT NOT NULL AUTO_INCREMENT,
+    `type` ENUM('OPENING_BALANCE', 'ORDER_SETTLEMENT', 'DRIVER_TIP', 'REFUND', 'WALLET_ADJUSTMENT') NOT NULL,
+    `order_id` BIGINT NULL,
+    `description` TEXT NULL,
+    `created_by_id` INTEGER NULL,
+    `created_at` TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+    INDEX `ledger_entries_order_id_idx`(`order_id`),
+    INDEX `ledger_entries_type_created_at_idx`(`type`, `created_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ledger_lines` (
+    `id` BIGINT NOT NULL AUTO_INCREMENT,
+    `entry_id` BIGINT NOT NULL,
+    `account_id` INTEGER NOT NULL,
+    `amount` DECIMAL(12, 2) NOT NULL,
+    `description` VARCHAR(255) NULL,
+
+    INDEX `ledger_lines_entry_id_idx`(`entry_id`),
+    INDEX `ledger_lines_account_id_idx`(`account_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `restaurant_wallet_transactions_ledger_entry_id_fkey` ON `restaurant_wallet_transactions`(`ledger_entry_id`);
+
+-- CreateIndex
+CREATE INDEX `driver_wallet_transactions_ledger_entry_id_fkey` ON `driver_wallet_transactions`(`ledger_entry_id`);
+
+-- AddForeignKey
+ALTER TABLE `ledger_lines` ADD CONSTRAINT `ledger_lines_entry_id_fkey` FOREIGN KEY (`entry_id`) REFERENCES `ledger_entries`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ledger_lines` ADD CONSTRAINT `ledger_lines_account_id_fkey` FOREIGN KEY (`account_id`) REFERENCES `ledger_accounts`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `restaurant_wallet_transactions` ADD CONSTRAINT `restaurant_wallet_transactions_ledger_entry_id_fkey` FOREIGN KEY (`ledger_entry_id`) REFERENCES `ledger_entries`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `driver_wallet_transactions` ADD CONSTRAINT `driver_wallet_transactions_ledger_entry_id_fkey` FOREIGN KEY (`ledger_entry_id`) REFERENCES `ledger_entries`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Cuentas globales del libro contable
+INSERT INTO `ledger_accounts` (`code`, `type`, `name`) VALUES
+    ('CUSTOMER_PAYMENTS', 'customer_payments', 'Cobros a clientes'),
+    ('PLATFORM_REVENUE', 'platform_revenue', 'Ingresos de la plataforma'),
+    ('TAX_WITHHELD', 'tax_withheld', 'Retenciones de IVA e ISR por enterar'),
+    ('OPENING_BALANCE', 'opening_balance', 'Saldos iniciales');
+
+-- Cuentas por pagar de las billeteras existentes
+INSERT INTO `ledger_accounts` (`code`, `type`, `name`, `restaurant_id`)
+SELECT CONCAT('RESTAURANT_PAYABLE:', `restaurant_id`), 'restaurant_payable', CONCAT('Por pagar a restaurante #', `restaurant_id`), `restaurant_id`
+FROM `restaurant_wallets`;
+
+INSERT INTO `ledger_accounts` (`code`, `type`, `name`, `driver_id`)
+SELECT CONCAT('DRIVER_PAYABLE:', `driver_id`), 'driver_payable', CONCAT('Por pagar a repartidor #', `driver_id`), `driver_id`
+FROM `driver_wallets`;
+
+-- Asiento de apertura: los saldos actuales de las billeteras contra la cuenta de saldos iniciales
+INSERT INTO `ledger_entries` (`type`, `description`) VALUES ('OPENING_BALANCE', 'Saldos de billeteras al activar el libro contable');
+SET @opening_entry_id = LAST_INSERT_ID();
+
+INSERT INTO `ledger_lines` (`entry_id`, `account_id`, `amount`, `description`)
+SELECT @opening_entry_id, `a`.`id`, -`w`.`balance`, 'Saldo inicial'
+FROM `restaurant_wallets` `w`
+JOIN `ledger_accounts` `a` ON `a`.`code` = CONCAT('RESTAURANT_PAYABLE:', `w`.`restaurant_id`)
+WHERE `w`.`balance` <> 0;
+
+INSERT INTO `ledger_lines` (`entry_id`, `account_id`, `amount`, `description`)
+SELECT @opening_entry_id, `a`.`id`, -`w`.`balance`, 'Saldo inicial'
+FROM `driver_wallets` `w`
+JOIN `ledger_accounts` `a` ON `a`.`code` = CONCAT('DRIVER_PAYABLE:', `w`.`driver_id`)
+WHERE `w`.`balance` <> 0;
+
+INSERT INTO `ledger_lines` (`entry_id`, `account_id`, `amount`, `description`)
+SELECT @opening_entry_id, (SELECT `id` FROM `ledger_accounts` WHERE `code` = 'OPENING_BALANCE'), -COALESCE(SUM(`amount`), 0), 'Contrapartida de saldos iniciales'
+FROM `ledger_lines`
+WHERE `entry_id` = @opening_entry_id;
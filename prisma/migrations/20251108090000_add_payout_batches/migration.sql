@@ -0,0 +1,94 @@
+-- AlterTable
+ALTER TABLE `restaurants` ADD COLUMN `clabe` CHAR(18) NULL;
+
+-- AlterTable
+ALTER TABLE `driver_profiles` ADD COLUMN `clabe` CHAR(18) NULL;
+
+-- AlterTable
+ALTER TABLE `restaurant_wallets` ADD COLUMN `payout_hold` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `payout_hold_reason` VARCHAR(255) NULL;
+
+-- AlterTable
+ALTER TABLE `driver_wallets` ADD COLUMN `payout_hold` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `payout_hold_reason` VARCHAR(255) NULL;
+
+-- AlterTable
+ALTER TABLE `restaurant_wallet_transactions` MODIFY `type` ENUM('RESTAURANT_ORDER_CREDIT', 'RESTAURANT_PAYOUT_DEBIT', 'RESTAURANT_REFUND_DEBIT', 'RESTAURANT_PLATFORM_FEE_DEBIT', 'RESTAURANT_CASH_COLLECTED_DEBIT', 'RESTAURANT_PAYOUT_REVERSAL_CREDIT', 'DRIVER_DELIVERY_FEE_CREDIT', 'DRIVER_TIPS_CREDIT', 'DRIVER_PAYOUT_DEBIT', 'DRIVER_PENALTY_DEBIT', 'DRIVER_REFUND_DEBIT', 'DRIVER_CASH_COLLECTED_DEBIT', 'DRIVER_PAYOUT_REVERSAL_CREDIT', 'ADJUSTMENT_CREDIT', 'ADJUSTMENT_DEBIT') NOT NULL,
+    ADD COLUMN `payout_line_id` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `driver_wallet_transactions` MODIFY `type` ENUM('RESTAURANT_ORDER_CREDIT', 'RESTAURANT_PAYOUT_DEBIT', 'RESTAURANT_REFUND_DEBIT', 'RESTAURANT_PLATFORM_FEE_DEBIT', 'RESTAURANT_CASH_COLLECTED_DEBIT', 'RESTAURANT_PAYOUT_REVERSAL_CREDIT', 'DRIVER_DELIVERY_FEE_CREDIT', 'DRIVER_TIPS_CREDIT', 'DRIVER_PAYOUT_DEBIT', 'DRIVER_PENALTY_DEBIT', 'DRIVER_REFUND_DEBIT', 'DRIVER_CASH_COLLECTED_DEBIT', 'DRIVER_PAYOUT_REVERSAL_CREDIT', 'ADJUSTMENT_CREDIT', 'ADJUSTMENT_DEBIT') NOT NULL,
+    ADD COLUMN `payout_line_id` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `ledger_accounts` MODIFY `type` ENUM('customer_payments', 'platform_revenue', 'restaurant_payable', 'driver_payable', 'tax_withheld', 'opening_balance', 'bank') NOT NULL;
+
+-- AlterTable
+ALTER TABLE `ledger_entries` MODIFY `type` ENUM('OPENING_BALANCE', 'ORDER_SETTLEMENT', 'DRIVER_TIP', 'REFUND', 'WALLET_ADJUSTMENT', 'PAYOUT', 'PAYOUT_REVERSAL') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `payout_batches` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `payee_type` ENUM('restaurant', 'driver') NOT NULL,
+    `status` ENUM('draft', 'approved', 'sent', 'confirmed', 'cancelled') NOT NULL DEFAULT 'draft',
+    `cutoff_at` TIMESTAMP(6) NOT NULL,
+    `total_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    `line_count` INTEGER NOT NULL DEFAULT 0,
+    `notes` TEXT NULL,
+    `created_by_id` INTEGER NOT NULL,
+    `approved_by_id` INTEGER NULL,
+    `approved_at` TIMESTAMP(6) NULL,
+    `sent_by_id` INTEGER NULL,
+    `sent_at` TIMESTAMP(6) NULL,
+    `confirmed_by_id` INTEGER NULL,
+    `confirmed_at` TIMESTAMP(6) NULL,
+    `cancelled_at` TIMESTAMP(6) NULL,
+    `created_at` TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+    `updated_at` TIMESTAMP(6) NOT NULL,
+
+    INDEX `payout_batches_payee_type_status_idx`(`payee_type`, `status`),
+    INDEX `payout_batches_created_at_idx`(`created_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `payout_batch_lines` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `batch_id` INTEGER NOT NULL,
+    `wallet_id` INTEGER NOT NULL,
+    `payee_id` INTEGER NOT NULL,
+    `payee_name` VARCHAR(255) NOT NULL,
+    `rfc` VARCHAR(13) NULL,
+    `clabe` CHAR(18) NOT NULL,
+    `amount` DECIMAL(12, 2) NOT NULL,
+    `transaction_count` INTEGER NOT NULL,
+    `reference` VARCHAR(7) NOT NULL,
+    `status` ENUM('pending', 'paid', 'failed') NOT NULL DEFAULT 'pending',
+    `failure_reason` VARCHAR(255) NULL,
+    `ledger_entry_id` BIGINT NULL,
+    `paid_at` TIMESTAMP(6) NULL,
+    `failed_at` TIMESTAMP(6) NULL,
+    `created_at` TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+    INDEX `payout_batch_lines_batch_id_idx`(`batch_id`),
+    INDEX `payout_batch_lines_payee_id_idx`(`payee_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `restaurant_wallet_transactions_payout_line_id_fkey` ON `restaurant_wallet_transactions`(`payout_line_id`);
+
+-- CreateIndex
+CREATE INDEX `driver_wallet_transactions_payout_line_id_fkey` ON `driver_wallet_transactions`(`payout_line_id`);
+
+-- AddForeignKey
+ALTER TABLE `payout_batch_lines` ADD CONSTRAINT `payout_batch_lines_batch_id_fkey` FOREIGN KEY (`batch_id`) REFERENCES `payout_batches`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `restaurant_wallet_transactions` ADD CONSTRAINT `restaurant_wallet_transactions_payout_line_id_fkey` FOREIGN KEY (`payout_line_id`) REFERENCES `payout_batch_lines`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `driver_wallet_transactions` ADD CONSTRAINT `driver_wallet_transactions_payout_line_id_fkey` FOREIGN KEY (`payout_line_id`) REFERENCES `payout_batch_lines`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Cuenta de salida de los pagos por transferencia
+INSERT INTO `ledger_accounts` (`code`, `type`, `name`) VALUES ('BANK', 'bank', 'Transferencias bancarias (SPEI)');
@@ -0,0 +1,41 @@
+-- AlterTable
+ALTER TABLE `global_config` ADD COLUMN `driver_cash_limit` DECIMAL(10, 2) NOT NULL DEFAULT 2000.00;
+
+-- AlterTable
+ALTER TABLE `service_areas` ADD COLUMN `driver_cash_limit` DECIMAL(10, 2) NULL;
+
+-- AlterTable
+ALTER TABLE `driver_profiles` ADD COLUMN `cash_limit` DECIMAL(10, 2) NULL;
+
+-- AlterTable
+ALTER TABLE `restaurant_wallet_transactions` MODIFY `type` ENUM('RESTAURANT_ORDER_CREDIT', 'RESTAURANT_PAYOUT_DEBIT', 'RESTAURANT_REFUND_DEBIT', 'RESTAURANT_PLATFORM_FEE_DEBIT', 'RESTAURANT_CASH_COLLECTED_DEBIT', 'RESTAURANT_PAYOUT_REVERSAL_CREDIT', 'DRIVER_DELIVERY_FEE_CREDIT', 'DRIVER_TIPS_CREDIT', 'DRIVER_PAYOUT_DEBIT', 'DRIVER_PENALTY_DEBIT', 'DRIVER_REFUND_DEBIT', 'DRIVER_CASH_COLLECTED_DEBIT', 'DRIVER_PAYOUT_REVERSAL_CREDIT', 'DRIVER_CASH_DEPOSIT_CREDIT', 'ADJUSTMENT_CREDIT', 'ADJUSTMENT_DEBIT') NOT NULL;
+
+-- AlterTable
+ALTER TABLE `driver_wallet_transactions` MODIFY `type` ENUM('RESTAURANT_ORDER_CREDIT', 'RESTAURANT_PAYOUT_DEBIT', 'RESTAURANT_REFUND_DEBIT', 'RESTAURANT_PLATFORM_FEE_DEBIT', 'RESTAURANT_CASH_COLLECTED_DEBIT', 'RESTAURANT_PAYOUT_REVERSAL_CREDIT', 'DRIVER_DELIVERY_FEE_CREDIT', 'DRIVER_TIPS_CREDIT', 'DRIVER_PAYOUT_DEBIT', 'DRIVER_PENALTY_DEBIT', 'DRIVER_REFUND_DEBIT', 'DRIVER_CASH_COLLECTED_DEBIT', 'DRIVER_PAYOUT_REVERSAL_CREDIT', 'DRIVER_CASH_DEPOSIT_CREDIT', 'ADJUSTMENT_CREDIT', 'ADJUSTMENT_DEBIT') NOT NULL;
+
+-- AlterTable
+ALTER TABLE `ledger_entries` MODIFY `type` ENUM('OPENING_BALANCE', 'ORDER_SETTLEMENT', 'DRIVER_TIP', 'REFUND', 'WALLET_ADJUSTMENT', 'PAYOUT', 'PAYOUT_REVERSAL', 'CASH_DEPOSIT') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `driver_cash_deposits` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `driver_id` INTEGER NOT NULL,
+    `amount` DECIMAL(10, 2) NOT NULL,
+    `reference` VARCHAR(100) NOT NULL,
+    `deposited_at` TIMESTAMP(6) NOT NULL,
+    `notes` TEXT NULL,
+    `status` ENUM('pending', 'confirmed', 'rejected') NOT NULL DEFAULT 'pending',
+    `reviewed_by_id` INTEGER NULL,
+    `reviewed_at` TIMESTAMP(6) NULL,
+    `rejection_reason` VARCHAR(255) NULL,
+    `ledger_entry_id` BIGINT NULL,
+    `created_at` TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+    `updated_at` TIMESTAMP(6) NOT NULL,
+
+    INDEX `driver_cash_deposits_driver_id_status_idx`(`driver_id`, `status`),
+    INDEX `driver_cash_deposits_status_created_at_idx`(`status`, `created_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `driver_cash_deposits` ADD CONSTRAINT `driver_cash_deposits_driver_id_fkey` FOREIGN KEY (`driver_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
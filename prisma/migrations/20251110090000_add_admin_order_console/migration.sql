@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE `orders` ADD COLUMN `cancelled_at` TIMESTAMP(6) NULL,
+    ADD COLUMN `rejection_reason` TEXT NULL;
+
+-- CreateIndex
+CREATE INDEX `orders_status_updated_at_idx` ON `orders`(`status`, `updated_at`);
+
+-- CreateTable
+CREATE TABLE `order_internal_notes` (
+    `id` BIGINT NOT NULL AUTO_INCREMENT,
+    `order_id` BIGINT NOT NULL,
+    `author_id` INTEGER NOT NULL,
+    `note` TEXT NOT NULL,
+    `created_at` TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+    INDEX `order_internal_notes_order_id_created_at_idx`(`order_id`, `created_at`),
+    INDEX `order_internal_notes_author_id_idx`(`author_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `order_internal_notes` ADD CONSTRAINT `order_internal_notes_order_id_fkey` FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `order_internal_notes` ADD CONSTRAINT `order_internal_notes_author_id_fkey` FOREIGN KEY (`author_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
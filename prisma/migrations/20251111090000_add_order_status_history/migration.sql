@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE `order_status_history` (
+    `id` BIGINT NOT NULL AUTO_INCREMENT,
+    `order_id` BIGINT NOT NULL,
+    `from_status` ENUM('pending', 'scheduled', 'placed', 'confirmed', 'preparing', 'ready_for_pickup', 'out_for_delivery', 'delivered', 'cancelled', 'refunded') NOT NULL,
+    `to_status` ENUM('pending', 'scheduled', 'placed', 'confirmed', 'preparing', 'ready_for_pickup', 'out_for_delivery', 'delivered', 'cancelled', 'refunded') NOT NULL,
+    `source` ENUM('restaurant', 'driver', 'admin', 'system') NOT NULL,
+    `changed_by_id` INTEGER NULL,
+    `reason` TEXT NULL,
+    `created_at` TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+    INDEX `order_status_history_order_id_created_at_idx`(`order_id`, `created_at`),
+    INDEX `order_status_history_changed_by_id_idx`(`changed_by_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `order_status_history` ADD CONSTRAINT `order_status_history_order_id_fkey` FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `order_status_history` ADD CONSTRAINT `order_status_history_changed_by_id_fkey` FOREIGN KEY (`changed_by_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
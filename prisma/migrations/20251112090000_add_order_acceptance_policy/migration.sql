@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE `restaurant_configs` ADD COLUMN `consecutive_missed_orders` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `missed_orders_flagged_at` TIMESTAMP(6) NULL;
+
+-- AlterTable
+ALTER TABLE `orders` ADD COLUMN `acceptance_reminder_sent_at` TIMESTAMP(6) NULL;
+
+-- DropForeignKey
+ALTER TABLE `refunds` DROP FOREIGN KEY `refunds_requested_by_id_fkey`;
+
+-- AlterTable
+ALTER TABLE `refunds` MODIFY `requested_by_id` INTEGER NULL;
+
+-- AddForeignKey
+ALTER TABLE `refunds` ADD CONSTRAINT `refunds_requested_by_id_fkey` FOREIGN KEY (`requested_by_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,41 @@
+-- AlterTable
+ALTER TABLE `products` ADD COLUMN `track_stock` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `low_stock_threshold` INTEGER NULL,
+    ADD COLUMN `out_of_stock_at` TIMESTAMP(6) NULL;
+
+-- DropForeignKey
+ALTER TABLE `product_inventory_logs` DROP FOREIGN KEY `product_inventory_logs_user_id_fkey`;
+
+-- AlterTable
+ALTER TABLE `product_inventory_logs` MODIFY `user_id` INTEGER NULL,
+    ADD COLUMN `order_id` BIGINT NULL;
+
+-- CreateTable
+CREATE TABLE `order_stock_reservations` (
+    `id` BIGINT NOT NULL AUTO_INCREMENT,
+    `order_id` BIGINT NOT NULL,
+    `product_id` INTEGER NOT NULL,
+    `quantity` INTEGER NOT NULL,
+    `status` ENUM('reserved', 'committed', 'released') NOT NULL DEFAULT 'reserved',
+    `created_at` TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+    `updated_at` TIMESTAMP(6) NOT NULL,
+
+    INDEX `order_stock_reservations_product_id_status_idx`(`product_id`, `status`),
+    UNIQUE INDEX `order_stock_reservations_order_id_product_id_key`(`order_id`, `product_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `product_inventory_logs_order_id_idx` ON `product_inventory_logs`(`order_id`);
+
+-- AddForeignKey
+ALTER TABLE `product_inventory_logs` ADD CONSTRAINT `product_inventory_logs_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `product_inventory_logs` ADD CONSTRAINT `product_inventory_logs_order_id_fkey` FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `order_stock_reservations` ADD CONSTRAINT `order_stock_reservations_order_id_fkey` FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `order_stock_reservations` ADD CONSTRAINT `order_stock_reservations_product_id_fkey` FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `products` ADD COLUMN `unit_cost` DECIMAL(10, 2) NULL;
+
+-- AlterTable
+ALTER TABLE `product_inventory_logs` ADD COLUMN `unit_cost` DECIMAL(10, 2) NULL,
+    ADD COLUMN `note` VARCHAR(255) NULL;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE `menu_availability_windows` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `subcategory_id` INTEGER NULL,
+    `product_id` INTEGER NULL,
+    `day_of_week` INTEGER NOT NULL,
+    `start_time` VARCHAR(8) NOT NULL,
+    `end_time` VARCHAR(8) NOT NULL,
+    `created_at` TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+    INDEX `menu_availability_windows_subcategory_id_idx`(`subcategory_id`),
+    INDEX `menu_availability_windows_product_id_idx`(`product_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `menu_availability_windows` ADD CONSTRAINT `menu_availability_windows_subcategory_id_fkey` FOREIGN KEY (`subcategory_id`) REFERENCES `subcategories`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `menu_availability_windows` ADD CONSTRAINT `menu_availability_windows_product_id_fkey` FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE `restaurant_schedule_exceptions` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `restaurant_id` INTEGER NOT NULL,
+    `start_date` DATE NOT NULL,
+    `end_date` DATE NOT NULL,
+    `is_closed` BOOLEAN NOT NULL DEFAULT true,
+    `open_time` VARCHAR(8) NULL,
+    `close_time` VARCHAR(8) NULL,
+    `reason` VARCHAR(255) NULL,
+    `created_at` TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+    `updated_at` TIMESTAMP(6) NOT NULL,
+
+    INDEX `restaurant_schedule_exceptions_restaurant_id_start_date_idx`(`restaurant_id`, `start_date`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `restaurant_schedule_exceptions` ADD CONSTRAINT `restaurant_schedule_exceptions_restaurant_id_fkey` FOREIGN KEY (`restaurant_id`) REFERENCES `restaurants`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -108,11 +108,20 @@ async function main() {
         await prisma.cartItem.deleteMany({});
         await prisma.cart.deleteMany({});
         
+        await prisma.orderInternalNote.deleteMany({});
+        await prisma.orderStatusHistory.deleteMany({});
+        await prisma.orderStockReservation.deleteMany({});
         await prisma.orderItemModifier.deleteMany({});
         await prisma.orderItem.deleteMany({});
         await prisma.payment.deleteMany({});
         await prisma.driverWalletTransaction.deleteMany({});
         await prisma.restaurantWalletTransaction.deleteMany({});
+        await prisma.payoutBatchLine.deleteMany({});
+        await prisma.payoutBatch.deleteMany({});
+        await prisma.driverCashDeposit.deleteMany({});
+        await prisma.ledgerLine.deleteMany({});
+        await prisma.ledgerEntry.deleteMany({});
+        await prisma.ledgerAccount.deleteMany({});
         await prisma.order.deleteMany({});
 
         // 2. Relaciones y Entidades Principales (Modificadores, Productos, Categorías)
@@ -152,6 +161,7 @@ async function main() {
                 baseDeliveryFee: new Decimal('35.00'), systemTerms: 'Términos y condiciones de la plataforma...',
                 systemPrivacyPolicy: 'Política de privacidad de la plataforma...',
                 minAppVersionCustomer: '1.0.0', minAppVersionDriver: '1.0.0', minAppVersionRestaurant: '1.0.0',
+                driverCashLimit: new Decimal('2000.00'),
             }
         });
 
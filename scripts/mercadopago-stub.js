@@ -0,0 +1,153 @@
+/**
+ * Stub local de la API REST de Mercado Pago para probar reembolsos sin tocar la API real
+ *
+ * Uso:
+ *   node scripts/mercadopago-stub.js            (puerto 4010 por defecto, MP_STUB_PORT para cambiarlo)
+ *   MERCADOPAGO_API_URL=http://localhost:4010 npm run dev
+ *
+ * Comportamiento:
+ *   - POST /v1/payments/:paymentId/refunds  crea un reembolso aprobado
+ *     · Respeta X-Idempotency-Key: la misma llave devuelve el mismo reembolso
+ *     · Pagos cuyo ID empieza con "fail" responden 400 (simula un rechazo de MP)
+ *     · MP_STUB_FAIL=1 hace que todos los reembolsos respondan 500
+ *   - GET  /v1/payments/:paymentId/refunds  lista los reembolsos creados para el pago
+ *   - GET  /v1/payments/search?external_reference=...  devuelve un pago aprobado con un ID
+ *     numérico estable por referencia (referencias que contienen "notfound" no devuelven resultados)
+ *   - GET  /v1/payments/:paymentId  devuelve un pago creado por la búsqueda anterior (404 si no existe),
+ *     útil para probar el webhook con el ID que devolvió la búsqueda
+ */
+
+const express = require('express');
+
+const app = express();
+app.use(express.json());
+
+const PORT = process.env.MP_STUB_PORT || 4010;
+
+// Estado en memoria
+const refundsByPayment = new Map();
+const refundsByIdempotencyKey = new Map();
+const paymentsByReference = new Map();
+let nextRefundId = 1000;
+let nextPaymentId = 90000000;
+
+app.use((req, res, next) => {
+  console.log(`➡️  ${req.method} ${req.originalUrl}`, req.body && Object.keys(req.body).length ? JSON.stringify(req.body) : '');
+
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer ')) {
+    return res.status(401).json({
+      message: 'unauthorized',
+      error: 'unauthorized',
+      status: 401
+    });
+  }
+
+  next();
+});
+
+app.get('/v1/payments/search', (req, res) => {
+  const externalReference = req.query.external_reference;
+
+  if (!externalReference || externalReference.includes('notfound')) {
+    return res.status(200).json({
+      paging: { total: 0, limit: 30, offset: 0 },
+      results: []
+    });
+  }
+
+  if (!paymentsByReference.has(externalReference)) {
+    paymentsByReference.set(externalReference, {
+      id: nextPaymentId++,
+      status: 'approved',
+      status_detail: 'accredited',
+      external_reference: externalReference,
+      currency_id: 'MXN',
+      date_approved: new Date().toISOString()
+    });
+  }
+
+  res.status(200).json({
+    paging: { total: 1, limit: 30, offset: 0 },
+    results: [paymentsByReference.get(externalReference)]
+  });
+});
+
+app.get('/v1/payments/:paymentId', (req, res) => {
+  const payment = [...paymentsByReference.values()].find(p => String(p.id) === req.params.paymentId);
+
+  if (!payment) {
+    return res.status(404).json({
+      message: 'Payment not found',
+      error: 'not_found',
+      status: 404
+    });
+  }
+
+  res.status(200).json(payment);
+});
+
+app.post('/v1/payments/:paymentId/refunds', (req, res) => {
+  const { paymentId } = req.params;
+  const idempotencyKey = req.headers['x-idempotency-key'];
+  const amount = Number(req.body.amount);
+
+  if (idempotencyKey && refundsByIdempotencyKey.has(idempotencyKey)) {
+    console.log(`🔁 Reembolso repetido (idempotencia): ${idempotencyKey}`);
+    return res.status(201).json(refundsByIdempotencyKey.get(idempotencyKey));
+  }
+
+  if (process.env.MP_STUB_FAIL === '1') {
+    return res.status(500).json({
+      message: 'internal_error',
+      error: 'internal_error',
+      status: 500
+    });
+  }
+
+  if (paymentId.startsWith('fail')) {
+    return res.status(400).json({
+      message: 'Payment not found or not refundable',
+      error: 'bad_request',
+      status: 400,
+      cause: [{ code: 2032, description: 'Payment cannot be refunded' }]
+    });
+  }
+
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return res.status(400).json({
+      message: 'Invalid amount',
+      error: 'bad_request',
+      status: 400
+    });
+  }
+
+  const refund = {
+    id: nextRefundId++,
+    payment_id: Number(paymentId) || paymentId,
+    amount: Math.round(amount * 100) / 100,
+    status: 'approved',
+    source: { id: 'stub', name: 'Delixmi stub', type: 'collector' },
+    date_created: new Date().toISOString(),
+    unique_sequence_number: null,
+    refund_mode: 'standard'
+  };
+
+  if (!refundsByPayment.has(paymentId)) {
+    refundsByPayment.set(paymentId, []);
+  }
+  refundsByPayment.get(paymentId).push(refund);
+  if (idempotencyKey) {
+    refundsByIdempotencyKey.set(idempotencyKey, refund);
+  }
+
+  console.log(`✅ Reembolso ${refund.id} aprobado para el pago ${paymentId} por $${refund.amount}`);
+  res.status(201).json(refund);
+});
+
+app.get('/v1/payments/:paymentId/refunds', (req, res) => {
+  res.status(200).json(refundsByPayment.get(req.params.paymentId) || []);
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Stub de Mercado Pago escuchando en http://localhost:${PORT}`);
+});
@@ -60,6 +60,23 @@ const productStorage = multer.diskStorage({
   }
 });
 
+// Configuración de almacenamiento en disco para fotos de quejas
+const complaintStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadPath = path.join(__dirname, '../../public/uploads/complaints');
+    ensureDirectoryExists(uploadPath);
+    cb(null, uploadPath);
+  },
+  filename: (req, file, cb) => {
+    // Generar nombre único: timestamp + número aleatorio + extensión original
+    const timestamp = Date.now();
+    const randomNumber = Math.round(Math.random() * 10000);
+    const extension = path.extname(file.originalname);
+    const filename = `complaint_${timestamp}_${randomNumber}${extension}`;
+    cb(null, filename);
+  }
+});
+
 // Filtro de archivos para aceptar solo imágenes
 const fileFilter = (req, file, cb) => {
   // Verificar el tipo MIME
@@ -108,6 +125,15 @@ const uploadProduct = multer({
   }
 });
 
+// Configuración de multer para fotos de quejas (hasta 5 por mensaje)
+const uploadComplaint = multer({
+  storage: complaintStorage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // Límite de 5MB por archivo
+  }
+});
+
 // Middleware para manejar errores de multer
 const handleMulterError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -125,6 +151,13 @@ const handleMulterError = (error, req, res, next) => {
         code: 'TOO_MANY_FILES'
       });
     }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Se excedió el número máximo de archivos permitidos o el campo del archivo no es válido',
+        code: 'TOO_MANY_FILES'
+      });
+    }
   }
   
   if (error.message === 'Solo se permiten archivos JPG, JPEG y PNG' || 
@@ -143,5 +176,6 @@ module.exports = {
   upload,
   uploadCover,
   uploadProduct,
+  uploadComplaint,
   handleMulterError
 };
@@ -2,6 +2,17 @@ const { PrismaClient } = require('@prisma/client');
 const { validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const AdminService = require('../services/admin.service');
+const cacheService = require('../services/cache.service');
+const TaxService = require('../services/tax.service');
+const RefundService = require('../services/refund.service');
+const WebhookService = require('../services/webhook.service');
+const PaymentReconciliationService = require('../services/payment-reconciliation.service');
+const LedgerService = require('../services/ledger.service');
+const PayoutService = require('../services/payout.service');
+const DriverCashService = require('../services/driver-cash.service');
+const AdminOrderService = require('../services/admin-order.service');
+const OrderTimelineService = require('../services/order-timeline.service');
+const ComplaintRepository = require('../repositories/complaint.repository');
 
 const prisma = new PrismaClient();
 
@@ -335,6 +346,8 @@ const updateRestaurant = async (req, res) => {
         logoUrl: true,
         coverPhotoUrl: true,
         commissionRate: true,
+        rfc: true,
+        clabe: true,
         status: true,
         createdAt: true,
         updatedAt: true
@@ -374,6 +387,8 @@ const updateRestaurant = async (req, res) => {
     if (updateData.logoUrl !== undefined) dataToUpdate.logoUrl = updateData.logoUrl;
     if (updateData.coverPhotoUrl !== undefined) dataToUpdate.coverPhotoUrl = updateData.coverPhotoUrl;
     if (updateData.commissionRate !== undefined) dataToUpdate.commissionRate = updateData.commissionRate;
+    if (updateData.rfc !== undefined) dataToUpdate.rfc = updateData.rfc;
+    if (updateData.clabe !== undefined) dataToUpdate.clabe = updateData.clabe;
     if (updateData.status !== undefined) dataToUpdate.status = updateData.status;
 
     // Actualizar el restaurante
@@ -420,6 +435,8 @@ const updateRestaurant = async (req, res) => {
       logoUrl: updatedRestaurant.logoUrl,
       coverPhotoUrl: updatedRestaurant.coverPhotoUrl,
       commissionRate: updatedRestaurant.commissionRate,
+      rfc: updatedRestaurant.rfc,
+      clabe: updatedRestaurant.clabe,
       status: updatedRestaurant.status,
       createdAt: updatedRestaurant.createdAt,
       updatedAt: updatedRestaurant.updatedAt,
@@ -2002,6 +2019,14 @@ const getGlobalConfig = async (req, res) => {
   }
 };
 
+/**
+ * Invalida las respuestas de cobertura y del home en caché tras cambios en áreas de servicio
+ */
+const invalidateCoverageCache = () => {
+  cacheService.clearByPrefix('coverage:');
+  cacheService.clearByPrefix('home_dashboard:');
+};
+
 /**
  * @desc    Crear área de servicio
  * @route   POST /api/admin/service-areas
@@ -2013,6 +2038,7 @@ const createServiceArea = async (req, res) => {
     const adminUserId = req.user.id;
 
     const serviceArea = await AdminService.createServiceArea(areaData, adminUserId);
+    invalidateCoverageCache();
 
     res.status(201).json({
       status: 'success',
@@ -2064,6 +2090,7 @@ const updateServiceArea = async (req, res) => {
       where: { id: parseInt(id) },
       data: updateData
     });
+    invalidateCoverageCache();
 
     await prisma.auditLog.create({
       data: {
@@ -2104,6 +2131,50 @@ const updateServiceArea = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Reemplazar las áreas de servicio vinculadas a un restaurante
+ * @route   PUT /api/admin/restaurants/:id/service-areas
+ * @access  Private (super_admin)
+ */
+const updateRestaurantServiceAreas = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { serviceAreaIds } = req.body;
+    const adminUserId = req.user.id;
+
+    const result = await AdminService.updateRestaurantServiceAreas(parseInt(id), serviceAreaIds, adminUserId);
+    invalidateCoverageCache();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Áreas de servicio del restaurante actualizadas exitosamente',
+      data: {
+        ...result,
+        updatedBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error en updateRestaurantServiceAreas:', error);
+
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // ========================================
 // FASE 3: RESTAURANTES Y CATÁLOGO
 // ========================================
@@ -2682,10 +2753,14 @@ const processRestaurantPayouts = async (req, res) => {
 
     res.status(200).json({
       status: 'success',
-      message: 'Pagos a restaurantes procesados exitosamente',
+      message: result.batch
+        ? `Pagos a restaurantes procesados exitosamente: lote #${result.batch.id} creado en borrador`
+        : 'Pagos a restaurantes procesados: no hay pagos pendientes que cumplan las condiciones',
       data: {
         processedCount: result.processedCount,
         transactions: result.transactions,
+        batch: result.batch,
+        skipped: result.skipped,
         processedBy: {
           userId: adminUserId,
           userName: `${req.user.name} ${req.user.lastname}`,
@@ -2694,6 +2769,13 @@ const processRestaurantPayouts = async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code
+      });
+    }
     console.error('Error en processRestaurantPayouts:', error);
     res.status(500).json({
       status: 'error',
@@ -2752,10 +2834,14 @@ const processDriverPayouts = async (req, res) => {
 
     res.status(200).json({
       status: 'success',
-      message: 'Pagos a repartidores procesados exitosamente',
+      message: result.batch
+        ? `Pagos a repartidores procesados exitosamente: lote #${result.batch.id} creado en borrador`
+        : 'Pagos a repartidores procesados: no hay pagos pendientes que cumplan las condiciones',
       data: {
         processedCount: result.processedCount,
         transactions: result.transactions,
+        batch: result.batch,
+        skipped: result.skipped,
         processedBy: {
           userId: adminUserId,
           userName: `${req.user.name} ${req.user.lastname}`,
@@ -2764,6 +2850,13 @@ const processDriverPayouts = async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code
+      });
+    }
     console.error('Error en processDriverPayouts:', error);
     res.status(500).json({
       status: 'error',
@@ -2974,64 +3067,66 @@ const getDriverWalletTransactions = async (req, res) => {
   }
 };
 
-// ========================================
-// FASE 5: LOGÍSTICA Y REPARTIDORES
-// ========================================
-
 /**
- * @desc    Actualizar KYC de repartidor
- * @route   PATCH /api/admin/drivers/:id/kyc
+ * @desc    Obtener resumen mensual de retenciones IVA/ISR por beneficiario
+ * @route   GET /api/admin/tax/withholdings
  * @access  Private (super_admin)
  */
-const updateDriverKyc = async (req, res) => {
+const getTaxWithholdingSummary = async (req, res) => {
   try {
-    const { id } = req.params;
-    const kycData = req.body;
-    const adminUserId = req.user.id;
+    const { year, month, payeeType, format } = req.query;
 
-    const updatedProfile = await AdminService.updateDriverKyc(parseInt(id), kycData, adminUserId);
+    const summary = await TaxService.getMonthlyWithholdingSummary(year, month, payeeType);
+
+    if (format === 'csv') {
+      const fileName = `retenciones_${payeeType}_${year}-${String(month).padStart(2, '0')}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      // BOM para que Excel respete los acentos
+      return res.status(200).send('\uFEFF' + TaxService.buildWithholdingSummaryCsv(summary));
+    }
 
     res.status(200).json({
       status: 'success',
-      message: 'KYC del repartidor actualizado exitosamente',
-      data: {
-        profile: updatedProfile,
-        updatedBy: {
-          userId: adminUserId,
-          userName: `${req.user.name} ${req.user.lastname}`,
-          userEmail: req.user.email
-        }
-      }
+      message: 'Resumen de retenciones obtenido exitosamente',
+      data: summary
     });
   } catch (error) {
-    console.error('Error en updateDriverKyc:', error);
+    console.error('Error en getTaxWithholdingSummary:', error);
     res.status(500).json({
       status: 'error',
-      message: error.message || 'Error interno del servidor',
+      message: 'Error interno del servidor al obtener el resumen de retenciones',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
 /**
- * @desc    Bloquear/desbloquear repartidor
- * @route   PATCH /api/admin/drivers/:id/block
+ * @desc    Crear reembolso total o parcial de una orden
+ * @route   POST /api/admin/orders/:id/refunds
  * @access  Private (super_admin)
  */
-const blockDriver = async (req, res) => {
+const createOrderRefund = async (req, res) => {
   try {
     const { id } = req.params;
-    const { isBlocked } = req.body;
     const adminUserId = req.user.id;
 
-    const updatedProfile = await AdminService.blockDriver(parseInt(id), isBlocked, adminUserId);
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'El ID de la orden debe ser un número válido',
+        code: 'INVALID_ORDER_ID'
+      });
+    }
 
-    res.status(200).json({
+    const refund = await RefundService.createRefund(BigInt(id), req.body, adminUserId, req.id);
+
+    res.status(201).json({
       status: 'success',
-      message: `Repartidor ${isBlocked ? 'bloqueado' : 'desbloqueado'} exitosamente`,
+      message: 'Reembolso procesado exitosamente',
       data: {
-        profile: updatedProfile,
-        updatedBy: {
+        refund,
+        processedBy: {
           userId: adminUserId,
           userName: `${req.user.name} ${req.user.lastname}`,
           userEmail: req.user.email
@@ -3039,238 +3134,1478 @@ const blockDriver = async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Error en blockDriver:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.error('Error en createOrderRefund:', error);
     res.status(500).json({
       status: 'error',
-      message: error.message || 'Error interno del servidor',
+      message: 'Error interno del servidor al procesar el reembolso',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
 /**
- * @desc    Forzar asignación de repartidor
- * @route   POST /api/admin/orders/:orderId/driver/:driverId
+ * @desc    Obtener reembolsos de una orden
+ * @route   GET /api/admin/orders/:id/refunds
  * @access  Private (super_admin)
  */
-const forceDriverAssignment = async (req, res) => {
+const getOrderRefunds = async (req, res) => {
   try {
-    const { orderId, driverId } = req.params;
-    const adminUserId = req.user.id;
+    const { id } = req.params;
 
-    const updatedOrder = await AdminService.forceDriverAssignment(BigInt(orderId), parseInt(driverId), adminUserId);
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'El ID de la orden debe ser un número válido',
+        code: 'INVALID_ORDER_ID'
+      });
+    }
+
+    const result = await RefundService.getOrderRefunds(BigInt(id));
 
     res.status(200).json({
       status: 'success',
-      message: 'Repartidor asignado forzosamente a la orden',
-      data: {
-        order: updatedOrder,
-        assignedBy: {
-          userId: adminUserId,
-          userName: `${req.user.name} ${req.user.lastname}`,
-          userEmail: req.user.email
-        }
-      }
+      message: 'Reembolsos de la orden obtenidos exitosamente',
+      data: result
     });
   } catch (error) {
-    console.error('Error en forceDriverAssignment:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error en getOrderRefunds:', error);
     res.status(500).json({
       status: 'error',
-      message: error.message || 'Error interno del servidor',
+      message: 'Error interno del servidor al obtener reembolsos',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
 /**
- * @desc    Obtener repartidores con KYC pendiente
- * @route   GET /api/admin/drivers/kyc/pending
+ * @desc    Listar eventos de webhooks de pago
+ * @route   GET /api/admin/webhook-events
  * @access  Private (super_admin)
  */
-const getDriversKycPending = async (req, res) => {
+const getWebhookEvents = async (req, res) => {
   try {
-    const { page = 1, pageSize = 10 } = req.query;
-    const skip = (page - 1) * pageSize;
-
-    const [drivers, totalCount] = await Promise.all([
-      prisma.driverProfile.findMany({
-        where: { kycStatus: 'pending' },
-        include: {
-          user: {
-            select: {
-              id: true,
-              name: true,
-              lastname: true,
-              email: true,
-              phone: true,
-              createdAt: true
-            }
-          }
-        },
-        orderBy: { createdAt: 'asc' },
-        skip,
-        take: pageSize
-      }),
-      prisma.driverProfile.count({ where: { kycStatus: 'pending' } })
-    ]);
-
-    const totalPages = Math.ceil(totalCount / pageSize);
+    const result = await WebhookService.getEvents(req.query);
 
     res.status(200).json({
       status: 'success',
-      message: 'Repartidores con KYC pendiente obtenidos exitosamente',
-      data: {
-        drivers,
-        pagination: {
-          currentPage: page,
-          pageSize,
-          totalCount,
-          totalPages,
-          hasNextPage: page < totalPages,
-          hasPreviousPage: page > 1
-        }
-      }
+      message: 'Eventos de webhook obtenidos exitosamente',
+      data: result
     });
   } catch (error) {
-    console.error('Error en getDriversKycPending:', error);
+    console.error('Error en getWebhookEvents:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Error interno del servidor al obtener repartidores',
+      message: 'Error interno del servidor al obtener eventos de webhook',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
 /**
- * @desc    Obtener logs de ruta de orden
- * @route   GET /api/admin/orders/:orderId/route-logs
+ * @desc    Obtener detalle de un evento de webhook
+ * @route   GET /api/admin/webhook-events/:id
  * @access  Private (super_admin)
  */
-const getOrderRouteLogs = async (req, res) => {
+const getWebhookEventDetail = async (req, res) => {
   try {
-    const { orderId } = req.params;
-
-    const order = await prisma.order.findUnique({
-      where: { id: BigInt(orderId) },
-      select: { id: true, status: true }
-    });
+    const { id } = req.params;
 
-    if (!order) {
-      return res.status(404).json({
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Orden no encontrada',
-        code: 'ORDER_NOT_FOUND'
+        message: 'El ID del evento debe ser un número válido',
+        code: 'INVALID_WEBHOOK_EVENT_ID'
       });
     }
 
-    const routeLogs = await prisma.routeLog.findMany({
-      where: { orderId: BigInt(orderId) },
-      include: {
-        driver: {
-          select: {
-            id: true,
-            name: true,
-            lastname: true
-          }
-        }
-      },
-      orderBy: { timestamp: 'asc' }
-    });
+    const event = await WebhookService.getEventById(BigInt(id));
 
     res.status(200).json({
       status: 'success',
-      message: 'Logs de ruta obtenidos exitosamente',
-      data: {
-        order: {
-          id: order.id,
-          status: order.status
-        },
-        routeLogs
-      }
+      message: 'Evento de webhook obtenido exitosamente',
+      data: { event }
     });
   } catch (error) {
-    console.error('Error en getOrderRouteLogs:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error en getWebhookEventDetail:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Error interno del servidor al obtener logs de ruta',
+      message: 'Error interno del servidor al obtener el evento de webhook',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
 /**
- * @desc    Obtener asignaciones de repartidor para orden
- * @route   GET /api/admin/orders/:orderId/assignments
+ * @desc    Reprocesar un evento de webhook
+ * @route   POST /api/admin/webhook-events/:id/replay
  * @access  Private (super_admin)
  */
-const getOrderAssignments = async (req, res) => {
+const replayWebhookEvent = async (req, res) => {
   try {
-    const { orderId } = req.params;
-
-    const order = await prisma.order.findUnique({
-      where: { id: BigInt(orderId) },
-      select: { id: true, status: true, deliveryDriverId: true }
-    });
+    const { id } = req.params;
+    const adminUserId = req.user.id;
 
-    if (!order) {
-      return res.status(404).json({
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Orden no encontrada',
-        code: 'ORDER_NOT_FOUND'
+        message: 'El ID del evento debe ser un número válido',
+        code: 'INVALID_WEBHOOK_EVENT_ID'
       });
     }
 
-    const assignments = await prisma.driverAssignmentLog.findMany({
-      where: { orderId: BigInt(orderId) },
-      include: {
-        driver: {
-          select: {
-            id: true,
-            name: true,
-            lastname: true,
-            phone: true
-          }
-        }
-      },
-      orderBy: { assignedAt: 'desc' }
-    });
+    const event = await WebhookService.replayEvent(BigInt(id), adminUserId, req.id);
 
     res.status(200).json({
       status: 'success',
-      message: 'Asignaciones de repartidor obtenidas exitosamente',
+      message: event.status === 'processed'
+        ? 'Evento de webhook reprocesado exitosamente'
+        : 'El reproceso del evento de webhook falló (ver lastError y nextRetryAt)',
       data: {
-        order: {
-          id: order.id,
-          status: order.status,
-          currentDriverId: order.deliveryDriverId
-        },
-        assignments
+        event,
+        replayedBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
       }
     });
   } catch (error) {
-    console.error('Error en getOrderAssignments:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error en replayWebhookEvent:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Error interno del servidor al obtener asignaciones',
+      message: 'Error interno del servidor al reprocesar el evento de webhook',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
-// ========================================
-// FASE 6: SOPORTE, AUDITORÍA Y COMMS
-// ========================================
-
 /**
- * @desc    Actualizar estado de queja
- * @route   PATCH /api/admin/complaints/:id/status
+ * @desc    Ejecutar la conciliación de pagos pendientes
+ * @route   POST /api/admin/payments/reconciliation/run
  * @access  Private (super_admin)
  */
-const updateComplaintStatus = async (req, res) => {
+const runPaymentReconciliation = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status } = req.body;
-    const adminUserId = req.user.id;
+    const { reportDate } = req.body;
+
+    const summary = await PaymentReconciliationService.reconcilePendingPayments(req.id);
+    const report = reportDate
+      ? await PaymentReconciliationService.generateDailyReport(reportDate, req.id)
+      : null;
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Conciliación de pagos ejecutada exitosamente',
+      data: {
+        summary,
+        report
+      }
+    });
+  } catch (error) {
+    console.error('Error en runPaymentReconciliation:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al conciliar pagos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Listar reportes diarios de conciliación de pagos
+ * @route   GET /api/admin/payments/reconciliation/reports
+ * @access  Private (super_admin)
+ */
+const getReconciliationReports = async (req, res) => {
+  try {
+    const result = await PaymentReconciliationService.getReports(req.query);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Reportes de conciliación obtenidos exitosamente',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error en getReconciliationReports:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al obtener reportes de conciliación',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Obtener el reporte de conciliación de un día
+ * @route   GET /api/admin/payments/reconciliation/reports/:reportDate
+ * @access  Private (super_admin)
+ */
+const getReconciliationReport = async (req, res) => {
+  try {
+    const { reportDate } = req.params;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(reportDate)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'La fecha debe tener el formato YYYY-MM-DD',
+        code: 'INVALID_REPORT_DATE'
+      });
+    }
+
+    const report = await PaymentReconciliationService.getReportByDate(reportDate);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Reporte de conciliación obtenido exitosamente',
+      data: { report }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error en getReconciliationReport:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al obtener el reporte de conciliación',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Verificar la integridad del libro contable contra las billeteras
+ * @route   GET /api/admin/ledger/integrity
+ * @access  Private (super_admin)
+ */
+const getLedgerIntegrity = async (req, res) => {
+  try {
+    const result = await LedgerService.checkIntegrity();
+
+    res.status(200).json({
+      status: 'success',
+      message: result.isConsistent
+        ? 'Las billeteras cuadran con el libro contable'
+        : 'Se encontraron diferencias entre las billeteras y el libro contable',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error en getLedgerIntegrity:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al verificar el libro contable',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Crear un lote de pagos con el neto pendiente de cada beneficiario
+ * @route   POST /api/admin/payouts/batches
+ * @access  Private (super_admin)
+ */
+const createPayoutBatch = async (req, res) => {
+  try {
+    const { payeeType, notes } = req.body;
+    const adminUserId = req.user.id;
+
+    const result = await PayoutService.createBatch(payeeType, adminUserId, { notes }, req.id);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Lote de pagos creado exitosamente',
+      data: {
+        batch: result.batch,
+        skipped: result.skipped,
+        createdBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.error('Error en createPayoutBatch:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al crear el lote de pagos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Listar lotes de pagos
+ * @route   GET /api/admin/payouts/batches
+ * @access  Private (super_admin)
+ */
+const getPayoutBatches = async (req, res) => {
+  try {
+    const result = await PayoutService.getBatches(req.query);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Lotes de pagos obtenidos exitosamente',
+      data: result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error en getPayoutBatches:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al obtener los lotes de pagos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Obtener un lote de pagos con sus líneas
+ * @route   GET /api/admin/payouts/batches/:id
+ * @access  Private (super_admin)
+ */
+const getPayoutBatch = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const batch = await PayoutService.getBatch(parseInt(id));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Lote de pagos obtenido exitosamente',
+      data: { batch }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error en getPayoutBatch:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al obtener el lote de pagos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Aprobar un lote de pagos
+ * @route   POST /api/admin/payouts/batches/:id/approve
+ * @access  Private (super_admin)
+ */
+const approvePayoutBatch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const adminUserId = req.user.id;
+
+    const batch = await PayoutService.approveBatch(parseInt(id), adminUserId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Lote de pagos aprobado exitosamente',
+      data: {
+        batch,
+        approvedBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.error('Error en approvePayoutBatch:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al aprobar el lote de pagos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Marcar un lote de pagos como enviado al banco
+ * @route   POST /api/admin/payouts/batches/:id/send
+ * @access  Private (super_admin)
+ */
+const sendPayoutBatch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const adminUserId = req.user.id;
+
+    const batch = await PayoutService.sendBatch(parseInt(id), adminUserId, req.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Lote de pagos enviado exitosamente',
+      data: {
+        batch,
+        sentBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.error('Error en sendPayoutBatch:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al enviar el lote de pagos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Confirmar la liquidación de un lote de pagos
+ * @route   POST /api/admin/payouts/batches/:id/confirm
+ * @access  Private (super_admin)
+ */
+const confirmPayoutBatch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const adminUserId = req.user.id;
+
+    const batch = await PayoutService.confirmBatch(parseInt(id), adminUserId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Lote de pagos confirmado exitosamente',
+      data: {
+        batch,
+        confirmedBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.error('Error en confirmPayoutBatch:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al confirmar el lote de pagos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Cancelar un lote de pagos no enviado
+ * @route   POST /api/admin/payouts/batches/:id/cancel
+ * @access  Private (super_admin)
+ */
+const cancelPayoutBatch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const adminUserId = req.user.id;
+
+    const batch = await PayoutService.cancelBatch(parseInt(id), adminUserId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Lote de pagos cancelado exitosamente',
+      data: {
+        batch,
+        cancelledBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.error('Error en cancelPayoutBatch:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al cancelar el lote de pagos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Marcar una línea de un lote de pagos como fallida y revertirla
+ * @route   POST /api/admin/payouts/batches/:id/lines/:lineId/fail
+ * @access  Private (super_admin)
+ */
+const failPayoutLine = async (req, res) => {
+  try {
+    const { id, lineId } = req.params;
+    const { reason } = req.body;
+    const adminUserId = req.user.id;
+
+    const batch = await PayoutService.failLine(parseInt(id), parseInt(lineId), reason, adminUserId, req.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Línea de pago marcada como fallida exitosamente',
+      data: {
+        batch,
+        failedBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.error('Error en failPayoutLine:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al marcar la línea de pago como fallida',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Obtener el estado de cuenta de un beneficiario dentro de un lote
+ * @route   GET /api/admin/payouts/batches/:id/lines/:lineId/statement
+ * @access  Private (super_admin)
+ */
+const getPayoutLineStatement = async (req, res) => {
+  try {
+    const { id, lineId } = req.params;
+
+    const statement = await PayoutService.getLineStatement(parseInt(id), parseInt(lineId));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Estado de cuenta obtenido exitosamente',
+      data: statement
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error en getPayoutLineStatement:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al obtener el estado de cuenta',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Exportar el archivo de dispersión bancaria de un lote (CSV o layout SPEI)
+ * @route   GET /api/admin/payouts/batches/:id/export
+ * @access  Private (super_admin)
+ */
+const exportPayoutBatch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format } = req.query;
+
+    const file = await PayoutService.exportBatchFile(parseInt(id), format);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    // El layout SPEI es ASCII de ancho fijo; solo el CSV lleva BOM para Excel
+    res.status(200).send(format === 'csv' ? '\uFEFF' + file.content : file.content);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.error('Error en exportPayoutBatch:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al exportar el lote de pagos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Retener o liberar los pagos de un restaurante
+ * @route   PATCH /api/admin/wallets/restaurants/:id/payout-hold
+ * @access  Private (super_admin)
+ */
+const updateRestaurantPayoutHold = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { hold, reason } = req.body;
+    const adminUserId = req.user.id;
+
+    const wallet = await PayoutService.setPayoutHold('restaurant', parseInt(id), { hold, reason }, adminUserId);
+
+    res.status(200).json({
+      status: 'success',
+      message: hold ? 'Pagos del restaurante retenidos exitosamente' : 'Pagos del restaurante liberados exitosamente',
+      data: {
+        wallet,
+        updatedBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error en updateRestaurantPayoutHold:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al actualizar la retención de pagos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Retener o liberar los pagos de un repartidor
+ * @route   PATCH /api/admin/wallets/drivers/:id/payout-hold
+ * @access  Private (super_admin)
+ */
+const updateDriverPayoutHold = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { hold, reason } = req.body;
+    const adminUserId = req.user.id;
+
+    const wallet = await PayoutService.setPayoutHold('driver', parseInt(id), { hold, reason }, adminUserId);
+
+    res.status(200).json({
+      status: 'success',
+      message: hold ? 'Pagos del repartidor retenidos exitosamente' : 'Pagos del repartidor liberados exitosamente',
+      data: {
+        wallet,
+        updatedBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error en updateDriverPayoutHold:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al actualizar la retención de pagos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ========================================
+// FASE 5: LOGÍSTICA Y REPARTIDORES
+// ========================================
+
+/**
+ * @desc    Actualizar KYC de repartidor
+ * @route   PATCH /api/admin/drivers/:id/kyc
+ * @access  Private (super_admin)
+ */
+const updateDriverKyc = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const kycData = req.body;
+    const adminUserId = req.user.id;
+
+    const updatedProfile = await AdminService.updateDriverKyc(parseInt(id), kycData, adminUserId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'KYC del repartidor actualizado exitosamente',
+      data: {
+        profile: updatedProfile,
+        updatedBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error en updateDriverKyc:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Bloquear/desbloquear repartidor
+ * @route   PATCH /api/admin/drivers/:id/block
+ * @access  Private (super_admin)
+ */
+const blockDriver = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isBlocked } = req.body;
+    const adminUserId = req.user.id;
+
+    const updatedProfile = await AdminService.blockDriver(parseInt(id), isBlocked, adminUserId);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Repartidor ${isBlocked ? 'bloqueado' : 'desbloqueado'} exitosamente`,
+      data: {
+        profile: updatedProfile,
+        updatedBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error en blockDriver:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Forzar asignación de repartidor
+ * @route   POST /api/admin/orders/:orderId/driver/:driverId
+ * @access  Private (super_admin)
+ */
+const forceDriverAssignment = async (req, res) => {
+  try {
+    const { orderId, driverId } = req.params;
+    const adminUserId = req.user.id;
+
+    const updatedOrder = await AdminService.forceDriverAssignment(BigInt(orderId), parseInt(driverId), adminUserId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Repartidor asignado forzosamente a la orden',
+      data: {
+        order: updatedOrder,
+        assignedBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error en forceDriverAssignment:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Obtener repartidores con KYC pendiente
+ * @route   GET /api/admin/drivers/kyc/pending
+ * @access  Private (super_admin)
+ */
+const getDriversKycPending = async (req, res) => {
+  try {
+    const { page = 1, pageSize = 10 } = req.query;
+    const skip = (page - 1) * pageSize;
+
+    const [drivers, totalCount] = await Promise.all([
+      prisma.driverProfile.findMany({
+        where: { kycStatus: 'pending' },
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+              lastname: true,
+              email: true,
+              phone: true,
+              createdAt: true
+            }
+          }
+        },
+        orderBy: { createdAt: 'asc' },
+        skip,
+        take: pageSize
+      }),
+      prisma.driverProfile.count({ where: { kycStatus: 'pending' } })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / pageSize);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Repartidores con KYC pendiente obtenidos exitosamente',
+      data: {
+        drivers,
+        pagination: {
+          currentPage: page,
+          pageSize,
+          totalCount,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error en getDriversKycPending:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al obtener repartidores',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Obtener logs de ruta de orden
+ * @route   GET /api/admin/orders/:orderId/route-logs
+ * @access  Private (super_admin)
+ */
+const getOrderRouteLogs = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await prisma.order.findUnique({
+      where: { id: BigInt(orderId) },
+      select: { id: true, status: true }
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Orden no encontrada',
+        code: 'ORDER_NOT_FOUND'
+      });
+    }
+
+    const routeLogs = await prisma.routeLog.findMany({
+      where: { orderId: BigInt(orderId) },
+      include: {
+        driver: {
+          select: {
+            id: true,
+            name: true,
+            lastname: true
+          }
+        }
+      },
+      orderBy: { timestamp: 'asc' }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Logs de ruta obtenidos exitosamente',
+      data: {
+        order: {
+          id: order.id,
+          status: order.status
+        },
+        routeLogs
+      }
+    });
+  } catch (error) {
+    console.error('Error en getOrderRouteLogs:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al obtener logs de ruta',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Obtener asignaciones de repartidor para orden
+ * @route   GET /api/admin/orders/:orderId/assignments
+ * @access  Private (super_admin)
+ */
+const getOrderAssignments = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await prisma.order.findUnique({
+      where: { id: BigInt(orderId) },
+      select: { id: true, status: true, deliveryDriverId: true }
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Orden no encontrada',
+        code: 'ORDER_NOT_FOUND'
+      });
+    }
+
+    const assignments = await prisma.driverAssignmentLog.findMany({
+      where: { orderId: BigInt(orderId) },
+      include: {
+        driver: {
+          select: {
+            id: true,
+            name: true,
+            lastname: true,
+            phone: true
+          }
+        }
+      },
+      orderBy: { assignedAt: 'desc' }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Asignaciones de repartidor obtenidas exitosamente',
+      data: {
+        order: {
+          id: order.id,
+          status: order.status,
+          currentDriverId: order.deliveryDriverId
+        },
+        assignments
+      }
+    });
+  } catch (error) {
+    console.error('Error en getOrderAssignments:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al obtener asignaciones',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Asignar o quitar el límite de efectivo propio de un repartidor
+ * @route   PATCH /api/admin/drivers/:id/cash-limit
+ * @access  Private (super_admin)
+ */
+const updateDriverCashLimit = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { cashLimit } = req.body;
+    const adminUserId = req.user.id;
+
+    const cashStatus = await DriverCashService.setDriverCashLimit(parseInt(id), cashLimit, adminUserId);
+
+    res.status(200).json({
+      status: 'success',
+      message: cashLimit === null
+        ? 'Límite de efectivo propio eliminado; aplica el del área o el global'
+        : 'Límite de efectivo del repartidor actualizado exitosamente',
+      data: {
+        cashStatus,
+        updatedBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error en updateDriverCashLimit:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al actualizar el límite de efectivo',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Listar depósitos de efectivo declarados por repartidores
+ * @route   GET /api/admin/drivers/cash-deposits
+ * @access  Private (super_admin)
+ */
+const getDriverCashDeposits = async (req, res) => {
+  try {
+    const result = await DriverCashService.getDeposits(req.query);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Depósitos de efectivo obtenidos exitosamente',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error en getDriverCashDeposits:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al obtener los depósitos de efectivo',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Confirmar un depósito de efectivo y abonarlo a la billetera del repartidor
+ * @route   POST /api/admin/drivers/cash-deposits/:id/confirm
+ * @access  Private (super_admin)
+ */
+const confirmDriverCashDeposit = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const adminUserId = req.user.id;
+
+    const result = await DriverCashService.confirmDeposit(parseInt(id), adminUserId, req.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Depósito de efectivo confirmado exitosamente',
+      data: {
+        ...result,
+        confirmedBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.error('Error en confirmDriverCashDeposit:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al confirmar el depósito de efectivo',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Rechazar un depósito de efectivo declarado
+ * @route   POST /api/admin/drivers/cash-deposits/:id/reject
+ * @access  Private (super_admin)
+ */
+const rejectDriverCashDeposit = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    const adminUserId = req.user.id;
+
+    const deposit = await DriverCashService.rejectDeposit(parseInt(id), reason, adminUserId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Depósito de efectivo rechazado',
+      data: {
+        deposit,
+        rejectedBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.error('Error en rejectDriverCashDeposit:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al rechazar el depósito de efectivo',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Buscar pedidos con filtros (estado, restaurante, repartidor, cliente, pago, fechas, retrasados y atascados)
+ * @route   GET /api/admin/orders
+ * @access  Private (super_admin)
+ */
+const getAdminOrders = async (req, res) => {
+  try {
+    const result = await AdminOrderService.searchOrders(req.query);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Pedidos obtenidos exitosamente',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error en getAdminOrders:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al obtener pedidos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Obtener el detalle completo de un pedido
+ * @route   GET /api/admin/orders/:id
+ * @access  Private (super_admin)
+ */
+const getAdminOrderDetail = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const order = await AdminOrderService.getOrderDetail(BigInt(id));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Detalle del pedido obtenido exitosamente',
+      data: { order }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error en getAdminOrderDetail:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al obtener el detalle del pedido',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Obtener la línea de tiempo completa de un pedido
+ * @route   GET /api/admin/orders/:id/timeline
+ * @access  Private (super_admin)
+ */
+const getAdminOrderTimeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const timeline = await OrderTimelineService.getTimeline(BigInt(id), {
+      userId: req.user.id,
+      audience: 'admin'
+    }, req.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Línea de tiempo del pedido obtenida exitosamente',
+      data: timeline
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error en getAdminOrderTimeline:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al obtener la línea de tiempo del pedido',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Cancelar un pedido con motivo
+ * @route   POST /api/admin/orders/:id/cancel
+ * @access  Private (super_admin)
+ */
+const cancelAdminOrder = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const adminUserId = req.user.id;
+
+    const result = await AdminOrderService.cancelOrder(BigInt(id), req.body, adminUserId, req.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: result.refund.required
+        ? 'Pedido cancelado; el pago ya fue cobrado y requiere reembolso'
+        : 'Pedido cancelado exitosamente',
+      data: {
+        ...result,
+        cancelledBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.error('Error en cancelAdminOrder:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al cancelar el pedido',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Reasignar el repartidor de un pedido
+ * @route   POST /api/admin/orders/:id/reassign-driver
+ * @access  Private (super_admin)
+ */
+const reassignAdminOrderDriver = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const adminUserId = req.user.id;
+
+    const result = await AdminOrderService.reassignDriver(BigInt(id), req.body, adminUserId, req.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Repartidor del pedido reasignado exitosamente',
+      data: {
+        ...result,
+        reassignedBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.error('Error en reassignAdminOrderDriver:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al reasignar el repartidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Cambiar el estado de un pedido (con force se permiten saltos y retrocesos)
+ * @route   PATCH /api/admin/orders/:id/status
+ * @access  Private (super_admin)
+ */
+const overrideAdminOrderStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const adminUserId = req.user.id;
+
+    const result = await AdminOrderService.overrideStatus(BigInt(id), req.body, adminUserId, req.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Estado del pedido actualizado exitosamente',
+      data: {
+        ...result,
+        updatedBy: {
+          userId: adminUserId,
+          userName: `${req.user.name} ${req.user.lastname}`,
+          userEmail: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.error('Error en overrideAdminOrderStatus:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al actualizar el estado del pedido',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Agregar una nota interna a un pedido
+ * @route   POST /api/admin/orders/:id/notes
+ * @access  Private (super_admin)
+ */
+const addAdminOrderNote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+    const adminUserId = req.user.id;
+
+    const createdNote = await AdminOrderService.addInternalNote(BigInt(id), note, adminUserId);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Nota interna agregada exitosamente',
+      data: { note: createdNote }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error en addAdminOrderNote:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al agregar la nota interna',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ========================================
+// FASE 6: SOPORTE, AUDITORÍA Y COMMS
+// ========================================
+
+/**
+ * @desc    Actualizar estado de queja
+ * @route   PATCH /api/admin/complaints/:id/status
+ * @access  Private (super_admin)
+ */
+const updateComplaintStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+    const adminUserId = req.user.id;
 
     const currentComplaint = await prisma.complaint.findUnique({
       where: { id: parseInt(id) },
@@ -3323,6 +4658,10 @@ const updateComplaintStatus = async (req, res) => {
       }
     });
 
+    if (currentComplaint.status !== status) {
+      await ComplaintRepository.notifyStatusChange(currentComplaint.id, currentComplaint.status, status, req.id);
+    }
+
     res.status(200).json({
       status: 'success',
       message: 'Estado de queja actualizado exitosamente',
@@ -3663,6 +5002,7 @@ module.exports = {
   getGlobalConfig,
   createServiceArea,
   updateServiceArea,
+  updateRestaurantServiceAreas,
   
   // Fase 3: Restaurantes y Catálogo
   verifyRestaurant,
@@ -3682,6 +5022,28 @@ module.exports = {
   adjustDriverWallet,
   getRestaurantWalletTransactions,
   getDriverWalletTransactions,
+  getTaxWithholdingSummary,
+  createOrderRefund,
+  getOrderRefunds,
+  getWebhookEvents,
+  getWebhookEventDetail,
+  replayWebhookEvent,
+  runPaymentReconciliation,
+  getReconciliationReports,
+  getReconciliationReport,
+  getLedgerIntegrity,
+  createPayoutBatch,
+  getPayoutBatches,
+  getPayoutBatch,
+  approvePayoutBatch,
+  sendPayoutBatch,
+  confirmPayoutBatch,
+  cancelPayoutBatch,
+  failPayoutLine,
+  getPayoutLineStatement,
+  exportPayoutBatch,
+  updateRestaurantPayoutHold,
+  updateDriverPayoutHold,
   
   // Fase 5: Logística y Repartidores
   updateDriverKyc,
@@ -3690,6 +5052,17 @@ module.exports = {
   getDriversKycPending,
   getOrderRouteLogs,
   getOrderAssignments,
+  updateDriverCashLimit,
+  getDriverCashDeposits,
+  confirmDriverCashDeposit,
+  rejectDriverCashDeposit,
+  getAdminOrders,
+  getAdminOrderDetail,
+  getAdminOrderTimeline,
+  cancelAdminOrder,
+  reassignAdminOrderDriver,
+  overrideAdminOrderStatus,
+  addAdminOrderNote,
   
   // Fase 6: Soporte, Auditoría y Comms
   updateComplaintStatus,
@@ -2,9 +2,47 @@ const { PrismaClient } = require('@prisma/client');
 const { validationResult } = require('express-validator');
 const ResponseService = require('../services/response.service');
 const { logger } = require('../config/logger');
+const CouponService = require('../services/coupon.service');
+const MenuAvailabilityService = require('../services/menu-availability.service');
 
 const prisma = new PrismaClient();
 
+/**
+ * Calcula cuántas unidades de un producto con control de inventario quedarían en el carrito
+ * y si el stock disponible alcanza (un producto puede estar en varios items con distintos modificadores)
+ * @param {Object} product - Producto con id, trackStock y stockQuantity
+ * @param {number} cartId - ID del carrito
+ * @param {number} quantity - Unidades que se agregan o la nueva cantidad del item
+ * @param {number} [excludeItemId] - Item cuya cantidad se reemplaza
+ * @returns {Promise<Object|null>} Detalles del faltante o null si hay stock suficiente
+ */
+const checkProductStock = async (product, cartId, quantity, excludeItemId = null) => {
+  if (!product.trackStock) {
+    return null;
+  }
+
+  const { _sum } = await prisma.cartItem.aggregate({
+    where: {
+      cartId,
+      productId: product.id,
+      ...(excludeItemId ? { id: { not: excludeItemId } } : {})
+    },
+    _sum: { quantity: true }
+  });
+
+  const requested = (_sum.quantity || 0) + quantity;
+  if (requested <= product.stockQuantity) {
+    return null;
+  }
+
+  return {
+    productId: product.id,
+    productName: product.name,
+    requested,
+    available: Math.max(product.stockQuantity, 0)
+  };
+};
+
 /**
  * Obtener el carrito del usuario autenticado
  * OPTIMIZACIÓN: Una sola consulta con include anidado para evitar N+1
@@ -194,7 +232,7 @@ const addToCart = async (req, res) => {
     }
 
     const userId = req.user.id;
-    const { productId, quantity = 1, modifiers = [] } = req.body;
+    const { productId, quantity = 1, modifiers = [], scheduledFor } = req.body;
 
     // Extraer IDs de opciones de modificadores del nuevo formato
     const modifierOptionIds = modifiers.map(mod => mod.selectedOptionId);
@@ -217,7 +255,8 @@ const addToCart = async (req, res) => {
             name: true,
             status: true
           }
-        }
+        },
+        ...MenuAvailabilityService.PRODUCT_AVAILABILITY_INCLUDE
       }
     });
 
@@ -245,6 +284,20 @@ const addToCart = async (req, res) => {
       );
     }
 
+    // Desayunos, menú nocturno, etc.: se evalúa a la hora de entrega si el pedido es programado
+    const scheduleConflict = MenuAvailabilityService.getScheduleConflict(
+      product,
+      scheduledFor ? new Date(scheduledFor) : new Date()
+    );
+    if (scheduleConflict) {
+      return ResponseService.conflict(
+        res,
+        `${product.name} no está disponible a esta hora`,
+        { productId: product.id, productName: product.name, ...scheduleConflict },
+        'PRODUCT_OUTSIDE_AVAILABILITY'
+      );
+    }
+
     // 2. Obtener grupos de modificadores asociados al producto
     const productModifierGroups = await prisma.productModifier.findMany({
       where: {
@@ -514,6 +567,17 @@ const addToCart = async (req, res) => {
       }
     }
 
+    // 9b. Verificar que el stock del producto alcance para lo que habrá en el carrito
+    const stockShortage = await checkProductStock(product, cart.id, quantity);
+    if (stockShortage) {
+      return ResponseService.conflict(
+        res,
+        `No hay suficiente stock de ${product.name}`,
+        stockShortage,
+        'INSUFFICIENT_STOCK'
+      );
+    }
+
     let cartItem;
     let action;
 
@@ -720,7 +784,9 @@ const updateCartItem = async (req, res) => {
           select: {
             id: true,
             name: true,
-            isAvailable: true
+            isAvailable: true,
+            trackStock: true,
+            stockQuantity: true
           }
         }
       }
@@ -758,6 +824,16 @@ const updateCartItem = async (req, res) => {
       );
     }
 
+    const stockShortage = await checkProductStock(cartItem.product, cartItem.cartId, quantity, cartItem.id);
+    if (stockShortage) {
+      return ResponseService.conflict(
+        res,
+        `No hay suficiente stock de ${cartItem.product.name}`,
+        stockShortage,
+        'INSUFFICIENT_STOCK'
+      );
+    }
+
     // Actualizar cantidad
     const updatedItem = await prisma.cartItem.update({
       where: { id: parseInt(itemId) },
@@ -1050,13 +1126,15 @@ const getCartSummary = async (req, res) => {
 
 /**
  * Validar carrito antes del checkout
+ * Si se envía couponCode, también valida el cupón contra el carrito del restaurante
  * @param {Object} req - Request object
  * @param {Object} res - Response object
  */
 const validateCart = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { restaurantId } = req.body;
+    const { restaurantId, couponCode, addressId, scheduledFor } = req.body;
+    const orderTime = scheduledFor ? new Date(scheduledFor) : new Date();
 
     // Obtener carrito específico o todos los carritos
     let whereClause = { userId: userId };
@@ -1088,7 +1166,8 @@ const validateCart = async (req, res) => {
                     name: true,
                     status: true
                   }
-                }
+                },
+                ...MenuAvailabilityService.PRODUCT_AVAILABILITY_INCLUDE
               }
             }
           }
@@ -1121,9 +1200,10 @@ const validateCart = async (req, res) => {
       }
 
       cart.items.forEach(item => {
+        const { availabilityWindows, subcategory, ...product } = item.product;
         const itemValidation = {
           itemId: item.id,
-          product: item.product,
+          product,
           quantity: item.quantity,
           priceAtAdd: Number(item.priceAtAdd),
           currentPrice: Number(item.product.price),
@@ -1142,6 +1222,19 @@ const validateCart = async (req, res) => {
           isValid = false;
         }
 
+        // Validar horario de disponibilidad del producto y su subcategoría
+        const scheduleConflict = MenuAvailabilityService.getScheduleConflict(item.product, orderTime);
+        if (scheduleConflict) {
+          itemValidation.isValid = false;
+          itemValidation.issues.push({
+            type: 'product_outside_availability',
+            message: 'El producto no está disponible a esta hora',
+            ...scheduleConflict
+          });
+          cartValidation.isValid = false;
+          isValid = false;
+        }
+
         // Validar estado del restaurante del producto
         if (item.product.restaurant.status !== 'active') {
           itemValidation.isValid = false;
@@ -1174,12 +1267,63 @@ const validateCart = async (req, res) => {
       validationResults.push(cartValidation);
     });
 
+    // Validar cupón contra el subtotal del carrito (el envío se conoce hasta el checkout)
+    let coupon = null;
+    if (couponCode) {
+      const cart = carts[0];
+      const cartSubtotal = cart
+        ? Math.round(cart.items
+          .filter(item => item.product.isAvailable && !MenuAvailabilityService.getScheduleConflict(item.product, orderTime))
+          .reduce((sum, item) => sum + Number(item.priceAtAdd) * item.quantity, 0) * 100) / 100
+        : 0;
+
+      const address = addressId
+        ? await prisma.address.findFirst({
+          where: { id: parseInt(addressId), userId: userId },
+          select: { id: true, latitude: true, longitude: true }
+        })
+        : null;
+
+      try {
+        const { coupon: validCoupon, discountAmount, appliesTo } = await CouponService.validateCoupon(couponCode, {
+          userId,
+          restaurantId: parseInt(restaurantId),
+          subtotal: cartSubtotal,
+          deliveryFee: null,
+          address
+        }, req.id);
+
+        coupon = {
+          isValid: true,
+          ...CouponService.formatAppliedCoupon(validCoupon, discountAmount, appliesTo),
+          subtotal: cartSubtotal,
+          subtotalAfterDiscount: appliesTo === 'subtotal'
+            ? Math.round((cartSubtotal - discountAmount) * 100) / 100
+            : cartSubtotal
+        };
+      } catch (couponError) {
+        if (!couponError.status || couponError.status >= 500) {
+          throw couponError;
+        }
+        coupon = {
+          isValid: false,
+          code: CouponService.normalizeCode(couponCode),
+          issue: {
+            type: couponError.code,
+            message: couponError.message,
+            details: couponError.details
+          }
+        };
+      }
+    }
+
     return ResponseService.success(
       res,
       'Validación del carrito completada',
       {
         isValid: isValid,
         validationResults: validationResults,
+        coupon: coupon,
         summary: {
           totalCarts: carts.length,
           validItems: totalItems,
@@ -1,17 +1,25 @@
 const { validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { getIo } = require('../config/socket');
-const { isWithinCoverage } = require('../services/geolocation.service');
+const { isWithinCoverage, activeServiceAreasSelect, flattenServiceAreas } = require('../services/geolocation.service');
 const PricingService = require('../services/pricing.service');
 const OrderService = require('../services/order.service');
-const MercadoPagoService = require('../services/mercadopago.service');
+const CouponService = require('../services/coupon.service');
+const ScheduledOrderService = require('../services/scheduled-order.service');
+const TipService = require('../services/tip.service');
+const OrderAcceptanceService = require('../services/order-acceptance.service');
+const StockService = require('../services/stock.service');
+const MenuAvailabilityService = require('../services/menu-availability.service');
+const RestaurantHoursService = require('../services/restaurant-hours.service');
+const PaymentProviderRegistry = require('../services/payment-providers');
+const PaymentReconciliationService = require('../services/payment-reconciliation.service');
 const ResponseService = require('../services/response.service');
 const { logger } = require('../config/logger');
 
 const prisma = new PrismaClient();
 
 // Las funciones de cálculo de precios y tiempo estimado ahora están en PricingService
-// La configuración de Mercado Pago ahora está en MercadoPagoService
+// El cobro en línea se delega al proveedor configurado en PaymentProviderRegistry
 
 /**
  * Crea una preferencia de pago en Mercado Pago
@@ -39,7 +47,12 @@ const createPreference = async (req, res) => {
       );
     }
 
-    const { addressId, items, specialInstructions, useCart = false, restaurantId } = req.body;
+    const { addressId, items, specialInstructions, useCart = false, restaurantId, couponCode, scheduledFor, fulfillmentType = 'delivery', sandboxScenario } = req.body;
+    const isPickup = fulfillmentType === 'pickup';
+    // Propina para el repartidor (100% para él, sin comisión)
+    const tipAmount = TipService.validateCheckoutTip(req.body.tipAmount, isPickup);
+    // Se resuelve antes de crear el pedido para no dejar pedidos sin cobro si el proveedor no está disponible
+    const paymentProvider = PaymentProviderRegistry.getCheckoutProvider();
 
     // Validaciones básicas
     if (useCart && !restaurantId) {
@@ -56,12 +69,12 @@ const createPreference = async (req, res) => {
       );
     }
 
-    // 2. Verificar que la dirección pertenece al usuario
-    const address = await prisma.address.findFirst({
+    // 2. Verificar que la dirección pertenece al usuario (los pedidos para recoger no llevan dirección)
+    const address = isPickup ? null : await prisma.address.findFirst({
       where: { id: addressId, userId: userId }
     });
 
-    if (!address) {
+    if (!isPickup && !address) {
       return ResponseService.notFound(
         res, 
         'Dirección no encontrada o no pertenece al usuario'
@@ -135,6 +148,7 @@ const createPreference = async (req, res) => {
         restaurant: {
           select: {
             id: true, name: true, commissionRate: true,
+            serviceAreas: activeServiceAreasSelect,
             branches: {
               where: { status: 'active' },
               select: { id: true, name: true, latitude: true, longitude: true },
@@ -157,6 +171,7 @@ const createPreference = async (req, res) => {
 
     // 5. Obtener sucursal y validar cobertura
     const firstProduct = products[0];
+
     if (!firstProduct.restaurant.branches || firstProduct.restaurant.branches.length === 0) {
       return ResponseService.internalError(
         res, 
@@ -166,8 +181,11 @@ const createPreference = async (req, res) => {
 
     branch = firstProduct.restaurant.branches[0];
 
-    // Validar cobertura
-    const isCovered = isWithinCoverage(branch, address);
+    // Validar cobertura (radio de entrega + áreas de servicio del restaurante); no aplica al recoger
+    const isCovered = isPickup || isWithinCoverage(
+      { ...branch, serviceAreas: flattenServiceAreas(firstProduct.restaurant.serviceAreas) },
+      address
+    );
     if (!isCovered) {
       return ResponseService.conflict(
         res, 
@@ -183,23 +201,23 @@ const createPreference = async (req, res) => {
       );
     }
 
-    // 6. Validar horario de la sucursal
-    const validationResult = await OrderService.validateOrderProcessing(branch.id, requestId);
-    if (!validationResult.isValid) {
-      return ResponseService.conflict(
-        res, 
-        validationResult.reason,
-        validationResult.details
-      );
-    }
+    // 6. Validar que el restaurante reciba pedidos: pausado no recibe ninguno; cerrado (horario
+    // semanal o excepción) solo programados, que validan su hora más adelante
+    await RestaurantHoursService.assertCanReceiveOrders(
+      firstProduct.restaurant.id,
+      { scheduled: Boolean(scheduledFor) },
+      requestId
+    );
 
-    // 7. Calcular precios usando PricingService
+    // 7. Calcular precios usando PricingService (incluye el cupón, si se envió)
     const pricingDetails = await PricingService.calculateOrderPricing(
       itemsToProcess, 
       products, 
       branch, 
       address, 
-      requestId
+      requestId,
+      couponCode ? { code: couponCode, userId, restaurantId: firstProduct.restaurant.id } : null,
+      tipAmount
     );
 
     // Validar precios calculados
@@ -215,7 +233,8 @@ const createPreference = async (req, res) => {
       pricingDetails.travelTimeMinutes || 0, 
       itemsToProcess.length,
       firstProduct.restaurant.name,
-      requestId
+      requestId,
+      isPickup
     );
 
     // Agregar tiempo estimado a deliveryDetails
@@ -223,17 +242,31 @@ const createPreference = async (req, res) => {
       pricingDetails.deliveryDetails.estimatedDeliveryTime = estimatedDeliveryTime;
     }
 
+    // Validar la hora de entrega programada contra los horarios y el tiempo de preparación
+    const schedule = scheduledFor
+      ? await ScheduledOrderService.validateScheduledSlot(firstProduct.restaurant.id, scheduledFor, estimatedDeliveryTime, requestId)
+      : null;
+
+    // Los productos deben estar dentro de su horario de disponibilidad (a la hora de entrega si es programado)
+    await MenuAvailabilityService.assertProductsAvailableAt(
+      productIds,
+      schedule ? schedule.scheduledFor : new Date(),
+      requestId
+    );
+
     // 9. Crear orden en la base de datos usando OrderService
     const createdOrder = await OrderService.createOrderInDatabase(
       itemsToProcess,
       pricingDetails,
       userId,
       branch.id,
-      addressId,
+      isPickup ? null : addressId,
       'mercadopago',
       specialInstructions,
       requestId,
-      cartItemsWithModifiers
+      cartItemsWithModifiers,
+      schedule,
+      fulfillmentType
     );
 
     // 10. Preparar items para Mercado Pago
@@ -249,27 +282,54 @@ const createPreference = async (req, res) => {
       };
     });
 
-    // 11. Crear preferencia en Mercado Pago usando MercadoPagoService
-    const externalReference = MercadoPagoService.generateExternalReference();
-    const mpResponse = await MercadoPagoService.createPreference(
-      mpItems,
-      req.user,
-      pricingDetails,
-      externalReference,
-      requestId
-    );
-
-    // 12. Actualizar el payment con el external reference
-    await prisma.payment.updateMany({
-      where: { orderId: createdOrder.id },
-      data: { providerPaymentId: externalReference }
-    });
+    // 11. Crear el cobro en el proveedor de pago configurado (Mercado Pago o sandbox)
+    let checkout;
+    try {
+      checkout = await paymentProvider.createCheckout({
+        kind: 'order',
+        orderId: createdOrder.id,
+        items: mpItems,
+        user: req.user,
+        pricingDetails,
+        options: { sandboxScenario }
+      }, requestId);
+
+      // 12. Actualizar el payment con el proveedor y el external reference
+      await prisma.payment.updateMany({
+        where: { orderId: createdOrder.id },
+        data: {
+          provider: paymentProvider.name,
+          providerPaymentId: checkout.externalReference
+        }
+      });
+    } catch (checkoutError) {
+      // Sin cobro en el proveedor el cliente no puede pagar: se cancela el pedido y se liberan
+      // el stock y el cupón que reservó createOrderInDatabase
+      // Si la cancelación falla, la conciliación de pagos pendientes lo reintenta
+      try {
+        const payment = await prisma.payment.findFirst({
+          where: { orderId: createdOrder.id },
+          select: { id: true, orderId: true }
+        });
+        if (payment) {
+          await PaymentReconciliationService.cancelAbandonedOrder(payment, null, requestId);
+        }
+      } catch (cancelError) {
+        logger.error('Error cancelando pedido tras fallar el cobro en el proveedor', {
+          requestId,
+          meta: { orderId: createdOrder.id.toString(), error: cancelError.message }
+        });
+      }
+      throw checkoutError;
+    }
+    const externalReference = checkout.externalReference;
 
     logger.info('Preferencia de pago creada exitosamente', {
       requestId,
       meta: {
         orderId: createdOrder.id,
-        preferenceId: mpResponse.id,
+        provider: paymentProvider.name,
+        preferenceId: checkout.checkoutId,
         externalReference,
         total: pricingDetails.total
       }
@@ -280,15 +340,23 @@ const createPreference = async (req, res) => {
       res,
       'Preferencia de pago creada exitosamente',
       {
-        init_point: mpResponse.init_point,
-        preference_id: mpResponse.id,
+        payment_provider: paymentProvider.name,
+        init_point: checkout.checkoutUrl,
+        preference_id: checkout.checkoutId,
         external_reference: externalReference,
         total: pricingDetails.total,
         subtotal: pricingDetails.subtotal,
         delivery_fee: pricingDetails.deliveryFee,
         service_fee: pricingDetails.serviceFee,
+        discount_amount: pricingDetails.discountAmount,
+        tip_amount: pricingDetails.tipAmount,
+        coupon: pricingDetails.appliedCoupon,
         delivery_details: pricingDetails.deliveryDetails,
         estimated_delivery_time: estimatedDeliveryTime,
+        fulfillment_type: createdOrder.fulfillmentType,
+        pickup_code: createdOrder.pickupCode,
+        scheduled_for: schedule ? schedule.scheduledFor : null,
+        scheduled_release_at: schedule ? schedule.releaseAt : null,
         cart_used: useCart,
         cart_cleared: false,
         cart_clearing_note: "El carrito se limpiará cuando el pago sea confirmado"
@@ -305,15 +373,14 @@ const createPreference = async (req, res) => {
       }
     });
     
-    // Manejar errores específicos de Mercado Pago
-    if (error.response) {
-      const errorDetails = MercadoPagoService.handleMercadoPagoError(error, req.id);
+    // Cupón no aplicable u otro error controlado
+    if (error.status && error.code) {
       return ResponseService.error(
-        res, 
-        errorDetails.message, 
-        errorDetails.details, 
-        errorDetails.status, 
-        errorDetails.code
+        res,
+        error.message,
+        error.details || null,
+        error.status,
+        error.code
       );
     }
 
@@ -444,7 +511,12 @@ const createCashOrder = async (req, res) => {
       });
     }
 
-    const { addressId, items, specialInstructions, useCart = false, restaurantId } = req.body;
+    const { addressId, items, specialInstructions, useCart = false, restaurantId, couponCode, scheduledFor, fulfillmentType = 'delivery', sandboxScenario } = req.body;
+    const isPickup = fulfillmentType === 'pickup';
+    // Propina para el repartidor (100% para él, sin comisión)
+    const tipAmount = TipService.validateCheckoutTip(req.body.tipAmount, isPickup);
+    // Se resuelve antes de crear el pedido para no dejar pedidos sin cobro si el proveedor no está disponible
+    const paymentProvider = PaymentProviderRegistry.getCheckoutProvider();
     const userId = req.user.id;
 
     logger.debug('Parámetros de la orden', {
@@ -468,15 +540,15 @@ const createCashOrder = async (req, res) => {
       });
     }
 
-    // 2. Validar que la dirección existe y pertenece al usuario
-    const address = await prisma.address.findFirst({
+    // 2. Validar que la dirección existe y pertenece al usuario (los pedidos para recoger no llevan dirección)
+    const address = isPickup ? null : await prisma.address.findFirst({
       where: {
         id: addressId,
         userId: userId
       }
     });
 
-    if (!address) {
+    if (!isPickup && !address) {
       logger.warn('Dirección no encontrada o no pertenece al usuario', {
         requestId: req.id,
         meta: { userId, addressId }
@@ -487,15 +559,17 @@ const createCashOrder = async (req, res) => {
       });
     }
 
-    logger.debug('Dirección validada', {
-      requestId: req.id,
-      meta: {
-        addressId: address.id,
-        alias: address.alias,
-        street: address.street,
-        neighborhood: address.neighborhood
-      }
-    });
+    if (address) {
+      logger.debug('Dirección validada', {
+        requestId: req.id,
+        meta: {
+          addressId: address.id,
+          alias: address.alias,
+          street: address.street,
+          neighborhood: address.neighborhood
+        }
+      });
+    }
 
     // 3. Si useCart es true, obtener items del carrito
     let cartItems = [];
@@ -590,6 +664,7 @@ const createCashOrder = async (req, res) => {
           select: {
             id: true,
             name: true,
+            serviceAreas: activeServiceAreasSelect,
             branches: {
               where: { status: 'active' },
               select: {
@@ -606,9 +681,13 @@ const createCashOrder = async (req, res) => {
       }
     });
 
-    if (productForBranch?.restaurant?.branches?.[0]) {
+    // La cobertura no aplica a los pedidos para recoger
+    if (!isPickup && productForBranch?.restaurant?.branches?.[0]) {
       const branch = productForBranch.restaurant.branches[0];
-      const isCovered = isWithinCoverage(branch, address);
+      const isCovered = isWithinCoverage(
+        { ...branch, serviceAreas: flattenServiceAreas(productForBranch.restaurant.serviceAreas) },
+        address
+      );
 
       if (!isCovered) {
         logger.warn('Dirección fuera del área de cobertura', {
@@ -725,106 +804,38 @@ const createCashOrder = async (req, res) => {
       });
     }
 
-    // 8. Validar horario de la sucursal
-    const currentDate = new Date();
-    const currentDayOfWeek = currentDate.getDay(); // 0=Domingo, 1=Lunes, ..., 6=Sábado
-    const currentTime = currentDate.toTimeString().slice(0, 8); // HH:MM:SS
-
-    logger.debug('Validando horario de sucursal', {
-      requestId: req.id,
-      meta: { 
-        branchId, 
-        currentDayOfWeek, 
-        currentTime 
-      }
-    });
-
-    const branchSchedule = await prisma.branchSchedule.findFirst({
-      where: {
-        branchId: branchId,
-        dayOfWeek: currentDayOfWeek
-      }
-    });
-
-    if (!branchSchedule) {
-      logger.warn('No se encontró horario para la sucursal', {
-        requestId: req.id,
-        meta: { branchId, currentDayOfWeek }
-      });
-      return res.status(409).json({
-        status: 'error',
-        message: 'El restaurante está cerrado hoy'
-      });
-    }
-
-    if (branchSchedule.isClosed) {
-      logger.warn('Sucursal está cerrada hoy', {
-        requestId: req.id,
-        meta: { branchId, isClosed: branchSchedule.isClosed }
-      });
-      return res.status(409).json({
-        status: 'error',
-        message: 'El restaurante está cerrado hoy'
-      });
-    }
-
-    // Validar que la hora actual esté dentro del horario de atención
-    const openingTime = branchSchedule.openingTime; // Ya es string HH:MM:SS
-    const closingTime = branchSchedule.closingTime; // Ya es string HH:MM:SS
-
-    logger.debug('Horario de sucursal', {
-      requestId: req.id,
-      meta: {
-        branchId,
-        openingTime,
-        closingTime,
-        currentTime,
-        is24Hours: branchSchedule.is24Hours
-      }
-    });
-
-    // Convertir tiempos a minutos para comparación correcta
-    const timeToMinutes = (timeString) => {
-      const [hours, minutes, seconds] = timeString.split(':').map(Number);
-      return hours * 60 + minutes + seconds / 60;
-    };
-
-    const currentMinutes = timeToMinutes(currentTime);
-    const openingMinutes = timeToMinutes(openingTime);
-    const closingMinutes = timeToMinutes(closingTime);
-
-    // Verificar si estamos en horario de 24 horas (00:00:00 a 23:59:59)
-    const is24Hours = openingMinutes === 0 && closingMinutes >= 1439; // 23:59 = 1439 minutos
-
-    if (!is24Hours && (currentMinutes < openingMinutes || currentMinutes > closingMinutes)) {
-      logger.warn('Hora actual está fuera del horario de atención', {
-        requestId: req.id,
-        meta: {
-          branchId,
-          currentTime,
-          openingTime,
-          closingTime
-        }
-      });
-      return res.status(409).json({
-        status: 'error',
-        message: `El restaurante está cerrado en este momento. Horario de hoy: ${openingTime} a ${closingTime}`
-      });
-    }
-
-    logger.debug('Sucursal está abierta, continuando con el proceso de pago', {
-      requestId: req.id,
-      meta: { branchId }
-    });
+    // 8. Validar que el restaurante reciba pedidos: pausado no recibe ninguno; cerrado (horario
+    // semanal o excepción) solo programados, que validan su hora más adelante
+    await RestaurantHoursService.assertCanReceiveOrders(
+      restaurant.id,
+      { scheduled: Boolean(scheduledFor) },
+      req.id
+    );
 
     // 9. Obtener la sucursal para cálculos
     const branch = firstProduct.restaurant.branches[0];
 
-    // 10. CALCULAR PRECIOS USANDO LA FUNCIÓN CENTRALIZADA
+    // 10. CALCULAR PRECIOS USANDO LA FUNCIÓN CENTRALIZADA (incluye el cupón, si se envió)
     let pricing;
     try {
-      pricing = await calculateOrderPricing(itemsToProcess, products, branch, address);
+      pricing = await PricingService.calculateOrderPricing(
+        itemsToProcess,
+        products,
+        branch,
+        address,
+        req.id,
+        couponCode ? { code: couponCode, userId, restaurantId: restaurant.id } : null,
+        tipAmount
+      );
     } catch (error) {
+      if (error.status && error.code) {
+        return res.status(error.status).json({
+          status: 'error',
+          message: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
       logger.error('Error calculando precios', {
         requestId: req.id,
         error: error.message,
@@ -838,13 +849,40 @@ const createCashOrder = async (req, res) => {
       });
     }
 
-    const { subtotal, deliveryFee, serviceFee, total, deliveryDetails, travelTimeMinutes } = pricing;
+    const { subtotal, deliveryFee, serviceFee, discountAmount, coupon, appliedCoupon, total, deliveryDetails, travelTimeMinutes } = pricing;
 
     // 11. Calcular tiempo estimado de entrega
-    const estimatedDeliveryTime = calculateEstimatedDeliveryTime(
+    const estimatedDeliveryTime = PricingService.calculateEstimatedDeliveryTime(
       travelTimeMinutes || 0, 
       itemsToProcess.length, 
-      restaurant.name
+      restaurant.name,
+      req.id,
+      isPickup
+    );
+
+    // Validar la hora de entrega programada contra los horarios y el tiempo de preparación
+    let schedule = null;
+    if (scheduledFor) {
+      try {
+        schedule = await ScheduledOrderService.validateScheduledSlot(restaurant.id, scheduledFor, estimatedDeliveryTime, req.id);
+      } catch (error) {
+        if (error.status && error.code) {
+          return res.status(error.status).json({
+            status: 'error',
+            message: error.message,
+            code: error.code,
+            details: error.details
+          });
+        }
+        throw error;
+      }
+    }
+
+    // Los productos deben estar dentro de su horario de disponibilidad (a la hora de entrega si es programado)
+    await MenuAvailabilityService.assertProductsAvailableAt(
+      productIds,
+      schedule ? schedule.scheduledFor : new Date(),
+      req.id
     );
 
     // 12. Construir items de la orden
@@ -916,14 +954,25 @@ const createCashOrder = async (req, res) => {
         data: {
           customerId: userId,
           branchId: branchId,
-          addressId: addressId,
-          status: 'pending',
+          addressId: isPickup ? null : addressId,
+          fulfillmentType: fulfillmentType,
+          pickupCode: isPickup ? OrderService.generatePickupCode() : null,
+          // Un pedido programado se retiene hasta su hora de liberación
+          status: schedule ? 'scheduled' : 'pending',
+          scheduledFor: schedule ? schedule.scheduledFor : null,
+          scheduledReleaseAt: schedule ? schedule.releaseAt : null,
           subtotal: subtotal,
           deliveryFee: deliveryFee,
           total: total,
           commissionRateSnapshot: restaurant.commissionRate,
           platformFee: serviceFee,
-          restaurantPayout: subtotal - (subtotal * restaurant.commissionRate / 100),
+          // Los cupones del restaurante se descuentan de su ganancia; los de la plataforma los absorbe Delixmi
+          restaurantPayout: subtotal - (subtotal * restaurant.commissionRate / 100) - (coupon && coupon.fundedBy === 'restaurant' ? discountAmount : 0),
+          couponId: coupon ? coupon.id : null,
+          couponCode: coupon ? coupon.code : null,
+          discountAmount: discountAmount,
+          tipAmount: tipAmount,
+          discountFundedBy: coupon ? coupon.fundedBy : null,
           paymentMethod: 'cash',
           paymentStatus: 'pending',
           specialInstructions: specialInstructions || null,
@@ -936,6 +985,10 @@ const createCashOrder = async (req, res) => {
         meta: { orderId: order.id }
       });
 
+      if (coupon) {
+        await CouponService.redeemCoupon(tx, coupon, userId, order.id, discountAmount, req.id);
+      }
+
       // Crear items de la orden y copiar modificadores si es necesario
       for (const item of orderItems) {
         const orderItem = await tx.orderItem.create({
@@ -979,6 +1032,9 @@ const createCashOrder = async (req, res) => {
         meta: { itemsCount: orderItems.length }
       });
 
+      // Apartar el stock de los productos con control de inventario (falla si no alcanza)
+      const stockAlerts = await StockService.reserveOrderStock(tx, order.id, orderItems, req.id);
+
       // Crear registro de pago
       const payment = await tx.payment.create({
         data: {
@@ -996,9 +1052,11 @@ const createCashOrder = async (req, res) => {
         meta: { paymentId: payment.id, orderId: order.id }
       });
 
-      return { order, payment };
+      return { order, payment, stockAlerts };
     });
 
+    StockService.notifyStockAlerts(result.stockAlerts, req.id);
+
     // 14. Limpiar carrito del restaurante específico (solo si se usó carrito)
     if (useCart) {
       logger.info('Limpiando carrito del restaurante', {
@@ -1026,34 +1084,39 @@ const createCashOrder = async (req, res) => {
       }
     }
 
-    // 15. Emitir evento de nueva orden por Socket.io
-    logger.info('Emitiendo evento de nueva orden', {
-      requestId: req.id,
-      meta: { branchId, orderId: result.order.id }
-    });
-    try {
-      const io = getIo();
-      io.to(`branch_${branchId}`).emit('new_order', {
-        orderId: Number(result.order.id),
-        customerId: Number(userId),
-        restaurantName: restaurant.name,
-        total: Number(total),
-        items: orderItems.length,
-        estimatedDeliveryTime: estimatedDeliveryTime.timeRange,
-        orderPlacedAt: result.order.orderPlacedAt
-      });
-      logger.info('Evento de nueva orden emitido exitosamente', {
+    // 15. Emitir evento de nueva orden por Socket.io (los programados se notifican al liberarse)
+    if (!schedule) {
+      logger.info('Emitiendo evento de nueva orden', {
         requestId: req.id,
         meta: { branchId, orderId: result.order.id }
       });
-    } catch (error) {
-      logger.warn('Socket.io no disponible', {
-        requestId: req.id,
-        error: error.message,
-        meta: { branchId }
-      });
+      try {
+        const io = getIo();
+        io.to(`branch_${branchId}`).emit('new_order', {
+          orderId: Number(result.order.id),
+          customerId: Number(userId),
+          restaurantName: restaurant.name,
+          total: Number(total),
+          items: orderItems.length,
+          estimatedDeliveryTime: estimatedDeliveryTime.timeRange,
+          orderPlacedAt: result.order.orderPlacedAt
+        });
+        logger.info('Evento de nueva orden emitido exitosamente', {
+          requestId: req.id,
+          meta: { branchId, orderId: result.order.id }
+        });
+      } catch (error) {
+        logger.warn('Socket.io no disponible', {
+          requestId: req.id,
+          error: error.message,
+          meta: { branchId }
+        });
+      }
     }
 
+    // Con aceptación automática el restaurante confirma el pedido en cuanto llega
+    const autoAccepted = !schedule && await OrderAcceptanceService.autoAcceptIfEnabled(result.order.id, req.id);
+
     // 16. Respuesta exitosa
     logger.info('Orden de pago en efectivo creada exitosamente', {
       requestId: req.id,
@@ -1070,14 +1133,21 @@ const createCashOrder = async (req, res) => {
       data: {
         order: {
           id: Number(result.order.id),
-          status: result.order.status,
+          status: autoAccepted ? 'confirmed' : result.order.status,
           subtotal: Number(result.order.subtotal),
           deliveryFee: Number(result.order.deliveryFee),
           serviceFee: Number(result.order.platformFee),
+          discountAmount: Number(result.order.discountAmount),
+          tipAmount: Number(result.order.tipAmount),
+          coupon: appliedCoupon,
           total: Number(result.order.total),
           paymentMethod: result.order.paymentMethod,
           paymentStatus: result.order.paymentStatus,
           estimatedDeliveryTime: estimatedDeliveryTime,
+          fulfillmentType: result.order.fulfillmentType,
+          pickupCode: result.order.pickupCode,
+          scheduledFor: result.order.scheduledFor,
+          scheduledReleaseAt: result.order.scheduledReleaseAt,
           deliveryDetails: deliveryDetails ? {
             distance: deliveryDetails.distance,
             duration: deliveryDetails.duration,
@@ -1104,6 +1174,16 @@ const createCashOrder = async (req, res) => {
     });
 
   } catch (error) {
+    // El cupón o el stock pudieron agotarse entre la validación y la creación del pedido, o un producto quedó fuera de su horario
+    if (error.status && error.code) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
     logger.error('Error creando orden de pago en efectivo', {
       requestId: req.id,
       error: error.message,
@@ -0,0 +1,293 @@
+const fs = require('fs');
+const ComplaintRepository = require('../repositories/complaint.repository');
+const UserService = require('../services/user.service');
+const ResponseService = require('../services/response.service');
+const { getBaseUrl } = require('./upload.controller');
+
+/**
+ * Responde un error lanzado por el repositorio de quejas
+ * @param {Object} res - Response object
+ * @param {Object} error - Error con status, message, code y details
+ */
+const handleComplaintError = (res, error) => {
+  if (error.status && error.status < 500) {
+    return ResponseService.error(
+      res,
+      error.message,
+      error.details || null,
+      error.status,
+      error.code
+    );
+  }
+  return ResponseService.error(
+    res,
+    'Error interno del servidor',
+    null,
+    500,
+    'INTERNAL_ERROR'
+  );
+};
+
+/**
+ * Elimina del disco las fotos subidas cuando el mensaje no se pudo guardar
+ * @param {Array} files - Archivos subidos por multer
+ */
+const removeUploadedFiles = (files) => {
+  (files || []).forEach(file => {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  });
+};
+
+/**
+ * Obtiene el restaurante del dueño autenticado o responde 404
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Promise<number|null>} ID del restaurante o null si ya se respondió
+ */
+const resolveOwnerRestaurantId = async (req, res) => {
+  const restaurantId = await UserService.getRestaurantIdByOwnerId(req.user.id, req.id);
+  if (!restaurantId) {
+    ResponseService.error(
+      res,
+      'Restaurante no encontrado para este propietario',
+      null,
+      404,
+      'RESTAURANT_NOT_FOUND'
+    );
+    return null;
+  }
+  return restaurantId;
+};
+
+/**
+ * Agrega un mensaje a la conversación como el participante indicado
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} viewer - { userId, role, restaurantId }
+ */
+const respondWithNewMessage = async (req, res, viewer) => {
+  try {
+    const message = await ComplaintRepository.addMessage(
+      req.params.complaintId,
+      viewer,
+      req.body.body,
+      req.files || [],
+      getBaseUrl(req),
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Mensaje enviado exitosamente',
+      { message },
+      201
+    );
+
+  } catch (error) {
+    removeUploadedFiles(req.files);
+    return handleComplaintError(res, error);
+  }
+};
+
+/**
+ * Abre una queja del cliente autenticado
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const createComplaint = async (req, res) => {
+  try {
+    const complaint = await ComplaintRepository.createComplaint(
+      req.user.id,
+      req.body,
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Queja registrada exitosamente',
+      { complaint },
+      201
+    );
+
+  } catch (error) {
+    return handleComplaintError(res, error);
+  }
+};
+
+/**
+ * Lista las quejas del cliente autenticado
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getCustomerComplaints = async (req, res) => {
+  try {
+    const result = await ComplaintRepository.listComplaints(
+      { userId: req.user.id },
+      req.query,
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Quejas obtenidas exitosamente',
+      result,
+      200
+    );
+
+  } catch (error) {
+    return handleComplaintError(res, error);
+  }
+};
+
+/**
+ * Obtiene el detalle y la conversación de una queja del cliente autenticado
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getCustomerComplaintDetail = async (req, res) => {
+  try {
+    const complaint = await ComplaintRepository.getComplaintDetail(
+      req.params.complaintId,
+      { userId: req.user.id, role: 'customer' },
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Queja obtenida exitosamente',
+      { complaint },
+      200
+    );
+
+  } catch (error) {
+    return handleComplaintError(res, error);
+  }
+};
+
+/**
+ * Envía un mensaje del cliente en una de sus quejas
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const addCustomerMessage = async (req, res) => {
+  return respondWithNewMessage(req, res, { userId: req.user.id, role: 'customer' });
+};
+
+/**
+ * Lista las quejas que involucran al restaurante del dueño autenticado
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getOwnerComplaints = async (req, res) => {
+  try {
+    const restaurantId = await resolveOwnerRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const result = await ComplaintRepository.listComplaints(
+      { restaurantId },
+      req.query,
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Quejas del restaurante obtenidas exitosamente',
+      result,
+      200
+    );
+
+  } catch (error) {
+    return handleComplaintError(res, error);
+  }
+};
+
+/**
+ * Obtiene el detalle de una queja que involucra al restaurante del dueño
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getOwnerComplaintDetail = async (req, res) => {
+  try {
+    const restaurantId = await resolveOwnerRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const complaint = await ComplaintRepository.getComplaintDetail(
+      req.params.complaintId,
+      { userId: req.user.id, role: 'restaurant', restaurantId },
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Queja obtenida exitosamente',
+      { complaint },
+      200
+    );
+
+  } catch (error) {
+    return handleComplaintError(res, error);
+  }
+};
+
+/**
+ * Envía un mensaje del restaurante en una queja que lo involucra
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const addOwnerMessage = async (req, res) => {
+  const restaurantId = await resolveOwnerRestaurantId(req, res);
+  if (!restaurantId) {
+    removeUploadedFiles(req.files);
+    return;
+  }
+
+  return respondWithNewMessage(req, res, { userId: req.user.id, role: 'restaurant', restaurantId });
+};
+
+/**
+ * Obtiene el detalle de cualquier queja (soporte)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getSupportComplaintDetail = async (req, res) => {
+  try {
+    const complaint = await ComplaintRepository.getComplaintDetail(
+      req.params.complaintId,
+      { userId: req.user.id, role: 'support' },
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Queja obtenida exitosamente',
+      { complaint },
+      200
+    );
+
+  } catch (error) {
+    return handleComplaintError(res, error);
+  }
+};
+
+/**
+ * Envía un mensaje de soporte en cualquier queja
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const addSupportMessage = async (req, res) => {
+  return respondWithNewMessage(req, res, { userId: req.user.id, role: 'support' });
+};
+
+module.exports = {
+  createComplaint,
+  getCustomerComplaints,
+  getCustomerComplaintDetail,
+  addCustomerMessage,
+  getOwnerComplaints,
+  getOwnerComplaintDetail,
+  addOwnerMessage,
+  getSupportComplaintDetail,
+  addSupportMessage
+};
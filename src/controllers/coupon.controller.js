@@ -0,0 +1,250 @@
+const CouponRepository = require('../repositories/coupon.repository');
+const UserService = require('../services/user.service');
+const ResponseService = require('../services/response.service');
+
+/**
+ * Responde un error lanzado por el repositorio de cupones
+ * @param {Object} res - Response object
+ * @param {Object} error - Error con status, message, code y details
+ */
+const handleCouponError = (res, error) => {
+  if (error.status && error.status < 500) {
+    return ResponseService.error(
+      res,
+      error.message,
+      error.details || null,
+      error.status,
+      error.code
+    );
+  }
+  return ResponseService.error(
+    res,
+    'Error interno del servidor',
+    null,
+    500,
+    'INTERNAL_ERROR'
+  );
+};
+
+/**
+ * Construye el actor owner con su restaurante o responde 404
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Promise<Object|null>} Actor o null si ya se respondió
+ */
+const resolveOwnerActor = async (req, res) => {
+  const restaurantId = await UserService.getRestaurantIdByOwnerId(req.user.id, req.id);
+  if (!restaurantId) {
+    ResponseService.error(
+      res,
+      'Restaurante no encontrado para este propietario',
+      null,
+      404,
+      'RESTAURANT_NOT_FOUND'
+    );
+    return null;
+  }
+  return { userId: req.user.id, role: 'owner', restaurantId };
+};
+
+/**
+ * Construye el actor Super Admin
+ * @param {Object} req - Request object
+ * @returns {Object} Actor
+ */
+const adminActor = (req) => ({ userId: req.user.id, role: 'admin', restaurantId: null });
+
+/**
+ * Crea un cupón financiado por el restaurante del dueño autenticado
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const createOwnerCoupon = async (req, res) => {
+  try {
+    const actor = await resolveOwnerActor(req, res);
+    if (!actor) return;
+
+    const coupon = await CouponRepository.createCoupon(req.body, actor, req.id);
+
+    return ResponseService.success(
+      res,
+      'Cupón creado exitosamente',
+      { coupon },
+      201
+    );
+
+  } catch (error) {
+    return handleCouponError(res, error);
+  }
+};
+
+/**
+ * Lista los cupones del restaurante del dueño autenticado
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getOwnerCoupons = async (req, res) => {
+  try {
+    const actor = await resolveOwnerActor(req, res);
+    if (!actor) return;
+
+    const result = await CouponRepository.listCoupons(
+      { restaurantId: actor.restaurantId, fundedBy: 'restaurant' },
+      req.query,
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Cupones del restaurante obtenidos exitosamente',
+      result,
+      200
+    );
+
+  } catch (error) {
+    return handleCouponError(res, error);
+  }
+};
+
+/**
+ * Actualiza un cupón del restaurante del dueño autenticado
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const updateOwnerCoupon = async (req, res) => {
+  try {
+    const actor = await resolveOwnerActor(req, res);
+    if (!actor) return;
+
+    const coupon = await CouponRepository.updateCoupon(req.params.couponId, req.body, actor, req.id);
+
+    return ResponseService.success(
+      res,
+      'Cupón actualizado exitosamente',
+      { coupon },
+      200
+    );
+
+  } catch (error) {
+    return handleCouponError(res, error);
+  }
+};
+
+/**
+ * Elimina un cupón del restaurante del dueño autenticado
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const deleteOwnerCoupon = async (req, res) => {
+  try {
+    const actor = await resolveOwnerActor(req, res);
+    if (!actor) return;
+
+    const coupon = await CouponRepository.deleteCoupon(req.params.couponId, actor, req.id);
+
+    return ResponseService.success(
+      res,
+      'Cupón eliminado exitosamente',
+      { coupon },
+      200
+    );
+
+  } catch (error) {
+    return handleCouponError(res, error);
+  }
+};
+
+/**
+ * Crea un cupón de plataforma o de un restaurante
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const createAdminCoupon = async (req, res) => {
+  try {
+    const coupon = await CouponRepository.createCoupon(req.body, adminActor(req), req.id);
+
+    return ResponseService.success(
+      res,
+      'Cupón creado exitosamente',
+      { coupon },
+      201
+    );
+
+  } catch (error) {
+    return handleCouponError(res, error);
+  }
+};
+
+/**
+ * Lista todos los cupones
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getAdminCoupons = async (req, res) => {
+  try {
+    const result = await CouponRepository.listCoupons({}, req.query, req.id);
+
+    return ResponseService.success(
+      res,
+      'Cupones obtenidos exitosamente',
+      result,
+      200
+    );
+
+  } catch (error) {
+    return handleCouponError(res, error);
+  }
+};
+
+/**
+ * Actualiza cualquier cupón
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const updateAdminCoupon = async (req, res) => {
+  try {
+    const coupon = await CouponRepository.updateCoupon(req.params.couponId, req.body, adminActor(req), req.id);
+
+    return ResponseService.success(
+      res,
+      'Cupón actualizado exitosamente',
+      { coupon },
+      200
+    );
+
+  } catch (error) {
+    return handleCouponError(res, error);
+  }
+};
+
+/**
+ * Elimina cualquier cupón
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const deleteAdminCoupon = async (req, res) => {
+  try {
+    const coupon = await CouponRepository.deleteCoupon(req.params.couponId, adminActor(req), req.id);
+
+    return ResponseService.success(
+      res,
+      'Cupón eliminado exitosamente',
+      { coupon },
+      200
+    );
+
+  } catch (error) {
+    return handleCouponError(res, error);
+  }
+};
+
+module.exports = {
+  createOwnerCoupon,
+  getOwnerCoupons,
+  updateOwnerCoupon,
+  deleteOwnerCoupon,
+  createAdminCoupon,
+  getAdminCoupons,
+  updateAdminCoupon,
+  deleteAdminCoupon
+};
@@ -1,5 +1,5 @@
 const { PrismaClient } = require('@prisma/client');
-const { validateCoverageForBranches } = require('../services/geolocation.service');
+const { validateCoverageForBranches, activeServiceAreasSelect, flattenServiceAreas } = require('../services/geolocation.service');
 const cacheService = require('../services/cache.service');
 const ResponseService = require('../services/response.service');
 const { logger } = require('../config/logger');
@@ -93,7 +93,8 @@ const checkAddressCoverage = async (req, res) => {
             coverPhotoUrl: true,
             category: true,
             rating: true,
-            status: true
+            status: true,
+            serviceAreas: activeServiceAreasSelect
           }
         }
       }
@@ -101,8 +102,14 @@ const checkAddressCoverage = async (req, res) => {
 
     console.log(`📍 Validando cobertura para ${branches.length} sucursales activas`);
 
-    // 4. Validar cobertura para cada sucursal
-    const branchesWithCoverage = validateCoverageForBranches(branches, address);
+    // 4. Validar cobertura para cada sucursal (radio de entrega + áreas de servicio del restaurante)
+    const branchesWithCoverage = validateCoverageForBranches(
+      branches.map((branch) => ({
+        ...branch,
+        serviceAreas: flattenServiceAreas(branch.restaurant.serviceAreas)
+      })),
+      address
+    );
 
     // 5. Separar sucursales con y sin cobertura
     const coveredBranches = branchesWithCoverage.filter((b) => b.isCovered);
@@ -306,7 +313,8 @@ const checkCoverageByCoordinates = async (req, res) => {
               logoUrl: true,
               coverPhotoUrl: true,
               category: true,
-              rating: true
+              rating: true,
+              serviceAreas: activeServiceAreasSelect
             }
           }
         }
@@ -318,8 +326,14 @@ const checkCoverageByCoordinates = async (req, res) => {
         longitude: longitude
       };
 
-      // Validar cobertura
-      const branchesWithCoverage = validateCoverageForBranches(branches, userAddress);
+      // Validar cobertura (radio de entrega + áreas de servicio del restaurante)
+      const branchesWithCoverage = validateCoverageForBranches(
+        branches.map(branch => ({
+          ...branch,
+          serviceAreas: flattenServiceAreas(branch.restaurant.serviceAreas)
+        })),
+        userAddress
+      );
 
       // Separar sucursales con y sin cobertura
       const coveredBranches = branchesWithCoverage.filter(b => b.isCovered);
@@ -1,4 +1,5 @@
 const { PrismaClient } = require('@prisma/client');
+const TipService = require('../services/tip.service');
 
 const prisma = new PrismaClient();
 
@@ -459,20 +460,21 @@ const getCustomerOrders = async (req, res) => {
         orderDeliveredAt: true,
         createdAt: true,
         updatedAt: true,
-        branch: {
+        fulfillmentType: true,
+        pickupCode: true,
+        tipAmount: true,
+        tips: {
+          where: { status: 'completed' },
+          select: { amount: true }
+        },
+        restaurant: {
           select: {
             id: true,
             name: true,
+            logoUrl: true,
+            coverPhotoUrl: true,
             address: true,
-            phone: true,
-            restaurant: {
-              select: {
-                id: true,
-                name: true,
-                logoUrl: true,
-                coverPhotoUrl: true
-              }
-            }
+            phone: true
           }
         },
         address: {
@@ -538,19 +540,18 @@ const getCustomerOrders = async (req, res) => {
       orderDeliveredAt: order.orderDeliveredAt,
       createdAt: order.createdAt,
       updatedAt: order.updatedAt,
+      fulfillmentType: order.fulfillmentType,
+      pickupCode: order.pickupCode,
+      tipAmount: TipService.getTotalTip(order),
       restaurant: {
-        id: order.branch.restaurant.id,
-        name: order.branch.restaurant.name,
-        logoUrl: order.branch.restaurant.logoUrl,
-        coverPhotoUrl: order.branch.restaurant.coverPhotoUrl,
-        branch: {
-          id: order.branch.id,
-          name: order.branch.name,
-          address: order.branch.address,
-          phone: order.branch.phone
-        }
+        id: order.restaurant.id,
+        name: order.restaurant.name,
+        logoUrl: order.restaurant.logoUrl,
+        coverPhotoUrl: order.restaurant.coverPhotoUrl,
+        address: order.restaurant.address,
+        phone: order.restaurant.phone
       },
-      deliveryAddress: {
+      deliveryAddress: order.address ? {
         id: order.address.id,
         alias: order.address.alias,
         street: order.address.street,
@@ -561,7 +562,7 @@ const getCustomerOrders = async (req, res) => {
         state: order.address.state,
         zipCode: order.address.zipCode,
         references: order.address.references
-      },
+      } : null,
       deliveryDriver: order.deliveryDriver ? {
         id: order.deliveryDriver.id,
         name: order.deliveryDriver.name,
@@ -1411,27 +1412,32 @@ const getCustomerOrderDetails = async (req, res) => {
         subtotal: true,
         deliveryFee: true,
         total: true,
+        discountAmount: true,
+        couponCode: true,
+        refundedAmount: true,
         paymentMethod: true,
         paymentStatus: true,
         specialInstructions: true,
         orderPlacedAt: true,
         orderDeliveredAt: true,
+        scheduledFor: true,
         createdAt: true,
         updatedAt: true,
-        branch: {
+        fulfillmentType: true,
+        pickupCode: true,
+        tipAmount: true,
+        tips: {
+          where: { status: 'completed' },
+          select: { amount: true }
+        },
+        restaurant: {
           select: {
             id: true,
             name: true,
+            logoUrl: true,
+            coverPhotoUrl: true,
             address: true,
-            phone: true,
-            restaurant: {
-              select: {
-                id: true,
-                name: true,
-                logoUrl: true,
-                coverPhotoUrl: true
-              }
-            }
+            phone: true
           }
         },
         address: {
@@ -1472,6 +1478,32 @@ const getCustomerOrderDetails = async (req, res) => {
               }
             }
           }
+        },
+        complaints: {
+          where: {
+            userId: userId,
+            deletedAt: null
+          },
+          select: {
+            id: true,
+            target: true,
+            subject: true,
+            status: true,
+            createdAt: true
+          },
+          orderBy: { createdAt: 'desc' }
+        },
+        refunds: {
+          where: { status: 'completed' },
+          select: {
+            id: true,
+            type: true,
+            reason: true,
+            amount: true,
+            status: true,
+            processedAt: true
+          },
+          orderBy: { createdAt: 'desc' }
         }
       }
     });
@@ -1499,7 +1531,10 @@ const getCustomerOrderDetails = async (req, res) => {
     // 5. Calcular tiempo estimado de entrega (simplificado)
     const estimatedDeliveryTime = {
       timeRange: "30-45 min", // Se puede calcular dinámicamente
-      estimatedDeliveryAt: new Date(order.orderPlacedAt.getTime() + 45 * 60 * 1000).toISOString()
+      // Un pedido programado se entrega a la hora elegida por el cliente
+      estimatedDeliveryAt: order.scheduledFor
+        ? order.scheduledFor.toISOString()
+        : new Date(order.orderPlacedAt.getTime() + 45 * 60 * 1000).toISOString()
     };
 
     // 6. Formatear la respuesta
@@ -1511,25 +1546,28 @@ const getCustomerOrderDetails = async (req, res) => {
       paymentStatus: order.paymentStatus,
       subtotal: Number(order.subtotal),
       deliveryFee: Number(order.deliveryFee),
-      serviceFee: Number(order.total - order.subtotal - order.deliveryFee),
+      serviceFee: Number(order.total) - Number(order.subtotal) - Number(order.deliveryFee) + Number(order.discountAmount) - Number(order.tipAmount),
+      discountAmount: Number(order.discountAmount),
+      couponCode: order.couponCode,
       total: Number(order.total),
       specialInstructions: order.specialInstructions,
       orderPlacedAt: order.orderPlacedAt,
       orderDeliveredAt: order.orderDeliveredAt,
+      scheduledFor: order.scheduledFor,
       estimatedDeliveryTime: estimatedDeliveryTime,
+      // Los pedidos para recoger muestran el código que el cliente presenta en el restaurante
+      fulfillmentType: order.fulfillmentType,
+      pickupCode: order.pickupCode,
+      tipAmount: TipService.getTotalTip(order),
       restaurant: {
-        id: order.branch.restaurant.id,
-        name: order.branch.restaurant.name,
-        logoUrl: order.branch.restaurant.logoUrl,
-        coverPhotoUrl: order.branch.restaurant.coverPhotoUrl,
-        branch: {
-          id: order.branch.id,
-          name: order.branch.name,
-          address: order.branch.address,
-          phone: order.branch.phone
-        }
+        id: order.restaurant.id,
+        name: order.restaurant.name,
+        logoUrl: order.restaurant.logoUrl,
+        coverPhotoUrl: order.restaurant.coverPhotoUrl,
+        address: order.restaurant.address,
+        phone: order.restaurant.phone
       },
-      deliveryAddress: {
+      deliveryAddress: order.address ? {
         id: order.address.id,
         alias: order.address.alias,
         street: order.address.street,
@@ -1542,7 +1580,7 @@ const getCustomerOrderDetails = async (req, res) => {
         references: order.address.references,
         latitude: Number(order.address.latitude),
         longitude: Number(order.address.longitude)
-      },
+      } : null,
       deliveryDriver: order.deliveryDriver ? {
         id: order.deliveryDriver.id,
         name: order.deliveryDriver.name,
@@ -1561,6 +1599,18 @@ const getCustomerOrderDetails = async (req, res) => {
           description: item.product.description
         }
       })),
+      // Quejas abiertas por el cliente sobre este pedido (POST /api/customer/complaints)
+      complaints: order.complaints,
+      // Reembolsos aplicados por soporte (POST /api/admin/orders/:id/refunds)
+      refundedAmount: Number(order.refundedAmount),
+      refunds: order.refunds.map(refund => ({
+        id: refund.id.toString(),
+        type: refund.type,
+        reason: refund.reason,
+        amount: Number(refund.amount),
+        status: refund.status,
+        processedAt: refund.processedAt
+      })),
       createdAt: order.createdAt,
       updatedAt: order.updatedAt
     };
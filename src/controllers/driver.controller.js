@@ -3,6 +3,7 @@ const { getIo } = require('../config/socket');
 const { formatOrderForSocket } = require('./restaurant-admin.controller');
 const DriverRepository = require('../repositories/driver.repository');
 const ResponseService = require('../services/response.service');
+const DriverCashService = require('../services/driver-cash.service');
 
 const prisma = new PrismaClient();
 
@@ -33,6 +34,7 @@ const getAvailableOrders = async (req, res) => {
       {
         orders: result.orders,
         pagination: result.pagination,
+        cashStatus: result.cashStatus,
         driverInfo: {
           userId: userId,
           userName: `${req.user.name} ${req.user.lastname}`
@@ -127,6 +129,51 @@ const acceptOrder = async (req, res) => {
       );
     }
     if (error.status === 409) {
+      return ResponseService.error(
+        res,
+        error.message,
+        error.details || null,
+        error.status,
+        error.code
+      );
+    }
+    return ResponseService.error(
+      res,
+      'Error interno del servidor',
+      null,
+      500,
+      'INTERNAL_ERROR'
+    );
+  }
+};
+
+/**
+ * Rechaza la oferta de un pedido hecha por el despacho automático
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const rejectOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { reason } = req.body;
+    const userId = req.user.id;
+
+    const result = await DriverRepository.rejectOrder(
+      orderId,
+      userId,
+      reason,
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Oferta de pedido rechazada exitosamente',
+      result,
+      200
+    );
+
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
       return ResponseService.error(
         res,
         error.message,
@@ -673,9 +720,115 @@ const getDriverEarningsSummary = async (req, res) => {
   }
 };
 
+/**
+ * Obtiene el efectivo en mano del repartidor y su límite
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getDriverCashStatus = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const cashStatus = await DriverCashService.getCashStatus(userId);
+
+    return ResponseService.success(
+      res,
+      'Estado de efectivo obtenido exitosamente',
+      { cashStatus },
+      200
+    );
+
+  } catch (error) {
+    if (error.status === 404) {
+      return ResponseService.error(
+        res,
+        error.message,
+        error.details || null,
+        error.status,
+        error.code
+      );
+    }
+    return ResponseService.error(
+      res,
+      'Error interno del servidor',
+      null,
+      500,
+      'INTERNAL_ERROR'
+    );
+  }
+};
+
+/**
+ * Declara un depósito del efectivo cobrado; queda pendiente hasta que un administrador lo confirme
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const createCashDeposit = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const deposit = await DriverCashService.createDeposit(userId, req.body, req.id);
+
+    return ResponseService.success(
+      res,
+      'Depósito de efectivo registrado; queda pendiente de confirmación',
+      { deposit },
+      201
+    );
+
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
+      return ResponseService.error(
+        res,
+        error.message,
+        error.details || null,
+        error.status,
+        error.code
+      );
+    }
+    return ResponseService.error(
+      res,
+      'Error interno del servidor',
+      null,
+      500,
+      'INTERNAL_ERROR'
+    );
+  }
+};
+
+/**
+ * Lista los depósitos de efectivo declarados por el repartidor
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getDriverCashDeposits = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await DriverCashService.getDriverDeposits(userId, req.query);
+
+    return ResponseService.success(
+      res,
+      'Depósitos de efectivo obtenidos exitosamente',
+      result,
+      200
+    );
+
+  } catch (error) {
+    return ResponseService.error(
+      res,
+      'Error interno del servidor',
+      null,
+      500,
+      'INTERNAL_ERROR'
+    );
+  }
+};
+
 module.exports = {
   getAvailableOrders,
   acceptOrder,
+  rejectOrder,
   completeOrder,
   updateDriverStatus,
   getCurrentOrder,
@@ -684,5 +837,8 @@ module.exports = {
   getDriverProfile,
   getDriverWallet,
   getDriverWalletTransactions,
-  getDriverEarningsSummary
+  getDriverEarningsSummary,
+  getDriverCashStatus,
+  createCashDeposit,
+  getDriverCashDeposits
 };
@@ -1,72 +1,16 @@
 const { PrismaClient } = require('@prisma/client');
 const cacheService = require('../services/cache.service');
 const ResponseService = require('../services/response.service');
+const RestaurantHoursService = require('../services/restaurant-hours.service');
 const { logger } = require('../config/logger');
-const { calculateDistance } = require('../services/geolocation.service');
+const { calculateDistance, activeServiceAreasSelect, flattenServiceAreas, isWithinServiceAreas } = require('../services/geolocation.service');
 
 const prisma = new PrismaClient();
 
-/**
- * Función auxiliar para convertir tiempo HH:MM:SS a minutos desde medianoche
- * @param {string} timeStr - Tiempo en formato "HH:MM:SS"
- * @returns {number} - Minutos desde medianoche
- */
-const timeToMinutes = (timeStr) => {
-  const [hours, minutes, seconds] = timeStr.split(':').map(Number);
-  return hours * 60 + minutes + Math.round(seconds / 60);
-};
-
-/**
- * Función auxiliar para obtener la hora actual en zona horaria de México
- * @returns {string} - Hora actual en formato HH:MM:SS
- */
-const getCurrentTimeInMexico = () => {
-  const now = new Date();
-  const mexicoOffset = -6 * 60; // -6 horas en minutos
-  const utc = now.getTime() + (now.getTimezoneOffset() * 60000);
-  const mexicoTime = new Date(utc + (mexicoOffset * 60000));
-  
-  const hours = mexicoTime.getHours().toString().padStart(2, '0');
-  const minutes = mexicoTime.getMinutes().toString().padStart(2, '0');
-  const seconds = mexicoTime.getSeconds().toString().padStart(2, '0');
-  
-  return `${hours}:${minutes}:${seconds}`;
-};
-
-/**
- * Función auxiliar para calcular si una sucursal está abierta
- * @param {Array} schedule - Array de horarios de la sucursal
- * @returns {boolean} - true si está abierta, false si está cerrada
- */
-const calculateIsOpen = (schedule) => {
-  try {
-    const now = new Date();
-    const mexicoOffset = -6 * 60;
-    const utc = now.getTime() + (now.getTimezoneOffset() * 60000);
-    const mexicoTime = new Date(utc + (mexicoOffset * 60000));
-    
-    const dayOfWeek = mexicoTime.getDay();
-    const todaySchedule = schedule.find(s => s.dayOfWeek === dayOfWeek);
-    
-    if (!todaySchedule || todaySchedule.isClosed) {
-      return false;
-    }
-    
-    const currentTime = getCurrentTimeInMexico();
-    const currentMinutes = timeToMinutes(currentTime);
-    const openingMinutes = timeToMinutes(todaySchedule.openingTime);
-    const closingMinutes = timeToMinutes(todaySchedule.closingTime);
-    
-    if (openingMinutes > closingMinutes) {
-      return currentMinutes >= openingMinutes || currentMinutes < closingMinutes;
-    } else {
-      return currentMinutes >= openingMinutes && currentMinutes < closingMinutes;
-    }
-  } catch (error) {
-    console.error('Error calculando isOpen:', error);
-    return false;
-  }
-};
+// Restaurantes destacados en la HomeScreen; con ubicación se revisa un grupo acotado de candidatos
+// (los mejor calificados) para descartar los que no cubren al usuario
+const FEATURED_RESTAURANTS_LIMIT = 10;
+const FEATURED_CANDIDATES_LIMIT = 50;
 
 /**
  * Controlador para obtener el dashboard unificado de la HomeScreen
@@ -340,6 +284,7 @@ const getCartSummary = async (userId) => {
 
 /**
  * Obtiene restaurantes destacados para el dashboard
+ * Si se conoce la ubicación del usuario, excluye restaurantes cuyas áreas de servicio no la cubren
  * @param {number|null} userLat - Latitud del usuario
  * @param {number|null} userLng - Longitud del usuario
  * @returns {Promise<Array>} Array de restaurantes destacados
@@ -354,7 +299,7 @@ const getFeaturedRestaurants = async (userLat, userLng) => {
     { rating: 'desc' } : 
     { rating: 'desc' };
 
-  return await prisma.restaurant.findMany({
+  const restaurants = await prisma.restaurant.findMany({
     where: where,
     select: {
       id: true,
@@ -364,6 +309,7 @@ const getFeaturedRestaurants = async (userLat, userLng) => {
       logoUrl: true,
       coverPhotoUrl: true,
       rating: true,
+      serviceAreas: activeServiceAreasSelect,
       branches: {
         where: {
           status: 'active'
@@ -379,24 +325,25 @@ const getFeaturedRestaurants = async (userLat, userLng) => {
           deliveryFee: true,
           estimatedDeliveryMin: true,
           estimatedDeliveryMax: true,
-          deliveryRadius: true,
-          schedule: {
-            select: {
-              dayOfWeek: true,
-              openingTime: true,
-              closingTime: true,
-              isClosed: true
-            },
-            orderBy: {
-              dayOfWeek: 'asc'
-            }
-          }
+          deliveryRadius: true
         }
       }
     },
-    take: 10, // Primeros 10 restaurantes destacados
-    orderBy: orderBy
+    orderBy: orderBy,
+    take: userLat !== null && userLng !== null ? FEATURED_CANDIDATES_LIMIT : FEATURED_RESTAURANTS_LIMIT
   });
+
+  const availableRestaurants = restaurants
+    .map(({ serviceAreas, ...restaurant }) => ({
+      ...restaurant,
+      serviceAreas: flattenServiceAreas(serviceAreas)
+    }))
+    .filter(restaurant =>
+      userLat === null || userLng === null ||
+      isWithinServiceAreas(restaurant.serviceAreas, { lat: userLat, lng: userLng })
+    );
+
+  return availableRestaurants.slice(0, FEATURED_RESTAURANTS_LIMIT);
 };
 
 /**
@@ -426,7 +373,8 @@ const checkCoverageForAddress = async (address, restaurants) => {
       
       const distance = calculateDistance(addressCoords, branchCoords);
       const deliveryRadiusKm = Number(branch.deliveryRadius);
-      const isCovered = distance <= deliveryRadiusKm;
+      const isInServiceArea = isWithinServiceAreas(restaurant.serviceAreas, addressCoords);
+      const isCovered = distance <= deliveryRadiusKm && isInServiceArea;
       
       if (isCovered) {
         coveredRestaurants++;
@@ -439,6 +387,7 @@ const checkCoverageForAddress = async (address, restaurants) => {
         branchName: branch.name,
         distance: Number(distance.toFixed(2)),
         deliveryRadius: deliveryRadiusKm,
+        isInServiceArea: isInServiceArea,
         isCovered: isCovered
       });
     });
@@ -475,8 +424,14 @@ const checkCoverageForAddress = async (address, restaurants) => {
  * @returns {Promise<Array>} Array de restaurantes procesados
  */
 const processRestaurantsForDashboard = async (restaurants, userLat, userLng) => {
+  // Estado abierto/cerrado de cada restaurante (pausa, horario semanal y excepciones)
+  const openStatuses = await RestaurantHoursService.getStatuses(restaurants.map(restaurant => restaurant.id));
+
   return restaurants.map(restaurant => {
-    // Procesar branches para añadir isOpen y convertir números
+    const openStatus = openStatuses.get(restaurant.id) || null;
+    const restaurantIsOpen = Boolean(openStatus && openStatus.isOpen);
+
+    // Las sucursales comparten el horario del restaurante; convertir números
     const processedBranches = restaurant.branches.map(branch => {
       const branchData = {
         ...branch,
@@ -484,7 +439,7 @@ const processRestaurantsForDashboard = async (restaurants, userLat, userLng) =>
         longitude: Number(branch.longitude),
         deliveryFee: Number(branch.deliveryFee),
         deliveryRadius: Number(branch.deliveryRadius),
-        isOpen: calculateIsOpen(branch.schedule)
+        isOpen: restaurantIsOpen
       };
 
       // Calcular distancia si se proporcionaron coordenadas
@@ -501,9 +456,6 @@ const processRestaurantsForDashboard = async (restaurants, userLat, userLng) =>
       return branchData;
     });
 
-    // Un restaurante está abierto si AL MENOS UNA sucursal está abierta
-    const restaurantIsOpen = processedBranches.some(branch => branch.isOpen);
-
     // Calcular distancia mínima del restaurante
     let minDistance = null;
     if (userLat !== null && userLng !== null && processedBranches.length > 0) {
@@ -529,7 +481,13 @@ const processRestaurantsForDashboard = async (restaurants, userLat, userLng) =>
     return {
       ...restaurant,
       rating: restaurant.rating ? Number(restaurant.rating) : 0,
+      serviceAreas: (restaurant.serviceAreas || []).map(area => ({
+        id: area.id,
+        name: area.name,
+        type: area.type
+      })),
       isOpen: restaurantIsOpen,
+      openStatus: openStatus,            // 🆕 Motivo del cierre, próxima apertura y excepción del día
       branches: processedBranches,
       minDistance: minDistance,
       // CAMPOS ORIGINALES (MANTENER COMPATIBILIDAD)
@@ -0,0 +1,161 @@
+const InventoryService = require('../services/inventory.service');
+const UserService = require('../services/user.service');
+const ResponseService = require('../services/response.service');
+
+// Roles del restaurante que gestionan su inventario
+const INVENTORY_ROLES = ['owner', 'branch_manager'];
+
+/**
+ * Responde un error lanzado por el servicio de inventario
+ * @param {Object} res - Response object
+ * @param {Object} error - Error con status, message, code y details
+ */
+const handleInventoryError = (res, error) => {
+  if (error.status && error.status < 500) {
+    return ResponseService.error(
+      res,
+      error.message,
+      error.details || null,
+      error.status,
+      error.code
+    );
+  }
+  return ResponseService.error(
+    res,
+    'Error interno del servidor',
+    null,
+    500,
+    'INTERNAL_ERROR'
+  );
+};
+
+/**
+ * Obtiene el restaurante que gestiona el usuario autenticado (owner o gerente) o responde 404
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Promise<number|null>} ID del restaurante o null si ya se respondió
+ */
+const resolveInventoryRestaurantId = async (req, res) => {
+  const user = await UserService.getUserWithRoles(req.user.id, req.id);
+  const assignment = user && user.userRoleAssignments.find(
+    assignment => INVENTORY_ROLES.includes(assignment.role.name) && assignment.restaurantId
+  );
+
+  if (!assignment) {
+    ResponseService.error(
+      res,
+      'Restaurante no encontrado para este usuario',
+      null,
+      404,
+      'RESTAURANT_NOT_FOUND'
+    );
+    return null;
+  }
+  return assignment.restaurantId;
+};
+
+/**
+ * Registra un reabastecimiento, merma o traspaso de stock de un producto
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const createInventoryMovement = async (req, res) => {
+  try {
+    const restaurantId = await resolveInventoryRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const result = await InventoryService.recordMovement(restaurantId, req.body, req.user.id, req.id);
+
+    return ResponseService.success(
+      res,
+      'Movimiento de inventario registrado exitosamente',
+      result,
+      201
+    );
+
+  } catch (error) {
+    return handleInventoryError(res, error);
+  }
+};
+
+/**
+ * Lista el historial de movimientos de inventario del restaurante
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getInventoryMovements = async (req, res) => {
+  try {
+    const restaurantId = await resolveInventoryRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const result = await InventoryService.getMovementHistory(restaurantId, req.query, req.id);
+
+    return ResponseService.success(
+      res,
+      'Historial de inventario obtenido exitosamente',
+      result
+    );
+
+  } catch (error) {
+    return handleInventoryError(res, error);
+  }
+};
+
+/**
+ * Obtiene el stock actual y su valuación por producto
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getInventoryValuation = async (req, res) => {
+  try {
+    const restaurantId = await resolveInventoryRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const result = await InventoryService.getStockValuation(restaurantId, req.id);
+
+    return ResponseService.success(
+      res,
+      'Valuación de inventario obtenida exitosamente',
+      result
+    );
+
+  } catch (error) {
+    return handleInventoryError(res, error);
+  }
+};
+
+/**
+ * Actualiza el umbral de reorden y el costo unitario de un producto
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const updateProductStockSettings = async (req, res) => {
+  try {
+    const restaurantId = await resolveInventoryRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const product = await InventoryService.updateProductStockSettings(
+      restaurantId,
+      req.params.productId,
+      req.body,
+      req.user.id,
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Configuración de inventario del producto actualizada exitosamente',
+      { product }
+    );
+
+  } catch (error) {
+    return handleInventoryError(res, error);
+  }
+};
+
+module.exports = {
+  createInventoryMovement,
+  getInventoryMovements,
+  getInventoryValuation,
+  updateProductStockSettings
+};
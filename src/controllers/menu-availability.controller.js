@@ -0,0 +1,143 @@
+const MenuAvailabilityService = require('../services/menu-availability.service');
+const UserService = require('../services/user.service');
+const ResponseService = require('../services/response.service');
+
+// Roles del restaurante que definen los horarios de su menú
+const MENU_AVAILABILITY_ROLES = ['owner', 'branch_manager'];
+
+/**
+ * Responde un error lanzado por el servicio de disponibilidad del menú
+ * @param {Object} res - Response object
+ * @param {Object} error - Error con status, message, code y details
+ */
+const handleMenuAvailabilityError = (res, error) => {
+  if (error.status && error.status < 500) {
+    return ResponseService.error(
+      res,
+      error.message,
+      error.details || null,
+      error.status,
+      error.code
+    );
+  }
+  return ResponseService.error(
+    res,
+    'Error interno del servidor',
+    null,
+    500,
+    'INTERNAL_ERROR'
+  );
+};
+
+/**
+ * Obtiene el restaurante que gestiona el usuario autenticado (owner o gerente) o responde 404
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Promise<number|null>} ID del restaurante o null si ya se respondió
+ */
+const resolveMenuRestaurantId = async (req, res) => {
+  const user = await UserService.getUserWithRoles(req.user.id, req.id);
+  const assignment = user && user.userRoleAssignments.find(
+    assignment => MENU_AVAILABILITY_ROLES.includes(assignment.role.name) && assignment.restaurantId
+  );
+
+  if (!assignment) {
+    ResponseService.error(
+      res,
+      'Restaurante no encontrado para este usuario',
+      null,
+      404,
+      'RESTAURANT_NOT_FOUND'
+    );
+    return null;
+  }
+  return assignment.restaurantId;
+};
+
+/**
+ * Reemplaza las ventanas de disponibilidad de una subcategoría
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const setSubcategoryAvailability = async (req, res) => {
+  try {
+    const restaurantId = await resolveMenuRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const subcategory = await MenuAvailabilityService.setSubcategoryWindows(
+      restaurantId,
+      req.params.subcategoryId,
+      req.body.windows,
+      req.user.id,
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Horario de disponibilidad de la subcategoría actualizado exitosamente',
+      { subcategory }
+    );
+
+  } catch (error) {
+    return handleMenuAvailabilityError(res, error);
+  }
+};
+
+/**
+ * Reemplaza las ventanas de disponibilidad de un producto
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const setProductAvailability = async (req, res) => {
+  try {
+    const restaurantId = await resolveMenuRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const product = await MenuAvailabilityService.setProductWindows(
+      restaurantId,
+      req.params.productId,
+      req.body.windows,
+      req.user.id,
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Horario de disponibilidad del producto actualizado exitosamente',
+      { product }
+    );
+
+  } catch (error) {
+    return handleMenuAvailabilityError(res, error);
+  }
+};
+
+/**
+ * Muestra el menú como lo vería un cliente a una hora dada (por defecto, ahora)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getMenuPreview = async (req, res) => {
+  try {
+    const restaurantId = await resolveMenuRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    const preview = await MenuAvailabilityService.getMenuPreview(restaurantId, at, req.id);
+
+    return ResponseService.success(
+      res,
+      'Vista previa del menú obtenida exitosamente',
+      preview
+    );
+
+  } catch (error) {
+    return handleMenuAvailabilityError(res, error);
+  }
+};
+
+module.exports = {
+  setSubcategoryAvailability,
+  setProductAvailability,
+  getMenuPreview
+};
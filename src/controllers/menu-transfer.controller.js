@@ -0,0 +1,139 @@
+const MenuTransferService = require('../services/menu-transfer.service');
+const UserService = require('../services/user.service');
+const ResponseService = require('../services/response.service');
+
+// Roles del restaurante que pueden exportar e importar su menú
+const MENU_TRANSFER_ROLES = ['owner', 'branch_manager'];
+
+/**
+ * Responde un error lanzado por el servicio de importación/exportación de menú
+ * @param {Object} res - Response object
+ * @param {Object} error - Error con status, message, code y details
+ */
+const handleMenuTransferError = (res, error) => {
+  if (error.status && error.status < 500) {
+    return ResponseService.error(
+      res,
+      error.message,
+      error.details || null,
+      error.status,
+      error.code
+    );
+  }
+  return ResponseService.error(
+    res,
+    'Error interno del servidor',
+    null,
+    500,
+    'INTERNAL_ERROR'
+  );
+};
+
+/**
+ * Obtiene el restaurante que gestiona el usuario autenticado (owner o gerente) o responde 404
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Promise<number|null>} ID del restaurante o null si ya se respondió
+ */
+const resolveMenuRestaurantId = async (req, res) => {
+  const user = await UserService.getUserWithRoles(req.user.id, req.id);
+  const assignment = user && user.userRoleAssignments.find(
+    assignment => MENU_TRANSFER_ROLES.includes(assignment.role.name) && assignment.restaurantId
+  );
+
+  if (!assignment) {
+    ResponseService.error(
+      res,
+      'Restaurante no encontrado para este usuario',
+      null,
+      404,
+      'RESTAURANT_NOT_FOUND'
+    );
+    return null;
+  }
+  return assignment.restaurantId;
+};
+
+/**
+ * Exporta el menú completo del restaurante en JSON o como archivo CSV
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const exportMenu = async (req, res) => {
+  try {
+    const restaurantId = await resolveMenuRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const menu = await MenuTransferService.exportMenu(restaurantId, req.id);
+
+    if (req.query.format === 'csv') {
+      const content = MenuTransferService.buildMenuCsv(menu);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="menu_${restaurantId}.csv"`);
+      return res.status(200).send('\uFEFF' + content);
+    }
+
+    return ResponseService.success(
+      res,
+      'Menú exportado exitosamente',
+      { menu }
+    );
+
+  } catch (error) {
+    return handleMenuTransferError(res, error);
+  }
+};
+
+/**
+ * Valida un archivo de menú y devuelve los cambios que aplicaría, sin aplicarlos
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const previewMenuImport = async (req, res) => {
+  try {
+    const restaurantId = await resolveMenuRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const report = await MenuTransferService.previewImport(restaurantId, req.body, req.id);
+
+    return ResponseService.success(
+      res,
+      report.valid
+        ? 'Vista previa de importación generada exitosamente'
+        : 'El archivo de menú tiene errores',
+      { report }
+    );
+
+  } catch (error) {
+    return handleMenuTransferError(res, error);
+  }
+};
+
+/**
+ * Importa un archivo de menú: crea, actualiza y desactiva en una sola transacción
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const importMenu = async (req, res) => {
+  try {
+    const restaurantId = await resolveMenuRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const report = await MenuTransferService.importMenu(restaurantId, req.body, req.user.id, req.id);
+
+    return ResponseService.success(
+      res,
+      'Menú importado exitosamente',
+      { report, applied: true }
+    );
+
+  } catch (error) {
+    return handleMenuTransferError(res, error);
+  }
+};
+
+module.exports = {
+  exportMenu,
+  previewMenuImport,
+  importMenu
+};
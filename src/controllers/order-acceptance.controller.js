@@ -0,0 +1,99 @@
+const OrderAcceptanceService = require('../services/order-acceptance.service');
+const UserService = require('../services/user.service');
+const ResponseService = require('../services/response.service');
+
+/**
+ * Responde un error lanzado por el servicio de aceptación de pedidos
+ * @param {Object} res - Response object
+ * @param {Object} error - Error con status, message, code y details
+ */
+const handleAcceptanceError = (res, error) => {
+  if (error.status && error.status < 500) {
+    return ResponseService.error(
+      res,
+      error.message,
+      error.details || null,
+      error.status,
+      error.code
+    );
+  }
+  return ResponseService.error(
+    res,
+    'Error interno del servidor',
+    null,
+    500,
+    'INTERNAL_ERROR'
+  );
+};
+
+/**
+ * Obtiene el restaurante del dueño autenticado o responde 404
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Promise<number|null>} ID del restaurante o null si ya se respondió
+ */
+const resolveOwnerRestaurantId = async (req, res) => {
+  const restaurantId = await UserService.getRestaurantIdByOwnerId(req.user.id, req.id);
+  if (!restaurantId) {
+    ResponseService.error(
+      res,
+      'Restaurante no encontrado para este propietario',
+      null,
+      404,
+      'RESTAURANT_NOT_FOUND'
+    );
+    return null;
+  }
+  return restaurantId;
+};
+
+/**
+ * Obtiene la configuración de aceptación de pedidos del restaurante del dueño autenticado
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getOrderAcceptanceSettings = async (req, res) => {
+  try {
+    const restaurantId = await resolveOwnerRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const settings = await OrderAcceptanceService.getSettings(restaurantId);
+
+    return ResponseService.success(
+      res,
+      'Configuración de aceptación de pedidos obtenida exitosamente',
+      { settings }
+    );
+
+  } catch (error) {
+    return handleAcceptanceError(res, error);
+  }
+};
+
+/**
+ * Activa la aceptación automática o pausa/reactiva la recepción de pedidos del restaurante
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const updateOrderAcceptanceSettings = async (req, res) => {
+  try {
+    const restaurantId = await resolveOwnerRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const settings = await OrderAcceptanceService.updateSettings(restaurantId, req.body, req.user.id, req.id);
+
+    return ResponseService.success(
+      res,
+      'Configuración de aceptación de pedidos actualizada exitosamente',
+      { settings }
+    );
+
+  } catch (error) {
+    return handleAcceptanceError(res, error);
+  }
+};
+
+module.exports = {
+  getOrderAcceptanceSettings,
+  updateOrderAcceptanceSettings
+};
@@ -0,0 +1,61 @@
+const OrderTimelineService = require('../services/order-timeline.service');
+const ResponseService = require('../services/response.service');
+
+/**
+ * Responde con la línea de tiempo de un pedido para la audiencia indicada
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {string} audience - customer o restaurant
+ */
+const respondWithTimeline = async (req, res, audience) => {
+  try {
+    const timeline = await OrderTimelineService.getTimeline(
+      req.params.orderId,
+      { userId: req.user.id, audience },
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Línea de tiempo del pedido obtenida exitosamente',
+      timeline
+    );
+
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return ResponseService.error(
+        res,
+        error.message,
+        error.details || null,
+        error.status,
+        error.code
+      );
+    }
+    return ResponseService.error(
+      res,
+      'Error interno del servidor',
+      null,
+      500,
+      'INTERNAL_ERROR'
+    );
+  }
+};
+
+/**
+ * Línea de tiempo de un pedido del cliente autenticado
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getCustomerOrderTimeline = (req, res) => respondWithTimeline(req, res, 'customer');
+
+/**
+ * Línea de tiempo de un pedido del restaurante del usuario autenticado
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getRestaurantOrderTimeline = (req, res) => respondWithTimeline(req, res, 'restaurant');
+
+module.exports = {
+  getCustomerOrderTimeline,
+  getRestaurantOrderTimeline
+};
@@ -0,0 +1,204 @@
+const RatingRepository = require('../repositories/rating.repository');
+const UserService = require('../services/user.service');
+const ResponseService = require('../services/response.service');
+
+/**
+ * Responde un error lanzado por el repositorio de reseñas
+ * @param {Object} res - Response object
+ * @param {Object} error - Error con status, message, code y details
+ */
+const handleRatingError = (res, error) => {
+  if (error.status && error.status < 500) {
+    return ResponseService.error(
+      res,
+      error.message,
+      error.details || null,
+      error.status,
+      error.code
+    );
+  }
+  return ResponseService.error(
+    res,
+    'Error interno del servidor',
+    null,
+    500,
+    'INTERNAL_ERROR'
+  );
+};
+
+/**
+ * Obtiene el restaurante del dueño autenticado o responde 404
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Promise<number|null>} ID del restaurante o null si ya se respondió
+ */
+const resolveOwnerRestaurantId = async (req, res) => {
+  const restaurantId = await UserService.getRestaurantIdByOwnerId(req.user.id, req.id);
+  if (!restaurantId) {
+    ResponseService.error(
+      res,
+      'Restaurante no encontrado para este propietario',
+      null,
+      404,
+      'RESTAURANT_NOT_FOUND'
+    );
+    return null;
+  }
+  return restaurantId;
+};
+
+/**
+ * Califica un pedido entregado del cliente autenticado
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const createOrderRating = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const rating = await RatingRepository.createRating(
+      orderId,
+      req.user.id,
+      req.body,
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Pedido calificado exitosamente',
+      { rating },
+      201
+    );
+
+  } catch (error) {
+    return handleRatingError(res, error);
+  }
+};
+
+/**
+ * Reporta una reseña como cliente
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const reportRatingAsCustomer = async (req, res) => {
+  try {
+    const { ratingId } = req.params;
+
+    const report = await RatingRepository.reportRating(
+      ratingId,
+      req.user.id,
+      req.body.reason,
+      null,
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Reseña reportada exitosamente',
+      { rating: report },
+      200
+    );
+
+  } catch (error) {
+    return handleRatingError(res, error);
+  }
+};
+
+/**
+ * Obtiene las reseñas del restaurante del dueño autenticado
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getOwnerRatings = async (req, res) => {
+  try {
+    const restaurantId = await resolveOwnerRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const result = await RatingRepository.getOwnerRatings(
+      restaurantId,
+      {
+        page: req.query.page,
+        pageSize: req.query.pageSize,
+        hasReply: req.query.hasReply
+      },
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Reseñas del restaurante obtenidas exitosamente',
+      result,
+      200
+    );
+
+  } catch (error) {
+    return handleRatingError(res, error);
+  }
+};
+
+/**
+ * Reporta una reseña del restaurante del dueño autenticado
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const reportRatingAsOwner = async (req, res) => {
+  try {
+    const restaurantId = await resolveOwnerRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const report = await RatingRepository.reportRating(
+      req.params.ratingId,
+      req.user.id,
+      req.body.reason,
+      restaurantId,
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Reseña reportada exitosamente',
+      { rating: report },
+      200
+    );
+
+  } catch (error) {
+    return handleRatingError(res, error);
+  }
+};
+
+/**
+ * Publica la respuesta pública del dueño a una reseña de su restaurante
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const replyToRating = async (req, res) => {
+  try {
+    const restaurantId = await resolveOwnerRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const review = await RatingRepository.replyToRating(
+      req.params.ratingId,
+      restaurantId,
+      req.body.reply,
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Respuesta publicada exitosamente',
+      { review },
+      200
+    );
+
+  } catch (error) {
+    return handleRatingError(res, error);
+  }
+};
+
+module.exports = {
+  createOrderRating,
+  reportRatingAsCustomer,
+  getOwnerRatings,
+  reportRatingAsOwner,
+  replyToRating
+};
@@ -1,8 +1,9 @@
 const { PrismaClient } = require('@prisma/client');
 const { getIo } = require('../config/socket');
-const { MercadoPagoConfig, Payment } = require('mercadopago');
 const UserService = require('../services/user.service');
+const PaymentProviderRegistry = require('../services/payment-providers');
 const ResponseService = require('../services/response.service');
+const RestaurantHoursService = require('../services/restaurant-hours.service');
 const { logger } = require('../config/logger');
 const { checkRestaurantAccess, checkRestaurantOwnership } = require('../middleware/restaurantAccess.middleware');
 const RestaurantRepository = require('../repositories/restaurant.repository');
@@ -107,7 +108,7 @@ const getRestaurantOrders = async (req, res) => {
   const restaurantId = ownerAssignments[0].restaurantId;
 
   // 3. Obtener pedidos directamente del restaurante
-  const result = await OrderRepository.getOrdersForRestaurant(restaurantId, filters);
+  const result = await OrderRepository.getOrdersForRestaurant(restaurantId, filters, req.id);
 
   return ResponseService.success(
     res,
@@ -123,7 +124,7 @@ const getRestaurantOrders = async (req, res) => {
  */
 const updateOrderStatus = async (req, res) => {
   const { orderId } = req.params;
-  const { status, rejectionReason } = req.body;
+  const { status, rejectionReason, pickupCode } = req.body;
   const userId = req.user.id;
 
   logger.info('Solicitud de actualización de estado de pedido', {
@@ -142,7 +143,8 @@ const updateOrderStatus = async (req, res) => {
     status, 
     userId, 
     req.id,
-    rejectionReason
+    rejectionReason,
+    pickupCode
   );
 
   return ResponseService.success(
@@ -428,6 +430,8 @@ const getRestaurantProducts = async (req, res) => {
     imageUrl: product.imageUrl,
     price: Number(product.price),
     isAvailable: product.isAvailable,
+    trackStock: product.trackStock,
+    stockQuantity: product.stockQuantity,
     subcategory: {
       id: product.subcategory.id,
       name: product.subcategory.name,
@@ -512,6 +516,8 @@ const createProduct = async (req, res) => {
     imageUrl: newProduct.imageUrl,
     price: Number(newProduct.price),
     isAvailable: newProduct.isAvailable,
+    trackStock: newProduct.trackStock,
+    stockQuantity: newProduct.stockQuantity,
     subcategory: {
       id: newProduct.subcategory.id,
       name: newProduct.subcategory.name,
@@ -580,6 +586,8 @@ const updateProduct = async (req, res) => {
     imageUrl: updatedProduct.imageUrl,
     price: Number(updatedProduct.price),
     isAvailable: updatedProduct.isAvailable,
+    trackStock: updatedProduct.trackStock,
+    stockQuantity: updatedProduct.stockQuantity,
     subcategory: {
       id: updatedProduct.subcategory.id,
       name: updatedProduct.subcategory.name,
@@ -1173,36 +1181,21 @@ const rejectOrder = async (req, res) => {
       });
     }
 
-    // 7. Configurar Mercado Pago para reembolso
-    const client = new MercadoPagoConfig({
-      accessToken: process.env.MERCADOPAGO_ACCESS_TOKEN,
-      options: { timeout: 10000 }
-    });
-    const payment = new Payment(client);
-
     logger.info('Iniciando reembolso para pago', {
       requestId: req.id,
-      meta: { providerPaymentId: order.payment.providerPaymentId }
+      meta: { provider: order.payment.provider, providerPaymentId: order.payment.providerPaymentId }
     });
 
-    // 8. Procesar reembolso en Mercado Pago
+    // 7-8. Procesar reembolso completo con el proveedor del pago
     let refundResult;
     try {
-      // Obtener el providerPaymentId real (ID numérico del pago en Mercado Pago)
-      const mpPaymentId = order.payment.providerPaymentId;
-      
-      logger.debug('Procesando reembolso para pago ID', {
-        requestId: req.id,
-        meta: { mpPaymentId }
-      });
-      
-      // Procesar reembolso completo usando directamente el ID del pago
-      refundResult = await payment.refund({
-        id: mpPaymentId,
-        body: {
-          amount: order.total
-        }
-      });
+      const paymentProvider = PaymentProviderRegistry.getProvider(order.payment.provider);
+
+      refundResult = await paymentProvider.refund({
+        externalReference: order.payment.providerPaymentId,
+        amount: order.total,
+        idempotencyKey: `delixmi_reject_${order.id}`
+      }, req.id);
 
       logger.info('Reembolso procesado exitosamente', {
         requestId: req.id,
@@ -1210,14 +1203,14 @@ const rejectOrder = async (req, res) => {
           refundId: refundResult.id,
           status: refundResult.status,
           amount: refundResult.amount,
-          originalPaymentId: mpPaymentId
+          originalPaymentId: order.payment.providerPaymentId
         }
       });
 
     } catch (mpError) {
       // En producción, lanzar el error para detener el proceso
       if (process.env.NODE_ENV === 'production') {
-        logger.error('Error procesando reembolso en Mercado Pago', {
+        logger.error('Error procesando reembolso con el proveedor de pago', {
           requestId: req.id,
           error: mpError.message,
           stack: mpError.stack,
@@ -1238,7 +1231,7 @@ const rejectOrder = async (req, res) => {
         });
       } else {
         // En desarrollo, ignorar el error y continuar como si el reembolso fuera exitoso
-        logger.warn('Fallo en el reembolso de prueba de MP, continuando de todos modos', {
+        logger.warn('Fallo en el reembolso de prueba, continuando de todos modos', {
           requestId: req.id,
           meta: {
             paymentId: order.payment.providerPaymentId,
@@ -2049,7 +2042,7 @@ const getDashboardSummary = async (req, res) => {
       productCount,
       employeeCount,
       categoryCount,
-      scheduleData
+      openStatus
     ] = await Promise.all([
       // 1. Datos financieros - Billetera
       prisma.restaurantWallet.findUnique({
@@ -2129,70 +2122,20 @@ const getDashboardSummary = async (req, res) => {
         }
       }),
 
-      // 7. Horarios del restaurante
-      prisma.restaurantSchedule.findFirst({
-        where: {
-          restaurantId: restaurantId,
-          dayOfWeek: today.getDay() // 0 = Domingo, 1 = Lunes, etc.
-        },
-        select: {
-          isClosed: true,
-          openingTime: true,
-          closingTime: true
-        }
-      })
+      // 7. Estado del restaurante (pausa, horario semanal y excepciones)
+      RestaurantHoursService.getStatus(restaurantId, today)
     ]);
 
     // Procesar conteos de pedidos - ahora es un array de conteos
     const [pendingCount, preparingCount, readyForPickupCount, deliveredTodayCount] = orderCounts;
 
-    // Determinar estado del restaurante
-    const currentHour = today.getHours();
-    const currentMinute = today.getMinutes();
-    const currentTime = `${currentHour.toString().padStart(2, '0')}:${currentMinute.toString().padStart(2, '0')}`;
-    
-    let isOpen = false;
-    let nextOpeningTime = null;
-    let nextClosingTime = null;
-    let currentDaySchedule = null;
-
-    if (scheduleData) {
-      if (scheduleData.isClosed) {
-        isOpen = false;
-        nextOpeningTime = "Mañana";
-      } else {
-        const openingTime = scheduleData.openingTime;
-        const closingTime = scheduleData.closingTime;
-        
-        // Convertir horarios a formato comparable (HH:MM)
-        const openingTimeFormatted = openingTime.substring(0, 5); // "10:00:00" -> "10:00"
-        const closingTimeFormatted = closingTime.substring(0, 5); // "17:30:00" -> "17:30"
-        
-        // Comparar horarios correctamente
-        isOpen = currentTime >= openingTimeFormatted && currentTime < closingTimeFormatted;
-        nextClosingTime = closingTimeFormatted;
-        
-        // Log para debug
-        logger.debug('Cálculo de horarios del restaurante', {
-          requestId,
-          currentTime,
-          openingTimeFormatted,
-          closingTimeFormatted,
-          isOpen,
-          restaurantId
-        });
-        
-        if (!isOpen && currentTime < openingTimeFormatted) {
-          nextOpeningTime = openingTimeFormatted;
-        }
-        
-        currentDaySchedule = {
-          day: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][today.getDay()],
-          opening: openingTimeFormatted,
-          closing: closingTimeFormatted
-        };
-      }
-    }
+    // Horario de hoy: el de la excepción del día o el semanal (se muestra el primer rango)
+    const todayHours = openStatus.hours[0] || null;
+    const currentDaySchedule = todayHours ? {
+      day: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][new Date(`${openStatus.date}T12:00:00Z`).getUTCDay()],
+      opening: todayHours.openTime,
+      closing: todayHours.closeTime
+    } : null;
 
     // Construir respuesta según estructura v1.0 requerida
     const dashboardData = {
@@ -2208,10 +2151,12 @@ const getDashboardSummary = async (req, res) => {
         deliveredTodayCount: deliveredTodayCount || 0
       },
       storeStatus: {
-        isOpen: isOpen,
-        nextOpeningTime: nextOpeningTime,
-        nextClosingTime: nextClosingTime,
-        currentDaySchedule: currentDaySchedule
+        isOpen: openStatus.isOpen,
+        reason: openStatus.reason,
+        nextOpeningTime: openStatus.opensAt,
+        nextClosingTime: openStatus.closesAt,
+        currentDaySchedule: currentDaySchedule,
+        exception: openStatus.exception
       },
       quickStats: {
         activeProductsCount: productCount,
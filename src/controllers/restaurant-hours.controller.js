@@ -0,0 +1,169 @@
+const RestaurantHoursService = require('../services/restaurant-hours.service');
+const UserService = require('../services/user.service');
+const ResponseService = require('../services/response.service');
+
+// Roles del restaurante que administran las excepciones a su horario
+const SCHEDULE_ROLES = ['owner', 'branch_manager'];
+
+/**
+ * Responde un error lanzado por el servicio de horario del restaurante
+ * @param {Object} res - Response object
+ * @param {Object} error - Error con status, message, code y details
+ */
+const handleRestaurantHoursError = (res, error) => {
+  if (error.status && error.status < 500) {
+    return ResponseService.error(
+      res,
+      error.message,
+      error.details || null,
+      error.status,
+      error.code
+    );
+  }
+  return ResponseService.error(
+    res,
+    'Error interno del servidor',
+    null,
+    500,
+    'INTERNAL_ERROR'
+  );
+};
+
+/**
+ * Obtiene el restaurante que gestiona el usuario autenticado (owner o gerente) o responde 404
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Promise<number|null>} ID del restaurante o null si ya se respondió
+ */
+const resolveScheduleRestaurantId = async (req, res) => {
+  const user = await UserService.getUserWithRoles(req.user.id, req.id);
+  const assignment = user && user.userRoleAssignments.find(
+    assignment => SCHEDULE_ROLES.includes(assignment.role.name) && assignment.restaurantId
+  );
+
+  if (!assignment) {
+    ResponseService.error(
+      res,
+      'Restaurante no encontrado para este usuario',
+      null,
+      404,
+      'RESTAURANT_NOT_FOUND'
+    );
+    return null;
+  }
+  return assignment.restaurantId;
+};
+
+/**
+ * Lista las excepciones al horario del restaurante (por defecto, las de hoy en adelante)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getScheduleExceptions = async (req, res) => {
+  try {
+    const restaurantId = await resolveScheduleRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const [result, status] = await Promise.all([
+      RestaurantHoursService.listExceptions(restaurantId, req.query),
+      RestaurantHoursService.getStatus(restaurantId)
+    ]);
+
+    return ResponseService.success(
+      res,
+      'Excepciones al horario obtenidas exitosamente',
+      { ...result, status }
+    );
+
+  } catch (error) {
+    return handleRestaurantHoursError(res, error);
+  }
+};
+
+/**
+ * Crea una excepción al horario (cierre o horario especial en un rango de fechas)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const createScheduleException = async (req, res) => {
+  try {
+    const restaurantId = await resolveScheduleRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const exception = await RestaurantHoursService.createException(restaurantId, req.body, req.user.id, req.id);
+
+    return ResponseService.success(
+      res,
+      'Excepción al horario creada exitosamente',
+      { exception },
+      201
+    );
+
+  } catch (error) {
+    return handleRestaurantHoursError(res, error);
+  }
+};
+
+/**
+ * Actualiza una excepción al horario
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const updateScheduleException = async (req, res) => {
+  try {
+    const restaurantId = await resolveScheduleRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const exception = await RestaurantHoursService.updateException(
+      restaurantId,
+      req.params.exceptionId,
+      req.body,
+      req.user.id,
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Excepción al horario actualizada exitosamente',
+      { exception }
+    );
+
+  } catch (error) {
+    return handleRestaurantHoursError(res, error);
+  }
+};
+
+/**
+ * Elimina una excepción al horario
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const deleteScheduleException = async (req, res) => {
+  try {
+    const restaurantId = await resolveScheduleRestaurantId(req, res);
+    if (!restaurantId) return;
+
+    const exception = await RestaurantHoursService.deleteException(
+      restaurantId,
+      req.params.exceptionId,
+      req.user.id,
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Excepción al horario eliminada exitosamente',
+      { exception }
+    );
+
+  } catch (error) {
+    return handleRestaurantHoursError(res, error);
+  }
+};
+
+module.exports = {
+  getScheduleExceptions,
+  createScheduleException,
+  updateScheduleException,
+  deleteScheduleException
+};
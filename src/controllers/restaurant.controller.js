@@ -1,105 +1,11 @@
 const { PrismaClient } = require('@prisma/client');
 const { calculateDistance } = require('../services/geolocation.service');
+const RatingRepository = require('../repositories/rating.repository');
+const MenuAvailabilityService = require('../services/menu-availability.service');
+const RestaurantHoursService = require('../services/restaurant-hours.service');
 
 const prisma = new PrismaClient();
 
-/**
- * Función auxiliar para convertir tiempo HH:MM:SS a minutos desde medianoche
- * @param {string} timeStr - Tiempo en formato "HH:MM:SS"
- * @returns {number} - Minutos desde medianoche
- */
-const timeToMinutes = (timeStr) => {
-  const [hours, minutes, seconds] = timeStr.split(':').map(Number);
-  return hours * 60 + minutes + Math.round(seconds / 60);
-};
-
-/**
- * Función auxiliar para obtener la hora actual en zona horaria de México
- * @returns {string} - Hora actual en formato HH:MM:SS
- */
-const getCurrentTimeInMexico = () => {
-  const now = new Date();
-  // México está en UTC-6 (horario estándar) o UTC-5 (horario de verano)
-  // Para simplificar, usamos UTC-6 (horario estándar de México)
-  const mexicoOffset = -6 * 60; // -6 horas en minutos
-  const utc = now.getTime() + (now.getTimezoneOffset() * 60000);
-  const mexicoTime = new Date(utc + (mexicoOffset * 60000));
-  
-  const hours = mexicoTime.getHours().toString().padStart(2, '0');
-  const minutes = mexicoTime.getMinutes().toString().padStart(2, '0');
-  const seconds = mexicoTime.getSeconds().toString().padStart(2, '0');
-  
-  return `${hours}:${minutes}:${seconds}`;
-};
-
-/**
- * Función auxiliar para calcular si una sucursal está abierta
- * @param {Array} schedule - Array de horarios de la sucursal
- * @returns {boolean} - true si está abierta, false si está cerrada
- */
-const calculateIsOpen = (schedule) => {
-  try {
-    // Obtener la fecha y hora actual en zona horaria de México
-    const now = new Date();
-    const mexicoOffset = -6 * 60; // -6 horas en minutos
-    const utc = now.getTime() + (now.getTimezoneOffset() * 60000);
-    const mexicoTime = new Date(utc + (mexicoOffset * 60000));
-    
-    // Obtener el día de la semana (0 = Domingo, 1 = Lunes, ..., 6 = Sábado)
-    const dayOfWeek = mexicoTime.getDay();
-    
-    // Buscar el horario para el día actual
-    const todaySchedule = schedule.find(s => s.dayOfWeek === dayOfWeek);
-    
-    if (!todaySchedule) {
-      return false; // No hay horario para este día
-    }
-    
-    // Si está cerrado este día
-    if (todaySchedule.isClosed) {
-      return false;
-    }
-    
-    // Obtener la hora actual en formato HH:MM:SS
-    const currentTime = getCurrentTimeInMexico();
-    
-    // Convertir todos los tiempos a minutos para comparación numérica
-    const currentMinutes = timeToMinutes(currentTime);
-    const openingMinutes = timeToMinutes(todaySchedule.openingTime);
-    const closingMinutes = timeToMinutes(todaySchedule.closingTime);
-    
-    console.log(`🕐 Debug isOpen:`, {
-      currentTime,
-      currentMinutes,
-      openingTime: todaySchedule.openingTime,
-      openingMinutes,
-      closingTime: todaySchedule.closingTime,
-      closingMinutes,
-      dayOfWeek,
-      dayName: ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'][dayOfWeek]
-    });
-    
-    // Manejar horarios nocturnos (que cruzan la medianoche)
-    if (openingMinutes > closingMinutes) {
-      // Horario nocturno: abierto desde openingTime hasta closingTime del día siguiente
-      // Ejemplo: 22:00-06:00 (1320 minutos - 360 minutos)
-      const isOpen = currentMinutes >= openingMinutes || currentMinutes < closingMinutes;
-      console.log(`🌙 Horario nocturno: ${isOpen ? 'ABIERTO' : 'CERRADO'}`);
-      return isOpen;
-    } else {
-      // Horario normal: abierto desde openingTime hasta closingTime del mismo día
-      // Ejemplo: 09:00-22:00 (540 minutos - 1320 minutos)
-      const isOpen = currentMinutes >= openingMinutes && currentMinutes < closingMinutes;
-      console.log(`☀️ Horario normal: ${isOpen ? 'ABIERTO' : 'CERRADO'}`);
-      return isOpen;
-    }
-    
-  } catch (error) {
-    console.error('Error calculando isOpen:', error);
-    return false; // En caso de error, asumir cerrado
-  }
-};
-
 /**
  * Controlador para obtener la lista de restaurantes activos
  * @param {Object} req - Request object
@@ -210,18 +116,7 @@ const getRestaurants = async (req, res) => {
               deliveryFee: true,
               estimatedDeliveryMin: true,
               estimatedDeliveryMax: true,
-              deliveryRadius: true,
-              schedule: {
-                select: {
-                  dayOfWeek: true,
-                  openingTime: true,
-                  closingTime: true,
-                  isClosed: true
-                },
-                orderBy: {
-                  dayOfWeek: 'asc'
-                }
-              }
+              deliveryRadius: true
             }
           }
         },
@@ -240,9 +135,15 @@ const getRestaurants = async (req, res) => {
     // Calcular información de paginación
     const totalPages = Math.ceil(totalRestaurants / pageSize);
 
+    // Estado abierto/cerrado de cada restaurante (pausa, horario semanal y excepciones)
+    const openStatuses = await RestaurantHoursService.getStatuses(restaurants.map(restaurant => restaurant.id));
+
     // Procesar restaurantes para añadir isOpen a cada sucursal Y al restaurante
     const processedRestaurants = restaurants.map(restaurant => {
-      // Calcular isOpen para cada sucursal y convertir números
+      const openStatus = openStatuses.get(restaurant.id) || null;
+      const restaurantIsOpen = Boolean(openStatus && openStatus.isOpen);
+
+      // Las sucursales comparten el horario del restaurante; convertir números
       const branchesWithIsOpen = restaurant.branches.map(branch => {
         const branchData = {
           ...branch,
@@ -250,7 +151,7 @@ const getRestaurants = async (req, res) => {
           longitude: Number(branch.longitude),
           deliveryFee: Number(branch.deliveryFee),
           deliveryRadius: Number(branch.deliveryRadius),
-          isOpen: calculateIsOpen(branch.schedule)
+          isOpen: restaurantIsOpen
         };
 
         // Si se proporcionaron coordenadas del usuario, calcular distancia
@@ -267,9 +168,6 @@ const getRestaurants = async (req, res) => {
         return branchData;
       });
       
-      // Un restaurante está abierto si AL MENOS UNA sucursal está abierta
-      const restaurantIsOpen = branchesWithIsOpen.some(branch => branch.isOpen);
-      
       // Calcular distancia mínima del restaurante (a su sucursal más cercana)
       let minDistance = null;
       if (userLat !== null && userLng !== null && branchesWithIsOpen.length > 0) {
@@ -296,6 +194,7 @@ const getRestaurants = async (req, res) => {
         ...restaurant,
         rating: restaurant.rating ? Number(restaurant.rating) : 0,
         isOpen: restaurantIsOpen,
+        openStatus: openStatus,            // 🆕 Motivo del cierre, próxima apertura y excepción del día
         branches: branchesWithIsOpen,
         minDistance: minDistance,
         // CAMPOS ORIGINALES (MANTENER COMPATIBILIDAD)
@@ -423,6 +322,17 @@ const getRestaurantById = async (req, res) => {
       });
     }
 
+    // Paginación de reseñas
+    const reviewsPage = req.query.reviewsPage ? parseInt(req.query.reviewsPage) : 1;
+    const reviewsPageSize = req.query.reviewsPageSize ? parseInt(req.query.reviewsPageSize) : 5;
+
+    if (isNaN(reviewsPage) || reviewsPage < 1 || isNaN(reviewsPageSize) || reviewsPageSize < 1 || reviewsPageSize > 50) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'reviewsPage debe ser mayor a 0 y reviewsPageSize debe estar entre 1 y 50'
+      });
+    }
+
     // Obtener el restaurante con su menú completo
     const restaurant = await prisma.restaurant.findFirst({
       where: {
@@ -453,18 +363,7 @@ const getRestaurantById = async (req, res) => {
             deliveryFee: true,
             estimatedDeliveryMin: true,
             estimatedDeliveryMax: true,
-            deliveryRadius: true,
-            schedule: {
-              select: {
-                dayOfWeek: true,
-                openingTime: true,
-                closingTime: true,
-                isClosed: true
-              },
-              orderBy: {
-                dayOfWeek: 'asc'
-              }
-            }
+            deliveryRadius: true
           }
         }
       }
@@ -497,6 +396,7 @@ const getRestaurantById = async (req, res) => {
             id: true,
             name: true,
             displayOrder: true,
+            availabilityWindows: MenuAvailabilityService.PRODUCT_AVAILABILITY_INCLUDE.availabilityWindows,
             products: {
               where: {
                 isAvailable: true
@@ -507,6 +407,7 @@ const getRestaurantById = async (req, res) => {
                 description: true,
                 imageUrl: true,
                 price: true,
+                availabilityWindows: MenuAvailabilityService.PRODUCT_AVAILABILITY_INCLUDE.availabilityWindows,
                 modifierGroups: {
                   select: {
                     modifierGroup: {
@@ -546,14 +447,22 @@ const getRestaurantById = async (req, res) => {
     });
 
     // Filtrar categorías que tengan subcategorías con productos y formatear modificadores
+    // Las subcategorías y productos fuera de su horario de disponibilidad no se muestran
+    const now = new Date();
     const filteredMenu = menu
       .map(category => ({
         ...category,
         subcategories: category.subcategories
+          .filter(subcategory => MenuAvailabilityService.isWithinWindows(subcategory.availabilityWindows, now))
+          .map(({ availabilityWindows, ...subcategory }) => ({
+            ...subcategory,
+            products: subcategory.products
+              .filter(product => MenuAvailabilityService.isWithinWindows(product.availabilityWindows, now))
+          }))
           .filter(subcategory => subcategory.products.length > 0)
           .map(subcategory => ({
             ...subcategory,
-            products: subcategory.products.map(product => ({
+            products: subcategory.products.map(({ availabilityWindows, ...product }) => ({
               ...product,
               price: Number(product.price),
               // Aplanar estructura de modifierGroups
@@ -574,7 +483,10 @@ const getRestaurantById = async (req, res) => {
       }))
       .filter(category => category.subcategories.length > 0);
 
-    // Procesar branches para añadir isOpen a cada sucursal y convertir números
+    // Estado abierto/cerrado del restaurante (pausa, horario semanal y excepciones)
+    const openStatus = await RestaurantHoursService.getStatus(restaurant.id);
+
+    // Las sucursales comparten el horario del restaurante; convertir números
     const processedBranches = restaurant.branches.map(branch => {
       const branchData = {
         ...branch,
@@ -582,7 +494,7 @@ const getRestaurantById = async (req, res) => {
         longitude: Number(branch.longitude),
         deliveryFee: Number(branch.deliveryFee),
         deliveryRadius: Number(branch.deliveryRadius),
-        isOpen: calculateIsOpen(branch.schedule)
+        isOpen: openStatus.isOpen
       };
 
       // Si se proporcionaron coordenadas del usuario, calcular distancia
@@ -599,16 +511,22 @@ const getRestaurantById = async (req, res) => {
       return branchData;
     });
 
-    // Un restaurante está abierto si AL MENOS UNA sucursal está abierta
-    const restaurantIsOpen = processedBranches.some(branch => branch.isOpen);
+    // Reseñas públicas del restaurante
+    const reviews = await RatingRepository.getRestaurantReviews(
+      parseInt(id),
+      { page: reviewsPage, pageSize: reviewsPageSize },
+      req.id
+    );
 
     // Agregar el menú y branches procesadas al objeto del restaurante
     const restaurantWithMenu = {
       ...restaurant,
       rating: restaurant.rating ? Number(restaurant.rating) : 0,
-      isOpen: restaurantIsOpen,
+      isOpen: openStatus.isOpen,
+      openStatus,
       branches: processedBranches,
-      menu: filteredMenu
+      menu: filteredMenu,
+      reviews
     };
 
     res.status(200).json({
@@ -0,0 +1,50 @@
+const TipService = require('../services/tip.service');
+const ResponseService = require('../services/response.service');
+
+/**
+ * Agrega o aumenta la propina del repartidor después de la entrega
+ * Devuelve el enlace de pago de Mercado Pago; la propina se acredita al confirmarse el pago
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const addOrderTip = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const result = await TipService.createPostDeliveryTip(
+      orderId,
+      req.user.id,
+      req.body.amount,
+      req.id
+    );
+
+    return ResponseService.success(
+      res,
+      'Propina registrada. Completa el pago para enviarla a tu repartidor',
+      result,
+      201
+    );
+
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return ResponseService.error(
+        res,
+        error.message,
+        error.details || null,
+        error.status,
+        error.code
+      );
+    }
+    return ResponseService.error(
+      res,
+      'Error interno del servidor',
+      null,
+      500,
+      'INTERNAL_ERROR'
+    );
+  }
+};
+
+module.exports = {
+  addOrderTip
+};
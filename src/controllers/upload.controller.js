@@ -366,5 +366,6 @@ const uploadProductImage = async (req, res) => {
 module.exports = {
   uploadRestaurantLogo,
   uploadRestaurantCover,
-  uploadProductImage
+  uploadProductImage,
+  getBaseUrl
 };
@@ -0,0 +1,98 @@
+const IdempotencyService = require('../services/idempotency.service');
+const { logger } = require('../config/logger');
+
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+/**
+ * Middleware del header Idempotency-Key para endpoints que crean pedidos o mueven dinero
+ * Debe ir después de authenticateToken: las llaves son por usuario y por endpoint.
+ *
+ * - Sin header: la solicitud se procesa normalmente.
+ * - Primera vez: se reserva la llave y, si la respuesta es 2xx, se guarda junto con la huella de la solicitud.
+ * - Reintento con la misma huella: se devuelve la respuesta guardada con el header Idempotent-Replayed: true.
+ * - Misma llave con otro contenido: 422 IDEMPOTENCY_KEY_REUSED.
+ * - Misma llave mientras la primera sigue en curso: 409 IDEMPOTENCY_REQUEST_IN_PROGRESS.
+ * Las respuestas de error no se guardan: la llave se libera para que el cliente pueda reintentar.
+ *
+ * @returns {Function} Middleware de Express
+ */
+const idempotency = () => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'El header Idempotency-Key debe tener entre 1 y 255 caracteres visibles',
+        code: 'INVALID_IDEMPOTENCY_KEY'
+      });
+    }
+
+    const scope = `${req.method} ${req.baseUrl}${req.route.path}`;
+
+    let acquired;
+    try {
+      acquired = await IdempotencyService.acquire({
+        userId: req.user.id,
+        scope,
+        key,
+        requestHash: IdempotencyService.fingerprint(req.params, req.body)
+      }, req.id);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          status: 'error',
+          message: error.message,
+          code: error.code
+        });
+      }
+      return next(error);
+    }
+
+    const { action, record } = acquired;
+
+    if (action === 'replay') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    let finalized = false;
+    const finalize = async (responseBody) => {
+      if (finalized) return;
+      finalized = true;
+
+      try {
+        if (res.statusCode >= 200 && res.statusCode < 300 && responseBody !== undefined) {
+          await IdempotencyService.complete(record.id, res.statusCode, responseBody);
+        } else {
+          await IdempotencyService.release(record.id);
+        }
+      } catch (error) {
+        logger.error('Error guardando la respuesta de una solicitud idempotente', {
+          requestId: req.id,
+          meta: { scope, key, statusCode: res.statusCode, error: error.message }
+        });
+      }
+    };
+
+    // La respuesta se guarda al generarla y no al terminar de enviarla, así un cliente
+    // que se desconecta a media solicitud recibe la respuesta guardada en su reintento
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const result = originalJson(body);
+      finalize(body);
+      return result;
+    };
+
+    // Respuestas que no pasan por res.json
+    res.on('finish', () => finalize(undefined));
+
+    next();
+  };
+};
+
+module.exports = { idempotency };
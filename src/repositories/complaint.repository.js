@@ -0,0 +1,590 @@
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const { getIo } = require('../config/socket');
+
+// Relaciones comunes para mostrar un ticket
+const complaintSummaryInclude = {
+  restaurant: {
+    select: {
+      id: true,
+      name: true
+    }
+  },
+  order: {
+    select: {
+      id: true,
+      status: true,
+      total: true,
+      orderPlacedAt: true
+    }
+  },
+  _count: {
+    select: { messages: true }
+  }
+};
+
+/**
+ * Formatea un adjunto de queja
+ * @param {Object} attachment - ComplaintAttachment
+ * @returns {Object} Adjunto formateado
+ */
+function formatAttachment(attachment) {
+  return {
+    id: attachment.id,
+    messageId: attachment.messageId,
+    fileUrl: attachment.fileUrl,
+    fileName: attachment.fileName,
+    mimeType: attachment.mimeType,
+    sizeBytes: attachment.sizeBytes,
+    createdAt: attachment.createdAt
+  };
+}
+
+/**
+ * Formatea un ticket de queja (sin conversación)
+ * @param {Object} complaint - Complaint con restaurant, order y _count
+ * @returns {Object} Ticket formateado
+ */
+function formatComplaint(complaint) {
+  return {
+    id: complaint.id,
+    target: complaint.target,
+    status: complaint.status,
+    subject: complaint.subject,
+    description: complaint.description,
+    customerId: complaint.userId,
+    driverId: complaint.driverId,
+    restaurant: complaint.restaurant ? {
+      id: complaint.restaurant.id,
+      name: complaint.restaurant.name
+    } : null,
+    order: complaint.order ? {
+      id: complaint.order.id.toString(),
+      status: complaint.order.status,
+      total: Number(complaint.order.total),
+      orderPlacedAt: complaint.order.orderPlacedAt
+    } : null,
+    messageCount: complaint._count ? complaint._count.messages : undefined,
+    createdAt: complaint.createdAt,
+    updatedAt: complaint.updatedAt
+  };
+}
+
+/**
+ * Construye el objeto de paginación estándar
+ * @param {number} page - Página actual
+ * @param {number} pageSize - Tamaño de página
+ * @param {number} totalCount - Total de registros
+ * @returns {Object} Metadatos de paginación
+ */
+function buildPagination(page, pageSize, totalCount) {
+  const totalPages = Math.ceil(totalCount / pageSize);
+  return {
+    currentPage: page,
+    pageSize,
+    totalCount,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPreviousPage: page > 1
+  };
+}
+
+/**
+ * Indica si un participante puede ver el ticket
+ * @param {Object} complaint - Complaint con userId y restaurantId
+ * @param {Object} viewer - { userId, role: 'customer'|'restaurant'|'support', restaurantId }
+ * @returns {boolean} true si tiene acceso
+ */
+function canAccessComplaint(complaint, viewer) {
+  if (viewer.role === 'support') return true;
+  if (viewer.role === 'customer') return complaint.userId === viewer.userId;
+  if (viewer.role === 'restaurant') return complaint.restaurantId !== null && complaint.restaurantId === viewer.restaurantId;
+  return false;
+}
+
+class ComplaintRepository {
+
+  /**
+   * Crea un ticket de queja de un cliente contra un pedido, restaurante o repartidor
+   * @param {number} customerId - ID del cliente
+   * @param {Object} data - target, orderId, restaurantId, subject y description
+   * @param {string} requestId - ID de la petición para logging
+   * @returns {Promise<Object>} Ticket creado
+   */
+  static async createComplaint(customerId, data, requestId) {
+    try {
+      let order = null;
+      if (data.orderId) {
+        order = await prisma.order.findFirst({
+          where: {
+            id: data.orderId,
+            customerId: customerId
+          },
+          select: {
+            id: true,
+            restaurantId: true,
+            deliveryDriverId: true
+          }
+        });
+
+        if (!order) {
+          throw {
+            status: 404,
+            message: 'Pedido no encontrado',
+            code: 'ORDER_NOT_FOUND'
+          };
+        }
+      }
+
+      let restaurantId = null;
+      let driverId = null;
+
+      if (data.target === 'order') {
+        restaurantId = order.restaurantId;
+        driverId = order.deliveryDriverId;
+      } else if (data.target === 'restaurant') {
+        restaurantId = order ? order.restaurantId : data.restaurantId;
+        const restaurant = await prisma.restaurant.findUnique({
+          where: { id: restaurantId },
+          select: { id: true }
+        });
+        if (!restaurant) {
+          throw {
+            status: 404,
+            message: 'Restaurante no encontrado',
+            code: 'RESTAURANT_NOT_FOUND'
+          };
+        }
+      } else if (data.target === 'driver') {
+        if (!order.deliveryDriverId) {
+          throw {
+            status: 400,
+            message: 'El pedido no tiene repartidor asignado',
+            code: 'ORDER_HAS_NO_DRIVER'
+          };
+        }
+        driverId = order.deliveryDriverId;
+      }
+
+      // Evitar tickets duplicados abiertos para el mismo pedido y motivo
+      if (order) {
+        const openComplaint = await prisma.complaint.findFirst({
+          where: {
+            userId: customerId,
+            orderId: order.id,
+            target: data.target,
+            status: 'pending',
+            deletedAt: null
+          },
+          select: { id: true }
+        });
+
+        if (openComplaint) {
+          throw {
+            status: 409,
+            message: 'Ya tienes una queja abierta para este pedido',
+            code: 'COMPLAINT_ALREADY_OPEN',
+            details: { complaintId: openComplaint.id }
+          };
+        }
+      }
+
+      const complaint = await prisma.complaint.create({
+        data: {
+          userId: customerId,
+          orderId: order ? order.id : null,
+          restaurantId,
+          driverId,
+          target: data.target,
+          subject: data.subject,
+          description: data.description
+        },
+        include: complaintSummaryInclude
+      });
+
+      logger.info('Queja creada por cliente', {
+        requestId,
+        meta: {
+          complaintId: complaint.id,
+          customerId,
+          target: complaint.target,
+          orderId: complaint.orderId ? complaint.orderId.toString() : null,
+          restaurantId
+        }
+      });
+
+      await this.notifyParticipants(complaint, {
+        title: 'Nueva queja recibida',
+        message: `Se abrió la queja #${complaint.id}: ${complaint.subject}`,
+        event: 'complaint_created'
+      }, customerId, requestId);
+
+      return formatComplaint(complaint);
+
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+
+      logger.error('Error creando queja', {
+        requestId,
+        meta: { customerId, error: error.message }
+      });
+
+      throw {
+        status: 500,
+        message: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Lista los tickets de un cliente o de un restaurante
+   * @param {Object} scope - { userId } para cliente o { restaurantId } para restaurante
+   * @param {Object} filters - page, pageSize y status (opcional)
+   * @param {string} requestId - ID de la petición para logging
+   * @returns {Promise<Object>} Tickets y paginación
+   */
+  static async listComplaints(scope, filters, requestId) {
+    try {
+      const where = {
+        deletedAt: null,
+        ...scope
+      };
+
+      if (filters.status) {
+        where.status = filters.status;
+      }
+
+      const skip = (filters.page - 1) * filters.pageSize;
+
+      const [complaints, totalCount] = await prisma.$transaction([
+        prisma.complaint.findMany({
+          where,
+          skip,
+          take: filters.pageSize,
+          orderBy: { updatedAt: 'desc' },
+          include: complaintSummaryInclude
+        }),
+        prisma.complaint.count({ where })
+      ]);
+
+      return {
+        complaints: complaints.map(formatComplaint),
+        pagination: buildPagination(filters.page, filters.pageSize, totalCount)
+      };
+
+    } catch (error) {
+      logger.error('Error listando quejas', {
+        requestId,
+        meta: { scope, error: error.message }
+      });
+
+      throw {
+        status: 500,
+        message: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Obtiene un ticket con su conversación validando el acceso del participante
+   * @param {number} complaintId - ID de la queja
+   * @param {Object} viewer - { userId, role: 'customer'|'restaurant'|'support', restaurantId }
+   * @param {string} requestId - ID de la petición para logging
+   * @returns {Promise<Object>} Ticket con mensajes y adjuntos
+   */
+  static async getComplaintDetail(complaintId, viewer, requestId) {
+    try {
+      const complaint = await prisma.complaint.findFirst({
+        where: {
+          id: complaintId,
+          deletedAt: null
+        },
+        include: {
+          ...complaintSummaryInclude,
+          messages: {
+            orderBy: { createdAt: 'asc' },
+            include: {
+              sender: {
+                select: {
+                  id: true,
+                  name: true,
+                  lastname: true
+                }
+              },
+              attachments: true
+            }
+          },
+          attachments: {
+            where: { messageId: null }
+          }
+        }
+      });
+
+      if (!complaint || !canAccessComplaint(complaint, viewer)) {
+        throw {
+          status: 404,
+          message: 'Queja no encontrada',
+          code: 'COMPLAINT_NOT_FOUND'
+        };
+      }
+
+      return {
+        ...formatComplaint(complaint),
+        attachments: complaint.attachments.map(formatAttachment),
+        messages: complaint.messages.map(message => ({
+          id: message.id,
+          authorRole: message.authorRole,
+          body: message.body,
+          sender: {
+            id: message.sender.id,
+            name: message.authorRole === 'support' ? 'Soporte Delixmi' : `${message.sender.name} ${message.sender.lastname}`
+          },
+          attachments: message.attachments.map(formatAttachment),
+          createdAt: message.createdAt
+        }))
+      };
+
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+
+      logger.error('Error obteniendo detalle de queja', {
+        requestId,
+        meta: { complaintId, viewer, error: error.message }
+      });
+
+      throw {
+        status: 500,
+        message: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Agrega un mensaje (con fotos opcionales) a la conversación de un ticket
+   * @param {number} complaintId - ID de la queja
+   * @param {Object} viewer - { userId, role: 'customer'|'restaurant'|'support', restaurantId }
+   * @param {string} body - Texto del mensaje
+   * @param {Array} files - Archivos subidos por multer ({ filename, originalname, mimetype, size })
+   * @param {string} baseUrl - URL base pública para construir la URL de los archivos
+   * @param {string} requestId - ID de la petición para logging
+   * @returns {Promise<Object>} Mensaje creado con sus adjuntos
+   */
+  static async addMessage(complaintId, viewer, body, files, baseUrl, requestId) {
+    try {
+      const complaint = await prisma.complaint.findFirst({
+        where: {
+          id: complaintId,
+          deletedAt: null
+        },
+        include: complaintSummaryInclude
+      });
+
+      if (!complaint || !canAccessComplaint(complaint, viewer)) {
+        throw {
+          status: 404,
+          message: 'Queja no encontrada',
+          code: 'COMPLAINT_NOT_FOUND'
+        };
+      }
+
+      if (complaint.status === 'closed') {
+        throw {
+          status: 409,
+          message: 'La queja está cerrada y ya no admite mensajes',
+          code: 'COMPLAINT_CLOSED'
+        };
+      }
+
+      // Si el cliente responde a una queja resuelta, se reabre
+      const reopen = viewer.role === 'customer' && complaint.status === 'resolved';
+
+      const message = await prisma.$transaction(async (tx) => {
+        const created = await tx.complaintMessage.create({
+          data: {
+            complaintId,
+            senderId: viewer.userId,
+            authorRole: viewer.role,
+            body
+          }
+        });
+
+        for (const file of files) {
+          await tx.complaintAttachment.create({
+            data: {
+              complaintId,
+              messageId: created.id,
+              uploadedById: viewer.userId,
+              fileUrl: `${baseUrl}/uploads/complaints/${file.filename}`,
+              fileName: file.originalname,
+              mimeType: file.mimetype,
+              sizeBytes: file.size
+            }
+          });
+        }
+
+        await tx.complaint.update({
+          where: { id: complaintId },
+          data: reopen ? { status: 'pending' } : { updatedAt: new Date() }
+        });
+
+        return tx.complaintMessage.findUnique({
+          where: { id: created.id },
+          include: { attachments: true }
+        });
+      });
+
+      logger.info('Mensaje agregado a queja', {
+        requestId,
+        meta: {
+          complaintId,
+          messageId: message.id,
+          authorRole: viewer.role,
+          attachments: message.attachments.length,
+          reopened: reopen
+        }
+      });
+
+      await this.notifyParticipants(complaint, {
+        title: `Nuevo mensaje en la queja #${complaint.id}`,
+        message: body.length > 120 ? `${body.substring(0, 117)}...` : body,
+        event: 'complaint_message',
+        payload: { messageId: message.id, authorRole: viewer.role }
+      }, viewer.userId, requestId);
+
+      return {
+        id: message.id,
+        complaintId,
+        authorRole: message.authorRole,
+        body: message.body,
+        attachments: message.attachments.map(formatAttachment),
+        complaintStatus: reopen ? 'pending' : complaint.status,
+        createdAt: message.createdAt
+      };
+
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+
+      logger.error('Error agregando mensaje a queja', {
+        requestId,
+        meta: { complaintId, viewer, error: error.message }
+      });
+
+      throw {
+        status: 500,
+        message: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Notifica a los participantes el cambio de estado de un ticket
+   * @param {number} complaintId - ID de la queja
+   * @param {string} previousStatus - Estado anterior
+   * @param {string} newStatus - Nuevo estado
+   * @param {string} requestId - ID de la petición para logging
+   */
+  static async notifyStatusChange(complaintId, previousStatus, newStatus, requestId) {
+    const statusLabels = {
+      pending: 'en revisión',
+      resolved: 'resuelta',
+      closed: 'cerrada'
+    };
+
+    try {
+      const complaint = await prisma.complaint.findUnique({
+        where: { id: complaintId },
+        include: complaintSummaryInclude
+      });
+
+      if (!complaint) return;
+
+      await this.notifyParticipants(complaint, {
+        title: `Queja #${complaint.id} ${statusLabels[newStatus] || newStatus}`,
+        message: `La queja "${complaint.subject}" cambió de estado a ${statusLabels[newStatus] || newStatus}`,
+        event: 'complaint_status_updated',
+        payload: { previousStatus, newStatus }
+      }, null, requestId);
+
+    } catch (error) {
+      logger.error('Error notificando cambio de estado de queja', {
+        requestId,
+        meta: { complaintId, error: error.message }
+      });
+    }
+  }
+
+  /**
+   * Envía notificaciones (registro en Notification + Socket.io) al cliente y al
+   * dueño del restaurante involucrado. Nunca interrumpe la operación principal.
+   * @param {Object} complaint - Queja con userId, restaurantId y status
+   * @param {Object} notification - title, message, event y payload (opcional)
+   * @param {number|null} excludeUserId - Usuario que originó el evento
+   * @param {string} requestId - ID de la petición para logging
+   */
+  static async notifyParticipants(complaint, notification, excludeUserId, requestId) {
+    try {
+      const recipients = new Set([complaint.userId]);
+
+      if (complaint.restaurantId) {
+        const restaurant = await prisma.restaurant.findUnique({
+          where: { id: complaint.restaurantId },
+          select: { ownerId: true }
+        });
+        if (restaurant) recipients.add(restaurant.ownerId);
+      }
+
+      if (excludeUserId) recipients.delete(excludeUserId);
+
+      if (recipients.size > 0) {
+        await prisma.notification.createMany({
+          data: [...recipients].map(userId => ({
+            userId,
+            title: notification.title,
+            message: notification.message,
+            type: 'COMPLAINT_UPDATE'
+          }))
+        });
+      }
+
+      const socketPayload = {
+        complaintId: complaint.id,
+        status: complaint.status,
+        subject: complaint.subject,
+        title: notification.title,
+        message: notification.message,
+        ...(notification.payload || {})
+      };
+
+      try {
+        const io = getIo();
+        recipients.forEach(userId => io.to(`user_${userId}`).emit(notification.event, socketPayload));
+        if (complaint.restaurantId) {
+          io.to(`restaurant_${complaint.restaurantId}`).emit(notification.event, socketPayload);
+        }
+      } catch (socketError) {
+        logger.warn('Socket.io no disponible para notificar queja', {
+          requestId,
+          meta: { complaintId: complaint.id, error: socketError.message }
+        });
+      }
+
+    } catch (error) {
+      logger.error('Error notificando participantes de la queja', {
+        requestId,
+        meta: { complaintId: complaint.id, error: error.message }
+      });
+    }
+  }
+}
+
+module.exports = ComplaintRepository;
@@ -0,0 +1,447 @@
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+
+// Relaciones comunes para mostrar un cupón
+const couponInclude = {
+  restaurant: {
+    select: {
+      id: true,
+      name: true
+    }
+  },
+  serviceArea: {
+    select: {
+      id: true,
+      name: true
+    }
+  }
+};
+
+/**
+ * Formatea un cupón para las respuestas de administración
+ * @param {Object} coupon - Coupon con restaurant y serviceArea
+ * @returns {Object} Cupón formateado
+ */
+function formatCoupon(coupon) {
+  return {
+    id: coupon.id,
+    code: coupon.code,
+    description: coupon.description,
+    discountType: coupon.discountType,
+    discountValue: Number(coupon.discountValue),
+    maxDiscountAmount: coupon.maxDiscountAmount !== null ? Number(coupon.maxDiscountAmount) : null,
+    minOrderAmount: Number(coupon.minOrderAmount),
+    fundedBy: coupon.fundedBy,
+    restaurant: coupon.restaurant ? {
+      id: coupon.restaurant.id,
+      name: coupon.restaurant.name
+    } : null,
+    serviceArea: coupon.serviceArea ? {
+      id: coupon.serviceArea.id,
+      name: coupon.serviceArea.name
+    } : null,
+    usageLimit: coupon.usageLimit,
+    perUserLimit: coupon.perUserLimit,
+    firstOrderOnly: coupon.firstOrderOnly,
+    redemptionCount: coupon.redemptionCount,
+    startsAt: coupon.startsAt,
+    expiresAt: coupon.expiresAt,
+    isActive: coupon.isActive,
+    createdAt: coupon.createdAt,
+    updatedAt: coupon.updatedAt
+  };
+}
+
+/**
+ * Construye el objeto de paginación estándar
+ * @param {number} page - Página actual
+ * @param {number} pageSize - Tamaño de página
+ * @param {number} totalCount - Total de registros
+ * @returns {Object} Metadatos de paginación
+ */
+function buildPagination(page, pageSize, totalCount) {
+  const totalPages = Math.ceil(totalCount / pageSize);
+  return {
+    currentPage: page,
+    pageSize,
+    totalCount,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPreviousPage: page > 1
+  };
+}
+
+/**
+ * Relanza errores controlados y convierte el resto en INTERNAL_ERROR
+ * @param {Object} error - Error capturado
+ * @param {string} logMessage - Mensaje para el log
+ * @param {Object} meta - Datos para el log
+ * @param {string} requestId - ID de la petición para logging
+ */
+function rethrowCouponError(error, logMessage, meta, requestId) {
+  if (error.status) {
+    throw error;
+  }
+
+  // Código duplicado creado en paralelo
+  if (error.code === 'P2002') {
+    throw {
+      status: 409,
+      message: 'Ya existe un cupón con ese código',
+      code: 'COUPON_CODE_EXISTS'
+    };
+  }
+
+  logger.error(logMessage, {
+    requestId,
+    meta: { ...meta, error: error.message }
+  });
+
+  throw {
+    status: 500,
+    message: 'Error interno del servidor',
+    code: 'INTERNAL_ERROR'
+  };
+}
+
+/**
+ * Repositorio de cupones de descuento
+ * El Super Admin administra cualquier cupón; el owner solo los que financia su restaurante.
+ * actor = { userId, role: 'admin'|'owner', restaurantId }
+ */
+class CouponRepository {
+
+  /**
+   * Crea un cupón
+   * @param {Object} data - Datos validados del cupón
+   * @param {Object} actor - Usuario que crea el cupón
+   * @param {string} requestId - ID de la petición para logging
+   * @returns {Promise<Object>} Cupón creado
+   */
+  static async createCoupon(data, actor, requestId) {
+    try {
+      const fundedBy = actor.role === 'owner' ? 'restaurant' : data.fundedBy;
+      const restaurantId = actor.role === 'owner' ? actor.restaurantId : (data.restaurantId || null);
+
+      const existingCoupon = await prisma.coupon.findUnique({
+        where: { code: data.code },
+        select: { id: true }
+      });
+
+      if (existingCoupon) {
+        throw {
+          status: 409,
+          message: 'Ya existe un cupón con ese código',
+          code: 'COUPON_CODE_EXISTS'
+        };
+      }
+
+      if (restaurantId && actor.role === 'admin') {
+        const restaurant = await prisma.restaurant.findUnique({
+          where: { id: restaurantId },
+          select: { id: true }
+        });
+        if (!restaurant) {
+          throw {
+            status: 404,
+            message: 'Restaurante no encontrado',
+            code: 'RESTAURANT_NOT_FOUND'
+          };
+        }
+      }
+
+      if (data.serviceAreaId) {
+        await this.assertServiceAreaExists(data.serviceAreaId);
+      }
+
+      const coupon = await prisma.$transaction(async (tx) => {
+        const createdCoupon = await tx.coupon.create({
+          data: {
+            code: data.code,
+            description: data.description || null,
+            discountType: data.discountType,
+            discountValue: data.discountType === 'free_delivery' ? 0 : data.discountValue,
+            maxDiscountAmount: data.maxDiscountAmount ?? null,
+            minOrderAmount: data.minOrderAmount ?? 0,
+            fundedBy,
+            restaurantId,
+            serviceAreaId: data.serviceAreaId ?? null,
+            usageLimit: data.usageLimit ?? null,
+            perUserLimit: data.perUserLimit ?? 1,
+            firstOrderOnly: data.firstOrderOnly ?? false,
+            startsAt: data.startsAt ?? null,
+            expiresAt: data.expiresAt ?? null,
+            createdById: actor.userId
+          },
+          include: couponInclude
+        });
+
+        if (actor.role === 'admin') {
+          await tx.auditLog.create({
+            data: {
+              userId: actor.userId,
+              action: 'CREATE_COUPON',
+              entity: 'COUPON',
+              entityId: BigInt(createdCoupon.id),
+              details: {
+                code: createdCoupon.code,
+                discountType: createdCoupon.discountType,
+                discountValue: Number(createdCoupon.discountValue),
+                fundedBy,
+                restaurantId
+              }
+            }
+          });
+        }
+
+        return createdCoupon;
+      });
+
+      logger.info('Cupón creado', {
+        requestId,
+        meta: {
+          couponId: coupon.id,
+          code: coupon.code,
+          fundedBy,
+          restaurantId,
+          createdBy: actor.userId
+        }
+      });
+
+      return formatCoupon(coupon);
+
+    } catch (error) {
+      rethrowCouponError(error, 'Error creando cupón', { code: data.code, actor }, requestId);
+    }
+  }
+
+  /**
+   * Lista cupones con filtros y paginación
+   * @param {Object} scope - Filtro base (p. ej. { restaurantId } para owners)
+   * @param {Object} filters - page, pageSize, isActive, search, fundedBy, restaurantId
+   * @param {string} requestId - ID de la petición para logging
+   * @returns {Promise<Object>} { coupons, pagination }
+   */
+  static async listCoupons(scope, filters, requestId) {
+    try {
+      const where = {
+        deletedAt: null,
+        ...scope
+      };
+
+      if (filters.isActive !== undefined) {
+        where.isActive = filters.isActive;
+      }
+      if (filters.search) {
+        where.code = { contains: filters.search.toUpperCase() };
+      }
+      if (filters.fundedBy && !scope.fundedBy) {
+        where.fundedBy = filters.fundedBy;
+      }
+      if (filters.restaurantId && !scope.restaurantId) {
+        where.restaurantId = filters.restaurantId;
+      }
+
+      const skip = (filters.page - 1) * filters.pageSize;
+
+      const [coupons, totalCount] = await prisma.$transaction([
+        prisma.coupon.findMany({
+          where,
+          skip,
+          take: filters.pageSize,
+          orderBy: { createdAt: 'desc' },
+          include: couponInclude
+        }),
+        prisma.coupon.count({ where })
+      ]);
+
+      return {
+        coupons: coupons.map(formatCoupon),
+        pagination: buildPagination(filters.page, filters.pageSize, totalCount)
+      };
+
+    } catch (error) {
+      rethrowCouponError(error, 'Error listando cupones', { scope }, requestId);
+    }
+  }
+
+  /**
+   * Actualiza la configuración de un cupón
+   * @param {number} couponId - ID del cupón
+   * @param {Object} data - Campos validados a actualizar
+   * @param {Object} actor - Usuario que actualiza el cupón
+   * @param {string} requestId - ID de la petición para logging
+   * @returns {Promise<Object>} Cupón actualizado
+   */
+  static async updateCoupon(couponId, data, actor, requestId) {
+    try {
+      const coupon = await this.findCouponForActor(couponId, actor);
+
+      if (data.discountValue !== undefined) {
+        const isValidValue = coupon.discountType === 'free_delivery'
+          ? data.discountValue === 0
+          : data.discountValue > 0 && (coupon.discountType !== 'percentage' || data.discountValue <= 100);
+        if (!isValidValue) {
+          throw {
+            status: 400,
+            message: 'El valor del descuento no es válido para el tipo de cupón',
+            code: 'INVALID_DISCOUNT_VALUE',
+            details: { discountType: coupon.discountType }
+          };
+        }
+      }
+
+      const startsAt = data.startsAt !== undefined ? data.startsAt : coupon.startsAt;
+      const expiresAt = data.expiresAt !== undefined ? data.expiresAt : coupon.expiresAt;
+      if (startsAt && expiresAt && startsAt >= expiresAt) {
+        throw {
+          status: 400,
+          message: 'La fecha de inicio debe ser anterior a la fecha de expiración',
+          code: 'INVALID_DATE_RANGE'
+        };
+      }
+
+      if (data.serviceAreaId) {
+        await this.assertServiceAreaExists(data.serviceAreaId);
+      }
+
+      const updatedCoupon = await prisma.$transaction(async (tx) => {
+        const result = await tx.coupon.update({
+          where: { id: coupon.id },
+          data,
+          include: couponInclude
+        });
+
+        if (actor.role === 'admin') {
+          await tx.auditLog.create({
+            data: {
+              userId: actor.userId,
+              action: 'UPDATE_COUPON',
+              entity: 'COUPON',
+              entityId: BigInt(coupon.id),
+              details: {
+                code: coupon.code,
+                changes: JSON.parse(JSON.stringify(data))
+              }
+            }
+          });
+        }
+
+        return result;
+      });
+
+      logger.info('Cupón actualizado', {
+        requestId,
+        meta: {
+          couponId: coupon.id,
+          fields: Object.keys(data),
+          updatedBy: actor.userId
+        }
+      });
+
+      return formatCoupon(updatedCoupon);
+
+    } catch (error) {
+      rethrowCouponError(error, 'Error actualizando cupón', { couponId, actor }, requestId);
+    }
+  }
+
+  /**
+   * Elimina (soft delete) un cupón; los pedidos que ya lo usaron conservan el descuento
+   * @param {number} couponId - ID del cupón
+   * @param {Object} actor - Usuario que elimina el cupón
+   * @param {string} requestId - ID de la petición para logging
+   * @returns {Promise<Object>} { id, code }
+   */
+  static async deleteCoupon(couponId, actor, requestId) {
+    try {
+      const coupon = await this.findCouponForActor(couponId, actor);
+
+      await prisma.$transaction(async (tx) => {
+        await tx.coupon.update({
+          where: { id: coupon.id },
+          data: {
+            isActive: false,
+            deletedAt: new Date()
+          }
+        });
+
+        if (actor.role === 'admin') {
+          await tx.auditLog.create({
+            data: {
+              userId: actor.userId,
+              action: 'DELETE_COUPON',
+              entity: 'COUPON',
+              entityId: BigInt(coupon.id),
+              details: {
+                code: coupon.code,
+                redemptionCount: coupon.redemptionCount
+              }
+            }
+          });
+        }
+      });
+
+      logger.info('Cupón eliminado', {
+        requestId,
+        meta: {
+          couponId: coupon.id,
+          code: coupon.code,
+          deletedBy: actor.userId
+        }
+      });
+
+      return { id: coupon.id, code: coupon.code };
+
+    } catch (error) {
+      rethrowCouponError(error, 'Error eliminando cupón', { couponId, actor }, requestId);
+    }
+  }
+
+  /**
+   * Obtiene un cupón validando que el actor pueda administrarlo
+   * @param {number} couponId - ID del cupón
+   * @param {Object} actor - { userId, role, restaurantId }
+   * @returns {Promise<Object>} Cupón
+   */
+  static async findCouponForActor(couponId, actor) {
+    const where = { id: couponId, deletedAt: null };
+    if (actor.role === 'owner') {
+      where.restaurantId = actor.restaurantId;
+      where.fundedBy = 'restaurant';
+    }
+
+    const coupon = await prisma.coupon.findFirst({ where });
+
+    if (!coupon) {
+      throw {
+        status: 404,
+        message: 'Cupón no encontrado',
+        code: 'COUPON_NOT_FOUND'
+      };
+    }
+
+    return coupon;
+  }
+
+  /**
+   * Verifica que el área de servicio exista y no esté eliminada
+   * @param {number} serviceAreaId - ID del área de servicio
+   */
+  static async assertServiceAreaExists(serviceAreaId) {
+    const serviceArea = await prisma.serviceArea.findFirst({
+      where: { id: serviceAreaId, deletedAt: null },
+      select: { id: true }
+    });
+
+    if (!serviceArea) {
+      throw {
+        status: 404,
+        message: 'Área de servicio no encontrada',
+        code: 'SERVICE_AREA_NOT_FOUND'
+      };
+    }
+  }
+}
+
+module.exports = CouponRepository;
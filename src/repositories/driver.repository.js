@@ -1,6 +1,12 @@
 const { prisma } = require('../config/database');
 const { logger } = require('../config/logger');
 const UserService = require('../services/user.service');
+const DispatchService = require('../services/dispatch.service');
+const TaxService = require('../services/tax.service');
+const TipService = require('../services/tip.service');
+const LedgerService = require('../services/ledger.service');
+const DriverCashService = require('../services/driver-cash.service');
+const OrderStatusService = require('../services/order-status.service');
 
 /**
  * Repositorio para manejar operaciones relacionadas con repartidores
@@ -390,7 +396,13 @@ class DriverRepository {
       // Construir filtro base para pedidos
       let whereClause = {
         status: 'ready_for_pickup',
-        deliveryDriverId: null
+        // Los pedidos para recoger los entrega el restaurante en mostrador
+        fulfillmentType: 'delivery',
+        deliveryDriverId: null,
+        // Ocultar pedidos con una oferta de despacho activa para otro repartidor
+        driverAssignmentLogs: {
+          none: { status: 'OFFERED', driverId: { not: userId } }
+        }
       };
 
       // Determinar filtros específicos según el tipo de repartidor
@@ -448,12 +460,16 @@ class DriverRepository {
         select: {
           id: true,
           status: true,
+          restaurantId: true,
+          paymentMethod: true,
+          total: true,
           branch: {
             select: {
               id: true,
               latitude: true,
               longitude: true,
               deliveryRadius: true,
+              usesPlatformDrivers: true,
               name: true,
               restaurant: {
                 select: {
@@ -504,12 +520,34 @@ class DriverRepository {
         }
       });
 
+      // 4.1. FILTRO DE EFECTIVO - Ocultar pedidos en efectivo que excederían el límite del repartidor
+      const cashFilter = await DriverCashService.filterOrdersByCashLimit(
+        userId,
+        filteredOrders.map(order => ({
+          ...order,
+          usesPlatformDrivers: order.branch.usesPlatformDrivers
+        }))
+      );
+      const eligibleOrders = cashFilter.orders;
+
+      if (cashFilter.hiddenCount > 0) {
+        logger.info('Pedidos en efectivo ocultos por límite de efectivo', {
+          requestId,
+          meta: {
+            userId,
+            hiddenCount: cashFilter.hiddenCount,
+            cashOnHand: cashFilter.cashStatus.cashOnHand,
+            cashLimit: cashFilter.cashStatus.cashLimit
+          }
+        });
+      }
+
       // 5. Aplicar paginación manualmente
-      const totalCount = filteredOrders.length;
+      const totalCount = eligibleOrders.length;
       const page = filters.page || 1;
       const pageSize = filters.pageSize || 10;
       const skip = (page - 1) * pageSize;
-      const paginatedOrders = filteredOrders.slice(skip, skip + pageSize);
+      const paginatedOrders = eligibleOrders.slice(skip, skip + pageSize);
 
       // 6. Obtener detalles completos solo para la página actual
       let detailedPaginatedOrders = [];
@@ -697,7 +735,11 @@ class DriverRepository {
 
       return {
         orders: formattedOrders,
-        pagination: pagination
+        pagination: pagination,
+        cashStatus: {
+          ...cashFilter.cashStatus,
+          hiddenCashOrders: cashFilter.hiddenCount
+        }
       };
 
     } catch (error) {
@@ -832,15 +874,63 @@ class DriverRepository {
         }
       });
 
+      // 2.1. Un pedido en efectivo no puede dejar al repartidor por encima de su límite de efectivo
+      const orderForCashCheck = await prisma.order.findUnique({
+        where: { id: orderId },
+        select: {
+          restaurantId: true,
+          paymentMethod: true,
+          total: true,
+          branch: { select: { usesPlatformDrivers: true } }
+        }
+      });
+
+      if (orderForCashCheck && orderForCashCheck.branch) {
+        try {
+          await DriverCashService.assertCanTakeOrder(userId, {
+            ...orderForCashCheck,
+            usesPlatformDrivers: orderForCashCheck.branch.usesPlatformDrivers
+          });
+        } catch (cashError) {
+          if (cashError.code === 'DRIVER_CASH_LIMIT_EXCEEDED') {
+            logger.warn('Repartidor excede su límite de efectivo', {
+              requestId,
+              meta: { orderId: orderId.toString(), userId, ...cashError.details }
+            });
+          }
+          throw cashError;
+        }
+      }
+
       // 3. TRANSACCIÓN CRÍTICA - Aceptar pedido y actualizar estado del repartidor
       let updatedOrder;
       try {
         updatedOrder = await prisma.$transaction(async (tx) => {
+          // 3.0. Si el despacho automático ofreció el pedido a otro repartidor, no puede aceptarse.
+          // Se lee dentro de la transacción para no aceptar sobre una oferta que cambió mientras tanto
+          const activeOffer = await tx.driverAssignmentLog.findFirst({
+            where: { orderId: orderId, status: 'OFFERED' },
+            orderBy: { assignedAt: 'desc' }
+          });
+
+          if (activeOffer && activeOffer.driverId !== userId) {
+            logger.warn('Pedido ofrecido a otro repartidor', {
+              requestId,
+              meta: { orderId: orderId.toString(), userId, offeredTo: activeOffer.driverId }
+            });
+            throw {
+              status: 409,
+              message: 'Este pedido está ofrecido actualmente a otro repartidor',
+              code: 'ORDER_OFFERED_TO_ANOTHER_DRIVER'
+            };
+          }
+
           // 3.1. Intentar asignar el pedido (esto actúa como select-for-update)
           const assignedOrder = await tx.order.update({
             where: {
               id: orderId,
               status: 'ready_for_pickup',
+              fulfillmentType: 'delivery',
               deliveryDriverId: null,
               ...orderEligibilityWhere
             },
@@ -875,6 +965,47 @@ class DriverRepository {
             meta: { userId }
           });
 
+          // 3.3. Registrar la aceptación en el historial de asignaciones
+          if (activeOffer) {
+            // Solo se acepta si la oferta sigue vigente (no expiró ni se re-ofreció entretanto)
+            const { count } = await tx.driverAssignmentLog.updateMany({
+              where: { id: activeOffer.id, status: 'OFFERED' },
+              data: {
+                status: 'ACCEPTED',
+                respondedAt: new Date(),
+                responseTimeSeconds: Math.round((Date.now() - activeOffer.assignedAt.getTime()) / 1000)
+              }
+            });
+
+            if (count === 0) {
+              throw {
+                status: 409,
+                message: 'La oferta ya expiró o fue respondida',
+                code: 'OFFER_NO_LONGER_ACTIVE'
+              };
+            }
+          } else {
+            await tx.driverAssignmentLog.create({
+              data: {
+                orderId: orderId,
+                driverId: userId,
+                status: 'ACCEPTED',
+                respondedAt: new Date(),
+                responseTimeSeconds: 0,
+                isAutoAssigned: false
+              }
+            });
+          }
+
+          // 3.4. Registrar el cambio de estado en el historial del pedido
+          await OrderStatusService.recordTransition(tx, {
+            orderId: orderId,
+            fromStatus: 'ready_for_pickup',
+            toStatus: 'out_for_delivery',
+            source: 'driver',
+            changedById: userId
+          }, requestId);
+
           return assignedOrder;
         });
 
@@ -898,6 +1029,9 @@ class DriverRepository {
         throw transactionError;
       }
 
+      // 3.4. Detener la expiración de la oferta aceptada
+      DispatchService.clearOfferTimer(orderId);
+
       // 4. Obtener datos completos del pedido actualizado
       const completeOrder = await prisma.order.findUnique({
         where: { id: orderId },
@@ -1191,6 +1325,56 @@ class DriverRepository {
     }
   }
 
+  /**
+   * Rechaza la oferta de un pedido hecha por el despacho automático
+   * @param {BigInt} orderId - ID del pedido ofrecido
+   * @param {number} userId - ID del repartidor que rechaza la oferta
+   * @param {string} rejectionReason - Motivo del rechazo (AssignmentRejectionReason)
+   * @param {string} requestId - ID de la petición para logging
+   * @returns {Promise<Object>} Registro de asignación actualizado
+   */
+  static async rejectOrder(orderId, userId, rejectionReason, requestId) {
+    try {
+      logger.debug('Iniciando rechazo de oferta por repartidor', {
+        requestId,
+        meta: { orderId: orderId.toString(), userId, rejectionReason }
+      });
+
+      const assignmentLog = await DispatchService.rejectOffer(orderId, userId, rejectionReason, requestId);
+
+      return {
+        orderId: assignmentLog.orderId.toString(),
+        status: assignmentLog.status,
+        rejectionReason: assignmentLog.rejectionReason,
+        assignedAt: assignmentLog.assignedAt,
+        respondedAt: assignmentLog.respondedAt,
+        responseTimeSeconds: assignmentLog.responseTimeSeconds
+      };
+
+    } catch (error) {
+      // Si el error ya tiene estructura definida, simplemente re-lanzar
+      if (error.status) {
+        throw error;
+      }
+
+      logger.error('Error rechazando oferta de pedido', {
+        requestId,
+        meta: {
+          orderId: orderId.toString(),
+          userId,
+          error: error.message,
+          stack: error.stack
+        }
+      });
+
+      throw {
+        status: 500,
+        message: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR'
+      };
+    }
+  }
+
   /**
    * Marca un pedido como entregado/completado por el repartidor
    * @param {BigInt} orderId - ID del pedido a completar
@@ -1244,10 +1428,16 @@ class DriverRepository {
         },
         select: {
           id: true,
+          subtotal: true,
           total: true,
           deliveryFee: true,
+          commissionRateSnapshot: true,
+          discountAmount: true,
+          discountFundedBy: true,
+          tipAmount: true,
           restaurantPayout: true,
           paymentMethod: true,
+          restaurantId: true,
           customer: {
             select: {
               id: true,
@@ -1257,20 +1447,19 @@ class DriverRepository {
               phone: true
             }
           },
-          branch: {
+          restaurant: {
             select: {
               id: true,
               name: true,
-              address: true,
-              latitude: true,
-              longitude: true,
-              phone: true,
-              usesPlatformDrivers: true,
-              restaurantId: true,
-              restaurant: {
+              rfc: true,
+              uses_platform_drivers: true
+            }
+          },
+          deliveryDriver: {
+            select: {
+              driverProfile: {
                 select: {
-                  id: true,
-                  name: true
+                  rfc: true
                 }
               }
             }
@@ -1307,20 +1496,55 @@ class DriverRepository {
           userId,
           orderStatus: existingOrder.status,
           customerId: existingOrder.customer?.id,
-          restaurantId: existingOrder.branch?.restaurant?.id
+          restaurantId: existingOrder.restaurantId
         }
       });
 
-      // 3. TRANSACCIÓN CRÍTICA - Completar pedido y actualizar estado del repartidor
+      // 3. Calcular retenciones fiscales (Art. 113-A LISR / Art. 18-J LIVA)
+      // Solo los repartidores de plataforma cobran la tarifa de envío a través de la plataforma
+      const usesPlatformDrivers = existingOrder.restaurant.uses_platform_drivers;
+      const settlement = TaxService.calculateOrderSettlement(
+        existingOrder,
+        existingOrder.restaurant,
+        usesPlatformDrivers ? (existingOrder.deliveryDriver?.driverProfile || {}) : null
+      );
+
+      logger.debug('Retenciones fiscales calculadas', {
+        requestId,
+        meta: {
+          orderId: orderId.toString(),
+          restaurant: {
+            hasRfc: settlement.restaurant.hasRfc,
+            retainedIVA: settlement.restaurant.retainedIVA,
+            retainedISR: settlement.restaurant.retainedISR,
+            payout: settlement.restaurant.payout
+          },
+          driver: settlement.driver ? {
+            hasRfc: settlement.driver.hasRfc,
+            retainedIVA: settlement.driver.retainedIVA,
+            retainedISR: settlement.driver.retainedISR,
+            netAmount: settlement.driver.netAmount
+          } : null
+        }
+      });
+
+      // 4. TRANSACCIÓN CRÍTICA - Completar pedido y actualizar estado del repartidor
       let completedOrder;
       try {
         completedOrder = await prisma.$transaction(async (tx) => {
-          // 3.1. Actualizar pedido a 'delivered'
+          // 4.1. Actualizar pedido a 'delivered' guardando la liquidación fiscal
           const updatedOrder = await tx.order.update({
             where: { id: orderId },
             data: {
               status: 'delivered',
               orderDeliveredAt: new Date(),
+              retainedIVA: settlement.restaurant.retainedIVA,
+              retainedISR: settlement.restaurant.retainedISR,
+              restaurantPayout: settlement.restaurant.payout,
+              driverFeeGross: settlement.driver ? settlement.driver.grossAmount : 0,
+              driverRetainedIVA: settlement.driver ? settlement.driver.retainedIVA : 0,
+              driverRetainedISR: settlement.driver ? settlement.driver.retainedISR : 0,
+              driverFeeNet: settlement.driver ? settlement.driver.netAmount : 0,
               updatedAt: new Date()
             }
           });
@@ -1335,7 +1559,16 @@ class DriverRepository {
             }
           });
 
-          // 3.2. ¡CORRECCIÓN CRÍTICA! Actualizar estado del repartidor a 'online'
+          // Registrar la entrega en el historial de estados del pedido
+          await OrderStatusService.recordTransition(tx, {
+            orderId: orderId,
+            fromStatus: 'out_for_delivery',
+            toStatus: 'delivered',
+            source: 'driver',
+            changedById: userId
+          }, requestId);
+
+          // 4.2. ¡CORRECCIÓN CRÍTICA! Actualizar estado del repartidor a 'online'
           await tx.driverProfile.update({
             where: { userId: userId },
             data: {
@@ -1352,110 +1585,44 @@ class DriverRepository {
 
           // --- INICIO NUEVA LÓGICA FINANCIERA ---
 
-          // 3.3. Obtener billeteras (DEBEN existir gracias al seed/lógica de creación)
-          const driverWallet = await tx.driverWallet.findUniqueOrThrow({ 
-            where: { driverId: userId } 
-          });
-          const restaurantWallet = await tx.restaurantWallet.findUniqueOrThrow({ 
-            where: { restaurantId: existingOrder.branch.restaurantId } 
-          });
-
-          logger.debug('Billeteras obtenidas para procesamiento financiero', {
+          // 4.3. Registrar la liquidación en el libro contable (acredita/carga las billeteras)
+          // - Tarjeta: restaurante recibe su ganancia neta y el repartidor de plataforma su envío neto.
+          // - Efectivo con repartidor de plataforma: el repartidor debe el (Total - Ganancia neta de Envío).
+          // - Efectivo con repartidor propio: el restaurante cobró el pedido, se le carga lo cobrado.
+          const { movements } = await LedgerService.postOrderSettlement(tx, {
+            order: existingOrder,
+            settlement,
+            driverId: userId
+          }, requestId);
+
+          logger.info('Liquidación del pedido registrada en billeteras', {
             requestId,
             meta: {
               orderId: orderId.toString(),
-              driverWalletId: driverWallet.id,
-              restaurantWalletId: restaurantWallet.id,
-              usesPlatformDrivers: existingOrder.branch.usesPlatformDrivers,
-              paymentMethod: existingOrder.paymentMethod
+              restaurantId: existingOrder.restaurantId,
+              usesPlatformDrivers,
+              paymentMethod: existingOrder.paymentMethod,
+              movements: movements.map(({ transaction }) => ({
+                type: transaction.type,
+                amount: Number(transaction.amount),
+                balanceAfter: Number(transaction.balanceAfter)
+              }))
             }
           });
 
-          // 3.4. Lógica de Repartidor de Plataforma
-          if (existingOrder.branch.usesPlatformDrivers) {
-            let driverAmount = 0;
-            let driverTxType = "";
-
-            if (existingOrder.paymentMethod === 'cash') {
-              // Repartidor cobró en efectivo: nos debe el (Total - Ganancia de Envío)
-              driverAmount = -(existingOrder.total - existingOrder.deliveryFee); // Negativo
-              driverTxType = "DEBT_CASH";
-            } else {
-              // Plataforma cobró con tarjeta: le debemos la ganancia de envío
-              driverAmount = existingOrder.deliveryFee; // Positivo
-              driverTxType = "EARNING_CARD";
-            }
-
-            const newDriverBalance = driverWallet.balance + driverAmount;
-            
-            await tx.driverWalletTransaction.create({
-              data: { 
-                walletId: driverWallet.id, 
-                orderId: orderId, 
-                type: driverTxType, 
-                amount: driverAmount, 
-                balanceAfter: newDriverBalance, 
-                description: `Pedido #${orderId}` 
-              }
-            });
-            
-            await tx.driverWallet.update({ 
-              where: { id: driverWallet.id }, 
-              data: { balance: newDriverBalance } 
-            });
-
-            logger.info('Transacción de repartidor de plataforma procesada', {
-              requestId,
-              meta: {
-                orderId: orderId.toString(),
-                driverAmount,
-                driverTxType,
-                newDriverBalance: Number(newDriverBalance)
-              }
-            });
-          } else {
-            // 3.5. Lógica de Repartidor Propio del Restaurante
-            // El 'DriverWallet' no se toca. Su pago es asunto del restaurante.
-            logger.info('Pedido de repartidor propio del restaurante - sin transacción de driver', {
-              requestId,
-              meta: {
-                orderId: orderId.toString(),
-                restaurantId: existingOrder.branch.restaurantId
-              }
-            });
+          // 4.4. Acreditar la propina del checkout como asiento separado (100% para el repartidor).
+          // En efectivo con repartidor de plataforma, la deuda anterior incluye la propina cobrada, así que se compensa;
+          // un repartidor del restaurante que cobró en efectivo ya tiene la propina en mano
+          const tipAmount = Number(existingOrder.tipAmount);
+          if (tipAmount > 0 && (settlement.driver || existingOrder.paymentMethod !== 'CASH')) {
+            await TipService.creditDriverTip(tx, {
+              orderId,
+              driverId: userId,
+              amount: tipAmount,
+              description: `Propina Pedido #${orderId}`
+            }, requestId);
           }
 
-          // 3.6. Registrar Ganancia del Restaurante
-          // (Esto aplica en AMBOS casos, ya sea tarjeta o efectivo)
-          const restaurantAmount = existingOrder.restaurantPayout; // (Subtotal - PlatformFee)
-          const newRestaurantBalance = restaurantWallet.balance + restaurantAmount;
-
-          await tx.restaurantWalletTransaction.create({
-            data: { 
-              walletId: restaurantWallet.id, 
-              orderId: orderId, 
-              type: "EARNING", 
-              amount: restaurantAmount, 
-              balanceAfter: newRestaurantBalance, 
-              description: `Ganancia Pedido #${orderId}` 
-            }
-          });
-          
-          await tx.restaurantWallet.update({ 
-            where: { id: restaurantWallet.id }, 
-            data: { balance: newRestaurantBalance } 
-          });
-
-          logger.info('Ganancia del restaurante procesada', {
-            requestId,
-            meta: {
-              orderId: orderId.toString(),
-              restaurantAmount: Number(restaurantAmount),
-              newRestaurantBalance: Number(newRestaurantBalance),
-              restaurantId: existingOrder.branch.restaurantId
-            }
-          });
-
           // --- FIN NUEVA LÓGICA FINANCIERA ---
 
           return updatedOrder;
@@ -1474,7 +1641,7 @@ class DriverRepository {
         throw transactionError;
       }
 
-      // 4. Obtener datos completos del pedido actualizado
+      // 5. Obtener datos completos del pedido actualizado
       const completeOrderData = await prisma.order.findUnique({
         where: { id: orderId },
         include: {
@@ -1579,13 +1746,17 @@ class DriverRepository {
         };
       }
 
-      // 5. Formatear respuesta
+      // 6. Formatear respuesta
       const formattedOrder = {
         id: completeOrderData.id.toString(),
         status: completeOrderData.status,
         subtotal: Number(completeOrderData.subtotal),
         deliveryFee: Number(completeOrderData.deliveryFee),
         total: Number(completeOrderData.total),
+        driverFeeGross: Number(completeOrderData.driverFeeGross),
+        driverRetainedIVA: Number(completeOrderData.driverRetainedIVA),
+        driverRetainedISR: Number(completeOrderData.driverRetainedISR),
+        driverFeeNet: Number(completeOrderData.driverFeeNet),
         paymentMethod: completeOrderData.paymentMethod,
         paymentStatus: completeOrderData.paymentStatus,
         specialInstructions: completeOrderData.specialInstructions,
@@ -1668,7 +1839,7 @@ class DriverRepository {
         })) : []
       };
 
-      // 6. ¡CORRECCIÓN CRÍTICA 2! Enviar notificaciones WebSocket
+      // 7. ¡CORRECCIÓN CRÍTICA 2! Enviar notificaciones WebSocket
       try {
         const { getIo } = require('../config/socket');
         const io = getIo();
@@ -3006,23 +3177,47 @@ class DriverRepository {
         ...dateFilter
       };
 
-      const [orderStats] = await prisma.$transaction([
+      // Las propinas agregadas después de la entrega se cuentan en la fecha en que se pagaron
+      const tipWhere = {
+        driverId: userId,
+        status: 'completed'
+      };
+      if (dateFilter.orderDeliveredAt) {
+        tipWhere.paidAt = dateFilter.orderDeliveredAt;
+      }
+
+      const [orderStats, postDeliveryTipStats] = await prisma.$transaction([
         prisma.order.aggregate({
           where,
           _sum: {
-            deliveryFee: true
+            deliveryFee: true,
+            tipAmount: true
           },
           _count: {
             id: true
           }
+        }),
+        prisma.orderTip.aggregate({
+          where: tipWhere,
+          _sum: {
+            amount: true
+          }
         })
       ]);
 
+      const deliveryFeeEarnings = Number(orderStats._sum.deliveryFee || 0);
+      const tipEarnings = Math.round(
+        (Number(orderStats._sum.tipAmount || 0) + Number(postDeliveryTipStats._sum.amount || 0)) * 100
+      ) / 100;
+      const totalEarnings = Math.round((deliveryFeeEarnings + tipEarnings) * 100) / 100;
+
       return {
-        totalEarnings: Number(orderStats._sum.deliveryFee || 0),
+        totalEarnings,
+        deliveryFeeEarnings,
+        tipEarnings,
         totalDeliveries: orderStats._count.id,
         averageEarningPerDelivery: orderStats._count.id > 0 
-          ? Number(orderStats._sum.deliveryFee || 0) / orderStats._count.id 
+          ? totalEarnings / orderStats._count.id 
           : 0,
         period: {
           from: dateFrom || null,
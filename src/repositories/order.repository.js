@@ -1,8 +1,13 @@
 const { prisma } = require('../config/database');
 const { logger } = require('../config/logger');
 const UserService = require('../services/user.service');
-const BranchRepository = require('./branch.repository');
-const NotificationService = require('../services/notification.service');
+const DispatchService = require('../services/dispatch.service');
+const CouponService = require('../services/coupon.service');
+const TaxService = require('../services/tax.service');
+const LedgerService = require('../services/ledger.service');
+const OrderStatusService = require('../services/order-status.service');
+const OrderAcceptanceService = require('../services/order-acceptance.service');
+const StockService = require('../services/stock.service');
 
 /**
  * Repositorio para manejar operaciones de órdenes
@@ -11,8 +16,8 @@ const NotificationService = require('../services/notification.service');
 class OrderRepository {
   
   /**
-   * Obtiene las órdenes de una sucursal con filtros y paginación
-   * @param {number} branchId - ID de la sucursal
+   * Obtiene las órdenes de un restaurante con filtros y paginación
+   * @param {number} restaurantId - ID del restaurante
    * @param {Object} filters - Filtros y parámetros de paginación
    * @param {number} filters.page - Página actual (default: 1)
    * @param {number} filters.pageSize - Tamaño de página (default: 10)
@@ -22,18 +27,20 @@ class OrderRepository {
    * @param {string} filters.sortBy - Campo por el cual ordenar (default: 'orderPlacedAt')
    * @param {string} filters.sortOrder - Orden ('asc' | 'desc', default: 'desc')
    * @param {string} [filters.search] - Término de búsqueda (opcional)
+   * @param {boolean} [filters.scheduled] - true solo pedidos programados, false solo inmediatos (opcional)
+   * @param {string} [requestId] - ID de la request para logging
    * @returns {Promise<Object>} Objeto con orders y pagination
    */
-  static async getOrdersByBranch(branchId, filters, requestId) {
+  static async getOrdersForRestaurant(restaurantId, filters, requestId) {
     try {
-      logger.debug('Iniciando consulta de órdenes por sucursal', {
+      logger.debug('Iniciando consulta de órdenes del restaurante', {
         requestId,
-        meta: { branchId, filters }
+        meta: { restaurantId, filters }
       });
 
       // Construir condiciones WHERE
       const where = {
-        branchId: branchId
+        restaurantId: restaurantId
       };
 
       // Agregar filtro por estado si se proporciona
@@ -41,6 +48,11 @@ class OrderRepository {
         where.status = filters.status;
       }
 
+      // Pedidos programados (scheduledFor) o inmediatos
+      if (filters.scheduled !== undefined) {
+        where.scheduledFor = filters.scheduled ? { not: null } : null;
+      }
+
       // Agregar filtros de fecha si se proporcionan
       if (filters.dateFrom || filters.dateTo) {
         where.orderPlacedAt = {};
@@ -67,20 +79,17 @@ class OrderRepository {
               OR: [
                 {
                   name: {
-                    contains: filters.search,
-                    mode: 'insensitive'
+                    contains: filters.search
                   }
                 },
                 {
                   lastname: {
-                    contains: filters.search,
-                    mode: 'insensitive'
+                    contains: filters.search
                   }
                 },
                 {
                   email: {
-                    contains: filters.search,
-                    mode: 'insensitive'
+                    contains: filters.search
                   }
                 }
               ]
@@ -98,7 +107,7 @@ class OrderRepository {
       const take = filters.pageSize;
 
       logger.info('Ejecutando consulta de órdenes con filtros', {
-        branchId,
+        restaurantId,
         where,
         orderBy,
         skip,
@@ -202,6 +211,10 @@ class OrderRepository {
         paymentStatus: order.paymentStatus,
         orderPlacedAt: order.orderPlacedAt,
         orderDeliveredAt: order.orderDeliveredAt,
+        fulfillmentType: order.fulfillmentType,
+        isScheduled: Boolean(order.scheduledFor),
+        scheduledFor: order.scheduledFor,
+        scheduledReleaseAt: order.scheduledReleaseAt,
         specialInstructions: order.specialInstructions,
         createdAt: order.createdAt,
         updatedAt: order.updatedAt,
@@ -213,7 +226,8 @@ class OrderRepository {
           email: order.customer.email,
           phone: order.customer.phone
         },
-        address: {
+        // Los pedidos para recoger no tienen dirección de entrega
+        address: order.address ? {
           id: order.address.id,
           alias: order.address.alias,
           street: order.address.street,
@@ -229,7 +243,7 @@ class OrderRepository {
             latitude: Number(order.address.latitude),
             longitude: Number(order.address.longitude)
           }
-        },
+        } : null,
         deliveryDriver: order.deliveryDriver ? {
           id: order.deliveryDriver.id,
           name: order.deliveryDriver.name,
@@ -266,7 +280,7 @@ class OrderRepository {
       }));
 
       logger.info('Consulta de órdenes completada', {
-        branchId,
+        restaurantId,
         totalFound: totalCount,
         returned: formattedOrders.length,
         requestId
@@ -285,10 +299,10 @@ class OrderRepository {
       };
 
     } catch (error) {
-      logger.error('Error obteniendo órdenes por sucursal', {
+      logger.error('Error obteniendo órdenes del restaurante', {
         requestId,
         meta: { 
-          branchId, 
+          restaurantId, 
           filters,
           error: error.message,
           stack: error.stack
@@ -298,6 +312,34 @@ class OrderRepository {
     }
   }
 
+  /**
+   * Registra en la billetera del restaurante la liquidación de un pedido recogido en mostrador
+   * Se acredita la ganancia neta igual que en un pedido entregado; si el cliente pagó en efectivo,
+   * el restaurante ya cobró el total, así que se le descuenta de la billetera
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {Object} order - Pedido (con restaurantId, subtotal, total, tipAmount, paymentMethod y fulfillmentType)
+   * @param {Object} settlement - Resultado de TaxService.calculateOrderSettlement
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<number>} Saldo final de la billetera del restaurante
+   */
+  static async settlePickupOrder(tx, order, settlement, requestId = null) {
+    const { movements } = await LedgerService.postOrderSettlement(tx, { order, settlement }, requestId);
+    const balance = Number(movements[movements.length - 1].transaction.balanceAfter);
+
+    logger.info('Liquidación de pedido para recoger procesada', {
+      requestId,
+      meta: {
+        orderId: order.id.toString(),
+        restaurantId: order.restaurantId,
+        restaurantAmount: settlement.restaurant.payout,
+        paymentMethod: order.paymentMethod,
+        newRestaurantBalance: balance
+      }
+    });
+
+    return balance;
+  }
+
   /**
    * Actualiza el estado de un pedido específico con validaciones de transición y permisos
    * @param {BigInt} orderId - ID del pedido
@@ -305,9 +347,10 @@ class OrderRepository {
    * @param {number} userId - ID del usuario que realiza la actualización
    * @param {string} requestId - ID de la request para logging
    * @param {string} [rejectionReason] - Razón de cancelación (requerida si newStatus es 'cancelled')
+   * @param {string} [pickupCode] - Código que muestra el cliente al recoger (requerido para entregar un pedido para recoger)
    * @returns {Promise<Object>} Pedido actualizado con relaciones completas
    */
-  static async updateOrderStatus(orderId, newStatus, userId, requestId, rejectionReason = null) {
+  static async updateOrderStatus(orderId, newStatus, userId, requestId, rejectionReason = null, pickupCode = null) {
     try {
       logger.debug('Iniciando actualización de estado de pedido', {
         requestId,
@@ -335,18 +378,20 @@ class OrderRepository {
         throw error;
       }
 
-      // 2. Verificar que el usuario tenga roles de restaurante
-      const userRole = userWithRoles.roles.find(role => 
-        ['owner', 'branch_manager', 'order_manager', 'kitchen_staff'].includes(role.name)
+      // 2. Verificar que el usuario tenga un rol de restaurante asignado a un restaurante
+      const restaurantRoles = ['owner', 'branch_manager', 'order_manager', 'kitchen_staff'];
+      const userRoleNames = userWithRoles.userRoleAssignments.map(assignment => assignment.role.name);
+      const userAssignment = userWithRoles.userRoleAssignments.find(
+        assignment => restaurantRoles.includes(assignment.role.name)
       );
 
-      if (!userRole) {
+      if (!userAssignment) {
         logger.error('Usuario sin permisos para actualizar pedidos', {
           requestId,
           meta: { 
             userId, 
             orderId: orderId.toString(),
-            userRoles: userWithRoles.roles.map(r => r.name)
+            userRoles: userRoleNames
           }
         });
 
@@ -356,38 +401,46 @@ class OrderRepository {
           code: 'INSUFFICIENT_PERMISSIONS',
           details: {
             userId: userId,
-            requiredRoles: ['owner', 'branch_manager', 'order_manager', 'kitchen_staff'],
-            userRoles: userWithRoles.roles.map(r => r.name)
+            requiredRoles: restaurantRoles,
+            userRoles: userRoleNames
           }
         };
         throw error;
       }
 
-      // 3. Obtener la sucursal principal del restaurante del usuario
-      const branch = await BranchRepository.getPrimaryBranchByUserId(userId, requestId);
+      const userRole = userAssignment.role;
+
+      // 3. Obtener el restaurante asignado al usuario
+      const restaurantId = userAssignment.restaurantId;
 
-      if (!branch) {
-        logger.error('Sucursal principal no encontrada para el usuario', {
+      if (!restaurantId) {
+        logger.error('Usuario sin restaurante asignado', {
           requestId,
           meta: { userId, orderId: orderId.toString() }
         });
 
         const error = {
-          status: 404,
-          message: 'Sucursal principal no encontrada',
-          code: 'PRIMARY_BRANCH_NOT_FOUND',
+          status: 403,
+          message: 'No se encontró un restaurante asignado para este usuario',
+          code: 'NO_RESTAURANT_ASSIGNED',
           details: {
             userId: userId,
-            suggestion: 'Contacta al administrador para configurar tu sucursal principal'
+            suggestion: 'Contacta al administrador para asignarte a un restaurante'
           }
         };
         throw error;
       }
 
-      // 4. Buscar el pedido y verificar que pertenezca a la sucursal del usuario
+      // 4. Buscar el pedido y verificar que pertenezca al restaurante del usuario
       const order = await prisma.order.findUnique({
         where: { id: orderId },
         include: {
+          restaurant: {
+            select: {
+              id: true,
+              rfc: true
+            }
+          },
           payment: {
             select: {
               id: true,
@@ -402,7 +455,7 @@ class OrderRepository {
       if (!order) {
         logger.error('Pedido no encontrado', {
           requestId,
-          meta: { orderId: orderId.toString(), userId, branchId: branch.id }
+          meta: { orderId: orderId.toString(), userId, restaurantId }
         });
 
         const error = {
@@ -411,21 +464,21 @@ class OrderRepository {
           code: 'ORDER_NOT_FOUND',
           details: {
             orderId: orderId.toString(),
-            branchId: branch.id,
+            restaurantId,
             suggestion: 'Verifica que el ID del pedido sea correcto'
           }
         };
         throw error;
       }
 
-      if (order.branchId !== branch.id) {
-        logger.error('Pedido no pertenece a la sucursal del usuario', {
+      if (order.restaurantId !== restaurantId) {
+        logger.error('Pedido no pertenece al restaurante del usuario', {
           requestId,
           meta: { 
             orderId: orderId.toString(), 
             userId, 
-            orderBranchId: order.branchId,
-            userBranchId: branch.id
+            orderRestaurantId: order.restaurantId,
+            userRestaurantId: restaurantId
           }
         });
 
@@ -435,114 +488,53 @@ class OrderRepository {
           code: 'ORDER_ACCESS_DENIED',
           details: {
             orderId: orderId.toString(),
-            orderBranchId: order.branchId,
-            userBranchId: branch.id,
-            suggestion: 'Este pedido pertenece a otra sucursal'
-          }
-        };
-        throw error;
-      }
-
-      // 5. Verificar que el pedido no esté en un estado final
-      const finalStates = ['delivered', 'cancelled', 'refunded'];
-      if (finalStates.includes(order.status)) {
-        logger.error('Intento de actualizar pedido en estado final', {
-          requestId,
-          meta: { 
-            orderId: orderId.toString(), 
-            currentStatus: order.status, 
-            newStatus,
-            userId
-          }
-        });
-
-        const error = {
-          status: 409,
-          message: 'No se puede cambiar el estado de un pedido finalizado',
-          code: 'ORDER_IN_FINAL_STATE',
-          details: {
-            orderId: orderId.toString(),
-            currentStatus: order.status,
-            finalStates: finalStates
+            orderRestaurantId: order.restaurantId,
+            userRestaurantId: restaurantId,
+            suggestion: 'Este pedido pertenece a otro restaurante'
           }
         };
         throw error;
       }
 
-      // 6. Validar transición de estado
+      // 5. Validar la transición con la máquina de estados (estado final, transición y rol)
       const currentStatus = order.status;
-       
-      // Definir transiciones válidas y roles requeridos
-      const validTransitions = {
-        'pending': {
-          'confirmed': ['owner', 'branch_manager', 'order_manager'],
-          'cancelled': ['owner', 'branch_manager', 'order_manager']
-        },
-        'confirmed': {
-          'preparing': ['owner', 'branch_manager', 'order_manager', 'kitchen_staff'],
-          'cancelled': ['owner', 'branch_manager', 'order_manager']
-        },
-        'preparing': {
-          'ready_for_pickup': ['owner', 'branch_manager', 'order_manager', 'kitchen_staff']
-        },
-        'ready_for_pickup': {
-          'out_for_delivery': ['owner', 'branch_manager', 'order_manager']
-        },
-        'out_for_delivery': {
-          'delivered': ['owner', 'branch_manager', 'order_manager']
-        }
-      };
 
-      // Estados finales que no permiten más cambios (ya declarado arriba)
-
-      // Verificar si la transición es válida
-      if (!validTransitions[currentStatus] || !validTransitions[currentStatus][newStatus]) {
-        logger.error('Transición de estado inválida', {
+      try {
+        OrderStatusService.assertTransition(order, newStatus, {
+          source: 'restaurant',
+          role: userRole.name
+        });
+      } catch (transitionError) {
+        logger.error('Transición de estado rechazada', {
           requestId,
           meta: { 
             orderId: orderId.toString(), 
             currentStatus, 
             newStatus, 
             userId,
-            userRole: userRole.name
+            userRole: userRole.name,
+            code: transitionError.code
           }
         });
-
-        throw {
-          status: 409,
-          message: `Transición de estado inválida: ${currentStatus} → ${newStatus}`,
-          code: 'INVALID_STATUS_TRANSITION',
-          details: { 
-            currentStatus, 
-            newStatus,
-            validTransitions: validTransitions[currentStatus] || 'Ninguna transición válida desde este estado'
-          }
-        };
+        throw transitionError;
       }
 
-      // Verificar que el rol del usuario permita esta transición
-      const allowedRoles = validTransitions[currentStatus][newStatus];
-      if (!allowedRoles.includes(userRole.name)) {
-        logger.error('Rol del usuario no permite esta transición', {
+      // El cliente recoge su pedido: el código que muestra debe coincidir con el del pedido
+      const isPickupHandover = order.fulfillmentType === 'pickup' && newStatus === 'delivered';
+
+      if (isPickupHandover && (!pickupCode || pickupCode !== order.pickupCode)) {
+        logger.warn('Código de recogida inválido', {
           requestId,
-          meta: { 
-            orderId: orderId.toString(), 
-            currentStatus, 
-            newStatus, 
-            userRole: userRole.name,
-            allowedRoles
-          }
+          meta: { orderId: orderId.toString(), userId, hasPickupCode: Boolean(pickupCode) }
         });
 
         throw {
-          status: 403,
-          message: `Tu rol '${userRole.name}' no tiene permisos para cambiar el estado de ${currentStatus} a ${newStatus}`,
-          code: 'STATUS_UPDATE_NOT_ALLOWED_FOR_ROLE',
+          status: 409,
+          message: pickupCode ? 'El código de recogida no coincide con el del pedido' : 'Se requiere el código de recogida del cliente',
+          code: 'INVALID_PICKUP_CODE',
           details: {
-            userRole: userRole.name,
-            currentStatus,
-            newStatus,
-            allowedRoles
+            orderId: orderId.toString(),
+            suggestion: 'Pide al cliente el código de 6 dígitos que aparece en su pedido'
           }
         };
       }
@@ -557,24 +549,42 @@ class OrderRepository {
         }
       });
 
-      // 7. Actualizar el estado del pedido usando transacción para garantizar atomicidad
+      // 6. Actualizar el estado del pedido usando transacción para garantizar atomicidad
       const updatedOrder = await prisma.$transaction(async (tx) => {
-        // Actualizar el estado del pedido
-        const updateData = { 
-          status: newStatus,
-          updatedAt: new Date()
-        };
+        // Campos adicionales al estado; las fechas de cada estado las llena la máquina de estados
+        const updateData = {};
 
         // Si es cancelación, agregar razón de rechazo
         if (newStatus === 'cancelled' && rejectionReason) {
           updateData.rejectionReason = rejectionReason;
-          updateData.cancelledAt = new Date();
         }
 
-        await tx.order.update({
-          where: { id: orderId },
+        // Entrega en mostrador: liquidar igual que un pedido entregado por repartidor (sin envío)
+        let settlement = null;
+        if (isPickupHandover) {
+          settlement = TaxService.calculateOrderSettlement(order, order.restaurant, null);
+          updateData.retainedIVA = settlement.restaurant.retainedIVA;
+          updateData.retainedISR = settlement.restaurant.retainedISR;
+          updateData.restaurantPayout = settlement.restaurant.payout;
+        }
+
+        await OrderStatusService.transition(tx, order, newStatus, {
+          source: 'restaurant',
+          changedById: userId,
+          role: userRole.name,
+          reason: newStatus === 'cancelled' ? rejectionReason || null : null,
           data: updateData
-        });
+        }, requestId);
+
+        if (settlement) {
+          await this.settlePickupOrder(tx, order, settlement, requestId);
+        }
+
+        // Aceptar un pedido corta la racha de pedidos vencidos sin aceptar y confirma su stock como venta
+        if (newStatus === 'confirmed') {
+          await OrderAcceptanceService.resetMissedOrders(tx, order.restaurantId);
+          await StockService.commitOrderStock(tx, orderId, userId, requestId);
+        }
 
         // Si es cancelación y hay pago completado, actualizar estado del pago
         if (newStatus === 'cancelled' && order.payment && order.payment.status === 'completed' && order.payment.provider !== 'cash') {
@@ -587,6 +597,12 @@ class OrderRepository {
           });
         }
 
+        // Si es cancelación, liberar el uso del cupón para que el cliente pueda volver a usarlo
+        if (newStatus === 'cancelled') {
+          await CouponService.releaseRedemption(tx, orderId, requestId);
+          await StockService.releaseOrderStock(tx, orderId, requestId);
+        }
+
         // Obtener el pedido actualizado con relaciones completas
         return await tx.order.findUnique({
           where: { id: orderId },
@@ -616,7 +632,7 @@ class OrderRepository {
                 longitude: true
               }
             },
-            branch: {
+            restaurant: {
               select: {
                 id: true,
                 name: true,
@@ -668,7 +684,7 @@ class OrderRepository {
         });
       });
 
-      // 8. Emitir evento WebSocket (si está disponible)
+      // 7. Emitir evento WebSocket (si está disponible)
       try {
         const { getIo } = require('../config/socket');
         const io = getIo();
@@ -690,7 +706,7 @@ class OrderRepository {
         });
       }
 
-      // 9. Efectos secundarios según el nuevo estado
+      // 8. Efectos secundarios según el nuevo estado
       if (newStatus === 'cancelled' && order.payment && order.payment.status === 'completed' && order.payment.provider !== 'cash') {
         // TODO: Implementar llamada a PaymentService.initiateRefund()
         logger.info('Pedido cancelado requiere reembolso', {
@@ -705,7 +721,7 @@ class OrderRepository {
 
       // La notificación a repartidores se manejará después de obtener el updatedOrder completo
 
-      // 10. Formatear el pedido para la respuesta
+      // 9. Formatear el pedido para la respuesta
       const formattedOrder = {
         id: updatedOrder.id.toString(),
         status: updatedOrder.status,
@@ -717,6 +733,7 @@ class OrderRepository {
         restaurantPayout: Number(updatedOrder.restaurantPayout),
         paymentMethod: updatedOrder.paymentMethod,
         paymentStatus: updatedOrder.paymentStatus,
+        fulfillmentType: updatedOrder.fulfillmentType,
         orderPlacedAt: updatedOrder.orderPlacedAt,
         orderDeliveredAt: updatedOrder.orderDeliveredAt,
         specialInstructions: updatedOrder.specialInstructions,
@@ -731,7 +748,7 @@ class OrderRepository {
           email: updatedOrder.customer.email,
           phone: updatedOrder.customer.phone
         },
-        address: {
+        address: updatedOrder.address ? {
           id: updatedOrder.address.id,
           alias: updatedOrder.address.alias,
           street: updatedOrder.address.street,
@@ -746,12 +763,12 @@ class OrderRepository {
             latitude: Number(updatedOrder.address.latitude),
             longitude: Number(updatedOrder.address.longitude)
           }
-        },
-        branch: {
-          id: updatedOrder.branch.id,
-          name: updatedOrder.branch.name,
-          address: updatedOrder.branch.address,
-          phone: updatedOrder.branch.phone
+        } : null,
+        restaurant: {
+          id: updatedOrder.restaurant.id,
+          name: updatedOrder.restaurant.name,
+          address: updatedOrder.restaurant.address,
+          phone: updatedOrder.restaurant.phone
         },
         deliveryDriver: updatedOrder.deliveryDriver ? {
           id: updatedOrder.deliveryDriver.id,
@@ -788,30 +805,15 @@ class OrderRepository {
         }))
       };
 
-      // 11. Notificar a repartidores si el pedido está listo para recogida
-      if (newStatus === 'ready_for_pickup') {
-        try {
-          const { getIo } = require('../config/socket');
-          const io = getIo();
-          if (io) {
-            io.emit('order_ready_for_pickup', {
-              orderId: orderId.toString(),
-              branchId: updatedOrder.branch.id,
-              customerAddress: updatedOrder.address,
-              orderItems: updatedOrder.orderItems,
-              estimatedDeliveryTime: 30 // minutos
-            });
-            logger.debug('Notificación de pedido listo enviada a repartidores', {
-              requestId,
-              meta: { orderId: orderId.toString() }
-            });
-          }
-        } catch (notificationError) {
-          logger.warn('Error notificando a repartidores', {
+      // 10. Iniciar el despacho automático si el pedido a domicilio está listo para recogida
+      if (newStatus === 'ready_for_pickup' && order.fulfillmentType !== 'pickup') {
+        // Las ofertas se envían de forma secuencial; no se bloquea la respuesta
+        DispatchService.startDispatch(orderId, requestId).catch(dispatchError => {
+          logger.warn('Error iniciando despacho automático', {
             requestId,
-            meta: { error: notificationError.message }
+            meta: { orderId: orderId.toString(), error: dispatchError.message }
           });
-        }
+        });
       }
 
       return formattedOrder;
@@ -9,14 +9,14 @@ const prisma = new PrismaClient();
 class ProductRepository {
   /**
    * Crea un nuevo producto con validaciones completas
-   * @param {Object} data - Datos del producto (subcategoryId, name, description, imageUrl, price, isAvailable)
+   * @param {Object} data - Datos del producto (subcategoryId, name, description, imageUrl, price, isAvailable, trackStock)
    * @param {Array} modifierGroupIds - IDs de grupos de modificadores
    * @param {number} userId - ID del usuario que está creando el producto
    * @param {string} requestId - ID de la request para logging
    * @returns {Promise<Object>} Producto creado con todas las validaciones aplicadas
    */
   static async create(data, modifierGroupIds = [], userId, requestId) {
-    const { subcategoryId, name, description, imageUrl, price, isAvailable = true } = data;
+    const { subcategoryId, name, description, imageUrl, price, isAvailable = true, trackStock = false } = data;
     const subcategoryIdNum = parseInt(subcategoryId);
 
     // 1. Buscar la subcategoría y obtener su restaurant_id
@@ -114,7 +114,8 @@ class ProductRepository {
           description: description ? description.trim() : null,
           imageUrl: imageUrl ? imageUrl.trim() : null,
           price: parseFloat(price),
-          isAvailable: isAvailable
+          isAvailable: isAvailable,
+          trackStock: trackStock
         },
         include: {
           subcategory: {
@@ -198,7 +199,7 @@ class ProductRepository {
    * @returns {Promise<Object>} Producto actualizado
    */
   static async update(productId, data, modifierGroupIds = undefined, userId, requestId) {
-    const { subcategoryId, name, description, imageUrl, price, isAvailable } = data;
+    const { subcategoryId, name, description, imageUrl, price, isAvailable, trackStock } = data;
 
     // 1. Buscar el producto existente
     const existingProduct = await prisma.product.findUnique({
@@ -351,6 +352,12 @@ class ProductRepository {
     
     if (isAvailable !== undefined) {
       updateData.isAvailable = isAvailable;
+      // El owner toma el control: el inventario ya no reactivará el producto por su cuenta
+      updateData.outOfStockAt = null;
+    }
+
+    if (trackStock !== undefined) {
+      updateData.trackStock = trackStock;
     }
 
     // Si no hay campos para actualizar (incluyendo modifierGroupIds)
@@ -0,0 +1,554 @@
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const { getIo } = require('../config/socket');
+
+/**
+ * Formatea una reseña para respuestas públicas (sin datos sensibles del cliente)
+ * @param {Object} rating - Reseña con relación customer
+ * @returns {Object} Reseña formateada
+ */
+function formatPublicReview(rating) {
+  return {
+    id: rating.id,
+    restaurantScore: rating.restaurantScore,
+    comment: rating.comment,
+    customer: rating.customer ? {
+      name: rating.customer.name,
+      // Solo la inicial del apellido para proteger la privacidad del cliente
+      lastnameInitial: rating.customer.lastname ? `${rating.customer.lastname.charAt(0)}.` : null
+    } : null,
+    ownerReply: rating.ownerReply ? {
+      text: rating.ownerReply,
+      repliedAt: rating.ownerRepliedAt
+    } : null,
+    createdAt: rating.createdAt
+  };
+}
+
+/**
+ * Construye el objeto de paginación estándar
+ * @param {number} page - Página actual
+ * @param {number} pageSize - Tamaño de página
+ * @param {number} totalCount - Total de registros
+ * @returns {Object} Metadatos de paginación
+ */
+function buildPagination(page, pageSize, totalCount) {
+  const totalPages = Math.ceil(totalCount / pageSize);
+  return {
+    currentPage: page,
+    pageSize,
+    totalCount,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPreviousPage: page > 1
+  };
+}
+
+class RatingRepository {
+
+  /**
+   * Crea la calificación de un pedido entregado (una sola vez por pedido)
+   * @param {BigInt} orderId - ID del pedido calificado
+   * @param {number} customerId - ID del cliente que califica
+   * @param {Object} data - restaurantScore, driverScore (opcional) y comment (opcional)
+   * @param {string} requestId - ID de la petición para logging
+   * @returns {Promise<Object>} Calificación creada
+   */
+  static async createRating(orderId, customerId, data, requestId) {
+    try {
+      const order = await prisma.order.findFirst({
+        where: {
+          id: orderId,
+          customerId: customerId
+        },
+        select: {
+          id: true,
+          status: true,
+          restaurantId: true,
+          deliveryDriverId: true,
+          ratings: {
+            select: { id: true }
+          }
+        }
+      });
+
+      if (!order) {
+        throw {
+          status: 404,
+          message: 'Pedido no encontrado',
+          code: 'ORDER_NOT_FOUND'
+        };
+      }
+
+      if (order.status !== 'delivered') {
+        throw {
+          status: 409,
+          message: 'Solo puedes calificar pedidos entregados',
+          code: 'ORDER_NOT_DELIVERED',
+          details: { currentStatus: order.status }
+        };
+      }
+
+      if (order.ratings) {
+        throw {
+          status: 409,
+          message: 'Este pedido ya fue calificado',
+          code: 'ORDER_ALREADY_RATED'
+        };
+      }
+
+      if (data.driverScore !== undefined && !order.deliveryDriverId) {
+        throw {
+          status: 400,
+          message: 'Este pedido no tiene repartidor asignado para calificar',
+          code: 'NO_DRIVER_TO_RATE'
+        };
+      }
+
+      let rating;
+      try {
+        rating = await prisma.$transaction(async (tx) => {
+          const created = await tx.rating.create({
+            data: {
+              orderId: order.id,
+              restaurantId: order.restaurantId,
+              customerId: customerId,
+              driverId: order.deliveryDriverId,
+              restaurantScore: data.restaurantScore,
+              driverScore: data.driverScore ?? null,
+              comment: data.comment || null
+            }
+          });
+
+          await this.recalculateRestaurantRating(order.restaurantId, tx);
+
+          return created;
+        });
+      } catch (txError) {
+        // Dos peticiones simultáneas: la restricción única de orderId rechaza la segunda
+        if (txError.code === 'P2002') {
+          throw {
+            status: 409,
+            message: 'Este pedido ya fue calificado',
+            code: 'ORDER_ALREADY_RATED'
+          };
+        }
+        throw txError;
+      }
+
+      logger.info('Calificación de pedido creada', {
+        requestId,
+        meta: {
+          ratingId: rating.id,
+          orderId: orderId.toString(),
+          restaurantId: order.restaurantId,
+          restaurantScore: rating.restaurantScore,
+          driverScore: rating.driverScore
+        }
+      });
+
+      try {
+        getIo().to(`restaurant_${order.restaurantId}`).emit('new_review', {
+          ratingId: rating.id,
+          orderId: orderId.toString(),
+          restaurantScore: rating.restaurantScore,
+          comment: rating.comment
+        });
+      } catch (socketError) {
+        logger.warn('Socket.io no disponible para notificar nueva reseña', {
+          requestId,
+          meta: { ratingId: rating.id, error: socketError.message }
+        });
+      }
+
+      return {
+        id: rating.id,
+        orderId: rating.orderId.toString(),
+        restaurantId: rating.restaurantId,
+        restaurantScore: rating.restaurantScore,
+        driverScore: rating.driverScore,
+        comment: rating.comment,
+        createdAt: rating.createdAt
+      };
+
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+
+      logger.error('Error creando calificación', {
+        requestId,
+        meta: { orderId: orderId.toString(), customerId, error: error.message }
+      });
+
+      throw {
+        status: 500,
+        message: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Recalcula Restaurant.rating y RestaurantMetrics.customerRating
+   * a partir de las calificaciones vigentes del restaurante
+   * @param {number} restaurantId - ID del restaurante
+   * @param {Object} [tx=prisma] - Cliente de Prisma o transacción activa
+   * @returns {Promise<Object>} Promedio y total de calificaciones
+   */
+  static async recalculateRestaurantRating(restaurantId, tx = prisma) {
+    const aggregate = await tx.rating.aggregate({
+      where: {
+        restaurantId,
+        deletedAt: null,
+        restaurantScore: { not: null }
+      },
+      _avg: { restaurantScore: true },
+      _count: { restaurantScore: true }
+    });
+
+    const averageRating = aggregate._avg.restaurantScore
+      ? Math.round(aggregate._avg.restaurantScore * 100) / 100
+      : 0;
+
+    await tx.restaurant.update({
+      where: { id: restaurantId },
+      data: { rating: averageRating }
+    });
+
+    await tx.restaurantMetrics.upsert({
+      where: { restaurantId },
+      update: {
+        customerRating: averageRating,
+        lastUpdated: new Date()
+      },
+      create: {
+        restaurantId,
+        customerRating: averageRating
+      }
+    });
+
+    return {
+      averageRating,
+      totalRatings: aggregate._count.restaurantScore
+    };
+  }
+
+  /**
+   * Obtiene las reseñas públicas de un restaurante con paginación y resumen
+   * Las reseñas reportadas quedan ocultas mientras están en revisión
+   * @param {number} restaurantId - ID del restaurante
+   * @param {Object} filters - page y pageSize
+   * @param {string} requestId - ID de la petición para logging
+   * @returns {Promise<Object>} Reseñas, resumen de calificaciones y paginación
+   */
+  static async getRestaurantReviews(restaurantId, filters, requestId) {
+    try {
+      const where = {
+        restaurantId,
+        deletedAt: null,
+        isReported: false,
+        restaurantScore: { not: null }
+      };
+
+      const skip = (filters.page - 1) * filters.pageSize;
+
+      const [reviews, totalCount, distribution] = await prisma.$transaction([
+        prisma.rating.findMany({
+          where,
+          skip,
+          take: filters.pageSize,
+          orderBy: { createdAt: 'desc' },
+          include: {
+            customer: {
+              select: {
+                name: true,
+                lastname: true
+              }
+            }
+          }
+        }),
+        prisma.rating.count({ where }),
+        prisma.rating.groupBy({
+          by: ['restaurantScore'],
+          where: {
+            restaurantId,
+            deletedAt: null,
+            restaurantScore: { not: null }
+          },
+          orderBy: { restaurantScore: 'asc' },
+          _count: { restaurantScore: true }
+        })
+      ]);
+
+      const scoreDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+      let totalRatings = 0;
+      let scoreSum = 0;
+      distribution.forEach(group => {
+        scoreDistribution[group.restaurantScore] = group._count.restaurantScore;
+        totalRatings += group._count.restaurantScore;
+        scoreSum += group.restaurantScore * group._count.restaurantScore;
+      });
+
+      return {
+        reviews: reviews.map(formatPublicReview),
+        summary: {
+          averageRating: totalRatings > 0 ? Math.round((scoreSum / totalRatings) * 100) / 100 : 0,
+          totalRatings,
+          scoreDistribution
+        },
+        pagination: buildPagination(filters.page, filters.pageSize, totalCount)
+      };
+
+    } catch (error) {
+      logger.error('Error obteniendo reseñas del restaurante', {
+        requestId,
+        meta: { restaurantId, error: error.message }
+      });
+
+      throw {
+        status: 500,
+        message: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Obtiene las reseñas del restaurante para el panel del dueño
+   * @param {number} restaurantId - ID del restaurante del dueño
+   * @param {Object} filters - page, pageSize y hasReply (opcional)
+   * @param {string} requestId - ID de la petición para logging
+   * @returns {Promise<Object>} Reseñas con estado de reporte y respuesta, y paginación
+   */
+  static async getOwnerRatings(restaurantId, filters, requestId) {
+    try {
+      const where = {
+        restaurantId,
+        deletedAt: null
+      };
+
+      if (filters.hasReply !== undefined) {
+        where.ownerReply = filters.hasReply ? { not: null } : null;
+      }
+
+      const skip = (filters.page - 1) * filters.pageSize;
+
+      const [ratings, totalCount] = await prisma.$transaction([
+        prisma.rating.findMany({
+          where,
+          skip,
+          take: filters.pageSize,
+          orderBy: { createdAt: 'desc' },
+          include: {
+            customer: {
+              select: {
+                name: true,
+                lastname: true
+              }
+            }
+          }
+        }),
+        prisma.rating.count({ where })
+      ]);
+
+      return {
+        ratings: ratings.map(rating => ({
+          ...formatPublicReview(rating),
+          orderId: rating.orderId.toString(),
+          isReported: rating.isReported,
+          reportReason: rating.reportReason,
+          reportedAt: rating.reportedAt
+        })),
+        pagination: buildPagination(filters.page, filters.pageSize, totalCount)
+      };
+
+    } catch (error) {
+      logger.error('Error obteniendo reseñas para el dueño', {
+        requestId,
+        meta: { restaurantId, error: error.message }
+      });
+
+      throw {
+        status: 500,
+        message: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Reporta una reseña para revisión del Super Admin
+   * @param {number} ratingId - ID de la reseña
+   * @param {number} reporterId - ID del usuario que reporta
+   * @param {string} reason - Motivo del reporte
+   * @param {number|null} restaurantId - Restaurante del dueño que reporta (null si reporta un cliente)
+   * @param {string} requestId - ID de la petición para logging
+   * @returns {Promise<Object>} Estado del reporte
+   */
+  static async reportRating(ratingId, reporterId, reason, restaurantId, requestId) {
+    try {
+      const rating = await prisma.rating.findFirst({
+        where: {
+          id: ratingId,
+          deletedAt: null,
+          ...(restaurantId ? { restaurantId } : {})
+        },
+        select: {
+          id: true,
+          customerId: true,
+          isReported: true
+        }
+      });
+
+      if (!rating) {
+        throw {
+          status: 404,
+          message: 'Reseña no encontrada',
+          code: 'RATING_NOT_FOUND'
+        };
+      }
+
+      if (rating.customerId === reporterId) {
+        throw {
+          status: 403,
+          message: 'No puedes reportar tu propia reseña',
+          code: 'CANNOT_REPORT_OWN_RATING'
+        };
+      }
+
+      if (rating.isReported) {
+        throw {
+          status: 409,
+          message: 'La reseña ya fue reportada y está en revisión',
+          code: 'RATING_ALREADY_REPORTED'
+        };
+      }
+
+      const updated = await prisma.rating.update({
+        where: { id: ratingId },
+        data: {
+          isReported: true,
+          reportReason: reason,
+          reportedById: reporterId,
+          reportedAt: new Date()
+        }
+      });
+
+      logger.info('Reseña reportada', {
+        requestId,
+        meta: { ratingId, reporterId, restaurantId }
+      });
+
+      return {
+        id: updated.id,
+        isReported: updated.isReported,
+        reportReason: updated.reportReason,
+        reportedAt: updated.reportedAt
+      };
+
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+
+      logger.error('Error reportando reseña', {
+        requestId,
+        meta: { ratingId, reporterId, error: error.message }
+      });
+
+      throw {
+        status: 500,
+        message: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Publica o actualiza la respuesta pública del dueño a una reseña
+   * @param {number} ratingId - ID de la reseña
+   * @param {number} restaurantId - ID del restaurante del dueño
+   * @param {string} reply - Texto de la respuesta
+   * @param {string} requestId - ID de la petición para logging
+   * @returns {Promise<Object>} Reseña con la respuesta publicada
+   */
+  static async replyToRating(ratingId, restaurantId, reply, requestId) {
+    try {
+      const rating = await prisma.rating.findFirst({
+        where: {
+          id: ratingId,
+          restaurantId,
+          deletedAt: null
+        },
+        select: {
+          id: true,
+          customerId: true,
+          orderId: true
+        }
+      });
+
+      if (!rating) {
+        throw {
+          status: 404,
+          message: 'Reseña no encontrada',
+          code: 'RATING_NOT_FOUND'
+        };
+      }
+
+      const updated = await prisma.rating.update({
+        where: { id: ratingId },
+        data: {
+          ownerReply: reply,
+          ownerRepliedAt: new Date()
+        },
+        include: {
+          customer: {
+            select: {
+              name: true,
+              lastname: true
+            }
+          }
+        }
+      });
+
+      logger.info('Respuesta del dueño publicada en reseña', {
+        requestId,
+        meta: { ratingId, restaurantId }
+      });
+
+      try {
+        getIo().to(`user_${rating.customerId}`).emit('review_reply', {
+          ratingId,
+          orderId: rating.orderId.toString(),
+          reply
+        });
+      } catch (socketError) {
+        logger.warn('Socket.io no disponible para notificar respuesta de reseña', {
+          requestId,
+          meta: { ratingId, error: socketError.message }
+        });
+      }
+
+      return formatPublicReview(updated);
+
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+
+      logger.error('Error respondiendo reseña', {
+        requestId,
+        meta: { ratingId, restaurantId, error: error.message }
+      });
+
+      throw {
+        status: 500,
+        message: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR'
+      };
+    }
+  }
+}
+
+module.exports = RatingRepository;
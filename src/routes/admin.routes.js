@@ -6,33 +6,39 @@ const {
   // Fase 1: Seguridad, Roles y Usuarios
   updateUserStatus, updateUserSuspicious, resetUserPassword, updateRolePermissions, assignUserRole, deleteUserSessions, getRoles, createRole,
   // Fase 2: Configuración Global y Geografía
-  updateGlobalConfig, getGlobalConfig, createServiceArea, updateServiceArea,
+  updateGlobalConfig, getGlobalConfig, createServiceArea, updateServiceArea, updateRestaurantServiceAreas,
   // Fase 3: Restaurantes y Catálogo
   verifyRestaurant, updateRestaurantCommission, createCategory, updateCategory, approvePromotion, adjustProductStock, getFlaggedProducts, getInventoryLogs,
   // Fase 4: Finanzas y Billeteras
-  updatePaymentStatus, processRestaurantPayouts, adjustRestaurantWallet, processDriverPayouts, adjustDriverWallet, getRestaurantWalletTransactions, getDriverWalletTransactions,
+  updatePaymentStatus, processRestaurantPayouts, adjustRestaurantWallet, processDriverPayouts, adjustDriverWallet, getRestaurantWalletTransactions, getDriverWalletTransactions, getTaxWithholdingSummary, createOrderRefund, getOrderRefunds, getWebhookEvents, getWebhookEventDetail, replayWebhookEvent, runPaymentReconciliation, getReconciliationReports, getReconciliationReport, getLedgerIntegrity, createPayoutBatch, getPayoutBatches, getPayoutBatch, approvePayoutBatch, sendPayoutBatch, confirmPayoutBatch, cancelPayoutBatch, failPayoutLine, getPayoutLineStatement, exportPayoutBatch, updateRestaurantPayoutHold, updateDriverPayoutHold,
   // Fase 5: Logística y Repartidores
-  updateDriverKyc, blockDriver, forceDriverAssignment, getDriversKycPending, getOrderRouteLogs, getOrderAssignments,
+  updateDriverKyc, blockDriver, forceDriverAssignment, getDriversKycPending, getOrderRouteLogs, getOrderAssignments, updateDriverCashLimit, getDriverCashDeposits, confirmDriverCashDeposit, rejectDriverCashDeposit, getAdminOrders, getAdminOrderDetail, getAdminOrderTimeline, cancelAdminOrder, reassignAdminOrderDriver, overrideAdminOrderStatus, addAdminOrderNote,
   // Fase 6: Soporte, Auditoría y Comms
   updateComplaintStatus, sendMessage, broadcastNotification, getAuditLogs, getComplaints, getReportedRatings
 } = require('../controllers/admin.controller');
 const { authenticateToken, requireRole } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
 const { 
   // Fase 1
   updateUserStatusSchema, updateUserSuspiciousSchema, resetUserPasswordSchema, updateRolePermissionsSchema, assignUserRoleSchema, createRoleSchema,
   // Fase 2
-  updateGlobalConfigSchema, createServiceAreaSchema, updateServiceAreaSchema,
+  updateGlobalConfigSchema, createServiceAreaSchema, updateServiceAreaSchema, updateRestaurantServiceAreasSchema,
   // Fase 3
   verifyRestaurantSchema, updateRestaurantCommissionSchema, createCategorySchema, updateCategorySchema, adjustProductStockSchema,
   // Fase 4
-  updatePaymentStatusSchema, adjustRestaurantWalletSchema, adjustDriverWalletSchema,
+  updatePaymentStatusSchema, adjustRestaurantWalletSchema, adjustDriverWalletSchema, createRefundSchema, createPayoutBatchSchema, payoutBatchParamsSchema, failPayoutLineSchema, updatePayoutHoldSchema,
   // Fase 5
-  updateDriverKycSchema, blockDriverSchema,
+  updateDriverKycSchema, blockDriverSchema, updateDriverCashLimitSchema, cashDepositParamsSchema, rejectCashDepositSchema, adminOrderParamsSchema, adminCancelOrderSchema, reassignOrderDriverSchema, overrideOrderStatusSchema, orderInternalNoteSchema,
   // Fase 6
   updateComplaintStatusSchema, sendMessageSchema, broadcastNotificationSchema,
   // Query schemas
-  auditLogsQuerySchema, complaintsQuerySchema, inventoryLogsQuerySchema, restaurantWalletTransactionsQuerySchema, driverWalletTransactionsQuerySchema
+  auditLogsQuerySchema, complaintsQuerySchema, inventoryLogsQuerySchema, restaurantWalletTransactionsQuerySchema, driverWalletTransactionsQuerySchema, taxWithholdingsQuerySchema, webhookEventsQuerySchema, reconciliationReportsQuerySchema, runReconciliationSchema, payoutBatchesQuerySchema, payoutBatchExportQuerySchema, cashDepositsQuerySchema, adminOrdersQuerySchema
 } = require('../validations/admin.validation');
+const { complaintParamsSchema, complaintMessageSchema } = require('../validations/complaint.validation');
+const { getSupportComplaintDetail, addSupportMessage } = require('../controllers/complaint.controller');
+const { createAdminCouponSchema, updateCouponSchema, couponParamsSchema, couponsQuerySchema } = require('../validations/coupon.validation');
+const { createAdminCoupon, getAdminCoupons, updateAdminCoupon, deleteAdminCoupon } = require('../controllers/coupon.controller');
+const { uploadComplaint, handleMulterError } = require('../config/multer');
 
 const router = express.Router();
 
@@ -113,6 +119,19 @@ const updateRestaurantValidation = [
     .withMessage('La tasa de comisión debe ser un número entre 0 y 100')
     .toFloat(),
   
+  body('rfc')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-ZÑ&]{3,4}[0-9]{6}[A-Z0-9]{3}$/)
+    .withMessage('El RFC debe tener un formato válido'),
+  
+  body('clabe')
+    .optional()
+    .trim()
+    .matches(/^\d{18}$/)
+    .withMessage('La CLABE debe tener 18 dígitos'),
+  
   body('status')
     .optional()
     .isIn(['pending_approval', 'active', 'inactive', 'suspended', 'rejected'])
@@ -613,6 +632,26 @@ router.patch('/service-areas/:id',
   updateServiceArea
 );
 
+// Vincular áreas de servicio a un restaurante
+router.put('/restaurants/:id/service-areas',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      const validatedData = updateRestaurantServiceAreasSchema.parse(req.body);
+      req.body = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  updateRestaurantServiceAreas
+);
+
 // ========================================
 // FASE 3: RESTAURANTES Y CATÁLOGO
 // ========================================
@@ -775,47 +814,74 @@ router.patch('/orders/:id/payment/status',
   updatePaymentStatus
 );
 
-// Procesar pagos a restaurantes
-router.post('/wallets/restaurants/payouts/process',
+// Crear reembolso total o parcial de una orden
+router.post('/orders/:id/refunds',
   authenticateToken,
   requireRole(['super_admin']),
-  processRestaurantPayouts
+  (req, res, next) => {
+    try {
+      const validatedData = createRefundSchema.parse(req.body);
+      req.body = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  createOrderRefund
 );
 
-// Ajustar billetera de restaurante
-router.post('/wallets/restaurants/:id/adjust',
+// Obtener reembolsos de una orden
+router.get('/orders/:id/refunds',
+  authenticateToken,
+  requireRole(['super_admin']),
+  getOrderRefunds
+);
+
+// Listar eventos de webhooks de pago
+router.get('/webhook-events',
   authenticateToken,
   requireRole(['super_admin']),
   (req, res, next) => {
     try {
-      const validatedData = adjustRestaurantWalletSchema.parse(req.body);
-      req.body = validatedData;
+      const validatedData = webhookEventsQuerySchema.parse(req.query);
+      req.query = validatedData;
       next();
     } catch (error) {
       return res.status(400).json({
         status: 'error',
-        message: 'Datos de entrada inválidos',
+        message: 'Parámetros de consulta inválidos',
         errors: error.errors
       });
     }
   },
-  adjustRestaurantWallet
+  getWebhookEvents
 );
 
-// Procesar pagos a repartidores
-router.post('/wallets/drivers/payouts/process',
+// Obtener detalle de un evento de webhook (incluye el payload original)
+router.get('/webhook-events/:id',
   authenticateToken,
   requireRole(['super_admin']),
-  processDriverPayouts
+  getWebhookEventDetail
 );
 
-// Ajustar billetera de repartidor
-router.post('/wallets/drivers/:id/adjust',
+// Reprocesar un evento de webhook
+router.post('/webhook-events/:id/replay',
+  authenticateToken,
+  requireRole(['super_admin']),
+  replayWebhookEvent
+);
+
+// Ejecutar la conciliación de pagos pendientes (y opcionalmente regenerar un reporte diario)
+router.post('/payments/reconciliation/run',
   authenticateToken,
   requireRole(['super_admin']),
   (req, res, next) => {
     try {
-      const validatedData = adjustDriverWalletSchema.parse(req.body);
+      const validatedData = runReconciliationSchema.parse(req.body || {});
       req.body = validatedData;
       next();
     } catch (error) {
@@ -826,16 +892,16 @@ router.post('/wallets/drivers/:id/adjust',
       });
     }
   },
-  adjustDriverWallet
+  runPaymentReconciliation
 );
 
-// Obtener transacciones de billetera de restaurantes
-router.get('/wallets/restaurants/transactions',
+// Listar reportes diarios de conciliación de pagos
+router.get('/payments/reconciliation/reports',
   authenticateToken,
   requireRole(['super_admin']),
   (req, res, next) => {
     try {
-      const validatedData = restaurantWalletTransactionsQuerySchema.parse(req.query);
+      const validatedData = reconciliationReportsQuerySchema.parse(req.query);
       req.query = validatedData;
       next();
     } catch (error) {
@@ -846,16 +912,50 @@ router.get('/wallets/restaurants/transactions',
       });
     }
   },
-  getRestaurantWalletTransactions
+  getReconciliationReports
 );
 
-// Obtener transacciones de billetera de repartidores
-router.get('/wallets/drivers/transactions',
+// Obtener el reporte de conciliación de un día con sus diferencias
+router.get('/payments/reconciliation/reports/:reportDate',
+  authenticateToken,
+  requireRole(['super_admin']),
+  getReconciliationReport
+);
+
+// Verificar que las billeteras cuadren con el libro contable
+router.get('/ledger/integrity',
+  authenticateToken,
+  requireRole(['super_admin']),
+  getLedgerIntegrity
+);
+
+// Crear cupón de plataforma o de restaurante
+router.post('/coupons',
   authenticateToken,
   requireRole(['super_admin']),
   (req, res, next) => {
     try {
-      const validatedData = driverWalletTransactionsQuerySchema.parse(req.query);
+      const validatedData = createAdminCouponSchema.parse(req.body);
+      req.body = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  createAdminCoupon
+);
+
+// Listar cupones
+router.get('/coupons',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      const validatedData = couponsQuerySchema.parse(req.query);
       req.query = validatedData;
       next();
     } catch (error) {
@@ -866,20 +966,64 @@ router.get('/wallets/drivers/transactions',
       });
     }
   },
-  getDriverWalletTransactions
+  getAdminCoupons
 );
 
-// ========================================
-// FASE 5: LOGÍSTICA Y REPARTIDORES
-// ========================================
+// Actualizar cupón
+router.patch('/coupons/:couponId',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      req.params.couponId = couponParamsSchema.parse(req.params).couponId;
+      req.body = updateCouponSchema.parse(req.body);
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  updateAdminCoupon
+);
 
-// Actualizar KYC de repartidor
-router.patch('/drivers/:id/kyc',
+// Eliminar cupón
+router.delete('/coupons/:couponId',
   authenticateToken,
   requireRole(['super_admin']),
   (req, res, next) => {
     try {
-      const validatedData = updateDriverKycSchema.parse(req.body);
+      req.params.couponId = couponParamsSchema.parse(req.params).couponId;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros de ruta inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  deleteAdminCoupon
+);
+
+// Procesar pagos a restaurantes
+router.post('/wallets/restaurants/payouts/process',
+  authenticateToken,
+  requireRole(['super_admin']),
+  idempotency(),
+  processRestaurantPayouts
+);
+
+// Ajustar billetera de restaurante
+router.post('/wallets/restaurants/:id/adjust',
+  authenticateToken,
+  requireRole(['super_admin']),
+  idempotency(),
+  (req, res, next) => {
+    try {
+      const validatedData = adjustRestaurantWalletSchema.parse(req.body);
       req.body = validatedData;
       next();
     } catch (error) {
@@ -890,16 +1034,25 @@ router.patch('/drivers/:id/kyc',
       });
     }
   },
-  updateDriverKyc
+  adjustRestaurantWallet
 );
 
-// Bloquear/desbloquear repartidor
-router.patch('/drivers/:id/block',
+// Procesar pagos a repartidores
+router.post('/wallets/drivers/payouts/process',
+  authenticateToken,
+  requireRole(['super_admin']),
+  idempotency(),
+  processDriverPayouts
+);
+
+// Ajustar billetera de repartidor
+router.post('/wallets/drivers/:id/adjust',
   authenticateToken,
   requireRole(['super_admin']),
+  idempotency(),
   (req, res, next) => {
     try {
-      const validatedData = blockDriverSchema.parse(req.body);
+      const validatedData = adjustDriverWalletSchema.parse(req.body);
       req.body = validatedData;
       next();
     } catch (error) {
@@ -910,89 +1063,158 @@ router.patch('/drivers/:id/block',
       });
     }
   },
-  blockDriver
+  adjustDriverWallet
 );
 
-// Forzar asignación de repartidor
-router.post('/orders/:orderId/driver/:driverId',
+// Crear lote de pagos (neto pendiente por beneficiario)
+router.post('/payouts/batches',
   authenticateToken,
   requireRole(['super_admin']),
-  forceDriverAssignment
+  idempotency(),
+  (req, res, next) => {
+    try {
+      const validatedData = createPayoutBatchSchema.parse(req.body);
+      req.body = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  createPayoutBatch
 );
 
-// Obtener repartidores con KYC pendiente
-router.get('/drivers/kyc/pending',
+// Listar lotes de pagos
+router.get('/payouts/batches',
   authenticateToken,
   requireRole(['super_admin']),
-  getDriversKycPending
+  (req, res, next) => {
+    try {
+      const validatedData = payoutBatchesQuerySchema.parse(req.query);
+      req.query = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros de consulta inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  getPayoutBatches
 );
 
-// Obtener logs de ruta de orden
-router.get('/orders/:orderId/route-logs',
+// Obtener lote de pagos con sus líneas
+router.get('/payouts/batches/:id',
   authenticateToken,
   requireRole(['super_admin']),
-  getOrderRouteLogs
+  (req, res, next) => {
+    try {
+      payoutBatchParamsSchema.parse(req.params);
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros de ruta inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  getPayoutBatch
 );
 
-// Obtener asignaciones de repartidor para orden
-router.get('/orders/:orderId/assignments',
+// Aprobar lote de pagos
+router.post('/payouts/batches/:id/approve',
   authenticateToken,
   requireRole(['super_admin']),
-  getOrderAssignments
+  idempotency(),
+  (req, res, next) => {
+    try {
+      payoutBatchParamsSchema.parse(req.params);
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros de ruta inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  approvePayoutBatch
 );
 
-// ========================================
-// FASE 6: SOPORTE, AUDITORÍA Y COMMS
-// ========================================
+// Marcar lote de pagos como enviado al banco (descuenta las billeteras)
+router.post('/payouts/batches/:id/send',
+  authenticateToken,
+  requireRole(['super_admin']),
+  idempotency(),
+  (req, res, next) => {
+    try {
+      payoutBatchParamsSchema.parse(req.params);
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros de ruta inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  sendPayoutBatch
+);
 
-// Actualizar estado de queja
-router.patch('/complaints/:id/status',
+// Confirmar la liquidación de un lote de pagos
+router.post('/payouts/batches/:id/confirm',
   authenticateToken,
   requireRole(['super_admin']),
+  idempotency(),
   (req, res, next) => {
     try {
-      const validatedData = updateComplaintStatusSchema.parse(req.body);
-      req.body = validatedData;
+      payoutBatchParamsSchema.parse(req.params);
       next();
     } catch (error) {
       return res.status(400).json({
         status: 'error',
-        message: 'Datos de entrada inválidos',
+        message: 'Parámetros de ruta inválidos',
         errors: error.errors
       });
     }
   },
-  updateComplaintStatus
+  confirmPayoutBatch
 );
 
-// Enviar mensaje
-router.post('/messages/send',
+// Cancelar lote de pagos no enviado
+router.post('/payouts/batches/:id/cancel',
   authenticateToken,
   requireRole(['super_admin']),
+  idempotency(),
   (req, res, next) => {
     try {
-      const validatedData = sendMessageSchema.parse(req.body);
-      req.body = validatedData;
+      payoutBatchParamsSchema.parse(req.params);
       next();
     } catch (error) {
       return res.status(400).json({
         status: 'error',
-        message: 'Datos de entrada inválidos',
+        message: 'Parámetros de ruta inválidos',
         errors: error.errors
       });
     }
   },
-  sendMessage
+  cancelPayoutBatch
 );
 
-// Crear notificación masiva
-router.post('/notifications/broadcast',
+// Marcar una línea de un lote como fallida y revertirla
+router.post('/payouts/batches/:id/lines/:lineId/fail',
   authenticateToken,
   requireRole(['super_admin']),
+  idempotency(),
   (req, res, next) => {
     try {
-      const validatedData = broadcastNotificationSchema.parse(req.body);
-      req.body = validatedData;
+      payoutBatchParamsSchema.parse(req.params);
+      req.body = failPayoutLineSchema.parse(req.body);
       next();
     } catch (error) {
       return res.status(400).json({
@@ -1002,37 +1224,36 @@ router.post('/notifications/broadcast',
       });
     }
   },
-  broadcastNotification
+  failPayoutLine
 );
 
-// Obtener logs de auditoría
-router.get('/audit-logs',
+// Estado de cuenta de un beneficiario dentro de un lote
+router.get('/payouts/batches/:id/lines/:lineId/statement',
   authenticateToken,
   requireRole(['super_admin']),
   (req, res, next) => {
     try {
-      const validatedData = auditLogsQuerySchema.parse(req.query);
-      req.query = validatedData;
+      payoutBatchParamsSchema.parse(req.params);
       next();
     } catch (error) {
       return res.status(400).json({
         status: 'error',
-        message: 'Parámetros de consulta inválidos',
+        message: 'Parámetros de ruta inválidos',
         errors: error.errors
       });
     }
   },
-  getAuditLogs
+  getPayoutLineStatement
 );
 
-// Obtener quejas
-router.get('/complaints',
+// Exportar archivo de dispersión bancaria (CSV o layout SPEI)
+router.get('/payouts/batches/:id/export',
   authenticateToken,
   requireRole(['super_admin']),
   (req, res, next) => {
     try {
-      const validatedData = complaintsQuerySchema.parse(req.query);
-      req.query = validatedData;
+      payoutBatchParamsSchema.parse(req.params);
+      req.query = payoutBatchExportQuerySchema.parse(req.query);
       next();
     } catch (error) {
       return res.status(400).json({
@@ -1042,7 +1263,554 @@ router.get('/complaints',
       });
     }
   },
-  getComplaints
+  exportPayoutBatch
+);
+
+// Retener o liberar pagos de un restaurante
+router.patch('/wallets/restaurants/:id/payout-hold',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      const validatedData = updatePayoutHoldSchema.parse(req.body);
+      req.body = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  updateRestaurantPayoutHold
+);
+
+// Retener o liberar pagos de un repartidor
+router.patch('/wallets/drivers/:id/payout-hold',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      const validatedData = updatePayoutHoldSchema.parse(req.body);
+      req.body = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  updateDriverPayoutHold
+);
+
+// Obtener transacciones de billetera de restaurantes
+router.get('/wallets/restaurants/transactions',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      const validatedData = restaurantWalletTransactionsQuerySchema.parse(req.query);
+      req.query = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros de consulta inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  getRestaurantWalletTransactions
+);
+
+// Obtener transacciones de billetera de repartidores
+router.get('/wallets/drivers/transactions',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      const validatedData = driverWalletTransactionsQuerySchema.parse(req.query);
+      req.query = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros de consulta inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  getDriverWalletTransactions
+);
+
+// Obtener resumen mensual de retenciones IVA/ISR (JSON o CSV)
+router.get('/tax/withholdings',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      const validatedData = taxWithholdingsQuerySchema.parse(req.query);
+      req.query = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros de consulta inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  getTaxWithholdingSummary
+);
+
+// ========================================
+// FASE 5: LOGÍSTICA Y REPARTIDORES
+// ========================================
+
+// Actualizar KYC de repartidor
+router.patch('/drivers/:id/kyc',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      const validatedData = updateDriverKycSchema.parse(req.body);
+      req.body = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  updateDriverKyc
+);
+
+// Bloquear/desbloquear repartidor
+router.patch('/drivers/:id/block',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      const validatedData = blockDriverSchema.parse(req.body);
+      req.body = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  blockDriver
+);
+
+// Asignar o quitar el límite de efectivo propio de un repartidor
+router.patch('/drivers/:id/cash-limit',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      const validatedData = updateDriverCashLimitSchema.parse(req.body);
+      req.body = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  updateDriverCashLimit
+);
+
+// Listar depósitos de efectivo de repartidores
+router.get('/drivers/cash-deposits',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      const validatedData = cashDepositsQuerySchema.parse(req.query);
+      req.query = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros de consulta inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  getDriverCashDeposits
+);
+
+// Confirmar depósito de efectivo (abona la billetera del repartidor)
+router.post('/drivers/cash-deposits/:id/confirm',
+  authenticateToken,
+  requireRole(['super_admin']),
+  idempotency(),
+  (req, res, next) => {
+    try {
+      cashDepositParamsSchema.parse(req.params);
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros de ruta inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  confirmDriverCashDeposit
+);
+
+// Rechazar depósito de efectivo
+router.post('/drivers/cash-deposits/:id/reject',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      cashDepositParamsSchema.parse(req.params);
+      req.body = rejectCashDepositSchema.parse(req.body);
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  rejectDriverCashDeposit
+);
+
+// Forzar asignación de repartidor
+router.post('/orders/:orderId/driver/:driverId',
+  authenticateToken,
+  requireRole(['super_admin']),
+  forceDriverAssignment
+);
+
+// Obtener repartidores con KYC pendiente
+router.get('/drivers/kyc/pending',
+  authenticateToken,
+  requireRole(['super_admin']),
+  getDriversKycPending
+);
+
+// Obtener logs de ruta de orden
+router.get('/orders/:orderId/route-logs',
+  authenticateToken,
+  requireRole(['super_admin']),
+  getOrderRouteLogs
+);
+
+// Obtener asignaciones de repartidor para orden
+router.get('/orders/:orderId/assignments',
+  authenticateToken,
+  requireRole(['super_admin']),
+  getOrderAssignments
+);
+
+// Buscar pedidos (filtros de estado, restaurante, repartidor, cliente, pago, fechas, retrasados y atascados)
+router.get('/orders',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      const validatedData = adminOrdersQuerySchema.parse(req.query);
+      req.query = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros de consulta inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  getAdminOrders
+);
+
+// Obtener detalle completo de un pedido
+router.get('/orders/:id',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      adminOrderParamsSchema.parse(req.params);
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros de ruta inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  getAdminOrderDetail
+);
+
+// Línea de tiempo del pedido: estados, asignaciones y eventos de ruta
+router.get('/orders/:id/timeline',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      adminOrderParamsSchema.parse(req.params);
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros de ruta inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  getAdminOrderTimeline
+);
+
+// Cancelar pedido con motivo (no reembolsa; un pago cobrado se reembolsa con /orders/:id/refunds)
+router.post('/orders/:id/cancel',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      adminOrderParamsSchema.parse(req.params);
+      req.body = adminCancelOrderSchema.parse(req.body);
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  cancelAdminOrder
+);
+
+// Reasignar el repartidor de un pedido
+router.post('/orders/:id/reassign-driver',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      adminOrderParamsSchema.parse(req.params);
+      req.body = reassignOrderDriverSchema.parse(req.body);
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  reassignAdminOrderDriver
+);
+
+// Cambiar el estado de un pedido (force permite saltos y retrocesos)
+router.patch('/orders/:id/status',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      adminOrderParamsSchema.parse(req.params);
+      req.body = overrideOrderStatusSchema.parse(req.body);
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  overrideAdminOrderStatus
+);
+
+// Agregar nota interna a un pedido
+router.post('/orders/:id/notes',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      adminOrderParamsSchema.parse(req.params);
+      req.body = orderInternalNoteSchema.parse(req.body);
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  addAdminOrderNote
+);
+
+// ========================================
+// FASE 6: SOPORTE, AUDITORÍA Y COMMS
+// ========================================
+
+// Actualizar estado de queja
+router.patch('/complaints/:id/status',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      const validatedData = updateComplaintStatusSchema.parse(req.body);
+      req.body = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  updateComplaintStatus
+);
+
+// Enviar mensaje
+router.post('/messages/send',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      const validatedData = sendMessageSchema.parse(req.body);
+      req.body = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  sendMessage
+);
+
+// Crear notificación masiva
+router.post('/notifications/broadcast',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      const validatedData = broadcastNotificationSchema.parse(req.body);
+      req.body = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  broadcastNotification
+);
+
+// Obtener logs de auditoría
+router.get('/audit-logs',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      const validatedData = auditLogsQuerySchema.parse(req.query);
+      req.query = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros de consulta inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  getAuditLogs
+);
+
+// Obtener quejas
+router.get('/complaints',
+  authenticateToken,
+  requireRole(['super_admin']),
+  (req, res, next) => {
+    try {
+      const validatedData = complaintsQuerySchema.parse(req.query);
+      req.query = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros de consulta inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  getComplaints
+);
+
+// Obtener detalle y conversación de una queja
+router.get('/complaints/:complaintId',
+  authenticateToken,
+  requireRole(['super_admin', 'support_agent']),
+  (req, res, next) => {
+    try {
+      req.params.complaintId = complaintParamsSchema.parse(req.params).complaintId;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros de ruta inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  getSupportComplaintDetail
+);
+
+// Responder como soporte en una queja (multipart/form-data, campo photos)
+router.post('/complaints/:complaintId/messages',
+  authenticateToken,
+  requireRole(['super_admin', 'support_agent']),
+  (req, res, next) => {
+    try {
+      req.params.complaintId = complaintParamsSchema.parse(req.params).complaintId;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros de ruta inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  uploadComplaint.array('photos', 5),
+  handleMulterError,
+  (req, res, next) => {
+    try {
+      const validatedData = complaintMessageSchema.parse(req.body);
+      req.body = validatedData;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos de entrada inválidos',
+        errors: error.errors
+      });
+    }
+  },
+  addSupportMessage
 );
 
 // Obtener calificaciones reportadas
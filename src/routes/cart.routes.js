@@ -38,6 +38,7 @@ router.get('/summary', getCartSummary);
  * @body    productId - ID del producto a agregar
  * @body    quantity - Cantidad a agregar (default: 1)
  * @body    modifiers - Array de objetos {modifierGroupId, selectedOptionId} (opcional)
+ * @body    scheduledFor - Hora de entrega de un pedido programado (opcional); el horario del producto se valida a esa hora
  */
 router.post(
   '/add',
@@ -62,7 +63,11 @@ router.post(
     body('modifiers.*.selectedOptionId')
       .optional()
       .isInt({ min: 1 })
-      .withMessage('El selectedOptionId debe ser un número entero positivo')
+      .withMessage('El selectedOptionId debe ser un número entero positivo'),
+    body('scheduledFor')
+      .optional()
+      .isISO8601({ strict: true })
+      .withMessage('scheduledFor debe ser una fecha ISO 8601 válida (YYYY-MM-DDTHH:mm:ssZ)')
   ],
   (req, res, next) => {
     // Verificar errores de validación
@@ -179,6 +184,9 @@ router.delete(
  * @desc    Validar carrito antes del checkout
  * @access  Private (Customer Only)
  * @body    restaurantId - ID del restaurante (opcional, si no se especifica valida todos)
+ * @body    couponCode - Código de cupón a validar (opcional, requiere restaurantId)
+ * @body    addressId - Dirección de entrega para validar el área del cupón (opcional)
+ * @body    scheduledFor - Hora de entrega de un pedido programado (opcional); los horarios de los productos se validan a esa hora
  */
 router.post(
   '/validate',
@@ -186,7 +194,25 @@ router.post(
     body('restaurantId')
       .optional()
       .isInt({ min: 1 })
-      .withMessage('El ID del restaurante debe ser un número entero válido')
+      .withMessage('El ID del restaurante debe ser un número entero válido'),
+    body('couponCode')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 3, max: 50 })
+      .withMessage('El código de cupón debe tener entre 3 y 50 caracteres'),
+    body('couponCode')
+      .optional()
+      .custom((value, { req }) => req.body.restaurantId !== undefined)
+      .withMessage('El ID del restaurante es requerido para validar un cupón'),
+    body('addressId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('El ID de la dirección debe ser un número entero válido'),
+    body('scheduledFor')
+      .optional()
+      .isISO8601({ strict: true })
+      .withMessage('scheduledFor debe ser una fecha ISO 8601 válida (YYYY-MM-DDTHH:mm:ssZ)')
   ],
   (req, res, next) => {
     // Verificar errores de validación
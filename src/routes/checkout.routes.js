@@ -1,6 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
 const { authenticateToken, requireRole } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
 const checkoutController = require('../controllers/checkout.controller');
 
 const router = express.Router();
@@ -9,7 +10,14 @@ const router = express.Router();
  * Validaciones para la creación de preferencias de pago
  */
 const createPreferenceValidation = [
+  body('fulfillmentType')
+    .optional()
+    .isIn(['delivery', 'pickup'])
+    .withMessage('fulfillmentType debe ser delivery o pickup'),
+
+  // Los pedidos para recoger no requieren dirección
   body('addressId')
+    .if(body('fulfillmentType').not().equals('pickup'))
     .isInt({ min: 1 })
     .withMessage('El addressId debe ser un número entero válido'),
   
@@ -36,14 +44,44 @@ const createPreferenceValidation = [
   body('restaurantId')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('restaurantId debe ser un número entero válido')
+    .withMessage('restaurantId debe ser un número entero válido'),
+
+  body('couponCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('El código de cupón debe tener entre 3 y 50 caracteres'),
+
+  body('tipAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('La propina debe ser un número mayor o igual a 0'),
+
+  body('scheduledFor')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('scheduledFor debe ser una fecha ISO 8601 válida (YYYY-MM-DDTHH:mm:ssZ)'),
+
+  // Solo lo usa el proveedor sandbox (PAYMENT_PROVIDER=sandbox); los demás lo ignoran
+  body('sandboxScenario')
+    .optional()
+    .isIn(['approve', 'reject', 'delay'])
+    .withMessage('sandboxScenario debe ser approve, reject o delay')
 ];
 
 /**
  * Validaciones para la creación de órdenes de pago en efectivo
  */
 const createCashOrderValidation = [
+  body('fulfillmentType')
+    .optional()
+    .isIn(['delivery', 'pickup'])
+    .withMessage('fulfillmentType debe ser delivery o pickup'),
+
+  // Los pedidos para recoger no requieren dirección
   body('addressId')
+    .if(body('fulfillmentType').not().equals('pickup'))
     .isInt({ min: 1 })
     .withMessage('El addressId debe ser un número entero válido'),
   
@@ -76,17 +114,35 @@ const createCashOrderValidation = [
     .optional()
     .isString()
     .isLength({ max: 500 })
-    .withMessage('Las instrucciones especiales no pueden exceder 500 caracteres')
+    .withMessage('Las instrucciones especiales no pueden exceder 500 caracteres'),
+
+  body('couponCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('El código de cupón debe tener entre 3 y 50 caracteres'),
+
+  body('tipAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('La propina debe ser un número mayor o igual a 0'),
+
+  body('scheduledFor')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('scheduledFor debe ser una fecha ISO 8601 válida (YYYY-MM-DDTHH:mm:ssZ)')
 ];
 
 /**
  * POST /api/checkout/create-preference
  * Crea una preferencia de pago en Mercado Pago
- * Requiere autenticación
+ * Requiere autenticación. Acepta el header Idempotency-Key para reintentos seguros
  */
 router.post(
   '/create-preference',
   authenticateToken,
+  idempotency(),
   createPreferenceValidation,
   checkoutController.createPreference
 );
@@ -94,12 +150,13 @@ router.post(
 /**
  * POST /api/checkout/cash-order
  * Crea una orden de pago en efectivo
- * Requiere autenticación y rol de customer
+ * Requiere autenticación y rol de customer. Acepta el header Idempotency-Key para reintentos seguros
  */
 router.post(
   '/cash-order',
   authenticateToken,
   requireRole(['customer']),
+  idempotency(),
   createCashOrderValidation,
   checkoutController.createCashOrder
 );
@@ -3,6 +3,15 @@ const { param, query, body, validationResult } = require('express-validator');
 const { authenticateToken, requireRole } = require('../middleware/auth.middleware');
 const { getDriverLocationForOrder, getCustomerOrders, getCustomerOrderDetails, createCustomerAddress, getCustomerAddresses, updateCustomerAddress, deleteCustomerAddress } = require('../controllers/customer.controller');
 const { checkAddressCoverage, checkCoverageByCoordinates } = require('../controllers/coverage.controller');
+const { createOrderRating, reportRatingAsCustomer } = require('../controllers/rating.controller');
+const { createComplaint, getCustomerComplaints, getCustomerComplaintDetail, addCustomerMessage } = require('../controllers/complaint.controller');
+const { validate, validateParams, validateQuery } = require('../middleware/validate.middleware');
+const { createRatingSchema, ratingParamsSchema, reportRatingSchema } = require('../validations/rating.validation');
+const { createComplaintSchema, complaintParamsSchema, complaintMessageSchema, complaintsQuerySchema } = require('../validations/complaint.validation');
+const { uploadComplaint, handleMulterError } = require('../config/multer');
+const { orderParamsSchema, addTipSchema } = require('../validations/order.validation');
+const { addOrderTip } = require('../controllers/tip.controller');
+const { getCustomerOrderTimeline } = require('../controllers/order-timeline.controller');
 
 const router = express.Router();
 
@@ -187,6 +196,129 @@ router.get(
   getCustomerOrderDetails
 );
 
+/**
+ * @route   GET /api/customer/orders/:orderId/timeline
+ * @desc    Línea de tiempo del pedido: cambios de estado, repartidor asignado y salida/llegada
+ * @access  Private (Customer Only)
+ * @params  orderId - ID del pedido
+ */
+router.get(
+  '/orders/:orderId/timeline',
+  requireRole(['customer']),
+  validateParams(orderParamsSchema),
+  getCustomerOrderTimeline
+);
+
+/**
+ * @route   POST /api/customer/orders/:orderId/rating
+ * @desc    Calificar un pedido entregado (una sola vez por pedido)
+ * @access  Private (Customer Only)
+ * @params  orderId - ID del pedido a calificar
+ * @body    restaurantScore - Calificación del restaurante (1-5)
+ * @body    driverScore (opcional) - Calificación del repartidor (1-5)
+ * @body    comment (opcional) - Comentario público de la reseña
+ */
+router.post(
+  '/orders/:orderId/rating',
+  requireRole(['customer']),
+  validateParams(orderParamsSchema),
+  validate(createRatingSchema),
+  createOrderRating
+);
+
+/**
+ * @route   POST /api/customer/orders/:orderId/tip
+ * @desc    Agregar o aumentar la propina del repartidor hasta 24 horas después de la entrega
+ * @access  Private (Customer Only)
+ * @params  orderId - ID del pedido entregado
+ * @body    amount - Monto adicional de propina (se paga con Mercado Pago)
+ */
+router.post(
+  '/orders/:orderId/tip',
+  requireRole(['customer']),
+  validateParams(orderParamsSchema),
+  validate(addTipSchema),
+  addOrderTip
+);
+
+/**
+ * @route   POST /api/customer/ratings/:ratingId/report
+ * @desc    Reportar una reseña inapropiada para revisión del Super Admin
+ * @access  Private (Customer Only)
+ * @params  ratingId - ID de la reseña
+ * @body    reason - Motivo del reporte
+ */
+router.post(
+  '/ratings/:ratingId/report',
+  requireRole(['customer']),
+  validateParams(ratingParamsSchema),
+  validate(reportRatingSchema),
+  reportRatingAsCustomer
+);
+
+/**
+ * @route   POST /api/customer/complaints
+ * @desc    Abrir una queja sobre un pedido, un restaurante o un repartidor
+ * @access  Private (Customer Only)
+ * @body    target (opcional) - order | restaurant | driver (default: order)
+ * @body    orderId - ID del pedido (requerido para order y driver)
+ * @body    restaurantId (opcional) - ID del restaurante cuando target=restaurant sin pedido
+ * @body    subject - Asunto de la queja
+ * @body    description - Descripción detallada
+ */
+router.post(
+  '/complaints',
+  requireRole(['customer']),
+  validate(createComplaintSchema),
+  createComplaint
+);
+
+/**
+ * @route   GET /api/customer/complaints
+ * @desc    Obtener las quejas del cliente autenticado
+ * @access  Private (Customer Only)
+ * @query   page (opcional) - Número de página (default: 1)
+ * @query   pageSize (opcional) - Tamaño de página (default: 10, max: 50)
+ * @query   status (opcional) - pending | resolved | closed
+ */
+router.get(
+  '/complaints',
+  requireRole(['customer']),
+  validateQuery(complaintsQuerySchema),
+  getCustomerComplaints
+);
+
+/**
+ * @route   GET /api/customer/complaints/:complaintId
+ * @desc    Obtener el detalle y la conversación de una queja
+ * @access  Private (Customer Only)
+ * @params  complaintId - ID de la queja
+ */
+router.get(
+  '/complaints/:complaintId',
+  requireRole(['customer']),
+  validateParams(complaintParamsSchema),
+  getCustomerComplaintDetail
+);
+
+/**
+ * @route   POST /api/customer/complaints/:complaintId/messages
+ * @desc    Enviar un mensaje (multipart/form-data) con fotos opcionales en una queja
+ * @access  Private (Customer Only)
+ * @params  complaintId - ID de la queja
+ * @body    body - Texto del mensaje
+ * @body    photos (opcional) - Hasta 5 imágenes (JPG, JPEG, PNG, máximo 5MB cada una)
+ */
+router.post(
+  '/complaints/:complaintId/messages',
+  requireRole(['customer']),
+  validateParams(complaintParamsSchema),
+  uploadComplaint.array('photos', 5),
+  handleMulterError,
+  validate(complaintMessageSchema),
+  addCustomerMessage
+);
+
 /**
  * @route   GET /api/customer/addresses
  * @desc    Obtener todas las direcciones de entrega del cliente autenticado
@@ -2,9 +2,9 @@ const express = require('express');
 const { query, param, body, validationResult } = require('express-validator');
 const { authenticateToken, requireRole } = require('../middleware/auth.middleware');
 const { validate, validateQuery, validateParams } = require('../middleware/validate.middleware');
-const { updateDriverStatusSchema, availableOrdersQuerySchema, historyQuerySchema, updateLocationSchema, metricsQuerySchema } = require('../validations/driver.validation');
+const { updateDriverStatusSchema, availableOrdersQuerySchema, historyQuerySchema, updateLocationSchema, rejectOrderSchema, metricsQuerySchema, createCashDepositSchema, cashDepositsQuerySchema } = require('../validations/driver.validation');
 const { orderParamsSchema } = require('../validations/order.validation');
-const { getAvailableOrders, acceptOrder, completeOrder, updateDriverStatus, getCurrentOrder, getDriverOrderHistory, updateDriverLocation, getDriverProfile, getDriverWallet, getDriverWalletTransactions, getDriverEarningsSummary } = require('../controllers/driver.controller');
+const { getAvailableOrders, acceptOrder, rejectOrder, completeOrder, updateDriverStatus, getCurrentOrder, getDriverOrderHistory, updateDriverLocation, getDriverProfile, getDriverWallet, getDriverWalletTransactions, getDriverEarningsSummary, getDriverCashStatus, createCashDeposit, getDriverCashDeposits } = require('../controllers/driver.controller');
 
 const router = express.Router();
 
@@ -99,6 +99,20 @@ router.patch('/orders/:orderId/accept',
   acceptOrder
 );
 
+/**
+ * @route   PATCH /api/driver/orders/:orderId/reject
+ * @desc    Rechazar la oferta de un pedido hecha por el despacho automático
+ * @access  Private (Driver Platform, Driver Restaurant Only)
+ * @params  orderId - ID del pedido ofrecido
+ * @body    reason - Motivo del rechazo (TOO_FAR, BAD_RATING_CUSTOMER, BAD_RATING_RESTAURANT, BAD_PAYOUT, TOO_MUCH_WAITING, OTHER)
+ */
+router.patch('/orders/:orderId/reject',
+  requireRole(['driver_platform', 'driver_restaurant']),
+  validateParams(orderParamsSchema),
+  validate(rejectOrderSchema),
+  rejectOrder
+);
+
 /**
  * @route   PATCH /api/driver/orders/:orderId/complete
  * @desc    Marcar un pedido como entregado/completado
@@ -138,6 +152,48 @@ router.get(
   getDriverWalletTransactions
 );
 
+/**
+ * @route   GET /api/driver/wallet/cash
+ * @desc    Obtener el efectivo por depositar del repartidor y su límite para aceptar pedidos en efectivo
+ * @access  Private (Driver Platform, Driver Restaurant)
+ */
+router.get(
+  '/wallet/cash',
+  requireRole(['driver_platform', 'driver_restaurant']),
+  getDriverCashStatus
+);
+
+/**
+ * @route   POST /api/driver/wallet/cash-deposits
+ * @desc    Declarar un depósito del efectivo cobrado (pendiente de confirmación por un administrador)
+ * @access  Private (Driver Platform, Driver Restaurant)
+ * @body    amount - Monto depositado (requerido)
+ * @body    reference - Folio o referencia del depósito (requerido)
+ * @body    depositedAt - Fecha del depósito (ISO datetime, requerido)
+ * @body    notes (opcional) - Notas para el administrador
+ */
+router.post(
+  '/wallet/cash-deposits',
+  requireRole(['driver_platform', 'driver_restaurant']),
+  validate(createCashDepositSchema),
+  createCashDeposit
+);
+
+/**
+ * @route   GET /api/driver/wallet/cash-deposits
+ * @desc    Listar los depósitos de efectivo declarados por el repartidor
+ * @access  Private (Driver Platform, Driver Restaurant)
+ * @query   status (opcional) - pending, confirmed, rejected
+ * @query   page (opcional) - Número de página (default: 1)
+ * @query   pageSize (opcional) - Tamaño de página (default: 10, max: 50)
+ */
+router.get(
+  '/wallet/cash-deposits',
+  requireRole(['driver_platform', 'driver_restaurant']),
+  validateQuery(cashDepositsQuerySchema),
+  getDriverCashDeposits
+);
+
 /**
  * @route   GET /api/driver/metrics/earnings
  * @desc    Obtener resumen de ganancias del repartidor
@@ -4,17 +4,31 @@ const asyncHandler = require('express-async-handler');
 const { authenticateToken, requireRole } = require('../middleware/auth.middleware');
 const { validate, validateParams, validateQuery } = require('../middleware/validate.middleware');
 const { requireRestaurantLocation } = require('../middleware/location.middleware');
-const { updateProfileSchema, updateLocationSchema, metricsQuerySchema } = require('../validations/restaurant-admin.validation');
+const { updateProfileSchema, updateLocationSchema, metricsQuerySchema, updateOrderAcceptanceSchema, createScheduleExceptionSchema, updateScheduleExceptionSchema, scheduleExceptionParamsSchema, scheduleExceptionsQuerySchema } = require('../validations/restaurant-admin.validation');
 const { createProductSchema, updateProductSchema, productParamsSchema } = require('../validations/product.validation');
 const { createSubcategorySchema, updateSubcategorySchema, subcategoryParamsSchema, subcategoryQuerySchema } = require('../validations/subcategory.validation');
 const { createGroupSchema, updateGroupSchema, groupParamsSchema, createOptionSchema, updateOptionSchema, optionParamsSchema, groupQuerySchema } = require('../validations/modifier.validation');
 const { createEmployeeSchema, employeeQuerySchema, assignmentParamsSchema, updateEmployeeSchema } = require('../validations/employee.validation');
 const { orderQuerySchema, orderParamsSchema, updateOrderStatusSchema } = require('../validations/order.validation');
+const { ratingParamsSchema, reportRatingSchema, replyRatingSchema, ratingsQuerySchema } = require('../validations/rating.validation');
+const { complaintParamsSchema, complaintMessageSchema, complaintsQuerySchema } = require('../validations/complaint.validation');
+const { createOwnerCouponSchema, updateCouponSchema, couponParamsSchema, couponsQuerySchema } = require('../validations/coupon.validation');
+const { createInventoryMovementSchema, updateProductStockSettingsSchema, inventoryProductParamsSchema, inventoryMovementsQuerySchema } = require('../validations/inventory.validation');
+const { importMenuSchema, exportMenuQuerySchema, setAvailabilityWindowsSchema, menuPreviewQuerySchema } = require('../validations/menu.validation');
 const { OrderStatus } = require('@prisma/client');
 const { getRestaurantOrders, updateOrderStatus, createProduct, updateProduct, deleteProduct, getRestaurantProducts, createSubcategory, updateSubcategory, deleteSubcategory, getRestaurantSubcategories, getRestaurantProfile, updateRestaurantProfile, rejectOrder, deactivateProductsByTag, getLocationStatus, updateLocation, getPrimaryBranch, updatePrimaryBranchDetails, createEmployee, getEmployees, updateEmployee, getRestaurantWallet, getRestaurantWalletTransactions, getRestaurantEarningsSummary, getDashboardSummary, getRestaurantBranches } = require('../controllers/restaurant-admin.controller');
 const { createModifierGroup, getModifierGroups, updateModifierGroup, deleteModifierGroup, createModifierOption, updateModifierOption, deleteModifierOption } = require('../controllers/modifier.controller');
 const { uploadRestaurantLogo, uploadRestaurantCover, uploadProductImage } = require('../controllers/upload.controller');
-const { upload, uploadCover, uploadProduct, handleMulterError } = require('../config/multer');
+const { getOwnerRatings, reportRatingAsOwner, replyToRating } = require('../controllers/rating.controller');
+const { getOwnerComplaints, getOwnerComplaintDetail, addOwnerMessage } = require('../controllers/complaint.controller');
+const { createOwnerCoupon, getOwnerCoupons, updateOwnerCoupon, deleteOwnerCoupon } = require('../controllers/coupon.controller');
+const { getRestaurantOrderTimeline } = require('../controllers/order-timeline.controller');
+const { getOrderAcceptanceSettings, updateOrderAcceptanceSettings } = require('../controllers/order-acceptance.controller');
+const { createInventoryMovement, getInventoryMovements, getInventoryValuation, updateProductStockSettings } = require('../controllers/inventory.controller');
+const { exportMenu, previewMenuImport, importMenu } = require('../controllers/menu-transfer.controller');
+const { setSubcategoryAvailability, setProductAvailability, getMenuPreview } = require('../controllers/menu-availability.controller');
+const { getScheduleExceptions, createScheduleException, updateScheduleException, deleteScheduleException } = require('../controllers/restaurant-hours.controller');
+const { upload, uploadCover, uploadProduct, uploadComplaint, handleMulterError } = require('../config/multer');
 
 const router = express.Router();
 
@@ -225,6 +239,8 @@ router.get(
  * @desc    Obtener lista de pedidos para el panel de administración del restaurante
  * @access  Private (Restaurant Staff Only)
  * @query   status (opcional) - Estado del pedido (default: 'confirmed')
+ * @query   scheduled (opcional) - true para pedidos programados, false para inmediatos
+ * @query   sortBy (opcional) - orderPlacedAt, total o scheduledFor (próximos programados: status=scheduled&sortBy=scheduledFor&sortOrder=asc)
  * @query   page (opcional) - Número de página (default: 1)
  * @query   pageSize (opcional) - Tamaño de página (default: 10, max: 50)
  */
@@ -249,6 +265,18 @@ router.patch('/orders/:orderId/status',
   asyncHandler(updateOrderStatus)
 );
 
+/**
+ * @route   GET /api/restaurant/orders/:orderId/timeline
+ * @desc    Línea de tiempo del pedido: cambios de estado con motivo y autor, repartidor e incidencias de ruta
+ * @access  Private (Restaurant Staff Only)
+ * @params  orderId - ID del pedido (BigInt)
+ */
+router.get('/orders/:orderId/timeline',
+  requireRole(['owner', 'branch_manager', 'order_manager', 'kitchen_staff']),
+  validateParams(orderParamsSchema),
+  asyncHandler(getRestaurantOrderTimeline)
+);
+
 /**
  * @route   PATCH /api/restaurant/orders/:orderId/reject
  * @desc    Rechazar un pedido confirmado y procesar reembolso automático
@@ -286,6 +314,88 @@ router.patch('/orders/:orderId/reject',
   asyncHandler(rejectOrder)
 );
 
+/**
+ * @route   GET /api/restaurant/order-acceptance
+ * @desc    Obtener la configuración de aceptación de pedidos (aceptación automática, pausa y pedidos vencidos)
+ * @access  Private (Owner Only)
+ */
+router.get('/order-acceptance',
+  requireRole(['owner']),
+  asyncHandler(getOrderAcceptanceSettings)
+);
+
+/**
+ * @route   PATCH /api/restaurant/order-acceptance
+ * @desc    Activar la aceptación automática o pausar/reactivar la recepción de pedidos
+ * @access  Private (Owner Only)
+ * @body    autoAcceptOrders (opcional) - Confirmar los pedidos en cuanto llegan
+ * @body    acceptingOrders (opcional) - false pausa el restaurante; true lo reactiva y reinicia los pedidos vencidos
+ */
+router.patch('/order-acceptance',
+  requireRole(['owner']),
+  validate(updateOrderAcceptanceSchema),
+  asyncHandler(updateOrderAcceptanceSettings)
+);
+
+// ========================================
+// RUTAS DE EXCEPCIONES AL HORARIO
+// ========================================
+
+/**
+ * @route   GET /api/restaurant/schedule/exceptions
+ * @desc    Listar las excepciones al horario semanal (días festivos, cierres temporales) y el estado actual
+ * @access  Private (Owner, Branch Manager)
+ * @query   from (opcional) - Fecha YYYY-MM-DD; por defecto, hoy
+ * @query   to (opcional) - Fecha YYYY-MM-DD
+ */
+router.get('/schedule/exceptions',
+  requireRole(['owner', 'branch_manager']),
+  validateQuery(scheduleExceptionsQuerySchema),
+  asyncHandler(getScheduleExceptions)
+);
+
+/**
+ * @route   POST /api/restaurant/schedule/exceptions
+ * @desc    Crear una excepción al horario: cierre todo el día o horario especial en un rango de fechas
+ * @access  Private (Owner, Branch Manager)
+ * @body    startDate - Fecha inicial YYYY-MM-DD
+ * @body    endDate (opcional) - Fecha final YYYY-MM-DD (inclusiva); por defecto, startDate
+ * @body    isClosed (opcional) - true (default) cierra todo el día
+ * @body    openTime, closeTime - Horario especial HH:MM (requeridos con isClosed: false)
+ * @body    reason (opcional) - Motivo, visible para el cliente
+ */
+router.post('/schedule/exceptions',
+  requireRole(['owner', 'branch_manager']),
+  validate(createScheduleExceptionSchema),
+  asyncHandler(createScheduleException)
+);
+
+/**
+ * @route   PATCH /api/restaurant/schedule/exceptions/:exceptionId
+ * @desc    Actualizar una excepción al horario
+ * @access  Private (Owner, Branch Manager)
+ * @params  exceptionId - ID de la excepción
+ * @body    startDate, endDate, isClosed, openTime, closeTime, reason (todos opcionales)
+ */
+router.patch('/schedule/exceptions/:exceptionId',
+  requireRole(['owner', 'branch_manager']),
+  validateParams(scheduleExceptionParamsSchema),
+  validate(updateScheduleExceptionSchema),
+  asyncHandler(updateScheduleException)
+);
+
+/**
+ * @route   DELETE /api/restaurant/schedule/exceptions/:exceptionId
+ * @desc    Eliminar una excepción; el restaurante vuelve a su horario semanal en esas fechas
+ * @access  Private (Owner, Branch Manager)
+ * @params  exceptionId - ID de la excepción
+ */
+router.delete('/schedule/exceptions/:exceptionId',
+  requireRole(['owner', 'branch_manager']),
+  validateParams(scheduleExceptionParamsSchema),
+  asyncHandler(deleteScheduleException)
+);
+
 /**
  * @route   GET /api/restaurant/wallet/balance
  * @desc    Obtener el saldo de la billetera del restaurante
@@ -327,6 +437,144 @@ router.get('/metrics/earnings',
   asyncHandler(getRestaurantEarningsSummary)
 );
 
+/**
+ * @route   GET /api/restaurant/ratings
+ * @desc    Obtener las reseñas del restaurante con su estado de respuesta y reporte
+ * @access  Private (Owner Only)
+ * @query   page (opcional) - Número de página (default: 1)
+ * @query   pageSize (opcional) - Tamaño de página (default: 10, max: 50)
+ * @query   hasReply (opcional) - Filtrar por reseñas con/sin respuesta (true/false)
+ */
+router.get('/ratings',
+  requireRole(['owner']),
+  validateQuery(ratingsQuerySchema),
+  asyncHandler(getOwnerRatings)
+);
+
+/**
+ * @route   PATCH /api/restaurant/ratings/:ratingId/reply
+ * @desc    Publicar o editar la respuesta pública a una reseña
+ * @access  Private (Owner Only)
+ * @params  ratingId - ID de la reseña
+ * @body    reply - Texto de la respuesta
+ */
+router.patch('/ratings/:ratingId/reply',
+  requireRole(['owner']),
+  validateParams(ratingParamsSchema),
+  validate(replyRatingSchema),
+  asyncHandler(replyToRating)
+);
+
+/**
+ * @route   POST /api/restaurant/ratings/:ratingId/report
+ * @desc    Reportar una reseña del restaurante para revisión del Super Admin
+ * @access  Private (Owner Only)
+ * @params  ratingId - ID de la reseña
+ * @body    reason - Motivo del reporte
+ */
+router.post('/ratings/:ratingId/report',
+  requireRole(['owner']),
+  validateParams(ratingParamsSchema),
+  validate(reportRatingSchema),
+  asyncHandler(reportRatingAsOwner)
+);
+
+/**
+ * @route   GET /api/restaurant/complaints
+ * @desc    Obtener las quejas de clientes que involucran al restaurante
+ * @access  Private (Owner Only)
+ * @query   page (opcional) - Número de página (default: 1)
+ * @query   pageSize (opcional) - Tamaño de página (default: 10, max: 50)
+ * @query   status (opcional) - pending | resolved | closed
+ */
+router.get('/complaints',
+  requireRole(['owner']),
+  validateQuery(complaintsQuerySchema),
+  asyncHandler(getOwnerComplaints)
+);
+
+/**
+ * @route   GET /api/restaurant/complaints/:complaintId
+ * @desc    Obtener el detalle y la conversación de una queja del restaurante
+ * @access  Private (Owner Only)
+ * @params  complaintId - ID de la queja
+ */
+router.get('/complaints/:complaintId',
+  requireRole(['owner']),
+  validateParams(complaintParamsSchema),
+  asyncHandler(getOwnerComplaintDetail)
+);
+
+/**
+ * @route   POST /api/restaurant/complaints/:complaintId/messages
+ * @desc    Responder en la conversación de una queja (multipart/form-data)
+ * @access  Private (Owner Only)
+ * @params  complaintId - ID de la queja
+ * @body    body - Texto del mensaje
+ * @body    photos (opcional) - Hasta 5 imágenes (JPG, JPEG, PNG, máximo 5MB cada una)
+ */
+router.post('/complaints/:complaintId/messages',
+  requireRole(['owner']),
+  validateParams(complaintParamsSchema),
+  uploadComplaint.array('photos', 5),
+  handleMulterError,
+  validate(complaintMessageSchema),
+  asyncHandler(addOwnerMessage)
+);
+
+/**
+ * @route   POST /api/restaurant/coupons
+ * @desc    Crear un cupón financiado por el restaurante (el descuento se resta de su ganancia)
+ * @access  Private (Owner Only)
+ * @body    code, discountType, discountValue, maxDiscountAmount, minOrderAmount, serviceAreaId,
+ *          usageLimit, perUserLimit, firstOrderOnly, startsAt, expiresAt
+ */
+router.post('/coupons',
+  requireRole(['owner']),
+  validate(createOwnerCouponSchema),
+  asyncHandler(createOwnerCoupon)
+);
+
+/**
+ * @route   GET /api/restaurant/coupons
+ * @desc    Obtener los cupones del restaurante
+ * @access  Private (Owner Only)
+ * @query   page (opcional) - Número de página (default: 1)
+ * @query   pageSize (opcional) - Tamaño de página (default: 10, max: 50)
+ * @query   isActive (opcional) - Filtrar por cupones activos/inactivos (true/false)
+ * @query   search (opcional) - Buscar por código
+ */
+router.get('/coupons',
+  requireRole(['owner']),
+  validateQuery(couponsQuerySchema),
+  asyncHandler(getOwnerCoupons)
+);
+
+/**
+ * @route   PATCH /api/restaurant/coupons/:couponId
+ * @desc    Actualizar la configuración de un cupón del restaurante (código y tipo no se pueden cambiar)
+ * @access  Private (Owner Only)
+ * @params  couponId - ID del cupón
+ */
+router.patch('/coupons/:couponId',
+  requireRole(['owner']),
+  validateParams(couponParamsSchema),
+  validate(updateCouponSchema),
+  asyncHandler(updateOwnerCoupon)
+);
+
+/**
+ * @route   DELETE /api/restaurant/coupons/:couponId
+ * @desc    Eliminar un cupón del restaurante
+ * @access  Private (Owner Only)
+ * @params  couponId - ID del cupón
+ */
+router.delete('/coupons/:couponId',
+  requireRole(['owner']),
+  validateParams(couponParamsSchema),
+  asyncHandler(deleteOwnerCoupon)
+);
+
 /**
  * @route   GET /api/restaurant/metrics/dashboard-summary
  * @desc    Obtener resumen completo del dashboard del restaurante (Endpoint "cerebro")
@@ -399,6 +647,21 @@ router.delete('/subcategories/:subcategoryId',
   asyncHandler(deleteSubcategory)
 );
 
+/**
+ * @route   PUT /api/restaurant/subcategories/:subcategoryId/availability
+ * @desc    Definir en qué días y horas se puede pedir una subcategoría (ej. desayunos)
+ * @access  Private (Owner, Branch Manager Only)
+ * @params  subcategoryId - ID de la subcategoría
+ * @body    windows - Array de {daysOfWeek, startTime, endTime} en hora local; vacío = todo el horario
+ */
+router.put('/subcategories/:subcategoryId/availability',
+  requireRole(['owner', 'branch_manager']),
+  requireRestaurantLocation,
+  validateParams(subcategoryParamsSchema),
+  validate(setAvailabilityWindowsSchema),
+  asyncHandler(setSubcategoryAvailability)
+);
+
 /**
  * @route   POST /api/restaurant/products/upload-image
  * @desc    Subir imagen de producto
@@ -542,6 +805,135 @@ router.delete('/products/:productId',
   asyncHandler(deleteProduct)
 );
 
+/**
+ * @route   PUT /api/restaurant/products/:productId/availability
+ * @desc    Definir en qué días y horas se puede pedir un producto
+ * @access  Private (Owner, Branch Manager Only)
+ * @params  productId - ID del producto
+ * @body    windows - Array de {daysOfWeek, startTime, endTime} en hora local; vacío = todo el horario
+ */
+router.put('/products/:productId/availability',
+  requireRole(['owner', 'branch_manager']),
+  requireRestaurantLocation,
+  validateParams(productParamsSchema),
+  validate(setAvailabilityWindowsSchema),
+  asyncHandler(setProductAvailability)
+);
+
+/**
+ * @route   GET /api/restaurant/menu/preview
+ * @desc    Ver el menú como lo vería un cliente a una hora dada (ventanas de disponibilidad e interruptores)
+ * @access  Private (Owner, Branch Manager Only)
+ * @query   at (opcional) - Fecha y hora ISO 8601 a evaluar (default: ahora)
+ */
+router.get('/menu/preview',
+  requireRole(['owner', 'branch_manager']),
+  validateQuery(menuPreviewQuerySchema),
+  asyncHandler(getMenuPreview)
+);
+
+// ========================================
+// RUTAS DE INVENTARIO
+// ========================================
+
+/**
+ * @route   POST /api/restaurant/inventory/movements
+ * @desc    Registrar un reabastecimiento, merma o traspaso de stock (queda a nombre de quien lo registra)
+ * @access  Private (Owner, Branch Manager)
+ * @body    productId - ID del producto
+ * @body    type - RESTOCK, SPOILAGE o TRANSFER
+ * @body    quantity - Unidades movidas (> 0)
+ * @body    direction (solo TRANSFER) - in u out
+ * @body    unitCost (opcional, solo RESTOCK) - Costo unitario; actualiza el costo del producto
+ * @body    note (opcional) - Nota del movimiento
+ */
+router.post('/inventory/movements',
+  requireRole(['owner', 'branch_manager']),
+  validate(createInventoryMovementSchema),
+  asyncHandler(createInventoryMovement)
+);
+
+/**
+ * @route   GET /api/restaurant/inventory/movements
+ * @desc    Historial de movimientos de inventario del restaurante, incluidas las ventas de pedidos
+ * @access  Private (Owner, Branch Manager)
+ * @query   productId, type, userId, dateFrom, dateTo (opcionales) - Filtros
+ * @query   page, pageSize (opcionales) - Paginación (default: 1, 20)
+ */
+router.get('/inventory/movements',
+  requireRole(['owner', 'branch_manager']),
+  validateQuery(inventoryMovementsQuerySchema),
+  asyncHandler(getInventoryMovements)
+);
+
+/**
+ * @route   GET /api/restaurant/inventory/valuation
+ * @desc    Stock actual y valuación por producto con control de inventario
+ * @access  Private (Owner, Branch Manager)
+ */
+router.get('/inventory/valuation',
+  requireRole(['owner', 'branch_manager']),
+  asyncHandler(getInventoryValuation)
+);
+
+/**
+ * @route   PATCH /api/restaurant/inventory/products/:productId
+ * @desc    Definir el umbral de reorden y el costo unitario de un producto
+ * @access  Private (Owner, Branch Manager)
+ * @params  productId - ID del producto
+ * @body    lowStockThreshold (opcional) - Umbral de stock bajo; null vuelve al umbral general
+ * @body    unitCost (opcional) - Costo unitario del producto
+ */
+router.patch('/inventory/products/:productId',
+  requireRole(['owner', 'branch_manager']),
+  validateParams(inventoryProductParamsSchema),
+  validate(updateProductStockSettingsSchema),
+  asyncHandler(updateProductStockSettings)
+);
+
+// ========================================
+// RUTAS DE IMPORTACIÓN/EXPORTACIÓN DE MENÚ
+// ========================================
+
+/**
+ * @route   GET /api/restaurant/menu/export
+ * @desc    Exportar el menú completo (subcategorías, modificadores y productos) en JSON o CSV
+ * @access  Private (Owner, Branch Manager)
+ * @query   format (opcional) - json o csv (default: json)
+ */
+router.get('/menu/export',
+  requireRole(['owner', 'branch_manager']),
+  validateQuery(exportMenuQuerySchema),
+  asyncHandler(exportMenu)
+);
+
+/**
+ * @route   POST /api/restaurant/menu/import/preview
+ * @desc    Validar un archivo de menú y ver los cambios que aplicaría, sin aplicarlos
+ * @access  Private (Owner, Branch Manager)
+ * @body    format - json o csv
+ * @body    menu (format json) - Menú con subcategories, modifierGroups y products
+ * @body    content (format csv) - Contenido del archivo CSV
+ * @body    deactivateMissing (opcional) - Desactivar productos y subcategorías que no vienen (default: true)
+ */
+router.post('/menu/import/preview',
+  requireRole(['owner', 'branch_manager']),
+  validate(importMenuSchema),
+  asyncHandler(previewMenuImport)
+);
+
+/**
+ * @route   POST /api/restaurant/menu/import
+ * @desc    Importar un archivo de menú en una sola transacción (solo si no tiene errores)
+ * @access  Private (Owner, Branch Manager)
+ * @body    format, menu o content, deactivateMissing - Igual que la vista previa
+ */
+router.post('/menu/import',
+  requireRole(['owner', 'branch_manager']),
+  validate(importMenuSchema),
+  asyncHandler(importMenu)
+);
+
 // ========================================
 // RUTAS DE GRUPOS DE MODIFICADORES
 // ========================================
@@ -17,6 +17,8 @@ router.get('/', getRestaurants);
  * @desc    Obtener un restaurante específico por ID
  * @access  Public
  * @params  id - ID del restaurante
+ * @query   reviewsPage (opcional) - Página de reseñas (default: 1)
+ * @query   reviewsPageSize (opcional) - Reseñas por página (default: 5, max: 50)
  */
 router.get('/:id', getRestaurantById);
 
@@ -4,10 +4,10 @@ const webhookController = require('../controllers/webhook.controller');
 const router = express.Router();
 
 /**
- * POST /api/webhooks/mercadopago
- * Webhook para recibir notificaciones de Mercado Pago
- * Ruta pública - sin autenticación (llamada por Mercado Pago)
+ * POST /api/webhooks/:provider
+ * Webhook para recibir notificaciones de los proveedores de pago (mercadopago, sandbox)
+ * Ruta pública - sin autenticación (llamada por el proveedor; cada uno verifica su propia firma)
  */
-router.post('/mercadopago', webhookController.handleMercadoPagoWebhook);
+router.post('/:provider', webhookController.handlePaymentWebhook);
 
 module.exports = router;
@@ -20,6 +20,12 @@ const {
   errorRequestIdMiddleware 
 } = require('./middleware/requestId.middleware');
 const { logger } = require('./config/logger');
+const DispatchService = require('./services/dispatch.service');
+const ScheduledOrderService = require('./services/scheduled-order.service');
+const WebhookService = require('./services/webhook.service');
+const PaymentReconciliationService = require('./services/payment-reconciliation.service');
+const IdempotencyService = require('./services/idempotency.service');
+const OrderAcceptanceService = require('./services/order-acceptance.service');
 
 const app = express();
 
@@ -62,8 +68,8 @@ const corsOptions = {
   },
   credentials: true, // Permitir cookies y headers de autenticación
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Content-Range', 'X-Content-Range'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Idempotent-Replayed'],
   maxAge: 86400 // Cache preflight requests por 24 horas
 };
 
@@ -405,7 +411,8 @@ app.get('/', (req, res) => {
         paymentStatus: 'GET /api/checkout/payment-status/:paymentId'
       },
       webhooks: {
-        mercadoPago: 'POST /api/webhooks/mercadopago'
+        mercadoPago: 'POST /api/webhooks/mercadopago',
+        sandbox: 'POST /api/webhooks/sandbox'
       },
       driver: {
         availableOrders: 'GET /api/driver/orders/available'
@@ -482,6 +489,24 @@ httpServer.listen(PORT, () => {
   logger.info(`📍 URL: http://localhost:${PORT}`);
   logger.info(`🔍 Health check: http://localhost:${PORT}/health`);
   logger.info(`🔌 Socket.io disponible en: http://localhost:${PORT}`);
+
+  // Reanudar ofertas de despacho que quedaron abiertas antes del reinicio
+  DispatchService.resumePendingOffers();
+
+  // Liberar al restaurante los pedidos programados cuando llegue su hora
+  ScheduledOrderService.startReleaseWorker();
+
+  // Reintentar los webhooks de pago que fallaron o quedaron sin procesar
+  WebhookService.startRetryWorker();
+
+  // Conciliar pagos pendientes con Mercado Pago y generar el reporte diario de diferencias
+  PaymentReconciliationService.startReconciliationWorker();
+
+  // Eliminar las llaves de idempotencia vencidas
+  IdempotencyService.startCleanupWorker();
+
+  // Aceptar, recordar o cancelar los pedidos que el restaurante no ha aceptado
+  OrderAcceptanceService.startAcceptanceWorker();
 });
 
 // Manejo de cierre graceful
@@ -0,0 +1,872 @@
+/**
+ * Servicio de la consola de pedidos del administrador
+ * Búsqueda y detalle de cualquier pedido de la plataforma, más las intervenciones manuales:
+ * cancelar con motivo, reasignar repartidor, forzar un cambio de estado y dejar notas internas.
+ * Cada intervención queda registrada en AuditLog (entity ORDER).
+ *
+ * Banderas de la búsqueda:
+ * - Retrasado: pedido activo cuya hora estimada de entrega (colocación o programación más el tiempo
+ *   máximo de entrega del restaurante y un margen) ya pasó.
+ * - Atascado: pedido activo que lleva en el mismo estado más minutos que el umbral de ese estado.
+ */
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const { getIo } = require('../config/socket');
+const { roundToTwoDecimals } = require('../utils/format');
+const CouponService = require('./coupon.service');
+const DispatchService = require('./dispatch.service');
+const DriverCashService = require('./driver-cash.service');
+const OrderStatusService = require('./order-status.service');
+const StockService = require('./stock.service');
+
+const ORDER_CONSOLE_CONFIG = {
+  // Minutos sin cambios en un estado a partir de los cuales el pedido se considera atascado
+  stuckAfterMinutes: {
+    pending: 15,
+    placed: 10,
+    confirmed: 20,
+    preparing: 45,
+    ready_for_pickup: 20,
+    out_for_delivery: 60
+  },
+  // Margen sobre el tiempo máximo de entrega del restaurante antes de marcar el pedido como retrasado
+  lateGraceMinutes: 10,
+  // Límites de las colecciones que se incluyen en el detalle
+  detailAuditLogs: 50,
+  detailAssignments: 20
+};
+
+const FINAL_STATUSES = OrderStatusService.FINAL_STATUSES;
+const ACTIVE_STATUSES = Object.keys(ORDER_CONSOLE_CONFIG.stuckAfterMinutes);
+
+const userSummarySelect = { id: true, name: true, lastname: true, email: true, phone: true };
+
+/**
+ * Formatea un usuario relacionado (cliente, repartidor o autor)
+ * @param {Object|null} user - Usuario con id, name y lastname
+ * @returns {Object|null} Usuario formateado
+ */
+function formatUser(user) {
+  if (!user) return null;
+  return {
+    id: user.id,
+    name: user.name,
+    lastname: user.lastname,
+    fullName: `${user.name} ${user.lastname}`,
+    ...(user.email !== undefined ? { email: user.email } : {}),
+    ...(user.phone !== undefined ? { phone: user.phone } : {})
+  };
+}
+
+/**
+ * Calcula las banderas de seguimiento de un pedido
+ * @param {Object} order - Pedido con status, updatedAt, orderPlacedAt, scheduledFor y restaurant.estimated_delivery_max
+ * @param {Date} now - Momento de referencia
+ * @returns {Object} isLate, isStuck, minutesInStatus y expectedDeliveryAt
+ */
+function getOrderFlags(order, now) {
+  const isActive = ACTIVE_STATUSES.includes(order.status);
+  const minutesInStatus = Math.floor((now.getTime() - new Date(order.updatedAt).getTime()) / 60000);
+
+  const startedAt = new Date(order.scheduledFor || order.orderPlacedAt);
+  const maxDeliveryMinutes = order.restaurant && order.restaurant.estimated_delivery_max
+    ? order.restaurant.estimated_delivery_max
+    : 0;
+  const expectedDeliveryAt = new Date(startedAt.getTime() + maxDeliveryMinutes * 60000);
+  const lateAt = expectedDeliveryAt.getTime() + ORDER_CONSOLE_CONFIG.lateGraceMinutes * 60000;
+
+  return {
+    isLate: isActive && now.getTime() > lateAt,
+    isStuck: isActive && minutesInStatus >= ORDER_CONSOLE_CONFIG.stuckAfterMinutes[order.status],
+    minutesInStatus: isActive ? minutesInStatus : null,
+    expectedDeliveryAt: order.status === 'scheduled' || FINAL_STATUSES.includes(order.status) ? null : expectedDeliveryAt
+  };
+}
+
+/**
+ * Formatea un pedido para el listado de la consola
+ * @param {Object} order - Pedido con restaurant, customer y deliveryDriver
+ * @param {Date} now - Momento de referencia para las banderas
+ * @returns {Object} Pedido formateado
+ */
+function formatOrderSummary(order, now) {
+  return {
+    id: order.id.toString(),
+    status: order.status,
+    fulfillmentType: order.fulfillmentType,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    total: Number(order.total),
+    refundedAmount: Number(order.refundedAmount),
+    restaurant: { id: order.restaurant.id, name: order.restaurant.name },
+    customer: formatUser(order.customer),
+    deliveryDriver: formatUser(order.deliveryDriver),
+    orderPlacedAt: order.orderPlacedAt,
+    scheduledFor: order.scheduledFor,
+    cancelledAt: order.cancelledAt,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+    flags: getOrderFlags(order, now)
+  };
+}
+
+/**
+ * Formatea una nota interna
+ * @param {Object} note - OrderInternalNote con author
+ * @returns {Object} Nota formateada
+ */
+function formatNote(note) {
+  return {
+    id: note.id.toString(),
+    note: note.note,
+    author: formatUser(note.author),
+    createdAt: note.createdAt
+  };
+}
+
+/**
+ * Emite un evento de Socket.io sin interrumpir la operación si no está disponible
+ * @param {string} room - Sala destino
+ * @param {string} event - Nombre del evento
+ * @param {Object} payload - Datos del evento
+ * @param {string} [requestId] - ID de la solicitud para logging
+ */
+function emitToRoom(room, event, payload, requestId) {
+  try {
+    getIo().to(room).emit(event, payload);
+  } catch (socketError) {
+    logger.warn('Socket.io no disponible para notificar intervención de administrador', {
+      requestId,
+      meta: { room, event, error: socketError.message }
+    });
+  }
+}
+
+class AdminOrderService {
+
+  /**
+   * Obtiene el pedido o lanza 404
+   * @param {Object} client - Cliente de Prisma o de transacción
+   * @param {BigInt} orderId - ID del pedido
+   * @param {Object} [select] - Campos a obtener
+   * @returns {Promise<Object>} Pedido
+   */
+  static async findOrderOrFail(client, orderId, select) {
+    const order = await client.order.findUnique({
+      where: { id: orderId },
+      select: select || {
+        id: true,
+        status: true,
+        customerId: true,
+        restaurantId: true,
+        deliveryDriverId: true,
+        fulfillmentType: true,
+        paymentMethod: true,
+        paymentStatus: true,
+        total: true,
+        refundedAmount: true,
+        restaurant: { select: { id: true, name: true, uses_platform_drivers: true } },
+        payment: { select: { id: true, status: true, provider: true } }
+      }
+    });
+
+    if (!order) {
+      throw {
+        status: 404,
+        message: 'Pedido no encontrado',
+        code: 'ORDER_NOT_FOUND'
+      };
+    }
+
+    return order;
+  }
+
+  /**
+   * Lanza 409 si el pedido ya está en un estado final
+   * @param {Object} order - Pedido con status
+   */
+  static assertNotFinal(order) {
+    if (FINAL_STATUSES.includes(order.status)) {
+      throw {
+        status: 409,
+        message: `El pedido ya está en un estado final (${order.status})`,
+        code: 'ORDER_IN_FINAL_STATE',
+        details: { currentStatus: order.status, finalStates: FINAL_STATUSES }
+      };
+    }
+  }
+
+  /**
+   * Construye el filtro de Prisma a partir de los parámetros de búsqueda
+   * @param {Object} filters - status, restaurantId, driverId, customerId, paymentMethod, paymentStatus, fulfillmentType, dateFrom y dateTo
+   * @returns {Object} Filtro where
+   */
+  static buildSearchWhere(filters) {
+    const where = {};
+
+    if (filters.status) where.status = filters.status;
+    if (filters.restaurantId) where.restaurantId = filters.restaurantId;
+    if (filters.driverId) where.deliveryDriverId = filters.driverId;
+    if (filters.customerId) where.customerId = filters.customerId;
+    if (filters.paymentMethod) where.paymentMethod = filters.paymentMethod;
+    if (filters.paymentStatus) where.paymentStatus = filters.paymentStatus;
+    if (filters.fulfillmentType) where.fulfillmentType = filters.fulfillmentType;
+
+    if (filters.dateFrom || filters.dateTo) {
+      where.orderPlacedAt = {};
+      if (filters.dateFrom) where.orderPlacedAt.gte = filters.dateFrom;
+      if (filters.dateTo) where.orderPlacedAt.lte = filters.dateTo;
+    }
+
+    return where;
+  }
+
+  /**
+   * Obtiene los IDs de los pedidos activos que cumplen las banderas pedidas
+   * Las banderas dependen del restaurante y del estado, por eso se evalúan sobre los pedidos activos
+   * @param {Object} where - Filtro base de la búsqueda
+   * @param {Object} flags - late y/o stuck
+   * @param {Date} now - Momento de referencia
+   * @returns {Promise<BigInt[]>} IDs de pedidos
+   */
+  static async getFlaggedOrderIds(where, flags, now) {
+    const statuses = where.status
+      ? (ACTIVE_STATUSES.includes(where.status) ? [where.status] : [])
+      : ACTIVE_STATUSES;
+
+    if (statuses.length === 0) return [];
+
+    const candidates = await prisma.order.findMany({
+      where: { ...where, status: { in: statuses } },
+      select: {
+        id: true,
+        status: true,
+        updatedAt: true,
+        orderPlacedAt: true,
+        scheduledFor: true,
+        restaurant: { select: { estimated_delivery_max: true } }
+      }
+    });
+
+    return candidates
+      .filter(order => {
+        const orderFlags = getOrderFlags(order, now);
+        if (flags.late && !orderFlags.isLate) return false;
+        if (flags.stuck && !orderFlags.isStuck) return false;
+        return true;
+      })
+      .map(order => order.id);
+  }
+
+  /**
+   * Busca pedidos con filtros y paginación
+   * @param {Object} filters - Filtros de buildSearchWhere, late, stuck, page y pageSize
+   * @returns {Promise<Object>} Pedidos formateados y paginación
+   */
+  static async searchOrders(filters) {
+    const { page = 1, pageSize = 20 } = filters;
+    const currentPage = Math.max(1, page);
+    const take = Math.min(Math.max(1, pageSize), 100);
+    const now = new Date();
+
+    const where = this.buildSearchWhere(filters);
+
+    if (filters.late || filters.stuck) {
+      const flaggedIds = await this.getFlaggedOrderIds(where, { late: filters.late, stuck: filters.stuck }, now);
+      where.id = { in: flaggedIds };
+    }
+
+    const [orders, totalCount] = await Promise.all([
+      prisma.order.findMany({
+        where,
+        include: {
+          restaurant: { select: { id: true, name: true, estimated_delivery_max: true } },
+          customer: { select: userSummarySelect },
+          deliveryDriver: { select: userSummarySelect }
+        },
+        orderBy: { orderPlacedAt: 'desc' },
+        skip: (currentPage - 1) * take,
+        take
+      }),
+      prisma.order.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / take);
+
+    return {
+      orders: orders.map(order => formatOrderSummary(order, now)),
+      pagination: {
+        currentPage,
+        pageSize: take,
+        totalCount,
+        totalPages,
+        hasNextPage: currentPage < totalPages,
+        hasPreviousPage: currentPage > 1
+      }
+    };
+  }
+
+  /**
+   * Obtiene el detalle completo de un pedido para la consola
+   * @param {BigInt} orderId - ID del pedido
+   * @returns {Promise<Object>} Pedido con artículos, pago, reembolsos, asignaciones, notas y auditoría
+   */
+  static async getOrderDetail(orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        restaurant: {
+          select: { id: true, name: true, phone: true, address: true, estimated_delivery_max: true, uses_platform_drivers: true }
+        },
+        customer: { select: userSummarySelect },
+        deliveryDriver: { select: userSummarySelect },
+        address: true,
+        payment: {
+          select: { id: true, amount: true, currency: true, provider: true, providerPaymentId: true, status: true, createdAt: true }
+        },
+        orderItems: {
+          where: { deletedAt: null },
+          include: {
+            product: { select: { id: true, name: true } },
+            modifiers: {
+              include: { modifierOption: { select: { id: true, name: true, price: true } } }
+            }
+          }
+        },
+        refunds: {
+          select: { id: true, type: true, reason: true, amount: true, status: true, createdAt: true },
+          orderBy: { createdAt: 'desc' }
+        },
+        tips: {
+          select: { id: true, amount: true, status: true, paidAt: true }
+        },
+        complaints: {
+          select: { id: true, subject: true, status: true, createdAt: true }
+        },
+        driverAssignmentLogs: {
+          include: { driver: { select: { id: true, name: true, lastname: true } } },
+          orderBy: { assignedAt: 'desc' },
+          take: ORDER_CONSOLE_CONFIG.detailAssignments
+        },
+        internalNotes: {
+          include: { author: { select: { id: true, name: true, lastname: true } } },
+          orderBy: { createdAt: 'desc' }
+        }
+      }
+    });
+
+    if (!order) {
+      throw {
+        status: 404,
+        message: 'Pedido no encontrado',
+        code: 'ORDER_NOT_FOUND'
+      };
+    }
+
+    const auditLogs = await prisma.auditLog.findMany({
+      where: { entity: 'ORDER', entityId: order.id },
+      include: { user: { select: { id: true, name: true, lastname: true } } },
+      orderBy: { createdAt: 'desc' },
+      take: ORDER_CONSOLE_CONFIG.detailAuditLogs
+    });
+
+    return {
+      ...formatOrderSummary(order, new Date()),
+      pickupCode: order.pickupCode,
+      specialInstructions: order.specialInstructions,
+      rejectionReason: order.rejectionReason,
+      restaurant: {
+        id: order.restaurant.id,
+        name: order.restaurant.name,
+        phone: order.restaurant.phone,
+        address: order.restaurant.address,
+        usesPlatformDrivers: order.restaurant.uses_platform_drivers
+      },
+      address: order.address,
+      amounts: {
+        subtotal: Number(order.subtotal),
+        deliveryFee: Number(order.deliveryFee),
+        tipAmount: Number(order.tipAmount),
+        discountAmount: Number(order.discountAmount),
+        total: Number(order.total),
+        platformFee: Number(order.platformFee),
+        restaurantPayout: Number(order.restaurantPayout),
+        driverFeeNet: Number(order.driverFeeNet),
+        refundedAmount: Number(order.refundedAmount)
+      },
+      coupon: order.couponId ? {
+        id: order.couponId,
+        code: order.couponCode,
+        fundedBy: order.discountFundedBy
+      } : null,
+      payment: order.payment ? {
+        id: order.payment.id.toString(),
+        amount: Number(order.payment.amount),
+        currency: order.payment.currency,
+        provider: order.payment.provider,
+        providerPaymentId: order.payment.providerPaymentId,
+        status: order.payment.status,
+        createdAt: order.payment.createdAt
+      } : null,
+      items: order.orderItems.map(item => ({
+        id: item.id.toString(),
+        product: item.product,
+        quantity: item.quantity,
+        pricePerUnit: Number(item.pricePerUnit),
+        modifiers: item.modifiers.map(mod => ({
+          id: mod.modifierOption.id,
+          name: mod.modifierOption.name,
+          price: Number(mod.modifierOption.price)
+        }))
+      })),
+      refunds: order.refunds.map(refund => ({
+        id: refund.id.toString(),
+        type: refund.type,
+        reason: refund.reason,
+        amount: Number(refund.amount),
+        status: refund.status,
+        createdAt: refund.createdAt
+      })),
+      tips: order.tips.map(tip => ({
+        id: tip.id.toString(),
+        amount: Number(tip.amount),
+        status: tip.status,
+        paidAt: tip.paidAt
+      })),
+      complaints: order.complaints,
+      assignments: order.driverAssignmentLogs.map(log => ({
+        id: log.id.toString(),
+        driver: formatUser(log.driver),
+        status: log.status,
+        rejectionReason: log.rejectionReason,
+        isAutoAssigned: log.isAutoAssigned,
+        assignedAt: log.assignedAt,
+        respondedAt: log.respondedAt
+      })),
+      internalNotes: order.internalNotes.map(note => formatNote(note)),
+      auditTrail: auditLogs.map(log => ({
+        id: log.id.toString(),
+        action: log.action,
+        user: formatUser(log.user),
+        details: log.details,
+        createdAt: log.createdAt
+      }))
+    };
+  }
+
+  /**
+   * Cancela un pedido no finalizado con el motivo del administrador
+   * Un pago ya cobrado no se reembolsa aquí: la respuesta indica el monto pendiente
+   * para procesarlo con POST /api/admin/orders/:id/refunds.
+   * @param {BigInt} orderId - ID del pedido
+   * @param {Object} data - reason y notifyCustomer
+   * @param {number} adminUserId - Administrador que cancela
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Pedido cancelado y estado del reembolso
+   */
+  static async cancelOrder(orderId, { reason, notifyCustomer = true }, adminUserId, requestId = null) {
+    const cancelled = await prisma.$transaction(async (tx) => {
+      const order = await this.findOrderOrFail(tx, orderId);
+      this.assertNotFinal(order);
+
+      const isPaid = order.paymentStatus === 'completed';
+      const now = new Date();
+
+      // La máquina de estados condiciona el cambio al estado leído para no pisar una entrega simultánea
+      await OrderStatusService.transition(tx, order, 'cancelled', {
+        source: 'admin',
+        changedById: adminUserId,
+        reason,
+        data: {
+          cancelledAt: now,
+          rejectionReason: reason,
+          ...(isPaid ? {} : { paymentStatus: 'cancelled' })
+        }
+      }, requestId);
+
+      if (!isPaid && order.payment && ['pending', 'processing'].includes(order.payment.status)) {
+        await tx.payment.update({
+          where: { id: order.payment.id },
+          data: { status: 'cancelled' }
+        });
+      }
+
+      await CouponService.releaseRedemption(tx, orderId, requestId);
+      await StockService.releaseOrderStock(tx, orderId, requestId);
+
+      // El repartidor queda libre si este era su pedido en curso
+      if (order.deliveryDriverId && order.status === 'out_for_delivery') {
+        await tx.driverProfile.updateMany({
+          where: { userId: order.deliveryDriverId, status: 'busy' },
+          data: { status: 'online' }
+        });
+      }
+
+      if (notifyCustomer) {
+        await tx.notification.create({
+          data: {
+            userId: order.customerId,
+            title: `Pedido #${order.id} cancelado`,
+            message: `Tu pedido en ${order.restaurant.name} fue cancelado por soporte: ${reason}`,
+            type: 'ORDER_UPDATE'
+          }
+        });
+      }
+
+      const refundableAmount = isPaid
+        ? roundToTwoDecimals(Number(order.total) - Number(order.refundedAmount))
+        : 0;
+
+      await tx.auditLog.create({
+        data: {
+          userId: adminUserId,
+          action: 'CANCEL_ORDER',
+          entity: 'ORDER',
+          entityId: order.id,
+          details: {
+            previousStatus: order.status,
+            reason,
+            paymentStatus: order.paymentStatus,
+            refundableAmount,
+            deliveryDriverId: order.deliveryDriverId
+          }
+        }
+      });
+
+      return { order, previousStatus: order.status, cancelledAt: now, refundableAmount };
+    });
+
+    const { order } = cancelled;
+
+    await DispatchService.cancelDispatch(orderId, requestId);
+
+    emitToRoom(`user_${order.customerId}`, 'order_status_update', {
+      orderId: order.id.toString(),
+      status: 'cancelled',
+      reason: 'ADMIN_CANCELLED'
+    }, requestId);
+
+    if (order.deliveryDriverId) {
+      emitToRoom(`user_${order.deliveryDriverId}`, 'order_cancelled', {
+        orderId: order.id.toString()
+      }, requestId);
+    }
+
+    logger.info('Pedido cancelado por administrador', {
+      requestId,
+      meta: { orderId: order.id.toString(), adminUserId, previousStatus: cancelled.previousStatus }
+    });
+
+    return {
+      order: {
+        id: order.id.toString(),
+        status: 'cancelled',
+        previousStatus: cancelled.previousStatus,
+        cancelledAt: cancelled.cancelledAt,
+        rejectionReason: reason,
+        paymentStatus: order.paymentStatus === 'completed' ? 'completed' : 'cancelled'
+      },
+      refund: {
+        required: cancelled.refundableAmount > 0,
+        refundableAmount: cancelled.refundableAmount
+      }
+    };
+  }
+
+  /**
+   * Reasigna el repartidor de un pedido a domicilio no finalizado
+   * @param {BigInt} orderId - ID del pedido
+   * @param {Object} data - driverId y reason
+   * @param {number} adminUserId - Administrador que reasigna
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Pedido con su repartidor anterior y el nuevo
+   */
+  static async reassignDriver(orderId, { driverId, reason }, adminUserId, requestId = null) {
+    const order = await this.findOrderOrFail(prisma, orderId);
+    this.assertNotFinal(order);
+
+    if (order.fulfillmentType === 'pickup') {
+      throw {
+        status: 409,
+        message: 'Los pedidos para recoger no llevan repartidor',
+        code: 'ORDER_IS_PICKUP'
+      };
+    }
+
+    if (order.deliveryDriverId === driverId) {
+      throw {
+        status: 409,
+        message: 'El repartidor ya está asignado a este pedido',
+        code: 'DRIVER_ALREADY_ASSIGNED'
+      };
+    }
+
+    const driverProfile = await prisma.driverProfile.findUnique({
+      where: { userId: driverId },
+      select: {
+        userId: true,
+        status: true,
+        kycStatus: true,
+        isBlocked: true,
+        user: { select: { id: true, name: true, lastname: true, phone: true } }
+      }
+    });
+
+    if (!driverProfile) {
+      throw {
+        status: 404,
+        message: 'Repartidor no encontrado',
+        code: 'DRIVER_NOT_FOUND'
+      };
+    }
+
+    if (driverProfile.isBlocked || driverProfile.kycStatus !== 'approved') {
+      throw {
+        status: 409,
+        message: 'El repartidor no puede recibir pedidos (bloqueado o KYC no aprobado)',
+        code: 'DRIVER_NOT_ELIGIBLE',
+        details: { isBlocked: driverProfile.isBlocked, kycStatus: driverProfile.kycStatus }
+      };
+    }
+
+    try {
+      await DriverCashService.assertCanTakeOrder(driverId, {
+        restaurantId: order.restaurantId,
+        paymentMethod: order.paymentMethod,
+        total: order.total,
+        usesPlatformDrivers: order.restaurant.uses_platform_drivers
+      });
+    } catch (cashError) {
+      if (cashError.code === 'DRIVER_CASH_LIMIT_EXCEEDED') {
+        throw {
+          ...cashError,
+          message: 'El repartidor excede su límite de efectivo para tomar este pedido'
+        };
+      }
+      throw cashError;
+    }
+
+    const previousDriverId = order.deliveryDriverId;
+    const isOnRoute = order.status === 'out_for_delivery';
+
+    await prisma.$transaction(async (tx) => {
+      // La condición sobre el repartidor y el estado evita pisar una aceptación o entrega simultánea
+      const { count } = await tx.order.updateMany({
+        where: { id: orderId, status: order.status, deliveryDriverId: previousDriverId },
+        data: { deliveryDriverId: driverId }
+      });
+
+      if (count === 0) {
+        throw {
+          status: 409,
+          message: 'El pedido cambió mientras se reasignaba, intenta de nuevo',
+          code: 'ORDER_STATUS_CONFLICT'
+        };
+      }
+
+      await tx.driverAssignmentLog.create({
+        data: {
+          orderId,
+          driverId,
+          status: 'ACCEPTED',
+          assignedAt: new Date(),
+          respondedAt: new Date(),
+          responseTimeSeconds: 0,
+          isAutoAssigned: false
+        }
+      });
+
+      if (isOnRoute) {
+        await tx.driverProfile.update({
+          where: { userId: driverId },
+          data: { status: 'busy' }
+        });
+
+        if (previousDriverId) {
+          await tx.driverProfile.updateMany({
+            where: { userId: previousDriverId, status: 'busy' },
+            data: { status: 'online' }
+          });
+        }
+      }
+
+      await tx.auditLog.create({
+        data: {
+          userId: adminUserId,
+          action: 'REASSIGN_ORDER_DRIVER',
+          entity: 'ORDER',
+          entityId: order.id,
+          details: {
+            orderStatus: order.status,
+            previousDriverId,
+            newDriverId: driverId,
+            reason
+          }
+        }
+      });
+    });
+
+    // La asignación manual reemplaza cualquier oferta automática pendiente
+    await DispatchService.cancelDispatch(orderId, requestId);
+
+    if (previousDriverId) {
+      emitToRoom(`user_${previousDriverId}`, 'order_unassigned', { orderId: order.id.toString() }, requestId);
+    }
+    emitToRoom(`user_${driverId}`, 'order_assigned', { orderId: order.id.toString(), status: order.status }, requestId);
+
+    logger.info('Repartidor reasignado por administrador', {
+      requestId,
+      meta: { orderId: order.id.toString(), adminUserId, previousDriverId, newDriverId: driverId }
+    });
+
+    return {
+      order: {
+        id: order.id.toString(),
+        status: order.status,
+        previousDriverId,
+        deliveryDriver: formatUser(driverProfile.user)
+      }
+    };
+  }
+
+  /**
+   * Cambia el estado de un pedido activo
+   * Sin force solo se permite el siguiente paso normal del flujo; con force se puede saltar o
+   * retroceder entre estados activos. Entregar, cancelar y reembolsar tienen sus propios flujos
+   * porque mueven dinero, por eso no se aceptan aquí.
+   * @param {BigInt} orderId - ID del pedido
+   * @param {Object} data - status, reason y force
+   * @param {number} adminUserId - Administrador que cambia el estado
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Pedido con su estado anterior y el nuevo
+   */
+  static async overrideStatus(orderId, { status, reason, force = false }, adminUserId, requestId = null) {
+    const order = await this.findOrderOrFail(prisma, orderId);
+    this.assertNotFinal(order);
+
+    if (order.status === status) {
+      throw {
+        status: 409,
+        message: `El pedido ya está en estado ${status}`,
+        code: 'STATUS_UNCHANGED'
+      };
+    }
+
+    // Sin force solo se permiten los pasos normales del flujo; cancelar y reembolsar tienen su propio endpoint
+    const allowedWithoutForce = OrderStatusService.getAllowedTransitions(order, 'admin')
+      .filter(nextStatus => !FINAL_STATUSES.includes(nextStatus));
+    if (!force && !allowedWithoutForce.includes(status)) {
+      throw {
+        status: 409,
+        message: `Transición de estado inválida: ${order.status} → ${status}`,
+        code: 'INVALID_STATUS_TRANSITION',
+        details: {
+          currentStatus: order.status,
+          newStatus: status,
+          allowedStatuses: allowedWithoutForce,
+          suggestion: 'Envía force: true para forzar el cambio'
+        }
+      };
+    }
+
+    if (status === 'out_for_delivery' && (order.fulfillmentType === 'pickup' || !order.deliveryDriverId)) {
+      throw {
+        status: 409,
+        message: order.fulfillmentType === 'pickup'
+          ? 'Un pedido para recoger no puede salir a reparto'
+          : 'El pedido necesita un repartidor asignado para salir a reparto',
+        code: 'DRIVER_REQUIRED'
+      };
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await OrderStatusService.transition(tx, order, status, {
+        source: 'admin',
+        changedById: adminUserId,
+        reason,
+        force
+      }, requestId);
+
+      // Sacar el pedido de la espera de aceptación lo cuenta como venta
+      if (!['pending', 'scheduled', 'placed'].includes(status)) {
+        await StockService.commitOrderStock(tx, order.id, adminUserId, requestId);
+      }
+
+      await tx.auditLog.create({
+        data: {
+          userId: adminUserId,
+          action: 'OVERRIDE_ORDER_STATUS',
+          entity: 'ORDER',
+          entityId: order.id,
+          details: {
+            previousStatus: order.status,
+            newStatus: status,
+            reason,
+            forced: force
+          }
+        }
+      });
+    });
+
+    emitToRoom(`user_${order.customerId}`, 'order_status_update', {
+      orderId: order.id.toString(),
+      status
+    }, requestId);
+
+    // Mismo disparo que el flujo del restaurante: un pedido a domicilio listo y sin repartidor se despacha
+    if (status === 'ready_for_pickup' && order.fulfillmentType !== 'pickup' && !order.deliveryDriverId) {
+      DispatchService.startDispatch(orderId, requestId).catch(dispatchError => {
+        logger.warn('Error iniciando despacho automático', {
+          requestId,
+          meta: { orderId: orderId.toString(), error: dispatchError.message }
+        });
+      });
+    }
+
+    logger.info('Estado de pedido cambiado por administrador', {
+      requestId,
+      meta: { orderId: order.id.toString(), adminUserId, previousStatus: order.status, newStatus: status, forced: force }
+    });
+
+    return {
+      order: {
+        id: order.id.toString(),
+        previousStatus: order.status,
+        status,
+        forced: force
+      }
+    };
+  }
+
+  /**
+   * Agrega una nota interna a un pedido
+   * @param {BigInt} orderId - ID del pedido
+   * @param {string} note - Texto de la nota
+   * @param {number} adminUserId - Administrador autor de la nota
+   * @returns {Promise<Object>} Nota creada
+   */
+  static async addInternalNote(orderId, note, adminUserId) {
+    return prisma.$transaction(async (tx) => {
+      const order = await this.findOrderOrFail(tx, orderId, { id: true });
+
+      const created = await tx.orderInternalNote.create({
+        data: { orderId: order.id, authorId: adminUserId, note },
+        include: { author: { select: { id: true, name: true, lastname: true } } }
+      });
+
+      await tx.auditLog.create({
+        data: {
+          userId: adminUserId,
+          action: 'ADD_ORDER_NOTE',
+          entity: 'ORDER',
+          entityId: order.id,
+          details: { noteId: created.id.toString() }
+        }
+      });
+
+      return formatNote(created);
+    });
+  }
+}
+
+module.exports = AdminOrderService;
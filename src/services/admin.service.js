@@ -1,6 +1,10 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const DispatchService = require('./dispatch.service');
+const LedgerService = require('./ledger.service');
+const PayoutService = require('./payout.service');
+const StockService = require('./stock.service');
 
 const prisma = new PrismaClient();
 
@@ -452,6 +456,84 @@ class AdminService {
     });
   }
 
+  /**
+   * Reemplazar las áreas de servicio vinculadas a un restaurante
+   */
+  static async updateRestaurantServiceAreas(restaurantId, serviceAreaIds, adminUserId) {
+    return await prisma.$transaction(async (tx) => {
+      const restaurant = await tx.restaurant.findUnique({
+        where: { id: restaurantId },
+        select: {
+          id: true,
+          name: true,
+          serviceAreas: {
+            where: { deletedAt: null },
+            select: { serviceAreaId: true }
+          }
+        }
+      });
+
+      if (!restaurant) {
+        throw new NotFoundError('Restaurante no encontrado');
+      }
+
+      const uniqueIds = [...new Set(serviceAreaIds)];
+      const serviceAreas = await tx.serviceArea.findMany({
+        where: { id: { in: uniqueIds }, deletedAt: null },
+        select: { id: true, name: true, type: true, isActive: true }
+      });
+
+      if (serviceAreas.length !== uniqueIds.length) {
+        const foundIds = serviceAreas.map(area => area.id);
+        throw new NotFoundError(
+          `Áreas de servicio no encontradas: ${uniqueIds.filter(id => !foundIds.includes(id)).join(', ')}`
+        );
+      }
+
+      const previousIds = restaurant.serviceAreas.map(link => link.serviceAreaId);
+      const removedIds = previousIds.filter(id => !uniqueIds.includes(id));
+      const addedIds = uniqueIds.filter(id => !previousIds.includes(id));
+
+      if (removedIds.length > 0) {
+        await tx.restaurantServiceArea.updateMany({
+          where: { restaurantId, serviceAreaId: { in: removedIds } },
+          data: { deletedAt: new Date() }
+        });
+      }
+
+      // Reactivar vínculos eliminados previamente o crear nuevos
+      for (const serviceAreaId of addedIds) {
+        await tx.restaurantServiceArea.upsert({
+          where: { restaurantId_serviceAreaId: { restaurantId, serviceAreaId } },
+          update: { deletedAt: null },
+          create: { restaurantId, serviceAreaId }
+        });
+      }
+
+      await tx.auditLog.create({
+        data: {
+          userId: adminUserId,
+          action: 'UPDATE_RESTAURANT_SERVICE_AREAS',
+          entity: 'RESTAURANT',
+          entityId: BigInt(restaurantId),
+          details: {
+            restaurant: { id: restaurant.id, name: restaurant.name },
+            previousServiceAreaIds: previousIds,
+            newServiceAreaIds: uniqueIds,
+            addedIds,
+            removedIds
+          }
+        }
+      });
+
+      return {
+        restaurantId: restaurant.id,
+        restaurantName: restaurant.name,
+        serviceAreas
+      };
+    });
+  }
+
   // ========================================
   // FASE 3: RESTAURANTES Y CATÁLOGO
   // ========================================
@@ -506,10 +588,10 @@ class AdminService {
    * Ajustar stock de producto con log de inventario
    */
   static async adjustProductStock(productId, change, reason, adminUserId) {
-    return await prisma.$transaction(async (tx) => {
+    const { updatedProduct, stockAlerts } = await prisma.$transaction(async (tx) => {
       const product = await tx.product.findUnique({
         where: { id: productId },
-        select: { id: true, name: true, stockQuantity: true }
+        select: StockService.PRODUCT_SELECT
       });
 
       if (!product) {
@@ -526,13 +608,14 @@ class AdminService {
         where: { id: productId },
         data: { stockQuantity: newQuantity },
         select: {
-          id: true,
-          name: true,
-          stockQuantity: true,
+          ...StockService.PRODUCT_SELECT,
           updatedAt: true
         }
       });
 
+      // Un producto con control de inventario se desactiva al quedar en 0 y se reactiva al reabastecerse
+      const stockAlerts = await StockService.syncAvailability(tx, updatedProduct, product.stockQuantity);
+
       await tx.productInventoryLog.create({
         data: {
           productId: productId,
@@ -562,8 +645,17 @@ class AdminService {
         }
       });
 
-      return updatedProduct;
+      return { updatedProduct, stockAlerts };
     });
+
+    StockService.notifyStockAlerts(stockAlerts);
+
+    return {
+      id: updatedProduct.id,
+      name: updatedProduct.name,
+      stockQuantity: updatedProduct.stockQuantity,
+      updatedAt: updatedProduct.updatedAt
+    };
   }
 
   // ========================================
@@ -584,37 +676,16 @@ class AdminService {
         throw new Error('Restaurante no encontrado');
       }
 
-      // Obtener o crear billetera
-      let wallet = await tx.restaurantWallet.findUnique({
-        where: { restaurantId: restaurantId }
-      });
-
-      if (!wallet) {
-        wallet = await tx.restaurantWallet.create({
-          data: {
-            restaurantId: restaurantId,
-            balance: 0
-          }
-        });
-      }
-
-      const newBalance = parseFloat(wallet.balance) + amount;
-      const transactionType = amount > 0 ? 'ADJUSTMENT_CREDIT' : 'ADJUSTMENT_DEBIT';
-
-      const updatedWallet = await tx.restaurantWallet.update({
-        where: { restaurantId: restaurantId },
-        data: { balance: newBalance }
-      });
-
-      const transaction = await tx.restaurantWalletTransaction.create({
-        data: {
-          walletId: wallet.id,
-          type: transactionType,
-          amount: Math.abs(amount),
-          balanceAfter: newBalance,
-          description: description
-        }
+      // El asiento crea la billetera si no existe y ajusta el saldo contra los ingresos de la plataforma
+      const { movements } = await LedgerService.postWalletAdjustment(tx, {
+        wallet: 'restaurant',
+        ownerId: restaurantId,
+        amount,
+        description,
+        createdById: adminUserId
       });
+      const { wallet: updatedWallet, transaction, previousBalance } = movements[0];
+      const newBalance = Number(updatedWallet.balance);
 
       await tx.auditLog.create({
         data: {
@@ -628,7 +699,7 @@ class AdminService {
               name: restaurant.name
             },
             amount: amount,
-            previousBalance: parseFloat(wallet.balance),
+            previousBalance: previousBalance,
             newBalance: newBalance,
             description: description
           }
@@ -656,37 +727,16 @@ class AdminService {
         throw new Error('Repartidor no encontrado');
       }
 
-      // Obtener o crear billetera
-      let wallet = await tx.driverWallet.findUnique({
-        where: { driverId: driverId }
-      });
-
-      if (!wallet) {
-        wallet = await tx.driverWallet.create({
-          data: {
-            driverId: driverId,
-            balance: 0
-          }
-        });
-      }
-
-      const newBalance = parseFloat(wallet.balance) + amount;
-      const transactionType = amount > 0 ? 'ADJUSTMENT_CREDIT' : 'ADJUSTMENT_DEBIT';
-
-      const updatedWallet = await tx.driverWallet.update({
-        where: { driverId: driverId },
-        data: { balance: newBalance }
-      });
-
-      const transaction = await tx.driverWalletTransaction.create({
-        data: {
-          walletId: wallet.id,
-          type: transactionType,
-          amount: Math.abs(amount),
-          balanceAfter: newBalance,
-          description: description
-        }
+      // El asiento crea la billetera si no existe y ajusta el saldo contra los ingresos de la plataforma
+      const { movements } = await LedgerService.postWalletAdjustment(tx, {
+        wallet: 'driver',
+        ownerId: driverId,
+        amount,
+        description,
+        createdById: adminUserId
       });
+      const { wallet: updatedWallet, transaction, previousBalance } = movements[0];
+      const newBalance = Number(updatedWallet.balance);
 
       await tx.auditLog.create({
         data: {
@@ -701,7 +751,7 @@ class AdminService {
               lastname: driver.lastname
             },
             amount: amount,
-            previousBalance: parseFloat(wallet.balance),
+            previousBalance: previousBalance,
             newBalance: newBalance,
             description: description
           }
@@ -717,124 +767,33 @@ class AdminService {
 
   /**
    * Procesar pagos a restaurantes
+   * Crea un lote en borrador con las transacciones pendientes (ver PayoutService.createBatch);
+   * las transacciones quedan reservadas y se marcan como pagadas al confirmar el lote.
    */
   static async processRestaurantPayouts(adminUserId) {
-    return await prisma.$transaction(async (tx) => {
-      // Obtener transacciones pendientes de pago
-      const pendingTransactions = await tx.restaurantWalletTransaction.findMany({
-        where: {
-          isPaidOut: false,
-          type: {
-            in: ['RESTAURANT_ORDER_CREDIT', 'RESTAURANT_PLATFORM_FEE_DEBIT']
-          }
-        },
-        include: {
-          wallet: {
-            include: {
-              restaurant: {
-                select: {
-                  id: true,
-                  name: true
-                }
-              }
-            }
-          }
-        }
-      });
-
-      const processedTransactions = [];
-
-      for (const transaction of pendingTransactions) {
-        const updatedTransaction = await tx.restaurantWalletTransaction.update({
-          where: { id: transaction.id },
-          data: {
-            isPaidOut: true,
-            paidOutAt: new Date()
-          }
-        });
-
-        processedTransactions.push(updatedTransaction);
-      }
-
-      await tx.auditLog.create({
-        data: {
-          userId: adminUserId,
-          action: 'PROCESS_RESTAURANT_PAYOUTS',
-          entity: 'TRANSACTION',
-          entityId: BigInt(0),
-          details: {
-            processedCount: processedTransactions.length,
-            totalAmount: processedTransactions.reduce((sum, t) => sum + parseFloat(t.amount), 0)
-          }
-        }
-      });
-
-      return {
-        processedCount: processedTransactions.length,
-        transactions: processedTransactions
-      };
-    });
+    const result = await PayoutService.createBatch('restaurant', adminUserId, { allowEmpty: true });
+
+    return {
+      processedCount: result.transactions.length,
+      transactions: result.transactions,
+      batch: result.batch,
+      skipped: result.skipped
+    };
   }
 
   /**
    * Procesar pagos a repartidores
+   * Crea un lote en borrador con las transacciones pendientes (ver PayoutService.createBatch).
    */
   static async processDriverPayouts(adminUserId) {
-    return await prisma.$transaction(async (tx) => {
-      const pendingTransactions = await tx.driverWalletTransaction.findMany({
-        where: {
-          isPaidOut: false,
-          type: {
-            in: ['DRIVER_DELIVERY_FEE_CREDIT', 'DRIVER_TIPS_CREDIT']
-          }
-        },
-        include: {
-          wallet: {
-            include: {
-              driver: {
-                select: {
-                  id: true,
-                  name: true,
-                  lastname: true
-                }
-              }
-            }
-          }
-        }
-      });
-
-      const processedTransactions = [];
-
-      for (const transaction of pendingTransactions) {
-        const updatedTransaction = await tx.driverWalletTransaction.update({
-          where: { id: transaction.id },
-          data: {
-            isPaidOut: true,
-            paidOutAt: new Date()
-          }
-        });
-
-        processedTransactions.push(updatedTransaction);
-      }
-
-      await tx.auditLog.create({
-        data: {
-          userId: adminUserId,
-          action: 'PROCESS_DRIVER_PAYOUTS',
-          entity: 'TRANSACTION',
-          entityId: BigInt(0),
-          details: {
-            processedCount: processedTransactions.length,
-            totalAmount: processedTransactions.reduce((sum, t) => sum + parseFloat(t.amount), 0)
-          }
-        }
-      });
-
-      return {
-        processedCount: processedTransactions.length,
-        transactions: processedTransactions
-      };
-    });
+    const result = await PayoutService.createBatch('driver', adminUserId, { allowEmpty: true });
+
+    return {
+      processedCount: result.transactions.length,
+      transactions: result.transactions,
+      batch: result.batch,
+      skipped: result.skipped
+    };
   }
 
   // ========================================
@@ -857,7 +816,7 @@ class AdminService {
 
       const currentProfile = await tx.driverProfile.findUnique({
         where: { userId: driverId },
-        select: { kycStatus: true, rfc: true, domicilioFiscal: true, opcionPagoDefinitivo: true }
+        select: { kycStatus: true, rfc: true, domicilioFiscal: true, opcionPagoDefinitivo: true, clabe: true }
       });
 
       if (!currentProfile) {
@@ -873,6 +832,7 @@ class AdminService {
           rfc: true,
           domicilioFiscal: true,
           opcionPagoDefinitivo: true,
+          clabe: true,
           updatedAt: true
         }
       });
@@ -958,7 +918,7 @@ class AdminService {
    * Forzar asignación de repartidor a orden
    */
   static async forceDriverAssignment(orderId, driverId, adminUserId) {
-    return await prisma.$transaction(async (tx) => {
+    const result = await prisma.$transaction(async (tx) => {
       const order = await tx.order.findUnique({
         where: { id: orderId },
         select: { id: true, deliveryDriverId: true, status: true }
@@ -1021,6 +981,11 @@ class AdminService {
 
       return updatedOrder;
     });
+
+    // La asignación manual reemplaza cualquier oferta automática pendiente
+    await DispatchService.cancelDispatch(orderId);
+
+    return result;
   }
 
   // ========================================
@@ -105,6 +105,25 @@ class CacheService {
     }
   }
 
+  /**
+   * Elimina todas las claves que comienzan con un prefijo
+   * @param {string} prefix - Prefijo de las claves a eliminar (ej: 'coverage:')
+   * @returns {number} Número de claves eliminadas
+   */
+  clearByPrefix(prefix) {
+    let clearedCount = 0;
+
+    this.getKeys()
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => {
+        if (this.clear(key)) {
+          clearedCount++;
+        }
+      });
+
+    return clearedCount;
+  }
+
   /**
    * Limpia todo el caché
    * @returns {boolean} True si se limpió correctamente
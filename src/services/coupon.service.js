@@ -0,0 +1,327 @@
+/**
+ * Servicio de cupones de descuento
+ * Valida la elegibilidad de un código en el checkout, calcula el descuento
+ * (porcentaje, monto fijo o envío gratis) y registra su uso en el pedido.
+ */
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const { roundToTwoDecimals } = require('../utils/format');
+const { isPointInServiceArea } = require('./geolocation.service');
+
+// Estados de pedido que no cuentan como uso del cupón ni como pedido previo
+const INACTIVE_ORDER_STATUSES = ['cancelled', 'refunded'];
+
+/**
+ * Construye el error de cupón no aplicable
+ * @param {number} status - Código HTTP
+ * @param {string} message - Mensaje para el cliente
+ * @param {string} code - Código de error
+ * @param {Object} [details] - Detalles adicionales
+ * @returns {Object} Error con status, message, code y details
+ */
+function couponError(status, message, code, details) {
+  return { status, message, code, details: details || null };
+}
+
+class CouponService {
+
+  /**
+   * Normaliza un código de cupón (sin espacios y en mayúsculas)
+   * @param {string} code - Código capturado por el usuario
+   * @returns {string} Código normalizado
+   */
+  static normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * Calcula el descuento de un cupón sobre los montos del pedido
+   * @param {Object} coupon - Cupón con discountType, discountValue y maxDiscountAmount
+   * @param {number} subtotal - Subtotal de productos
+   * @param {number|null} deliveryFee - Tarifa de envío (null si aún no se conoce)
+   * @returns {{ discountAmount: number|null, appliesTo: string }} Descuento y concepto al que aplica
+   */
+  static calculateDiscount(coupon, subtotal, deliveryFee) {
+    const maxDiscount = coupon.maxDiscountAmount !== null && coupon.maxDiscountAmount !== undefined
+      ? Number(coupon.maxDiscountAmount)
+      : Infinity;
+
+    if (coupon.discountType === 'free_delivery') {
+      if (deliveryFee === null || deliveryFee === undefined) {
+        return { discountAmount: null, appliesTo: 'delivery' };
+      }
+      return {
+        discountAmount: roundToTwoDecimals(Math.min(Number(deliveryFee), maxDiscount)),
+        appliesTo: 'delivery'
+      };
+    }
+
+    const rawDiscount = coupon.discountType === 'percentage'
+      ? Number(subtotal) * Number(coupon.discountValue) / 100
+      : Number(coupon.discountValue);
+
+    return {
+      discountAmount: roundToTwoDecimals(Math.min(rawDiscount, maxDiscount, Number(subtotal))),
+      appliesTo: 'subtotal'
+    };
+  }
+
+  /**
+   * Valida que un cupón se pueda aplicar a un pedido y calcula su descuento
+   * @param {string} code - Código del cupón
+   * @param {Object} context - Datos del pedido
+   * @param {number} context.userId - Cliente que aplica el cupón
+   * @param {number} context.restaurantId - Restaurante del pedido
+   * @param {number} context.subtotal - Subtotal de productos
+   * @param {number|null} [context.deliveryFee] - Tarifa de envío (null si aún no se conoce)
+   * @param {Object|null} [context.address] - Dirección de entrega con latitude y longitude
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} { coupon, discountAmount, appliesTo }
+   */
+  static async validateCoupon(code, context, requestId) {
+    const normalizedCode = this.normalizeCode(code);
+
+    const coupon = await prisma.coupon.findFirst({
+      where: { code: normalizedCode, deletedAt: null },
+      include: {
+        serviceArea: {
+          select: {
+            id: true,
+            name: true,
+            type: true,
+            centerLatitude: true,
+            centerLongitude: true,
+            radiusKm: true,
+            polygonCoordinates: true,
+            isActive: true
+          }
+        }
+      }
+    });
+
+    if (!coupon) {
+      throw couponError(404, 'El cupón no existe', 'COUPON_NOT_FOUND');
+    }
+
+    const now = new Date();
+
+    if (!coupon.isActive) {
+      throw couponError(409, 'El cupón no está activo', 'COUPON_INACTIVE');
+    }
+
+    if (coupon.startsAt && coupon.startsAt > now) {
+      throw couponError(409, 'El cupón aún no está vigente', 'COUPON_NOT_STARTED', {
+        startsAt: coupon.startsAt
+      });
+    }
+
+    if (coupon.expiresAt && coupon.expiresAt <= now) {
+      throw couponError(409, 'El cupón ha expirado', 'COUPON_EXPIRED', {
+        expiresAt: coupon.expiresAt
+      });
+    }
+
+    if (coupon.restaurantId && coupon.restaurantId !== context.restaurantId) {
+      throw couponError(409, 'El cupón no es válido para este restaurante', 'COUPON_RESTAURANT_MISMATCH');
+    }
+
+    if (coupon.serviceArea && context.address) {
+      const point = {
+        lat: Number(context.address.latitude),
+        lng: Number(context.address.longitude)
+      };
+      if (!coupon.serviceArea.isActive || !isPointInServiceArea(point, coupon.serviceArea)) {
+        throw couponError(409, 'El cupón no es válido para tu dirección de entrega', 'COUPON_OUT_OF_SERVICE_AREA', {
+          serviceArea: coupon.serviceArea.name
+        });
+      }
+    }
+
+    const minOrderAmount = Number(coupon.minOrderAmount);
+    if (Number(context.subtotal) < minOrderAmount) {
+      throw couponError(409, `El pedido mínimo para este cupón es de $${minOrderAmount.toFixed(2)}`, 'COUPON_MIN_ORDER_NOT_MET', {
+        minOrderAmount,
+        subtotal: Number(context.subtotal),
+        missingAmount: roundToTwoDecimals(minOrderAmount - Number(context.subtotal))
+      });
+    }
+
+    if (coupon.usageLimit !== null && coupon.redemptionCount >= coupon.usageLimit) {
+      throw couponError(409, 'El cupón alcanzó su límite de usos', 'COUPON_USAGE_LIMIT_REACHED');
+    }
+
+    const [userRedemptions, previousOrders] = await Promise.all([
+      prisma.couponRedemption.count({
+        where: { couponId: coupon.id, userId: context.userId }
+      }),
+      coupon.firstOrderOnly
+        ? prisma.order.count({
+          where: {
+            customerId: context.userId,
+            status: { notIn: INACTIVE_ORDER_STATUSES }
+          }
+        })
+        : Promise.resolve(0)
+    ]);
+
+    if (userRedemptions >= coupon.perUserLimit) {
+      throw couponError(409, 'Ya utilizaste este cupón el número máximo de veces', 'COUPON_USER_LIMIT_REACHED', {
+        perUserLimit: coupon.perUserLimit
+      });
+    }
+
+    if (coupon.firstOrderOnly && previousOrders > 0) {
+      throw couponError(409, 'El cupón solo es válido en tu primer pedido', 'COUPON_FIRST_ORDER_ONLY');
+    }
+
+    const { discountAmount, appliesTo } = this.calculateDiscount(coupon, context.subtotal, context.deliveryFee);
+
+    if (discountAmount !== null && discountAmount <= 0) {
+      throw couponError(409, 'El cupón no genera descuento en este pedido', 'COUPON_NO_DISCOUNT');
+    }
+
+    logger.info('Cupón validado', {
+      requestId,
+      meta: {
+        couponId: coupon.id,
+        code: coupon.code,
+        userId: context.userId,
+        restaurantId: context.restaurantId,
+        discountAmount,
+        appliesTo,
+        fundedBy: coupon.fundedBy
+      }
+    });
+
+    return { coupon, discountAmount, appliesTo };
+  }
+
+  /**
+   * Formatea un cupón aplicado para las respuestas de carrito y checkout
+   * @param {Object} coupon - Cupón validado
+   * @param {number|null} discountAmount - Descuento calculado
+   * @param {string} appliesTo - 'subtotal' o 'delivery'
+   * @returns {Object} Resumen del cupón aplicado
+   */
+  static formatAppliedCoupon(coupon, discountAmount, appliesTo) {
+    return {
+      code: coupon.code,
+      description: coupon.description,
+      discountType: coupon.discountType,
+      discountValue: Number(coupon.discountValue),
+      discountAmount,
+      appliesTo,
+      fundedBy: coupon.fundedBy
+    };
+  }
+
+  /**
+   * Registra el uso de un cupón dentro de la transacción que crea el pedido
+   * El incremento condicional evita exceder usageLimit con pedidos simultáneos; perUserLimit y
+   * firstOrderOnly se vuelven a revisar en la transacción porque validateCoupon corre fuera de ella
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {Object} coupon - Cupón validado
+   * @param {number} userId - Cliente
+   * @param {BigInt} orderId - Pedido creado
+   * @param {number} discountAmount - Descuento aplicado
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Registro de uso creado
+   */
+  static async redeemCoupon(tx, coupon, userId, orderId, discountAmount, requestId) {
+    const where = { id: coupon.id, isActive: true, deletedAt: null };
+    if (coupon.usageLimit !== null) {
+      where.redemptionCount = { lt: coupon.usageLimit };
+    }
+
+    const updated = await tx.coupon.updateMany({
+      where,
+      data: { redemptionCount: { increment: 1 } }
+    });
+
+    if (updated.count === 0) {
+      throw couponError(409, 'El cupón alcanzó su límite de usos', 'COUPON_USAGE_LIMIT_REACHED');
+    }
+
+    // El incremento anterior bloquea la fila del cupón, así que dos pedidos del mismo cliente no cuentan a la vez
+    const [userRedemptions, previousOrders] = await Promise.all([
+      tx.couponRedemption.count({
+        where: { couponId: coupon.id, userId }
+      }),
+      coupon.firstOrderOnly
+        ? tx.order.count({
+          where: {
+            customerId: userId,
+            id: { not: orderId },
+            status: { notIn: INACTIVE_ORDER_STATUSES }
+          }
+        })
+        : Promise.resolve(0)
+    ]);
+
+    if (userRedemptions >= coupon.perUserLimit) {
+      throw couponError(409, 'Ya utilizaste este cupón el número máximo de veces', 'COUPON_USER_LIMIT_REACHED', {
+        perUserLimit: coupon.perUserLimit
+      });
+    }
+
+    if (coupon.firstOrderOnly && previousOrders > 0) {
+      throw couponError(409, 'El cupón solo es válido en tu primer pedido', 'COUPON_FIRST_ORDER_ONLY');
+    }
+
+    const redemption = await tx.couponRedemption.create({
+      data: {
+        couponId: coupon.id,
+        userId,
+        orderId,
+        discountAmount
+      }
+    });
+
+    logger.info('Uso de cupón registrado', {
+      requestId,
+      meta: {
+        couponId: coupon.id,
+        orderId: orderId.toString(),
+        userId,
+        discountAmount
+      }
+    });
+
+    return redemption;
+  }
+
+  /**
+   * Libera el uso de cupón de un pedido cancelado para que el cliente pueda volver a usarlo
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {BigInt} orderId - Pedido cancelado
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<boolean>} true si había un cupón aplicado
+   */
+  static async releaseRedemption(tx, orderId, requestId) {
+    const redemption = await tx.couponRedemption.findUnique({
+      where: { orderId }
+    });
+
+    if (!redemption) {
+      return false;
+    }
+
+    await tx.couponRedemption.delete({ where: { id: redemption.id } });
+    await tx.coupon.updateMany({
+      where: { id: redemption.couponId, redemptionCount: { gt: 0 } },
+      data: { redemptionCount: { decrement: 1 } }
+    });
+
+    logger.info('Uso de cupón liberado por cancelación', {
+      requestId,
+      meta: {
+        couponId: redemption.couponId,
+        orderId: orderId.toString()
+      }
+    });
+
+    return true;
+  }
+}
+
+module.exports = CouponService;
@@ -0,0 +1,641 @@
+/**
+ * Motor de despacho automático de repartidores
+ * Ofrece cada pedido listo para recogida a un solo repartidor a la vez,
+ * registrando cada oferta en DriverAssignmentLog y escalando al siguiente
+ * candidato cuando la oferta es rechazada o expira.
+ */
+const { prisma } = require('../config/database');
+const { getIo } = require('../config/socket');
+const { logger } = require('../config/logger');
+const DriverCashService = require('./driver-cash.service');
+
+// Configuración del despacho (sobrescribible por variables de entorno)
+const DISPATCH_CONFIG = {
+  offerTimeoutSeconds: parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS, 10) || 45,
+  maxRadiusKm: parseFloat(process.env.DISPATCH_MAX_RADIUS_KM) || 10,
+  maxActiveOrdersPerDriver: parseInt(process.env.DISPATCH_MAX_ACTIVE_ORDERS, 10) || 1,
+  statsWindowDays: 30,
+  weights: {
+    distance: 0.4,
+    acceptanceRate: 0.25,
+    rating: 0.2,
+    load: 0.15
+  }
+};
+
+// Temporizadores de ofertas activas en memoria: orderId (string) -> Timeout
+const offerTimers = new Map();
+
+/**
+ * Calcula la distancia entre dos puntos geográficos usando la fórmula de Haversine
+ * @param {number} lat1 - Latitud del primer punto
+ * @param {number} lon1 - Longitud del primer punto
+ * @param {number} lat2 - Latitud del segundo punto
+ * @param {number} lon2 - Longitud del segundo punto
+ * @returns {number} Distancia en kilómetros
+ */
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Radio de la Tierra en kilómetros
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+/**
+ * Calcula los segundos transcurridos desde una fecha
+ * @param {Date} since - Fecha de inicio
+ * @returns {number} Segundos enteros transcurridos
+ */
+function secondsSince(since) {
+  return Math.max(0, Math.round((Date.now() - new Date(since).getTime()) / 1000));
+}
+
+class DispatchService {
+
+  /**
+   * Inicia el despacho de un pedido que acaba de quedar listo para recogida
+   * @param {BigInt} orderId - ID del pedido
+   * @param {string} requestId - ID de la request para logging
+   * @returns {Promise<Object|null>} Oferta creada o null si no hubo candidatos
+   */
+  static async startDispatch(orderId, requestId = null) {
+    logger.info('Iniciando despacho automático de pedido', {
+      requestId,
+      meta: { orderId: orderId.toString() }
+    });
+
+    return this.offerToNextCandidate(orderId, requestId);
+  }
+
+  /**
+   * Ofrece el pedido al mejor candidato que aún no haya recibido oferta
+   * @param {BigInt} orderId - ID del pedido
+   * @param {string} requestId - ID de la request para logging
+   * @returns {Promise<Object|null>} Oferta creada o null si no hubo candidatos
+   */
+  static async offerToNextCandidate(orderId, requestId = null) {
+    try {
+      const order = await prisma.order.findUnique({
+        where: { id: BigInt(orderId) },
+        include: {
+          restaurant: {
+            select: {
+              id: true,
+              name: true,
+              logoUrl: true,
+              address: true,
+              latitude: true,
+              longitude: true,
+              uses_platform_drivers: true
+            }
+          },
+          address: true,
+          driverAssignmentLogs: {
+            select: { driverId: true, status: true }
+          }
+        }
+      });
+
+      if (!order || order.status !== 'ready_for_pickup' || order.fulfillmentType === 'pickup' || order.deliveryDriverId) {
+        logger.info('Pedido ya no requiere despacho', {
+          requestId,
+          meta: {
+            orderId: orderId.toString(),
+            status: order?.status,
+            deliveryDriverId: order?.deliveryDriverId
+          }
+        });
+        return null;
+      }
+
+      // Nunca puede haber dos ofertas vivas para el mismo pedido
+      if (order.driverAssignmentLogs.some(log => log.status === 'OFFERED')) {
+        logger.debug('El pedido ya tiene una oferta activa', {
+          requestId,
+          meta: { orderId: orderId.toString() }
+        });
+        return null;
+      }
+
+      const excludedDriverIds = order.driverAssignmentLogs.map(log => log.driverId);
+      const candidates = await this.getRankedCandidates(order, excludedDriverIds, requestId);
+
+      if (candidates.length === 0) {
+        logger.warn('No quedan repartidores candidatos para el pedido', {
+          requestId,
+          meta: {
+            orderId: orderId.toString(),
+            restaurantId: order.restaurantId,
+            previousOffers: excludedDriverIds.length
+          }
+        });
+
+        try {
+          getIo().to(`restaurant_${order.restaurantId}`).emit('order_dispatch_exhausted', {
+            orderId: order.id.toString(),
+            previousOffers: excludedDriverIds.length,
+            message: `No se encontró repartidor disponible para el pedido #${order.id.toString()}`
+          });
+        } catch (socketError) {
+          logger.warn('Socket.io no disponible para notificar despacho agotado', {
+            requestId,
+            meta: { orderId: orderId.toString(), error: socketError.message }
+          });
+        }
+
+        return null;
+      }
+
+      const candidate = candidates[0];
+      const offer = await prisma.$transaction(async (tx) => {
+        // El update condicional bloquea la fila del pedido (actúa como select-for-update), así que un
+        // rechazo y una expiración simultáneos no pueden crear dos ofertas vivas para el mismo pedido
+        const { count } = await tx.order.updateMany({
+          where: {
+            id: order.id,
+            status: 'ready_for_pickup',
+            deliveryDriverId: null
+          },
+          data: { updatedAt: new Date() }
+        });
+
+        if (count === 0) {
+          return null;
+        }
+
+        const liveOffers = await tx.driverAssignmentLog.count({
+          where: { orderId: order.id, status: 'OFFERED' }
+        });
+
+        if (liveOffers > 0) {
+          return null;
+        }
+
+        return tx.driverAssignmentLog.create({
+          data: {
+            orderId: order.id,
+            driverId: candidate.userId,
+            status: 'OFFERED',
+            isAutoAssigned: true,
+            assignedAt: new Date()
+          }
+        });
+      });
+
+      if (!offer) {
+        logger.debug('El pedido ya tiene una oferta activa o dejó de requerir despacho', {
+          requestId,
+          meta: { orderId: orderId.toString() }
+        });
+        return null;
+      }
+
+      const expiresAt = new Date(offer.assignedAt.getTime() + DISPATCH_CONFIG.offerTimeoutSeconds * 1000);
+      this.scheduleOfferTimeout(order.id, offer.id, DISPATCH_CONFIG.offerTimeoutSeconds * 1000, requestId);
+
+      try {
+        getIo().to(`user_${candidate.userId}`).emit('order_offer', this.buildOfferPayload(order, candidate, expiresAt));
+      } catch (socketError) {
+        logger.warn('Socket.io no disponible para enviar oferta', {
+          requestId,
+          meta: { orderId: orderId.toString(), driverId: candidate.userId, error: socketError.message }
+        });
+      }
+
+      logger.info('Pedido ofrecido a repartidor', {
+        requestId,
+        meta: {
+          orderId: orderId.toString(),
+          driverId: candidate.userId,
+          score: candidate.score,
+          distanceKm: candidate.distanceKm,
+          expiresAt
+        }
+      });
+
+      return offer;
+
+    } catch (error) {
+      logger.error('Error ofreciendo pedido a repartidor', {
+        requestId,
+        meta: {
+          orderId: orderId?.toString(),
+          error: error.message,
+          stack: error.stack
+        }
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene los repartidores elegibles para un pedido ordenados por puntuación
+   * @param {Object} order - Pedido con restaurante incluido
+   * @param {Array<number>} excludedDriverIds - Repartidores que ya recibieron oferta
+   * @param {string} requestId - ID de la request para logging
+   * @returns {Promise<Array>} Candidatos ordenados de mayor a menor puntuación
+   */
+  static async getRankedCandidates(order, excludedDriverIds = [], requestId = null) {
+    const restaurantLat = Number(order.restaurant.latitude);
+    const restaurantLon = Number(order.restaurant.longitude);
+
+    if (!restaurantLat || !restaurantLon) {
+      logger.warn('Restaurante sin coordenadas, no es posible despachar', {
+        requestId,
+        meta: { orderId: order.id.toString(), restaurantId: order.restaurantId }
+      });
+      return [];
+    }
+
+    // Repartidores de plataforma o del propio restaurante según su configuración
+    const roleFilter = order.restaurant.uses_platform_drivers
+      ? { role: { name: 'driver_platform' } }
+      : { role: { name: 'driver_restaurant' }, restaurantId: order.restaurantId };
+
+    const driverProfiles = await prisma.driverProfile.findMany({
+      where: {
+        status: { in: ['online', 'busy'] },
+        isBlocked: false,
+        deletedAt: null,
+        userId: { notIn: excludedDriverIds },
+        user: { userRoleAssignments: { some: roleFilter } }
+      },
+      select: {
+        userId: true,
+        currentLatitude: true,
+        currentLongitude: true,
+        user: { select: { name: true, lastname: true } }
+      }
+    });
+
+    const nearbyDrivers = driverProfiles
+      .filter(profile => profile.currentLatitude !== null && profile.currentLongitude !== null)
+      .map(profile => ({
+        userId: profile.userId,
+        userName: `${profile.user.name} ${profile.user.lastname}`,
+        distanceKm: calculateDistance(
+          restaurantLat,
+          restaurantLon,
+          Number(profile.currentLatitude),
+          Number(profile.currentLongitude)
+        )
+      }))
+      .filter(driver => driver.distanceKm <= DISPATCH_CONFIG.maxRadiusKm);
+
+    if (nearbyDrivers.length === 0) {
+      return [];
+    }
+
+    // En pedidos en efectivo se descartan repartidores que ya excedieron su límite de efectivo
+    const cashBlockedIds = await DriverCashService.getBlockedDriverIds(
+      nearbyDrivers.map(driver => driver.userId),
+      {
+        paymentMethod: order.paymentMethod,
+        total: order.total,
+        restaurantId: order.restaurantId,
+        usesPlatformDrivers: order.restaurant.uses_platform_drivers
+      }
+    );
+    const eligibleDrivers = nearbyDrivers.filter(driver => !cashBlockedIds.has(driver.userId));
+
+    if (eligibleDrivers.length === 0) {
+      logger.info('Ningún repartidor cercano puede tomar el pedido en efectivo por su límite', {
+        requestId,
+        meta: { orderId: order.id.toString(), blockedDrivers: cashBlockedIds.size }
+      });
+      return [];
+    }
+
+    const driverIds = eligibleDrivers.map(driver => driver.userId);
+    const statsSince = new Date(Date.now() - DISPATCH_CONFIG.statsWindowDays * 24 * 60 * 60 * 1000);
+
+    const [assignmentStats, ratingStats, loadStats] = await Promise.all([
+      prisma.driverAssignmentLog.groupBy({
+        by: ['driverId', 'status'],
+        where: {
+          driverId: { in: driverIds },
+          status: { in: ['ACCEPTED', 'REJECTED', 'TIMEOUT'] },
+          assignedAt: { gte: statsSince }
+        },
+        _count: { _all: true }
+      }),
+      prisma.rating.groupBy({
+        by: ['driverId'],
+        where: {
+          driverId: { in: driverIds },
+          driverScore: { not: null },
+          deletedAt: null
+        },
+        _avg: { driverScore: true }
+      }),
+      prisma.order.groupBy({
+        by: ['deliveryDriverId'],
+        where: {
+          deliveryDriverId: { in: driverIds },
+          status: 'out_for_delivery'
+        },
+        _count: { _all: true }
+      })
+    ]);
+
+    const { weights, maxRadiusKm, maxActiveOrdersPerDriver } = DISPATCH_CONFIG;
+
+    return eligibleDrivers
+      .map(driver => {
+        const responses = assignmentStats.filter(stat => stat.driverId === driver.userId);
+        const totalResponses = responses.reduce((sum, stat) => sum + stat._count._all, 0);
+        const accepted = responses
+          .filter(stat => stat.status === 'ACCEPTED')
+          .reduce((sum, stat) => sum + stat._count._all, 0);
+        // Sin historial se asume una tasa neutral para no castigar a repartidores nuevos
+        const acceptanceRate = totalResponses > 0 ? accepted / totalResponses : 0.5;
+
+        const ratingStat = ratingStats.find(stat => stat.driverId === driver.userId);
+        const rating = ratingStat?._avg.driverScore ?? null;
+
+        const loadStat = loadStats.find(stat => stat.deliveryDriverId === driver.userId);
+        const activeOrders = loadStat ? loadStat._count._all : 0;
+
+        const score =
+          weights.distance * (1 - driver.distanceKm / maxRadiusKm) +
+          weights.acceptanceRate * acceptanceRate +
+          weights.rating * ((rating ?? 3) / 5) +
+          weights.load * (1 - activeOrders / maxActiveOrdersPerDriver);
+
+        return {
+          ...driver,
+          distanceKm: Math.round(driver.distanceKm * 100) / 100,
+          acceptanceRate: Math.round(acceptanceRate * 100) / 100,
+          rating,
+          activeOrders,
+          score: Math.round(score * 1000) / 1000
+        };
+      })
+      .filter(driver => driver.activeOrders < maxActiveOrdersPerDriver)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Programa la expiración de una oferta
+   * @param {BigInt} orderId - ID del pedido
+   * @param {BigInt} offerId - ID del registro OFFERED en DriverAssignmentLog
+   * @param {number} delayMs - Milisegundos hasta la expiración
+   * @param {string} requestId - ID de la request para logging
+   */
+  static scheduleOfferTimeout(orderId, offerId, delayMs, requestId = null) {
+    this.clearOfferTimer(orderId);
+
+    const timer = setTimeout(() => {
+      offerTimers.delete(orderId.toString());
+      this.handleOfferTimeout(orderId, offerId, requestId);
+    }, Math.max(0, delayMs));
+
+    // No impedir que el proceso termine por ofertas pendientes
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+
+    offerTimers.set(orderId.toString(), timer);
+  }
+
+  /**
+   * Cancela el temporizador de expiración de la oferta activa de un pedido
+   * @param {BigInt} orderId - ID del pedido
+   */
+  static clearOfferTimer(orderId) {
+    const key = orderId.toString();
+    const timer = offerTimers.get(key);
+    if (timer) {
+      clearTimeout(timer);
+      offerTimers.delete(key);
+    }
+  }
+
+  /**
+   * Marca una oferta como expirada y escala al siguiente candidato
+   * @param {BigInt} orderId - ID del pedido
+   * @param {BigInt} offerId - ID del registro OFFERED
+   * @param {string} requestId - ID de la request para logging
+   */
+  static async handleOfferTimeout(orderId, offerId, requestId = null) {
+    try {
+      const offer = await prisma.driverAssignmentLog.findUnique({ where: { id: offerId } });
+      if (!offer || offer.status !== 'OFFERED') {
+        return;
+      }
+
+      // Solo se expira si sigue en OFFERED (el repartidor pudo responder mientras tanto)
+      const { count } = await prisma.driverAssignmentLog.updateMany({
+        where: { id: offerId, status: 'OFFERED' },
+        data: {
+          status: 'TIMEOUT',
+          respondedAt: new Date(),
+          responseTimeSeconds: secondsSince(offer.assignedAt)
+        }
+      });
+
+      if (count === 0) {
+        return;
+      }
+
+      logger.info('Oferta de pedido expirada', {
+        requestId,
+        meta: { orderId: orderId.toString(), driverId: offer.driverId }
+      });
+
+      try {
+        getIo().to(`user_${offer.driverId}`).emit('order_offer_expired', {
+          orderId: orderId.toString()
+        });
+      } catch (socketError) {
+        logger.warn('Socket.io no disponible para notificar expiración', {
+          requestId,
+          meta: { orderId: orderId.toString(), error: socketError.message }
+        });
+      }
+
+      await this.offerToNextCandidate(orderId, requestId);
+
+    } catch (error) {
+      logger.error('Error procesando expiración de oferta', {
+        requestId,
+        meta: {
+          orderId: orderId?.toString(),
+          offerId: offerId?.toString(),
+          error: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Registra el rechazo de una oferta por parte del repartidor y escala al siguiente candidato
+   * @param {BigInt} orderId - ID del pedido
+   * @param {number} driverId - ID del repartidor que rechaza
+   * @param {string} rejectionReason - Motivo (AssignmentRejectionReason)
+   * @param {string} requestId - ID de la request para logging
+   * @returns {Promise<Object>} Registro de asignación actualizado
+   */
+  static async rejectOffer(orderId, driverId, rejectionReason, requestId = null) {
+    const offer = await prisma.driverAssignmentLog.findFirst({
+      where: {
+        orderId: BigInt(orderId),
+        driverId,
+        status: 'OFFERED'
+      },
+      orderBy: { assignedAt: 'desc' }
+    });
+
+    if (!offer) {
+      throw {
+        status: 404,
+        message: 'No tienes una oferta activa para este pedido',
+        code: 'OFFER_NOT_FOUND'
+      };
+    }
+
+    const { count } = await prisma.driverAssignmentLog.updateMany({
+      where: { id: offer.id, status: 'OFFERED' },
+      data: {
+        status: 'REJECTED',
+        rejectionReason,
+        respondedAt: new Date(),
+        responseTimeSeconds: secondsSince(offer.assignedAt)
+      }
+    });
+
+    if (count === 0) {
+      throw {
+        status: 409,
+        message: 'La oferta ya expiró o fue respondida',
+        code: 'OFFER_NO_LONGER_ACTIVE'
+      };
+    }
+
+    this.clearOfferTimer(orderId);
+
+    logger.info('Oferta de pedido rechazada por repartidor', {
+      requestId,
+      meta: { orderId: orderId.toString(), driverId, rejectionReason }
+    });
+
+    // Escalar sin bloquear la respuesta al repartidor
+    this.offerToNextCandidate(orderId, requestId);
+
+    return prisma.driverAssignmentLog.findUnique({ where: { id: offer.id } });
+  }
+
+  /**
+   * Cancela el despacho automático de un pedido (p. ej. asignación manual o cancelación)
+   * @param {BigInt} orderId - ID del pedido
+   * @param {string} requestId - ID de la request para logging
+   */
+  static async cancelDispatch(orderId, requestId = null) {
+    this.clearOfferTimer(orderId);
+
+    const activeOffers = await prisma.driverAssignmentLog.findMany({
+      where: { orderId: BigInt(orderId), status: 'OFFERED' }
+    });
+
+    for (const offer of activeOffers) {
+      await prisma.driverAssignmentLog.updateMany({
+        where: { id: offer.id, status: 'OFFERED' },
+        data: {
+          status: 'CANCELLED',
+          respondedAt: new Date()
+        }
+      });
+
+      try {
+        getIo().to(`user_${offer.driverId}`).emit('order_offer_cancelled', {
+          orderId: orderId.toString()
+        });
+      } catch (socketError) {
+        logger.warn('Socket.io no disponible para notificar cancelación de oferta', {
+          requestId,
+          meta: { orderId: orderId.toString(), error: socketError.message }
+        });
+      }
+    }
+
+    if (activeOffers.length > 0) {
+      logger.info('Despacho automático cancelado', {
+        requestId,
+        meta: { orderId: orderId.toString(), cancelledOffers: activeOffers.length }
+      });
+    }
+  }
+
+  /**
+   * Reprograma las ofertas que quedaron abiertas tras un reinicio del servidor.
+   * Las que ya vencieron se expiran de inmediato y escalan al siguiente candidato.
+   */
+  static async resumePendingOffers() {
+    try {
+      const pendingOffers = await prisma.driverAssignmentLog.findMany({
+        where: { status: 'OFFERED', isAutoAssigned: true }
+      });
+
+      for (const offer of pendingOffers) {
+        const remainingMs = offer.assignedAt.getTime()
+          + DISPATCH_CONFIG.offerTimeoutSeconds * 1000
+          - Date.now();
+        this.scheduleOfferTimeout(offer.orderId, offer.id, remainingMs);
+      }
+
+      if (pendingOffers.length > 0) {
+        logger.info('Ofertas de despacho pendientes reprogramadas', {
+          meta: { count: pendingOffers.length }
+        });
+      }
+    } catch (error) {
+      logger.error('Error reprogramando ofertas de despacho pendientes', {
+        meta: { error: error.message }
+      });
+    }
+  }
+
+  /**
+   * Construye el payload de la oferta enviada al repartidor
+   * @param {Object} order - Pedido con restaurante y dirección
+   * @param {Object} candidate - Candidato seleccionado
+   * @param {Date} expiresAt - Fecha de expiración de la oferta
+   * @returns {Object} Payload estructurado
+   */
+  static buildOfferPayload(order, candidate, expiresAt) {
+    return {
+      orderId: order.id.toString(),
+      restaurant: {
+        id: order.restaurant.id,
+        name: order.restaurant.name,
+        logoUrl: order.restaurant.logoUrl,
+        address: order.restaurant.address,
+        latitude: Number(order.restaurant.latitude),
+        longitude: Number(order.restaurant.longitude)
+      },
+      address: order.address ? {
+        neighborhood: order.address.neighborhood,
+        city: order.address.city,
+        latitude: Number(order.address.latitude),
+        longitude: Number(order.address.longitude)
+      } : null,
+      orderAmount: {
+        subtotal: Number(order.subtotal),
+        deliveryFee: Number(order.deliveryFee),
+        total: Number(order.total)
+      },
+      paymentMethod: order.paymentMethod,
+      distanceToRestaurantKm: candidate.distanceKm,
+      timeoutSeconds: DISPATCH_CONFIG.offerTimeoutSeconds,
+      expiresAt: expiresAt.toISOString(),
+      message: `Nuevo pedido #${order.id.toString()} ofrecido en ${order.restaurant.name}`
+    };
+  }
+}
+
+module.exports = DispatchService;
@@ -0,0 +1,549 @@
+/**
+ * Servicio de efectivo en mano de repartidores de plataforma
+ * Al entregar un pedido en efectivo la billetera del repartidor queda en negativo por lo cobrado
+ * (DRIVER_CASH_COLLECTED_DEBIT); ese saldo negativo es el efectivo que debe a la plataforma.
+ * Mientras la deuda más el total de un pedido en efectivo supere su límite, el pedido no se le
+ * muestra ni puede aceptarlo. El repartidor baja su deuda depositando el efectivo y declarando el
+ * depósito; al confirmarlo un administrador se abona la billetera (DRIVER_CASH_DEPOSIT_CREDIT).
+ *
+ * Límite aplicable (de mayor a menor prioridad): límite propio del repartidor, el menor de las
+ * zonas de servicio activas del restaurante del pedido y el límite global.
+ */
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const { roundToTwoDecimals } = require('../utils/format');
+const LedgerService = require('./ledger.service');
+
+// Límite usado si la configuración global aún no existe
+const DEFAULT_CASH_LIMIT = 2000;
+
+/**
+ * Indica si un pedido deja efectivo en manos de un repartidor de plataforma
+ * @param {Object} order - Pedido con paymentMethod y usesPlatformDrivers
+ * @returns {boolean}
+ */
+function isPlatformCashOrder(order) {
+  return order.paymentMethod === 'CASH' && Boolean(order.usesPlatformDrivers);
+}
+
+/**
+ * Formatea un depósito para la respuesta
+ * @param {Object} deposit - DriverCashDeposit (opcionalmente con driver)
+ * @returns {Object} Depósito formateado
+ */
+function formatDeposit(deposit) {
+  return {
+    id: deposit.id,
+    driverId: deposit.driverId,
+    ...(deposit.driver ? {
+      driver: {
+        id: deposit.driver.id,
+        name: deposit.driver.name,
+        lastname: deposit.driver.lastname,
+        fullName: `${deposit.driver.name} ${deposit.driver.lastname}`,
+        phone: deposit.driver.phone
+      }
+    } : {}),
+    amount: Number(deposit.amount),
+    reference: deposit.reference,
+    depositedAt: deposit.depositedAt,
+    notes: deposit.notes,
+    status: deposit.status,
+    reviewedById: deposit.reviewedById,
+    reviewedAt: deposit.reviewedAt,
+    rejectionReason: deposit.rejectionReason,
+    ledgerEntryId: deposit.ledgerEntryId ? deposit.ledgerEntryId.toString() : null,
+    createdAt: deposit.createdAt
+  };
+}
+
+class DriverCashService {
+
+  /**
+   * Obtiene el efectivo en mano del repartidor y sus límites configurados
+   * @param {number} driverId - ID del usuario repartidor
+   * @param {Object} [client] - Cliente de Prisma o de transacción
+   * @returns {Promise<Object>} cashOnHand, driverLimit (o null) y globalLimit
+   */
+  static async getCashContext(driverId, client = prisma) {
+    const [profile, wallet, config] = await Promise.all([
+      client.driverProfile.findUnique({
+        where: { userId: driverId },
+        select: { userId: true, cashLimit: true }
+      }),
+      client.driverWallet.findUnique({
+        where: { driverId },
+        select: { balance: true }
+      }),
+      client.globalConfig.findUnique({
+        where: { id: 1 },
+        select: { driverCashLimit: true }
+      })
+    ]);
+
+    if (!profile) {
+      throw {
+        status: 404,
+        message: 'Perfil de repartidor no encontrado',
+        code: 'DRIVER_PROFILE_NOT_FOUND'
+      };
+    }
+
+    const balance = wallet ? Number(wallet.balance) : 0;
+
+    return {
+      driverId,
+      cashOnHand: roundToTwoDecimals(Math.max(0, -balance)),
+      driverLimit: profile.cashLimit !== null && profile.cashLimit !== undefined ? Number(profile.cashLimit) : null,
+      globalLimit: config ? Number(config.driverCashLimit) : DEFAULT_CASH_LIMIT
+    };
+  }
+
+  /**
+   * Obtiene el menor límite de efectivo de las zonas activas de cada restaurante
+   * @param {number[]} restaurantIds - IDs de restaurantes
+   * @param {Object} [client] - Cliente de Prisma o de transacción
+   * @returns {Promise<Map<number, number>>} restaurantId -> límite de la zona
+   */
+  static async getAreaCashLimits(restaurantIds, client = prisma) {
+    const limits = new Map();
+    const uniqueIds = [...new Set(restaurantIds.filter(Boolean))];
+    if (uniqueIds.length === 0) return limits;
+
+    const assignments = await client.restaurantServiceArea.findMany({
+      where: {
+        restaurantId: { in: uniqueIds },
+        deletedAt: null,
+        serviceArea: { isActive: true, deletedAt: null, driverCashLimit: { not: null } }
+      },
+      select: {
+        restaurantId: true,
+        serviceArea: { select: { driverCashLimit: true } }
+      }
+    });
+
+    for (const assignment of assignments) {
+      const limit = Number(assignment.serviceArea.driverCashLimit);
+      const current = limits.get(assignment.restaurantId);
+      if (current === undefined || limit < current) {
+        limits.set(assignment.restaurantId, limit);
+      }
+    }
+
+    return limits;
+  }
+
+  /**
+   * Resuelve el límite aplicable a un repartidor (y, si se indica, a la zona del pedido)
+   * @param {Object} context - Resultado de getCashContext
+   * @param {number|undefined} [areaLimit] - Límite de la zona del restaurante
+   * @returns {Object} cashLimit y limitSource ('driver', 'service_area' o 'global')
+   */
+  static resolveCashLimit(context, areaLimit) {
+    if (context.driverLimit !== null) {
+      return { cashLimit: context.driverLimit, limitSource: 'driver' };
+    }
+    if (areaLimit !== undefined && areaLimit !== null) {
+      return { cashLimit: areaLimit, limitSource: 'service_area' };
+    }
+    return { cashLimit: context.globalLimit, limitSource: 'global' };
+  }
+
+  /**
+   * Evalúa si tomar un pedido dejaría al repartidor por encima de su límite de efectivo
+   * @param {Object} context - Resultado de getCashContext
+   * @param {Object} order - total, paymentMethod, restaurantId y usesPlatformDrivers
+   * @param {Map<number, number>} areaLimits - Resultado de getAreaCashLimits
+   * @returns {Object|null} Detalle del bloqueo o null si el pedido se puede tomar
+   */
+  static checkOrder(context, order, areaLimits) {
+    if (!isPlatformCashOrder(order)) return null;
+
+    const { cashLimit, limitSource } = this.resolveCashLimit(context, areaLimits.get(order.restaurantId));
+    const orderTotal = Number(order.total);
+
+    if (roundToTwoDecimals(context.cashOnHand + orderTotal) <= cashLimit) return null;
+
+    return {
+      cashOnHand: context.cashOnHand,
+      cashLimit,
+      limitSource,
+      orderTotal,
+      available: roundToTwoDecimals(Math.max(0, cashLimit - context.cashOnHand))
+    };
+  }
+
+  /**
+   * Quita de una lista los pedidos en efectivo que exceden el límite del repartidor
+   * @param {number} driverId - ID del usuario repartidor
+   * @param {Array<Object>} orders - Pedidos con total, paymentMethod, restaurantId y usesPlatformDrivers
+   * @returns {Promise<Object>} orders (filtrados), hiddenCount y cashStatus
+   */
+  static async filterOrdersByCashLimit(driverId, orders) {
+    const context = await this.getCashContext(driverId);
+    const cashOrders = orders.filter(isPlatformCashOrder);
+    const areaLimits = await this.getAreaCashLimits(cashOrders.map(order => order.restaurantId));
+
+    const allowed = orders.filter(order => !this.checkOrder(context, order, areaLimits));
+    const { cashLimit, limitSource } = this.resolveCashLimit(context);
+
+    return {
+      orders: allowed,
+      hiddenCount: orders.length - allowed.length,
+      cashStatus: {
+        cashOnHand: context.cashOnHand,
+        cashLimit,
+        limitSource,
+        available: roundToTwoDecimals(Math.max(0, cashLimit - context.cashOnHand))
+      }
+    };
+  }
+
+  /**
+   * Verifica que el repartidor pueda tomar un pedido en efectivo
+   * @param {number} driverId - ID del usuario repartidor
+   * @param {Object} order - total, paymentMethod, restaurantId y usesPlatformDrivers
+   * @throws {Object} 409 DRIVER_CASH_LIMIT_EXCEEDED
+   */
+  static async assertCanTakeOrder(driverId, order) {
+    if (!isPlatformCashOrder(order)) return;
+
+    const context = await this.getCashContext(driverId);
+    const areaLimits = await this.getAreaCashLimits([order.restaurantId]);
+    const blocked = this.checkOrder(context, order, areaLimits);
+
+    if (blocked) {
+      throw {
+        status: 409,
+        message: 'Tienes demasiado efectivo por depositar para aceptar este pedido en efectivo',
+        code: 'DRIVER_CASH_LIMIT_EXCEEDED',
+        details: blocked
+      };
+    }
+  }
+
+  /**
+   * Obtiene, de una lista de repartidores, los que excederían su límite al tomar un pedido en efectivo
+   * Usado por el despacho automático para no ofrecer el pedido a quien no podría aceptarlo
+   * @param {number[]} driverIds - IDs de usuarios repartidores
+   * @param {Object} order - total, paymentMethod, restaurantId y usesPlatformDrivers
+   * @returns {Promise<Set<number>>} IDs de repartidores bloqueados
+   */
+  static async getBlockedDriverIds(driverIds, order) {
+    const blocked = new Set();
+    if (!isPlatformCashOrder(order) || driverIds.length === 0) return blocked;
+
+    const [profiles, wallets, config, areaLimits] = await Promise.all([
+      prisma.driverProfile.findMany({
+        where: { userId: { in: driverIds } },
+        select: { userId: true, cashLimit: true }
+      }),
+      prisma.driverWallet.findMany({
+        where: { driverId: { in: driverIds } },
+        select: { driverId: true, balance: true }
+      }),
+      prisma.globalConfig.findUnique({
+        where: { id: 1 },
+        select: { driverCashLimit: true }
+      }),
+      this.getAreaCashLimits([order.restaurantId])
+    ]);
+
+    const globalLimit = config ? Number(config.driverCashLimit) : DEFAULT_CASH_LIMIT;
+
+    for (const profile of profiles) {
+      const wallet = wallets.find(w => w.driverId === profile.userId);
+      const balance = wallet ? Number(wallet.balance) : 0;
+      const context = {
+        driverId: profile.userId,
+        cashOnHand: roundToTwoDecimals(Math.max(0, -balance)),
+        driverLimit: profile.cashLimit !== null && profile.cashLimit !== undefined ? Number(profile.cashLimit) : null,
+        globalLimit
+      };
+
+      if (this.checkOrder(context, order, areaLimits)) {
+        blocked.add(profile.userId);
+      }
+    }
+
+    return blocked;
+  }
+
+  /**
+   * Obtiene el estado de efectivo del repartidor
+   * @param {number} driverId - ID del usuario repartidor
+   * @returns {Promise<Object>} Efectivo en mano, límite y depósitos pendientes
+   */
+  static async getCashStatus(driverId) {
+    const context = await this.getCashContext(driverId);
+    const { cashLimit, limitSource } = this.resolveCashLimit(context);
+
+    const pending = await prisma.driverCashDeposit.aggregate({
+      where: { driverId, status: 'pending' },
+      _sum: { amount: true },
+      _count: { _all: true }
+    });
+
+    return {
+      cashOnHand: context.cashOnHand,
+      cashLimit,
+      limitSource,
+      available: roundToTwoDecimals(Math.max(0, cashLimit - context.cashOnHand)),
+      canAcceptCashOrders: context.cashOnHand < cashLimit,
+      pendingDeposits: {
+        count: pending._count._all,
+        amount: Number(pending._sum.amount || 0)
+      }
+    };
+  }
+
+  /**
+   * Registra un depósito de efectivo declarado por el repartidor
+   * @param {number} driverId - ID del usuario repartidor
+   * @param {Object} data - amount, reference, depositedAt y notes
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Depósito creado
+   * @throws {Object} 409 DEPOSIT_EXCEEDS_CASH_DEBT
+   */
+  static async createDeposit(driverId, { amount, reference, depositedAt, notes = null }, requestId = null) {
+    const deposit = await prisma.$transaction(async (tx) => {
+      const context = await this.getCashContext(driverId, tx);
+
+      const pending = await tx.driverCashDeposit.aggregate({
+        where: { driverId, status: 'pending' },
+        _sum: { amount: true }
+      });
+      const pendingAmount = Number(pending._sum.amount || 0);
+      const depositable = roundToTwoDecimals(Math.max(0, context.cashOnHand - pendingAmount));
+
+      if (amount > depositable) {
+        throw {
+          status: 409,
+          message: 'El monto del depósito supera el efectivo pendiente de depositar',
+          code: 'DEPOSIT_EXCEEDS_CASH_DEBT',
+          details: { cashOnHand: context.cashOnHand, pendingDeposits: pendingAmount, depositable }
+        };
+      }
+
+      return tx.driverCashDeposit.create({
+        data: {
+          driverId,
+          amount,
+          reference,
+          depositedAt: new Date(depositedAt),
+          notes
+        }
+      });
+    });
+
+    logger.info('Depósito de efectivo declarado', {
+      requestId,
+      meta: { depositId: deposit.id, driverId, amount }
+    });
+
+    return formatDeposit(deposit);
+  }
+
+  /**
+   * Lista los depósitos de un repartidor
+   * @param {number} driverId - ID del usuario repartidor
+   * @param {Object} query - status, page y pageSize
+   * @returns {Promise<Object>} Depósitos y paginación
+   */
+  static async getDriverDeposits(driverId, { status, page, pageSize }) {
+    return this.getDeposits({ driverId, status, page, pageSize });
+  }
+
+  /**
+   * Lista depósitos de efectivo con filtros y paginación
+   * @param {Object} query - driverId, status, page y pageSize
+   * @returns {Promise<Object>} Depósitos y paginación
+   */
+  static async getDeposits({ driverId, status, page, pageSize }) {
+    // Los valores por defecto del query schema pueden llegar como texto
+    const currentPage = parseInt(page, 10) || 1;
+    const take = parseInt(pageSize, 10) || 10;
+    const where = {};
+    if (driverId) where.driverId = Number(driverId);
+    if (status) where.status = status;
+
+    const [deposits, totalCount] = await Promise.all([
+      prisma.driverCashDeposit.findMany({
+        where,
+        include: {
+          driver: { select: { id: true, name: true, lastname: true, phone: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (currentPage - 1) * take,
+        take
+      }),
+      prisma.driverCashDeposit.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / take);
+
+    return {
+      deposits: deposits.map(deposit => formatDeposit(deposit)),
+      pagination: {
+        currentPage,
+        pageSize: take,
+        totalCount,
+        totalPages,
+        hasNextPage: currentPage < totalPages,
+        hasPreviousPage: currentPage > 1
+      }
+    };
+  }
+
+  /**
+   * Marca un depósito pendiente como revisado validando su estado actual
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {number} depositId - ID del depósito
+   * @param {string} newStatus - 'confirmed' o 'rejected'
+   * @param {Object} data - Campos adicionales de la revisión
+   * @returns {Promise<Object>} Depósito antes del cambio
+   */
+  static async reviewDeposit(tx, depositId, newStatus, data) {
+    const deposit = await tx.driverCashDeposit.findUnique({ where: { id: depositId } });
+
+    if (!deposit) {
+      throw {
+        status: 404,
+        message: 'Depósito de efectivo no encontrado',
+        code: 'CASH_DEPOSIT_NOT_FOUND'
+      };
+    }
+
+    // La condición sobre el estado evita que dos revisiones simultáneas apliquen el mismo depósito
+    const { count } = await tx.driverCashDeposit.updateMany({
+      where: { id: depositId, status: 'pending' },
+      data: { status: newStatus, reviewedAt: new Date(), ...data }
+    });
+
+    if (count === 0) {
+      throw {
+        status: 409,
+        message: `El depósito ya fue revisado (estado ${deposit.status})`,
+        code: 'CASH_DEPOSIT_ALREADY_REVIEWED',
+        details: { currentStatus: deposit.status }
+      };
+    }
+
+    return deposit;
+  }
+
+  /**
+   * Confirma un depósito: abona la billetera del repartidor a través del libro contable
+   * @param {number} depositId - ID del depósito
+   * @param {number} adminUserId - Administrador que confirma
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Depósito confirmado y saldo resultante de la billetera
+   */
+  static async confirmDeposit(depositId, adminUserId, requestId = null) {
+    return prisma.$transaction(async (tx) => {
+      const deposit = await this.reviewDeposit(tx, depositId, 'confirmed', { reviewedById: adminUserId });
+
+      const { entry, movements } = await LedgerService.postCashDeposit(tx, {
+        deposit,
+        createdById: adminUserId
+      }, requestId);
+
+      const confirmed = await tx.driverCashDeposit.update({
+        where: { id: depositId },
+        data: { ledgerEntryId: entry.id }
+      });
+
+      await tx.auditLog.create({
+        data: {
+          userId: adminUserId,
+          action: 'CONFIRM_CASH_DEPOSIT',
+          entity: 'DRIVER',
+          entityId: BigInt(deposit.driverId),
+          details: { depositId, amount: Number(deposit.amount), reference: deposit.reference }
+        }
+      });
+
+      return {
+        deposit: formatDeposit(confirmed),
+        walletBalance: Number(movements[0].wallet.balance)
+      };
+    });
+  }
+
+  /**
+   * Rechaza un depósito declarado (no llegó al banco o no coincide)
+   * @param {number} depositId - ID del depósito
+   * @param {string} reason - Motivo del rechazo
+   * @param {number} adminUserId - Administrador que rechaza
+   * @returns {Promise<Object>} Depósito rechazado
+   */
+  static async rejectDeposit(depositId, reason, adminUserId) {
+    return prisma.$transaction(async (tx) => {
+      const deposit = await this.reviewDeposit(tx, depositId, 'rejected', {
+        reviewedById: adminUserId,
+        rejectionReason: reason
+      });
+
+      await tx.auditLog.create({
+        data: {
+          userId: adminUserId,
+          action: 'REJECT_CASH_DEPOSIT',
+          entity: 'DRIVER',
+          entityId: BigInt(deposit.driverId),
+          details: { depositId, amount: Number(deposit.amount), reason }
+        }
+      });
+
+      const rejected = await tx.driverCashDeposit.findUnique({ where: { id: depositId } });
+      return formatDeposit(rejected);
+    });
+  }
+
+  /**
+   * Asigna o quita el límite de efectivo propio de un repartidor
+   * @param {number} driverId - ID del usuario repartidor
+   * @param {number|null} cashLimit - Límite propio; null para volver al de zona o global
+   * @param {number} adminUserId - Administrador que aplica el cambio
+   * @returns {Promise<Object>} Estado de efectivo actualizado
+   */
+  static async setDriverCashLimit(driverId, cashLimit, adminUserId) {
+    await prisma.$transaction(async (tx) => {
+      const profile = await tx.driverProfile.findUnique({
+        where: { userId: driverId },
+        select: { userId: true, cashLimit: true }
+      });
+
+      if (!profile) {
+        throw {
+          status: 404,
+          message: 'Repartidor no encontrado',
+          code: 'DRIVER_NOT_FOUND'
+        };
+      }
+
+      await tx.driverProfile.update({
+        where: { userId: driverId },
+        data: { cashLimit }
+      });
+
+      await tx.auditLog.create({
+        data: {
+          userId: adminUserId,
+          action: 'UPDATE_DRIVER_CASH_LIMIT',
+          entity: 'DRIVER',
+          entityId: BigInt(driverId),
+          details: {
+            previousLimit: profile.cashLimit !== null ? Number(profile.cashLimit) : null,
+            cashLimit
+          }
+        }
+      });
+    });
+
+    return { driverId, ...(await this.getCashStatus(driverId)) };
+  }
+}
+
+DriverCashService.DEFAULT_CASH_LIMIT = DEFAULT_CASH_LIMIT;
+
+module.exports = DriverCashService;
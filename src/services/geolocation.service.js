@@ -37,9 +37,146 @@ const calculateDistance = (coords1, coords2) => {
   return distance;
 };
 
+/**
+ * Selección de Prisma para incluir las áreas de servicio activas de un restaurante
+ * Uso: restaurant: { select: { ..., serviceAreas: activeServiceAreasSelect } }
+ */
+const activeServiceAreasSelect = {
+  where: {
+    deletedAt: null,
+    serviceArea: {
+      isActive: true,
+      deletedAt: null
+    }
+  },
+  select: {
+    serviceArea: {
+      select: {
+        id: true,
+        name: true,
+        type: true,
+        centerLatitude: true,
+        centerLongitude: true,
+        radiusKm: true,
+        polygonCoordinates: true
+      }
+    }
+  }
+};
+
+/**
+ * Convierte la relación RestaurantServiceArea en un arreglo plano de ServiceArea
+ * @param {Array} restaurantServiceAreas - Registros { serviceArea } obtenidos con activeServiceAreasSelect
+ * @returns {Array} Áreas de servicio
+ */
+const flattenServiceAreas = (restaurantServiceAreas) => {
+  if (!Array.isArray(restaurantServiceAreas)) {
+    return [];
+  }
+
+  return restaurantServiceAreas
+    .map((link) => link.serviceArea || link)
+    .filter(Boolean);
+};
+
+/**
+ * Determina si un punto está dentro de un polígono usando ray casting
+ * @param {Object} point - Punto { lat: number, lng: number }
+ * @param {Array} polygon - Vértices del polígono [{ lat, lng }, ...]
+ * @returns {boolean} true si el punto está dentro del polígono
+ */
+const isPointInPolygon = (point, polygon) => {
+  if (!Array.isArray(polygon) || polygon.length < 3) {
+    return false;
+  }
+
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const latI = Number(polygon[i].lat);
+    const lngI = Number(polygon[i].lng);
+    const latJ = Number(polygon[j].lat);
+    const lngJ = Number(polygon[j].lng);
+
+    const intersects =
+      (latI > point.lat) !== (latJ > point.lat) &&
+      point.lng < ((lngJ - lngI) * (point.lat - latI)) / (latJ - latI) + lngI;
+
+    if (intersects) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+/**
+ * Determina si un punto está dentro de un área de servicio
+ * CUSTOM_POLYGON usa point-in-polygon; CITY y NEIGHBORHOOD usan centro + radio
+ * @param {Object} point - Punto { lat: number, lng: number }
+ * @param {Object} serviceArea - Área con { type, centerLatitude, centerLongitude, radiusKm, polygonCoordinates }
+ * @returns {boolean} true si el punto está dentro del área
+ */
+const isPointInServiceArea = (point, serviceArea) => {
+  if (!serviceArea) {
+    return false;
+  }
+
+  if (serviceArea.type === 'CUSTOM_POLYGON') {
+    return isPointInPolygon(point, serviceArea.polygonCoordinates);
+  }
+
+  if (
+    serviceArea.centerLatitude === null ||
+    serviceArea.centerLatitude === undefined ||
+    serviceArea.centerLongitude === null ||
+    serviceArea.centerLongitude === undefined ||
+    !serviceArea.radiusKm
+  ) {
+    return false;
+  }
+
+  const distance = calculateDistance(
+    { lat: Number(serviceArea.centerLatitude), lng: Number(serviceArea.centerLongitude) },
+    point
+  );
+
+  return distance <= Number(serviceArea.radiusKm);
+};
+
+/**
+ * Busca el área de servicio que contiene un punto
+ * @param {Array} serviceAreas - Áreas de servicio activas del restaurante
+ * @param {Object} point - Punto { lat: number, lng: number }
+ * @returns {Object|null} Primera área que contiene el punto, o null
+ */
+const findServiceAreaForPoint = (serviceAreas, point) => {
+  if (!Array.isArray(serviceAreas)) {
+    return null;
+  }
+
+  return serviceAreas.find((area) => isPointInServiceArea(point, area)) || null;
+};
+
+/**
+ * Verifica si un punto está dentro de las áreas de servicio de un restaurante.
+ * Un restaurante sin áreas vinculadas solo se limita por su radio de entrega.
+ * @param {Array} serviceAreas - Áreas de servicio activas del restaurante
+ * @param {Object} point - Punto { lat: number, lng: number }
+ * @returns {boolean} true si el punto está cubierto por alguna área (o no hay áreas)
+ */
+const isWithinServiceAreas = (serviceAreas, point) => {
+  if (!Array.isArray(serviceAreas) || serviceAreas.length === 0) {
+    return true;
+  }
+
+  return findServiceAreaForPoint(serviceAreas, point) !== null;
+};
+
 /**
  * Verifica si una dirección de usuario está dentro del radio de cobertura de una sucursal
- * @param {Object} branch - Objeto sucursal con { latitude, longitude, deliveryRadius }
+ * y, si el restaurante tiene áreas de servicio vinculadas, dentro de alguna de ellas
+ * @param {Object} branch - Objeto sucursal con { latitude, longitude, deliveryRadius, serviceAreas? }
  * @param {Object} userAddress - Objeto dirección con { latitude, longitude }
  * @returns {boolean} true si está dentro del radio de cobertura
  */
@@ -94,16 +231,30 @@ const isWithinCoverage = (branch, userAddress) => {
     addressCoords: addressCoords,
     distance: `${distance.toFixed(2)} km`,
     deliveryRadius: `${deliveryRadiusKm.toFixed(2)} km`,
-    isCovered: distance <= deliveryRadiusKm
+    isInRadius: distance <= deliveryRadiusKm
   });
 
   // Verificar si la distancia está dentro del radio de entrega
-  return distance <= deliveryRadiusKm;
+  if (distance > deliveryRadiusKm) {
+    return false;
+  }
+
+  // Verificar que la dirección esté dentro de las áreas de servicio en las que operamos
+  const isInServiceArea = isWithinServiceAreas(branch.serviceAreas, addressCoords);
+
+  if (!isInServiceArea) {
+    console.log('📍 Dirección fuera de las áreas de servicio del restaurante:', {
+      branchId: branch.id,
+      serviceAreas: branch.serviceAreas.map((area) => area.name)
+    });
+  }
+
+  return isInServiceArea;
 };
 
 /**
  * Valida la cobertura para múltiples sucursales y devuelve información detallada
- * @param {Array} branches - Array de sucursales con { id, latitude, longitude, deliveryRadius }
+ * @param {Array} branches - Array de sucursales con { id, latitude, longitude, deliveryRadius, serviceAreas? }
  * @param {Object} userAddress - Objeto dirección con { latitude, longitude }
  * @returns {Array} Array de sucursales con información de cobertura
  */
@@ -131,7 +282,22 @@ const validateCoverageForBranches = (branches, userAddress) => {
 
     const distance = calculateDistance(branchCoords, addressCoords);
     const deliveryRadiusKm = Number(branch.deliveryRadius);
-    const isCovered = distance <= deliveryRadiusKm;
+    const isInRadius = distance <= deliveryRadiusKm;
+    const hasServiceAreas = Array.isArray(branch.serviceAreas) && branch.serviceAreas.length > 0;
+    const matchedServiceArea = hasServiceAreas
+      ? findServiceAreaForPoint(branch.serviceAreas, addressCoords)
+      : null;
+    const isInServiceArea = !hasServiceAreas || matchedServiceArea !== null;
+    const isCovered = isInRadius && isInServiceArea;
+
+    let message = 'Esta sucursal puede entregar en tu dirección';
+    if (!isInRadius) {
+      message = `Tu dirección está a ${distance.toFixed(
+        2
+      )} km, fuera del radio de entrega de ${deliveryRadiusKm.toFixed(2)} km`;
+    } else if (!isInServiceArea) {
+      message = 'Tu dirección está fuera de las zonas en las que opera esta sucursal';
+    }
 
     return {
       ...branch,
@@ -140,12 +306,13 @@ const validateCoverageForBranches = (branches, userAddress) => {
       coverageInfo: {
         distanceText: `${distance.toFixed(2)} km`,
         deliveryRadiusText: `${deliveryRadiusKm.toFixed(2)} km`,
-        status: isCovered ? 'in_coverage' : 'out_of_coverage',
-        message: isCovered
-          ? 'Esta sucursal puede entregar en tu dirección'
-          : `Tu dirección está a ${distance.toFixed(
-              2
-            )} km, fuera del radio de entrega de ${deliveryRadiusKm.toFixed(2)} km`
+        serviceArea: matchedServiceArea
+          ? { id: matchedServiceArea.id, name: matchedServiceArea.name, type: matchedServiceArea.type }
+          : null,
+        status: isCovered
+          ? 'in_coverage'
+          : (isInRadius ? 'out_of_service_area' : 'out_of_coverage'),
+        message: message
       }
     };
   });
@@ -153,6 +320,11 @@ const validateCoverageForBranches = (branches, userAddress) => {
 
 module.exports = {
   calculateDistance,
+  activeServiceAreasSelect,
+  flattenServiceAreas,
+  isPointInPolygon,
+  isPointInServiceArea,
+  isWithinServiceAreas,
   isWithinCoverage,
   validateCoverageForBranches
 };
@@ -0,0 +1,201 @@
+/**
+ * Llaves de idempotencia (header Idempotency-Key)
+ * Un reintento con la misma llave y el mismo contenido devuelve la respuesta guardada en lugar
+ * de volver a crear el pedido o mover dinero; una llave reutilizada con otro contenido se rechaza.
+ */
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+
+// Configuración de las llaves (sobrescribible por variables de entorno)
+const IDEMPOTENCY_CONFIG = {
+  ttlHours: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24,
+  // Una solicitud que sigue en curso más de este tiempo se considera interrumpida (p. ej. por un reinicio)
+  staleInProgressMinutes: parseInt(process.env.IDEMPOTENCY_STALE_MINUTES, 10) || 5,
+  cleanupIntervalMinutes: 60
+};
+
+let cleanupInterval = null;
+
+/**
+ * Serializa un valor con las llaves de los objetos ordenadas, para que el orden no cambie la huella
+ * @param {*} value - Valor a serializar
+ * @returns {string} JSON estable
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+class IdempotencyService {
+
+  /**
+   * Calcula la huella de una solicitud (parámetros de ruta y body)
+   * @param {Object} params - Parámetros de ruta
+   * @param {Object} body - Body de la solicitud
+   * @returns {string} SHA-256 en hexadecimal
+   */
+  static fingerprint(params, body) {
+    return crypto
+      .createHash('sha256')
+      .update(stableStringify({ params: params || {}, body: body || {} }))
+      .digest('hex');
+  }
+
+  /**
+   * Reserva una llave para ejecutar la solicitud o devuelve la respuesta guardada
+   * @param {Object} data - userId, scope, key y requestHash
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} { action: 'execute', record } o { action: 'replay', record }
+   * @throws {Object} 422 IDEMPOTENCY_KEY_REUSED o 409 IDEMPOTENCY_REQUEST_IN_PROGRESS
+   */
+  static async acquire({ userId, scope, key, requestHash }, requestId = null) {
+    const where = { userId_scope_key: { userId, scope, key } };
+    const existing = await prisma.idempotencyKey.findUnique({ where });
+
+    if (existing) {
+      const now = Date.now();
+      const staleBefore = now - IDEMPOTENCY_CONFIG.staleInProgressMinutes * 60 * 1000;
+      const isExpired = existing.expiresAt.getTime() <= now;
+      const isAbandoned = existing.status === 'in_progress' && existing.updatedAt.getTime() < staleBefore;
+
+      if (!isExpired && existing.requestHash !== requestHash) {
+        throw {
+          status: 422,
+          message: 'La llave de idempotencia ya se usó con una solicitud diferente',
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        };
+      }
+
+      if (!isExpired && existing.status === 'completed') {
+        logger.info('Solicitud idempotente repetida; se devuelve la respuesta guardada', {
+          requestId,
+          meta: { userId, scope, key, responseStatus: existing.responseStatus }
+        });
+        return { action: 'replay', record: existing };
+      }
+
+      if (!isExpired && !isAbandoned) {
+        throw {
+          status: 409,
+          message: 'Ya hay una solicitud en curso con esta llave de idempotencia',
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+        };
+      }
+
+      // Llave vencida o solicitud interrumpida: se libera para volver a ejecutar
+      await prisma.idempotencyKey.deleteMany({
+        where: { id: existing.id, updatedAt: existing.updatedAt }
+      });
+    }
+
+    try {
+      const record = await prisma.idempotencyKey.create({
+        data: {
+          userId,
+          scope,
+          key,
+          requestHash,
+          expiresAt: new Date(Date.now() + IDEMPOTENCY_CONFIG.ttlHours * 60 * 60 * 1000)
+        }
+      });
+      return { action: 'execute', record };
+    } catch (error) {
+      // Dos reintentos simultáneos con la misma llave: el otro ganó la reserva
+      if (error.code === 'P2002') {
+        throw {
+          status: 409,
+          message: 'Ya hay una solicitud en curso con esta llave de idempotencia',
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Guarda la respuesta de una solicitud terminada
+   * @param {BigInt} recordId - ID del IdempotencyKey
+   * @param {number} responseStatus - Código HTTP de la respuesta
+   * @param {Object} responseBody - Body JSON de la respuesta
+   */
+  static async complete(recordId, responseStatus, responseBody) {
+    await prisma.idempotencyKey.update({
+      where: { id: recordId },
+      data: {
+        status: 'completed',
+        responseStatus,
+        // Convierte BigInt y fechas igual que res.json
+        responseBody: JSON.parse(JSON.stringify(responseBody === undefined ? null : responseBody))
+      }
+    });
+  }
+
+  /**
+   * Libera una llave para que el cliente pueda reintentar (errores transitorios)
+   * @param {BigInt} recordId - ID del IdempotencyKey
+   */
+  static async release(recordId) {
+    await prisma.idempotencyKey.deleteMany({
+      where: { id: recordId, status: 'in_progress' }
+    });
+  }
+
+  /**
+   * Elimina las llaves vencidas
+   * @returns {Promise<number>} Número de llaves eliminadas
+   */
+  static async purgeExpired() {
+    try {
+      const { count } = await prisma.idempotencyKey.deleteMany({
+        where: { expiresAt: { lt: new Date() } }
+      });
+
+      if (count > 0) {
+        logger.info('Llaves de idempotencia vencidas eliminadas', { meta: { count } });
+      }
+
+      return count;
+    } catch (error) {
+      logger.error('Error eliminando llaves de idempotencia vencidas', {
+        meta: { error: error.message, stack: error.stack }
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Inicia la limpieza periódica de llaves vencidas
+   */
+  static startCleanupWorker() {
+    if (cleanupInterval) {
+      return;
+    }
+
+    this.purgeExpired();
+
+    cleanupInterval = setInterval(() => {
+      this.purgeExpired();
+    }, IDEMPOTENCY_CONFIG.cleanupIntervalMinutes * 60 * 1000);
+
+    if (typeof cleanupInterval.unref === 'function') {
+      cleanupInterval.unref();
+    }
+
+    logger.info('Limpieza de llaves de idempotencia iniciada', {
+      meta: { ttlHours: IDEMPOTENCY_CONFIG.ttlHours }
+    });
+  }
+}
+
+module.exports = IdempotencyService;
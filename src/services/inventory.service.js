@@ -0,0 +1,365 @@
+/**
+ * Inventario gestionado por el restaurante
+ * El owner y sus gerentes registran movimientos de stock propios (reabastecimiento, merma y
+ * traspasos), ajustan el umbral de reorden y el costo unitario de cada producto, y consultan el
+ * historial de movimientos y la valuación del stock. Cada movimiento queda a nombre de quien lo hizo
+ * en ProductInventoryLog; las ventas (ORDER_SALE) las registra StockService al aceptar pedidos.
+ */
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const StockService = require('./stock.service');
+
+// Sentido de cada tipo de movimiento; un traspaso puede entrar o salir
+const MOVEMENT_DIRECTIONS = {
+  RESTOCK: 'in',
+  SPOILAGE: 'out',
+  TRANSFER: null
+};
+
+const movementInclude = {
+  product: { select: { id: true, name: true } },
+  user: { select: { id: true, name: true, lastname: true } }
+};
+
+const valuationProductSelect = {
+  ...StockService.PRODUCT_SELECT,
+  price: true,
+  unitCost: true
+};
+
+/**
+ * Redondea un monto a centavos
+ * @param {number} amount - Monto
+ * @returns {number}
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Construye el objeto de paginación
+ * @param {number} page - Página actual
+ * @param {number} pageSize - Tamaño de página
+ * @param {number} totalCount - Total de registros
+ * @returns {Object} Paginación
+ */
+function buildPagination(page, pageSize, totalCount) {
+  const totalPages = Math.ceil(totalCount / pageSize);
+  return {
+    currentPage: page,
+    pageSize,
+    totalCount,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPreviousPage: page > 1
+  };
+}
+
+/**
+ * Suma las unidades apartadas por pedidos sin aceptar de cada producto
+ * @param {Array<number>} productIds - IDs de los productos
+ * @returns {Promise<Map<number, number>>} Unidades apartadas por producto
+ */
+async function getReservedQuantities(productIds) {
+  if (productIds.length === 0) {
+    return new Map();
+  }
+
+  const reserved = await prisma.orderStockReservation.groupBy({
+    by: ['productId'],
+    where: { productId: { in: productIds }, status: 'reserved' },
+    _sum: { quantity: true }
+  });
+
+  return new Map(reserved.map(row => [row.productId, row._sum.quantity || 0]));
+}
+
+/**
+ * Formatea un movimiento de inventario
+ * @param {Object} log - ProductInventoryLog con product y user
+ * @returns {Object} Movimiento formateado
+ */
+function formatMovement(log) {
+  return {
+    id: log.id.toString(),
+    type: log.reason,
+    change: log.change,
+    newQuantity: log.newQuantity,
+    unitCost: log.unitCost !== null && log.unitCost !== undefined ? Number(log.unitCost) : null,
+    note: log.note || null,
+    orderId: log.orderId ? log.orderId.toString() : null,
+    product: log.product,
+    recordedBy: log.user
+      ? { id: log.user.id, name: log.user.name, lastname: log.user.lastname }
+      : null,
+    createdAt: log.createdAt
+  };
+}
+
+/**
+ * Formatea el stock y su valuación de un producto
+ * @param {Object} product - Producto con valuationProductSelect
+ * @param {number} reservedQuantity - Unidades apartadas por pedidos sin aceptar
+ * @returns {Object} Stock del producto
+ */
+function formatProductStock(product, reservedQuantity) {
+  const lowStockThreshold = StockService.getLowStockThreshold(product);
+  const unitCost = product.unitCost !== null && product.unitCost !== undefined ? Number(product.unitCost) : null;
+
+  return {
+    productId: product.id,
+    name: product.name,
+    stockQuantity: product.stockQuantity,
+    reservedQuantity,
+    lowStockThreshold,
+    usesDefaultThreshold: product.lowStockThreshold === null || product.lowStockThreshold === undefined,
+    isLowStock: product.stockQuantity <= lowStockThreshold,
+    isAvailable: product.isAvailable,
+    outOfStockAt: product.outOfStockAt,
+    unitCost,
+    price: Number(product.price),
+    stockValue: unitCost !== null ? roundMoney(product.stockQuantity * unitCost) : null,
+    retailValue: roundMoney(product.stockQuantity * Number(product.price))
+  };
+}
+
+class InventoryService {
+
+  /**
+   * Obtiene un producto del restaurante o lanza 404
+   * @param {number} restaurantId - ID del restaurante
+   * @param {number} productId - ID del producto
+   * @returns {Promise<Object>} Producto con valuationProductSelect
+   */
+  static async findRestaurantProduct(restaurantId, productId) {
+    const product = await prisma.product.findFirst({
+      where: { id: productId, restaurantId, deletedAt: null },
+      select: valuationProductSelect
+    });
+
+    if (!product) {
+      throw {
+        status: 404,
+        message: 'Producto no encontrado',
+        code: 'PRODUCT_NOT_FOUND',
+        details: { productId }
+      };
+    }
+
+    return product;
+  }
+
+  /**
+   * Registra un movimiento de inventario hecho por el personal del restaurante
+   * @param {number} restaurantId - ID del restaurante
+   * @param {Object} data - Movimiento
+   * @param {number} data.productId - ID del producto
+   * @param {string} data.type - RESTOCK, SPOILAGE o TRANSFER
+   * @param {number} data.quantity - Unidades movidas (positivo)
+   * @param {string} [data.direction] - in u out (solo TRANSFER)
+   * @param {number} [data.unitCost] - Costo unitario (solo RESTOCK); actualiza el costo del producto
+   * @param {string} [data.note] - Nota del movimiento
+   * @param {number} userId - Quién registra el movimiento
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Movimiento registrado y stock actual del producto
+   */
+  static async recordMovement(restaurantId, data, userId, requestId = null) {
+    const { productId, type, quantity, unitCost, note } = data;
+    const direction = MOVEMENT_DIRECTIONS[type] || data.direction;
+    const change = direction === 'in' ? quantity : -quantity;
+
+    const product = await this.findRestaurantProduct(restaurantId, productId);
+
+    const { movement, updatedProduct, stockAlerts } = await prisma.$transaction(async (tx) => {
+      if (change < 0) {
+        // La condición sobre el stock evita sacar unidades apartadas por pedidos en curso
+        const { count } = await tx.product.updateMany({
+          where: { id: productId, stockQuantity: { gte: quantity } },
+          data: { stockQuantity: { decrement: quantity } }
+        });
+
+        if (count === 0) {
+          const current = await tx.product.findUnique({
+            where: { id: productId },
+            select: { stockQuantity: true }
+          });
+
+          throw {
+            status: 409,
+            message: `No hay suficiente stock de ${product.name}`,
+            code: 'INSUFFICIENT_STOCK',
+            details: {
+              productId,
+              productName: product.name,
+              requested: quantity,
+              available: Math.max(current.stockQuantity, 0)
+            }
+          };
+        }
+      } else {
+        await tx.product.update({
+          where: { id: productId },
+          data: {
+            stockQuantity: { increment: quantity },
+            ...(unitCost !== undefined ? { unitCost } : {})
+          }
+        });
+      }
+
+      const updatedProduct = await tx.product.findUnique({
+        where: { id: productId },
+        select: valuationProductSelect
+      });
+
+      const stockAlerts = await StockService.syncAvailability(tx, updatedProduct, updatedProduct.stockQuantity - change);
+
+      const movement = await tx.productInventoryLog.create({
+        data: {
+          productId,
+          userId,
+          change,
+          newQuantity: updatedProduct.stockQuantity,
+          reason: type,
+          unitCost: unitCost !== undefined ? unitCost : null,
+          note: note || null
+        },
+        include: movementInclude
+      });
+
+      return { movement, updatedProduct, stockAlerts };
+    });
+
+    StockService.notifyStockAlerts(stockAlerts, requestId);
+
+    logger.info('Movimiento de inventario registrado', {
+      requestId,
+      meta: { restaurantId, productId, type, change, newQuantity: updatedProduct.stockQuantity, userId }
+    });
+
+    // syncAvailability pudo desactivar o reactivar el producto después de leerlo
+    const current = await this.findRestaurantProduct(restaurantId, productId);
+    const reserved = await getReservedQuantities([productId]);
+
+    return {
+      movement: formatMovement(movement),
+      product: formatProductStock(current, reserved.get(productId) || 0)
+    };
+  }
+
+  /**
+   * Actualiza el umbral de reorden y el costo unitario de un producto
+   * @param {number} restaurantId - ID del restaurante
+   * @param {number} productId - ID del producto
+   * @param {Object} data - lowStockThreshold (null vuelve al umbral general) y/o unitCost
+   * @param {number} userId - Quién hace el cambio
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Stock actual del producto
+   */
+  static async updateProductStockSettings(restaurantId, productId, data, userId, requestId = null) {
+    await this.findRestaurantProduct(restaurantId, productId);
+
+    const product = await prisma.product.update({
+      where: { id: productId },
+      data: {
+        ...(data.lowStockThreshold !== undefined ? { lowStockThreshold: data.lowStockThreshold } : {}),
+        ...(data.unitCost !== undefined ? { unitCost: data.unitCost } : {})
+      },
+      select: valuationProductSelect
+    });
+
+    logger.info('Configuración de inventario del producto actualizada', {
+      requestId,
+      meta: { restaurantId, productId, userId, changes: data }
+    });
+
+    const reserved = await getReservedQuantities([productId]);
+
+    return formatProductStock(product, reserved.get(productId) || 0);
+  }
+
+  /**
+   * Lista el historial de movimientos de inventario del restaurante
+   * @param {number} restaurantId - ID del restaurante
+   * @param {Object} filters - productId, type, userId, dateFrom, dateTo, page y pageSize
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} { movements, pagination }
+   */
+  static async getMovementHistory(restaurantId, filters, requestId = null) {
+    const { page, pageSize } = filters;
+
+    const where = {
+      product: { restaurantId },
+      ...(filters.productId ? { productId: filters.productId } : {}),
+      ...(filters.type ? { reason: filters.type } : {}),
+      ...(filters.userId ? { userId: filters.userId } : {})
+    };
+
+    if (filters.dateFrom || filters.dateTo) {
+      where.createdAt = {
+        ...(filters.dateFrom ? { gte: new Date(filters.dateFrom) } : {}),
+        ...(filters.dateTo ? { lte: new Date(filters.dateTo) } : {})
+      };
+    }
+
+    const [logs, totalCount] = await Promise.all([
+      prisma.productInventoryLog.findMany({
+        where,
+        include: movementInclude,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize
+      }),
+      prisma.productInventoryLog.count({ where })
+    ]);
+
+    logger.debug('Historial de inventario consultado', {
+      requestId,
+      meta: { restaurantId, filters, totalCount }
+    });
+
+    return {
+      movements: logs.map(formatMovement),
+      pagination: buildPagination(page, pageSize, totalCount)
+    };
+  }
+
+  /**
+   * Calcula el stock actual y su valuación por producto (solo productos con control de inventario)
+   * stockValue usa el costo unitario; retailValue, el precio de venta.
+   * @param {number} restaurantId - ID del restaurante
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} { products, summary }
+   */
+  static async getStockValuation(restaurantId, requestId = null) {
+    const products = await prisma.product.findMany({
+      where: { restaurantId, trackStock: true, deletedAt: null },
+      select: valuationProductSelect,
+      orderBy: { name: 'asc' }
+    });
+
+    const reserved = await getReservedQuantities(products.map(product => product.id));
+
+    const rows = products.map(product => formatProductStock(product, reserved.get(product.id) || 0));
+
+    const summary = {
+      totalProducts: rows.length,
+      totalUnits: rows.reduce((sum, row) => sum + row.stockQuantity, 0),
+      stockValue: roundMoney(rows.reduce((sum, row) => sum + (row.stockValue || 0), 0)),
+      retailValue: roundMoney(rows.reduce((sum, row) => sum + row.retailValue, 0)),
+      lowStockCount: rows.filter(row => row.isLowStock && row.stockQuantity > 0).length,
+      outOfStockCount: rows.filter(row => row.stockQuantity <= 0).length,
+      productsWithoutCost: rows.filter(row => row.unitCost === null).length
+    };
+
+    logger.debug('Valuación de inventario calculada', {
+      requestId,
+      meta: { restaurantId, totalProducts: summary.totalProducts }
+    });
+
+    return { products: rows, summary };
+  }
+}
+
+InventoryService.MOVEMENT_DIRECTIONS = MOVEMENT_DIRECTIONS;
+
+module.exports = InventoryService;
@@ -0,0 +1,579 @@
+/**
+ * Libro contable de partida doble
+ * Todo movimiento de dinero (liquidación de pedidos, propinas, reembolsos, ajustes, pagos y depósitos
+ * de efectivo) se registra como un asiento balanceado entre cuentas. Las billeteras de restaurantes y
+ * repartidores solo se modifican a través de un asiento: cada movimiento de billetera genera su
+ * partida en la cuenta por pagar del beneficiario, así que el saldo de la billetera se puede verificar
+ * contra el libro.
+ *
+ * Convención de signos: importe positivo = cargo (debe), negativo = abono (haber).
+ * Las cuentas por pagar tienen saldo acreedor: un abono de 100 equivale a +100 en la billetera.
+ */
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const { roundToTwoDecimals } = require('../utils/format');
+
+// Cuentas globales (creadas por la migración del libro contable)
+const LEDGER_ACCOUNTS = {
+  CUSTOMER_PAYMENTS: { code: 'CUSTOMER_PAYMENTS', type: 'customer_payments', name: 'Cobros a clientes' },
+  PLATFORM_REVENUE: { code: 'PLATFORM_REVENUE', type: 'platform_revenue', name: 'Ingresos de la plataforma' },
+  TAX_WITHHELD: { code: 'TAX_WITHHELD', type: 'tax_withheld', name: 'Retenciones de IVA e ISR por enterar' },
+  OPENING_BALANCE: { code: 'OPENING_BALANCE', type: 'opening_balance', name: 'Saldos iniciales' },
+  BANK: { code: 'BANK', type: 'bank', name: 'Transferencias bancarias (SPEI)' }
+};
+
+/**
+ * Convierte un importe a centavos para sumar sin errores de punto flotante
+ * @param {number|string} amount - Importe
+ * @returns {number} Centavos enteros
+ */
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+class LedgerService {
+
+  /**
+   * Cuenta por pagar de un restaurante
+   * @param {number} restaurantId - ID del restaurante
+   * @returns {Object} Descriptor de la cuenta
+   */
+  static restaurantPayable(restaurantId) {
+    return {
+      code: `RESTAURANT_PAYABLE:${restaurantId}`,
+      type: 'restaurant_payable',
+      name: `Por pagar a restaurante #${restaurantId}`,
+      restaurantId
+    };
+  }
+
+  /**
+   * Cuenta por pagar de un repartidor
+   * @param {number} driverId - ID del usuario repartidor
+   * @returns {Object} Descriptor de la cuenta
+   */
+  static driverPayable(driverId) {
+    return {
+      code: `DRIVER_PAYABLE:${driverId}`,
+      type: 'driver_payable',
+      name: `Por pagar a repartidor #${driverId}`,
+      driverId
+    };
+  }
+
+  /**
+   * Obtiene una cuenta por código y la crea la primera vez que se usa
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {Object} account - Descriptor de la cuenta (code, type, name, restaurantId, driverId)
+   * @returns {Promise<Object>} LedgerAccount
+   */
+  static async getAccount(tx, account) {
+    return tx.ledgerAccount.upsert({
+      where: { code: account.code },
+      create: {
+        code: account.code,
+        type: account.type,
+        name: account.name,
+        restaurantId: account.restaurantId || null,
+        driverId: account.driverId || null
+      },
+      update: {}
+    });
+  }
+
+  /**
+   * Registra un asiento balanceado y aplica sus movimientos de billetera
+   * Cada movimiento de billetera agrega automáticamente su abono/cargo en la cuenta por pagar del
+   * beneficiario; `lines` solo lleva las contrapartidas. El asiento debe sumar cero.
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {Object} data - Datos del asiento
+   * @param {string} data.type - LedgerEntryType
+   * @param {BigInt} [data.orderId] - Pedido relacionado
+   * @param {string} [data.description] - Descripción del asiento
+   * @param {number} [data.createdById] - Usuario que originó el asiento (ajustes y reembolsos)
+   * @param {Array<Object>} [data.lines] - Partidas { account, amount, description }
+   * @param {Array<Object>} [data.walletMovements] - Movimientos { wallet: 'restaurant'|'driver', ownerId, amount, type, description, externalId, transactionAmount, payoutLineId }
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} { entry, movements } con la billetera y transacción de cada movimiento, en el mismo orden
+   */
+  static async postEntry(tx, { type, orderId = null, description = null, createdById = null, lines = [], walletMovements = [] }, requestId = null) {
+    const movementLines = walletMovements.map(movement => ({
+      account: movement.wallet === 'restaurant'
+        ? this.restaurantPayable(movement.ownerId)
+        : this.driverPayable(movement.ownerId),
+      amount: -movement.amount,
+      description: movement.type
+    }));
+
+    const allLines = [...lines, ...movementLines]
+      .map(line => ({ ...line, cents: toCents(line.amount) }))
+      .filter(line => line.cents !== 0);
+
+    const totalCents = allLines.reduce((sum, line) => sum + line.cents, 0);
+    if (totalCents !== 0) {
+      throw new Error(`Asiento contable ${type} desbalanceado por ${(totalCents / 100).toFixed(2)}`);
+    }
+
+    const entry = await tx.ledgerEntry.create({
+      data: { type, orderId, description, createdById }
+    });
+
+    const movements = [];
+    for (const movement of walletMovements) {
+      movements.push(await this.applyWalletMovement(tx, entry.id, orderId, movement));
+    }
+
+    const lineData = [];
+    for (const line of allLines) {
+      const account = await this.getAccount(tx, line.account);
+      lineData.push({
+        entryId: entry.id,
+        accountId: account.id,
+        amount: line.cents / 100,
+        description: line.description ? String(line.description).slice(0, 255) : null
+      });
+    }
+
+    if (lineData.length > 0) {
+      await tx.ledgerLine.createMany({ data: lineData });
+    }
+
+    logger.debug('Asiento contable registrado', {
+      requestId,
+      meta: {
+        entryId: entry.id.toString(),
+        type,
+        orderId: orderId ? orderId.toString() : null,
+        lines: lineData.length,
+        walletMovements: walletMovements.length
+      }
+    });
+
+    return { entry, movements };
+  }
+
+  /**
+   * Aplica un movimiento a una billetera (la crea si no existe) y registra su transacción
+   * El saldo se incrementa de forma atómica en la base de datos, no a partir de un saldo leído antes
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {BigInt} entryId - ID del asiento
+   * @param {BigInt|null} orderId - Pedido relacionado
+   * @param {Object} movement - Movimiento de billetera
+   * @returns {Promise<Object>} { wallet, transaction, previousBalance }
+   */
+  static async applyWalletMovement(tx, entryId, orderId, movement) {
+    const isRestaurant = movement.wallet === 'restaurant';
+    const walletModel = isRestaurant ? tx.restaurantWallet : tx.driverWallet;
+    const transactionModel = isRestaurant ? tx.restaurantWalletTransaction : tx.driverWalletTransaction;
+    const ownerWhere = isRestaurant ? { restaurantId: movement.ownerId } : { driverId: movement.ownerId };
+    const amount = roundToTwoDecimals(Number(movement.amount));
+
+    const wallet = await walletModel.upsert({
+      where: ownerWhere,
+      create: { ...ownerWhere, balance: amount },
+      update: { balance: { increment: amount } }
+    });
+
+    const balanceAfter = Number(wallet.balance);
+
+    const transaction = await transactionModel.create({
+      data: {
+        walletId: wallet.id,
+        orderId: movement.orderId !== undefined ? movement.orderId : orderId,
+        type: movement.type,
+        amount: movement.transactionAmount !== undefined ? movement.transactionAmount : amount,
+        balanceAfter,
+        description: movement.description || null,
+        externalId: movement.externalId || null,
+        ledgerEntryId: entryId,
+        payoutLineId: movement.payoutLineId || null
+      }
+    });
+
+    return {
+      wallet,
+      transaction,
+      previousBalance: roundToTwoDecimals(balanceAfter - amount)
+    };
+  }
+
+  /**
+   * Registra la liquidación de un pedido entregado (a domicilio o para recoger)
+   * - Pago en línea: la plataforma cobró el total (sin la propina, que tiene su propio asiento).
+   * - Efectivo con repartidor de plataforma: el repartidor debe el total menos su envío neto.
+   * - Efectivo cobrado por el restaurante (mostrador o repartidor propio): se le carga lo cobrado.
+   * Las retenciones van a TAX_WITHHELD y el resto (comisión, cuota de servicio, envío de
+   * repartidores propios) a PLATFORM_REVENUE, que cuadra el asiento.
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {Object} data - order (id, restaurantId, subtotal, total, tipAmount, paymentMethod, fulfillmentType), settlement (TaxService.calculateOrderSettlement) y driverId
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Resultado de postEntry
+   */
+  static async postOrderSettlement(tx, { order, settlement, driverId = null }, requestId = null) {
+    const total = Number(order.total);
+    const tipAmount = Number(order.tipAmount || 0);
+    const isCash = order.paymentMethod === 'CASH';
+    const isPickup = order.fulfillmentType === 'pickup';
+    const restaurant = settlement.restaurant;
+    const driver = settlement.driver;
+
+    const discountNote = restaurant.discount > 0 ? ` - cupón ${restaurant.discount.toFixed(2)}` : '';
+    const walletMovements = [{
+      wallet: 'restaurant',
+      ownerId: order.restaurantId,
+      amount: restaurant.payout,
+      type: 'RESTAURANT_ORDER_CREDIT',
+      description: `Ganancia Pedido #${order.id}${isPickup ? ' para recoger' : ''} (subtotal ${Number(order.subtotal).toFixed(2)}${discountNote} - comisión ${restaurant.commission.toFixed(2)} - ret. IVA ${restaurant.retainedIVA.toFixed(2)} - ret. ISR ${restaurant.retainedISR.toFixed(2)})`
+    }];
+
+    const lines = [{
+      account: LEDGER_ACCOUNTS.TAX_WITHHELD,
+      amount: -(restaurant.retainedIVA + restaurant.retainedISR + (driver ? driver.retainedIVA + driver.retainedISR : 0)),
+      description: 'Retenciones IVA/ISR'
+    }];
+
+    if (driver) {
+      const feeNote = `envío ${driver.grossAmount.toFixed(2)} - ret. IVA ${driver.retainedIVA.toFixed(2)} - ret. ISR ${driver.retainedISR.toFixed(2)}`;
+      walletMovements.push(isCash
+        ? {
+          // Repartidor cobró en efectivo: debe el total menos su envío neto
+          wallet: 'driver',
+          ownerId: driverId,
+          amount: -roundToTwoDecimals(total - driver.netAmount),
+          type: 'DRIVER_CASH_COLLECTED_DEBIT',
+          description: `Efectivo cobrado Pedido #${order.id} (total ${total.toFixed(2)} - ${feeNote})`
+        }
+        : {
+          wallet: 'driver',
+          ownerId: driverId,
+          amount: driver.netAmount,
+          type: 'DRIVER_DELIVERY_FEE_CREDIT',
+          description: `Pedido #${order.id} (${feeNote})`
+        });
+    } else if (isCash) {
+      // La propina en efectivo se queda con el repartidor del restaurante
+      const cashCollected = roundToTwoDecimals(total - tipAmount);
+      walletMovements.push({
+        wallet: 'restaurant',
+        ownerId: order.restaurantId,
+        amount: -cashCollected,
+        type: 'RESTAURANT_CASH_COLLECTED_DEBIT',
+        description: isPickup
+          ? `Efectivo cobrado en mostrador Pedido #${order.id}`
+          : `Efectivo cobrado por repartidor propio Pedido #${order.id}`
+      });
+    }
+
+    if (!isCash) {
+      lines.push({ account: LEDGER_ACCOUNTS.CUSTOMER_PAYMENTS, amount: roundToTwoDecimals(total - tipAmount), description: 'Cobro del pedido' });
+    } else if (driver && tipAmount > 0) {
+      // La deuda del repartidor incluye la propina cobrada; pasa a su propio asiento de propina
+      lines.push({ account: LEDGER_ACCOUNTS.CUSTOMER_PAYMENTS, amount: -tipAmount, description: 'Propina cobrada en efectivo' });
+    }
+
+    const otherCents = [...lines.map(line => line.amount), ...walletMovements.map(movement => -movement.amount)]
+      .reduce((sum, amount) => sum + toCents(amount), 0);
+    lines.push({ account: LEDGER_ACCOUNTS.PLATFORM_REVENUE, amount: -otherCents / 100, description: 'Comisión y cuotas' });
+
+    return this.postEntry(tx, {
+      type: 'ORDER_SETTLEMENT',
+      orderId: order.id,
+      description: `Liquidación Pedido #${order.id}`,
+      lines,
+      walletMovements
+    }, requestId);
+  }
+
+  /**
+   * Registra una propina acreditada al repartidor
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {Object} data - orderId, driverId, amount y description
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Resultado de postEntry
+   */
+  static async postDriverTip(tx, { orderId, driverId, amount, description }, requestId = null) {
+    return this.postEntry(tx, {
+      type: 'DRIVER_TIP',
+      orderId,
+      description,
+      lines: [{ account: LEDGER_ACCOUNTS.CUSTOMER_PAYMENTS, amount: Number(amount), description: 'Cobro de propina' }],
+      walletMovements: [{
+        wallet: 'driver',
+        ownerId: driverId,
+        amount: Number(amount),
+        type: 'DRIVER_TIPS_CREDIT',
+        description
+      }]
+    }, requestId);
+  }
+
+  /**
+   * Registra un reembolso: se devuelve el monto al cliente, se revierten las ganancias ya
+   * liquidadas del restaurante y del repartidor, y la plataforma absorbe el resto
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {Object} data - order, refund, calculation (RefundService.calculateRefund), description y createdById
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Resultado de postEntry
+   */
+  static async postRefund(tx, { order, refund, calculation, description, createdById }, requestId = null) {
+    const walletMovements = [];
+
+    if (calculation.restaurantDebit > 0) {
+      walletMovements.push({
+        wallet: 'restaurant',
+        ownerId: order.restaurantId,
+        amount: -calculation.restaurantDebit,
+        type: 'RESTAURANT_REFUND_DEBIT',
+        description,
+        externalId: refund.id.toString()
+      });
+    }
+
+    if (calculation.driverDebit > 0) {
+      walletMovements.push({
+        wallet: 'driver',
+        ownerId: order.deliveryDriverId,
+        amount: -calculation.driverDebit,
+        type: 'DRIVER_REFUND_DEBIT',
+        description,
+        externalId: refund.id.toString()
+      });
+    }
+
+    return this.postEntry(tx, {
+      type: 'REFUND',
+      orderId: order.id,
+      description,
+      createdById,
+      lines: [
+        { account: LEDGER_ACCOUNTS.CUSTOMER_PAYMENTS, amount: -calculation.amount, description: `Reembolso #${refund.id}` },
+        {
+          account: LEDGER_ACCOUNTS.PLATFORM_REVENUE,
+          amount: roundToTwoDecimals(calculation.amount - calculation.restaurantDebit - calculation.driverDebit),
+          description: 'Costo del reembolso para la plataforma'
+        }
+      ],
+      walletMovements
+    }, requestId);
+  }
+
+  /**
+   * Registra un ajuste manual de billetera contra los ingresos de la plataforma
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {Object} data - wallet ('restaurant' | 'driver'), ownerId, amount (con signo), description y createdById
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Resultado de postEntry
+   */
+  static async postWalletAdjustment(tx, { wallet, ownerId, amount, description, createdById }, requestId = null) {
+    return this.postEntry(tx, {
+      type: 'WALLET_ADJUSTMENT',
+      description,
+      createdById,
+      lines: [{ account: LEDGER_ACCOUNTS.PLATFORM_REVENUE, amount, description: 'Ajuste manual de billetera' }],
+      walletMovements: [{
+        wallet,
+        ownerId,
+        amount,
+        type: amount > 0 ? 'ADJUSTMENT_CREDIT' : 'ADJUSTMENT_DEBIT',
+        // Los ajustes guardan el importe absoluto; el tipo indica el sentido
+        transactionAmount: Math.abs(amount),
+        description
+      }]
+    }, requestId);
+  }
+
+  /**
+   * Registra el pago por transferencia de una línea de un lote de pagos
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {Object} data - payeeType ('restaurant' | 'driver'), line (PayoutBatchLine) y createdById
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Resultado de postEntry
+   */
+  static async postPayout(tx, { payeeType, line, createdById }, requestId = null) {
+    const amount = Number(line.amount);
+    const description = `Pago lote #${line.batchId} (SPEI ${line.reference})`;
+
+    return this.postEntry(tx, {
+      type: 'PAYOUT',
+      description,
+      createdById,
+      lines: [{ account: LEDGER_ACCOUNTS.BANK, amount: -amount, description: `Transferencia a CLABE ${line.clabe}` }],
+      walletMovements: [{
+        wallet: payeeType,
+        ownerId: line.payeeId,
+        amount: -amount,
+        type: payeeType === 'restaurant' ? 'RESTAURANT_PAYOUT_DEBIT' : 'DRIVER_PAYOUT_DEBIT',
+        description,
+        externalId: `payout_line_${line.id}`,
+        payoutLineId: line.id
+      }]
+    }, requestId);
+  }
+
+  /**
+   * Revierte el pago de una línea que el banco rechazó: el monto regresa a la billetera
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {Object} data - payeeType, line (PayoutBatchLine), reason y createdById
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Resultado de postEntry
+   */
+  static async postPayoutReversal(tx, { payeeType, line, reason, createdById }, requestId = null) {
+    const amount = Number(line.amount);
+    const description = `Pago rechazado lote #${line.batchId} (SPEI ${line.reference}): ${reason}`;
+
+    return this.postEntry(tx, {
+      type: 'PAYOUT_REVERSAL',
+      description,
+      createdById,
+      lines: [{ account: LEDGER_ACCOUNTS.BANK, amount, description: `Devolución de CLABE ${line.clabe}` }],
+      walletMovements: [{
+        wallet: payeeType,
+        ownerId: line.payeeId,
+        amount,
+        type: payeeType === 'restaurant' ? 'RESTAURANT_PAYOUT_REVERSAL_CREDIT' : 'DRIVER_PAYOUT_REVERSAL_CREDIT',
+        description,
+        externalId: `payout_line_${line.id}`,
+        payoutLineId: line.id
+      }]
+    }, requestId);
+  }
+
+  /**
+   * Registra un depósito de efectivo confirmado: el efectivo entra al banco y reduce la deuda del repartidor
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {Object} data - deposit (DriverCashDeposit) y createdById
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Resultado de postEntry
+   */
+  static async postCashDeposit(tx, { deposit, createdById }, requestId = null) {
+    const amount = Number(deposit.amount);
+    const description = `Depósito de efectivo #${deposit.id} (ref. ${deposit.reference})`;
+
+    return this.postEntry(tx, {
+      type: 'CASH_DEPOSIT',
+      description,
+      createdById,
+      lines: [{ account: LEDGER_ACCOUNTS.BANK, amount, description: `Depósito de efectivo de repartidor #${deposit.driverId}` }],
+      walletMovements: [{
+        wallet: 'driver',
+        ownerId: deposit.driverId,
+        amount,
+        type: 'DRIVER_CASH_DEPOSIT_CREDIT',
+        description,
+        externalId: `cash_deposit_${deposit.id}`
+      }]
+    }, requestId);
+  }
+
+  /**
+   * Verifica la integridad del libro contable
+   * - Asientos cuyas partidas no suman cero.
+   * - Billeteras cuyo saldo no coincide con el de su cuenta por pagar (drift).
+   * @returns {Promise<Object>} Resultado de la verificación con los saldos por tipo de cuenta
+   */
+  static async checkIntegrity() {
+    // Una sola transacción para leer libro y billeteras en el mismo instante
+    const [unbalancedGroups, accountSums, accounts, restaurantWallets, driverWallets] = await prisma.$transaction([
+      prisma.ledgerLine.groupBy({
+        by: ['entryId'],
+        _sum: { amount: true },
+        having: { amount: { _sum: { not: 0 } } }
+      }),
+      prisma.ledgerLine.groupBy({
+        by: ['accountId'],
+        _sum: { amount: true }
+      }),
+      prisma.ledgerAccount.findMany({
+        select: { id: true, code: true, type: true, restaurantId: true, driverId: true }
+      }),
+      prisma.restaurantWallet.findMany({
+        select: { id: true, restaurantId: true, balance: true, restaurant: { select: { name: true } } }
+      }),
+      prisma.driverWallet.findMany({
+        select: { id: true, driverId: true, balance: true, driver: { select: { name: true, lastname: true } } }
+      })
+    ]);
+
+    const sumByAccountId = new Map(accountSums.map(group => [group.accountId, toCents(group._sum.amount || 0)]));
+    const ledgerCentsByCode = new Map(accounts.map(account => [account.code, sumByAccountId.get(account.id) || 0]));
+
+    const accountBalances = {};
+    accounts.forEach(account => {
+      accountBalances[account.type] = (accountBalances[account.type] || 0) + (sumByAccountId.get(account.id) || 0);
+    });
+    Object.keys(accountBalances).forEach(type => {
+      accountBalances[type] = accountBalances[type] / 100;
+    });
+
+    const walletDrift = [];
+    const checkedCodes = new Set();
+
+    const compareWallet = (walletType, wallet, ownerId, ownerName, account) => {
+      checkedCodes.add(account.code);
+      const walletCents = toCents(wallet ? wallet.balance : 0);
+      // Las cuentas por pagar tienen saldo acreedor
+      const ledgerCents = -(ledgerCentsByCode.get(account.code) || 0);
+
+      if (walletCents !== ledgerCents) {
+        walletDrift.push({
+          walletType,
+          walletId: wallet ? wallet.id : null,
+          ownerId,
+          ownerName,
+          walletBalance: walletCents / 100,
+          ledgerBalance: ledgerCents / 100,
+          difference: (walletCents - ledgerCents) / 100
+        });
+      }
+    };
+
+    restaurantWallets.forEach(wallet => {
+      compareWallet('restaurant', wallet, wallet.restaurantId,
+        wallet.restaurant ? wallet.restaurant.name : null, this.restaurantPayable(wallet.restaurantId));
+    });
+    driverWallets.forEach(wallet => {
+      compareWallet('driver', wallet, wallet.driverId,
+        wallet.driver ? `${wallet.driver.name} ${wallet.driver.lastname}` : null, this.driverPayable(wallet.driverId));
+    });
+
+    // Cuentas por pagar con movimientos pero sin billetera
+    accounts
+      .filter(account => !checkedCodes.has(account.code) &&
+        (account.type === 'restaurant_payable' || account.type === 'driver_payable'))
+      .forEach(account => {
+        const isRestaurant = account.type === 'restaurant_payable';
+        compareWallet(isRestaurant ? 'restaurant' : 'driver', null,
+          isRestaurant ? account.restaurantId : account.driverId, null, account);
+      });
+
+    const unbalancedEntries = unbalancedGroups.map(group => ({
+      entryId: group.entryId.toString(),
+      difference: toCents(group._sum.amount) / 100
+    }));
+
+    const isConsistent = unbalancedEntries.length === 0 && walletDrift.length === 0;
+    const summary = {
+      walletsChecked: restaurantWallets.length + driverWallets.length,
+      walletsWithDrift: walletDrift.length,
+      totalDrift: walletDrift.reduce((sum, item) => sum + toCents(item.difference), 0) / 100,
+      unbalancedEntries: unbalancedEntries.length
+    };
+
+    if (!isConsistent) {
+      logger.warn('El libro contable no cuadra con las billeteras', { meta: summary });
+    }
+
+    return {
+      checkedAt: new Date(),
+      isConsistent,
+      summary,
+      walletDrift,
+      unbalancedEntries,
+      accountBalances
+    };
+  }
+}
+
+LedgerService.ACCOUNTS = LEDGER_ACCOUNTS;
+
+module.exports = LedgerService;
@@ -0,0 +1,323 @@
+/**
+ * Disponibilidad del menú por horario (desayunos, menú nocturno)
+ * Las subcategorías y los productos pueden tener ventanas de disponibilidad: días de la semana y
+ * un rango de horas en hora local de México (igual que RestaurantSchedule). Sin ventanas, un
+ * elemento depende solo de su interruptor (is_active / isAvailable); con ventanas, además debe
+ * estar dentro de alguna de ellas. Un producto cumple sus ventanas y las de su subcategoría.
+ */
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const RestaurantHoursService = require('./restaurant-hours.service');
+
+const windowSelect = {
+  select: { dayOfWeek: true, startTime: true, endTime: true },
+  orderBy: [{ startTime: 'asc' }, { dayOfWeek: 'asc' }]
+};
+
+// Se agrega al select/include de un producto para evaluar su disponibilidad por horario
+const PRODUCT_AVAILABILITY_INCLUDE = {
+  availabilityWindows: windowSelect,
+  subcategory: {
+    select: { id: true, name: true, availabilityWindows: windowSelect }
+  }
+};
+
+/**
+ * Agrupa las ventanas guardadas por día en { daysOfWeek, startTime, endTime }
+ * @param {Array<Object>} windows - Filas de MenuAvailabilityWindow
+ * @returns {Array<Object>} Ventanas agrupadas por rango de horas
+ */
+function formatWindows(windows = []) {
+  const ranges = new Map();
+
+  for (const window of windows) {
+    const key = `${window.startTime}-${window.endTime}`;
+    if (!ranges.has(key)) {
+      ranges.set(key, { daysOfWeek: [], startTime: window.startTime, endTime: window.endTime });
+    }
+    ranges.get(key).daysOfWeek.push(window.dayOfWeek);
+  }
+
+  return [...ranges.values()]
+    .map(range => ({ ...range, daysOfWeek: [...new Set(range.daysOfWeek)].sort((a, b) => a - b) }))
+    .sort((a, b) => a.startTime.localeCompare(b.startTime));
+}
+
+/**
+ * Convierte ventanas con lista de días en una fila por día y rango (sin repetidos)
+ * @param {Array<Object>} windows - Ventanas { daysOfWeek, startTime, endTime }
+ * @returns {Array<Object>} Filas { dayOfWeek, startTime, endTime }
+ */
+function expandWindows(windows) {
+  const rows = new Map();
+  for (const window of windows) {
+    for (const dayOfWeek of window.daysOfWeek) {
+      rows.set(`${dayOfWeek}|${window.startTime}|${window.endTime}`, {
+        dayOfWeek,
+        startTime: window.startTime,
+        endTime: window.endTime
+      });
+    }
+  }
+  return [...rows.values()];
+}
+
+class MenuAvailabilityService {
+
+  /**
+   * Indica si una fecha cae dentro de alguna ventana (sin ventanas, siempre)
+   * @param {Array<Object>} windows - Filas { dayOfWeek, startTime, endTime }
+   * @param {Date} date - Fecha a evaluar
+   * @returns {boolean}
+   */
+  static isWithinWindows(windows, date) {
+    if (!windows || windows.length === 0) {
+      return true;
+    }
+
+    return RestaurantHoursService.isWithinWeeklySchedule(
+      windows.map(window => ({ dayOfWeek: window.dayOfWeek, openTime: window.startTime, closeTime: window.endTime })),
+      date
+    );
+  }
+
+  /**
+   * Indica si un producto queda fuera de sus ventanas o las de su subcategoría
+   * @param {Object} product - Producto con PRODUCT_AVAILABILITY_INCLUDE
+   * @param {Date} date - Fecha a evaluar
+   * @returns {Object|null} { reason, availability } o null si está dentro de horario
+   */
+  static getScheduleConflict(product, date) {
+    const subcategoryWindows = product.subcategory ? product.subcategory.availabilityWindows : [];
+
+    if (!this.isWithinWindows(subcategoryWindows, date)) {
+      return { reason: 'outside_subcategory_window', availability: formatWindows(subcategoryWindows) };
+    }
+    if (!this.isWithinWindows(product.availabilityWindows, date)) {
+      return { reason: 'outside_product_window', availability: formatWindows(product.availabilityWindows) };
+    }
+    return null;
+  }
+
+  /**
+   * Verifica que los productos se puedan pedir a una hora según sus ventanas de disponibilidad
+   * @param {Array<number>} productIds - IDs de los productos
+   * @param {Date} date - Hora del pedido (o de entrega, si es programado)
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @throws {Object} 409 PRODUCT_OUTSIDE_AVAILABILITY con los productos fuera de horario
+   */
+  static async assertProductsAvailableAt(productIds, date, requestId = null) {
+    const products = await prisma.product.findMany({
+      where: { id: { in: productIds } },
+      select: { id: true, name: true, ...PRODUCT_AVAILABILITY_INCLUDE }
+    });
+
+    const conflicts = products
+      .map(product => {
+        const conflict = this.getScheduleConflict(product, date);
+        return conflict ? { productId: product.id, productName: product.name, ...conflict } : null;
+      })
+      .filter(Boolean);
+
+    if (conflicts.length === 0) {
+      return;
+    }
+
+    logger.warn('Productos fuera de su horario de disponibilidad', {
+      requestId,
+      meta: { at: date, productIds: conflicts.map(conflict => conflict.productId) }
+    });
+
+    throw {
+      status: 409,
+      message: conflicts.length === 1
+        ? `${conflicts[0].productName} no está disponible a esta hora`
+        : 'Algunos productos no están disponibles a esta hora',
+      code: 'PRODUCT_OUTSIDE_AVAILABILITY',
+      details: { at: date, products: conflicts }
+    };
+  }
+
+  /**
+   * Reemplaza las ventanas de disponibilidad de una subcategoría
+   * @param {number} restaurantId - ID del restaurante
+   * @param {number} subcategoryId - ID de la subcategoría
+   * @param {Array<Object>} windows - Ventanas { daysOfWeek, startTime, endTime }; vacía las quita
+   * @param {number} userId - Quién hace el cambio
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Subcategoría con sus ventanas
+   */
+  static async setSubcategoryWindows(restaurantId, subcategoryId, windows, userId, requestId = null) {
+    const subcategory = await prisma.subcategory.findFirst({
+      where: { id: subcategoryId, restaurantId, deletedAt: null },
+      select: { id: true, name: true }
+    });
+
+    if (!subcategory) {
+      throw {
+        status: 404,
+        message: 'Subcategoría no encontrada',
+        code: 'SUBCATEGORY_NOT_FOUND',
+        details: { subcategoryId }
+      };
+    }
+
+    const saved = await this.replaceWindows({ subcategoryId }, windows);
+
+    logger.info('Ventanas de disponibilidad de subcategoría actualizadas', {
+      requestId,
+      meta: { restaurantId, subcategoryId, userId, windows: saved.length }
+    });
+
+    return { id: subcategory.id, name: subcategory.name, availability: formatWindows(saved) };
+  }
+
+  /**
+   * Reemplaza las ventanas de disponibilidad de un producto
+   * @param {number} restaurantId - ID del restaurante
+   * @param {number} productId - ID del producto
+   * @param {Array<Object>} windows - Ventanas { daysOfWeek, startTime, endTime }; vacía las quita
+   * @param {number} userId - Quién hace el cambio
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Producto con sus ventanas
+   */
+  static async setProductWindows(restaurantId, productId, windows, userId, requestId = null) {
+    const product = await prisma.product.findFirst({
+      where: { id: productId, restaurantId, deletedAt: null },
+      select: { id: true, name: true }
+    });
+
+    if (!product) {
+      throw {
+        status: 404,
+        message: 'Producto no encontrado',
+        code: 'PRODUCT_NOT_FOUND',
+        details: { productId }
+      };
+    }
+
+    const saved = await this.replaceWindows({ productId }, windows);
+
+    logger.info('Ventanas de disponibilidad de producto actualizadas', {
+      requestId,
+      meta: { restaurantId, productId, userId, windows: saved.length }
+    });
+
+    return { id: product.id, name: product.name, availability: formatWindows(saved) };
+  }
+
+  /**
+   * Borra las ventanas de una subcategoría o producto y guarda las nuevas
+   * @param {Object} owner - { subcategoryId } o { productId }
+   * @param {Array<Object>} windows - Ventanas { daysOfWeek, startTime, endTime }
+   * @returns {Promise<Array<Object>>} Filas guardadas
+   */
+  static async replaceWindows(owner, windows) {
+    const rows = expandWindows(windows);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.menuAvailabilityWindow.deleteMany({ where: owner });
+
+      if (rows.length > 0) {
+        await tx.menuAvailabilityWindow.createMany({
+          data: rows.map(row => ({ ...owner, ...row }))
+        });
+      }
+    });
+
+    return rows;
+  }
+
+  /**
+   * Muestra el menú del restaurante como lo vería un cliente a una hora dada
+   * @param {number} restaurantId - ID del restaurante
+   * @param {Date} date - Hora a evaluar
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} { at, subcategories, summary }
+   */
+  static async getMenuPreview(restaurantId, date, requestId = null) {
+    const subcategories = await prisma.subcategory.findMany({
+      where: { restaurantId, deletedAt: null },
+      select: {
+        id: true,
+        name: true,
+        is_active: true,
+        category: { select: { id: true, name: true } },
+        availabilityWindows: windowSelect,
+        products: {
+          where: { deletedAt: null },
+          select: {
+            id: true,
+            name: true,
+            price: true,
+            isAvailable: true,
+            availabilityWindows: windowSelect
+          },
+          orderBy: { name: 'asc' }
+        }
+      },
+      orderBy: [{ displayOrder: 'asc' }, { name: 'asc' }]
+    });
+
+    let availableProducts = 0;
+    let unavailableProducts = 0;
+
+    const preview = subcategories.map(subcategory => {
+      let subcategoryReason = null;
+      if (!subcategory.is_active) {
+        subcategoryReason = 'subcategory_inactive';
+      } else if (!this.isWithinWindows(subcategory.availabilityWindows, date)) {
+        subcategoryReason = 'outside_subcategory_window';
+      }
+
+      const products = subcategory.products.map(product => {
+        let reason = subcategoryReason;
+        if (!reason && !product.isAvailable) {
+          reason = 'product_unavailable';
+        } else if (!reason && !this.isWithinWindows(product.availabilityWindows, date)) {
+          reason = 'outside_product_window';
+        }
+
+        if (reason) unavailableProducts++;
+        else availableProducts++;
+
+        return {
+          id: product.id,
+          name: product.name,
+          price: Number(product.price),
+          isAvailable: product.isAvailable,
+          availability: formatWindows(product.availabilityWindows),
+          availableAt: reason === null,
+          reason
+        };
+      });
+
+      return {
+        id: subcategory.id,
+        name: subcategory.name,
+        category: subcategory.category,
+        isActive: subcategory.is_active,
+        availability: formatWindows(subcategory.availabilityWindows),
+        availableAt: subcategoryReason === null,
+        reason: subcategoryReason,
+        products
+      };
+    });
+
+    logger.debug('Vista previa del menú por horario', {
+      requestId,
+      meta: { restaurantId, at: date, availableProducts, unavailableProducts }
+    });
+
+    return {
+      at: date,
+      subcategories: preview,
+      summary: { availableProducts, unavailableProducts }
+    };
+  }
+}
+
+MenuAvailabilityService.PRODUCT_AVAILABILITY_INCLUDE = PRODUCT_AVAILABILITY_INCLUDE;
+MenuAvailabilityService.formatWindows = formatWindows;
+
+module.exports = MenuAvailabilityService;
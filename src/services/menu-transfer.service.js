@@ -0,0 +1,1071 @@
+/**
+ * Exportación e importación masiva del menú de un restaurante
+ * El menú completo (subcategorías, grupos de modificadores con sus opciones y productos con los
+ * grupos que usan) se exporta como JSON o como un CSV de una sola hoja con una columna `type`.
+ * La importación trata el archivo como el menú completo del restaurante:
+ * - Cada elemento se empata por id o, sin id, por nombre (subcategoría: categoría + nombre;
+ *   producto: subcategoría + nombre; grupo: nombre; opción: grupo + nombre).
+ * - Se crea lo nuevo, se actualiza lo que cambió y, con deactivateMissing, se desactivan los
+ *   productos y subcategorías que ya no vienen. Los grupos y opciones que no vienen se conservan.
+ * - La vista previa devuelve el reporte de cambios sin tocar nada; la importación lo aplica en una
+ *   sola transacción y solo si el archivo no tiene errores.
+ */
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const { escapeCsvValue } = require('../utils/format');
+const {
+  MENU_IMPORT_LIMITS,
+  menuSubcategorySchema,
+  menuModifierGroupSchema,
+  menuModifierOptionSchema,
+  menuProductSchema
+} = require('../validations/menu.validation');
+
+const CSV_COLUMNS = [
+  'type', 'id', 'category', 'subcategory', 'modifier_group', 'name', 'description', 'price',
+  'display_order', 'min_selection', 'max_selection', 'is_active', 'track_stock', 'image_url',
+  'tags', 'modifier_groups'
+];
+
+// Separa los nombres de grupos de modificadores de un producto en la columna modifier_groups
+const MODIFIER_GROUPS_SEPARATOR = '|';
+
+/**
+ * Normaliza un nombre para empatarlo sin importar mayúsculas ni espacios sobrantes
+ * @param {string} value - Nombre
+ * @returns {string}
+ */
+function normalizeName(value) {
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * Separa un CSV en filas y celdas (comillas dobles, saltos de línea dentro de comillas, CRLF)
+ * El delimitador se toma del encabezado: Excel en español guarda con punto y coma.
+ * @param {string} content - Contenido del archivo
+ * @returns {Array<Array<string>>} Filas
+ */
+function parseCsv(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = headerLine.includes(';') && !headerLine.includes(',') ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Convierte celdas CSV al tipo que espera el esquema del menú
+ * Un valor que no se puede convertir se deja como texto para que el esquema lo reporte.
+ */
+const csvCell = {
+  text: (value) => (value === undefined || value.trim() === '' ? undefined : value.trim()),
+  nullableText: (value) => (value === undefined ? undefined : (value.trim() === '' ? null : value.trim())),
+  number: (value) => {
+    if (value === undefined || value.trim() === '') return undefined;
+    const number = Number(value.trim());
+    return Number.isNaN(number) ? value : number;
+  },
+  boolean: (value) => {
+    if (value === undefined || value.trim() === '') return undefined;
+    const normalized = normalizeName(value);
+    if (['true', '1', 'si', 'sí', 'yes'].includes(normalized)) return true;
+    if (['false', '0', 'no'].includes(normalized)) return false;
+    return value;
+  },
+  list: (value) => {
+    if (value === undefined || value.trim() === '') return [];
+    return value.split(MODIFIER_GROUPS_SEPARATOR).map(name => name.trim()).filter(Boolean);
+  }
+};
+
+/**
+ * Quita las llaves undefined para que el esquema aplique sus valores opcionales
+ * @param {Object} data - Objeto
+ * @returns {Object}
+ */
+function compact(data) {
+  return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Convierte el CSV del menú en elementos con su ubicación en el archivo
+ * @param {string} content - Contenido del CSV
+ * @returns {Object} { items, errors } con items.subcategories, modifierGroups y products
+ */
+function readCsvMenu(content) {
+  const items = { subcategories: [], modifierGroups: [], products: [] };
+  const errors = [];
+
+  const [header = [], ...rows] = parseCsv(content);
+  const columns = header.map(column => normalizeName(column));
+
+  const unknownColumns = columns.filter(column => column && !CSV_COLUMNS.includes(column));
+  if (!columns.includes('type') || !columns.includes('name') || unknownColumns.length > 0) {
+    errors.push({
+      source: 'fila 1',
+      field: 'encabezado',
+      message: unknownColumns.length > 0
+        ? `Columnas desconocidas: ${unknownColumns.join(', ')}`
+        : 'El encabezado debe incluir las columnas type y name'
+    });
+    return { items, errors };
+  }
+
+  const pendingOptions = [];
+
+  rows.forEach((cells, index) => {
+    const source = `fila ${index + 2}`;
+    if (cells.every(cell => cell.trim() === '')) return;
+
+    const cell = Object.fromEntries(columns.map((column, position) => [column, cells[position]]));
+    const type = normalizeName(cell.type || '');
+
+    if (type === 'subcategory') {
+      items.subcategories.push({
+        source,
+        data: compact({
+          id: csvCell.number(cell.id),
+          category: csvCell.text(cell.category),
+          name: csvCell.text(cell.name),
+          displayOrder: csvCell.number(cell.display_order),
+          isActive: csvCell.boolean(cell.is_active)
+        })
+      });
+    } else if (type === 'modifier_group') {
+      items.modifierGroups.push({
+        source,
+        data: compact({
+          id: csvCell.number(cell.id),
+          name: csvCell.text(cell.name),
+          minSelection: csvCell.number(cell.min_selection),
+          maxSelection: csvCell.number(cell.max_selection)
+        }),
+        options: []
+      });
+    } else if (type === 'modifier_option') {
+      pendingOptions.push({
+        source,
+        group: csvCell.text(cell.modifier_group),
+        data: compact({
+          id: csvCell.number(cell.id),
+          name: csvCell.text(cell.name),
+          price: csvCell.number(cell.price)
+        })
+      });
+    } else if (type === 'product') {
+      items.products.push({
+        source,
+        data: compact({
+          id: csvCell.number(cell.id),
+          category: csvCell.text(cell.category),
+          subcategory: csvCell.text(cell.subcategory),
+          name: csvCell.text(cell.name),
+          description: csvCell.nullableText(cell.description),
+          imageUrl: csvCell.nullableText(cell.image_url),
+          price: csvCell.number(cell.price),
+          isAvailable: csvCell.boolean(cell.is_active),
+          trackStock: csvCell.boolean(cell.track_stock),
+          tags: csvCell.nullableText(cell.tags),
+          modifierGroups: csvCell.list(cell.modifier_groups)
+        })
+      });
+    } else {
+      errors.push({
+        source,
+        field: 'type',
+        message: 'El tipo de fila debe ser subcategory, modifier_group, modifier_option o product'
+      });
+    }
+  });
+
+  // Las opciones pueden venir antes o después de la fila de su grupo
+  for (const option of pendingOptions) {
+    const group = option.group && items.modifierGroups.find(
+      candidate => candidate.data.name && normalizeName(candidate.data.name) === normalizeName(option.group)
+    );
+
+    if (!group) {
+      errors.push({
+        source: option.source,
+        field: 'modifier_group',
+        message: option.group
+          ? `El grupo de modificadores '${option.group}' no viene en el archivo`
+          : 'La opción debe indicar su grupo en modifier_group'
+      });
+      continue;
+    }
+
+    group.options.push({ source: option.source, data: option.data });
+  }
+
+  for (const group of items.modifierGroups) {
+    if (group.options.length > MENU_IMPORT_LIMITS.optionsPerGroup) {
+      errors.push({
+        source: group.source,
+        field: 'options',
+        message: `Un grupo no puede tener más de ${MENU_IMPORT_LIMITS.optionsPerGroup} opciones`
+      });
+    }
+  }
+
+  const limits = [
+    ['subcategories', MENU_IMPORT_LIMITS.subcategories, 'subcategorías'],
+    ['modifierGroups', MENU_IMPORT_LIMITS.modifierGroups, 'grupos de modificadores'],
+    ['products', MENU_IMPORT_LIMITS.products, 'productos']
+  ];
+  for (const [key, limit, label] of limits) {
+    if (items[key].length > limit) {
+      errors.push({ source: 'archivo', field: key, message: `El menú no puede tener más de ${limit} ${label}` });
+    }
+  }
+
+  return { items, errors };
+}
+
+/**
+ * Convierte el menú JSON en elementos con su ubicación en el archivo
+ * @param {Object} menu - Menú con subcategories, modifierGroups y products
+ * @returns {Object} { items, errors }
+ */
+function readJsonMenu(menu) {
+  return {
+    items: {
+      subcategories: menu.subcategories.map((data, index) => ({ source: `subcategories[${index}]`, data })),
+      modifierGroups: menu.modifierGroups.map((group, index) => {
+        const options = group && typeof group === 'object' ? group.options : undefined;
+        return {
+          source: `modifierGroups[${index}]`,
+          data: group,
+          options: Array.isArray(options)
+            ? options.map((option, optionIndex) => ({ source: `modifierGroups[${index}].options[${optionIndex}]`, data: option }))
+            : []
+        };
+      }),
+      products: menu.products.map((data, index) => ({ source: `products[${index}]`, data }))
+    },
+    errors: []
+  };
+}
+
+/**
+ * Valida un elemento del archivo contra su esquema y acumula los errores
+ * @param {Object} schema - Esquema zod
+ * @param {Object} item - Elemento con source y data
+ * @param {Array<Object>} errors - Errores del reporte
+ * @returns {Object|null} Datos validados o null si no son válidos
+ */
+function validateItem(schema, item, errors) {
+  const result = schema.safeParse(item.data);
+  if (result.success) {
+    return result.data;
+  }
+
+  for (const issue of result.error.issues) {
+    errors.push({ source: item.source, field: issue.path.join('.') || null, message: issue.message });
+  }
+  return null;
+}
+
+/**
+ * Compara los campos de un elemento existente contra los del archivo
+ * Los campos que el archivo no trae (undefined) conservan su valor.
+ * @param {Object} current - Valores actuales
+ * @param {Object} next - Valores del archivo
+ * @returns {Object} Campos con cambio { campo: { from, to } }
+ */
+function diffFields(current, next) {
+  const changes = {};
+  for (const [field, value] of Object.entries(next)) {
+    if (value === undefined) continue;
+    const from = current[field] === undefined ? null : current[field];
+    if (from !== value) {
+      changes[field] = { from, to: value };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Toma los valores nuevos de un diff
+ * @param {Object} changes - Resultado de diffFields
+ * @returns {Object} { campo: valor }
+ */
+function changedValues(changes) {
+  return Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to]));
+}
+
+class MenuTransferService {
+
+  /**
+   * Carga el menú actual del restaurante
+   * @param {number} restaurantId - ID del restaurante
+   * @returns {Promise<Object>} subcategories, modifierGroups y products
+   */
+  static async loadMenu(restaurantId) {
+    const [subcategories, modifierGroups, products] = await Promise.all([
+      prisma.subcategory.findMany({
+        where: { restaurantId, deletedAt: null },
+        include: { category: { select: { id: true, name: true } } },
+        orderBy: [{ displayOrder: 'asc' }, { name: 'asc' }]
+      }),
+      prisma.modifierGroup.findMany({
+        where: { restaurantId, deletedAt: null },
+        include: {
+          options: {
+            where: { deletedAt: null },
+            orderBy: { id: 'asc' }
+          }
+        },
+        orderBy: { id: 'asc' }
+      }),
+      prisma.product.findMany({
+        where: { restaurantId, deletedAt: null },
+        include: {
+          modifierGroups: {
+            where: { deletedAt: null },
+            select: { modifierGroupId: true }
+          }
+        },
+        orderBy: [{ subcategoryId: 'asc' }, { name: 'asc' }]
+      })
+    ]);
+
+    return { subcategories, modifierGroups, products };
+  }
+
+  /**
+   * Exporta el menú del restaurante en el formato que acepta la importación
+   * @param {number} restaurantId - ID del restaurante
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Menú con subcategories, modifierGroups y products
+   */
+  static async exportMenu(restaurantId, requestId = null) {
+    const { subcategories, modifierGroups, products } = await this.loadMenu(restaurantId);
+
+    const subcategoriesById = new Map(subcategories.map(subcategory => [subcategory.id, subcategory]));
+    const groupsById = new Map(modifierGroups.map(group => [group.id, group]));
+
+    const menu = {
+      subcategories: subcategories.map(subcategory => ({
+        id: subcategory.id,
+        category: subcategory.category.name,
+        name: subcategory.name,
+        displayOrder: subcategory.displayOrder,
+        isActive: subcategory.is_active
+      })),
+      modifierGroups: modifierGroups.map(group => ({
+        id: group.id,
+        name: group.name,
+        minSelection: group.minSelection,
+        maxSelection: group.maxSelection,
+        options: group.options.map(option => ({
+          id: option.id,
+          name: option.name,
+          price: Number(option.price)
+        }))
+      })),
+      products: products
+        .filter(product => subcategoriesById.has(product.subcategoryId))
+        .map(product => {
+          const subcategory = subcategoriesById.get(product.subcategoryId);
+          return {
+            id: product.id,
+            category: subcategory.category.name,
+            subcategory: subcategory.name,
+            name: product.name,
+            description: product.description,
+            imageUrl: product.imageUrl,
+            price: Number(product.price),
+            isAvailable: product.isAvailable,
+            trackStock: product.trackStock,
+            tags: product.tags,
+            modifierGroups: product.modifierGroups
+              .filter(link => groupsById.has(link.modifierGroupId))
+              .map(link => groupsById.get(link.modifierGroupId).name)
+          };
+        })
+    };
+
+    logger.info('Menú exportado', {
+      requestId,
+      meta: {
+        restaurantId,
+        subcategories: menu.subcategories.length,
+        modifierGroups: menu.modifierGroups.length,
+        products: menu.products.length
+      }
+    });
+
+    return menu;
+  }
+
+  /**
+   * Convierte un menú exportado a CSV (una fila por subcategoría, grupo, opción y producto)
+   * @param {Object} menu - Resultado de exportMenu
+   * @returns {string} Contenido CSV
+   */
+  static buildMenuCsv(menu) {
+    const toRow = (values) => CSV_COLUMNS.map(column => escapeCsvValue(values[column])).join(',');
+    const lines = [CSV_COLUMNS.join(',')];
+
+    for (const subcategory of menu.subcategories) {
+      lines.push(toRow({
+        type: 'subcategory',
+        id: subcategory.id,
+        category: subcategory.category,
+        name: subcategory.name,
+        display_order: subcategory.displayOrder,
+        is_active: subcategory.isActive
+      }));
+    }
+
+    for (const group of menu.modifierGroups) {
+      lines.push(toRow({
+        type: 'modifier_group',
+        id: group.id,
+        name: group.name,
+        min_selection: group.minSelection,
+        max_selection: group.maxSelection
+      }));
+
+      for (const option of group.options) {
+        lines.push(toRow({
+          type: 'modifier_option',
+          id: option.id,
+          modifier_group: group.name,
+          name: option.name,
+          price: option.price
+        }));
+      }
+    }
+
+    for (const product of menu.products) {
+      lines.push(toRow({
+        type: 'product',
+        id: product.id,
+        category: product.category,
+        subcategory: product.subcategory,
+        name: product.name,
+        description: product.description,
+        price: product.price,
+        is_active: product.isAvailable,
+        track_stock: product.trackStock,
+        image_url: product.imageUrl,
+        tags: product.tags,
+        modifier_groups: product.modifierGroups.join(MODIFIER_GROUPS_SEPARATOR)
+      }));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Valida un archivo de menú contra el menú actual y arma el plan de cambios
+   * @param {number} restaurantId - ID del restaurante
+   * @param {Object} input - format, menu (json) o content (csv) y deactivateMissing
+   * @returns {Promise<Object>} { report, plan }
+   */
+  static async analyzeImport(restaurantId, input) {
+    const { items, errors } = input.format === 'csv'
+      ? readCsvMenu(input.content)
+      : readJsonMenu(input.menu);
+
+    const [current, categories] = await Promise.all([
+      this.loadMenu(restaurantId),
+      prisma.category.findMany({
+        where: { deletedAt: null },
+        select: { id: true, name: true }
+      })
+    ]);
+
+    const categoriesByName = new Map(categories.map(category => [normalizeName(category.name), category]));
+    const categoriesById = new Map(categories.map(category => [category.id, category]));
+    const changes = [];
+    const summary = {
+      subcategories: { create: 0, update: 0, deactivate: 0, unchanged: 0 },
+      modifierGroups: { create: 0, update: 0, unchanged: 0 },
+      modifierOptions: { create: 0, update: 0, unchanged: 0 },
+      products: { create: 0, update: 0, deactivate: 0, unchanged: 0 },
+      modifierLinks: { link: 0, unlink: 0 }
+    };
+
+    /**
+     * Registra el resultado de empatar un elemento en el resumen y la lista de cambios
+     */
+    const track = (entity, summaryKey, node, name) => {
+      if (!node.existing) {
+        summary[summaryKey].create++;
+        changes.push({ entity, action: 'create', id: null, name });
+      } else if (Object.keys(node.changes).length > 0) {
+        summary[summaryKey].update++;
+        changes.push({ entity, action: 'update', id: node.existing.id, name, fields: node.changes });
+      } else {
+        summary[summaryKey].unchanged++;
+      }
+    };
+
+    // 1. Subcategorías
+    const subcategoriesById = new Map(current.subcategories.map(subcategory => [subcategory.id, subcategory]));
+    const subcategoryNodes = new Map();
+    const claimedSubcategories = new Set();
+
+    for (const item of items.subcategories) {
+      const data = validateItem(menuSubcategorySchema, item, errors);
+      if (!data) continue;
+
+      const category = categoriesByName.get(normalizeName(data.category));
+      if (!category) {
+        errors.push({ source: item.source, field: 'category', message: `La categoría '${data.category}' no existe` });
+        continue;
+      }
+
+      const key = `${category.id}|${normalizeName(data.name)}`;
+      if (subcategoryNodes.has(key)) {
+        errors.push({ source: item.source, field: 'name', message: `La subcategoría '${data.name}' está repetida en el archivo` });
+        continue;
+      }
+
+      let existing = null;
+      if (data.id) {
+        existing = subcategoriesById.get(data.id);
+        if (!existing) {
+          errors.push({ source: item.source, field: 'id', message: `La subcategoría con id ${data.id} no pertenece al restaurante` });
+          continue;
+        }
+      } else {
+        existing = current.subcategories.find(subcategory =>
+          subcategory.categoryId === category.id &&
+          normalizeName(subcategory.name) === normalizeName(data.name) &&
+          !claimedSubcategories.has(subcategory.id)
+        ) || null;
+      }
+
+      if (existing && claimedSubcategories.has(existing.id)) {
+        errors.push({ source: item.source, field: 'id', message: `La subcategoría con id ${existing.id} está repetida en el archivo` });
+        continue;
+      }
+      if (existing) claimedSubcategories.add(existing.id);
+
+      const values = { name: data.name, categoryId: category.id, displayOrder: data.displayOrder, is_active: data.isActive };
+      const node = {
+        existing,
+        category,
+        values: existing ? values : { ...values, displayOrder: data.displayOrder ?? 0, is_active: data.isActive ?? true },
+        changes: existing ? diffFields(existing, values) : {},
+        id: existing ? existing.id : null
+      };
+
+      subcategoryNodes.set(key, node);
+      track('subcategory', 'subcategories', node, data.name);
+    }
+
+    // 2. Grupos de modificadores y sus opciones
+    const groupsById = new Map(current.modifierGroups.map(group => [group.id, group]));
+    const groupNodes = new Map();
+    const claimedGroups = new Set();
+
+    for (const item of items.modifierGroups) {
+      const data = validateItem(menuModifierGroupSchema, item, errors);
+      if (!data) continue;
+
+      const key = normalizeName(data.name);
+      if (groupNodes.has(key)) {
+        errors.push({ source: item.source, field: 'name', message: `El grupo de modificadores '${data.name}' está repetido en el archivo` });
+        continue;
+      }
+
+      let existing = null;
+      if (data.id) {
+        existing = groupsById.get(data.id);
+        if (!existing) {
+          errors.push({ source: item.source, field: 'id', message: `El grupo de modificadores con id ${data.id} no pertenece al restaurante` });
+          continue;
+        }
+      } else {
+        const matches = current.modifierGroups.filter(group => normalizeName(group.name) === key && !claimedGroups.has(group.id));
+        if (matches.length > 1) {
+          errors.push({ source: item.source, field: 'id', message: `Hay varios grupos llamados '${data.name}'; indica su id` });
+          continue;
+        }
+        existing = matches[0] || null;
+      }
+
+      if (existing && claimedGroups.has(existing.id)) {
+        errors.push({ source: item.source, field: 'id', message: `El grupo de modificadores con id ${existing.id} está repetido en el archivo` });
+        continue;
+      }
+      if (existing) claimedGroups.add(existing.id);
+
+      const values = { name: data.name, minSelection: data.minSelection, maxSelection: data.maxSelection };
+      const minSelection = data.minSelection ?? (existing ? existing.minSelection : 1);
+      const maxSelection = data.maxSelection ?? (existing ? existing.maxSelection : 1);
+      if (minSelection > maxSelection) {
+        errors.push({ source: item.source, field: 'minSelection', message: 'La selección mínima no puede ser mayor que la selección máxima' });
+        continue;
+      }
+
+      const node = {
+        existing,
+        values: existing ? values : { ...values, minSelection, maxSelection },
+        changes: existing ? diffFields(existing, values) : {},
+        id: existing ? existing.id : null,
+        options: []
+      };
+
+      groupNodes.set(key, node);
+      track('modifier_group', 'modifierGroups', node, data.name);
+
+      const optionKeys = new Set();
+      const claimedOptions = new Set();
+      for (const optionItem of item.options) {
+        const option = validateItem(menuModifierOptionSchema, optionItem, errors);
+        if (!option) continue;
+
+        const optionKey = normalizeName(option.name);
+        if (optionKeys.has(optionKey)) {
+          errors.push({ source: optionItem.source, field: 'name', message: `La opción '${option.name}' está repetida en el grupo '${data.name}'` });
+          continue;
+        }
+        optionKeys.add(optionKey);
+
+        const existingOptions = existing ? existing.options : [];
+        let existingOption = null;
+        if (option.id) {
+          existingOption = existingOptions.find(candidate => candidate.id === option.id);
+          if (!existingOption) {
+            errors.push({ source: optionItem.source, field: 'id', message: `La opción con id ${option.id} no pertenece al grupo '${data.name}'` });
+            continue;
+          }
+        } else {
+          existingOption = existingOptions.find(candidate =>
+            normalizeName(candidate.name) === optionKey && !claimedOptions.has(candidate.id)
+          ) || null;
+        }
+
+        if (existingOption && claimedOptions.has(existingOption.id)) {
+          errors.push({ source: optionItem.source, field: 'id', message: `La opción con id ${existingOption.id} está repetida en el archivo` });
+          continue;
+        }
+        if (existingOption) claimedOptions.add(existingOption.id);
+
+        const optionValues = { name: option.name, price: option.price };
+        const optionNode = {
+          existing: existingOption,
+          values: optionValues,
+          changes: existingOption ? diffFields({ name: existingOption.name, price: Number(existingOption.price) }, optionValues) : {}
+        };
+
+        node.options.push(optionNode);
+        track('modifier_option', 'modifierOptions', optionNode, `${data.name} / ${option.name}`);
+      }
+    }
+
+    // 3. Productos y sus grupos de modificadores
+    // Un producto puede usar una subcategoría o un grupo que no viene en el archivo pero ya existe;
+    // al usarlos dejan de contar como faltantes y no se desactivan
+    const resolveSubcategoryNode = (category, name) => {
+      const key = `${category.id}|${normalizeName(name)}`;
+      if (subcategoryNodes.has(key)) return subcategoryNodes.get(key);
+
+      const existing = current.subcategories.find(subcategory =>
+        subcategory.categoryId === category.id &&
+        normalizeName(subcategory.name) === normalizeName(name) &&
+        !claimedSubcategories.has(subcategory.id)
+      );
+      if (!existing) return null;
+
+      claimedSubcategories.add(existing.id);
+      const node = { existing, category, values: { name: existing.name }, changes: {}, id: existing.id };
+      subcategoryNodes.set(key, node);
+      return node;
+    };
+
+    const resolveGroupNode = (name) => {
+      const key = normalizeName(name);
+      if (groupNodes.has(key)) return groupNodes.get(key);
+
+      const matches = current.modifierGroups.filter(group => normalizeName(group.name) === key && !claimedGroups.has(group.id));
+      if (matches.length !== 1) return null;
+
+      claimedGroups.add(matches[0].id);
+      const node = { existing: matches[0], values: { name: matches[0].name }, changes: {}, id: matches[0].id, options: [] };
+      groupNodes.set(key, node);
+      return node;
+    };
+
+    const productsById = new Map(current.products.map(product => [product.id, product]));
+    const productNodes = [];
+    const productKeys = new Set();
+    const claimedProducts = new Set();
+
+    for (const item of items.products) {
+      const data = validateItem(menuProductSchema, item, errors);
+      if (!data) continue;
+
+      const category = categoriesByName.get(normalizeName(data.category));
+      const subcategoryNode = category && resolveSubcategoryNode(category, data.subcategory);
+      if (!subcategoryNode) {
+        errors.push({
+          source: item.source,
+          field: 'subcategory',
+          message: `La subcategoría '${data.subcategory}' (${data.category}) no viene en el archivo ni existe en el restaurante`
+        });
+        continue;
+      }
+
+      const key = `${category.id}|${normalizeName(data.subcategory)}|${normalizeName(data.name)}`;
+      if (productKeys.has(key)) {
+        errors.push({ source: item.source, field: 'name', message: `El producto '${data.name}' está repetido en la subcategoría '${data.subcategory}'` });
+        continue;
+      }
+      productKeys.add(key);
+
+      const groupNames = [...new Set(data.modifierGroups.map(normalizeName))];
+      const missingGroups = data.modifierGroups.filter(name => !resolveGroupNode(name));
+      if (missingGroups.length > 0) {
+        errors.push({
+          source: item.source,
+          field: 'modifierGroups',
+          message: `Grupos de modificadores que no vienen en el archivo ni existen (o se repiten) en el restaurante: ${missingGroups.join(', ')}`
+        });
+        continue;
+      }
+
+      let existing = null;
+      if (data.id) {
+        existing = productsById.get(data.id);
+        if (!existing) {
+          errors.push({ source: item.source, field: 'id', message: `El producto con id ${data.id} no pertenece al restaurante` });
+          continue;
+        }
+      } else if (subcategoryNode.existing) {
+        existing = current.products.find(product =>
+          product.subcategoryId === subcategoryNode.existing.id &&
+          normalizeName(product.name) === normalizeName(data.name) &&
+          !claimedProducts.has(product.id)
+        ) || null;
+      }
+
+      if (existing && claimedProducts.has(existing.id)) {
+        errors.push({ source: item.source, field: 'id', message: `El producto con id ${existing.id} está repetido en el archivo` });
+        continue;
+      }
+      if (existing) claimedProducts.add(existing.id);
+
+      const values = {
+        name: data.name,
+        description: data.description,
+        imageUrl: data.imageUrl,
+        price: data.price,
+        isAvailable: data.isAvailable,
+        trackStock: data.trackStock,
+        tags: data.tags
+      };
+
+      const node = {
+        existing,
+        subcategoryNode,
+        groupNodes: groupNames.map(name => groupNodes.get(name)),
+        values: existing ? values : {
+          ...values,
+          description: data.description ?? null,
+          imageUrl: data.imageUrl ?? null,
+          isAvailable: data.isAvailable ?? true,
+          trackStock: data.trackStock ?? false,
+          tags: data.tags ?? null
+        },
+        changes: existing ? diffFields({ ...existing, price: Number(existing.price) }, values) : {}
+      };
+
+      if (existing && (!subcategoryNode.existing || subcategoryNode.existing.id !== existing.subcategoryId)) {
+        const previous = subcategoriesById.get(existing.subcategoryId);
+        node.changes.subcategory = { from: previous ? previous.name : null, to: subcategoryNode.values.name };
+      }
+
+      productNodes.push(node);
+      track('product', 'products', node, data.name);
+
+      // Vínculos con grupos de modificadores (ProductModifier)
+      const currentGroupIds = new Set(existing ? existing.modifierGroups.map(link => link.modifierGroupId) : []);
+      const desiredGroupIds = new Set(node.groupNodes.filter(group => group.existing).map(group => group.existing.id));
+
+      for (const group of node.groupNodes) {
+        if (!group.existing || !currentGroupIds.has(group.existing.id)) {
+          summary.modifierLinks.link++;
+          changes.push({ entity: 'modifier_link', action: 'link', product: data.name, modifierGroup: group.values.name });
+        }
+      }
+      for (const groupId of currentGroupIds) {
+        if (!desiredGroupIds.has(groupId)) {
+          const group = groupsById.get(groupId);
+          summary.modifierLinks.unlink++;
+          changes.push({ entity: 'modifier_link', action: 'unlink', product: data.name, modifierGroup: group ? group.name : null });
+        }
+      }
+    }
+
+    // 4. Lo que ya no viene en el archivo se desactiva
+    const deactivations = { productIds: [], subcategoryIds: [] };
+
+    if (input.deactivateMissing) {
+      for (const product of current.products) {
+        if (!claimedProducts.has(product.id) && product.isAvailable) {
+          deactivations.productIds.push(product.id);
+          summary.products.deactivate++;
+          changes.push({ entity: 'product', action: 'deactivate', id: product.id, name: product.name });
+        }
+      }
+      for (const subcategory of current.subcategories) {
+        if (!claimedSubcategories.has(subcategory.id) && subcategory.is_active) {
+          deactivations.subcategoryIds.push(subcategory.id);
+          summary.subcategories.deactivate++;
+          changes.push({ entity: 'subcategory', action: 'deactivate', id: subcategory.id, name: subcategory.name });
+        }
+      }
+    }
+
+    // Los cambios de categoría se reportan con nombres, no con IDs
+    for (const change of changes) {
+      if (change.fields && change.fields.categoryId) {
+        const { from, to } = change.fields.categoryId;
+        delete change.fields.categoryId;
+        change.fields.category = {
+          from: categoriesById.get(from) ? categoriesById.get(from).name : null,
+          to: categoriesById.get(to) ? categoriesById.get(to).name : null
+        };
+      }
+    }
+
+    return {
+      report: {
+        valid: errors.length === 0,
+        errors,
+        summary,
+        changes
+      },
+      plan: {
+        subcategories: [...subcategoryNodes.values()],
+        modifierGroups: [...groupNodes.values()],
+        products: productNodes,
+        deactivations
+      }
+    };
+  }
+
+  /**
+   * Valida un archivo de menú sin aplicar cambios
+   * @param {number} restaurantId - ID del restaurante
+   * @param {Object} input - format, menu o content y deactivateMissing
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Reporte con errores, resumen y cambios
+   */
+  static async previewImport(restaurantId, input, requestId = null) {
+    const { report } = await this.analyzeImport(restaurantId, input);
+
+    logger.info('Vista previa de importación de menú', {
+      requestId,
+      meta: { restaurantId, format: input.format, valid: report.valid, errors: report.errors.length }
+    });
+
+    return report;
+  }
+
+  /**
+   * Importa un archivo de menú en una sola transacción
+   * @param {number} restaurantId - ID del restaurante
+   * @param {Object} input - format, menu o content y deactivateMissing
+   * @param {number} userId - Quién importa el menú
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Reporte de los cambios aplicados
+   * @throws {Object} MENU_IMPORT_INVALID si el archivo tiene errores
+   */
+  static async importMenu(restaurantId, input, userId, requestId = null) {
+    const { report, plan } = await this.analyzeImport(restaurantId, input);
+
+    if (!report.valid) {
+      throw {
+        status: 400,
+        message: 'El archivo de menú tiene errores; no se aplicó ningún cambio',
+        code: 'MENU_IMPORT_INVALID',
+        details: { errors: report.errors, summary: report.summary }
+      };
+    }
+
+    try {
+      await prisma.$transaction(async (tx) => {
+        for (const node of plan.subcategories) {
+          if (!node.existing) {
+            const created = await tx.subcategory.create({
+              data: { restaurantId, ...node.values }
+            });
+            node.id = created.id;
+          } else if (Object.keys(node.changes).length > 0) {
+            await tx.subcategory.update({
+              where: { id: node.id },
+              data: changedValues(node.changes)
+            });
+          }
+        }
+
+        for (const node of plan.modifierGroups) {
+          if (!node.existing) {
+            const created = await tx.modifierGroup.create({
+              data: { restaurantId, ...node.values }
+            });
+            node.id = created.id;
+          } else if (Object.keys(node.changes).length > 0) {
+            await tx.modifierGroup.update({
+              where: { id: node.id },
+              data: changedValues(node.changes)
+            });
+          }
+
+          for (const option of node.options) {
+            if (!option.existing) {
+              await tx.modifierOption.create({
+                data: { modifierGroupId: node.id, ...option.values }
+              });
+            } else if (Object.keys(option.changes).length > 0) {
+              await tx.modifierOption.update({
+                where: { id: option.existing.id },
+                data: changedValues(option.changes)
+              });
+            }
+          }
+        }
+
+        for (const node of plan.products) {
+          const subcategoryId = node.subcategoryNode.id;
+          let productId;
+
+          if (!node.existing) {
+            const created = await tx.product.create({
+              data: { restaurantId, subcategoryId, ...node.values }
+            });
+            productId = created.id;
+          } else {
+            productId = node.existing.id;
+            const { subcategory, ...fieldChanges } = node.changes;
+            const data = changedValues(fieldChanges);
+
+            if (node.existing.subcategoryId !== subcategoryId) {
+              data.subcategoryId = subcategoryId;
+            }
+            // Igual que al editar el producto: el owner toma el control de la disponibilidad
+            if (data.isAvailable !== undefined) {
+              data.outOfStockAt = null;
+            }
+
+            if (Object.keys(data).length > 0) {
+              await tx.product.update({ where: { id: productId }, data });
+            }
+          }
+
+          const currentGroupIds = node.existing ? node.existing.modifierGroups.map(link => link.modifierGroupId) : [];
+          const desiredGroupIds = node.groupNodes.map(group => group.id);
+          const removedGroupIds = currentGroupIds.filter(groupId => !desiredGroupIds.includes(groupId));
+          const addedGroupIds = desiredGroupIds.filter(groupId => !currentGroupIds.includes(groupId));
+
+          if (removedGroupIds.length > 0) {
+            await tx.productModifier.deleteMany({
+              where: { productId, modifierGroupId: { in: removedGroupIds } }
+            });
+          }
+          if (addedGroupIds.length > 0) {
+            await tx.productModifier.createMany({
+              data: addedGroupIds.map(modifierGroupId => ({ productId, modifierGroupId }))
+            });
+          }
+        }
+
+        if (plan.deactivations.productIds.length > 0) {
+          await tx.product.updateMany({
+            where: { id: { in: plan.deactivations.productIds } },
+            data: { isAvailable: false }
+          });
+        }
+        if (plan.deactivations.subcategoryIds.length > 0) {
+          await tx.subcategory.updateMany({
+            where: { id: { in: plan.deactivations.subcategoryIds } },
+            data: { is_active: false }
+          });
+        }
+
+        await tx.auditLog.create({
+          data: {
+            userId,
+            action: 'IMPORT_MENU',
+            entity: 'RESTAURANT',
+            entityId: BigInt(restaurantId),
+            details: {
+              format: input.format,
+              deactivateMissing: input.deactivateMissing,
+              summary: report.summary
+            }
+          }
+        });
+      }, { timeout: 30000 });
+
+    } catch (error) {
+      // Un renombre puede chocar con un elemento que no viene en el archivo
+      if (error.code === 'P2002') {
+        throw {
+          status: 409,
+          message: 'El menú choca con un nombre que ya existe en el restaurante; revisa los nombres repetidos',
+          code: 'MENU_IMPORT_CONFLICT',
+          details: { target: error.meta ? error.meta.target : null }
+        };
+      }
+      throw error;
+    }
+
+    logger.info('Menú importado', {
+      requestId,
+      meta: { restaurantId, userId, format: input.format, summary: report.summary }
+    });
+
+    return report;
+  }
+}
+
+MenuTransferService.CSV_COLUMNS = CSV_COLUMNS;
+
+module.exports = MenuTransferService;
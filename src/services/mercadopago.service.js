@@ -1,4 +1,5 @@
 const { MercadoPagoConfig, Preference } = require('mercadopago');
+const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../config/logger');
 
@@ -10,6 +11,8 @@ class MercadoPagoService {
       options: { timeout: 5000 }
     });
     this.preference = new Preference(this.client);
+    // URL base de la API REST (configurable para apuntar a un stub local en pruebas)
+    this.apiBaseUrl = (process.env.MERCADOPAGO_API_URL || 'https://api.mercadopago.com').replace(/\/$/, '');
   }
 
   /**
@@ -32,10 +35,10 @@ class MercadoPagoService {
         }
       });
 
-      const { subtotal, deliveryFee, serviceFee, total } = pricingDetails;
+      const { subtotal, deliveryFee, serviceFee, total, discountAmount = 0, appliedCoupon = null, tipAmount = 0 } = pricingDetails;
 
       // Construir items para Mercado Pago
-      const mpItems = this.buildMercadoPagoItems(items, deliveryFee, serviceFee);
+      const mpItems = this.buildMercadoPagoItems(items, deliveryFee, serviceFee, appliedCoupon, tipAmount);
 
       // Crear objeto preference para Mercado Pago
       const preferenceData = {
@@ -64,6 +67,9 @@ class MercadoPagoService {
           subtotal: subtotal,
           delivery_fee: deliveryFee,
           service_fee: serviceFee,
+          discount_amount: discountAmount,
+          coupon_code: appliedCoupon ? appliedCoupon.code : null,
+          tip_amount: tipAmount,
           total: total,
           product_count: items.length
         }
@@ -106,35 +112,236 @@ class MercadoPagoService {
     }
   }
 
+  /**
+   * Crea una preferencia de pago para una propina agregada después de la entrega
+   * @param {BigInt} orderId - ID del pedido
+   * @param {number} tipAmount - Monto de la propina
+   * @param {Object} user - Datos del cliente
+   * @param {string} externalReference - Referencia externa única
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Respuesta de Mercado Pago
+   */
+  async createTipPreference(orderId, tipAmount, user, externalReference, requestId) {
+    try {
+      const preferenceData = {
+        items: [this.buildTipItem(tipAmount)],
+        payer: {
+          name: user.name,
+          surname: user.lastname,
+          email: user.email
+        },
+        back_urls: {
+          success: "delixmi://tip/success",
+          failure: "delixmi://tip/failure",
+          pending: "delixmi://tip/pending"
+        },
+        auto_return: "approved",
+        notification_url: `${process.env.FRONTEND_URL}/api/webhooks/mercadopago`,
+        external_reference: externalReference,
+        additional_info: `Propina del pedido #${orderId} de Delixmi`,
+        metadata: {
+          user_id: user.id,
+          order_id: orderId.toString(),
+          tip_amount: tipAmount
+        }
+      };
+
+      const mpResponse = await this.preference.create({ body: preferenceData });
+
+      logger.info('Preferencia de propina creada en Mercado Pago', {
+        requestId,
+        meta: {
+          orderId: orderId.toString(),
+          preferenceId: mpResponse.id,
+          externalReference,
+          tipAmount
+        }
+      });
+
+      return mpResponse;
+
+    } catch (error) {
+      logger.error('Error creando preferencia de propina en Mercado Pago', {
+        requestId,
+        meta: {
+          orderId: orderId.toString(),
+          externalReference,
+          error: error.message
+        }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca el pago aprobado asociado a una referencia externa
+   * (Payment.providerPaymentId guarda el external_reference, no el ID numérico de MP)
+   * @param {string} externalReference - Referencia externa del pedido (delixmi_uuid)
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object|null>} Pago de Mercado Pago o null si no existe
+   */
+  async findPaymentByExternalReference(externalReference, requestId) {
+    const response = await axios.get(`${this.apiBaseUrl}/v1/payments/search`, {
+      params: {
+        external_reference: externalReference,
+        sort: 'date_created',
+        criteria: 'desc'
+      },
+      headers: {
+        'Authorization': `Bearer ${process.env.MERCADOPAGO_ACCESS_TOKEN}`
+      },
+      timeout: 10000
+    });
+
+    const results = response.data.results || [];
+    const approvedPayment = results.find(result => result.status === 'approved');
+
+    logger.debug('Búsqueda de pago por referencia externa en Mercado Pago', {
+      requestId,
+      meta: {
+        externalReference,
+        resultsCount: results.length,
+        paymentId: approvedPayment ? approvedPayment.id : null
+      }
+    });
+
+    return approvedPayment || results[0] || null;
+  }
+
+  /**
+   * Obtiene un pago de Mercado Pago por su ID numérico (el que llega en las notificaciones)
+   * @param {string} paymentId - ID del pago en Mercado Pago
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Pago de Mercado Pago ({ id, status, external_reference, ... })
+   */
+  async getPayment(paymentId, requestId) {
+    const response = await axios.get(`${this.apiBaseUrl}/v1/payments/${paymentId}`, {
+      headers: {
+        'Authorization': `Bearer ${process.env.MERCADOPAGO_ACCESS_TOKEN}`
+      },
+      timeout: 10000
+    });
+
+    logger.debug('Pago obtenido de Mercado Pago', {
+      requestId,
+      meta: {
+        paymentId,
+        status: response.data.status,
+        externalReference: response.data.external_reference
+      }
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Crea un reembolso (total o parcial) de un pago aprobado en Mercado Pago
+   * @param {string} providerPaymentId - ID del pago en Mercado Pago
+   * @param {number} amount - Monto a reembolsar
+   * @param {string} idempotencyKey - Llave de idempotencia (evita reembolsos duplicados en reintentos)
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Reembolso creado ({ id, payment_id, amount, status })
+   */
+  async createRefund(providerPaymentId, amount, idempotencyKey, requestId) {
+    try {
+      logger.info('Creando reembolso en Mercado Pago', {
+        requestId,
+        meta: { providerPaymentId, amount, idempotencyKey }
+      });
+
+      const response = await axios.post(
+        `${this.apiBaseUrl}/v1/payments/${providerPaymentId}/refunds`,
+        { amount: Number(amount) },
+        {
+          headers: {
+            'Authorization': `Bearer ${process.env.MERCADOPAGO_ACCESS_TOKEN}`,
+            'Content-Type': 'application/json',
+            'X-Idempotency-Key': idempotencyKey
+          },
+          timeout: 10000
+        }
+      );
+
+      logger.info('Reembolso de Mercado Pago creado exitosamente', {
+        requestId,
+        meta: {
+          providerPaymentId,
+          refundId: response.data.id,
+          status: response.data.status,
+          amount: response.data.amount
+        }
+      });
+
+      return response.data;
+
+    } catch (error) {
+      logger.error('Error creando reembolso en Mercado Pago', {
+        requestId,
+        meta: {
+          providerPaymentId,
+          amount,
+          error: error.message,
+          response: error.response?.data,
+          status: error.response?.status
+        }
+      });
+      throw error;
+    }
+  }
+
   /**
    * Construye los items para Mercado Pago incluyendo productos, envío y servicio
+   * Mercado Pago no acepta precios negativos, así que el descuento de un cupón se
+   * resta del concepto al que aplica para que la suma de items coincida con el total
    * @param {Array} items - Items del pedido
    * @param {number} deliveryFee - Tarifa de envío
    * @param {number} serviceFee - Cuota de servicio
+   * @param {Object|null} [appliedCoupon] - Cupón aplicado { code, discountAmount, appliesTo }
+   * @param {number} [tipAmount] - Propina para el repartidor
    * @returns {Array} Items formateados para Mercado Pago
    */
-  buildMercadoPagoItems(items, deliveryFee, serviceFee) {
+  buildMercadoPagoItems(items, deliveryFee, serviceFee, appliedCoupon = null, tipAmount = 0) {
     const mpItems = [];
+    const discountAmount = appliedCoupon ? Number(appliedCoupon.discountAmount) : 0;
 
-    // Agregar productos
-    for (const item of items) {
-      mpItems.push({
-        title: item.title,
-        description: item.description || `Producto de ${item.restaurantName}`,
-        quantity: item.quantity,
-        currency_id: 'MXN',
-        unit_price: item.unit_price
-      });
+    if (discountAmount > 0 && appliedCoupon.appliesTo === 'subtotal') {
+      // Consolidar los productos en un solo concepto con el descuento aplicado
+      const productsTotal = items.reduce((sum, item) => sum + (item.quantity * item.unit_price), 0);
+      const productCount = items.reduce((sum, item) => sum + item.quantity, 0);
+      const discountedProductsTotal = Math.round((productsTotal - discountAmount) * 100) / 100;
+      // Mercado Pago no acepta conceptos en cero; un descuento total omite el renglón de productos
+      if (discountedProductsTotal > 0) {
+        mpItems.push({
+          title: `Pedido de ${items[0].restaurantName}`,
+          description: `${productCount} productos con cupón ${appliedCoupon.code} (-$${discountAmount.toFixed(2)})`,
+          quantity: 1,
+          currency_id: 'MXN',
+          unit_price: discountedProductsTotal
+        });
+      }
+    } else {
+      // Agregar productos
+      for (const item of items) {
+        mpItems.push({
+          title: item.title,
+          description: item.description || `Producto de ${item.restaurantName}`,
+          quantity: item.quantity,
+          currency_id: 'MXN',
+          unit_price: item.unit_price
+        });
+      }
     }
 
-    // Agregar tarifa de envío si es mayor a 0
-    if (deliveryFee > 0) {
+    // Agregar tarifa de envío si es mayor a 0 (menos el descuento de envío gratis)
+    const deliveryDiscount = discountAmount > 0 && appliedCoupon.appliesTo === 'delivery' ? discountAmount : 0;
+    const chargedDeliveryFee = Math.round((Number(deliveryFee) - deliveryDiscount) * 100) / 100;
+    if (chargedDeliveryFee > 0) {
       mpItems.push({
         title: 'Costo de envío',
         description: 'Tarifa de entrega a domicilio',
         quantity: 1,
         currency_id: 'MXN',
-        unit_price: Number(deliveryFee)
+        unit_price: chargedDeliveryFee
       });
     }
 
@@ -149,9 +356,50 @@ class MercadoPagoService {
       });
     }
 
+    // Agregar propina si el cliente la incluyó
+    if (Number(tipAmount) > 0) {
+      mpItems.push(this.buildTipItem(tipAmount));
+    }
+
     return mpItems;
   }
 
+  /**
+   * Construye el concepto de propina para el repartidor
+   * @param {number} tipAmount - Propina
+   * @returns {Object} Item formateado para Mercado Pago
+   */
+  buildTipItem(tipAmount) {
+    return {
+      title: 'Propina para el repartidor',
+      description: 'El 100% de la propina es para tu repartidor',
+      quantity: 1,
+      currency_id: 'MXN',
+      unit_price: Number(tipAmount)
+    };
+  }
+
+  /**
+   * Mapea estados de pago de Mercado Pago a estados internos de PaymentStatus
+   * @param {string} mpStatus - Estado de Mercado Pago
+   * @returns {string} Estado interno correspondiente
+   */
+  mapPaymentStatus(mpStatus) {
+    const statusMap = {
+      'pending': 'pending',
+      'in_process': 'processing',
+      'approved': 'completed',
+      'authorized': 'completed',
+      'in_mediation': 'processing',
+      'rejected': 'failed',
+      'cancelled': 'cancelled',
+      'refunded': 'refunded',
+      'charged_back': 'failed'
+    };
+
+    return statusMap[mpStatus] || 'pending';
+  }
+
   /**
    * Genera una referencia externa única para Mercado Pago
    * @returns {string} Referencia externa única
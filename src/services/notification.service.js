@@ -143,6 +143,66 @@ class NotificationService {
     }
   }
 
+  /**
+   * Avisa al restaurante y al cliente que un pedido programado se liberó a cocina
+   * Registra la notificación de ambos y emite el evento por Socket.io; nunca interrumpe la liberación
+   * @param {Object} order - Pedido con restaurant (id, name, ownerId) y customer
+   * @param {string} requestId - ID de la request para logging
+   */
+  static async notifyScheduledOrderReleased(order, requestId = null) {
+    const orderId = order.id.toString();
+
+    try {
+      await prisma.notification.createMany({
+        data: [
+          {
+            userId: order.restaurant.ownerId,
+            title: `Pedido programado #${orderId}`,
+            message: `El pedido programado para ${order.scheduledFor.toISOString()} está listo para prepararse`,
+            type: 'ORDER_UPDATE'
+          },
+          {
+            userId: order.customerId,
+            title: `Tu pedido #${orderId} está en camino a cocina`,
+            message: `${order.restaurant.name} comenzará a preparar tu pedido programado`,
+            type: 'ORDER_UPDATE'
+          }
+        ]
+      });
+
+      const payload = {
+        orderId,
+        status: order.status,
+        scheduledFor: order.scheduledFor,
+        restaurant: {
+          id: order.restaurant.id,
+          name: order.restaurant.name
+        },
+        customer: order.customer ? {
+          id: order.customer.id,
+          fullName: `${order.customer.name} ${order.customer.lastname}`
+        } : null,
+        total: Number(order.total),
+        releasedAt: new Date().toISOString()
+      };
+
+      const io = getIo();
+      io.to(`restaurant_${order.restaurant.id}`).emit('scheduled_order_released', payload);
+      io.to(`user_${order.customerId}`).emit('scheduled_order_released', payload);
+
+      logger.info('Pedido programado notificado al restaurante y al cliente', {
+        requestId,
+        meta: { orderId, restaurantId: order.restaurant.id }
+      });
+
+    } catch (error) {
+      logger.error('Error notificando liberación de pedido programado', {
+        requestId,
+        meta: { orderId, error: error.message }
+      });
+    }
+  }
+
   /**
    * Obtiene repartidores de plataforma disponibles dentro del radio
    * @param {Object} branch - Información de la sucursal
@@ -0,0 +1,677 @@
+/**
+ * Aceptación de pedidos por el restaurante
+ * Un pedido espera al restaurante en 'placed' (pago en línea aprobado) o en 'pending' (efectivo).
+ * - Con RestaurantConfig.autoAcceptOrders el pedido se confirma en cuanto llega.
+ * - Sin ella, el dashboard recibe un recordatorio cada reminderAfterMinutes y, al cumplir
+ *   autoCancelAfterMinutes sin respuesta, el pedido se cancela y se reembolsa si ya estaba pagado.
+ * - Cada pedido vencido suma a consecutiveMissedOrders (aceptar uno reinicia la cuenta). Cada
+ *   missedOrdersThreshold pedidos seguidos el restaurante se marca y, si pauseOnRepeatedMisses
+ *   está activo, se pausa (Restaurant.isGloballyOpen = false) hasta que el owner lo reactive.
+ */
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const { getIo } = require('../config/socket');
+const { DASHBOARD_EVENTS } = require('../websocket/dashboard-socket-handler');
+const OrderStatusService = require('./order-status.service');
+const CouponService = require('./coupon.service');
+const RefundService = require('./refund.service');
+const StockService = require('./stock.service');
+
+// Configuración de la política de aceptación (sobrescribible por variables de entorno)
+const ORDER_ACCEPTANCE_CONFIG = {
+  reminderAfterMinutes: parseInt(process.env.ORDER_ACCEPTANCE_REMINDER_MINUTES, 10) || 5,
+  autoCancelAfterMinutes: parseInt(process.env.ORDER_ACCEPTANCE_TIMEOUT_MINUTES, 10) || 15,
+  missedOrdersThreshold: parseInt(process.env.ORDER_ACCEPTANCE_MISSED_THRESHOLD, 10) || 3,
+  pauseOnRepeatedMisses: process.env.ORDER_ACCEPTANCE_PAUSE_ON_MISSES === 'true',
+  sweepIntervalSeconds: parseInt(process.env.ORDER_ACCEPTANCE_SWEEP_SECONDS, 10) || 60,
+  sweepBatchSize: 100
+};
+
+const AUTO_ACCEPT_REASON = 'Aceptación automática del restaurante';
+const AUTO_CANCEL_REASON = 'El restaurante no aceptó el pedido a tiempo';
+
+// Un pedido en 'pending' pagado en línea todavía espera su pago; ese lo atiende la conciliación
+const AWAITING_ACCEPTANCE_WHERE = {
+  OR: [
+    { status: 'placed' },
+    { status: 'pending', payment: { provider: 'cash' } }
+  ]
+};
+
+const awaitingOrderSelect = {
+  id: true,
+  status: true,
+  fulfillmentType: true,
+  customerId: true,
+  restaurantId: true,
+  paymentStatus: true,
+  total: true,
+  orderPlacedAt: true,
+  acceptanceReminderSentAt: true,
+  payment: { select: { id: true, provider: true, status: true } },
+  restaurant: {
+    select: {
+      id: true,
+      name: true,
+      ownerId: true,
+      config: { select: { autoAcceptOrders: true } }
+    }
+  },
+  statusHistory: {
+    select: { toStatus: true, createdAt: true },
+    orderBy: { createdAt: 'desc' },
+    take: 1
+  }
+};
+
+let acceptanceInterval = null;
+
+/**
+ * Indica si el pedido está esperando que el restaurante lo acepte
+ * @param {Object} order - Pedido con status y payment
+ * @returns {boolean}
+ */
+function isAwaitingAcceptance(order) {
+  return order.status === 'placed' ||
+    (order.status === 'pending' && !!order.payment && order.payment.provider === 'cash');
+}
+
+/**
+ * Momento desde el que el pedido espera al restaurante
+ * Es la llegada a su estado actual (un programado empieza a esperar al liberarse), o la creación
+ * del pedido si nunca cambió de estado (efectivo inmediato).
+ * @param {Object} order - Pedido con status, orderPlacedAt y su último registro de statusHistory
+ * @returns {Date}
+ */
+function getWaitingSince(order) {
+  const [lastChange] = order.statusHistory || [];
+  if (lastChange && lastChange.toStatus === order.status) {
+    return lastChange.createdAt;
+  }
+  return order.orderPlacedAt;
+}
+
+/**
+ * Emite un evento del dashboard al restaurante (sala general y sala del dashboard)
+ * Un fallo del socket no interrumpe el proceso que lo emite.
+ * @param {number} restaurantId - ID del restaurante
+ * @param {string} type - Evento de DASHBOARD_EVENTS
+ * @param {Object} data - Datos del evento
+ * @param {string} [requestId] - ID de la solicitud para logging
+ */
+function emitToRestaurant(restaurantId, type, data, requestId = null) {
+  try {
+    getIo()
+      .to(`restaurant_${restaurantId}`)
+      .to(`dashboard_${restaurantId}`)
+      .emit(type, {
+        type,
+        data: { ...data, restaurantId, timestamp: new Date().toISOString() }
+      });
+  } catch (socketError) {
+    logger.warn('No se pudo notificar al restaurante por Socket.io', {
+      requestId,
+      meta: { restaurantId, type, error: socketError.message }
+    });
+  }
+}
+
+/**
+ * Emite la actualización de estado al cliente del pedido
+ * @param {Object} order - Pedido con id y customerId
+ * @param {string} status - Estado nuevo
+ * @param {string} reason - Motivo del cambio
+ * @param {string} [requestId] - ID de la solicitud para logging
+ */
+function emitToCustomer(order, status, reason, requestId = null) {
+  try {
+    getIo().to(`user_${order.customerId}`).emit('order_status_update', {
+      orderId: order.id.toString(),
+      status,
+      reason
+    });
+  } catch (socketError) {
+    logger.warn('No se pudo notificar al cliente por Socket.io', {
+      requestId,
+      meta: { orderId: order.id.toString(), error: socketError.message }
+    });
+  }
+}
+
+/**
+ * Formatea la configuración de aceptación de un restaurante
+ * @param {Object} restaurant - Restaurante con isGloballyOpen y config
+ * @returns {Object} Configuración formateada
+ */
+function formatSettings(restaurant) {
+  const config = restaurant.config || {};
+
+  return {
+    restaurantId: restaurant.id,
+    autoAcceptOrders: !!config.autoAcceptOrders,
+    acceptingOrders: restaurant.isGloballyOpen,
+    consecutiveMissedOrders: config.consecutiveMissedOrders || 0,
+    missedOrdersFlaggedAt: config.missedOrdersFlaggedAt || null,
+    policy: {
+      reminderAfterMinutes: ORDER_ACCEPTANCE_CONFIG.reminderAfterMinutes,
+      autoCancelAfterMinutes: ORDER_ACCEPTANCE_CONFIG.autoCancelAfterMinutes,
+      missedOrdersThreshold: ORDER_ACCEPTANCE_CONFIG.missedOrdersThreshold,
+      pauseOnRepeatedMisses: ORDER_ACCEPTANCE_CONFIG.pauseOnRepeatedMisses
+    }
+  };
+}
+
+class OrderAcceptanceService {
+
+  /**
+   * Confirma un pedido recién llegado si su restaurante tiene aceptación automática
+   * Se llama al aprobarse el pago, al crear un pedido en efectivo y al liberar un programado;
+   * nunca interrumpe el flujo que lo llama.
+   * @param {BigInt} orderId - ID del pedido
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<boolean>} true si el pedido quedó confirmado
+   */
+  static async autoAcceptIfEnabled(orderId, requestId = null) {
+    try {
+      const order = await prisma.order.findUnique({
+        where: { id: orderId },
+        select: awaitingOrderSelect
+      });
+
+      if (!order || !isAwaitingAcceptance(order) || !order.restaurant.config?.autoAcceptOrders) {
+        return false;
+      }
+
+      return await this.autoAcceptOrder(order, requestId);
+
+    } catch (error) {
+      logger.error('Error en la aceptación automática del pedido', {
+        requestId,
+        meta: { orderId: orderId.toString(), error: error.message }
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Confirma un pedido en nombre del restaurante
+   * @param {Object} order - Pedido con awaitingOrderSelect
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<boolean>} true si se confirmó; false si alguien más lo cambió antes
+   */
+  static async autoAcceptOrder(order, requestId = null) {
+    try {
+      await prisma.$transaction(async (tx) => {
+        await OrderStatusService.transition(tx, order, 'confirmed', {
+          source: 'system',
+          reason: AUTO_ACCEPT_REASON
+        }, requestId);
+
+        await StockService.commitOrderStock(tx, order.id, null, requestId);
+      });
+    } catch (error) {
+      if (error.code === 'ORDER_STATUS_CONFLICT') {
+        return false;
+      }
+      throw error;
+    }
+
+    logger.info('Pedido aceptado automáticamente', {
+      requestId,
+      meta: { orderId: order.id.toString(), restaurantId: order.restaurantId, previousStatus: order.status }
+    });
+
+    emitToCustomer(order, 'confirmed', 'AUTO_ACCEPTED', requestId);
+    emitToRestaurant(order.restaurantId, DASHBOARD_EVENTS.ORDER_STATUS_CHANGED, {
+      orderId: order.id.toString(),
+      previousStatus: order.status,
+      status: 'confirmed',
+      autoAccepted: true
+    }, requestId);
+
+    return true;
+  }
+
+  /**
+   * Recuerda al restaurante un pedido que sigue sin aceptar
+   * La marca de recordatorio se condiciona a la anterior para no duplicarlo entre instancias.
+   * @param {Object} order - Pedido con awaitingOrderSelect
+   * @param {Date} waitingSince - Desde cuándo espera el pedido
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<boolean>} true si se envió el recordatorio
+   */
+  static async sendReminder(order, waitingSince, requestId = null) {
+    const now = new Date();
+
+    const { count } = await prisma.order.updateMany({
+      where: {
+        id: order.id,
+        status: order.status,
+        acceptanceReminderSentAt: order.acceptanceReminderSentAt
+      },
+      data: { acceptanceReminderSentAt: now }
+    });
+
+    if (count === 0) {
+      return false;
+    }
+
+    const autoCancelAt = new Date(waitingSince.getTime() + ORDER_ACCEPTANCE_CONFIG.autoCancelAfterMinutes * 60 * 1000);
+
+    emitToRestaurant(order.restaurantId, DASHBOARD_EVENTS.ORDER_ACCEPTANCE_REMINDER, {
+      orderId: order.id.toString(),
+      status: order.status,
+      total: Number(order.total),
+      waitingMinutes: Math.floor((now - waitingSince) / 60000),
+      autoCancelAt: autoCancelAt.toISOString()
+    }, requestId);
+
+    logger.info('Recordatorio de pedido sin aceptar enviado', {
+      requestId,
+      meta: { orderId: order.id.toString(), restaurantId: order.restaurantId }
+    });
+
+    return true;
+  }
+
+  /**
+   * Cancela un pedido que el restaurante no aceptó a tiempo y reembolsa lo pagado en línea
+   * @param {Object} order - Pedido con awaitingOrderSelect
+   * @param {number} waitingMinutes - Minutos que esperó el pedido
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<boolean>} true si el pedido se canceló
+   */
+  static async autoCancelOrder(order, waitingMinutes, requestId = null) {
+    const isPaid = order.paymentStatus === 'completed';
+
+    let cancelled;
+    try {
+      cancelled = await prisma.$transaction(async (tx) => {
+        await OrderStatusService.transition(tx, order, 'cancelled', {
+          source: 'system',
+          reason: AUTO_CANCEL_REASON,
+          data: {
+            rejectionReason: AUTO_CANCEL_REASON,
+            ...(isPaid ? {} : { paymentStatus: 'cancelled' })
+          }
+        }, requestId);
+
+        if (!isPaid && order.payment && ['pending', 'processing'].includes(order.payment.status)) {
+          await tx.payment.update({
+            where: { id: order.payment.id },
+            data: { status: 'cancelled' }
+          });
+        }
+
+        await CouponService.releaseRedemption(tx, order.id, requestId);
+        await StockService.releaseOrderStock(tx, order.id, requestId);
+
+        await tx.notification.createMany({
+          data: [
+            {
+              userId: order.customerId,
+              title: `Pedido #${order.id} cancelado`,
+              message: isPaid
+                ? `${order.restaurant.name} no aceptó tu pedido a tiempo. Te reembolsaremos el pago`
+                : `${order.restaurant.name} no aceptó tu pedido a tiempo`,
+              type: 'ORDER_UPDATE'
+            },
+            {
+              userId: order.restaurant.ownerId,
+              title: `Pedido #${order.id} cancelado automáticamente`,
+              message: `El pedido se canceló porque no se aceptó en ${ORDER_ACCEPTANCE_CONFIG.autoCancelAfterMinutes} minutos`,
+              type: 'ORDER_UPDATE'
+            }
+          ]
+        });
+
+        await tx.auditLog.create({
+          data: {
+            userId: null,
+            action: 'AUTO_CANCEL_ORDER',
+            entity: 'ORDER',
+            entityId: order.id,
+            details: {
+              previousStatus: order.status,
+              reason: AUTO_CANCEL_REASON,
+              waitingMinutes,
+              paymentStatus: order.paymentStatus
+            }
+          }
+        });
+
+        return true;
+      });
+    } catch (error) {
+      if (error.code === 'ORDER_STATUS_CONFLICT') {
+        return false;
+      }
+      throw error;
+    }
+
+    logger.warn('Pedido cancelado por falta de aceptación del restaurante', {
+      requestId,
+      meta: { orderId: order.id.toString(), restaurantId: order.restaurantId, waitingMinutes, isPaid }
+    });
+
+    emitToCustomer(order, 'cancelled', 'RESTAURANT_TIMEOUT', requestId);
+    emitToRestaurant(order.restaurantId, DASHBOARD_EVENTS.ORDER_CANCELLED, {
+      orderId: order.id.toString(),
+      previousStatus: order.status,
+      reason: AUTO_CANCEL_REASON,
+      autoCancelled: true
+    }, requestId);
+
+    await this.registerMissedOrder(order.restaurant, requestId);
+
+    // Un reembolso fallido queda registrado en Refund y soporte lo reintenta desde la consola
+    if (isPaid) {
+      try {
+        await RefundService.createRefund(order.id, {
+          type: 'full',
+          reason: 'RESTAURANT_CANCELLED',
+          notes: AUTO_CANCEL_REASON
+        }, null, requestId);
+      } catch (refundError) {
+        logger.error('No se pudo reembolsar el pedido cancelado automáticamente', {
+          requestId,
+          meta: { orderId: order.id.toString(), code: refundError.code, error: refundError.message }
+        });
+      }
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Suma un pedido vencido a la racha del restaurante y lo marca (o pausa) al llegar al umbral
+   * @param {Object} restaurant - Restaurante con id, name y ownerId
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} consecutiveMissedOrders, flagged y paused
+   */
+  static async registerMissedOrder(restaurant, requestId = null) {
+    const config = await prisma.restaurantConfig.upsert({
+      where: { restaurantId: restaurant.id },
+      create: { restaurantId: restaurant.id, consecutiveMissedOrders: 1 },
+      update: { consecutiveMissedOrders: { increment: 1 } }
+    });
+
+    const { consecutiveMissedOrders } = config;
+    const { missedOrdersThreshold, pauseOnRepeatedMisses } = ORDER_ACCEPTANCE_CONFIG;
+
+    // Se marca una vez por cada missedOrdersThreshold pedidos seguidos, no en cada pedido vencido
+    if (consecutiveMissedOrders % missedOrdersThreshold !== 0) {
+      return { consecutiveMissedOrders, flagged: false, paused: false };
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.restaurantConfig.update({
+        where: { restaurantId: restaurant.id },
+        data: { missedOrdersFlaggedAt: new Date() }
+      });
+
+      if (pauseOnRepeatedMisses) {
+        await tx.restaurant.update({
+          where: { id: restaurant.id },
+          data: { isGloballyOpen: false }
+        });
+      }
+
+      await tx.notification.create({
+        data: {
+          userId: restaurant.ownerId,
+          title: pauseOnRepeatedMisses ? 'Restaurante pausado' : 'Pedidos sin aceptar',
+          message: pauseOnRepeatedMisses
+            ? `${restaurant.name} dejó de recibir pedidos porque ${consecutiveMissedOrders} pedidos seguidos se cancelaron sin aceptarse. Reactívalo cuando estés listo para atenderlos`
+            : `${consecutiveMissedOrders} pedidos seguidos de ${restaurant.name} se cancelaron sin aceptarse`,
+          type: 'RESTAURANT_UPDATE'
+        }
+      });
+
+      await tx.auditLog.create({
+        data: {
+          userId: null,
+          action: pauseOnRepeatedMisses ? 'PAUSE_RESTAURANT_MISSED_ORDERS' : 'FLAG_RESTAURANT_MISSED_ORDERS',
+          entity: 'RESTAURANT',
+          entityId: restaurant.id,
+          details: {
+            consecutiveMissedOrders,
+            missedOrdersThreshold,
+            paused: pauseOnRepeatedMisses
+          }
+        }
+      });
+    });
+
+    logger.warn('Restaurante marcado por pedidos sin aceptar', {
+      requestId,
+      meta: { restaurantId: restaurant.id, consecutiveMissedOrders, paused: pauseOnRepeatedMisses }
+    });
+
+    emitToRestaurant(restaurant.id, DASHBOARD_EVENTS.RESTAURANT_ALERT, {
+      alert: 'MISSED_ORDERS',
+      consecutiveMissedOrders,
+      paused: pauseOnRepeatedMisses
+    }, requestId);
+
+    return { consecutiveMissedOrders, flagged: true, paused: pauseOnRepeatedMisses };
+  }
+
+  /**
+   * Reinicia la racha de pedidos vencidos cuando el restaurante acepta un pedido
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {number} restaurantId - ID del restaurante
+   * @returns {Promise<void>}
+   */
+  static async resetMissedOrders(tx, restaurantId) {
+    await tx.restaurantConfig.updateMany({
+      where: { restaurantId, consecutiveMissedOrders: { gt: 0 } },
+      data: { consecutiveMissedOrders: 0 }
+    });
+  }
+
+  /**
+   * Revisa los pedidos que esperan al restaurante: acepta, recuerda o cancela según la política
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @param {Object} [filters] - restaurantId para revisar solo un restaurante
+   * @returns {Promise<Object>} Resumen { checked, autoAccepted, reminded, cancelled, errors }
+   */
+  static async processAwaitingOrders(requestId = null, { restaurantId } = {}) {
+    const summary = { checked: 0, autoAccepted: 0, reminded: 0, cancelled: 0, errors: 0 };
+    const { reminderAfterMinutes, autoCancelAfterMinutes, sweepBatchSize } = ORDER_ACCEPTANCE_CONFIG;
+
+    try {
+      const orders = await prisma.order.findMany({
+        where: {
+          ...AWAITING_ACCEPTANCE_WHERE,
+          ...(restaurantId ? { restaurantId } : {})
+        },
+        select: awaitingOrderSelect,
+        orderBy: { orderPlacedAt: 'asc' },
+        take: sweepBatchSize
+      });
+
+      for (const order of orders) {
+        summary.checked++;
+
+        try {
+          if (order.restaurant.config?.autoAcceptOrders) {
+            if (await this.autoAcceptOrder(order, requestId)) {
+              summary.autoAccepted++;
+            }
+            continue;
+          }
+
+          const now = Date.now();
+          const waitingSince = getWaitingSince(order);
+          const waitingMinutes = (now - waitingSince) / 60000;
+
+          if (waitingMinutes >= autoCancelAfterMinutes) {
+            if (await this.autoCancelOrder(order, Math.floor(waitingMinutes), requestId)) {
+              summary.cancelled++;
+            }
+            continue;
+          }
+
+          const lastReminderAt = order.acceptanceReminderSentAt && order.acceptanceReminderSentAt > waitingSince
+            ? order.acceptanceReminderSentAt
+            : waitingSince;
+
+          if ((now - lastReminderAt) / 60000 >= reminderAfterMinutes) {
+            if (await this.sendReminder(order, waitingSince, requestId)) {
+              summary.reminded++;
+            }
+          }
+
+        } catch (error) {
+          summary.errors++;
+          logger.error('Error procesando pedido sin aceptar', {
+            requestId,
+            meta: { orderId: order.id.toString(), error: error.message }
+          });
+        }
+      }
+
+      if (summary.autoAccepted + summary.reminded + summary.cancelled + summary.errors > 0) {
+        logger.info('Revisión de pedidos sin aceptar completada', {
+          requestId,
+          meta: summary
+        });
+      }
+
+      return summary;
+
+    } catch (error) {
+      logger.error('Error en la revisión de pedidos sin aceptar', {
+        requestId,
+        meta: { error: error.message, stack: error.stack }
+      });
+      return summary;
+    }
+  }
+
+  /**
+   * Inicia la revisión periódica de pedidos sin aceptar
+   */
+  static startAcceptanceWorker() {
+    if (acceptanceInterval) {
+      return;
+    }
+
+    this.processAwaitingOrders();
+
+    acceptanceInterval = setInterval(() => this.processAwaitingOrders(), ORDER_ACCEPTANCE_CONFIG.sweepIntervalSeconds * 1000);
+
+    if (typeof acceptanceInterval.unref === 'function') {
+      acceptanceInterval.unref();
+    }
+
+    logger.info('Revisión de pedidos sin aceptar iniciada', {
+      meta: {
+        sweepIntervalSeconds: ORDER_ACCEPTANCE_CONFIG.sweepIntervalSeconds,
+        reminderAfterMinutes: ORDER_ACCEPTANCE_CONFIG.reminderAfterMinutes,
+        autoCancelAfterMinutes: ORDER_ACCEPTANCE_CONFIG.autoCancelAfterMinutes,
+        missedOrdersThreshold: ORDER_ACCEPTANCE_CONFIG.missedOrdersThreshold,
+        pauseOnRepeatedMisses: ORDER_ACCEPTANCE_CONFIG.pauseOnRepeatedMisses
+      }
+    });
+  }
+
+  /**
+   * Obtiene la configuración de aceptación de pedidos de un restaurante
+   * @param {number} restaurantId - ID del restaurante
+   * @returns {Promise<Object>} Configuración formateada
+   */
+  static async getSettings(restaurantId) {
+    const restaurant = await prisma.restaurant.findUnique({
+      where: { id: restaurantId },
+      select: {
+        id: true,
+        isGloballyOpen: true,
+        config: {
+          select: {
+            autoAcceptOrders: true,
+            consecutiveMissedOrders: true,
+            missedOrdersFlaggedAt: true
+          }
+        }
+      }
+    });
+
+    if (!restaurant) {
+      throw {
+        status: 404,
+        message: 'Restaurante no encontrado',
+        code: 'RESTAURANT_NOT_FOUND'
+      };
+    }
+
+    return formatSettings(restaurant);
+  }
+
+  /**
+   * Actualiza la aceptación automática y la recepción de pedidos de un restaurante
+   * Reactivar la recepción reinicia la racha de pedidos vencidos. Al activar la aceptación
+   * automática se confirman de inmediato los pedidos que ya estaban esperando.
+   * @param {number} restaurantId - ID del restaurante
+   * @param {Object} data - autoAcceptOrders y/o acceptingOrders
+   * @param {number} userId - Owner que hace el cambio
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Configuración formateada
+   */
+  static async updateSettings(restaurantId, { autoAcceptOrders, acceptingOrders }, userId, requestId = null) {
+    const previous = await this.getSettings(restaurantId);
+
+    await prisma.$transaction(async (tx) => {
+      if (autoAcceptOrders !== undefined) {
+        await tx.restaurantConfig.upsert({
+          where: { restaurantId },
+          create: { restaurantId, autoAcceptOrders },
+          update: { autoAcceptOrders }
+        });
+      }
+
+      if (acceptingOrders !== undefined) {
+        await tx.restaurant.update({
+          where: { id: restaurantId },
+          data: { isGloballyOpen: acceptingOrders }
+        });
+
+        if (acceptingOrders) {
+          await this.resetMissedOrders(tx, restaurantId);
+        }
+      }
+
+      await tx.auditLog.create({
+        data: {
+          userId,
+          action: 'UPDATE_ORDER_ACCEPTANCE_SETTINGS',
+          entity: 'RESTAURANT_CONFIG',
+          entityId: restaurantId,
+          details: {
+            previous: {
+              autoAcceptOrders: previous.autoAcceptOrders,
+              acceptingOrders: previous.acceptingOrders
+            },
+            changes: { autoAcceptOrders, acceptingOrders }
+          }
+        }
+      });
+    });
+
+    logger.info('Configuración de aceptación de pedidos actualizada', {
+      requestId,
+      meta: { restaurantId, userId, autoAcceptOrders, acceptingOrders }
+    });
+
+    if (autoAcceptOrders && !previous.autoAcceptOrders) {
+      await this.processAwaitingOrders(requestId, { restaurantId });
+    }
+
+    return this.getSettings(restaurantId);
+  }
+}
+
+OrderAcceptanceService.CONFIG = ORDER_ACCEPTANCE_CONFIG;
+
+module.exports = OrderAcceptanceService;
@@ -0,0 +1,272 @@
+/**
+ * Máquina de estados de los pedidos
+ * Reúne en un solo lugar qué transiciones existen, quién puede ejecutarlas y el registro
+ * de cada cambio en OrderStatusHistory (quién, cuándo, de qué estado a cuál y por qué).
+ *
+ * Orígenes de un cambio:
+ * - restaurant: personal del restaurante (además se valida su rol)
+ * - driver: repartidor que acepta o entrega el pedido
+ * - admin: soporte desde la consola de pedidos o un reembolso total
+ * - system: procesos automáticos (webhook de pago, liberación de programados, conciliación,
+ *   aceptación y cancelación automática de pedidos sin aceptar)
+ */
+const { logger } = require('../config/logger');
+
+const FINAL_STATUSES = ['delivered', 'cancelled', 'refunded'];
+
+const RESTAURANT_MANAGERS = ['owner', 'branch_manager', 'order_manager'];
+const RESTAURANT_KITCHEN = [...RESTAURANT_MANAGERS, 'kitchen_staff'];
+
+// Estado actual → estado nuevo → orígenes permitidos.
+// Para el restaurante el valor es la lista de roles; para los demás orígenes basta con true.
+// fulfillmentType limita la transición a pedidos a domicilio o para recoger.
+const ORDER_STATUS_TRANSITIONS = {
+  pending: {
+    placed: { system: true },
+    scheduled: { system: true },
+    confirmed: { restaurant: RESTAURANT_MANAGERS, admin: true, system: true },
+    cancelled: { restaurant: RESTAURANT_MANAGERS, admin: true, system: true }
+  },
+  // Un pedido programado aún no llega a cocina; solo se libera o se cancela
+  scheduled: {
+    placed: { system: true },
+    pending: { system: true },
+    cancelled: { restaurant: RESTAURANT_MANAGERS, admin: true }
+  },
+  // 'placed' = pago aprobado, esperando que el restaurante acepte el pedido
+  // El sistema lo confirma si el restaurante tiene aceptación automática o lo cancela si no lo acepta a tiempo
+  placed: {
+    confirmed: { restaurant: RESTAURANT_MANAGERS, admin: true, system: true },
+    cancelled: { restaurant: RESTAURANT_MANAGERS, admin: true, system: true }
+  },
+  confirmed: {
+    preparing: { restaurant: RESTAURANT_KITCHEN, admin: true },
+    cancelled: { restaurant: RESTAURANT_MANAGERS, admin: true }
+  },
+  preparing: {
+    ready_for_pickup: { restaurant: RESTAURANT_KITCHEN, admin: true },
+    cancelled: { admin: true }
+  },
+  // Un pedido para recoger se entrega en mostrador; uno a domicilio sale con el repartidor
+  ready_for_pickup: {
+    out_for_delivery: { restaurant: RESTAURANT_MANAGERS, driver: true, admin: true, fulfillmentType: 'delivery' },
+    delivered: { restaurant: RESTAURANT_MANAGERS, fulfillmentType: 'pickup' },
+    cancelled: { admin: true }
+  },
+  out_for_delivery: {
+    delivered: { restaurant: RESTAURANT_MANAGERS, driver: true },
+    cancelled: { admin: true }
+  },
+  delivered: {},
+  cancelled: {},
+  refunded: {}
+};
+
+// Un reembolso total lo emite soporte (o la cancelación automática) sin importar el estado del pedido
+const REFUND_RULE = { admin: true, system: true };
+
+// Columnas de fecha del pedido que se llenan al llegar a cada estado
+const STATUS_TIMESTAMPS = {
+  confirmed: ['orderConfirmedAt'],
+  ready_for_pickup: ['orderPreparedAt', 'orderReadyForPickupAt'],
+  delivered: ['orderDeliveredAt'],
+  cancelled: ['cancelledAt']
+};
+
+class OrderStatusService {
+
+  /**
+   * Reglas de las transiciones que salen de un estado, según el tipo de entrega del pedido
+   * @param {Object} order - Pedido con status y fulfillmentType
+   * @returns {Object} Estado nuevo → orígenes permitidos
+   */
+  static getTransitionRules(order) {
+    const rules = {};
+
+    for (const [toStatus, rule] of Object.entries(ORDER_STATUS_TRANSITIONS[order.status] || {})) {
+      if (rule.fulfillmentType && rule.fulfillmentType !== (order.fulfillmentType || 'delivery')) {
+        continue;
+      }
+      rules[toStatus] = rule;
+    }
+
+    if (order.status !== 'refunded') {
+      rules.refunded = REFUND_RULE;
+    }
+
+    return rules;
+  }
+
+  /**
+   * Indica si un origen (y en el restaurante, su rol) puede ejecutar una regla
+   * @param {Object} rule - Orígenes permitidos de la transición
+   * @param {string} source - restaurant, driver, admin o system
+   * @param {string} [role] - Rol del usuario del restaurante
+   * @returns {boolean}
+   */
+  static ruleAllows(rule, source, role = null) {
+    if (!rule || !rule[source]) {
+      return false;
+    }
+    return source !== 'restaurant' || rule.restaurant.includes(role);
+  }
+
+  /**
+   * Estados a los que un origen puede llevar el pedido desde su estado actual
+   * @param {Object} order - Pedido con status y fulfillmentType
+   * @param {string} source - restaurant, driver, admin o system
+   * @param {string} [role] - Rol del usuario del restaurante
+   * @returns {Array<string>} Estados permitidos
+   */
+  static getAllowedTransitions(order, source, role = null) {
+    return Object.entries(this.getTransitionRules(order))
+      .filter(([, rule]) => this.ruleAllows(rule, source, role))
+      .map(([toStatus]) => toStatus);
+  }
+
+  /**
+   * Valida que un origen pueda llevar el pedido al estado indicado
+   * @param {Object} order - Pedido con id, status y fulfillmentType
+   * @param {string} toStatus - Estado nuevo
+   * @param {Object} options - source, role y force
+   * @param {string} options.source - restaurant, driver, admin o system
+   * @param {string} [options.role] - Rol del usuario del restaurante
+   * @param {boolean} [options.force] - Solo admin: permite saltar o retroceder entre estados activos
+   * @throws {Object} ORDER_IN_FINAL_STATE, INVALID_STATUS_TRANSITION o STATUS_UPDATE_NOT_ALLOWED_FOR_ROLE
+   */
+  static assertTransition(order, toStatus, { source, role = null, force = false }) {
+    const rules = this.getTransitionRules(order);
+    const rule = rules[toStatus];
+
+    if (this.ruleAllows(rule, source, role)) {
+      return;
+    }
+
+    if (FINAL_STATUSES.includes(order.status)) {
+      throw {
+        status: 409,
+        message: 'No se puede cambiar el estado de un pedido finalizado',
+        code: 'ORDER_IN_FINAL_STATE',
+        details: {
+          orderId: order.id.toString(),
+          currentStatus: order.status,
+          finalStates: FINAL_STATUSES
+        }
+      };
+    }
+
+    if (force && source === 'admin' && !FINAL_STATUSES.includes(toStatus) && toStatus !== order.status) {
+      return;
+    }
+
+    if (rule && source === 'restaurant' && rule.restaurant) {
+      throw {
+        status: 403,
+        message: `Tu rol '${role}' no tiene permisos para cambiar el estado de ${order.status} a ${toStatus}`,
+        code: 'STATUS_UPDATE_NOT_ALLOWED_FOR_ROLE',
+        details: {
+          userRole: role,
+          currentStatus: order.status,
+          newStatus: toStatus,
+          allowedRoles: rule.restaurant
+        }
+      };
+    }
+
+    throw {
+      status: 409,
+      message: `Transición de estado inválida: ${order.status} → ${toStatus}`,
+      code: 'INVALID_STATUS_TRANSITION',
+      details: {
+        currentStatus: order.status,
+        newStatus: toStatus,
+        allowedStatuses: this.getAllowedTransitions(order, source, role)
+      }
+    };
+  }
+
+  /**
+   * Cambia el estado de un pedido validando la transición y la registra en el historial
+   * La actualización se condiciona al estado leído para no pisar un cambio simultáneo.
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {Object} order - Pedido con id, status y fulfillmentType
+   * @param {string} toStatus - Estado nuevo
+   * @param {Object} options - Origen, autor y datos adicionales del cambio
+   * @param {string} options.source - restaurant, driver, admin o system
+   * @param {number} [options.changedById] - Usuario que hace el cambio
+   * @param {string} [options.role] - Rol del usuario del restaurante
+   * @param {string} [options.reason] - Motivo del cambio
+   * @param {boolean} [options.force] - Solo admin: permite saltar o retroceder entre estados activos
+   * @param {Object} [options.data] - Campos adicionales del pedido a actualizar
+   * @param {Object} [options.where] - Condiciones adicionales de la actualización
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Registro del historial creado
+   * @throws {Object} ORDER_STATUS_CONFLICT si el pedido cambió mientras se actualizaba
+   */
+  static async transition(tx, order, toStatus, options, requestId = null) {
+    const { source, changedById = null, role = null, reason = null, force = false, data = {}, where = {} } = options;
+
+    this.assertTransition(order, toStatus, { source, role, force });
+
+    const now = new Date();
+    const timestamps = {};
+    for (const column of STATUS_TIMESTAMPS[toStatus] || []) {
+      timestamps[column] = now;
+    }
+
+    const { count } = await tx.order.updateMany({
+      where: { ...where, id: order.id, status: order.status },
+      data: { ...timestamps, ...data, status: toStatus, updatedAt: now }
+    });
+
+    if (count === 0) {
+      throw {
+        status: 409,
+        message: 'El pedido cambió de estado mientras se actualizaba, intenta de nuevo',
+        code: 'ORDER_STATUS_CONFLICT',
+        details: { orderId: order.id.toString(), expectedStatus: order.status }
+      };
+    }
+
+    return this.recordTransition(tx, {
+      orderId: order.id,
+      fromStatus: order.status,
+      toStatus,
+      source,
+      changedById,
+      reason
+    }, requestId);
+  }
+
+  /**
+   * Registra en el historial un cambio de estado que el flujo ya aplicó con su propia actualización
+   * Debe llamarse dentro de la misma transacción que cambió el estado.
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {Object} entry - orderId, fromStatus, toStatus, source, changedById y reason
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Registro del historial creado
+   */
+  static async recordTransition(tx, { orderId, fromStatus, toStatus, source, changedById = null, reason = null }, requestId = null) {
+    const entry = await tx.orderStatusHistory.create({
+      data: {
+        orderId,
+        fromStatus,
+        toStatus,
+        source,
+        changedById,
+        reason
+      }
+    });
+
+    logger.debug('Cambio de estado de pedido registrado', {
+      requestId,
+      meta: { orderId: orderId.toString(), fromStatus, toStatus, source, changedById }
+    });
+
+    return entry;
+  }
+}
+
+OrderStatusService.FINAL_STATUSES = FINAL_STATUSES;
+
+module.exports = OrderStatusService;
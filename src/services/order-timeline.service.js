@@ -0,0 +1,255 @@
+/**
+ * Línea de tiempo de un pedido
+ * Une en orden cronológico los cambios de estado (OrderStatusHistory), las asignaciones de
+ * repartidor (DriverAssignmentLog) y los eventos de ruta (RouteLog), filtrados según quién consulta:
+ * - customer: estados sin autor (motivo solo en cancelaciones), el repartidor que aceptó con su
+ *   nombre de pila y la salida/llegada sin coordenadas.
+ * - restaurant: estados con motivo y autor cuando es su personal o el repartidor, el repartidor que
+ *   aceptó e incidencias de ruta, sin coordenadas.
+ * - admin: todo, incluidas ofertas rechazadas o vencidas y coordenadas de cada evento de ruta.
+ */
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const UserService = require('./user.service');
+
+const TIMELINE_AUDIENCE_RULES = {
+  customer: {
+    assignmentStatuses: ['ACCEPTED'],
+    routeEventTypes: ['Departure', 'Arrival'],
+    includeCoordinates: false
+  },
+  restaurant: {
+    assignmentStatuses: ['ACCEPTED'],
+    routeEventTypes: ['Departure', 'Arrival', 'Incident'],
+    includeCoordinates: false
+  },
+  admin: {
+    assignmentStatuses: null,
+    routeEventTypes: null,
+    includeCoordinates: true
+  }
+};
+
+const userSelect = { id: true, name: true, lastname: true, email: true, phone: true };
+
+/**
+ * Formatea una persona según la audiencia
+ * @param {Object|null} user - Usuario con id, name, lastname, email y phone
+ * @param {string} audience - customer, restaurant o admin
+ * @returns {Object|null} Persona visible para la audiencia
+ */
+function formatPerson(user, audience) {
+  if (!user) return null;
+  if (audience === 'customer') {
+    return { name: user.name };
+  }
+  if (audience === 'restaurant') {
+    return { id: user.id, name: user.name, lastname: user.lastname };
+  }
+  return { id: user.id, name: user.name, lastname: user.lastname, email: user.email, phone: user.phone };
+}
+
+/**
+ * Formatea un cambio de estado según la audiencia
+ * @param {Object} entry - Registro de OrderStatusHistory con changedBy
+ * @param {string} audience - customer, restaurant o admin
+ * @returns {Object} Evento de la línea de tiempo
+ */
+function formatStatusEvent(entry, audience) {
+  const event = {
+    type: 'status_changed',
+    occurredAt: entry.createdAt,
+    fromStatus: entry.fromStatus,
+    toStatus: entry.toStatus,
+    source: entry.source
+  };
+
+  if (audience === 'customer') {
+    if (entry.toStatus === 'cancelled') {
+      event.reason = entry.reason;
+    }
+    return event;
+  }
+
+  event.reason = entry.reason;
+
+  // El restaurante no ve quién de soporte hizo el cambio, solo que fue soporte
+  const showActor = audience === 'admin' || ['restaurant', 'driver'].includes(entry.source);
+  event.changedBy = showActor ? formatPerson(entry.changedBy, audience) : null;
+
+  return event;
+}
+
+/**
+ * Formatea una asignación de repartidor según la audiencia
+ * @param {Object} log - Registro de DriverAssignmentLog con driver
+ * @param {string} audience - customer, restaurant o admin
+ * @returns {Object} Evento de la línea de tiempo
+ */
+function formatAssignmentEvent(log, audience) {
+  const event = {
+    type: 'driver_assignment',
+    occurredAt: log.respondedAt || log.assignedAt,
+    status: log.status,
+    driver: formatPerson(log.driver, audience)
+  };
+
+  if (audience === 'admin') {
+    event.id = log.id.toString();
+    event.assignedAt = log.assignedAt;
+    event.respondedAt = log.respondedAt;
+    event.rejectionReason = log.rejectionReason;
+    event.responseTimeSeconds = log.responseTimeSeconds;
+    event.isAutoAssigned = log.isAutoAssigned;
+  }
+
+  return event;
+}
+
+/**
+ * Formatea un evento de ruta según la audiencia
+ * @param {Object} log - Registro de RouteLog con driver
+ * @param {string} audience - customer, restaurant o admin
+ * @returns {Object} Evento de la línea de tiempo
+ */
+function formatRouteEvent(log, audience) {
+  const event = {
+    type: 'route_event',
+    occurredAt: log.timestamp,
+    eventType: log.eventType
+  };
+
+  if (TIMELINE_AUDIENCE_RULES[audience].includeCoordinates) {
+    event.driver = formatPerson(log.driver, audience);
+    event.location = {
+      latitude: Number(log.latitude),
+      longitude: Number(log.longitude)
+    };
+  }
+
+  return event;
+}
+
+class OrderTimelineService {
+
+  /**
+   * Obtiene el pedido verificando que quien consulta pueda verlo
+   * @param {BigInt} orderId - ID del pedido
+   * @param {Object} viewer - userId y audience (customer, restaurant o admin)
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Pedido
+   */
+  static async findVisibleOrder(orderId, viewer, requestId = null) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: {
+        id: true,
+        status: true,
+        customerId: true,
+        restaurantId: true,
+        fulfillmentType: true,
+        scheduledFor: true,
+        orderPlacedAt: true
+      }
+    });
+
+    // Al cliente no se le revela si existe un pedido ajeno
+    if (!order || (viewer.audience === 'customer' && order.customerId !== viewer.userId)) {
+      throw {
+        status: 404,
+        message: 'Pedido no encontrado',
+        code: 'ORDER_NOT_FOUND',
+        details: { orderId: orderId.toString() }
+      };
+    }
+
+    if (viewer.audience === 'restaurant') {
+      const canAccess = await UserService.userCanAccessRestaurant(viewer.userId, order.restaurantId, requestId);
+
+      if (!canAccess) {
+        throw {
+          status: 403,
+          message: 'No tienes permisos para ver este pedido',
+          code: 'ORDER_ACCESS_DENIED',
+          details: {
+            orderId: orderId.toString(),
+            suggestion: 'Este pedido pertenece a otro restaurante'
+          }
+        };
+      }
+    }
+
+    return order;
+  }
+
+  /**
+   * Construye la línea de tiempo de un pedido para una audiencia
+   * @param {BigInt} orderId - ID del pedido
+   * @param {Object} viewer - Quién consulta
+   * @param {number} viewer.userId - ID del usuario
+   * @param {string} viewer.audience - customer, restaurant o admin
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Pedido y eventos en orden cronológico
+   */
+  static async getTimeline(orderId, viewer, requestId = null) {
+    const { audience } = viewer;
+    const rules = TIMELINE_AUDIENCE_RULES[audience];
+
+    const order = await this.findVisibleOrder(orderId, viewer, requestId);
+
+    const [statusHistory, assignments, routeLogs] = await Promise.all([
+      prisma.orderStatusHistory.findMany({
+        where: { orderId: order.id },
+        include: { changedBy: { select: userSelect } },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.driverAssignmentLog.findMany({
+        where: {
+          orderId: order.id,
+          deletedAt: null,
+          ...(rules.assignmentStatuses ? { status: { in: rules.assignmentStatuses } } : {})
+        },
+        include: { driver: { select: userSelect } },
+        orderBy: { assignedAt: 'asc' }
+      }),
+      prisma.routeLog.findMany({
+        where: {
+          orderId: order.id,
+          ...(rules.routeEventTypes ? { eventType: { in: rules.routeEventTypes } } : {})
+        },
+        include: { driver: { select: userSelect } },
+        orderBy: { timestamp: 'asc' }
+      })
+    ]);
+
+    const events = [
+      {
+        type: 'order_placed',
+        occurredAt: order.orderPlacedAt,
+        scheduledFor: order.scheduledFor
+      },
+      ...statusHistory.map(entry => formatStatusEvent(entry, audience)),
+      ...assignments.map(log => formatAssignmentEvent(log, audience)),
+      ...routeLogs.map(log => formatRouteEvent(log, audience))
+    ];
+
+    // sort es estable: a la misma hora se conserva el orden pedido → estados → asignaciones → ruta
+    events.sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+
+    logger.debug('Línea de tiempo de pedido construida', {
+      requestId,
+      meta: { orderId: order.id.toString(), audience, events: events.length }
+    });
+
+    return {
+      order: {
+        id: order.id.toString(),
+        status: order.status,
+        fulfillmentType: order.fulfillmentType
+      },
+      events
+    };
+  }
+}
+
+module.exports = OrderTimelineService;
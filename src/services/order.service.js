@@ -1,6 +1,9 @@
+const crypto = require('crypto');
 const { PrismaClient } = require('@prisma/client');
 const { logger } = require('../config/logger');
 const { socketManager } = require('../websocket/socket-manager');
+const CouponService = require('./coupon.service');
+const StockService = require('./stock.service');
 
 const prisma = new PrismaClient();
 
@@ -8,17 +11,19 @@ class OrderService {
   /**
    * Crea una orden en la base de datos con todos sus datos relacionados
    * @param {Array} items - Items del pedido
-   * @param {Object} pricingDetails - Detalles de precios calculados
+   * @param {Object} pricingDetails - Detalles de precios calculados (incluye el cupón aplicado, si hay)
    * @param {number} userId - ID del usuario
    * @param {number} branchId - ID de la sucursal
-   * @param {number} addressId - ID de la dirección
+   * @param {number|null} addressId - ID de la dirección (null en pedidos para recoger)
    * @param {string} paymentMethod - Método de pago ('mercadopago' o 'cash')
    * @param {string} [specialInstructions] - Instrucciones especiales
    * @param {string} [requestId] - ID de la solicitud para logging
    * @param {Array} [cartItems] - Items del carrito con modificadores (opcional)
+   * @param {Object} [schedule] - Entrega programada validada ({ scheduledFor, releaseAt }) o null si es inmediata
+   * @param {string} [fulfillmentType] - 'delivery' (entrega a domicilio) o 'pickup' (el cliente recoge en el restaurante)
    * @returns {Promise<Object>} Orden creada con todos sus datos relacionados
    */
-  static async createOrderInDatabase(items, pricingDetails, userId, branchId, addressId, paymentMethod, specialInstructions = null, requestId, cartItems = null) {
+  static async createOrderInDatabase(items, pricingDetails, userId, branchId, addressId, paymentMethod, specialInstructions = null, requestId, cartItems = null, schedule = null, fulfillmentType = 'delivery') {
     try {
       logger.info('Iniciando creación de orden en base de datos', {
         requestId,
@@ -49,9 +54,11 @@ class OrderService {
         throw new Error(`Sucursal con ID ${branchId} no encontrada`);
       }
 
-      const { subtotal, deliveryFee, serviceFee, total } = pricingDetails;
+      const { subtotal, deliveryFee, serviceFee, total, discountAmount = 0, tipAmount = 0, coupon = null } = pricingDetails;
       const commissionRate = branch.restaurant.commissionRate || 10.00;
-      const restaurantPayout = subtotal - (subtotal * commissionRate / 100);
+      // Los cupones del restaurante se descuentan de su ganancia; los de la plataforma los absorbe Delixmi
+      const restaurantDiscount = coupon && coupon.fundedBy === 'restaurant' ? discountAmount : 0;
+      const restaurantPayout = subtotal - (subtotal * commissionRate / 100) - restaurantDiscount;
 
       // Usar transacción para asegurar consistencia de datos
       const result = await prisma.$transaction(async (tx) => {
@@ -61,20 +68,34 @@ class OrderService {
             customerId: userId,
             branchId: branchId,
             addressId: addressId,
+            fulfillmentType: fulfillmentType,
+            pickupCode: fulfillmentType === 'pickup' ? this.generatePickupCode() : null,
             subtotal: subtotal,
             deliveryFee: deliveryFee,
             total: total,
             commissionRateSnapshot: commissionRate,
             platformFee: serviceFee,
             restaurantPayout: restaurantPayout,
+            couponId: coupon ? coupon.id : null,
+            couponCode: coupon ? coupon.code : null,
+            discountAmount: discountAmount,
+            discountFundedBy: coupon ? coupon.fundedBy : null,
+            tipAmount: tipAmount,
             paymentMethod: paymentMethod,
             paymentStatus: 'pending',
             status: 'pending',
+            // El webhook de pago retiene el pedido en 'scheduled' hasta scheduledReleaseAt
+            scheduledFor: schedule ? schedule.scheduledFor : null,
+            scheduledReleaseAt: schedule ? schedule.releaseAt : null,
             specialInstructions: specialInstructions,
             orderPlacedAt: new Date()
           }
         });
 
+        if (coupon) {
+          await CouponService.redeemCoupon(tx, coupon, userId, order.id, discountAmount, requestId);
+        }
+
         logger.info('Orden creada exitosamente', {
           requestId,
           meta: {
@@ -148,6 +169,9 @@ class OrderService {
           }
         });
 
+        // 2.2. Apartar el stock de los productos con control de inventario (falla si no alcanza)
+        const stockAlerts = await StockService.reserveOrderStock(tx, order.id, items, requestId);
+
         // 3. Crear registro de pago
         const payment = await tx.payment.create({
           data: {
@@ -172,9 +196,11 @@ class OrderService {
           }
         });
 
-        return { order, payment, orderItems };
+        return { order, payment, orderItems, stockAlerts };
       });
 
+      StockService.notifyStockAlerts(result.stockAlerts, requestId);
+
       // Obtener la orden completa con todos los datos relacionados
       const completeOrder = await prisma.order.findUnique({
         where: { id: result.order.id },
@@ -253,6 +279,11 @@ class OrderService {
         }
       });
 
+      // Los pedidos programados se notifican al restaurante cuando se liberan
+      if (schedule) {
+        return completeOrder;
+      }
+
       // Emitir evento NEW_ORDER_PENDING a los owners del restaurante
       try {
         const restaurantId = completeOrder.branch.restaurant.id;
@@ -276,11 +307,12 @@ class OrderService {
             id: completeOrder.branch.id,
             name: completeOrder.branch.name
           },
-          address: {
+          fulfillmentType: completeOrder.fulfillmentType,
+          address: completeOrder.address ? {
             alias: completeOrder.address.alias,
             fullAddress: `${completeOrder.address.street} ${completeOrder.address.exteriorNumber}${completeOrder.address.interiorNumber ? ` Int. ${completeOrder.address.interiorNumber}` : ''}, ${completeOrder.address.neighborhood}, ${completeOrder.address.city}, ${completeOrder.address.state} ${completeOrder.address.zipCode}`,
             references: completeOrder.address.references
-          },
+          } : null,
           orderItems: completeOrder.orderItems.map(item => ({
             id: item.id,
             productName: item.product.name,
@@ -357,6 +389,14 @@ class OrderService {
     }
   }
 
+  /**
+   * Genera el código que el cliente muestra al recoger su pedido en el restaurante
+   * @returns {string} Código numérico de 6 dígitos
+   */
+  static generatePickupCode() {
+    return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  }
+
   /**
    * Actualiza el estado de una orden
    * @param {number} orderId - ID de la orden
@@ -548,129 +588,6 @@ class OrderService {
       throw error;
     }
   }
-
-  /**
-   * Valida que una orden puede ser procesada (horarios, disponibilidad, etc.)
-   * @param {number} branchId - ID de la sucursal
-   * @param {string} [requestId] - ID de la solicitud para logging
-   * @returns {Promise<Object>} Resultado de la validación
-   */
-  static async validateOrderProcessing(branchId, requestId) {
-    try {
-      logger.info('Validando procesamiento de orden', {
-        requestId,
-        meta: { branchId }
-      });
-
-      const currentDate = new Date();
-      const currentDayOfWeek = currentDate.getDay(); // 0=Domingo, 1=Lunes, ..., 6=Sábado
-      const currentTime = currentDate.toTimeString().slice(0, 8); // HH:MM:SS
-
-      // Consultar el horario de la sucursal para el día actual
-      const branchSchedule = await prisma.branchSchedule.findFirst({
-        where: {
-          branchId: branchId,
-          dayOfWeek: currentDayOfWeek
-        }
-      });
-
-      if (!branchSchedule) {
-        logger.warn('No se encontró horario para la sucursal', {
-          requestId,
-          meta: { branchId, dayOfWeek: currentDayOfWeek }
-        });
-        return {
-          isValid: false,
-          reason: 'El restaurante está cerrado hoy',
-          details: { branchId, dayOfWeek: currentDayOfWeek }
-        };
-      }
-
-      if (branchSchedule.isClosed) {
-        logger.warn('Sucursal cerrada hoy', {
-          requestId,
-          meta: { branchId, isClosed: true }
-        });
-        return {
-          isValid: false,
-          reason: 'El restaurante está cerrado hoy',
-          details: { branchId, isClosed: true }
-        };
-      }
-
-      // Validar que la hora actual esté dentro del horario de atención
-      const openingTime = branchSchedule.openingTime;
-      const closingTime = branchSchedule.closingTime;
-
-      // Convertir tiempos a minutos para comparación correcta
-      const timeToMinutes = (timeString) => {
-        const [hours, minutes, seconds] = timeString.split(':').map(Number);
-        return hours * 60 + minutes + seconds / 60;
-      };
-
-      const currentMinutes = timeToMinutes(currentTime);
-      const openingMinutes = timeToMinutes(openingTime);
-      const closingMinutes = timeToMinutes(closingTime);
-
-      // Verificar si estamos en horario de 24 horas (00:00:00 a 23:59:59)
-      const is24Hours = openingMinutes === 0 && closingMinutes >= 1439; // 23:59 = 1439 minutos
-
-      if (!is24Hours && (currentMinutes < openingMinutes || currentMinutes > closingMinutes)) {
-        logger.warn('Hora actual fuera del horario de atención', {
-          requestId,
-          meta: {
-            branchId,
-            currentTime,
-            openingTime,
-            closingTime
-          }
-        });
-        return {
-          isValid: false,
-          reason: `El restaurante está cerrado en este momento. Horario de hoy: ${openingTime} a ${closingTime}`,
-          details: {
-            branchId,
-            currentTime,
-            openingTime,
-            closingTime
-          }
-        };
-      }
-
-      logger.info('Validación de procesamiento de orden exitosa', {
-        requestId,
-        meta: {
-          branchId,
-          currentTime,
-          openingTime,
-          closingTime,
-          is24Hours
-        }
-      });
-
-      return {
-        isValid: true,
-        reason: 'Orden puede ser procesada',
-        details: {
-          branchId,
-          currentTime,
-          openingTime,
-          closingTime,
-          is24Hours
-        }
-      };
-
-    } catch (error) {
-      logger.error('Error validando procesamiento de orden', {
-        requestId,
-        meta: {
-          error: error.message,
-          branchId
-        }
-      });
-      throw error;
-    }
-  }
 }
 
 module.exports = OrderService;
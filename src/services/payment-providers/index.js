@@ -0,0 +1,87 @@
+/**
+ * Registro de proveedores de pago
+ * Los proveedores se instancian la primera vez que se usan. Un proveedor nuevo (p. ej. vouchers
+ * de pago en efectivo) solo necesita implementar PaymentProvider y registrarse aquí; checkout,
+ * webhooks, reembolsos y conciliación lo resuelven por nombre.
+ */
+
+// Cada módulo se carga al crear su instancia, así el SDK de un proveedor no se inicializa si no se usa
+const providerFactories = {
+  mercadopago: () => new (require('./mercadopago.provider'))(),
+  sandbox: () => new (require('./sandbox.provider'))()
+};
+
+const providerInstances = {};
+
+const DEFAULT_CHECKOUT_PROVIDER = 'mercadopago';
+
+class PaymentProviderRegistry {
+
+  /**
+   * Registra un proveedor de pago
+   * @param {string} name - Nombre del proveedor (Payment.provider)
+   * @param {Function} factory - Función que crea la instancia del proveedor
+   */
+  static registerProvider(name, factory) {
+    providerFactories[name] = factory;
+    delete providerInstances[name];
+  }
+
+  /**
+   * Indica si existe un proveedor de pago en línea con ese nombre
+   * @param {string} name - Nombre del proveedor
+   * @returns {boolean}
+   */
+  static hasProvider(name) {
+    return Object.prototype.hasOwnProperty.call(providerFactories, name);
+  }
+
+  /**
+   * Obtiene un proveedor por nombre
+   * @param {string} name - Nombre del proveedor
+   * @returns {PaymentProvider} Proveedor
+   */
+  static getProvider(name) {
+    if (!this.hasProvider(name)) {
+      throw {
+        status: 400,
+        message: `Proveedor de pago no soportado: ${name}`,
+        code: 'PAYMENT_PROVIDER_NOT_SUPPORTED'
+      };
+    }
+
+    if (!providerInstances[name]) {
+      providerInstances[name] = providerFactories[name]();
+    }
+
+    return providerInstances[name];
+  }
+
+  /**
+   * Obtiene el proveedor con el que se cobran los pedidos y propinas (PAYMENT_PROVIDER)
+   * @returns {PaymentProvider} Proveedor de checkout
+   */
+  static getCheckoutProvider() {
+    const provider = this.getProvider(process.env.PAYMENT_PROVIDER || DEFAULT_CHECKOUT_PROVIDER);
+
+    if (!provider.isEnabled()) {
+      throw {
+        status: 503,
+        message: 'El proveedor de pago configurado no está disponible',
+        code: 'PAYMENT_PROVIDER_UNAVAILABLE'
+      };
+    }
+
+    return provider;
+  }
+
+  /**
+   * Nombres de todos los proveedores en línea registrados
+   * @returns {string[]}
+   */
+  static getProviderNames() {
+    return Object.keys(providerFactories);
+  }
+}
+
+module.exports = PaymentProviderRegistry;
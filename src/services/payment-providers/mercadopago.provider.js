@@ -0,0 +1,171 @@
+/**
+ * Proveedor de pagos Mercado Pago
+ * Adapta MercadoPagoService (preferencias, API REST y firma de webhooks) a la interfaz PaymentProvider.
+ */
+const crypto = require('crypto');
+const { logger } = require('../../config/logger');
+const MercadoPagoService = require('../mercadopago.service');
+const PaymentProvider = require('./payment-provider');
+
+/**
+ * Normaliza un pago de la API de Mercado Pago
+ * @param {Object} mpPayment - Pago de Mercado Pago
+ * @returns {Object} Pago normalizado
+ */
+function normalizePayment(mpPayment) {
+  return {
+    id: String(mpPayment.id),
+    externalReference: mpPayment.external_reference,
+    status: MercadoPagoService.mapPaymentStatus(mpPayment.status),
+    providerStatus: mpPayment.status,
+    amount: mpPayment.transaction_amount !== undefined ? Number(mpPayment.transaction_amount) : null
+  };
+}
+
+class MercadoPagoProvider extends PaymentProvider {
+  constructor() {
+    super('mercadopago');
+  }
+
+  async createCheckout({ kind, orderId, items, user, pricingDetails, tipAmount }, requestId) {
+    const externalReference = MercadoPagoService.generateExternalReference();
+
+    let mpResponse;
+    try {
+      mpResponse = kind === 'tip'
+        ? await MercadoPagoService.createTipPreference(orderId, tipAmount, user, externalReference, requestId)
+        : await MercadoPagoService.createPreference(items, user, pricingDetails, externalReference, requestId);
+    } catch (error) {
+      throw MercadoPagoService.handleMercadoPagoError(error, requestId);
+    }
+
+    if (!MercadoPagoService.validateMercadoPagoResponse(mpResponse, requestId)) {
+      throw {
+        status: 502,
+        message: 'No se pudo crear el pago en Mercado Pago',
+        code: 'MERCADOPAGO_ERROR'
+      };
+    }
+
+    return {
+      externalReference,
+      checkoutId: mpResponse.id,
+      checkoutUrl: mpResponse.init_point
+    };
+  }
+
+  async getPayment(providerPaymentId, requestId) {
+    const mpPayment = await MercadoPagoService.getPayment(providerPaymentId, requestId);
+    return normalizePayment(mpPayment);
+  }
+
+  async findPaymentByReference(externalReference, requestId) {
+    const mpPayment = await MercadoPagoService.findPaymentByExternalReference(externalReference, requestId);
+    return mpPayment ? normalizePayment(mpPayment) : null;
+  }
+
+  async refund({ externalReference, amount, idempotencyKey }, requestId) {
+    // Payment.providerPaymentId guarda el external_reference; el reembolso necesita el ID numérico
+    let mpPaymentId = externalReference;
+    if (!/^\d+$/.test(mpPaymentId)) {
+      const mpPayment = await MercadoPagoService.findPaymentByExternalReference(externalReference, requestId);
+      if (!mpPayment) {
+        throw new Error(`No se encontró el pago en Mercado Pago para la referencia ${externalReference}`);
+      }
+      mpPaymentId = mpPayment.id;
+    }
+
+    const mpRefund = await MercadoPagoService.createRefund(mpPaymentId, amount, idempotencyKey, requestId);
+
+    return {
+      id: String(mpRefund.id),
+      status: mpRefund.status,
+      amount: Number(mpRefund.amount)
+    };
+  }
+
+  /**
+   * Verifica el header x-signature y obtiene los datos de la notificación
+   * Plantilla firmada: "id:[data.id];request-id:[x-request-id];ts:[ts];" con HMAC-SHA256 y la clave secreta del webhook
+   */
+  parseWebhook({ headers, query, body }) {
+    const notification = body || {};
+    const queryDataId = query['data.id'] || (query.data && query.data.id);
+    const dataId = queryDataId || (notification.data && notification.data.id);
+    const resourceId = dataId ? String(dataId) : null;
+    const eventType = notification.type || notification.topic || query.type || null;
+    const action = notification.action || null;
+
+    return {
+      ...this.verifySignature(headers, resourceId),
+      // MP reenvía la misma notificación con el mismo id; sin id se usa el recurso y la acción
+      eventId: notification.id
+        ? String(notification.id)
+        : `${eventType || 'unknown'}:${resourceId || 'none'}:${action || 'none'}`,
+      eventType,
+      action,
+      resourceId,
+      providerRequestId: headers['x-request-id'] || null
+    };
+  }
+
+  /**
+   * Verifica el header x-signature de Mercado Pago
+   * @param {Object} headers - Headers de la petición
+   * @param {string|null} dataId - ID del recurso notificado
+   * @returns {{ valid: boolean, reason: string|null }} Resultado de la verificación
+   */
+  verifySignature(headers, dataId) {
+    const secret = process.env.MERCADOPAGO_WEBHOOK_SECRET;
+
+    if (!secret) {
+      // Sin clave configurada solo se aceptan notificaciones fuera de producción
+      if (process.env.NODE_ENV === 'production') {
+        return { valid: false, reason: 'MERCADOPAGO_WEBHOOK_SECRET no configurado' };
+      }
+      logger.warn('MERCADOPAGO_WEBHOOK_SECRET no configurado; se omite la verificación de firma del webhook');
+      return { valid: true, reason: null };
+    }
+
+    const signatureHeader = headers['x-signature'];
+    if (!signatureHeader) {
+      return { valid: false, reason: 'Header x-signature ausente' };
+    }
+
+    const parts = {};
+    signatureHeader.split(',').forEach(part => {
+      const [key, value] = part.split('=').map(item => item && item.trim());
+      if (key && value) {
+        parts[key] = value;
+      }
+    });
+
+    if (!parts.ts || !parts.v1) {
+      return { valid: false, reason: 'Header x-signature con formato inválido' };
+    }
+
+    // Mercado Pago firma los IDs alfanuméricos en minúsculas
+    const normalizedDataId = dataId && /[a-z]/i.test(dataId) ? dataId.toLowerCase() : dataId;
+    const requestIdHeader = headers['x-request-id'];
+
+    let manifest = '';
+    if (normalizedDataId) {
+      manifest += `id:${normalizedDataId};`;
+    }
+    if (requestIdHeader) {
+      manifest += `request-id:${requestIdHeader};`;
+    }
+    manifest += `ts:${parts.ts};`;
+
+    const expected = crypto.createHmac('sha256', secret).update(manifest).digest('hex');
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const receivedBuffer = Buffer.from(parts.v1, 'hex');
+
+    const valid = expectedBuffer.length === receivedBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+
+    return { valid, reason: valid ? null : 'Firma x-signature inválida' };
+  }
+}
+
+module.exports = MercadoPagoProvider;
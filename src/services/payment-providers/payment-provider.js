@@ -0,0 +1,81 @@
+/**
+ * Interfaz común de los proveedores de pago en línea
+ * Checkout, propinas, reembolsos, webhooks y conciliación solo hablan con esta interfaz;
+ * cada proveedor (Mercado Pago, sandbox, y a futuro vouchers de pago en efectivo tipo OXXO)
+ * la implementa y se registra en PaymentProviderRegistry.
+ *
+ * Formatos normalizados:
+ * - Checkout:  { externalReference, checkoutId, checkoutUrl }
+ * - Pago:      { id, externalReference, status, providerStatus, amount }
+ *              (status es un PaymentStatus interno: pending, processing, completed, failed, cancelled, refunded)
+ * - Reembolso: { id, status, amount }
+ * - Webhook:   { valid, reason, eventId, eventType, action, resourceId, providerRequestId }
+ */
+class PaymentProvider {
+  /**
+   * @param {string} name - Nombre con el que se guarda en Payment.provider y WebhookEvent.provider
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Indica si el proveedor puede usarse en el entorno actual
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return true;
+  }
+
+  /**
+   * Crea el cobro de un pedido o de una propina
+   * @param {Object} data - kind ('order' | 'tip'), orderId, items, user, pricingDetails, tipAmount y options
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Checkout normalizado
+   */
+  async createCheckout(data, requestId) {
+    throw new Error(`${this.name}: createCheckout no implementado`);
+  }
+
+  /**
+   * Obtiene un pago por el ID que el proveedor envía en sus notificaciones
+   * @param {string} providerPaymentId - ID del pago en el proveedor
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Pago normalizado
+   */
+  async getPayment(providerPaymentId, requestId) {
+    throw new Error(`${this.name}: getPayment no implementado`);
+  }
+
+  /**
+   * Busca el pago asociado a una referencia externa (Payment.providerPaymentId)
+   * @param {string} externalReference - Referencia externa generada en el checkout
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object|null>} Pago normalizado o null si el cliente no ha pagado
+   */
+  async findPaymentByReference(externalReference, requestId) {
+    throw new Error(`${this.name}: findPaymentByReference no implementado`);
+  }
+
+  /**
+   * Reembolsa total o parcialmente un pago
+   * @param {Object} data - externalReference, amount e idempotencyKey
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Reembolso normalizado
+   */
+  async refund(data, requestId) {
+    throw new Error(`${this.name}: refund no implementado`);
+  }
+
+  /**
+   * Verifica e interpreta una notificación de webhook
+   * @param {Object} request - headers, query y body de la petición
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Object} Webhook normalizado
+   */
+  parseWebhook(request, requestId) {
+    throw new Error(`${this.name}: parseWebhook no implementado`);
+  }
+}
+
+module.exports = PaymentProvider;
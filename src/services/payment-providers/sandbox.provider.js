@@ -0,0 +1,192 @@
+/**
+ * Proveedor de pagos sandbox
+ * Simula aprobaciones, rechazos y pagos demorados sin cuenta externa, para que socios y QA
+ * puedan recorrer el checkout completo. El escenario viaja codificado en la referencia externa,
+ * así que el estado del pago se deriva sin guardar nada fuera de Payment / OrderTip.
+ * La notificación del "proveedor" se simula registrando un WebhookEvent, igual que un webhook real.
+ */
+const { v4: uuidv4 } = require('uuid');
+const { prisma } = require('../../config/database');
+const { logger } = require('../../config/logger');
+const PaymentProvider = require('./payment-provider');
+
+const SANDBOX_SCENARIOS = ['approve', 'reject', 'delay'];
+
+// Configuración de la simulación (sobrescribible por variables de entorno)
+const SANDBOX_CONFIG = {
+  defaultScenario: SANDBOX_SCENARIOS.includes(process.env.PAYMENT_SANDBOX_SCENARIO)
+    ? process.env.PAYMENT_SANDBOX_SCENARIO
+    : 'approve',
+  // Segundos que tarda en aprobarse un pago del escenario 'delay'
+  delaySeconds: parseInt(process.env.PAYMENT_SANDBOX_DELAY_SECONDS, 10) || 120,
+  // Segundos entre el checkout y la notificación simulada
+  notifySeconds: parseInt(process.env.PAYMENT_SANDBOX_NOTIFY_SECONDS, 10) || 2
+};
+
+const REFERENCE_PATTERN = /^delixmi_sbx-(approve|reject|delay)_/;
+
+/**
+ * Obtiene el escenario codificado en una referencia externa del sandbox
+ * @param {string} externalReference - Referencia externa
+ * @returns {string|null} Escenario o null si la referencia no es del sandbox
+ */
+function getScenario(externalReference) {
+  const match = REFERENCE_PATTERN.exec(externalReference || '');
+  return match ? match[1] : null;
+}
+
+class SandboxProvider extends PaymentProvider {
+  constructor() {
+    super('sandbox');
+  }
+
+  /**
+   * El sandbox nunca cobra dinero real, por lo que no se permite en producción
+   */
+  isEnabled() {
+    return process.env.NODE_ENV !== 'production';
+  }
+
+  async createCheckout({ kind, orderId, options = {} }, requestId) {
+    const scenario = options.sandboxScenario || SANDBOX_CONFIG.defaultScenario;
+    const externalReference = `delixmi_sbx-${scenario}_${uuidv4()}`;
+    const resultPath = { approve: 'success', reject: 'failure', delay: 'pending' }[scenario];
+
+    logger.info('Checkout sandbox creado', {
+      requestId,
+      meta: { kind, orderId: orderId ? orderId.toString() : null, scenario, externalReference }
+    });
+
+    this.scheduleNotification(
+      externalReference,
+      scenario === 'delay' ? SANDBOX_CONFIG.delaySeconds + 1 : SANDBOX_CONFIG.notifySeconds
+    );
+
+    return {
+      externalReference,
+      checkoutId: externalReference,
+      // Mismas rutas de regreso que usa Mercado Pago en la app
+      checkoutUrl: `delixmi://payment/${resultPath}?external_reference=${externalReference}`
+    };
+  }
+
+  async getPayment(providerPaymentId, requestId) {
+    const payment = await this.findPaymentByReference(providerPaymentId, requestId);
+
+    if (!payment) {
+      throw new Error(`Pago sandbox no encontrado: ${providerPaymentId}`);
+    }
+
+    return payment;
+  }
+
+  async findPaymentByReference(externalReference, requestId) {
+    const scenario = getScenario(externalReference);
+    if (!scenario) {
+      return null;
+    }
+
+    const record = await prisma.payment.findUnique({
+      where: { providerPaymentId: externalReference },
+      select: { amount: true, createdAt: true }
+    }) || await prisma.orderTip.findUnique({
+      where: { providerPaymentId: externalReference },
+      select: { amount: true, createdAt: true }
+    });
+
+    if (!record) {
+      return null;
+    }
+
+    let providerStatus = scenario === 'reject' ? 'rejected' : 'approved';
+    if (scenario === 'delay' &&
+      Date.now() < record.createdAt.getTime() + SANDBOX_CONFIG.delaySeconds * 1000) {
+      providerStatus = 'in_process';
+    }
+
+    return {
+      id: externalReference,
+      externalReference,
+      status: { approved: 'completed', rejected: 'failed', in_process: 'processing' }[providerStatus],
+      providerStatus,
+      amount: Number(record.amount)
+    };
+  }
+
+  async refund({ externalReference, amount, idempotencyKey }, requestId) {
+    if (getScenario(externalReference) === 'reject') {
+      throw new Error('El pago sandbox fue rechazado; no hay nada que reembolsar');
+    }
+
+    logger.info('Reembolso sandbox simulado', {
+      requestId,
+      meta: { externalReference, amount, idempotencyKey }
+    });
+
+    return {
+      // La misma llave de idempotencia produce el mismo reembolso
+      id: `sbx_refund_${idempotencyKey}`,
+      status: 'approved',
+      amount: Number(amount)
+    };
+  }
+
+  /**
+   * Las notificaciones sandbox no llevan firma; solo se aceptan mientras el sandbox esté habilitado
+   */
+  parseWebhook({ body }) {
+    const notification = body || {};
+    const resourceId = notification.data && notification.data.id ? String(notification.data.id) : null;
+    const valid = this.isEnabled();
+
+    return {
+      valid,
+      reason: valid ? null : 'Proveedor sandbox deshabilitado',
+      eventId: notification.id ? String(notification.id) : `payment:${resourceId || 'none'}`,
+      eventType: notification.type || null,
+      action: notification.action || null,
+      resourceId,
+      providerRequestId: null
+    };
+  }
+
+  /**
+   * Simula la notificación del proveedor registrando y procesando un evento de webhook
+   * @param {string} externalReference - Referencia externa del pago
+   * @param {number} delaySeconds - Segundos de espera antes de notificar
+   */
+  scheduleNotification(externalReference, delaySeconds) {
+    const timer = setTimeout(async () => {
+      try {
+        // Se requiere aquí para evitar la dependencia circular con WebhookService
+        const WebhookService = require('../webhook.service');
+        const { event, duplicate } = await WebhookService.receiveEvent(this.name, {
+          headers: {},
+          query: {},
+          body: {
+            id: `sbx_evt_${uuidv4()}`,
+            type: 'payment',
+            action: 'payment.updated',
+            data: { id: externalReference }
+          }
+        });
+
+        if (!duplicate) {
+          await WebhookService.processEvent(event.id);
+        }
+      } catch (error) {
+        logger.error('Error simulando notificación sandbox', {
+          meta: { externalReference, error: error.message, stack: error.stack }
+        });
+      }
+    }, delaySeconds * 1000);
+
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+  }
+}
+
+SandboxProvider.SCENARIOS = SANDBOX_SCENARIOS;
+
+module.exports = SandboxProvider;
@@ -0,0 +1,495 @@
+/**
+ * Conciliación de pagos con los proveedores de pago en línea
+ * Revisa periódicamente los pagos que siguen pendientes (checkout abandonado o webhook perdido),
+ * aplica su estado real con el mismo camino que el webhook y cancela los pedidos abandonados.
+ * Una vez al día genera el reporte de diferencias entre el proveedor y la base de datos.
+ */
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const { getIo } = require('../config/socket');
+const PaymentProviderRegistry = require('./payment-providers');
+const WebhookService = require('./webhook.service');
+const CouponService = require('./coupon.service');
+const OrderStatusService = require('./order-status.service');
+const StockService = require('./stock.service');
+
+// Configuración de la conciliación (sobrescribible por variables de entorno)
+const RECONCILIATION_CONFIG = {
+  // Antigüedad mínima de un pago pendiente para consultarlo al proveedor
+  pendingAfterMinutes: parseInt(process.env.PAYMENT_RECONCILE_AFTER_MINUTES, 10) || 15,
+  // Antigüedad a partir de la cual un pago sin aprobar se considera abandonado
+  abandonAfterMinutes: parseInt(process.env.PAYMENT_ABANDON_AFTER_MINUTES, 10) || 60,
+  sweepIntervalSeconds: parseInt(process.env.PAYMENT_RECONCILE_SWEEP_SECONDS, 10) || 300,
+  sweepBatchSize: 50
+};
+
+// Los reportes diarios usan el día en hora local de México (UTC-6 todo el año)
+const MEXICO_UTC_OFFSET_HOURS = 6;
+
+let reconciliationInterval = null;
+
+/**
+ * Obtiene el rango UTC de un día local de México
+ * @param {string} reportDate - Fecha "YYYY-MM-DD"
+ * @returns {{ start: Date, end: Date }} Inicio (inclusivo) y fin (exclusivo) del día
+ */
+function getLocalDayRange(reportDate) {
+  const start = new Date(`${reportDate}T00:00:00.000Z`);
+  start.setUTCHours(start.getUTCHours() + MEXICO_UTC_OFFSET_HOURS);
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+  return { start, end };
+}
+
+/**
+ * Obtiene la fecha local de México de ayer en formato "YYYY-MM-DD"
+ * @returns {string} Fecha del día anterior
+ */
+function getYesterdayLocalDate() {
+  const localNow = new Date(Date.now() - MEXICO_UTC_OFFSET_HOURS * 60 * 60 * 1000);
+  localNow.setUTCDate(localNow.getUTCDate() - 1);
+  return localNow.toISOString().slice(0, 10);
+}
+
+/**
+ * Compara un pago local con el del proveedor
+ * @param {Object} payment - Payment local (con su pedido)
+ * @param {Object|null} providerPayment - Pago normalizado del proveedor o null si no existe
+ * @returns {Object|null} Diferencia encontrada o null si coinciden
+ */
+function findMismatch(payment, providerPayment) {
+  const localStatus = payment.status;
+  const providerStatus = providerPayment ? providerPayment.status : null;
+
+  const mismatch = {
+    orderId: payment.orderId.toString(),
+    paymentId: payment.id.toString(),
+    provider: payment.provider,
+    externalReference: payment.providerPaymentId,
+    providerPaymentId: providerPayment ? providerPayment.id : null,
+    localStatus,
+    orderStatus: payment.order.status,
+    providerStatus: providerPayment ? providerPayment.providerStatus : null,
+    localAmount: Number(payment.amount),
+    providerAmount: providerPayment ? providerPayment.amount : null
+  };
+
+  if (!providerPayment) {
+    return localStatus === 'completed' ? { type: 'PROVIDER_PAYMENT_NOT_FOUND', ...mismatch } : null;
+  }
+
+  if (providerStatus === 'completed' && !['completed', 'refunded'].includes(localStatus)) {
+    // Incluye pedidos cancelados por abandono que el cliente terminó pagando (requieren reembolso)
+    return { type: 'LOCAL_NOT_COMPLETED', ...mismatch };
+  }
+
+  if (localStatus === 'completed' && providerStatus !== 'completed') {
+    return { type: 'PROVIDER_NOT_COMPLETED', ...mismatch };
+  }
+
+  if (providerStatus === 'completed' && mismatch.providerAmount !== null &&
+    Math.abs(mismatch.providerAmount - mismatch.localAmount) > 0.01) {
+    return { type: 'AMOUNT_MISMATCH', ...mismatch };
+  }
+
+  return null;
+}
+
+/**
+ * Formatea un reporte de conciliación para la API de administración
+ * @param {Object} report - PaymentReconciliationReport
+ * @param {boolean} [includeMismatches] - Incluir el detalle de diferencias
+ * @returns {Object} Reporte formateado
+ */
+function formatReport(report, includeMismatches = false) {
+  const formatted = {
+    id: report.id,
+    reportDate: report.reportDate.toISOString().slice(0, 10),
+    checkedCount: report.checkedCount,
+    mismatchCount: report.mismatchCount,
+    createdAt: report.createdAt,
+    updatedAt: report.updatedAt
+  };
+
+  if (includeMismatches) {
+    formatted.mismatches = report.mismatches;
+  }
+
+  return formatted;
+}
+
+class PaymentReconciliationService {
+
+  /**
+   * Concilia los pagos en línea que siguen pendientes después de pendingAfterMinutes
+   * - Aprobados en el proveedor: se aplican con WebhookService.applyProviderPayment
+   * - En proceso: se actualiza el estado local y se espera
+   * - Sin pago, rechazados o cancelados: se cancela el pedido al superar abandonAfterMinutes
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Resumen { checked, applied, cancelled, waiting, errors }
+   */
+  static async reconcilePendingPayments(requestId = null) {
+    const summary = { checked: 0, applied: 0, cancelled: 0, waiting: 0, errors: 0 };
+
+    try {
+      const now = Date.now();
+      const pendingBefore = new Date(now - RECONCILIATION_CONFIG.pendingAfterMinutes * 60 * 1000);
+      const abandonBefore = new Date(now - RECONCILIATION_CONFIG.abandonAfterMinutes * 60 * 1000);
+
+      const pendingPayments = await prisma.payment.findMany({
+        where: {
+          provider: { in: PaymentProviderRegistry.getProviderNames() },
+          status: { in: ['pending', 'processing'] },
+          createdAt: { lt: pendingBefore },
+          order: { status: 'pending' }
+        },
+        select: {
+          id: true,
+          orderId: true,
+          status: true,
+          provider: true,
+          providerPaymentId: true,
+          createdAt: true
+        },
+        orderBy: { createdAt: 'asc' },
+        take: RECONCILIATION_CONFIG.sweepBatchSize
+      });
+
+      for (const payment of pendingPayments) {
+        summary.checked++;
+
+        try {
+          const provider = PaymentProviderRegistry.getProvider(payment.provider);
+          // Sin referencia el cobro nunca se creó en el proveedor: se trata como pago inexistente
+          const providerPayment = payment.providerPaymentId
+            ? await provider.findPaymentByReference(payment.providerPaymentId, requestId)
+            : null;
+          const providerStatus = providerPayment ? providerPayment.status : null;
+
+          if (providerStatus === 'completed') {
+            const result = await WebhookService.applyProviderPayment(providerPayment, requestId);
+            if (result === 'applied') {
+              summary.applied++;
+            }
+            continue;
+          }
+
+          // El cliente todavía puede pagar (o reintentar tras un rechazo) hasta abandonAfterMinutes
+          if (providerStatus === 'processing' || payment.createdAt >= abandonBefore) {
+            if (providerStatus && providerStatus !== payment.status) {
+              await prisma.payment.updateMany({
+                where: { id: payment.id, status: payment.status },
+                data: { status: providerStatus }
+              });
+            }
+            summary.waiting++;
+            continue;
+          }
+
+          const cancelled = await this.cancelAbandonedOrder(payment, providerStatus, requestId);
+          if (cancelled) {
+            summary.cancelled++;
+          }
+
+        } catch (error) {
+          summary.errors++;
+          logger.error('Error conciliando pago pendiente', {
+            requestId,
+            meta: {
+              paymentId: payment.id.toString(),
+              orderId: payment.orderId.toString(),
+              error: error.message
+            }
+          });
+        }
+      }
+
+      if (summary.checked > 0) {
+        logger.info('Conciliación de pagos pendientes completada', {
+          requestId,
+          meta: summary
+        });
+      }
+
+      return summary;
+
+    } catch (error) {
+      logger.error('Error en la conciliación de pagos pendientes', {
+        requestId,
+        meta: { error: error.message, stack: error.stack }
+      });
+      return summary;
+    }
+  }
+
+  /**
+   * Cancela un pedido cuyo pago no se completó y libera lo que el checkout reservó
+   * @param {Object} payment - Payment pendiente (id, orderId, status)
+   * @param {string|null} providerStatus - Estado interno del pago en el proveedor (null si no existe)
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<boolean>} true si el pedido se canceló
+   */
+  static async cancelAbandonedOrder(payment, providerStatus, requestId = null) {
+    const cancelledOrder = await prisma.$transaction(async (tx) => {
+      // La condición sobre el estado evita cancelar un pedido que el webhook acaba de aprobar
+      const { count } = await tx.order.updateMany({
+        where: { id: payment.orderId, status: 'pending', paymentStatus: { not: 'completed' } },
+        data: {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          paymentStatus: providerStatus === 'failed' ? 'failed' : 'cancelled'
+        }
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      await OrderStatusService.recordTransition(tx, {
+        orderId: payment.orderId,
+        fromStatus: 'pending',
+        toStatus: 'cancelled',
+        source: 'system',
+        reason: providerStatus === 'failed' ? 'Pago rechazado' : 'Pago no completado'
+      }, requestId);
+
+      await tx.payment.update({
+        where: { id: payment.id },
+        data: { status: providerStatus === 'failed' ? 'failed' : 'cancelled' }
+      });
+
+      await CouponService.releaseRedemption(tx, payment.orderId, requestId);
+      await StockService.releaseOrderStock(tx, payment.orderId, requestId);
+
+      const order = await tx.order.findUnique({
+        where: { id: payment.orderId },
+        select: {
+          id: true,
+          customerId: true,
+          restaurant: { select: { name: true } }
+        }
+      });
+
+      await tx.notification.create({
+        data: {
+          userId: order.customerId,
+          title: `Pedido #${order.id} cancelado`,
+          message: `Tu pedido en ${order.restaurant.name} se canceló porque no se completó el pago`,
+          type: 'ORDER_UPDATE'
+        }
+      });
+
+      return order;
+    });
+
+    if (!cancelledOrder) {
+      return false;
+    }
+
+    logger.info('Pedido cancelado por pago abandonado', {
+      requestId,
+      meta: {
+        orderId: cancelledOrder.id.toString(),
+        paymentId: payment.id.toString(),
+        providerStatus
+      }
+    });
+
+    try {
+      getIo().to(`user_${cancelledOrder.customerId}`).emit('order_status_update', {
+        orderId: cancelledOrder.id.toString(),
+        status: 'cancelled',
+        reason: 'PAYMENT_ABANDONED'
+      });
+    } catch (socketError) {
+      logger.warn('No se pudo notificar la cancelación por Socket.io', {
+        requestId,
+        meta: { orderId: cancelledOrder.id.toString(), error: socketError.message }
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Genera (o regenera) el reporte de diferencias de un día
+   * Compara con su proveedor todos los pagos en línea creados ese día
+   * @param {string} reportDate - Fecha local "YYYY-MM-DD"
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Reporte formateado con sus diferencias
+   */
+  static async generateDailyReport(reportDate, requestId = null) {
+    const { start, end } = getLocalDayRange(reportDate);
+
+    const payments = await prisma.payment.findMany({
+      where: {
+        provider: { in: PaymentProviderRegistry.getProviderNames() },
+        providerPaymentId: { not: null },
+        createdAt: { gte: start, lt: end }
+      },
+      select: {
+        id: true,
+        orderId: true,
+        amount: true,
+        status: true,
+        provider: true,
+        providerPaymentId: true,
+        order: { select: { status: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const mismatches = [];
+    for (const payment of payments) {
+      try {
+        const provider = PaymentProviderRegistry.getProvider(payment.provider);
+        const providerPayment = await provider.findPaymentByReference(payment.providerPaymentId, requestId);
+        const mismatch = findMismatch(payment, providerPayment);
+        if (mismatch) {
+          mismatches.push(mismatch);
+        }
+      } catch (error) {
+        mismatches.push({
+          type: 'PROVIDER_LOOKUP_FAILED',
+          orderId: payment.orderId.toString(),
+          paymentId: payment.id.toString(),
+          provider: payment.provider,
+          externalReference: payment.providerPaymentId,
+          localStatus: payment.status,
+          orderStatus: payment.order.status,
+          error: error.message
+        });
+      }
+    }
+
+    const data = {
+      checkedCount: payments.length,
+      mismatchCount: mismatches.length,
+      mismatches
+    };
+
+    const report = await prisma.paymentReconciliationReport.upsert({
+      where: { reportDate: new Date(`${reportDate}T00:00:00.000Z`) },
+      create: { reportDate: new Date(`${reportDate}T00:00:00.000Z`), ...data },
+      update: data
+    });
+
+    const logLevel = mismatches.length > 0 ? 'warn' : 'info';
+    logger[logLevel]('Reporte diario de conciliación de pagos generado', {
+      requestId,
+      meta: {
+        reportDate,
+        checkedCount: payments.length,
+        mismatchCount: mismatches.length,
+        mismatchTypes: mismatches.map(mismatch => mismatch.type)
+      }
+    });
+
+    return formatReport(report, true);
+  }
+
+  /**
+   * Genera el reporte del día anterior si todavía no existe
+   * Se revisa en cada ciclo para que un reinicio no deje días sin reporte
+   * @returns {Promise<void>}
+   */
+  static async ensureDailyReport() {
+    try {
+      const reportDate = getYesterdayLocalDate();
+      const existing = await prisma.paymentReconciliationReport.findUnique({
+        where: { reportDate: new Date(`${reportDate}T00:00:00.000Z`) },
+        select: { id: true }
+      });
+
+      if (!existing) {
+        await this.generateDailyReport(reportDate);
+      }
+    } catch (error) {
+      logger.error('Error generando el reporte diario de conciliación de pagos', {
+        meta: { error: error.message, stack: error.stack }
+      });
+    }
+  }
+
+  /**
+   * Inicia la conciliación periódica de pagos y el reporte diario
+   */
+  static startReconciliationWorker() {
+    if (reconciliationInterval) {
+      return;
+    }
+
+    const runCycle = async () => {
+      await this.reconcilePendingPayments();
+      await this.ensureDailyReport();
+    };
+
+    runCycle();
+
+    reconciliationInterval = setInterval(runCycle, RECONCILIATION_CONFIG.sweepIntervalSeconds * 1000);
+
+    if (typeof reconciliationInterval.unref === 'function') {
+      reconciliationInterval.unref();
+    }
+
+    logger.info('Conciliación de pagos iniciada', {
+      meta: {
+        sweepIntervalSeconds: RECONCILIATION_CONFIG.sweepIntervalSeconds,
+        pendingAfterMinutes: RECONCILIATION_CONFIG.pendingAfterMinutes,
+        abandonAfterMinutes: RECONCILIATION_CONFIG.abandonAfterMinutes
+      }
+    });
+  }
+
+  /**
+   * Lista los reportes diarios de conciliación (sin el detalle de diferencias)
+   * @param {Object} filters - page y pageSize
+   * @returns {Promise<Object>} { reports, pagination }
+   */
+  static async getReports({ page, pageSize }) {
+    const [reports, totalCount] = await Promise.all([
+      prisma.paymentReconciliationReport.findMany({
+        orderBy: { reportDate: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize
+      }),
+      prisma.paymentReconciliationReport.count()
+    ]);
+
+    const totalPages = Math.ceil(totalCount / pageSize);
+
+    return {
+      reports: reports.map(report => formatReport(report)),
+      pagination: {
+        currentPage: page,
+        pageSize,
+        totalCount,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Obtiene el reporte de un día con el detalle de diferencias
+   * @param {string} reportDate - Fecha local "YYYY-MM-DD"
+   * @returns {Promise<Object>} Reporte formateado
+   */
+  static async getReportByDate(reportDate) {
+    const report = await prisma.paymentReconciliationReport.findUnique({
+      where: { reportDate: new Date(`${reportDate}T00:00:00.000Z`) }
+    });
+
+    if (!report) {
+      throw {
+        status: 404,
+        message: 'No existe reporte de conciliación para esa fecha',
+        code: 'RECONCILIATION_REPORT_NOT_FOUND'
+      };
+    }
+
+    return formatReport(report, true);
+  }
+}
+
+module.exports = PaymentReconciliationService;
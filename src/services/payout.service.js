@@ -0,0 +1,881 @@
+/**
+ * Servicio de lotes de pago (payouts) a restaurantes y repartidores
+ * Un lote agrupa, por billetera, las transacciones pendientes de pago y las neta en una sola
+ * transferencia por beneficiario. Flujo: draft -> approved -> sent -> confirmed (o cancelled).
+ * El débito de la billetera se registra en el libro contable al enviar el lote; una línea que el
+ * banco rechaza se marca como fallida, se revierte el débito y sus transacciones vuelven a quedar
+ * pendientes para el siguiente lote.
+ */
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const { roundToTwoDecimals, escapeCsvValue } = require('../utils/format');
+const LedgerService = require('./ledger.service');
+
+// Configuración de pagos (sobrescribible por variables de entorno)
+const PAYOUT_CONFIG = {
+  minAmount: {
+    restaurant: parseFloat(process.env.PAYOUT_MIN_RESTAURANT_AMOUNT) || 100,
+    driver: parseFloat(process.env.PAYOUT_MIN_DRIVER_AMOUNT) || 50
+  },
+  // Días que una transacción espera antes de poder pagarse (ventana para reembolsos y aclaraciones)
+  holdDays: Number.isNaN(parseInt(process.env.PAYOUT_HOLD_DAYS, 10))
+    ? 3
+    : parseInt(process.env.PAYOUT_HOLD_DAYS, 10)
+};
+
+// Movimientos generados por los propios pagos; nunca forman parte del neto a pagar
+const PAYOUT_TRANSACTION_TYPES = [
+  'RESTAURANT_PAYOUT_DEBIT',
+  'RESTAURANT_PAYOUT_REVERSAL_CREDIT',
+  'DRIVER_PAYOUT_DEBIT',
+  'DRIVER_PAYOUT_REVERSAL_CREDIT'
+];
+
+const SKIP_REASONS = {
+  ON_HOLD: 'Pagos retenidos para este beneficiario',
+  MISSING_CLABE: 'El beneficiario no tiene una CLABE válida registrada',
+  BELOW_MINIMUM: 'El neto pendiente no alcanza el monto mínimo de pago',
+  INSUFFICIENT_BALANCE: 'El saldo de la billetera es menor que el neto pendiente'
+};
+
+/**
+ * Texto para el layout SPEI: mayúsculas sin acentos, recortado y alineado a la izquierda
+ * @param {string} value - Texto
+ * @param {number} length - Longitud del campo
+ * @returns {string} Campo de longitud fija
+ */
+function fixedText(value, length) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9 ]/g, ' ')
+    .slice(0, length)
+    .padEnd(length, ' ');
+}
+
+/**
+ * Importe de una transacción con signo (los ajustes guardan el importe absoluto)
+ * @param {Object} transaction - Transacción de billetera
+ * @returns {number} Importe con signo
+ */
+function signedAmount(transaction) {
+  const amount = Number(transaction.amount);
+  return transaction.type === 'ADJUSTMENT_DEBIT' ? -Math.abs(amount) : amount;
+}
+
+/**
+ * Modelos de Prisma según el tipo de beneficiario
+ * @param {Object} client - Cliente de Prisma o de transacción
+ * @param {string} payeeType - 'restaurant' o 'driver'
+ * @returns {{ walletModel: Object, transactionModel: Object }}
+ */
+function getModels(client, payeeType) {
+  return payeeType === 'restaurant'
+    ? { walletModel: client.restaurantWallet, transactionModel: client.restaurantWalletTransaction }
+    : { walletModel: client.driverWallet, transactionModel: client.driverWalletTransaction };
+}
+
+/**
+ * Formatea una línea de lote para la respuesta
+ * @param {Object} line - PayoutBatchLine
+ * @returns {Object} Línea con montos numéricos
+ */
+function formatLine(line) {
+  return {
+    id: line.id,
+    batchId: line.batchId,
+    walletId: line.walletId,
+    payeeId: line.payeeId,
+    payeeName: line.payeeName,
+    rfc: line.rfc,
+    clabe: line.clabe,
+    amount: Number(line.amount),
+    transactionCount: line.transactionCount,
+    reference: line.reference,
+    status: line.status,
+    failureReason: line.failureReason,
+    ledgerEntryId: line.ledgerEntryId ? line.ledgerEntryId.toString() : null,
+    paidAt: line.paidAt,
+    failedAt: line.failedAt,
+    createdAt: line.createdAt
+  };
+}
+
+/**
+ * Formatea un lote para la respuesta
+ * @param {Object} batch - PayoutBatch (con lines opcional)
+ * @returns {Object} Lote con montos numéricos
+ */
+function formatBatch(batch) {
+  const formatted = {
+    id: batch.id,
+    payeeType: batch.payeeType,
+    status: batch.status,
+    cutoffAt: batch.cutoffAt,
+    totalAmount: Number(batch.totalAmount),
+    lineCount: batch.lineCount,
+    notes: batch.notes,
+    createdById: batch.createdById,
+    approvedById: batch.approvedById,
+    approvedAt: batch.approvedAt,
+    sentById: batch.sentById,
+    sentAt: batch.sentAt,
+    confirmedById: batch.confirmedById,
+    confirmedAt: batch.confirmedAt,
+    cancelledAt: batch.cancelledAt,
+    createdAt: batch.createdAt,
+    updatedAt: batch.updatedAt
+  };
+
+  if (batch.lines) {
+    formatted.lines = batch.lines.map(line => formatLine(line));
+    formatted.failedAmount = roundToTwoDecimals(batch.lines
+      .filter(line => line.status === 'failed')
+      .reduce((sum, line) => sum + Number(line.amount), 0));
+  }
+
+  return formatted;
+}
+
+class PayoutService {
+
+  /**
+   * Valida una CLABE interbancaria (18 dígitos con dígito de control)
+   * @param {string} clabe - CLABE
+   * @returns {boolean} true si la CLABE es válida
+   */
+  static isValidClabe(clabe) {
+    if (typeof clabe !== 'string' || !/^\d{18}$/.test(clabe)) {
+      return false;
+    }
+
+    const weights = [3, 7, 1];
+    const sum = clabe
+      .slice(0, 17)
+      .split('')
+      .reduce((acc, digit, index) => acc + (Number(digit) * weights[index % 3]) % 10, 0);
+
+    return (10 - (sum % 10)) % 10 === Number(clabe[17]);
+  }
+
+  /**
+   * Crea un lote en borrador con el neto pendiente de cada billetera
+   * Solo entran transacciones no pagadas, sin lote y con más de PAYOUT_HOLD_DAYS de antigüedad.
+   * Se omiten los beneficiarios retenidos, sin CLABE, con neto menor al mínimo o sin saldo suficiente.
+   * @param {string} payeeType - 'restaurant' o 'driver'
+   * @param {number} adminUserId - Administrador que crea el lote
+   * @param {Object} [options] - notes y allowEmpty (devuelve batch null en lugar de 409)
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} { batch, skipped, transactions }
+   */
+  static async createBatch(payeeType, adminUserId, { notes = null, allowEmpty = false } = {}, requestId = null) {
+    const result = await prisma.$transaction(async (tx) => {
+      const { walletModel, transactionModel } = getModels(tx, payeeType);
+      const cutoffAt = new Date(Date.now() - PAYOUT_CONFIG.holdDays * 24 * 60 * 60 * 1000);
+
+      const pendingTransactions = await transactionModel.findMany({
+        where: {
+          isPaidOut: false,
+          payoutLineId: null,
+          deletedAt: null,
+          type: { notIn: PAYOUT_TRANSACTION_TYPES },
+          createdAt: { lte: cutoffAt }
+        },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      const byWallet = new Map();
+      pendingTransactions.forEach(transaction => {
+        const group = byWallet.get(transaction.walletId) || { transactions: [], netCents: 0 };
+        group.transactions.push(transaction);
+        group.netCents += Math.round(signedAmount(transaction) * 100);
+        byWallet.set(transaction.walletId, group);
+      });
+
+      const wallets = await walletModel.findMany({
+        where: { id: { in: [...byWallet.keys()] } },
+        include: payeeType === 'restaurant'
+          ? { restaurant: { select: { id: true, name: true, rfc: true, clabe: true } } }
+          : { driver: { select: { id: true, name: true, lastname: true, driverProfile: { select: { rfc: true, clabe: true } } } } }
+      });
+
+      const eligible = [];
+      const skipped = [];
+
+      wallets.forEach(wallet => {
+        const group = byWallet.get(wallet.id);
+        const payee = payeeType === 'restaurant'
+          ? {
+            payeeId: wallet.restaurantId,
+            payeeName: wallet.restaurant.name,
+            rfc: wallet.restaurant.rfc,
+            clabe: wallet.restaurant.clabe
+          }
+          : {
+            payeeId: wallet.driverId,
+            payeeName: `${wallet.driver.name} ${wallet.driver.lastname}`,
+            rfc: wallet.driver.driverProfile ? wallet.driver.driverProfile.rfc : null,
+            clabe: wallet.driver.driverProfile ? wallet.driver.driverProfile.clabe : null
+          };
+        const netAmount = group.netCents / 100;
+
+        let reason = null;
+        if (wallet.payoutHold) {
+          reason = 'ON_HOLD';
+        } else if (!this.isValidClabe(payee.clabe)) {
+          reason = 'MISSING_CLABE';
+        } else if (netAmount < PAYOUT_CONFIG.minAmount[payeeType]) {
+          reason = 'BELOW_MINIMUM';
+        } else if (netAmount > Number(wallet.balance)) {
+          reason = 'INSUFFICIENT_BALANCE';
+        }
+
+        if (reason) {
+          skipped.push({
+            walletId: wallet.id,
+            payeeId: payee.payeeId,
+            payeeName: payee.payeeName,
+            netAmount,
+            walletBalance: Number(wallet.balance),
+            reason,
+            message: reason === 'ON_HOLD' && wallet.payoutHoldReason
+              ? `${SKIP_REASONS.ON_HOLD}: ${wallet.payoutHoldReason}`
+              : SKIP_REASONS[reason]
+          });
+          return;
+        }
+
+        eligible.push({ wallet, payee, netAmount, transactions: group.transactions });
+      });
+
+      if (eligible.length === 0) {
+        if (allowEmpty) {
+          return { batch: null, skipped, transactions: [] };
+        }
+        throw {
+          status: 409,
+          message: 'No hay pagos pendientes que cumplan las condiciones para crear un lote',
+          code: 'NO_PAYOUTS_PENDING',
+          details: { skipped }
+        };
+      }
+
+      const batch = await tx.payoutBatch.create({
+        data: {
+          payeeType,
+          cutoffAt,
+          notes,
+          createdById: adminUserId
+        }
+      });
+
+      let totalCents = 0;
+      const includedTransactions = [];
+
+      for (const item of eligible) {
+        const line = await tx.payoutBatchLine.create({
+          data: {
+            batchId: batch.id,
+            walletId: item.wallet.id,
+            payeeId: item.payee.payeeId,
+            payeeName: item.payee.payeeName,
+            rfc: item.payee.rfc,
+            clabe: item.payee.clabe,
+            amount: item.netAmount,
+            transactionCount: item.transactions.length,
+            reference: '0000000'
+          }
+        });
+
+        await tx.payoutBatchLine.update({
+          where: { id: line.id },
+          data: { reference: String(line.id % 10000000).padStart(7, '0') }
+        });
+
+        // Reservar las transacciones; si otro lote tomó alguna mientras tanto, se aborta
+        const { count } = await transactionModel.updateMany({
+          where: {
+            id: { in: item.transactions.map(transaction => transaction.id) },
+            payoutLineId: null,
+            isPaidOut: false
+          },
+          data: { payoutLineId: line.id }
+        });
+
+        if (count !== item.transactions.length) {
+          throw {
+            status: 409,
+            message: 'Las transacciones pendientes cambiaron mientras se creaba el lote; intenta de nuevo',
+            code: 'PAYOUT_TRANSACTIONS_CHANGED'
+          };
+        }
+
+        totalCents += Math.round(item.netAmount * 100);
+        includedTransactions.push(...item.transactions);
+      }
+
+      await tx.payoutBatch.update({
+        where: { id: batch.id },
+        data: { totalAmount: totalCents / 100, lineCount: eligible.length }
+      });
+
+      await tx.auditLog.create({
+        data: {
+          userId: adminUserId,
+          action: 'CREATE_PAYOUT_BATCH',
+          entity: 'TRANSACTION',
+          entityId: BigInt(batch.id),
+          details: {
+            payeeType,
+            lineCount: eligible.length,
+            totalAmount: totalCents / 100,
+            transactionCount: includedTransactions.length,
+            skippedCount: skipped.length
+          }
+        }
+      });
+
+      return { batchId: batch.id, skipped, transactions: includedTransactions };
+    }, { timeout: 30000 });
+
+    if (!result.batchId) {
+      return result;
+    }
+
+    logger.info('Lote de pagos creado', {
+      requestId,
+      meta: { batchId: result.batchId, payeeType, transactionCount: result.transactions.length, skipped: result.skipped.length }
+    });
+
+    return {
+      batch: await this.getBatch(result.batchId),
+      skipped: result.skipped,
+      transactions: result.transactions
+    };
+  }
+
+  /**
+   * Lista lotes de pago con filtros y paginación
+   * @param {Object} query - status, payeeType, page y pageSize
+   * @returns {Promise<Object>} Lotes y paginación
+   */
+  static async getBatches({ status, payeeType, page, pageSize }) {
+    // Los valores por defecto del query schema llegan como texto
+    const currentPage = parseInt(page, 10) || 1;
+    const take = parseInt(pageSize, 10) || 10;
+    const where = {};
+    if (status) where.status = status;
+    if (payeeType) where.payeeType = payeeType;
+
+    const [batches, totalCount] = await Promise.all([
+      prisma.payoutBatch.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (currentPage - 1) * take,
+        take
+      }),
+      prisma.payoutBatch.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / take);
+
+    return {
+      batches: batches.map(batch => formatBatch(batch)),
+      pagination: {
+        currentPage,
+        pageSize: take,
+        totalCount,
+        totalPages,
+        hasNextPage: currentPage < totalPages,
+        hasPreviousPage: currentPage > 1
+      }
+    };
+  }
+
+  /**
+   * Obtiene un lote con sus líneas
+   * @param {number} batchId - ID del lote
+   * @param {Object} [client] - Cliente de Prisma o de transacción
+   * @returns {Promise<Object>} Lote formateado
+   * @throws {Object} 404 PAYOUT_BATCH_NOT_FOUND
+   */
+  static async getBatch(batchId, client = prisma) {
+    const batch = await client.payoutBatch.findUnique({
+      where: { id: batchId },
+      include: { lines: { orderBy: { id: 'asc' } } }
+    });
+
+    if (!batch) {
+      throw {
+        status: 404,
+        message: 'Lote de pagos no encontrado',
+        code: 'PAYOUT_BATCH_NOT_FOUND'
+      };
+    }
+
+    return formatBatch(batch);
+  }
+
+  /**
+   * Cambia el estado de un lote validando el estado actual
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {number} batchId - ID del lote
+   * @param {string[]} allowedStatuses - Estados desde los que se permite la transición
+   * @param {string} newStatus - Estado destino
+   * @returns {Promise<Object>} Lote con sus líneas antes del cambio
+   */
+  static async lockBatchForTransition(tx, batchId, allowedStatuses, newStatus) {
+    const batch = await tx.payoutBatch.findUnique({
+      where: { id: batchId },
+      include: { lines: { orderBy: { id: 'asc' } } }
+    });
+
+    if (!batch) {
+      throw {
+        status: 404,
+        message: 'Lote de pagos no encontrado',
+        code: 'PAYOUT_BATCH_NOT_FOUND'
+      };
+    }
+
+    // La condición sobre el estado evita que dos solicitudes simultáneas apliquen la misma transición
+    const { count } = await tx.payoutBatch.updateMany({
+      where: { id: batchId, status: { in: allowedStatuses } },
+      data: { status: newStatus }
+    });
+
+    if (count === 0) {
+      throw {
+        status: 409,
+        message: `El lote está en estado ${batch.status} y no puede pasar a ${newStatus}`,
+        code: 'INVALID_PAYOUT_BATCH_STATUS',
+        details: { currentStatus: batch.status, allowedStatuses }
+      };
+    }
+
+    return batch;
+  }
+
+  /**
+   * Aprueba un lote en borrador; a partir de aquí se puede exportar el archivo bancario
+   * @param {number} batchId - ID del lote
+   * @param {number} adminUserId - Administrador que aprueba
+   * @returns {Promise<Object>} Lote actualizado
+   */
+  static async approveBatch(batchId, adminUserId) {
+    return prisma.$transaction(async (tx) => {
+      await this.lockBatchForTransition(tx, batchId, ['draft'], 'approved');
+
+      await tx.payoutBatch.update({
+        where: { id: batchId },
+        data: { approvedById: adminUserId, approvedAt: new Date() }
+      });
+
+      await tx.auditLog.create({
+        data: {
+          userId: adminUserId,
+          action: 'APPROVE_PAYOUT_BATCH',
+          entity: 'TRANSACTION',
+          entityId: BigInt(batchId),
+          details: { batchId }
+        }
+      });
+
+      return this.getBatch(batchId, tx);
+    });
+  }
+
+  /**
+   * Marca un lote como enviado al banco y descuenta cada pago de su billetera
+   * @param {number} batchId - ID del lote
+   * @param {number} adminUserId - Administrador que envía
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Lote actualizado
+   */
+  static async sendBatch(batchId, adminUserId, requestId = null) {
+    return prisma.$transaction(async (tx) => {
+      const batch = await this.lockBatchForTransition(tx, batchId, ['approved'], 'sent');
+
+      for (const line of batch.lines.filter(item => item.status === 'pending')) {
+        const { entry } = await LedgerService.postPayout(tx, {
+          payeeType: batch.payeeType,
+          line,
+          createdById: adminUserId
+        }, requestId);
+
+        await tx.payoutBatchLine.update({
+          where: { id: line.id },
+          data: { ledgerEntryId: entry.id }
+        });
+      }
+
+      await tx.payoutBatch.update({
+        where: { id: batchId },
+        data: { sentById: adminUserId, sentAt: new Date() }
+      });
+
+      await tx.auditLog.create({
+        data: {
+          userId: adminUserId,
+          action: 'SEND_PAYOUT_BATCH',
+          entity: 'TRANSACTION',
+          entityId: BigInt(batchId),
+          details: {
+            batchId,
+            lineCount: batch.lines.filter(item => item.status === 'pending').length
+          }
+        }
+      });
+
+      return this.getBatch(batchId, tx);
+    }, { timeout: 30000 });
+  }
+
+  /**
+   * Confirma que el banco liquidó las transferencias: las líneas pendientes quedan pagadas
+   * y sus transacciones de billetera se marcan como pagadas
+   * @param {number} batchId - ID del lote
+   * @param {number} adminUserId - Administrador que confirma
+   * @returns {Promise<Object>} Lote actualizado
+   */
+  static async confirmBatch(batchId, adminUserId) {
+    return prisma.$transaction(async (tx) => {
+      const batch = await this.lockBatchForTransition(tx, batchId, ['sent'], 'confirmed');
+      const { transactionModel } = getModels(tx, batch.payeeType);
+      const paidLineIds = batch.lines.filter(line => line.status === 'pending').map(line => line.id);
+      const now = new Date();
+
+      await tx.payoutBatchLine.updateMany({
+        where: { id: { in: paidLineIds } },
+        data: { status: 'paid', paidAt: now }
+      });
+
+      await transactionModel.updateMany({
+        where: { payoutLineId: { in: paidLineIds } },
+        data: { isPaidOut: true, paidOutAt: now }
+      });
+
+      await tx.payoutBatch.update({
+        where: { id: batchId },
+        data: { confirmedById: adminUserId, confirmedAt: now }
+      });
+
+      await tx.auditLog.create({
+        data: {
+          userId: adminUserId,
+          action: 'CONFIRM_PAYOUT_BATCH',
+          entity: 'TRANSACTION',
+          entityId: BigInt(batchId),
+          details: { batchId, paidLineCount: paidLineIds.length }
+        }
+      });
+
+      return this.getBatch(batchId, tx);
+    }, { timeout: 30000 });
+  }
+
+  /**
+   * Cancela un lote que aún no se envió y libera sus transacciones
+   * @param {number} batchId - ID del lote
+   * @param {number} adminUserId - Administrador que cancela
+   * @returns {Promise<Object>} Lote actualizado
+   */
+  static async cancelBatch(batchId, adminUserId) {
+    return prisma.$transaction(async (tx) => {
+      const batch = await this.lockBatchForTransition(tx, batchId, ['draft', 'approved'], 'cancelled');
+      const { transactionModel } = getModels(tx, batch.payeeType);
+      const lineIds = batch.lines.map(line => line.id);
+      const now = new Date();
+
+      await transactionModel.updateMany({
+        where: { payoutLineId: { in: lineIds } },
+        data: { payoutLineId: null }
+      });
+
+      await tx.payoutBatchLine.updateMany({
+        where: { id: { in: lineIds }, status: 'pending' },
+        data: { status: 'failed', failureReason: 'Lote cancelado', failedAt: now }
+      });
+
+      await tx.payoutBatch.update({
+        where: { id: batchId },
+        data: { cancelledAt: now }
+      });
+
+      await tx.auditLog.create({
+        data: {
+          userId: adminUserId,
+          action: 'CANCEL_PAYOUT_BATCH',
+          entity: 'TRANSACTION',
+          entityId: BigInt(batchId),
+          details: { batchId, previousStatus: batch.status }
+        }
+      });
+
+      return this.getBatch(batchId, tx);
+    });
+  }
+
+  /**
+   * Marca una línea como fallida (CLABE rechazada, devolución del banco) y la revierte:
+   * si el pago ya se había enviado, el monto regresa a la billetera; las transacciones
+   * de la línea vuelven a quedar pendientes para el siguiente lote
+   * @param {number} batchId - ID del lote
+   * @param {number} lineId - ID de la línea
+   * @param {string} reason - Motivo del rechazo
+   * @param {number} adminUserId - Administrador que registra el rechazo
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Lote actualizado
+   */
+  static async failLine(batchId, lineId, reason, adminUserId, requestId = null) {
+    return prisma.$transaction(async (tx) => {
+      const line = await tx.payoutBatchLine.findFirst({
+        where: { id: lineId, batchId },
+        include: { batch: true }
+      });
+
+      if (!line) {
+        throw {
+          status: 404,
+          message: 'Línea de pago no encontrada en el lote',
+          code: 'PAYOUT_LINE_NOT_FOUND'
+        };
+      }
+
+      if (!['approved', 'sent', 'confirmed'].includes(line.batch.status)) {
+        throw {
+          status: 409,
+          message: `No se pueden rechazar líneas de un lote en estado ${line.batch.status}`,
+          code: 'INVALID_PAYOUT_BATCH_STATUS',
+          details: { currentStatus: line.batch.status }
+        };
+      }
+
+      const { count } = await tx.payoutBatchLine.updateMany({
+        where: { id: lineId, status: { in: ['pending', 'paid'] } },
+        data: { status: 'failed', failureReason: reason, failedAt: new Date() }
+      });
+
+      if (count === 0) {
+        throw {
+          status: 409,
+          message: 'La línea de pago ya está marcada como fallida',
+          code: 'PAYOUT_LINE_ALREADY_FAILED'
+        };
+      }
+
+      if (line.ledgerEntryId) {
+        await LedgerService.postPayoutReversal(tx, {
+          payeeType: line.batch.payeeType,
+          line,
+          reason,
+          createdById: adminUserId
+        }, requestId);
+      }
+
+      // Los movimientos del pago y su reversa se quedan ligados a la línea como historial
+      const { transactionModel } = getModels(tx, line.batch.payeeType);
+      await transactionModel.updateMany({
+        where: { payoutLineId: lineId, type: { notIn: PAYOUT_TRANSACTION_TYPES } },
+        data: { payoutLineId: null, isPaidOut: false, paidOutAt: null }
+      });
+
+      await tx.auditLog.create({
+        data: {
+          userId: adminUserId,
+          action: 'FAIL_PAYOUT_LINE',
+          entity: 'TRANSACTION',
+          entityId: BigInt(lineId),
+          details: {
+            batchId,
+            lineId,
+            payeeId: line.payeeId,
+            amount: Number(line.amount),
+            reason,
+            reversed: Boolean(line.ledgerEntryId)
+          }
+        }
+      });
+
+      return this.getBatch(batchId, tx);
+    });
+  }
+
+  /**
+   * Estado de cuenta de un beneficiario dentro de un lote
+   * @param {number} batchId - ID del lote
+   * @param {number} lineId - ID de la línea
+   * @returns {Promise<Object>} Línea, beneficiario, transacciones y totales por tipo
+   */
+  static async getLineStatement(batchId, lineId) {
+    const line = await prisma.payoutBatchLine.findFirst({
+      where: { id: lineId, batchId },
+      include: { batch: true }
+    });
+
+    if (!line) {
+      throw {
+        status: 404,
+        message: 'Línea de pago no encontrada en el lote',
+        code: 'PAYOUT_LINE_NOT_FOUND'
+      };
+    }
+
+    const { transactionModel } = getModels(prisma, line.batch.payeeType);
+    const transactions = await transactionModel.findMany({
+      where: { payoutLineId: lineId },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const totalsByType = {};
+    transactions.forEach(transaction => {
+      totalsByType[transaction.type] = roundToTwoDecimals((totalsByType[transaction.type] || 0) + signedAmount(transaction));
+    });
+
+    const settledTransactions = transactions.filter(transaction => !PAYOUT_TRANSACTION_TYPES.includes(transaction.type));
+
+    return {
+      batch: formatBatch(line.batch),
+      line: formatLine(line),
+      payee: {
+        type: line.batch.payeeType,
+        id: line.payeeId,
+        name: line.payeeName,
+        rfc: line.rfc,
+        clabe: line.clabe
+      },
+      period: {
+        from: settledTransactions.length > 0 ? settledTransactions[0].createdAt : null,
+        to: settledTransactions.length > 0 ? settledTransactions[settledTransactions.length - 1].createdAt : null
+      },
+      totalsByType,
+      transactions: transactions.map(transaction => ({
+        id: transaction.id.toString(),
+        orderId: transaction.orderId ? transaction.orderId.toString() : null,
+        type: transaction.type,
+        amount: signedAmount(transaction),
+        description: transaction.description,
+        isPaidOut: transaction.isPaidOut,
+        createdAt: transaction.createdAt
+      }))
+    };
+  }
+
+  /**
+   * Genera el archivo de dispersión de un lote aprobado
+   * - csv: una fila por beneficiario con encabezados.
+   * - spei: layout de ancho fijo (tipo de cuenta 40 = CLABE).
+   * Las líneas fallidas no se incluyen.
+   * @param {number} batchId - ID del lote
+   * @param {string} format - 'csv' o 'spei'
+   * @returns {Promise<Object>} { fileName, contentType, content }
+   */
+  static async exportBatchFile(batchId, format) {
+    const batch = await this.getBatch(batchId);
+
+    if (!['approved', 'sent', 'confirmed'].includes(batch.status)) {
+      throw {
+        status: 409,
+        message: 'Solo se puede exportar un lote aprobado',
+        code: 'INVALID_PAYOUT_BATCH_STATUS',
+        details: { currentStatus: batch.status }
+      };
+    }
+
+    const lines = batch.lines.filter(line => line.status !== 'failed');
+    const concept = `DELIXMI PAGO LOTE ${batch.id}`;
+
+    if (format === 'spei') {
+      const rows = lines.map(line => [
+        '40',
+        line.clabe,
+        String(Math.round(line.amount * 100)).padStart(15, '0'),
+        fixedText(line.payeeName, 40),
+        fixedText(line.rfc, 13),
+        fixedText(concept, 40),
+        line.reference
+      ].join(''));
+
+      return {
+        fileName: `pagos_lote_${batch.id}.txt`,
+        contentType: 'text/plain; charset=utf-8',
+        content: rows.join('\r\n')
+      };
+    }
+
+    const header = ['clabe', 'beneficiario', 'rfc', 'monto', 'concepto', 'referencia', 'payee_id'];
+    const rows = lines.map(line => [
+      line.clabe,
+      line.payeeName,
+      line.rfc,
+      line.amount.toFixed(2),
+      concept,
+      line.reference,
+      line.payeeId
+    ].map(escapeCsvValue).join(','));
+
+    return {
+      fileName: `pagos_lote_${batch.id}.csv`,
+      contentType: 'text/csv; charset=utf-8',
+      content: [header.join(','), ...rows].join('\n')
+    };
+  }
+
+  /**
+   * Retiene o libera los pagos de un beneficiario
+   * @param {string} payeeType - 'restaurant' o 'driver'
+   * @param {number} ownerId - ID del restaurante o del repartidor
+   * @param {Object} data - hold y reason
+   * @param {number} adminUserId - Administrador que aplica la retención
+   * @returns {Promise<Object>} Billetera actualizada
+   */
+  static async setPayoutHold(payeeType, ownerId, { hold, reason = null }, adminUserId) {
+    return prisma.$transaction(async (tx) => {
+      const owner = payeeType === 'restaurant'
+        ? await tx.restaurant.findUnique({ where: { id: ownerId }, select: { id: true } })
+        : await tx.driverProfile.findUnique({ where: { userId: ownerId }, select: { userId: true } });
+
+      if (!owner) {
+        throw {
+          status: 404,
+          message: payeeType === 'restaurant' ? 'Restaurante no encontrado' : 'Repartidor no encontrado',
+          code: payeeType === 'restaurant' ? 'RESTAURANT_NOT_FOUND' : 'DRIVER_NOT_FOUND'
+        };
+      }
+
+      const { walletModel } = getModels(tx, payeeType);
+      const ownerWhere = payeeType === 'restaurant' ? { restaurantId: ownerId } : { driverId: ownerId };
+      const holdData = { payoutHold: hold, payoutHoldReason: hold ? reason : null };
+
+      const wallet = await walletModel.upsert({
+        where: ownerWhere,
+        create: { ...ownerWhere, balance: 0, ...holdData },
+        update: holdData
+      });
+
+      await tx.auditLog.create({
+        data: {
+          userId: adminUserId,
+          action: hold ? 'HOLD_PAYOUTS' : 'RELEASE_PAYOUTS',
+          entity: payeeType === 'restaurant' ? 'RESTAURANT' : 'DRIVER',
+          entityId: BigInt(ownerId),
+          details: { walletId: wallet.id, reason: holdData.payoutHoldReason }
+        }
+      });
+
+      return {
+        walletId: wallet.id,
+        payeeType,
+        ownerId,
+        balance: Number(wallet.balance),
+        payoutHold: wallet.payoutHold,
+        payoutHoldReason: wallet.payoutHoldReason
+      };
+    });
+  }
+}
+
+PayoutService.CONFIG = PAYOUT_CONFIG;
+
+module.exports = PayoutService;
@@ -1,5 +1,7 @@
 const { calculateDistance, calculateDeliveryFee } = require('../config/maps');
 const { logger } = require('../config/logger');
+const CouponService = require('./coupon.service');
+const { roundToTwoDecimals } = require('../utils/format');
 
 class PricingService {
   /**
@@ -8,7 +10,7 @@ class PricingService {
    * @returns {number} Número redondeado a 2 decimales
    */
   static roundToTwoDecimals(num) {
-    return Math.round(num * 100) / 100;
+    return roundToTwoDecimals(num);
   }
 
   /**
@@ -16,18 +18,20 @@ class PricingService {
    * @param {Array} items - Items del pedido con productId, quantity, y opcionalmente priceAtAdd
    * @param {Array} products - Productos obtenidos de la base de datos
    * @param {Object} branch - Sucursal del restaurante
-   * @param {Object} address - Dirección de entrega
+   * @param {Object|null} address - Dirección de entrega (null en pedidos para recoger)
    * @param {string} [requestId] - ID de la solicitud para logging
-   * @returns {Promise<Object>} Objeto con subtotal, deliveryFee, serviceFee, total y deliveryDetails
+   * @param {Object} [couponContext] - Cupón a aplicar { code, userId, restaurantId } (opcional)
+   * @param {number} [tipAmount] - Propina para el repartidor (se suma al total, sin descuentos ni comisión)
+   * @returns {Promise<Object>} Objeto con subtotal, deliveryFee, serviceFee, discountAmount, tipAmount, total y deliveryDetails
    */
-  static async calculateOrderPricing(items, products, branch, address, requestId) {
+  static async calculateOrderPricing(items, products, branch, address, requestId, couponContext = null, tipAmount = 0) {
     try {
       logger.info('Iniciando cálculo de precios de orden', {
         requestId,
         meta: {
           itemsCount: items.length,
           branchId: branch.id,
-          addressId: address.id
+          addressId: address ? address.id : null
         }
       });
 
@@ -49,71 +53,76 @@ class PricingService {
       // Redondear subtotal a 2 decimales
       subtotal = this.roundToTwoDecimals(subtotal);
 
-      // 2. Calcular tarifa de envío dinámicamente basada en distancia
+      // 2. Calcular tarifa de envío dinámicamente basada en distancia (los pedidos para recoger no pagan envío)
       let deliveryFee = 25.00; // Valor por defecto en caso de error
       let deliveryDetails = null;
       let travelTimeMinutes = 0;
 
-      try {
-        // Obtener coordenadas de la dirección de entrega
-        const destinationCoords = {
-          latitude: Number(address.latitude),
-          longitude: Number(address.longitude)
-        };
+      if (!address) {
+        // Pedido para recoger en el restaurante: sin envío ni tiempo de traslado
+        deliveryFee = 0;
+      } else {
+        try {
+          // Obtener coordenadas de la dirección de entrega
+          const destinationCoords = {
+            latitude: Number(address.latitude),
+            longitude: Number(address.longitude)
+          };
 
-        // Obtener coordenadas de la sucursal
-        const originCoords = {
-          latitude: Number(branch.latitude),
-          longitude: Number(branch.longitude)
-        };
+          // Obtener coordenadas de la sucursal
+          const originCoords = {
+            latitude: Number(branch.latitude),
+            longitude: Number(branch.longitude)
+          };
 
-        // Calcular distancia usando Google Maps
-        const distanceResult = await calculateDistance(originCoords, destinationCoords);
+          // Calcular distancia usando Google Maps
+          const distanceResult = await calculateDistance(originCoords, destinationCoords);
         
-        // Calcular tarifa de envío basada en la distancia
-        const feeCalculation = calculateDeliveryFee(distanceResult.distance);
-        deliveryFee = feeCalculation.tarifaFinal;
-        travelTimeMinutes = distanceResult.duration;
+          // Calcular tarifa de envío basada en la distancia
+          const feeCalculation = calculateDeliveryFee(distanceResult.distance);
+          deliveryFee = feeCalculation.tarifaFinal;
+          travelTimeMinutes = distanceResult.duration;
         
-        deliveryDetails = {
-          distance: distanceResult.distance,
-          duration: distanceResult.duration,
-          distanceText: distanceResult.distanceText,
-          durationText: distanceResult.durationText,
-          calculation: feeCalculation,
-          isDefault: distanceResult.isDefault || false
-        };
-
-        logger.info('Cálculo de tarifa de envío completado', {
-          requestId,
-          meta: {
-            origin: `${originCoords.latitude}, ${originCoords.longitude}`,
-            destination: `${destinationCoords.latitude}, ${destinationCoords.longitude}`,
+          deliveryDetails = {
             distance: distanceResult.distance,
-            deliveryFee: deliveryFee,
-            travelTimeMinutes: travelTimeMinutes,
-            isDefault: distanceResult.isDefault
-          }
-        });
-      } catch (error) {
-        logger.error('Error calculando tarifa de envío', {
-          requestId,
-          meta: {
-            error: error.message,
-            branchId: branch.id,
-            addressId: address.id
-          }
-        });
+            duration: distanceResult.duration,
+            distanceText: distanceResult.distanceText,
+            durationText: distanceResult.durationText,
+            calculation: feeCalculation,
+            isDefault: distanceResult.isDefault || false
+          };
+
+          logger.info('Cálculo de tarifa de envío completado', {
+            requestId,
+            meta: {
+              origin: `${originCoords.latitude}, ${originCoords.longitude}`,
+              destination: `${destinationCoords.latitude}, ${destinationCoords.longitude}`,
+              distance: distanceResult.distance,
+              deliveryFee: deliveryFee,
+              travelTimeMinutes: travelTimeMinutes,
+              isDefault: distanceResult.isDefault
+            }
+          });
+        } catch (error) {
+          logger.error('Error calculando tarifa de envío', {
+            requestId,
+            meta: {
+              error: error.message,
+              branchId: branch.id,
+              addressId: address ? address.id : null
+            }
+          });
         
-        logger.warn('Usando valores por defecto debido a error', {
-          requestId,
-          meta: { error: error.message }
-        });
+          logger.warn('Usando valores por defecto debido a error', {
+            requestId,
+            meta: { error: error.message }
+          });
         
-        deliveryDetails = {
-          isDefault: true,
-          error: error.message
-        };
+          deliveryDetails = {
+            isDefault: true,
+            error: error.message
+          };
+        }
       }
 
       // Redondear deliveryFee a 2 decimales
@@ -122,8 +131,28 @@ class PricingService {
       // 3. Calcular cuota de servicio (5% del subtotal ya redondeado)
       const serviceFee = this.roundToTwoDecimals(subtotal * 0.05);
       
-      // 4. Calcular total (suma de componentes ya redondeados, y redondear el resultado)
-      const total = this.roundToTwoDecimals(subtotal + deliveryFee + serviceFee);
+      // 4. Aplicar cupón (lanza un error con status y code si no es aplicable)
+      let discountAmount = 0;
+      let coupon = null;
+      let appliedCoupon = null;
+
+      if (couponContext && couponContext.code) {
+        const couponResult = await CouponService.validateCoupon(couponContext.code, {
+          userId: couponContext.userId,
+          restaurantId: couponContext.restaurantId,
+          subtotal,
+          deliveryFee,
+          address
+        }, requestId);
+
+        coupon = couponResult.coupon;
+        discountAmount = couponResult.discountAmount;
+        appliedCoupon = CouponService.formatAppliedCoupon(coupon, discountAmount, couponResult.appliesTo);
+      }
+
+      // 5. Calcular total (suma de componentes ya redondeados menos el descuento, más la propina, y redondear el resultado)
+      tipAmount = this.roundToTwoDecimals(Number(tipAmount) || 0);
+      const total = this.roundToTwoDecimals(subtotal + deliveryFee + serviceFee - discountAmount + tipAmount);
 
       logger.info('Cálculo de precios completado', {
         requestId,
@@ -131,6 +160,9 @@ class PricingService {
           subtotal: subtotal.toFixed(2),
           deliveryFee: deliveryFee.toFixed(2),
           serviceFee: serviceFee.toFixed(2),
+          discountAmount: discountAmount.toFixed(2),
+          couponCode: coupon ? coupon.code : null,
+          tipAmount: tipAmount.toFixed(2),
           total: total.toFixed(2),
           itemsCount: items.length,
           note: 'Todos los valores redondeados a 2 decimales'
@@ -141,7 +173,11 @@ class PricingService {
         subtotal,
         deliveryFee,
         serviceFee,
+        discountAmount,
+        tipAmount,
         total,
+        coupon,
+        appliedCoupon,
         deliveryDetails,
         travelTimeMinutes
       };
@@ -154,7 +190,7 @@ class PricingService {
           stack: error.stack,
           itemsCount: items.length,
           branchId: branch.id,
-          addressId: address.id
+          addressId: address ? address.id : null
         }
       });
       throw error;
@@ -167,9 +203,10 @@ class PricingService {
    * @param {number} itemCount - Número de productos en el pedido
    * @param {string} restaurantName - Nombre del restaurante (para logging)
    * @param {string} [requestId] - ID de la solicitud para logging
+   * @param {boolean} [isPickup] - Pedido para recoger (sin tiempo de traslado)
    * @returns {Object} Objeto con información del tiempo estimado
    */
-  static calculateEstimatedDeliveryTime(travelTimeMinutes, itemCount, restaurantName, requestId) {
+  static calculateEstimatedDeliveryTime(travelTimeMinutes, itemCount, restaurantName, requestId, isPickup = false) {
     try {
       // Tiempo base de preparación (15-25 minutos)
       const basePreparationTime = 20; // 20 minutos como promedio
@@ -183,8 +220,8 @@ class PricingService {
       
       const totalPreparationTime = basePreparationTime + preparationTimeAdjustment;
       
-      // Si no tenemos datos de viaje, usar tiempo por defecto
-      const effectiveTravelTime = travelTimeMinutes > 0 ? travelTimeMinutes : 15; // 15 min por defecto
+      // Si no tenemos datos de viaje, usar tiempo por defecto (al recoger no hay traslado)
+      const effectiveTravelTime = isPickup ? 0 : (travelTimeMinutes > 0 ? travelTimeMinutes : 15); // 15 min por defecto
       
       // Calcular rangos de tiempo
       const minTotalTime = totalPreparationTime + effectiveTravelTime;
@@ -259,19 +296,19 @@ class PricingService {
    */
   static validatePricing(pricing, requestId) {
     try {
-      const { subtotal, deliveryFee, serviceFee, total } = pricing;
+      const { subtotal, deliveryFee, serviceFee, total, discountAmount = 0, tipAmount = 0 } = pricing;
       
       // Verificar que todos los valores sean números positivos
-      if (subtotal < 0 || deliveryFee < 0 || serviceFee < 0 || total < 0) {
+      if (subtotal < 0 || deliveryFee < 0 || serviceFee < 0 || discountAmount < 0 || tipAmount < 0 || total < 0) {
         logger.error('Precios negativos detectados', {
           requestId,
-          meta: { subtotal, deliveryFee, serviceFee, total }
+          meta: { subtotal, deliveryFee, serviceFee, discountAmount, total }
         });
         return false;
       }
       
       // Verificar que el total sea consistente
-      const calculatedTotal = this.roundToTwoDecimals(subtotal + deliveryFee + serviceFee);
+      const calculatedTotal = this.roundToTwoDecimals(subtotal + deliveryFee + serviceFee - discountAmount + tipAmount);
       if (Math.abs(calculatedTotal - total) > 0.01) { // Tolerancia de 1 centavo
         logger.error('Inconsistencia en cálculo de total', {
           requestId,
@@ -0,0 +1,642 @@
+/**
+ * Servicio de reembolsos
+ * Procesa reembolsos totales y parciales (por artículos o por monto) de pedidos pagados:
+ * reembolsa al cliente con su proveedor de pago (o registra la devolución manual en efectivo),
+ * revierte la ganancia del restaurante, la comisión de la plataforma y la ganancia
+ * del repartidor, y deja registro en auditoría y notificaciones.
+ */
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const { getIo } = require('../config/socket');
+const { roundToTwoDecimals } = require('../utils/format');
+const PaymentProviderRegistry = require('./payment-providers');
+const LedgerService = require('./ledger.service');
+const OrderStatusService = require('./order-status.service');
+const TaxService = require('./tax.service');
+
+// Descripciones legibles de los códigos de motivo (enum RefundReason)
+const REFUND_REASON_LABELS = {
+  ORDER_NOT_DELIVERED: 'Pedido no entregado',
+  MISSING_ITEMS: 'Artículos faltantes',
+  WRONG_ITEMS: 'Artículos incorrectos',
+  QUALITY_ISSUE: 'Problema de calidad',
+  LATE_DELIVERY: 'Entrega tardía',
+  RESTAURANT_CANCELLED: 'Cancelado por el restaurante',
+  DUPLICATE_CHARGE: 'Cargo duplicado',
+  CUSTOMER_REQUEST: 'Solicitud del cliente',
+  OTHER: 'Otro'
+};
+
+/**
+ * Formatea un reembolso para la respuesta de la API
+ * @param {Object} refund - Refund con items (y opcionalmente requestedBy)
+ * @returns {Object} Reembolso formateado
+ */
+function formatRefund(refund) {
+  return {
+    id: refund.id.toString(),
+    orderId: refund.orderId.toString(),
+    type: refund.type,
+    reason: refund.reason,
+    reasonLabel: REFUND_REASON_LABELS[refund.reason],
+    notes: refund.notes,
+    amount: Number(refund.amount),
+    restaurantDebit: Number(refund.restaurantDebit),
+    platformFeeReversed: Number(refund.platformFeeReversed),
+    driverDebit: Number(refund.driverDebit),
+    status: refund.status,
+    provider: refund.provider,
+    providerRefundId: refund.providerRefundId,
+    failureReason: refund.failureReason,
+    complaintId: refund.complaintId,
+    items: (refund.items || []).map(item => ({
+      orderItemId: item.orderItemId.toString(),
+      quantity: item.quantity,
+      amount: Number(item.amount)
+    })),
+    requestedBy: refund.requestedBy ? {
+      id: refund.requestedBy.id,
+      name: `${refund.requestedBy.name} ${refund.requestedBy.lastname}`
+    } : undefined,
+    processedAt: refund.processedAt,
+    createdAt: refund.createdAt
+  };
+}
+
+/**
+ * Calcula lo pagado por productos y lo que queda por reembolsar de un pedido
+ * El cupón baja lo que pagó el cliente: un descuento de envío no toca los productos,
+ * cualquier otro se resta del subtotal. Sin el cupón a la mano, se asume sobre el subtotal.
+ * Los reembolsos parciales solo cubren productos, así que lo reembolsado previamente sale de lo
+ * pagado por productos; nunca se devuelve más de lo que queda del total cobrado.
+ * @param {Object} order - Pedido con total, subtotal, refundedAmount, discountAmount y coupon
+ * @returns {Object} paidSubtotal, remainingTotal y remainingSubtotal (tope de un reembolso parcial)
+ */
+function calculateRefundable(order) {
+  const subtotal = Number(order.subtotal);
+  const alreadyRefunded = Number(order.refundedAmount);
+  const discountAmount = Number(order.discountAmount || 0);
+
+  const subtotalDiscount = order.coupon && order.coupon.discountType === 'free_delivery'
+    ? 0
+    : Math.min(discountAmount, subtotal);
+  const paidSubtotal = roundToTwoDecimals(subtotal - subtotalDiscount);
+  const remainingTotal = roundToTwoDecimals(Number(order.total) - alreadyRefunded);
+  const remainingSubtotal = Math.min(
+    roundToTwoDecimals(Math.max(paidSubtotal - alreadyRefunded, 0)),
+    remainingTotal
+  );
+
+  return { paidSubtotal, remainingTotal, remainingSubtotal };
+}
+
+class RefundService {
+
+  /**
+   * Calcula el monto, los artículos y el reparto de un reembolso sin persistir nada
+   * @param {Object} order - Pedido con orderItems, refundItems y transacciones de billetera
+   * @param {Object} data - type, items, amount y reverseDriverEarnings
+   * @returns {Object} amount, items, restaurantDebit, platformFeeReversed, driverDebit
+   */
+  static calculateRefund(order, data) {
+    const subtotal = Number(order.subtotal);
+    const { paidSubtotal, remainingTotal, remainingSubtotal } = calculateRefundable(order);
+    // Cada artículo se reembolsa a su precio neto del descuento
+    const paidRatio = subtotal > 0 ? paidSubtotal / subtotal : 0;
+
+    const remainingByItem = new Map(order.orderItems.map(item => [
+      item.id.toString(),
+      {
+        item,
+        remainingQuantity: item.quantity - item.refundItems.reduce((sum, refunded) => sum + refunded.quantity, 0)
+      }
+    ]));
+
+    let amount = 0;
+    let subtotalPortion = 0;
+    let items = [];
+
+    if (data.type === 'full') {
+      amount = remainingTotal;
+      subtotalPortion = remainingSubtotal;
+      items = [...remainingByItem.values()]
+        .filter(entry => entry.remainingQuantity > 0)
+        .map(entry => ({
+          orderItemId: entry.item.id,
+          quantity: entry.remainingQuantity,
+          amount: roundToTwoDecimals(Number(entry.item.pricePerUnit) * entry.remainingQuantity * paidRatio)
+        }));
+
+      if (amount <= 0) {
+        throw {
+          status: 409,
+          message: 'El pedido ya fue reembolsado por completo',
+          code: 'ORDER_ALREADY_REFUNDED'
+        };
+      }
+    } else {
+      if (data.items && data.items.length > 0) {
+        // Agrupar artículos repetidos en la petición
+        const requested = new Map();
+        data.items.forEach(item => {
+          const key = item.orderItemId.toString();
+          requested.set(key, (requested.get(key) || 0) + item.quantity);
+        });
+
+        for (const [orderItemId, quantity] of requested) {
+          const entry = remainingByItem.get(orderItemId);
+          if (!entry) {
+            throw {
+              status: 400,
+              message: 'El artículo no pertenece al pedido',
+              code: 'ORDER_ITEM_NOT_FOUND',
+              details: { orderItemId }
+            };
+          }
+          if (quantity > entry.remainingQuantity) {
+            throw {
+              status: 409,
+              message: 'La cantidad a reembolsar excede la cantidad disponible del artículo',
+              code: 'ITEM_QUANTITY_EXCEEDED',
+              details: { orderItemId, requested: quantity, remaining: entry.remainingQuantity }
+            };
+          }
+          items.push({
+            orderItemId: entry.item.id,
+            quantity,
+            amount: roundToTwoDecimals(Number(entry.item.pricePerUnit) * quantity * paidRatio)
+          });
+        }
+
+        amount = roundToTwoDecimals(items.reduce((sum, item) => sum + item.amount, 0));
+      } else {
+        amount = roundToTwoDecimals(data.amount);
+      }
+
+      if (amount > remainingSubtotal) {
+        throw {
+          status: 409,
+          message: 'El monto a reembolsar excede lo pagado por productos pendiente de reembolso',
+          code: 'REFUND_AMOUNT_EXCEEDED',
+          details: { requested: amount, remainingRefundable: remainingSubtotal }
+        };
+      }
+
+      subtotalPortion = amount;
+    }
+
+    // Las billeteras solo se revierten si el pedido ya se liquidó (completeOrder)
+    const restaurantCredited = order.restaurantWalletTransactions.length > 0;
+    const driverCredited = order.driverWalletTransactions.length > 0;
+    // Proporción de lo pagado por productos que se devuelve (un pedido 100% descontado se revierte completo en el total)
+    const subtotalRatio = paidSubtotal > 0
+      ? subtotalPortion / paidSubtotal
+      : (data.type === 'full' ? 1 : 0);
+
+    const restaurantDebit = restaurantCredited
+      ? roundToTwoDecimals(Number(order.restaurantPayout) * subtotalRatio)
+      : 0;
+
+    // Comisión proporcional sobre la venta del restaurante (misma base que la liquidación) + cuota
+    // de servicio guardada (platformFee) solo en reembolsos totales; la propina no es ingreso de la plataforma
+    const tipAmount = Number(order.tipAmount || 0);
+    const { saleAmount } = TaxService.calculateSaleAmount(order);
+    const commission = saleAmount * Number(order.commissionRateSnapshot || 0) / 100;
+    const platformFeeReversed = roundToTwoDecimals(
+      commission * subtotalRatio + (data.type === 'full' ? Number(order.platformFee) : 0)
+    );
+
+    const reverseDriverEarnings = data.type === 'full' && data.reverseDriverEarnings !== false;
+    const driverDebit = reverseDriverEarnings && driverCredited
+      ? roundToTwoDecimals(Number(order.driverFeeNet) + tipAmount)
+      : 0;
+
+    return {
+      amount,
+      items,
+      restaurantDebit,
+      platformFeeReversed,
+      driverDebit
+    };
+  }
+
+  /**
+   * Crea y procesa un reembolso total o parcial de un pedido pagado
+   * @param {BigInt} orderId - ID del pedido
+   * @param {Object} data - type, reason, notes, items, amount, reverseDriverEarnings y complaintId
+   * @param {number|null} adminUserId - Usuario que solicita el reembolso (null si lo emite el sistema)
+   * @param {string} requestId - ID de la petición para logging
+   * @returns {Promise<Object>} Reembolso procesado
+   */
+  static async createRefund(orderId, data, adminUserId, requestId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: {
+        id: true,
+        customerId: true,
+        restaurantId: true,
+        deliveryDriverId: true,
+        status: true,
+        subtotal: true,
+        total: true,
+        tipAmount: true,
+        discountAmount: true,
+        discountFundedBy: true,
+        coupon: { select: { discountType: true } },
+        commissionRateSnapshot: true,
+        platformFee: true,
+        restaurantPayout: true,
+        driverFeeNet: true,
+        refundedAmount: true,
+        paymentMethod: true,
+        paymentStatus: true,
+        payment: {
+          select: {
+            id: true,
+            provider: true,
+            providerPaymentId: true,
+            status: true
+          }
+        },
+        orderItems: {
+          where: { deletedAt: null },
+          select: {
+            id: true,
+            quantity: true,
+            pricePerUnit: true,
+            refundItems: {
+              where: { refund: { status: { not: 'failed' } } },
+              select: { quantity: true }
+            }
+          }
+        },
+        restaurantWalletTransactions: {
+          where: { type: 'RESTAURANT_ORDER_CREDIT' },
+          select: { id: true },
+          take: 1
+        },
+        driverWalletTransactions: {
+          where: { type: { not: 'DRIVER_REFUND_DEBIT' } },
+          select: { id: true },
+          take: 1
+        }
+      }
+    });
+
+    if (!order) {
+      throw {
+        status: 404,
+        message: 'Pedido no encontrado',
+        code: 'ORDER_NOT_FOUND'
+      };
+    }
+
+    if (order.status === 'refunded' || order.paymentStatus === 'refunded') {
+      throw {
+        status: 409,
+        message: 'El pedido ya fue reembolsado por completo',
+        code: 'ORDER_ALREADY_REFUNDED'
+      };
+    }
+
+    if (order.paymentStatus !== 'completed') {
+      throw {
+        status: 409,
+        message: 'Solo se pueden reembolsar pedidos con pago completado',
+        code: 'PAYMENT_NOT_COMPLETED',
+        details: { paymentStatus: order.paymentStatus }
+      };
+    }
+
+    if (data.complaintId) {
+      const complaint = await prisma.complaint.findFirst({
+        where: { id: data.complaintId, orderId: order.id },
+        select: { id: true }
+      });
+      if (!complaint) {
+        throw {
+          status: 404,
+          message: 'La queja no existe o no corresponde a este pedido',
+          code: 'COMPLAINT_NOT_FOUND'
+        };
+      }
+    }
+
+    const calculation = this.calculateRefund(order, data);
+
+    const isOnlinePayment = order.paymentMethod !== 'CASH' &&
+      order.payment &&
+      PaymentProviderRegistry.hasProvider(order.payment.provider) &&
+      order.payment.providerPaymentId;
+    const provider = isOnlinePayment ? order.payment.provider : 'manual';
+
+    // 1. Reservar el monto en el pedido y registrar el reembolso como pendiente.
+    // La condición sobre refundedAmount evita que dos reembolsos simultáneos excedan el total.
+    const pendingRefund = await prisma.$transaction(async (tx) => {
+      const reserved = await tx.order.updateMany({
+        where: {
+          id: order.id,
+          refundedAmount: order.refundedAmount
+        },
+        data: {
+          refundedAmount: { increment: calculation.amount }
+        }
+      });
+
+      if (reserved.count === 0) {
+        throw {
+          status: 409,
+          message: 'El pedido se modificó mientras se procesaba el reembolso, intenta de nuevo',
+          code: 'REFUND_CONFLICT'
+        };
+      }
+
+      return tx.refund.create({
+        data: {
+          orderId: order.id,
+          type: data.type,
+          reason: data.reason,
+          notes: data.notes || null,
+          amount: calculation.amount,
+          restaurantDebit: calculation.restaurantDebit,
+          platformFeeReversed: calculation.platformFeeReversed,
+          driverDebit: calculation.driverDebit,
+          provider,
+          requestedById: adminUserId,
+          complaintId: data.complaintId || null,
+          items: {
+            create: calculation.items.map(item => ({
+              orderItemId: item.orderItemId,
+              quantity: item.quantity,
+              amount: item.amount
+            }))
+          }
+        }
+      });
+    });
+
+    logger.info('Reembolso registrado como pendiente', {
+      requestId,
+      meta: {
+        refundId: pendingRefund.id.toString(),
+        orderId: order.id.toString(),
+        type: data.type,
+        reason: data.reason,
+        amount: calculation.amount,
+        provider
+      }
+    });
+
+    // 2. Devolver el dinero al cliente con el proveedor del pago
+    let providerRefund = null;
+    if (provider !== 'manual') {
+      try {
+        providerRefund = await PaymentProviderRegistry.getProvider(provider).refund({
+          externalReference: order.payment.providerPaymentId,
+          amount: calculation.amount,
+          idempotencyKey: `delixmi_refund_${pendingRefund.id}`
+        }, requestId);
+      } catch (error) {
+        const failureReason = error.response?.data?.message || error.message;
+
+        await prisma.$transaction([
+          prisma.refund.update({
+            where: { id: pendingRefund.id },
+            data: { status: 'failed', failureReason }
+          }),
+          prisma.order.update({
+            where: { id: order.id },
+            data: { refundedAmount: { decrement: calculation.amount } }
+          }),
+          prisma.auditLog.create({
+            data: {
+              userId: adminUserId,
+              action: 'REFUND_FAILED',
+              entity: 'REFUND',
+              entityId: pendingRefund.id,
+              details: {
+                orderId: order.id.toString(),
+                amount: calculation.amount,
+                provider,
+                failureReason
+              }
+            }
+          })
+        ]);
+
+        throw {
+          status: 502,
+          message: 'El proveedor de pago no pudo procesar el reembolso',
+          code: 'REFUND_PROVIDER_ERROR',
+          details: {
+            refundId: pendingRefund.id.toString(),
+            providerError: failureReason
+          }
+        };
+      }
+    }
+
+    // 3. Liquidar: revertir billeteras, actualizar estados y auditar
+    let completedRefund;
+    try {
+      completedRefund = await prisma.$transaction(async (tx) => {
+        const refund = await tx.refund.update({
+          where: { id: pendingRefund.id },
+          data: {
+            status: 'completed',
+            providerRefundId: providerRefund ? String(providerRefund.id) : null,
+            processedAt: new Date()
+          },
+          include: { items: true }
+        });
+
+        if (data.type === 'full') {
+          await tx.order.update({
+            where: { id: order.id },
+            data: {
+              status: 'refunded',
+              paymentStatus: 'refunded'
+            }
+          });
+
+          await OrderStatusService.recordTransition(tx, {
+            orderId: order.id,
+            fromStatus: order.status,
+            toStatus: 'refunded',
+            source: adminUserId ? 'admin' : 'system',
+            changedById: adminUserId,
+            reason: REFUND_REASON_LABELS[data.reason]
+          }, requestId);
+
+          if (order.payment) {
+            await tx.payment.update({
+              where: { id: order.payment.id },
+              data: { status: 'refunded' }
+            });
+          }
+        }
+
+        const description = `Reembolso #${refund.id} del pedido #${order.id} (${REFUND_REASON_LABELS[data.reason]})`;
+
+        await LedgerService.postRefund(tx, {
+          order,
+          refund,
+          calculation,
+          description,
+          createdById: adminUserId
+        }, requestId);
+
+        await tx.auditLog.create({
+          data: {
+            userId: adminUserId,
+            action: 'CREATE_REFUND',
+            entity: 'REFUND',
+            entityId: refund.id,
+            details: {
+              orderId: order.id.toString(),
+              type: data.type,
+              reason: data.reason,
+              notes: data.notes || null,
+              amount: calculation.amount,
+              provider,
+              providerRefundId: refund.providerRefundId,
+              restaurantDebit: calculation.restaurantDebit,
+              platformFeeReversed: calculation.platformFeeReversed,
+              driverDebit: calculation.driverDebit,
+              items: calculation.items.map(item => ({
+                orderItemId: item.orderItemId.toString(),
+                quantity: item.quantity,
+                amount: item.amount
+              })),
+              complaintId: data.complaintId || null
+            }
+          }
+        });
+
+        await tx.notification.create({
+          data: {
+            userId: order.customerId,
+            title: 'Reembolso procesado',
+            message: provider !== 'manual'
+              ? `Reembolsamos $${calculation.amount.toFixed(2)} de tu pedido #${order.id} a tu método de pago. Puede tardar algunos días en reflejarse.`
+              : `Registramos un reembolso de $${calculation.amount.toFixed(2)} de tu pedido #${order.id}. Soporte te contactará para la devolución.`,
+            type: 'ORDER_UPDATE'
+          }
+        });
+
+        return refund;
+      });
+    } catch (error) {
+      // El dinero ya se devolvió con el proveedor: el reembolso queda pendiente para conciliación manual
+      logger.error('Error liquidando reembolso ya procesado por el proveedor', {
+        requestId,
+        meta: {
+          refundId: pendingRefund.id.toString(),
+          orderId: order.id.toString(),
+          providerRefundId: providerRefund ? String(providerRefund.id) : null,
+          error: error.message
+        }
+      });
+
+      throw {
+        status: 500,
+        message: 'El reembolso se envió al proveedor pero no se pudo liquidar en las billeteras',
+        code: 'REFUND_SETTLEMENT_ERROR',
+        details: { refundId: pendingRefund.id.toString() }
+      };
+    }
+
+    logger.info('Reembolso completado', {
+      requestId,
+      meta: {
+        refundId: completedRefund.id.toString(),
+        orderId: order.id.toString(),
+        amount: calculation.amount,
+        providerRefundId: completedRefund.providerRefundId,
+        restaurantDebit: calculation.restaurantDebit,
+        driverDebit: calculation.driverDebit
+      }
+    });
+
+    try {
+      const io = getIo();
+      io.to(`user_${order.customerId}`).emit('order_refunded', {
+        orderId: order.id.toString(),
+        refundId: completedRefund.id.toString(),
+        type: data.type,
+        amount: calculation.amount,
+        reason: data.reason,
+        orderStatus: data.type === 'full' ? 'refunded' : order.status,
+        timestamp: new Date().toISOString()
+      });
+    } catch (socketError) {
+      logger.warn('Socket.io no disponible para notificar reembolso', {
+        requestId,
+        meta: { orderId: order.id.toString(), error: socketError.message }
+      });
+    }
+
+    return formatRefund(completedRefund);
+  }
+
+  /**
+   * Obtiene los reembolsos de un pedido con el monto pendiente de reembolso
+   * @param {BigInt} orderId - ID del pedido
+   * @returns {Promise<Object>} Totales del pedido y lista de reembolsos
+   */
+  static async getOrderRefunds(orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: {
+        id: true,
+        status: true,
+        paymentStatus: true,
+        subtotal: true,
+        total: true,
+        refundedAmount: true,
+        discountAmount: true,
+        coupon: { select: { discountType: true } },
+        refunds: {
+          orderBy: { createdAt: 'desc' },
+          include: {
+            items: true,
+            requestedBy: {
+              select: {
+                id: true,
+                name: true,
+                lastname: true
+              }
+            }
+          }
+        }
+      }
+    });
+
+    if (!order) {
+      throw {
+        status: 404,
+        message: 'Pedido no encontrado',
+        code: 'ORDER_NOT_FOUND'
+      };
+    }
+
+    const refundedAmount = Number(order.refundedAmount);
+    const isFullyRefunded = order.status === 'refunded' || order.paymentStatus === 'refunded';
+    const { remainingTotal, remainingSubtotal } = calculateRefundable(order);
+
+    return {
+      order: {
+        id: order.id.toString(),
+        status: order.status,
+        paymentStatus: order.paymentStatus,
+        total: Number(order.total),
+        refundedAmount,
+        remainingPartialRefundable: isFullyRefunded ? 0 : remainingSubtotal,
+        remainingFullRefundable: isFullyRefunded ? 0 : remainingTotal
+      },
+      refunds: order.refunds.map(formatRefund)
+    };
+  }
+}
+
+module.exports = RefundService;
@@ -0,0 +1,588 @@
+/**
+ * Horario del restaurante: resuelve si está abierto a una hora dada
+ * Combina la pausa global (isGloballyOpen), el horario semanal (RestaurantSchedule) y las
+ * excepciones por fecha (RestaurantScheduleException: días festivos, cierres temporales).
+ * En una fecha con excepción, la excepción reemplaza al horario semanal de ese día.
+ * Es el único lugar que decide "abierto/cerrado": listados, checkout, pedidos programados,
+ * disponibilidad del menú y dashboard del owner lo usan.
+ */
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const { SCHEDULE_EXCEPTION_MAX_DAYS } = require('../validations/restaurant-admin.validation');
+
+// Los horarios están en hora local de México (UTC-6 todo el año)
+const MEXICO_UTC_OFFSET_HOURS = 6;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const MS_PER_DAY = MINUTES_PER_DAY * 60 * 1000;
+
+const exceptionSelect = {
+  id: true,
+  startDate: true,
+  endDate: true,
+  isClosed: true,
+  openTime: true,
+  closeTime: true,
+  reason: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * Convierte un horario "HH:MM[:SS]" a minutos desde medianoche
+ * @param {string} timeString - Horario
+ * @returns {number} Minutos desde medianoche
+ */
+function timeToMinutes(timeString) {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Obtiene la fecha, el día de la semana y los minutos del día en hora local de México
+ * @param {Date} date - Fecha en UTC
+ * @returns {{ date: string, dayOfWeek: number, minutes: number }} Fecha YYYY-MM-DD, día (0=Domingo) y minutos
+ */
+function toLocalSlot(date) {
+  const local = new Date(date.getTime() - MEXICO_UTC_OFFSET_HOURS * 60 * 60 * 1000);
+  return {
+    date: local.toISOString().slice(0, 10),
+    dayOfWeek: local.getUTCDay(),
+    minutes: local.getUTCHours() * 60 + local.getUTCMinutes()
+  };
+}
+
+/**
+ * Suma días a una fecha de calendario
+ * @param {string} dateString - Fecha YYYY-MM-DD
+ * @param {number} days - Días a sumar (negativo para restar)
+ * @returns {string} Fecha YYYY-MM-DD
+ */
+function shiftDate(dateString, days) {
+  return new Date(Date.parse(dateString) + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Convierte un valor de columna DATE (o un texto YYYY-MM-DD) a fecha de calendario
+ * @param {Date|string} value - Fecha
+ * @returns {string} Fecha YYYY-MM-DD
+ */
+function toDateString(value) {
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+/**
+ * Convierte una fecha de calendario al valor que Prisma guarda en una columna DATE
+ * @param {string} dateString - Fecha YYYY-MM-DD
+ * @returns {Date} Medianoche UTC de esa fecha
+ */
+function toDbDate(dateString) {
+  return new Date(`${dateString}T00:00:00.000Z`);
+}
+
+/**
+ * Convierte un rango de horas a minutos; 23:59 se interpreta como cierre a medianoche
+ * @param {{ openTime: string, closeTime: string }} range - Rango de horas
+ * @returns {{ open: number, close: number, crossesMidnight: boolean }}
+ */
+function toMinuteRange(range) {
+  const open = timeToMinutes(range.openTime);
+  let close = timeToMinutes(range.closeTime);
+  if (close >= MINUTES_PER_DAY - 1) close = MINUTES_PER_DAY;
+  return { open, close, crossesMidnight: close <= open };
+}
+
+/**
+ * Da formato de respuesta a una excepción al horario
+ * @param {Object} exception - Fila de RestaurantScheduleException
+ * @returns {Object} Excepción con fechas YYYY-MM-DD y horas HH:MM
+ */
+function formatException(exception) {
+  return {
+    id: exception.id,
+    startDate: toDateString(exception.startDate),
+    endDate: toDateString(exception.endDate),
+    isClosed: exception.isClosed,
+    openTime: exception.openTime ? exception.openTime.slice(0, 5) : null,
+    closeTime: exception.closeTime ? exception.closeTime.slice(0, 5) : null,
+    reason: exception.reason,
+    createdAt: exception.createdAt,
+    updatedAt: exception.updatedAt
+  };
+}
+
+/**
+ * Obtiene los rangos de horas de una fecha: los de su excepción o, si no tiene, los del horario semanal
+ * @param {Array} schedules - Horarios semanales (dayOfWeek, openTime, closeTime, isActive)
+ * @param {Array} exceptions - Excepciones del restaurante
+ * @param {string} dateString - Fecha YYYY-MM-DD
+ * @param {number} dayOfWeek - Día de la semana de esa fecha
+ * @returns {{ exception: Object|null, ranges: Array<{ openTime: string, closeTime: string }> }}
+ */
+function getDayHours(schedules, exceptions, dateString, dayOfWeek) {
+  const exception = exceptions.find(item =>
+    toDateString(item.startDate) <= dateString && toDateString(item.endDate) >= dateString
+  ) || null;
+
+  if (exception) {
+    return {
+      exception,
+      ranges: exception.isClosed ? [] : [{ openTime: exception.openTime, closeTime: exception.closeTime }]
+    };
+  }
+
+  return {
+    exception: null,
+    ranges: schedules
+      .filter(schedule => schedule.dayOfWeek === dayOfWeek && schedule.isActive !== false)
+      .map(schedule => ({ openTime: schedule.openTime, closeTime: schedule.closeTime }))
+  };
+}
+
+/**
+ * Construye un error controlado de excepción al horario
+ * @param {number} status - Código HTTP
+ * @param {string} code - Código del error
+ * @param {string} message - Mensaje para el owner
+ * @param {Object} [details] - Detalles adicionales
+ * @returns {Object} Error con status, message, code y details
+ */
+function exceptionError(status, code, message, details = null) {
+  return { status, message, code, details };
+}
+
+class RestaurantHoursService {
+
+  /**
+   * Resuelve el estado de un restaurante a una hora dada (sin consultar la base de datos)
+   * Un rango cuyo cierre es anterior a su apertura cruza la medianoche, también en las excepciones.
+   * @param {Object} hours - { isGloballyOpen, schedules, exceptions } del restaurante
+   * @param {Date} [date] - Fecha a evaluar (por defecto, ahora)
+   * @returns {Object} { isOpen, reason, date, hours, exception, closesAt, opensAt }
+   *   reason: 'open' | 'paused' | 'closed_exception' | 'outside_hours' | 'no_schedule'
+   */
+  static resolveStatus({ isGloballyOpen = true, schedules = [], exceptions = [] }, date = new Date()) {
+    const slot = toLocalSlot(date);
+    const today = getDayHours(schedules, exceptions, slot.date, slot.dayOfWeek);
+    const yesterday = getDayHours(schedules, exceptions, shiftDate(slot.date, -1), (slot.dayOfWeek + 6) % 7);
+
+    // Abierto por un rango de hoy o por el de ayer que cruzó la medianoche
+    const current = today.ranges.find(range => {
+      const { open, close, crossesMidnight } = toMinuteRange(range);
+      return crossesMidnight ? slot.minutes >= open : slot.minutes >= open && slot.minutes < close;
+    }) || yesterday.ranges.find(range => {
+      const { close, crossesMidnight } = toMinuteRange(range);
+      return crossesMidnight && slot.minutes < close;
+    });
+
+    const upcoming = today.ranges
+      .filter(range => timeToMinutes(range.openTime) > slot.minutes)
+      .sort((a, b) => timeToMinutes(a.openTime) - timeToMinutes(b.openTime))[0];
+
+    let reason = 'open';
+    if (!isGloballyOpen) {
+      reason = 'paused';
+    } else if (!current) {
+      if (today.exception && today.exception.isClosed) {
+        reason = 'closed_exception';
+      } else if (!today.exception && schedules.length === 0) {
+        reason = 'no_schedule';
+      } else {
+        reason = 'outside_hours';
+      }
+    }
+
+    return {
+      isOpen: reason === 'open',
+      reason,
+      date: slot.date,
+      hours: today.ranges.map(range => ({
+        openTime: range.openTime.slice(0, 5),
+        closeTime: range.closeTime.slice(0, 5)
+      })),
+      exception: today.exception ? formatException(today.exception) : null,
+      closesAt: reason === 'open' ? current.closeTime.slice(0, 5) : null,
+      opensAt: reason === 'outside_hours' && upcoming ? upcoming.openTime.slice(0, 5) : null
+    };
+  }
+
+  /**
+   * Indica si una fecha cae dentro de un horario semanal (sin pausa ni excepciones)
+   * @param {Array} schedules - Horarios (dayOfWeek, openTime, closeTime)
+   * @param {Date} date - Fecha a evaluar
+   * @returns {boolean} true si está dentro del horario
+   */
+  static isWithinWeeklySchedule(schedules, date) {
+    return this.resolveStatus({ schedules }, date).isOpen;
+  }
+
+  /**
+   * Carga la pausa, el horario semanal y las excepciones que cubren un conjunto de fechas
+   * @param {Array<number>} restaurantIds - IDs de los restaurantes
+   * @param {Array<Date>} dates - Fechas que se van a evaluar
+   * @returns {Promise<Map<number, Object>>} Por restaurante: { id, name, isGloballyOpen, schedules, exceptions }
+   */
+  static async loadHours(restaurantIds, dates) {
+    const ids = [...new Set(restaurantIds)];
+    const localDates = dates.map(date => toLocalSlot(date).date).sort();
+    // El día anterior a la primera fecha puede cruzar la medianoche
+    const from = shiftDate(localDates[0], -1);
+    const to = localDates[localDates.length - 1];
+
+    const [restaurants, schedules, exceptions] = await Promise.all([
+      prisma.restaurant.findMany({
+        where: { id: { in: ids } },
+        select: { id: true, name: true, isGloballyOpen: true }
+      }),
+      prisma.restaurantSchedule.findMany({
+        where: { restaurantId: { in: ids }, isActive: true },
+        select: { restaurantId: true, dayOfWeek: true, openTime: true, closeTime: true }
+      }),
+      prisma.restaurantScheduleException.findMany({
+        where: {
+          restaurantId: { in: ids },
+          startDate: { lte: toDbDate(to) },
+          endDate: { gte: toDbDate(from) }
+        },
+        select: { restaurantId: true, ...exceptionSelect },
+        orderBy: { startDate: 'asc' }
+      })
+    ]);
+
+    return new Map(restaurants.map(restaurant => [restaurant.id, {
+      ...restaurant,
+      schedules: schedules.filter(schedule => schedule.restaurantId === restaurant.id),
+      exceptions: exceptions.filter(exception => exception.restaurantId === restaurant.id)
+    }]));
+  }
+
+  /**
+   * Obtiene el estado de varios restaurantes a una hora dada
+   * @param {Array<number>} restaurantIds - IDs de los restaurantes
+   * @param {Date} [date] - Fecha a evaluar (por defecto, ahora)
+   * @returns {Promise<Map<number, Object>>} Estado por restaurante (ver resolveStatus)
+   */
+  static async getStatuses(restaurantIds, date = new Date()) {
+    if (restaurantIds.length === 0) {
+      return new Map();
+    }
+
+    const hoursByRestaurant = await this.loadHours(restaurantIds, [date]);
+    const statuses = new Map();
+    for (const [restaurantId, hours] of hoursByRestaurant) {
+      statuses.set(restaurantId, this.resolveStatus(hours, date));
+    }
+    return statuses;
+  }
+
+  /**
+   * Obtiene el estado de un restaurante a una hora dada
+   * @param {number} restaurantId - ID del restaurante
+   * @param {Date} [date] - Fecha a evaluar (por defecto, ahora)
+   * @returns {Promise<Object>} Estado (ver resolveStatus)
+   * @throws {Object} 404 RESTAURANT_NOT_FOUND
+   */
+  static async getStatus(restaurantId, date = new Date()) {
+    const status = (await this.getStatuses([restaurantId], date)).get(restaurantId);
+
+    if (!status) {
+      throw {
+        status: 404,
+        message: 'Restaurante no encontrado',
+        code: 'RESTAURANT_NOT_FOUND',
+        details: { restaurantId }
+      };
+    }
+    return status;
+  }
+
+  /**
+   * Verifica que el restaurante pueda recibir un pedido ahora
+   * La pausa bloquea todos los pedidos; el horario solo los inmediatos, porque los programados
+   * validan su propia hora (ScheduledOrderService.validateScheduledSlot).
+   * @param {number} restaurantId - ID del restaurante
+   * @param {Object} [options] - { scheduled: true si el pedido es programado }
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Estado actual del restaurante
+   * @throws {Object} 409 RESTAURANT_PAUSED o RESTAURANT_CLOSED
+   */
+  static async assertCanReceiveOrders(restaurantId, { scheduled = false } = {}, requestId = null) {
+    const now = new Date();
+    const hours = (await this.loadHours([restaurantId], [now])).get(restaurantId);
+
+    if (!hours) {
+      throw {
+        status: 404,
+        message: 'Restaurante no encontrado',
+        code: 'RESTAURANT_NOT_FOUND',
+        details: { restaurantId }
+      };
+    }
+
+    const status = this.resolveStatus(hours, now);
+
+    if (status.reason === 'paused') {
+      throw {
+        status: 409,
+        message: 'El restaurante no está recibiendo pedidos en este momento',
+        code: 'RESTAURANT_PAUSED',
+        details: {
+          restaurant: hours.name,
+          suggestion: 'Intenta más tarde o elige otro restaurante'
+        }
+      };
+    }
+
+    if (!scheduled && !status.isOpen) {
+      logger.warn('Pedido rechazado: restaurante fuera de horario', {
+        requestId,
+        meta: { restaurantId, reason: status.reason, date: status.date }
+      });
+
+      let message = 'El restaurante está cerrado en este momento';
+      if (status.reason === 'closed_exception') {
+        message = status.exception.reason
+          ? `El restaurante está cerrado hoy: ${status.exception.reason}`
+          : 'El restaurante está cerrado hoy';
+      } else if (status.opensAt) {
+        message = `El restaurante está cerrado en este momento. Abre hoy a las ${status.opensAt}`;
+      }
+
+      throw {
+        status: 409,
+        message,
+        code: 'RESTAURANT_CLOSED',
+        details: {
+          restaurant: hours.name,
+          reason: status.reason,
+          hours: status.hours,
+          opensAt: status.opensAt,
+          exception: status.exception,
+          suggestion: 'Programa tu pedido o elige otro restaurante'
+        }
+      };
+    }
+
+    return status;
+  }
+
+  /**
+   * Lista las excepciones al horario de un restaurante
+   * @param {number} restaurantId - ID del restaurante
+   * @param {Object} [filters] - { from, to } en YYYY-MM-DD; por defecto, desde hoy
+   * @returns {Promise<Object>} { exceptions }
+   */
+  static async listExceptions(restaurantId, { from, to } = {}) {
+    const since = from || toLocalSlot(new Date()).date;
+
+    const exceptions = await prisma.restaurantScheduleException.findMany({
+      where: {
+        restaurantId,
+        endDate: { gte: toDbDate(since) },
+        ...(to && { startDate: { lte: toDbDate(to) } })
+      },
+      select: exceptionSelect,
+      orderBy: { startDate: 'asc' }
+    });
+
+    return { exceptions: exceptions.map(formatException) };
+  }
+
+  /**
+   * Crea una excepción al horario semanal (cierre o horario especial)
+   * @param {number} restaurantId - ID del restaurante
+   * @param {Object} data - { startDate, endDate, isClosed, openTime, closeTime, reason }
+   * @param {number} userId - Quién crea la excepción
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Excepción creada
+   */
+  static async createException(restaurantId, data, userId, requestId = null) {
+    const exception = this.normalizeException({
+      startDate: data.startDate,
+      endDate: data.endDate || data.startDate,
+      isClosed: data.isClosed !== false,
+      openTime: data.openTime,
+      closeTime: data.closeTime,
+      reason: data.reason
+    });
+    await this.assertExceptionAllowed(restaurantId, exception);
+
+    const created = await prisma.restaurantScheduleException.create({
+      data: {
+        restaurantId,
+        ...exception,
+        startDate: toDbDate(exception.startDate),
+        endDate: toDbDate(exception.endDate)
+      },
+      select: exceptionSelect
+    });
+
+    logger.info('Excepción al horario creada', {
+      requestId,
+      meta: { restaurantId, exceptionId: created.id, userId, startDate: exception.startDate, endDate: exception.endDate, isClosed: exception.isClosed }
+    });
+
+    return formatException(created);
+  }
+
+  /**
+   * Actualiza una excepción al horario; los campos que no vienen conservan su valor
+   * @param {number} restaurantId - ID del restaurante
+   * @param {number} exceptionId - ID de la excepción
+   * @param {Object} data - Campos a cambiar
+   * @param {number} userId - Quién hace el cambio
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Excepción actualizada
+   */
+  static async updateException(restaurantId, exceptionId, data, userId, requestId = null) {
+    const existing = await this.findException(restaurantId, exceptionId);
+    const current = formatException(existing);
+
+    const exception = this.normalizeException({
+      startDate: data.startDate !== undefined ? data.startDate : current.startDate,
+      endDate: data.endDate !== undefined ? data.endDate : current.endDate,
+      isClosed: data.isClosed !== undefined ? data.isClosed : current.isClosed,
+      // Al pasar a cierre se descarta el horario especial
+      openTime: data.openTime !== undefined ? data.openTime : (data.isClosed === true ? null : current.openTime),
+      closeTime: data.closeTime !== undefined ? data.closeTime : (data.isClosed === true ? null : current.closeTime),
+      reason: data.reason !== undefined ? data.reason : current.reason
+    });
+    await this.assertExceptionAllowed(restaurantId, exception, exceptionId);
+
+    const updated = await prisma.restaurantScheduleException.update({
+      where: { id: exceptionId },
+      data: {
+        ...exception,
+        startDate: toDbDate(exception.startDate),
+        endDate: toDbDate(exception.endDate)
+      },
+      select: exceptionSelect
+    });
+
+    logger.info('Excepción al horario actualizada', {
+      requestId,
+      meta: { restaurantId, exceptionId, userId, fields: Object.keys(data) }
+    });
+
+    return formatException(updated);
+  }
+
+  /**
+   * Elimina una excepción al horario; el restaurante vuelve a su horario semanal en esas fechas
+   * @param {number} restaurantId - ID del restaurante
+   * @param {number} exceptionId - ID de la excepción
+   * @param {number} userId - Quién la elimina
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Excepción eliminada
+   */
+  static async deleteException(restaurantId, exceptionId, userId, requestId = null) {
+    const existing = await this.findException(restaurantId, exceptionId);
+
+    await prisma.restaurantScheduleException.delete({ where: { id: exceptionId } });
+
+    logger.info('Excepción al horario eliminada', {
+      requestId,
+      meta: { restaurantId, exceptionId, userId }
+    });
+
+    return formatException(existing);
+  }
+
+  /**
+   * Busca una excepción del restaurante
+   * @param {number} restaurantId - ID del restaurante
+   * @param {number} exceptionId - ID de la excepción
+   * @returns {Promise<Object>} Excepción
+   * @throws {Object} 404 SCHEDULE_EXCEPTION_NOT_FOUND
+   */
+  static async findException(restaurantId, exceptionId) {
+    const exception = await prisma.restaurantScheduleException.findFirst({
+      where: { id: exceptionId, restaurantId },
+      select: exceptionSelect
+    });
+
+    if (!exception) {
+      throw exceptionError(404, 'SCHEDULE_EXCEPTION_NOT_FOUND', 'Excepción al horario no encontrada', { exceptionId });
+    }
+    return exception;
+  }
+
+  /**
+   * Valida las reglas entre campos de una excepción y deja el horario vacío en los cierres
+   * @param {Object} exception - { startDate, endDate, isClosed, openTime, closeTime, reason }
+   * @returns {Object} Excepción lista para guardar
+   * @throws {Object} 400 INVALID_SCHEDULE_EXCEPTION
+   */
+  static normalizeException(exception) {
+    if (exception.endDate < exception.startDate) {
+      throw exceptionError(400, 'INVALID_SCHEDULE_EXCEPTION', 'La fecha final no puede ser anterior a la inicial', {
+        startDate: exception.startDate,
+        endDate: exception.endDate
+      });
+    }
+
+    const days = (Date.parse(exception.endDate) - Date.parse(exception.startDate)) / MS_PER_DAY + 1;
+    if (days > SCHEDULE_EXCEPTION_MAX_DAYS) {
+      throw exceptionError(400, 'INVALID_SCHEDULE_EXCEPTION', `Una excepción no puede durar más de ${SCHEDULE_EXCEPTION_MAX_DAYS} días`, {
+        startDate: exception.startDate,
+        endDate: exception.endDate
+      });
+    }
+
+    if (exception.isClosed) {
+      return { ...exception, openTime: null, closeTime: null, reason: exception.reason || null };
+    }
+
+    if (!exception.openTime || !exception.closeTime) {
+      throw exceptionError(400, 'INVALID_SCHEDULE_EXCEPTION', 'Un horario especial requiere openTime y closeTime', {
+        openTime: exception.openTime || null,
+        closeTime: exception.closeTime || null
+      });
+    }
+
+    if (exception.openTime === exception.closeTime) {
+      throw exceptionError(400, 'INVALID_SCHEDULE_EXCEPTION', 'La hora de apertura y la de cierre no pueden ser iguales', {
+        openTime: exception.openTime,
+        closeTime: exception.closeTime
+      });
+    }
+
+    return { ...exception, reason: exception.reason || null };
+  }
+
+  /**
+   * Verifica que una excepción no haya terminado ya y no se empalme con otra del restaurante
+   * @param {number} restaurantId - ID del restaurante
+   * @param {Object} exception - Excepción normalizada
+   * @param {number} [exceptionId] - ID de la excepción que se actualiza (se excluye del empalme)
+   * @throws {Object} 400 SCHEDULE_EXCEPTION_IN_PAST o 409 SCHEDULE_EXCEPTION_OVERLAP
+   */
+  static async assertExceptionAllowed(restaurantId, exception, exceptionId = null) {
+    const today = toLocalSlot(new Date()).date;
+    if (exception.endDate < today) {
+      throw exceptionError(400, 'SCHEDULE_EXCEPTION_IN_PAST', 'La excepción termina antes de hoy', {
+        endDate: exception.endDate,
+        today
+      });
+    }
+
+    const overlapping = await prisma.restaurantScheduleException.findFirst({
+      where: {
+        restaurantId,
+        startDate: { lte: toDbDate(exception.endDate) },
+        endDate: { gte: toDbDate(exception.startDate) },
+        ...(exceptionId && { id: { not: exceptionId } })
+      },
+      select: exceptionSelect
+    });
+
+    if (overlapping) {
+      throw exceptionError(409, 'SCHEDULE_EXCEPTION_OVERLAP', 'Ya existe una excepción al horario en esas fechas', {
+        exception: formatException(overlapping)
+      });
+    }
+  }
+}
+
+module.exports = RestaurantHoursService;
@@ -0,0 +1,234 @@
+/**
+ * Pedidos programados (entrega a una hora futura)
+ * Valida el horario solicitado contra el horario del restaurante (semanal y sus excepciones)
+ * y el tiempo de preparación, y libera los pedidos retenidos en 'scheduled' al restaurante
+ * cuando llega su hora de liberación (scheduledReleaseAt).
+ */
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const NotificationService = require('./notification.service');
+const OrderStatusService = require('./order-status.service');
+const OrderAcceptanceService = require('./order-acceptance.service');
+const RestaurantHoursService = require('./restaurant-hours.service');
+
+// Configuración de pedidos programados (sobrescribible por variables de entorno)
+const SCHEDULED_ORDER_CONFIG = {
+  minAdvanceMinutes: parseInt(process.env.SCHEDULED_ORDER_MIN_ADVANCE_MINUTES, 10) || 60,
+  maxDaysAhead: parseInt(process.env.SCHEDULED_ORDER_MAX_DAYS_AHEAD, 10) || 7,
+  releaseMarginMinutes: parseInt(process.env.SCHEDULED_ORDER_RELEASE_MARGIN_MINUTES, 10) || 10,
+  sweepIntervalSeconds: parseInt(process.env.SCHEDULED_ORDER_SWEEP_SECONDS, 10) || 60
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+let releaseInterval = null;
+
+/**
+ * Construye un error controlado de pedido programado
+ * @param {string} code - Código del error
+ * @param {string} message - Mensaje para el cliente
+ * @param {Object} [details] - Detalles adicionales
+ * @returns {Object} Error con status, message, code y details
+ */
+function scheduleError(code, message, details = null) {
+  return { status: 409, message, code, details };
+}
+
+class ScheduledOrderService {
+
+  /**
+   * Valida la hora de entrega solicitada y calcula cuándo liberar el pedido al restaurante
+   * El restaurante debe estar abierto cuando recibe el pedido y cuando lo entrega al repartidor
+   * @param {number} restaurantId - ID del restaurante
+   * @param {string|Date} scheduledFor - Hora de entrega solicitada
+   * @param {Object} estimatedDeliveryTime - Resultado de PricingService.calculateEstimatedDeliveryTime
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<{ scheduledFor: Date, releaseAt: Date }>} Hora de entrega y de liberación
+   */
+  static async validateScheduledSlot(restaurantId, scheduledFor, estimatedDeliveryTime, requestId = null) {
+    const { minAdvanceMinutes, maxDaysAhead, releaseMarginMinutes } = SCHEDULED_ORDER_CONFIG;
+    const deliveryAt = new Date(scheduledFor);
+    const now = Date.now();
+
+    const leadMinutes = estimatedDeliveryTime.maxMinutes + releaseMarginMinutes;
+    const earliest = new Date(now + Math.max(minAdvanceMinutes, leadMinutes) * 60 * 1000);
+    const latest = new Date(now + maxDaysAhead * MINUTES_PER_DAY * 60 * 1000);
+
+    if (deliveryAt < earliest) {
+      throw scheduleError(
+        'SCHEDULED_TIME_TOO_SOON',
+        'La hora programada no deja tiempo suficiente para preparar y entregar el pedido',
+        { scheduledFor: deliveryAt, earliestScheduledFor: earliest }
+      );
+    }
+
+    if (deliveryAt > latest) {
+      throw scheduleError(
+        'SCHEDULED_TIME_TOO_FAR',
+        `Solo se pueden programar pedidos con hasta ${maxDaysAhead} días de anticipación`,
+        { scheduledFor: deliveryAt, latestScheduledFor: latest }
+      );
+    }
+
+    const releaseAt = new Date(deliveryAt.getTime() - leadMinutes * 60 * 1000);
+    const pickupAt = new Date(deliveryAt.getTime() - estimatedDeliveryTime.travelTime * 60 * 1000);
+
+    const hoursByRestaurant = await RestaurantHoursService.loadHours([restaurantId], [releaseAt, pickupAt]);
+    const { schedules = [], exceptions = [] } = hoursByRestaurant.get(restaurantId) || {};
+
+    if (schedules.length === 0) {
+      throw scheduleError(
+        'RESTAURANT_SCHEDULE_NOT_CONFIGURED',
+        'Este restaurante no acepta pedidos programados porque no tiene horarios configurados',
+        { restaurantId }
+      );
+    }
+
+    // La pausa se evalúa al hacer el pedido; aquí cuentan el horario semanal y sus excepciones
+    const releaseStatus = RestaurantHoursService.resolveStatus({ schedules, exceptions }, releaseAt);
+    const pickupStatus = RestaurantHoursService.resolveStatus({ schedules, exceptions }, pickupAt);
+
+    if (!releaseStatus.isOpen || !pickupStatus.isOpen) {
+      const closure = [pickupStatus, releaseStatus].find(status => status.reason === 'closed_exception');
+      throw scheduleError(
+        'SCHEDULED_TIME_OUTSIDE_HOURS',
+        closure && closure.exception.reason
+          ? `El restaurante está cerrado en la fecha programada: ${closure.exception.reason}`
+          : 'El restaurante está cerrado a la hora programada',
+        {
+          scheduledFor: deliveryAt,
+          preparationStartsAt: releaseAt,
+          schedules: schedules.map(schedule => ({
+            dayOfWeek: schedule.dayOfWeek,
+            openTime: schedule.openTime,
+            closeTime: schedule.closeTime
+          })),
+          exception: (pickupStatus.exception || releaseStatus.exception) || null
+        }
+      );
+    }
+
+    logger.info('Horario de pedido programado validado', {
+      requestId,
+      meta: { restaurantId, scheduledFor: deliveryAt, releaseAt }
+    });
+
+    return { scheduledFor: deliveryAt, releaseAt };
+  }
+
+  /**
+   * Indica si un pedido programado debe seguir retenido
+   * @param {Object} order - Pedido con scheduledReleaseAt
+   * @returns {boolean} true si aún no llega su hora de liberación
+   */
+  static isHeld(order) {
+    return Boolean(order.scheduledReleaseAt) && new Date(order.scheduledReleaseAt).getTime() > Date.now();
+  }
+
+  /**
+   * Libera al restaurante los pedidos programados cuya hora de liberación ya llegó
+   * Los pagados con tarjeta pasan a 'placed' y los de efectivo a 'pending', igual que un pedido inmediato
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<number>} Cantidad de pedidos liberados
+   */
+  static async releaseDueOrders(requestId = null) {
+    try {
+      const dueOrders = await prisma.order.findMany({
+        where: {
+          status: 'scheduled',
+          scheduledReleaseAt: { lte: new Date() }
+        },
+        select: { id: true, paymentStatus: true },
+        orderBy: { scheduledReleaseAt: 'asc' }
+      });
+
+      let releasedCount = 0;
+
+      for (const dueOrder of dueOrders) {
+        const releasedStatus = dueOrder.paymentStatus === 'completed' ? 'placed' : 'pending';
+
+        // Solo se libera si sigue programado (pudo cancelarse mientras tanto)
+        const released = await prisma.$transaction(async (tx) => {
+          const { count } = await tx.order.updateMany({
+            where: { id: dueOrder.id, status: 'scheduled' },
+            data: { status: releasedStatus }
+          });
+
+          if (count === 0) {
+            return false;
+          }
+
+          await OrderStatusService.recordTransition(tx, {
+            orderId: dueOrder.id,
+            fromStatus: 'scheduled',
+            toStatus: releasedStatus,
+            source: 'system',
+            reason: 'Hora de liberación del pedido programado'
+          }, requestId);
+
+          return true;
+        });
+
+        if (!released) {
+          continue;
+        }
+
+        releasedCount++;
+
+        const order = await prisma.order.findUnique({
+          where: { id: dueOrder.id },
+          include: {
+            restaurant: { select: { id: true, name: true, ownerId: true } },
+            customer: { select: { id: true, name: true, lastname: true } }
+          }
+        });
+
+        await NotificationService.notifyScheduledOrderReleased(order, requestId);
+        await OrderAcceptanceService.autoAcceptIfEnabled(order.id, requestId);
+      }
+
+      if (releasedCount > 0) {
+        logger.info('Pedidos programados liberados al restaurante', {
+          requestId,
+          meta: { releasedCount }
+        });
+      }
+
+      return releasedCount;
+
+    } catch (error) {
+      logger.error('Error liberando pedidos programados', {
+        requestId,
+        meta: { error: error.message, stack: error.stack }
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Inicia la revisión periódica de pedidos programados
+   * Se ejecuta de inmediato para liberar los que vencieron mientras el servidor estaba apagado
+   */
+  static startReleaseWorker() {
+    if (releaseInterval) {
+      return;
+    }
+
+    this.releaseDueOrders();
+
+    releaseInterval = setInterval(() => {
+      this.releaseDueOrders();
+    }, SCHEDULED_ORDER_CONFIG.sweepIntervalSeconds * 1000);
+
+    // No impedir que el proceso termine por la revisión periódica
+    if (typeof releaseInterval.unref === 'function') {
+      releaseInterval.unref();
+    }
+
+    logger.info('Liberación de pedidos programados iniciada', {
+      meta: { sweepIntervalSeconds: SCHEDULED_ORDER_CONFIG.sweepIntervalSeconds }
+    });
+  }
+}
+
+module.exports = ScheduledOrderService;
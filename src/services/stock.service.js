@@ -0,0 +1,276 @@
+/**
+ * Stock de productos con control de inventario (Product.trackStock)
+ * - Al crear un pedido se aparta su stock en OrderStockReservation y se descuenta de
+ *   stockQuantity, así stockQuantity siempre es lo que queda disponible para vender.
+ * - Al aceptarse el pedido lo apartado se confirma como venta y se registra ORDER_SALE.
+ * - Si el pago falla o el pedido se cancela antes de aceptarse, lo apartado se devuelve.
+ *   Una venta ya confirmada no se devuelve sola; el restaurante la ajusta si la recupera.
+ * Un producto que llega a 0 se desactiva automáticamente (outOfStockAt) y se reactiva al volver
+ * a tener stock. Al llegar a su umbral de stock bajo, el dashboard del owner recibe una alerta.
+ */
+const { logger } = require('../config/logger');
+const { getIo } = require('../config/socket');
+const { DASHBOARD_EVENTS } = require('../websocket/dashboard-socket-handler');
+
+// Configuración de inventario (sobrescribible por variables de entorno)
+const STOCK_CONFIG = {
+  // Umbral de stock bajo de los productos que no definen lowStockThreshold
+  defaultLowStockThreshold: parseInt(process.env.STOCK_LOW_THRESHOLD, 10) || 5
+};
+
+const stockProductSelect = {
+  id: true,
+  name: true,
+  restaurantId: true,
+  trackStock: true,
+  stockQuantity: true,
+  lowStockThreshold: true,
+  isAvailable: true,
+  outOfStockAt: true
+};
+
+/**
+ * Umbral de stock bajo de un producto
+ * @param {Object} product - Producto con lowStockThreshold
+ * @returns {number}
+ */
+function getLowStockThreshold(product) {
+  return product.lowStockThreshold ?? STOCK_CONFIG.defaultLowStockThreshold;
+}
+
+class StockService {
+
+  /**
+   * Aparta el stock de los productos con control de inventario de un pedido nuevo
+   * Debe llamarse dentro de la transacción que crea el pedido.
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {BigInt} orderId - ID del pedido
+   * @param {Array<Object>} items - Items del pedido con productId y quantity
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Array<Object>>} Alertas de stock a notificar cuando la transacción termine
+   * @throws {Object} INSUFFICIENT_STOCK si algún producto no tiene stock suficiente
+   */
+  static async reserveOrderStock(tx, orderId, items, requestId = null) {
+    const quantities = new Map();
+    for (const item of items) {
+      const productId = Number(item.productId);
+      quantities.set(productId, (quantities.get(productId) || 0) + Number(item.quantity));
+    }
+
+    const products = await tx.product.findMany({
+      where: { id: { in: [...quantities.keys()] }, trackStock: true },
+      select: stockProductSelect
+    });
+
+    const alerts = [];
+
+    for (const product of products) {
+      const quantity = quantities.get(product.id);
+
+      // La condición sobre el stock evita vender de más con pedidos simultáneos
+      const { count } = await tx.product.updateMany({
+        where: { id: product.id, stockQuantity: { gte: quantity } },
+        data: { stockQuantity: { decrement: quantity } }
+      });
+
+      const current = await tx.product.findUnique({
+        where: { id: product.id },
+        select: stockProductSelect
+      });
+
+      if (count === 0) {
+        throw {
+          status: 409,
+          message: `No hay suficiente stock de ${product.name}`,
+          code: 'INSUFFICIENT_STOCK',
+          details: {
+            productId: product.id,
+            productName: product.name,
+            requested: quantity,
+            available: Math.max(current.stockQuantity, 0)
+          }
+        };
+      }
+
+      await tx.orderStockReservation.create({
+        data: { orderId, productId: product.id, quantity }
+      });
+
+      alerts.push(...await this.syncAvailability(tx, current, current.stockQuantity + quantity));
+    }
+
+    if (products.length > 0) {
+      logger.debug('Stock apartado para el pedido', {
+        requestId,
+        meta: { orderId: orderId.toString(), products: products.map(product => product.id) }
+      });
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Confirma como venta el stock apartado de un pedido aceptado y registra ORDER_SALE
+   * Sin efecto si el pedido no tiene stock apartado o ya se confirmó.
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {BigInt} orderId - ID del pedido
+   * @param {number|null} userId - Quién aceptó el pedido (null si fue el sistema)
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<number>} Cantidad de productos confirmados
+   */
+  static async commitOrderStock(tx, orderId, userId = null, requestId = null) {
+    const reservations = await tx.orderStockReservation.findMany({
+      where: { orderId, status: 'reserved' },
+      include: { product: { select: { stockQuantity: true } } }
+    });
+
+    if (reservations.length === 0) {
+      return 0;
+    }
+
+    await tx.orderStockReservation.updateMany({
+      where: { orderId, status: 'reserved' },
+      data: { status: 'committed' }
+    });
+
+    await tx.productInventoryLog.createMany({
+      data: reservations.map(reservation => ({
+        productId: reservation.productId,
+        userId,
+        orderId,
+        change: -reservation.quantity,
+        newQuantity: reservation.product.stockQuantity,
+        reason: 'ORDER_SALE'
+      }))
+    });
+
+    logger.debug('Venta de stock registrada', {
+      requestId,
+      meta: { orderId: orderId.toString(), userId, products: reservations.length }
+    });
+
+    return reservations.length;
+  }
+
+  /**
+   * Devuelve al inventario el stock apartado de un pedido cancelado antes de aceptarse
+   * Sin efecto si el pedido no tiene stock apartado o ya se confirmó como venta.
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {BigInt} orderId - ID del pedido
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<number>} Cantidad de productos devueltos
+   */
+  static async releaseOrderStock(tx, orderId, requestId = null) {
+    const reservations = await tx.orderStockReservation.findMany({
+      where: { orderId, status: 'reserved' },
+      select: { id: true, productId: true, quantity: true }
+    });
+
+    if (reservations.length === 0) {
+      return 0;
+    }
+
+    await tx.orderStockReservation.updateMany({
+      where: { orderId, status: 'reserved' },
+      data: { status: 'released' }
+    });
+
+    for (const reservation of reservations) {
+      const product = await tx.product.update({
+        where: { id: reservation.productId },
+        data: { stockQuantity: { increment: reservation.quantity } },
+        select: stockProductSelect
+      });
+
+      await this.syncAvailability(tx, product, product.stockQuantity - reservation.quantity);
+    }
+
+    logger.debug('Stock apartado devuelto al inventario', {
+      requestId,
+      meta: { orderId: orderId.toString(), products: reservations.length }
+    });
+
+    return reservations.length;
+  }
+
+  /**
+   * Desactiva un producto que se quedó sin stock o reactiva uno que se había desactivado por eso
+   * Solo aplica a productos con control de inventario.
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {Object} product - Producto ya actualizado (stockProductSelect)
+   * @param {number} previousQuantity - Stock antes del movimiento
+   * @returns {Promise<Array<Object>>} Alertas de stock a notificar cuando la transacción termine
+   */
+  static async syncAvailability(tx, product, previousQuantity) {
+    if (!product.trackStock) {
+      return [];
+    }
+
+    const alerts = [];
+    const threshold = getLowStockThreshold(product);
+    const alert = (type) => ({
+      type,
+      restaurantId: product.restaurantId,
+      productId: product.id,
+      productName: product.name,
+      stockQuantity: product.stockQuantity,
+      lowStockThreshold: threshold
+    });
+
+    if (product.stockQuantity <= 0 && product.isAvailable) {
+      await tx.product.update({
+        where: { id: product.id },
+        data: { isAvailable: false, outOfStockAt: new Date() }
+      });
+      alerts.push(alert(DASHBOARD_EVENTS.PRODUCT_OUT_OF_STOCK));
+    } else if (product.stockQuantity > 0 && product.outOfStockAt) {
+      // Solo se reactiva si lo desactivó el inventario, no si el owner lo apagó a mano
+      await tx.product.update({
+        where: { id: product.id },
+        data: { isAvailable: true, outOfStockAt: null }
+      });
+    }
+
+    if (product.stockQuantity > 0 && product.stockQuantity <= threshold && previousQuantity > threshold) {
+      alerts.push(alert(DASHBOARD_EVENTS.PRODUCT_LOW_STOCK));
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Envía al dashboard de cada restaurante las alertas de stock bajo o agotado
+   * Se llama después de confirmar la transacción; un fallo del socket no interrumpe el flujo.
+   * @param {Array<Object>} alerts - Alertas devueltas por reserveOrderStock o syncAvailability
+   * @param {string} [requestId] - ID de la solicitud para logging
+   */
+  static notifyStockAlerts(alerts, requestId = null) {
+    for (const { type, restaurantId, ...data } of alerts || []) {
+      try {
+        getIo()
+          .to(`restaurant_${restaurantId}`)
+          .to(`dashboard_${restaurantId}`)
+          .emit(type, {
+            type,
+            data: { ...data, restaurantId, timestamp: new Date().toISOString() }
+          });
+      } catch (socketError) {
+        logger.warn('No se pudo enviar la alerta de stock por Socket.io', {
+          requestId,
+          meta: { restaurantId, productId: data.productId, type, error: socketError.message }
+        });
+      }
+
+      logger.info('Alerta de stock enviada al restaurante', {
+        requestId,
+        meta: { restaurantId, productId: data.productId, type, stockQuantity: data.stockQuantity }
+      });
+    }
+  }
+}
+
+StockService.CONFIG = STOCK_CONFIG;
+StockService.PRODUCT_SELECT = stockProductSelect;
+StockService.getLowStockThreshold = getLowStockThreshold;
+
+module.exports = StockService;
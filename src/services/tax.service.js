@@ -0,0 +1,284 @@
+/**
+ * Servicio fiscal de la plataforma
+ * Calcula las retenciones de IVA e ISR que la plataforma debe aplicar a
+ * restaurantes y repartidores (Art. 113-A LISR y Art. 18-J LIVA) y genera
+ * los resúmenes mensuales de retenciones por beneficiario.
+ */
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const { roundToTwoDecimals, escapeCsvValue } = require('../utils/format');
+
+// Tasa general de IVA (los montos de la plataforma ya incluyen IVA)
+const IVA_RATE = 0.16;
+
+// Tasas de retención sobre la base sin IVA, según el beneficiario tenga o no RFC
+const WITHHOLDING_RATES = {
+  // Enajenación de bienes y prestación de servicios
+  restaurant: {
+    withRfc: { iva: 0.08, isr: 0.01 },
+    withoutRfc: { iva: 0.16, isr: 0.20 }
+  },
+  // Transporte terrestre de pasajeros y entrega de bienes
+  driver: {
+    withRfc: { iva: 0.08, isr: 0.021 },
+    withoutRfc: { iva: 0.16, isr: 0.20 }
+  }
+};
+
+// México usa UTC-6 todo el año; los meses fiscales se cortan en hora local
+const MEXICO_UTC_OFFSET_HOURS = 6;
+
+const RFC_REGEX = /^[A-ZÑ&]{3,4}[0-9]{6}[A-Z0-9]{3}$/;
+
+class TaxService {
+
+  /**
+   * Indica si un RFC tiene formato válido
+   * @param {string|null} rfc - RFC del beneficiario
+   * @returns {boolean} true si el RFC es válido
+   */
+  static hasValidRfc(rfc) {
+    return typeof rfc === 'string' && RFC_REGEX.test(rfc.trim().toUpperCase());
+  }
+
+  /**
+   * Calcula las retenciones de IVA e ISR sobre un monto cobrado por la plataforma
+   * @param {number} grossAmount - Monto bruto con IVA incluido
+   * @param {string} payeeType - Tipo de beneficiario ('restaurant' o 'driver')
+   * @param {string|null} rfc - RFC del beneficiario
+   * @returns {Object} Base gravable, tasas aplicadas, retenciones y monto neto
+   */
+  static calculateWithholdings(grossAmount, payeeType, rfc) {
+    const rates = WITHHOLDING_RATES[payeeType];
+    if (!rates) {
+      throw new Error(`Tipo de beneficiario fiscal no soportado: ${payeeType}`);
+    }
+
+    const hasRfc = this.hasValidRfc(rfc);
+    const { iva: ivaRate, isr: isrRate } = hasRfc ? rates.withRfc : rates.withoutRfc;
+
+    const gross = roundToTwoDecimals(Number(grossAmount) || 0);
+    const taxBase = roundToTwoDecimals(gross / (1 + IVA_RATE));
+    const retainedIVA = roundToTwoDecimals(taxBase * ivaRate);
+    const retainedISR = roundToTwoDecimals(taxBase * isrRate);
+
+    return {
+      grossAmount: gross,
+      taxBase,
+      hasRfc,
+      ivaRate,
+      isrRate,
+      retainedIVA,
+      retainedISR,
+      netAmount: roundToTwoDecimals(gross - retainedIVA - retainedISR)
+    };
+  }
+
+  /**
+   * Calcula la venta del restaurante sobre la que se cobran comisión y retenciones
+   * Un cupón financiado por el restaurante la reduce; uno de la plataforma no
+   * @param {Object} order - Pedido con subtotal, discountAmount y discountFundedBy
+   * @returns {Object} { saleAmount, restaurantDiscount }
+   */
+  static calculateSaleAmount(order) {
+    const restaurantDiscount = order.discountFundedBy === 'restaurant' ? Number(order.discountAmount) : 0;
+    const saleAmount = roundToTwoDecimals(Math.max(Number(order.subtotal) - restaurantDiscount, 0));
+    return { saleAmount, restaurantDiscount };
+  }
+
+  /**
+   * Calcula la liquidación fiscal de un pedido entregado
+   * Un cupón financiado por el restaurante reduce su venta antes de comisión y retenciones;
+   * uno financiado por la plataforma no afecta al restaurante ni al repartidor
+   * @param {Object} order - Pedido con subtotal, deliveryFee, commissionRateSnapshot, discountAmount y discountFundedBy
+   * @param {Object} restaurant - Restaurante con su rfc
+   * @param {Object|null} driverProfile - Perfil del repartidor de plataforma (null si es repartidor propio)
+   * @returns {Object} Montos del restaurante y del repartidor listos para guardar en el pedido
+   */
+  static calculateOrderSettlement(order, restaurant, driverProfile) {
+    const { saleAmount, restaurantDiscount } = this.calculateSaleAmount(order);
+    const commission = roundToTwoDecimals(saleAmount * Number(order.commissionRateSnapshot) / 100);
+    const restaurantTaxes = this.calculateWithholdings(saleAmount, 'restaurant', restaurant.rfc);
+
+    const settlement = {
+      restaurant: {
+        ...restaurantTaxes,
+        discount: roundToTwoDecimals(restaurantDiscount),
+        commission,
+        payout: roundToTwoDecimals(saleAmount - commission - restaurantTaxes.retainedIVA - restaurantTaxes.retainedISR)
+      },
+      driver: null
+    };
+
+    if (driverProfile) {
+      settlement.driver = this.calculateWithholdings(order.deliveryFee, 'driver', driverProfile.rfc);
+    }
+
+    return settlement;
+  }
+
+  /**
+   * Obtiene el rango de fechas (UTC) de un mes fiscal
+   * @param {number} year - Año
+   * @param {number} month - Mes (1-12)
+   * @returns {{ start: Date, end: Date }} Inicio inclusivo y fin exclusivo
+   */
+  static getMonthRange(year, month) {
+    return {
+      start: new Date(Date.UTC(year, month - 1, 1, MEXICO_UTC_OFFSET_HOURS)),
+      end: new Date(Date.UTC(year, month, 1, MEXICO_UTC_OFFSET_HOURS))
+    };
+  }
+
+  /**
+   * Genera el resumen mensual de retenciones por beneficiario
+   * @param {number} year - Año
+   * @param {number} month - Mes (1-12)
+   * @param {string} payeeType - 'restaurant' o 'driver'
+   * @returns {Promise<Object>} Periodo, totales y filas por beneficiario
+   */
+  static async getMonthlyWithholdingSummary(year, month, payeeType) {
+    const { start, end } = this.getMonthRange(year, month);
+    const deliveredInMonth = {
+      status: 'delivered',
+      orderDeliveredAt: { gte: start, lt: end }
+    };
+
+    let rows;
+
+    if (payeeType === 'restaurant') {
+      const groups = await prisma.order.groupBy({
+        by: ['restaurantId'],
+        where: deliveredInMonth,
+        _count: { id: true },
+        _sum: { subtotal: true, retainedIVA: true, retainedISR: true, restaurantPayout: true }
+      });
+
+      // Los cupones financiados por el restaurante reducen su venta gravable
+      const discountGroups = await prisma.order.groupBy({
+        by: ['restaurantId'],
+        where: { ...deliveredInMonth, discountFundedBy: 'restaurant' },
+        _sum: { discountAmount: true }
+      });
+      const discountMap = new Map(discountGroups.map(group => [group.restaurantId, Number(group._sum.discountAmount || 0)]));
+
+      const restaurants = await prisma.restaurant.findMany({
+        where: { id: { in: groups.map(group => group.restaurantId) } },
+        select: { id: true, name: true, rfc: true }
+      });
+      const restaurantMap = new Map(restaurants.map(restaurant => [restaurant.id, restaurant]));
+
+      rows = groups.map(group => {
+        const restaurant = restaurantMap.get(group.restaurantId) || {};
+        const grossAmount = Number(group._sum.subtotal || 0) - (discountMap.get(group.restaurantId) || 0);
+        return {
+          payeeId: group.restaurantId,
+          payeeName: restaurant.name || null,
+          rfc: restaurant.rfc || null,
+          hasRfc: this.hasValidRfc(restaurant.rfc),
+          opcionPagoDefinitivo: null,
+          orderCount: group._count.id,
+          grossAmount: roundToTwoDecimals(grossAmount),
+          taxBase: roundToTwoDecimals(grossAmount / (1 + IVA_RATE)),
+          retainedIVA: Number(group._sum.retainedIVA || 0),
+          retainedISR: Number(group._sum.retainedISR || 0),
+          netAmount: Number(group._sum.restaurantPayout || 0)
+        };
+      });
+    } else {
+      const groups = await prisma.order.groupBy({
+        by: ['deliveryDriverId'],
+        where: {
+          ...deliveredInMonth,
+          deliveryDriverId: { not: null },
+          driverFeeGross: { gt: 0 }
+        },
+        _count: { id: true },
+        _sum: { driverFeeGross: true, driverRetainedIVA: true, driverRetainedISR: true, driverFeeNet: true }
+      });
+
+      const drivers = await prisma.user.findMany({
+        where: { id: { in: groups.map(group => group.deliveryDriverId) } },
+        select: {
+          id: true,
+          name: true,
+          lastname: true,
+          driverProfile: {
+            select: { rfc: true, opcionPagoDefinitivo: true }
+          }
+        }
+      });
+      const driverMap = new Map(drivers.map(driver => [driver.id, driver]));
+
+      rows = groups.map(group => {
+        const driver = driverMap.get(group.deliveryDriverId) || {};
+        const profile = driver.driverProfile || {};
+        const grossAmount = Number(group._sum.driverFeeGross || 0);
+        return {
+          payeeId: group.deliveryDriverId,
+          payeeName: driver.name ? `${driver.name} ${driver.lastname}` : null,
+          rfc: profile.rfc || null,
+          hasRfc: this.hasValidRfc(profile.rfc),
+          opcionPagoDefinitivo: Boolean(profile.opcionPagoDefinitivo),
+          orderCount: group._count.id,
+          grossAmount: roundToTwoDecimals(grossAmount),
+          taxBase: roundToTwoDecimals(grossAmount / (1 + IVA_RATE)),
+          retainedIVA: Number(group._sum.driverRetainedIVA || 0),
+          retainedISR: Number(group._sum.driverRetainedISR || 0),
+          netAmount: Number(group._sum.driverFeeNet || 0)
+        };
+      });
+    }
+
+    rows.sort((a, b) => a.payeeId - b.payeeId);
+
+    const totals = rows.reduce((acc, row) => ({
+      orderCount: acc.orderCount + row.orderCount,
+      grossAmount: roundToTwoDecimals(acc.grossAmount + row.grossAmount),
+      retainedIVA: roundToTwoDecimals(acc.retainedIVA + row.retainedIVA),
+      retainedISR: roundToTwoDecimals(acc.retainedISR + row.retainedISR),
+      netAmount: roundToTwoDecimals(acc.netAmount + row.netAmount)
+    }), { orderCount: 0, grossAmount: 0, retainedIVA: 0, retainedISR: 0, netAmount: 0 });
+
+    logger.info('Resumen mensual de retenciones generado', {
+      meta: { year, month, payeeType, payees: rows.length }
+    });
+
+    return {
+      period: { year, month, start, end },
+      payeeType,
+      totals,
+      payees: rows
+    };
+  }
+
+  /**
+   * Convierte un resumen mensual de retenciones a CSV
+   * @param {Object} summary - Resultado de getMonthlyWithholdingSummary
+   * @returns {string} Contenido CSV
+   */
+  static buildWithholdingSummaryCsv(summary) {
+    const header = [
+      'payee_id', 'payee_name', 'rfc', 'has_rfc', 'opcion_pago_definitivo', 'order_count',
+      'gross_amount', 'tax_base', 'retained_iva', 'retained_isr', 'net_amount'
+    ];
+
+    const lines = summary.payees.map(row => [
+      row.payeeId,
+      row.payeeName,
+      row.rfc,
+      row.hasRfc,
+      row.opcionPagoDefinitivo === null ? '' : row.opcionPagoDefinitivo,
+      row.orderCount,
+      row.grossAmount.toFixed(2),
+      row.taxBase.toFixed(2),
+      row.retainedIVA.toFixed(2),
+      row.retainedISR.toFixed(2),
+      row.netAmount.toFixed(2)
+    ].map(escapeCsvValue).join(','));
+
+    return [header.join(','), ...lines].join('\n');
+  }
+}
+
+module.exports = TaxService;
@@ -0,0 +1,288 @@
+/**
+ * Servicio de propinas para repartidores
+ * La propina del checkout se suma al total del pedido y se acredita al repartidor al entregarlo.
+ * Después de la entrega el cliente puede agregar o aumentar la propina (pagándola con el proveedor de pago en línea)
+ * durante una ventana limitada. Toda propina va 100% al repartidor y no genera comisión.
+ */
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const { roundToTwoDecimals } = require('../utils/format');
+const PaymentProviderRegistry = require('./payment-providers');
+const LedgerService = require('./ledger.service');
+
+// Configuración de propinas (sobrescribible por variables de entorno)
+const TIP_CONFIG = {
+  maxAmount: parseFloat(process.env.TIP_MAX_AMOUNT) || 1000,
+  postDeliveryWindowHours: parseInt(process.env.TIP_POST_DELIVERY_WINDOW_HOURS, 10) || 24
+};
+
+/**
+ * Formatea una propina posterior a la entrega para la respuesta de la API
+ * @param {Object} tip - OrderTip
+ * @returns {Object} Propina formateada
+ */
+function formatTip(tip) {
+  return {
+    id: tip.id.toString(),
+    orderId: tip.orderId.toString(),
+    driverId: tip.driverId,
+    amount: Number(tip.amount),
+    status: tip.status,
+    provider: tip.provider,
+    paidAt: tip.paidAt,
+    createdAt: tip.createdAt
+  };
+}
+
+class TipService {
+
+  /**
+   * Valida la propina enviada en el checkout
+   * @param {number} tipAmount - Propina solicitada (0 o vacío si no hay)
+   * @param {boolean} isPickup - Pedido para recoger (no hay repartidor)
+   * @returns {number} Propina redondeada a 2 decimales
+   */
+  static validateCheckoutTip(tipAmount, isPickup) {
+    const amount = roundToTwoDecimals(Number(tipAmount) || 0);
+
+    if (amount > 0 && isPickup) {
+      throw {
+        status: 409,
+        message: 'Los pedidos para recoger no admiten propina para repartidor',
+        code: 'TIP_NOT_ALLOWED_FOR_PICKUP'
+      };
+    }
+
+    if (amount > TIP_CONFIG.maxAmount) {
+      throw {
+        status: 409,
+        message: `La propina no puede exceder $${TIP_CONFIG.maxAmount.toFixed(2)}`,
+        code: 'TIP_AMOUNT_EXCEEDED',
+        details: { maxAmount: TIP_CONFIG.maxAmount }
+      };
+    }
+
+    return amount;
+  }
+
+  /**
+   * Acredita una propina completa en la billetera del repartidor como transacción separada
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {Object} data - orderId, driverId, amount y description
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<number>} Saldo final de la billetera del repartidor
+   */
+  static async creditDriverTip(tx, { orderId, driverId, amount, description }, requestId = null) {
+    // Los repartidores del restaurante pueden no tener billetera todavía; el asiento la crea
+    const { movements } = await LedgerService.postDriverTip(tx, { orderId, driverId, amount, description }, requestId);
+    const newBalance = Number(movements[0].transaction.balanceAfter);
+
+    logger.info('Propina acreditada al repartidor', {
+      requestId,
+      meta: { orderId: orderId.toString(), driverId, amount: Number(amount), newBalance }
+    });
+
+    return newBalance;
+  }
+
+  /**
+   * Agrega o aumenta la propina de un pedido entregado
+   * Crea el cobro del monto adicional en el proveedor de pago; la propina se acredita
+   * al repartidor cuando el webhook confirma el pago
+   * @param {BigInt} orderId - ID del pedido
+   * @param {number} customerId - ID del cliente
+   * @param {number} amount - Monto adicional de propina
+   * @param {string} requestId - ID de la petición para logging
+   * @returns {Promise<Object>} Propina pendiente y datos de pago del proveedor
+   */
+  static async createPostDeliveryTip(orderId, customerId, amount, requestId) {
+    try {
+      const order = await prisma.order.findFirst({
+        where: { id: orderId, customerId },
+        select: {
+          id: true,
+          status: true,
+          fulfillmentType: true,
+          deliveryDriverId: true,
+          orderDeliveredAt: true,
+          tipAmount: true,
+          customer: {
+            select: { id: true, name: true, lastname: true, email: true }
+          },
+          tips: {
+            where: { status: { in: ['pending', 'completed'] } },
+            select: { amount: true, status: true }
+          }
+        }
+      });
+
+      if (!order) {
+        throw {
+          status: 404,
+          message: 'Pedido no encontrado',
+          code: 'ORDER_NOT_FOUND'
+        };
+      }
+
+      if (order.status !== 'delivered' || order.fulfillmentType !== 'delivery' || !order.deliveryDriverId) {
+        throw {
+          status: 409,
+          message: 'Solo se puede dar propina a pedidos entregados por un repartidor',
+          code: 'ORDER_NOT_TIPPABLE',
+          details: { status: order.status, fulfillmentType: order.fulfillmentType }
+        };
+      }
+
+      const windowEndsAt = new Date(order.orderDeliveredAt.getTime() + TIP_CONFIG.postDeliveryWindowHours * 60 * 60 * 1000);
+      if (Date.now() > windowEndsAt.getTime()) {
+        throw {
+          status: 409,
+          message: `Solo se puede agregar propina durante las ${TIP_CONFIG.postDeliveryWindowHours} horas posteriores a la entrega`,
+          code: 'TIP_WINDOW_EXPIRED',
+          details: { deliveredAt: order.orderDeliveredAt, windowEndsAt }
+        };
+      }
+
+      const tipAmount = roundToTwoDecimals(amount);
+      const sumTips = (status) => order.tips
+        .filter(tip => tip.status === status)
+        .reduce((sum, tip) => sum + Number(tip.amount), 0);
+      const currentTip = roundToTwoDecimals(Number(order.tipAmount) + sumTips('completed'));
+      // Los cobros pendientes todavía pueden pagarse, así que cuentan contra el máximo
+      const pendingTip = roundToTwoDecimals(sumTips('pending'));
+
+      if (currentTip + pendingTip + tipAmount > TIP_CONFIG.maxAmount) {
+        throw {
+          status: 409,
+          message: `La propina total no puede exceder $${TIP_CONFIG.maxAmount.toFixed(2)}`,
+          code: 'TIP_AMOUNT_EXCEEDED',
+          details: { currentTip, pendingTip, maxAmount: TIP_CONFIG.maxAmount }
+        };
+      }
+
+      const provider = PaymentProviderRegistry.getCheckoutProvider();
+      const checkout = await provider.createCheckout({
+        kind: 'tip',
+        orderId: order.id,
+        tipAmount,
+        user: order.customer
+      }, requestId);
+      const externalReference = checkout.externalReference;
+
+      const tip = await prisma.orderTip.create({
+        data: {
+          orderId: order.id,
+          customerId,
+          driverId: order.deliveryDriverId,
+          amount: tipAmount,
+          status: 'pending',
+          provider: provider.name,
+          providerPaymentId: externalReference
+        }
+      });
+
+      logger.info('Propina posterior a la entrega creada', {
+        requestId,
+        meta: { orderId: order.id.toString(), tipId: tip.id.toString(), amount: tipAmount, externalReference }
+      });
+
+      return {
+        tip: formatTip(tip),
+        currentTip,
+        payment: {
+          provider: provider.name,
+          preferenceId: checkout.checkoutId,
+          initPoint: checkout.checkoutUrl,
+          externalReference
+        }
+      };
+
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+
+      logger.error('Error creando propina posterior a la entrega', {
+        requestId,
+        meta: { orderId: orderId.toString(), customerId, amount, error: error.message, stack: error.stack }
+      });
+
+      throw {
+        status: 500,
+        message: 'Error interno del servidor',
+        code: 'INTERNAL_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Procesa la notificación de pago de una propina posterior a la entrega
+   * Al aprobarse, marca la propina como pagada y la acredita al repartidor (una sola vez).
+   * No modifica order.tipAmount: el total de propinas del pedido se obtiene con getTotalTip.
+   * Por eso un reembolso total (RefundService.calculateRefund → driverDebit) solo revierte la
+   * propina del checkout, no las propinas posteriores a la entrega.
+   * @param {string} externalReference - Referencia externa del pago en el proveedor
+   * @param {string} paymentStatus - Estado interno del pago (PaymentStatus)
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<boolean>} true si la referencia corresponde a una propina
+   */
+  static async processTipPayment(externalReference, paymentStatus, requestId = null) {
+    const tip = await prisma.orderTip.findUnique({
+      where: { providerPaymentId: externalReference }
+    });
+
+    if (!tip) {
+      return false;
+    }
+
+    if (paymentStatus === 'failed' || paymentStatus === 'cancelled') {
+      await prisma.orderTip.updateMany({
+        where: { id: tip.id, status: 'pending' },
+        data: { status: paymentStatus }
+      });
+      return true;
+    }
+
+    if (paymentStatus !== 'completed') {
+      return true;
+    }
+
+    await prisma.$transaction(async (tx) => {
+      // La condición sobre el estado evita acreditar dos veces si el webhook se repite
+      const { count } = await tx.orderTip.updateMany({
+        where: { id: tip.id, status: { in: ['pending', 'processing'] } },
+        data: { status: 'completed', paidAt: new Date() }
+      });
+
+      if (count === 0) {
+        return;
+      }
+
+      await this.creditDriverTip(tx, {
+        orderId: tip.orderId,
+        driverId: tip.driverId,
+        amount: tip.amount,
+        description: `Propina Pedido #${tip.orderId} (agregada después de la entrega)`
+      }, requestId);
+    });
+
+    logger.info('Pago de propina posterior a la entrega procesado', {
+      requestId,
+      meta: { tipId: tip.id.toString(), orderId: tip.orderId.toString(), paymentStatus }
+    });
+
+    return true;
+  }
+
+  /**
+   * Suma las propinas pagadas por pedido: la del checkout más las posteriores completadas
+   * @param {Object} order - Pedido con tipAmount y tips completados
+   * @returns {number} Propina total del pedido
+   */
+  static getTotalTip(order) {
+    const postDeliveryTips = (order.tips || []).reduce((sum, tip) => sum + Number(tip.amount), 0);
+    return roundToTwoDecimals(Number(order.tipAmount || 0) + postDeliveryTips);
+  }
+}
+
+module.exports = TipService;
@@ -41,20 +41,12 @@ class UserService {
                 }
               },
               restaurantId: true,
-              branchId: true,
               restaurant: {
                 select: {
                   id: true,
                   name: true,
                   status: true
                 }
-              },
-              branch: {
-                select: {
-                  id: true,
-                  name: true,
-                  status: true
-                }
               }
             }
           }
@@ -121,20 +113,12 @@ class UserService {
                 }
               },
               restaurantId: true,
-              branchId: true,
               restaurant: {
                 select: {
                   id: true,
                   name: true,
                   status: true
                 }
-              },
-              branch: {
-                select: {
-                  id: true,
-                  name: true,
-                  status: true
-                }
               }
             }
           },
@@ -213,20 +197,12 @@ class UserService {
                 }
               },
               restaurantId: true,
-              branchId: true,
               restaurant: {
                 select: {
                   id: true,
                   name: true,
                   status: true
                 }
-              },
-              branch: {
-                select: {
-                  id: true,
-                  name: true,
-                  status: true
-                }
               }
             }
           },
@@ -0,0 +1,696 @@
+/**
+ * Registro y procesamiento de webhooks de proveedores de pago
+ * Cada notificación se verifica con su proveedor, se persiste en WebhookEvent antes de responder
+ * y se procesa de forma idempotente por ID de evento del proveedor. Los eventos que fallan
+ * se reintentan con espera exponencial y los administradores pueden consultarlos y reprocesarlos.
+ */
+const { prisma } = require('../config/database');
+const { logger } = require('../config/logger');
+const { getIo } = require('../config/socket');
+const PaymentProviderRegistry = require('./payment-providers');
+const ScheduledOrderService = require('./scheduled-order.service');
+const TipService = require('./tip.service');
+const OrderStatusService = require('./order-status.service');
+const OrderAcceptanceService = require('./order-acceptance.service');
+
+// Configuración de reintentos (sobrescribible por variables de entorno)
+const WEBHOOK_CONFIG = {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+  maxRetryDelayMinutes: parseInt(process.env.WEBHOOK_MAX_RETRY_DELAY_MINUTES, 10) || 60,
+  // Un evento que sigue en 'processing' más de este tiempo se considera interrumpido (p. ej. por un reinicio)
+  staleProcessingMinutes: parseInt(process.env.WEBHOOK_STALE_PROCESSING_MINUTES, 10) || 5,
+  sweepIntervalSeconds: parseInt(process.env.WEBHOOK_RETRY_SWEEP_SECONDS, 10) || 60,
+  sweepBatchSize: 25
+};
+
+let retryInterval = null;
+
+/**
+ * Calcula la siguiente fecha de reintento con espera exponencial (1, 2, 4... minutos)
+ * @param {number} attempts - Intentos realizados
+ * @returns {Date|null} Fecha del siguiente intento o null si se agotaron los intentos
+ */
+function getNextRetryAt(attempts) {
+  if (attempts >= WEBHOOK_CONFIG.maxAttempts) {
+    return null;
+  }
+
+  const delayMinutes = Math.min(2 ** (attempts - 1), WEBHOOK_CONFIG.maxRetryDelayMinutes);
+  return new Date(Date.now() + delayMinutes * 60 * 1000);
+}
+
+/**
+ * Formatea un evento de webhook para la API de administración
+ * @param {Object} event - WebhookEvent
+ * @param {boolean} [includePayload] - Incluir el cuerpo original de la notificación
+ * @returns {Object} Evento formateado
+ */
+function formatEvent(event, includePayload = false) {
+  const formatted = {
+    id: event.id.toString(),
+    provider: event.provider,
+    eventId: event.eventId,
+    eventType: event.eventType,
+    action: event.action,
+    resourceId: event.resourceId,
+    providerRequestId: event.providerRequestId,
+    signatureValid: event.signatureValid,
+    status: event.status,
+    attempts: event.attempts,
+    lastError: event.lastError,
+    nextRetryAt: event.nextRetryAt,
+    processedAt: event.processedAt,
+    createdAt: event.createdAt,
+    updatedAt: event.updatedAt
+  };
+
+  if (includePayload) {
+    formatted.payload = event.payload;
+  }
+
+  return formatted;
+}
+
+/**
+ * Formatea un pedido para Socket.io
+ * Convierte todos los IDs BigInt a String para evitar errores de serialización
+ * @param {Object} order - Pedido con sus relaciones
+ * @returns {Object} Pedido formateado con IDs como String
+ */
+function formatOrderForSocket(order) {
+  if (!order) return null;
+
+  const formattedOrder = {
+    ...order,
+    id: order.id ? order.id.toString() : null,
+    customerId: order.customerId ? order.customerId.toString() : null,
+    restaurantId: order.restaurantId ? order.restaurantId.toString() : null,
+    addressId: order.addressId ? order.addressId.toString() : null,
+    paymentId: order.paymentId ? order.paymentId.toString() : null
+  };
+
+  if (order.orderItems && Array.isArray(order.orderItems)) {
+    formattedOrder.orderItems = order.orderItems.map(item => ({
+      ...item,
+      id: item.id ? item.id.toString() : null,
+      orderId: item.orderId ? item.orderId.toString() : null,
+      productId: item.productId ? item.productId.toString() : null,
+      product: item.product ? {
+        ...item.product,
+        id: item.product.id ? item.product.id.toString() : null,
+        restaurantId: item.product.restaurantId ? item.product.restaurantId.toString() : null
+      } : null
+    }));
+  }
+
+  if (order.customer) {
+    formattedOrder.customer = {
+      ...order.customer,
+      id: order.customer.id ? order.customer.id.toString() : null
+    };
+  }
+
+  if (order.address) {
+    formattedOrder.address = {
+      ...order.address,
+      id: order.address.id ? order.address.id.toString() : null,
+      customerId: order.address.customerId ? order.address.customerId.toString() : null
+    };
+  }
+
+  if (order.restaurant) {
+    formattedOrder.restaurant = {
+      ...order.restaurant,
+      id: order.restaurant.id ? order.restaurant.id.toString() : null
+    };
+  }
+
+  if (order.payment) {
+    formattedOrder.payment = {
+      ...order.payment,
+      id: order.payment.id ? order.payment.id.toString() : null,
+      orderId: order.payment.orderId ? order.payment.orderId.toString() : null
+    };
+  }
+
+  return formattedOrder;
+}
+
+class WebhookService {
+
+  /**
+   * Registra una notificación de un proveedor de pago
+   * El proveedor verifica la firma e interpreta la notificación; las repetidas devuelven el evento existente
+   * @param {string} providerName - Nombre del proveedor (mercadopago, sandbox...)
+   * @param {Object} request - headers, query y body de la petición
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<{ event: Object, duplicate: boolean, rejected: boolean }>} Evento registrado
+   */
+  static async receiveEvent(providerName, { headers, query, body }, requestId = null) {
+    const provider = PaymentProviderRegistry.getProvider(providerName);
+    const notification = body || {};
+    const {
+      valid,
+      reason,
+      eventId,
+      eventType,
+      action,
+      resourceId,
+      providerRequestId
+    } = provider.parseWebhook({ headers: headers || {}, query: query || {}, body: notification }, requestId);
+
+    const eventData = {
+      eventType,
+      action,
+      resourceId,
+      providerRequestId,
+      payload: notification
+    };
+
+    const existing = await prisma.webhookEvent.findUnique({
+      where: { provider_eventId: { provider: provider.name, eventId } }
+    });
+
+    if (existing && existing.signatureValid) {
+      logger.info('Notificación de webhook repetida', {
+        requestId,
+        meta: { webhookEventId: existing.id.toString(), eventId, status: existing.status }
+      });
+      return { event: existing, duplicate: true, rejected: false };
+    }
+
+    if (!valid) {
+      logger.warn('Notificación de webhook rechazada por firma inválida', {
+        requestId,
+        meta: { provider: provider.name, eventId, resourceId, reason }
+      });
+
+      // Un evento rechazado no bloquea que llegue después la notificación legítima con el mismo id
+      const rejectedEvent = existing || await prisma.webhookEvent.create({
+        data: {
+          ...eventData,
+          provider: provider.name,
+          eventId,
+          signatureValid: false,
+          status: 'rejected',
+          lastError: reason
+        }
+      });
+
+      return { event: rejectedEvent, duplicate: !!existing, rejected: true };
+    }
+
+    let event;
+    if (existing) {
+      event = await prisma.webhookEvent.update({
+        where: { id: existing.id },
+        data: {
+          ...eventData,
+          signatureValid: true,
+          status: 'received',
+          lastError: null
+        }
+      });
+    } else {
+      try {
+        event = await prisma.webhookEvent.create({
+          data: {
+            ...eventData,
+            provider: provider.name,
+            eventId,
+            signatureValid: true,
+            status: 'received'
+          }
+        });
+      } catch (error) {
+        // Dos entregas simultáneas de la misma notificación: la otra ya la registró
+        if (error.code === 'P2002') {
+          const concurrent = await prisma.webhookEvent.findUnique({
+            where: { provider_eventId: { provider: provider.name, eventId } }
+          });
+          return { event: concurrent, duplicate: true, rejected: false };
+        }
+        throw error;
+      }
+    }
+
+    logger.info('Notificación de webhook registrada', {
+      requestId,
+      meta: { webhookEventId: event.id.toString(), provider: provider.name, eventId, eventType, action, resourceId }
+    });
+
+    return { event, duplicate: false, rejected: false };
+  }
+
+  /**
+   * Procesa un evento registrado si nadie más lo está procesando
+   * Los errores no se propagan: el evento queda en 'failed' con su siguiente reintento programado
+   * @param {BigInt} webhookEventId - ID del WebhookEvent
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object|null>} Evento actualizado o null si no se pudo reclamar
+   */
+  static async processEvent(webhookEventId, requestId = null) {
+    const staleBefore = new Date(Date.now() - WEBHOOK_CONFIG.staleProcessingMinutes * 60 * 1000);
+
+    // Reclamar el evento con una actualización condicional evita procesarlo dos veces en paralelo
+    const { count } = await prisma.webhookEvent.updateMany({
+      where: {
+        id: webhookEventId,
+        OR: [
+          { status: { in: ['received', 'failed'] } },
+          { status: 'processing', updatedAt: { lt: staleBefore } }
+        ]
+      },
+      data: {
+        status: 'processing',
+        attempts: { increment: 1 }
+      }
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    const event = await prisma.webhookEvent.findUnique({
+      where: { id: webhookEventId }
+    });
+
+    try {
+      await this.handlePaymentEvent(event, requestId);
+
+      return await prisma.webhookEvent.update({
+        where: { id: event.id },
+        data: {
+          status: 'processed',
+          processedAt: new Date(),
+          nextRetryAt: null,
+          lastError: null
+        }
+      });
+
+    } catch (error) {
+      const nextRetryAt = getNextRetryAt(event.attempts);
+
+      logger.error('Error procesando evento de webhook', {
+        requestId,
+        meta: {
+          webhookEventId: event.id.toString(),
+          eventId: event.eventId,
+          attempts: event.attempts,
+          nextRetryAt,
+          error: error.message,
+          stack: error.stack
+        }
+      });
+
+      return prisma.webhookEvent.update({
+        where: { id: event.id },
+        data: {
+          status: 'failed',
+          lastError: error.message,
+          nextRetryAt
+        }
+      });
+    }
+  }
+
+  /**
+   * Aplica una notificación de pago consultando el estado real del pago en su proveedor
+   * Es idempotente: un pago ya aplicado (o una propina ya acreditada) no se vuelve a aplicar
+   * @param {Object} event - WebhookEvent a procesar
+   * @param {string} [requestId] - ID de la solicitud para logging
+   */
+  static async handlePaymentEvent(event, requestId = null) {
+    if (event.eventType !== 'payment' || !event.resourceId) {
+      logger.info('Evento de webhook sin acción (tipo no manejado)', {
+        requestId,
+        meta: { webhookEventId: event.id.toString(), eventType: event.eventType }
+      });
+      return;
+    }
+
+    const provider = PaymentProviderRegistry.getProvider(event.provider);
+    const providerPayment = await provider.getPayment(event.resourceId, requestId);
+    await this.applyProviderPayment(providerPayment, requestId);
+  }
+
+  /**
+   * Aplica el estado real de un pago del proveedor al pedido o a la propina que corresponde
+   * Lo usan el webhook y la conciliación de pagos, para que ambos sigan el mismo camino
+   * @param {Object} providerPayment - Pago normalizado del proveedor ({ id, externalReference, status, providerStatus })
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<string>} Resultado: 'tip', 'not_approved', 'already_applied', 'order_not_pending' o 'applied'
+   */
+  static async applyProviderPayment(providerPayment, requestId = null) {
+    const { id: paymentId, externalReference, status: paymentStatus } = providerPayment;
+
+    // Las propinas agregadas después de la entrega tienen su propia referencia externa
+    const isTipPayment = await TipService.processTipPayment(
+      externalReference,
+      paymentStatus,
+      requestId
+    );
+    if (isTipPayment) {
+      return 'tip';
+    }
+
+    if (paymentStatus !== 'completed') {
+      logger.info('Pago sin aprobar en el proveedor; no se actualiza el pedido', {
+        requestId,
+        meta: { paymentId, providerStatus: providerPayment.providerStatus }
+      });
+      return 'not_approved';
+    }
+
+    const order = await prisma.order.findFirst({
+      where: { payment: { providerPaymentId: externalReference } },
+      include: { payment: true }
+    });
+
+    if (!order) {
+      throw new Error(`No se encontró orden con external_reference: ${externalReference}`);
+    }
+
+    if (order.payment.status === 'completed') {
+      logger.info('Pago de pedido ya aplicado; se omite', {
+        requestId,
+        meta: { orderId: order.id.toString(), paymentId }
+      });
+      return 'already_applied';
+    }
+
+    // Un pedido cancelado (p. ej. abandonado) no se reactiva; la conciliación diaria lo reporta
+    if (order.status !== 'pending') {
+      logger.warn('Pago aprobado para un pedido que ya no espera pago', {
+        requestId,
+        meta: { orderId: order.id.toString(), status: order.status, paymentId }
+      });
+      return 'order_not_pending';
+    }
+
+    // Un pedido programado queda retenido hasta su hora de liberación
+    const isScheduledHold = ScheduledOrderService.isHeld(order);
+
+    const updatedOrder = await prisma.$transaction(async (tx) => {
+      // 'placed' = pago aprobado, esperando que el restaurante acepte el pedido.
+      // El cambio condicional reclama la transición: si otro evento o la conciliación ya la
+      // aplicó, no se repiten el historial, el aviso al restaurante ni la aceptación automática
+      const { count } = await tx.order.updateMany({
+        where: {
+          id: order.id,
+          status: 'pending',
+          paymentStatus: { not: 'completed' }
+        },
+        data: {
+          paymentStatus: 'completed',
+          status: isScheduledHold ? 'scheduled' : 'placed'
+        }
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      // Se conserva el external_reference original en providerPaymentId para búsquedas
+      await tx.payment.update({
+        where: { id: order.payment.id },
+        data: { status: paymentStatus }
+      });
+
+      const approvedOrder = await tx.order.findUnique({
+        where: { id: order.id },
+        include: {
+          customer: true,
+          address: true,
+          restaurant: true,
+          orderItems: { include: { product: true } },
+          payment: true
+        }
+      });
+
+      await OrderStatusService.recordTransition(tx, {
+        orderId: order.id,
+        fromStatus: 'pending',
+        toStatus: approvedOrder.status,
+        source: 'system',
+        reason: `Pago aprobado (${paymentId})`
+      }, requestId);
+
+      return approvedOrder;
+    });
+
+    if (!updatedOrder) {
+      logger.info('Pago de pedido aplicado por otro proceso; se omite', {
+        requestId,
+        meta: { orderId: order.id.toString(), paymentId }
+      });
+      return 'already_applied';
+    }
+
+    logger.info('Pago de pedido aplicado desde webhook', {
+      requestId,
+      meta: {
+        orderId: order.id.toString(),
+        paymentId,
+        externalReference,
+        status: updatedOrder.status
+      }
+    });
+
+    // La limpieza del carrito y el aviso al restaurante no deben marcar el evento como fallido
+    try {
+      await prisma.cart.deleteMany({
+        where: {
+          userId: updatedOrder.customerId,
+          restaurantId: updatedOrder.restaurantId
+        }
+      });
+    } catch (cartError) {
+      logger.warn('Error limpiando carrito tras pago aprobado', {
+        requestId,
+        meta: { orderId: order.id.toString(), error: cartError.message }
+      });
+    }
+
+    if (isScheduledHold) {
+      return 'applied';
+    }
+
+    try {
+      getIo().to(`restaurant_${updatedOrder.restaurantId}`).emit('new_order', formatOrderForSocket(updatedOrder));
+    } catch (socketError) {
+      logger.warn('No se pudo notificar el nuevo pedido por Socket.io', {
+        requestId,
+        meta: { orderId: order.id.toString(), error: socketError.message }
+      });
+    }
+
+    await OrderAcceptanceService.autoAcceptIfEnabled(order.id, requestId);
+
+    return 'applied';
+  }
+
+  /**
+   * Reintenta los eventos pendientes: fallidos con reintento vencido, recibidos que nunca
+   * se procesaron y procesamientos interrumpidos
+   * @returns {Promise<number>} Número de eventos reintentados
+   */
+  static async retryPendingEvents() {
+    try {
+      const now = new Date();
+      const staleBefore = new Date(now.getTime() - WEBHOOK_CONFIG.staleProcessingMinutes * 60 * 1000);
+      // Margen para no competir con el procesamiento inmediato tras recibir la notificación
+      const receivedBefore = new Date(now.getTime() - 60 * 1000);
+
+      const pendingEvents = await prisma.webhookEvent.findMany({
+        where: {
+          OR: [
+            { status: 'failed', nextRetryAt: { lte: now } },
+            { status: 'received', createdAt: { lt: receivedBefore } },
+            { status: 'processing', updatedAt: { lt: staleBefore } }
+          ]
+        },
+        select: { id: true },
+        orderBy: { createdAt: 'asc' },
+        take: WEBHOOK_CONFIG.sweepBatchSize
+      });
+
+      for (const pendingEvent of pendingEvents) {
+        await this.processEvent(pendingEvent.id);
+      }
+
+      if (pendingEvents.length > 0) {
+        logger.info('Eventos de webhook reintentados', {
+          meta: { count: pendingEvents.length }
+        });
+      }
+
+      return pendingEvents.length;
+
+    } catch (error) {
+      logger.error('Error reintentando eventos de webhook', {
+        meta: { error: error.message, stack: error.stack }
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Inicia el reintento periódico de eventos de webhook
+   * Se ejecuta de inmediato para retomar los eventos que quedaron pendientes antes de un reinicio
+   */
+  static startRetryWorker() {
+    if (retryInterval) {
+      return;
+    }
+
+    this.retryPendingEvents();
+
+    retryInterval = setInterval(() => {
+      this.retryPendingEvents();
+    }, WEBHOOK_CONFIG.sweepIntervalSeconds * 1000);
+
+    if (typeof retryInterval.unref === 'function') {
+      retryInterval.unref();
+    }
+
+    logger.info('Reintento de eventos de webhook iniciado', {
+      meta: {
+        sweepIntervalSeconds: WEBHOOK_CONFIG.sweepIntervalSeconds,
+        maxAttempts: WEBHOOK_CONFIG.maxAttempts
+      }
+    });
+  }
+
+  /**
+   * Lista eventos de webhook para administración
+   * @param {Object} filters - status, provider, eventType, resourceId, page y pageSize
+   * @returns {Promise<Object>} { events, pagination }
+   */
+  static async getEvents(filters) {
+    const { status, provider, eventType, resourceId, page, pageSize } = filters;
+
+    const where = {
+      ...(status && { status }),
+      ...(provider && { provider }),
+      ...(eventType && { eventType }),
+      ...(resourceId && { resourceId })
+    };
+
+    const [events, totalCount] = await Promise.all([
+      prisma.webhookEvent.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize
+      }),
+      prisma.webhookEvent.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / pageSize);
+
+    return {
+      events: events.map(event => formatEvent(event)),
+      pagination: {
+        currentPage: page,
+        pageSize,
+        totalCount,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Obtiene un evento de webhook con su payload original
+   * @param {BigInt} webhookEventId - ID del WebhookEvent
+   * @returns {Promise<Object>} Evento formateado
+   */
+  static async getEventById(webhookEventId) {
+    const event = await prisma.webhookEvent.findUnique({
+      where: { id: webhookEventId }
+    });
+
+    if (!event) {
+      throw {
+        status: 404,
+        message: 'Evento de webhook no encontrado',
+        code: 'WEBHOOK_EVENT_NOT_FOUND'
+      };
+    }
+
+    return formatEvent(event, true);
+  }
+
+  /**
+   * Reprocesa un evento de webhook a solicitud de un administrador
+   * Es seguro reprocesar eventos ya procesados porque su aplicación es idempotente
+   * @param {BigInt} webhookEventId - ID del WebhookEvent
+   * @param {number} adminUserId - Administrador que solicita el reproceso
+   * @param {string} [requestId] - ID de la solicitud para logging
+   * @returns {Promise<Object>} Evento después del reproceso
+   */
+  static async replayEvent(webhookEventId, adminUserId, requestId = null) {
+    const event = await prisma.webhookEvent.findUnique({
+      where: { id: webhookEventId }
+    });
+
+    if (!event) {
+      throw {
+        status: 404,
+        message: 'Evento de webhook no encontrado',
+        code: 'WEBHOOK_EVENT_NOT_FOUND'
+      };
+    }
+
+    if (!event.signatureValid) {
+      throw {
+        status: 409,
+        message: 'No se puede reprocesar un evento con firma inválida',
+        code: 'WEBHOOK_EVENT_REJECTED'
+      };
+    }
+
+    const staleBefore = new Date(Date.now() - WEBHOOK_CONFIG.staleProcessingMinutes * 60 * 1000);
+    if (event.status === 'processing' && event.updatedAt >= staleBefore) {
+      throw {
+        status: 409,
+        message: 'El evento se está procesando en este momento',
+        code: 'WEBHOOK_EVENT_IN_PROGRESS'
+      };
+    }
+
+    await prisma.$transaction([
+      prisma.webhookEvent.update({
+        where: { id: event.id },
+        data: { status: 'received', nextRetryAt: null }
+      }),
+      prisma.auditLog.create({
+        data: {
+          userId: adminUserId,
+          action: 'WEBHOOK_EVENT_REPLAYED',
+          entity: 'TRANSACTION',
+          entityId: event.id,
+          details: {
+            provider: event.provider,
+            eventId: event.eventId,
+            resourceId: event.resourceId,
+            previousStatus: event.status
+          }
+        }
+      })
+    ]);
+
+    logger.info('Reproceso de evento de webhook solicitado', {
+      requestId,
+      meta: { webhookEventId: event.id.toString(), adminUserId, previousStatus: event.status }
+    });
+
+    const processedEvent = await this.processEvent(event.id, requestId);
+
+    return formatEvent(processedEvent || await prisma.webhookEvent.findUnique({ where: { id: event.id } }), true);
+  }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,24 @@
+/**
+ * Redondea un número a 2 decimales para cálculos monetarios
+ * @param {number} num - Número a redondear
+ * @returns {number} Número redondeado a 2 decimales
+ */
+const roundToTwoDecimals = (num) => {
+  return Math.round(num * 100) / 100;
+};
+
+/**
+ * Escapa un valor para incluirlo en una celda CSV
+ * @param {*} value - Valor a escapar
+ * @returns {string} Valor listo para CSV
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+module.exports = {
+  roundToTwoDecimals,
+  escapeCsvValue
+};
@@ -89,6 +89,10 @@ const updateGlobalConfigSchema = z.object({
     .optional(),
   minAppVersionRestaurant: z.string()
     .regex(/^\d+\.\d+\.\d+$/, 'La versión debe seguir el formato semántico (ej: 1.0.0)')
+    .optional(),
+  driverCashLimit: z.number()
+    .min(0, 'El límite de efectivo no puede ser negativo')
+    .max(100000, 'El límite de efectivo no puede exceder $100000')
     .optional()
 });
 
@@ -118,7 +122,19 @@ const createServiceAreaSchema = z.object({
   polygonCoordinates: z.array(z.object({
     lat: z.number().min(-90).max(90),
     lng: z.number().min(-180).max(180)
-  })).min(3, 'Un polígono debe tener al menos 3 puntos').optional()
+  })).min(3, 'Un polígono debe tener al menos 3 puntos').optional(),
+  driverCashLimit: z.number()
+    .min(0, 'El límite de efectivo no puede ser negativo')
+    .max(100000, 'El límite de efectivo no puede exceder $100000')
+    .optional()
+}).refine(data => data.type !== 'CUSTOM_POLYGON' || data.polygonCoordinates, {
+  message: 'Las áreas CUSTOM_POLYGON requieren polygonCoordinates',
+  path: ['polygonCoordinates']
+}).refine(data => data.type === 'CUSTOM_POLYGON' || (
+  data.centerLatitude !== undefined && data.centerLongitude !== undefined && data.radiusKm !== undefined
+), {
+  message: 'Las áreas CITY y NEIGHBORHOOD requieren centerLatitude, centerLongitude y radiusKm',
+  path: ['radiusKm']
 });
 
 // PATCH /service-areas/:id
@@ -146,9 +162,22 @@ const updateServiceAreaSchema = z.object({
     lat: z.number().min(-90).max(90),
     lng: z.number().min(-180).max(180)
   })).min(3, 'Un polígono debe tener al menos 3 puntos').optional(),
+  // null quita el límite del área y vuelve a aplicar el global
+  driverCashLimit: z.number()
+    .min(0, 'El límite de efectivo no puede ser negativo')
+    .max(100000, 'El límite de efectivo no puede exceder $100000')
+    .nullable()
+    .optional(),
   isActive: z.boolean().optional()
 });
 
+// PUT /restaurants/:id/service-areas
+const updateRestaurantServiceAreasSchema = z.object({
+  serviceAreaIds: z.array(
+    z.number().int('El ID del área debe ser un número entero').positive('El ID del área debe ser positivo')
+  ).max(50, 'No se pueden vincular más de 50 áreas de servicio')
+});
+
 // ========================================
 // FASE 3: RESTAURANTES Y CATÁLOGO
 // ========================================
@@ -227,6 +256,72 @@ const adjustDriverWalletSchema = z.object({
     .max(500, 'La descripción no puede exceder 500 caracteres')
 });
 
+// POST /orders/:id/refunds
+const createRefundSchema = z.object({
+  type: z.enum(['full', 'partial'], {
+    errorMap: () => ({ message: 'El tipo de reembolso debe ser full o partial' })
+  }),
+  reason: z.enum(['ORDER_NOT_DELIVERED', 'MISSING_ITEMS', 'WRONG_ITEMS', 'QUALITY_ISSUE', 'LATE_DELIVERY', 'RESTAURANT_CANCELLED', 'DUPLICATE_CHARGE', 'CUSTOMER_REQUEST', 'OTHER'], {
+    errorMap: () => ({ message: 'El motivo debe ser uno de: ORDER_NOT_DELIVERED, MISSING_ITEMS, WRONG_ITEMS, QUALITY_ISSUE, LATE_DELIVERY, RESTAURANT_CANCELLED, DUPLICATE_CHARGE, CUSTOMER_REQUEST, OTHER' })
+  }),
+  notes: z.string()
+    .max(1000, 'Las notas no pueden exceder 1000 caracteres')
+    .optional(),
+  items: z.array(z.object({
+    orderItemId: z.union([z.string().regex(/^\d+$/, 'El ID del artículo debe ser numérico'), z.number().int().positive()])
+      .transform(val => BigInt(val)),
+    quantity: z.number().int().positive('La cantidad debe ser un número entero positivo')
+  })).min(1, 'Debe incluir al menos un artículo').optional(),
+  amount: z.number()
+    .positive('El monto debe ser mayor a 0')
+    .optional(),
+  reverseDriverEarnings: z.boolean().optional(),
+  complaintId: z.number().int().positive('El ID de la queja debe ser un número entero positivo').optional()
+}).refine(
+  data => data.type !== 'partial' || (data.items === undefined) !== (data.amount === undefined),
+  { message: 'Un reembolso parcial requiere items o amount (solo uno de los dos)', path: ['items'] }
+).refine(
+  data => data.type !== 'full' || (data.items === undefined && data.amount === undefined),
+  { message: 'Un reembolso total no admite items ni amount', path: ['type'] }
+);
+
+// POST /payouts/batches
+const createPayoutBatchSchema = z.object({
+  payeeType: z.enum(['restaurant', 'driver'], {
+    errorMap: () => ({ message: 'payeeType debe ser restaurant o driver' })
+  }),
+  notes: z.string()
+    .max(1000, 'Las notas no pueden exceder 1000 caracteres')
+    .optional()
+});
+
+// Parámetros de ruta de /payouts/batches/:id y /payouts/batches/:id/lines/:lineId
+const payoutBatchParamsSchema = z.object({
+  id: z.string().regex(/^\d+$/, 'El ID del lote debe ser un número válido'),
+  lineId: z.string().regex(/^\d+$/, 'El ID de la línea debe ser un número válido').optional()
+});
+
+// POST /payouts/batches/:id/lines/:lineId/fail
+const failPayoutLineSchema = z.object({
+  reason: z.string()
+    .min(5, 'El motivo debe tener al menos 5 caracteres')
+    .max(255, 'El motivo no puede exceder 255 caracteres')
+});
+
+// PATCH /wallets/restaurants/:id/payout-hold y /wallets/drivers/:id/payout-hold
+const updatePayoutHoldSchema = z.object({
+  hold: z.boolean({
+    errorMap: () => ({ message: 'hold debe ser un valor booleano' })
+  }),
+  reason: z.string()
+    .min(5, 'El motivo debe tener al menos 5 caracteres')
+    .max(255, 'El motivo no puede exceder 255 caracteres')
+    .optional()
+}).refine(
+  data => !data.hold || data.reason !== undefined,
+  { message: 'Retener los pagos requiere un motivo', path: ['reason'] }
+);
+
 // ========================================
 // FASE 5: LOGÍSTICA Y REPARTIDORES
 // ========================================
@@ -242,7 +337,10 @@ const updateDriverKycSchema = z.object({
   domicilioFiscal: z.string()
     .max(500, 'El domicilio fiscal no puede exceder 500 caracteres')
     .optional(),
-  opcionPagoDefinitivo: z.boolean().optional()
+  opcionPagoDefinitivo: z.boolean().optional(),
+  clabe: z.string()
+    .regex(/^\d{18}$/, 'La CLABE debe tener 18 dígitos')
+    .optional()
 });
 
 // PATCH /drivers/:id/block
@@ -252,6 +350,75 @@ const blockDriverSchema = z.object({
   })
 });
 
+// PATCH /drivers/:id/cash-limit
+const updateDriverCashLimitSchema = z.object({
+  // null quita el límite propio y vuelve a aplicar el del área o el global
+  cashLimit: z.number({
+    errorMap: () => ({ message: 'cashLimit debe ser un número o null' })
+  })
+    .min(0, 'El límite de efectivo no puede ser negativo')
+    .max(100000, 'El límite de efectivo no puede exceder $100000')
+    .nullable()
+});
+
+// Parámetros de ruta de /drivers/cash-deposits/:id
+const cashDepositParamsSchema = z.object({
+  id: z.string().regex(/^\d+$/, 'El ID del depósito debe ser un número válido')
+});
+
+// POST /drivers/cash-deposits/:id/reject
+const rejectCashDepositSchema = z.object({
+  reason: z.string()
+    .min(5, 'El motivo debe tener al menos 5 caracteres')
+    .max(255, 'El motivo no puede exceder 255 caracteres')
+});
+
+// Parámetros de ruta de /orders/:id
+const adminOrderParamsSchema = z.object({
+  id: z.string().regex(/^\d+$/, 'El ID del pedido debe ser un número válido')
+});
+
+// POST /orders/:id/cancel
+const adminCancelOrderSchema = z.object({
+  reason: z.string()
+    .trim()
+    .min(10, 'El motivo de cancelación debe tener al menos 10 caracteres')
+    .max(500, 'El motivo de cancelación no puede exceder 500 caracteres'),
+  notifyCustomer: z.boolean().default(true)
+});
+
+// POST /orders/:id/reassign-driver
+const reassignOrderDriverSchema = z.object({
+  driverId: z.number()
+    .int()
+    .positive('El ID del repartidor debe ser un número entero positivo'),
+  reason: z.string()
+    .trim()
+    .min(5, 'El motivo debe tener al menos 5 caracteres')
+    .max(255, 'El motivo no puede exceder 255 caracteres')
+});
+
+// PATCH /orders/:id/status
+// delivered, cancelled y refunded tienen sus propios flujos porque liquidan o devuelven dinero
+const overrideOrderStatusSchema = z.object({
+  status: z.enum(['pending', 'placed', 'confirmed', 'preparing', 'ready_for_pickup', 'out_for_delivery'], {
+    errorMap: () => ({ message: 'El estado debe ser uno de: pending, placed, confirmed, preparing, ready_for_pickup, out_for_delivery' })
+  }),
+  reason: z.string()
+    .trim()
+    .min(5, 'El motivo debe tener al menos 5 caracteres')
+    .max(255, 'El motivo no puede exceder 255 caracteres'),
+  force: z.boolean().default(false)
+});
+
+// POST /orders/:id/notes
+const orderInternalNoteSchema = z.object({
+  note: z.string()
+    .trim()
+    .min(1, 'La nota no puede estar vacía')
+    .max(2000, 'La nota no puede exceder 2000 caracteres')
+});
+
 // ========================================
 // FASE 6: SOPORTE, AUDITORÍA Y COMMS
 // ========================================
@@ -297,7 +464,7 @@ const broadcastNotificationSchema = z.object({
 
 // GET /audit-logs
 const auditLogsQuerySchema = z.object({
-  entity: z.enum(['USER', 'RESTAURANT', 'ORDER', 'TRANSACTION', 'DRIVER', 'CONFIG', 'COMPLAINT', 'RATING', 'MESSAGE', 'PROMOTION', 'SERVICE_AREA', 'INVENTORY_LOG', 'DRIVER_LOG', 'NOTIFICATION', 'RESTAURANT_CONFIG', 'RESTAURANT_SCHEDULE', 'ROUTE_LOG']).optional(),
+  entity: z.enum(['USER', 'RESTAURANT', 'ORDER', 'TRANSACTION', 'DRIVER', 'CONFIG', 'COMPLAINT', 'RATING', 'MESSAGE', 'PROMOTION', 'SERVICE_AREA', 'INVENTORY_LOG', 'DRIVER_LOG', 'NOTIFICATION', 'RESTAURANT_CONFIG', 'RESTAURANT_SCHEDULE', 'ROUTE_LOG', 'REFUND']).optional(),
   userId: z.string().transform(val => parseInt(val)).optional(),
   page: z.string().transform(val => parseInt(val)).default('1'),
   pageSize: z.string().transform(val => parseInt(val)).default('10')
@@ -322,7 +489,7 @@ const inventoryLogsQuerySchema = z.object({
 const restaurantWalletTransactionsQuerySchema = z.object({
   restaurantId: z.string().transform(val => parseInt(val)).optional(),
   isPaidOut: z.string().transform(val => val === 'true').optional(),
-  type: z.enum(['RESTAURANT_ORDER_CREDIT', 'RESTAURANT_PAYOUT_DEBIT', 'RESTAURANT_REFUND_DEBIT', 'RESTAURANT_PLATFORM_FEE_DEBIT', 'ADJUSTMENT_CREDIT', 'ADJUSTMENT_DEBIT']).optional(),
+  type: z.enum(['RESTAURANT_ORDER_CREDIT', 'RESTAURANT_PAYOUT_DEBIT', 'RESTAURANT_REFUND_DEBIT', 'RESTAURANT_PLATFORM_FEE_DEBIT', 'RESTAURANT_CASH_COLLECTED_DEBIT', 'RESTAURANT_PAYOUT_REVERSAL_CREDIT', 'ADJUSTMENT_CREDIT', 'ADJUSTMENT_DEBIT']).optional(),
   page: z.string().transform(val => parseInt(val)).default('1'),
   pageSize: z.string().transform(val => parseInt(val)).default('10')
 });
@@ -331,11 +498,99 @@ const restaurantWalletTransactionsQuerySchema = z.object({
 const driverWalletTransactionsQuerySchema = z.object({
   driverId: z.string().transform(val => parseInt(val)).optional(),
   isPaidOut: z.string().transform(val => val === 'true').optional(),
-  type: z.enum(['DRIVER_DELIVERY_FEE_CREDIT', 'DRIVER_TIPS_CREDIT', 'DRIVER_PAYOUT_DEBIT', 'DRIVER_PENALTY_DEBIT', 'ADJUSTMENT_CREDIT', 'ADJUSTMENT_DEBIT']).optional(),
+  type: z.enum(['DRIVER_DELIVERY_FEE_CREDIT', 'DRIVER_TIPS_CREDIT', 'DRIVER_PAYOUT_DEBIT', 'DRIVER_PENALTY_DEBIT', 'DRIVER_REFUND_DEBIT', 'DRIVER_CASH_COLLECTED_DEBIT', 'DRIVER_PAYOUT_REVERSAL_CREDIT', 'DRIVER_CASH_DEPOSIT_CREDIT', 'ADJUSTMENT_CREDIT', 'ADJUSTMENT_DEBIT']).optional(),
+  page: z.string().transform(val => parseInt(val)).default('1'),
+  pageSize: z.string().transform(val => parseInt(val)).default('10')
+});
+
+// GET /payouts/batches
+const payoutBatchesQuerySchema = z.object({
+  status: z.enum(['draft', 'approved', 'sent', 'confirmed', 'cancelled']).optional(),
+  payeeType: z.enum(['restaurant', 'driver']).optional(),
   page: z.string().transform(val => parseInt(val)).default('1'),
   pageSize: z.string().transform(val => parseInt(val)).default('10')
 });
 
+// GET /payouts/batches/:id/export
+const payoutBatchExportQuerySchema = z.object({
+  format: z.enum(['csv', 'spei'], {
+    errorMap: () => ({ message: 'format debe ser csv o spei' })
+  }).default('csv')
+});
+
+// GET /drivers/cash-deposits
+const cashDepositsQuerySchema = z.object({
+  status: z.enum(['pending', 'confirmed', 'rejected']).optional(),
+  driverId: z.string().transform(val => parseInt(val)).optional(),
+  page: z.string().transform(val => parseInt(val)).default('1'),
+  pageSize: z.string().transform(val => parseInt(val)).default('10')
+});
+
+// GET /orders
+const adminOrdersQuerySchema = z.object({
+  status: z.enum(['pending', 'scheduled', 'placed', 'confirmed', 'preparing', 'ready_for_pickup', 'out_for_delivery', 'delivered', 'cancelled', 'refunded']).optional(),
+  restaurantId: z.string().transform(val => parseInt(val)).optional(),
+  driverId: z.string().transform(val => parseInt(val)).optional(),
+  customerId: z.string().transform(val => parseInt(val)).optional(),
+  paymentMethod: z.enum(['CASH', 'CARD_ONLINE', 'CARD_POS', 'WALLET', 'COUPON']).optional(),
+  paymentStatus: z.enum(['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded']).optional(),
+  fulfillmentType: z.enum(['delivery', 'pickup']).optional(),
+  dateFrom: z.string()
+    .datetime({ message: 'Formato de fecha inválido para dateFrom (YYYY-MM-DDTHH:mm:ssZ)' })
+    .transform(val => new Date(val))
+    .optional(),
+  dateTo: z.string()
+    .datetime({ message: 'Formato de fecha inválido para dateTo (YYYY-MM-DDTHH:mm:ssZ)' })
+    .transform(val => new Date(val))
+    .optional(),
+  late: z.enum(['true', 'false']).transform(val => val === 'true').optional(),
+  stuck: z.enum(['true', 'false']).transform(val => val === 'true').optional(),
+  page: z.string().transform(val => parseInt(val)).default('1'),
+  pageSize: z.string().transform(val => parseInt(val)).default('20')
+}).refine(
+  data => !data.dateFrom || !data.dateTo || data.dateFrom <= data.dateTo,
+  { message: 'La fecha de inicio no puede ser mayor a la fecha de fin', path: ['dateFrom'] }
+);
+
+// GET /tax/withholdings
+const taxWithholdingsQuerySchema = z.object({
+  year: z.string()
+    .regex(/^\d{4}$/, 'El año debe tener 4 dígitos')
+    .transform(val => parseInt(val))
+    .refine(val => val >= 2020, 'El año debe ser 2020 o posterior'),
+  month: z.string()
+    .regex(/^\d{1,2}$/, 'El mes debe ser un número')
+    .transform(val => parseInt(val))
+    .refine(val => val >= 1 && val <= 12, 'El mes debe estar entre 1 y 12'),
+  payeeType: z.enum(['restaurant', 'driver'], {
+    errorMap: () => ({ message: 'payeeType debe ser restaurant o driver' })
+  }),
+  format: z.enum(['json', 'csv']).default('json')
+});
+
+// GET /webhook-events
+const webhookEventsQuerySchema = z.object({
+  status: z.enum(['received', 'processing', 'processed', 'failed', 'rejected']).optional(),
+  provider: z.string().max(50).optional(),
+  eventType: z.string().max(100).optional(),
+  resourceId: z.string().max(255).optional(),
+  page: z.string().transform(val => parseInt(val)).default('1'),
+  pageSize: z.string().transform(val => parseInt(val)).default('10')
+});
+
+// GET /payments/reconciliation/reports
+const reconciliationReportsQuerySchema = z.object({
+  page: z.string().transform(val => parseInt(val)).default('1'),
+  pageSize: z.string().transform(val => parseInt(val)).default('10')
+});
+
+// POST /payments/reconciliation/run
+const runReconciliationSchema = z.object({
+  reportDate: z.string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'reportDate debe tener el formato YYYY-MM-DD')
+    .optional()
+});
+
 module.exports = {
   // Fase 1
   updateUserStatusSchema,
@@ -349,6 +604,7 @@ module.exports = {
   updateGlobalConfigSchema,
   createServiceAreaSchema,
   updateServiceAreaSchema,
+  updateRestaurantServiceAreasSchema,
   
   // Fase 3
   verifyRestaurantSchema,
@@ -361,10 +617,23 @@ module.exports = {
   updatePaymentStatusSchema,
   adjustRestaurantWalletSchema,
   adjustDriverWalletSchema,
+  createRefundSchema,
+  createPayoutBatchSchema,
+  payoutBatchParamsSchema,
+  failPayoutLineSchema,
+  updatePayoutHoldSchema,
   
   // Fase 5
   updateDriverKycSchema,
   blockDriverSchema,
+  updateDriverCashLimitSchema,
+  cashDepositParamsSchema,
+  rejectCashDepositSchema,
+  adminOrderParamsSchema,
+  adminCancelOrderSchema,
+  reassignOrderDriverSchema,
+  overrideOrderStatusSchema,
+  orderInternalNoteSchema,
   
   // Fase 6
   updateComplaintStatusSchema,
@@ -376,5 +645,13 @@ module.exports = {
   complaintsQuerySchema,
   inventoryLogsQuerySchema,
   restaurantWalletTransactionsQuerySchema,
-  driverWalletTransactionsQuerySchema
+  driverWalletTransactionsQuerySchema,
+  taxWithholdingsQuerySchema,
+  webhookEventsQuerySchema,
+  reconciliationReportsQuerySchema,
+  runReconciliationSchema,
+  payoutBatchesQuerySchema,
+  payoutBatchExportQuerySchema,
+  cashDepositsQuerySchema,
+  adminOrdersQuerySchema
 };
@@ -0,0 +1,108 @@
+const { z } = require('zod');
+
+/**
+ * Esquema de validación para el cuerpo de la petición del endpoint POST /api/customer/complaints
+ */
+const createComplaintSchema = z.object({
+  target: z
+    .enum(['order', 'restaurant', 'driver'], {
+      errorMap: () => ({ message: 'El motivo de la queja debe ser uno de: order, restaurant, driver' })
+    })
+    .optional()
+    .default('order'),
+
+  orderId: z
+    .union([z.string().regex(/^\d+$/, 'El ID del pedido debe ser un número válido'), z.number().int().positive()])
+    .transform(val => BigInt(val))
+    .optional(),
+
+  restaurantId: z
+    .number({
+      invalid_type_error: "El ID del restaurante debe ser un número"
+    })
+    .int('El ID del restaurante debe ser un número entero')
+    .positive('El ID del restaurante debe ser mayor a 0')
+    .optional(),
+
+  subject: z
+    .string({
+      required_error: "El asunto es requerido",
+      invalid_type_error: "El asunto debe ser un texto"
+    })
+    .trim()
+    .min(5, 'El asunto debe tener al menos 5 caracteres')
+    .max(255, 'El asunto no puede exceder 255 caracteres'),
+
+  description: z
+    .string({
+      required_error: "La descripción es requerida",
+      invalid_type_error: "La descripción debe ser un texto"
+    })
+    .trim()
+    .min(10, 'La descripción debe tener al menos 10 caracteres')
+    .max(2000, 'La descripción no puede exceder 2000 caracteres')
+}).refine(
+  data => data.target === 'restaurant' || data.orderId !== undefined,
+  { message: 'El ID del pedido es requerido para quejas sobre un pedido o repartidor', path: ['orderId'] }
+).refine(
+  data => data.target !== 'restaurant' || data.orderId !== undefined || data.restaurantId !== undefined,
+  { message: 'Se requiere el ID del pedido o del restaurante', path: ['restaurantId'] }
+);
+
+/**
+ * Esquema de validación para parámetros de ruta de endpoints de quejas
+ */
+const complaintParamsSchema = z.object({
+  complaintId: z.string().regex(/^\d+$/, 'El ID de la queja debe ser un número válido').transform(Number)
+});
+
+/**
+ * Esquema de validación para el cuerpo (multipart) de los endpoints POST .../complaints/:complaintId/messages
+ */
+const complaintMessageSchema = z.object({
+  body: z
+    .string({
+      required_error: "El mensaje es requerido",
+      invalid_type_error: "El mensaje debe ser un texto"
+    })
+    .trim()
+    .min(1, 'El mensaje no puede estar vacío')
+    .max(2000, 'El mensaje no puede exceder 2000 caracteres')
+});
+
+/**
+ * Esquema de validación para query parameters de los listados de quejas
+ */
+const complaintsQuerySchema = z.object({
+  // Paginación
+  page: z
+    .string()
+    .regex(/^\d+$/, 'La página debe ser un número')
+    .transform(Number)
+    .refine(val => val > 0, 'La página debe ser mayor a 0')
+    .optional()
+    .default(1),
+
+  pageSize: z
+    .string()
+    .regex(/^\d+$/, 'El tamaño de página debe ser un número')
+    .transform(Number)
+    .refine(val => val > 0, 'El tamaño de página debe ser mayor a 0')
+    .refine(val => val <= 50, 'El tamaño de página no puede ser mayor a 50')
+    .optional()
+    .default(10),
+
+  // Filtros
+  status: z
+    .enum(['pending', 'resolved', 'closed'], {
+      errorMap: () => ({ message: 'El estado debe ser uno de: pending, resolved, closed' })
+    })
+    .optional()
+});
+
+module.exports = {
+  createComplaintSchema,
+  complaintParamsSchema,
+  complaintMessageSchema,
+  complaintsQuerySchema
+};
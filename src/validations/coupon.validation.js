@@ -0,0 +1,220 @@
+const { z } = require('zod');
+
+const optionalDateTime = (fieldLabel) => z
+  .string()
+  .datetime({ message: `Formato de fecha inválido para ${fieldLabel} (YYYY-MM-DDTHH:mm:ssZ)` })
+  .transform(val => new Date(val))
+  .nullable()
+  .optional();
+
+/**
+ * Campos configurables de un cupón (compartidos por Super Admin y Owner)
+ */
+const couponFields = z.object({
+  code: z
+    .string({
+      required_error: "El código es requerido",
+      invalid_type_error: "El código debe ser un texto"
+    })
+    .trim()
+    .min(3, 'El código debe tener al menos 3 caracteres')
+    .max(50, 'El código no puede exceder 50 caracteres')
+    .regex(/^[A-Za-z0-9_-]+$/, 'El código solo puede contener letras, números, guiones y guiones bajos')
+    .transform(val => val.toUpperCase()),
+
+  description: z
+    .string()
+    .trim()
+    .max(255, 'La descripción no puede exceder 255 caracteres')
+    .nullable()
+    .optional(),
+
+  discountType: z
+    .enum(['percentage', 'fixed_amount', 'free_delivery'], {
+      errorMap: () => ({ message: 'El tipo de descuento debe ser uno de: percentage, fixed_amount, free_delivery' })
+    }),
+
+  discountValue: z
+    .number({ invalid_type_error: 'El valor del descuento debe ser un número' })
+    .min(0, 'El valor del descuento no puede ser negativo')
+    .optional(),
+
+  maxDiscountAmount: z
+    .number({ invalid_type_error: 'El descuento máximo debe ser un número' })
+    .positive('El descuento máximo debe ser mayor a 0')
+    .nullable()
+    .optional(),
+
+  minOrderAmount: z
+    .number({ invalid_type_error: 'El pedido mínimo debe ser un número' })
+    .min(0, 'El pedido mínimo no puede ser negativo')
+    .optional(),
+
+  serviceAreaId: z
+    .number({ invalid_type_error: 'El ID del área de servicio debe ser un número' })
+    .int('El ID del área de servicio debe ser un número entero')
+    .positive('El ID del área de servicio debe ser mayor a 0')
+    .nullable()
+    .optional(),
+
+  usageLimit: z
+    .number({ invalid_type_error: 'El límite de usos debe ser un número' })
+    .int('El límite de usos debe ser un número entero')
+    .positive('El límite de usos debe ser mayor a 0')
+    .nullable()
+    .optional(),
+
+  perUserLimit: z
+    .number({ invalid_type_error: 'El límite por usuario debe ser un número' })
+    .int('El límite por usuario debe ser un número entero')
+    .positive('El límite por usuario debe ser mayor a 0')
+    .optional(),
+
+  firstOrderOnly: z
+    .boolean({ invalid_type_error: 'firstOrderOnly debe ser un valor booleano' })
+    .optional(),
+
+  startsAt: optionalDateTime('startsAt'),
+
+  expiresAt: optionalDateTime('expiresAt')
+});
+
+/**
+ * Reglas del valor del descuento según su tipo
+ * @param {Object} data - Datos del cupón
+ * @returns {boolean} true si el valor es coherente con el tipo
+ */
+const hasValidDiscountValue = (data) => {
+  if (data.discountType === 'free_delivery') {
+    return !data.discountValue;
+  }
+  if (data.discountType === 'percentage') {
+    return data.discountValue > 0 && data.discountValue <= 100;
+  }
+  return data.discountValue > 0;
+};
+
+const discountValueRefinement = {
+  message: 'discountValue es requerido: entre 1 y 100 para percentage, mayor a 0 para fixed_amount y no aplica para free_delivery',
+  path: ['discountValue']
+};
+
+const hasValidDateRange = (data) => !data.startsAt || !data.expiresAt || data.startsAt < data.expiresAt;
+
+const dateRangeRefinement = {
+  message: 'La fecha de inicio debe ser anterior a la fecha de expiración',
+  path: ['expiresAt']
+};
+
+/**
+ * Esquema de validación para el cuerpo de la petición del endpoint POST /api/restaurant/coupons
+ * (el cupón siempre lo financia el restaurante del owner)
+ */
+const createOwnerCouponSchema = couponFields
+  .refine(hasValidDiscountValue, discountValueRefinement)
+  .refine(hasValidDateRange, dateRangeRefinement);
+
+/**
+ * Esquema de validación para el cuerpo de la petición del endpoint POST /api/admin/coupons
+ */
+const createAdminCouponSchema = couponFields.extend({
+  fundedBy: z
+    .enum(['platform', 'restaurant'], {
+      errorMap: () => ({ message: 'fundedBy debe ser platform o restaurant' })
+    })
+    .optional()
+    .default('platform'),
+
+  restaurantId: z
+    .number({ invalid_type_error: 'El ID del restaurante debe ser un número' })
+    .int('El ID del restaurante debe ser un número entero')
+    .positive('El ID del restaurante debe ser mayor a 0')
+    .nullable()
+    .optional()
+})
+  .refine(hasValidDiscountValue, discountValueRefinement)
+  .refine(hasValidDateRange, dateRangeRefinement)
+  .refine(
+    data => data.fundedBy !== 'restaurant' || data.restaurantId,
+    { message: 'Los cupones financiados por un restaurante requieren restaurantId', path: ['restaurantId'] }
+  );
+
+/**
+ * Esquema de validación para PATCH /api/admin/coupons/:couponId y /api/restaurant/coupons/:couponId
+ * El código, el tipo y quién financia el cupón no se pueden cambiar porque ya están registrados en pedidos
+ */
+const updateCouponSchema = couponFields
+  .omit({ code: true, discountType: true })
+  .extend({
+    isActive: z
+      .boolean({ invalid_type_error: 'isActive debe ser un valor booleano' })
+      .optional()
+  })
+  .refine(data => Object.keys(data).length > 0, {
+    message: 'Debe enviar al menos un campo para actualizar'
+  })
+  .refine(hasValidDateRange, dateRangeRefinement);
+
+/**
+ * Esquema de validación para parámetros de ruta de endpoints de cupones
+ */
+const couponParamsSchema = z.object({
+  couponId: z.string().regex(/^\d+$/, 'El ID del cupón debe ser un número válido').transform(Number)
+});
+
+/**
+ * Esquema de validación para query parameters de los listados de cupones
+ */
+const couponsQuerySchema = z.object({
+  // Paginación
+  page: z
+    .string()
+    .regex(/^\d+$/, 'La página debe ser un número')
+    .transform(Number)
+    .refine(val => val > 0, 'La página debe ser mayor a 0')
+    .optional()
+    .default(1),
+
+  pageSize: z
+    .string()
+    .regex(/^\d+$/, 'El tamaño de página debe ser un número')
+    .transform(Number)
+    .refine(val => val > 0, 'El tamaño de página debe ser mayor a 0')
+    .refine(val => val <= 50, 'El tamaño de página no puede ser mayor a 50')
+    .optional()
+    .default(10),
+
+  // Filtros
+  isActive: z
+    .enum(['true', 'false'], {
+      errorMap: () => ({ message: 'isActive debe ser true o false' })
+    })
+    .transform(val => val === 'true')
+    .optional(),
+
+  search: z
+    .string()
+    .trim()
+    .max(50, 'La búsqueda no puede exceder 50 caracteres')
+    .optional(),
+
+  fundedBy: z
+    .enum(['platform', 'restaurant'], {
+      errorMap: () => ({ message: 'fundedBy debe ser platform o restaurant' })
+    })
+    .optional(),
+
+  restaurantId: z
+    .string()
+    .regex(/^\d+$/, 'El ID del restaurante debe ser un número')
+    .transform(Number)
+    .optional()
+});
+
+module.exports = {
+  createOwnerCouponSchema,
+  createAdminCouponSchema,
+  updateCouponSchema,
+  couponParamsSchema,
+  couponsQuerySchema
+};
@@ -1,5 +1,5 @@
 const { z } = require('zod');
-const { DriverStatus } = require('@prisma/client');
+const { DriverStatus, AssignmentRejectionReason, CashDepositStatus } = require('@prisma/client');
 
 /**
  * Esquema de validación para el cuerpo de la petición del endpoint PATCH /api/driver/status
@@ -85,6 +85,16 @@ const orderParamsSchema = z.object({
   orderId: z.string().regex(/^\d+$/, 'El ID del pedido debe ser un número válido').transform(Number)
 });
 
+/**
+ * Esquema de validación para el cuerpo de la petición del endpoint PATCH /api/driver/orders/:orderId/reject
+ */
+const rejectOrderSchema = z.object({
+  reason: z.nativeEnum(AssignmentRejectionReason, {
+    required_error: "El motivo del rechazo es requerido",
+    invalid_type_error: "Motivo inválido. Los motivos permitidos son: TOO_FAR, BAD_RATING_CUSTOMER, BAD_RATING_RESTAURANT, BAD_PAYOUT, TOO_MUCH_WAITING, OTHER"
+  }).refine(val => val !== 'NONE', 'Debe indicar un motivo de rechazo')
+});
+
 /**
  * Esquema de validación para query parameters de métricas y transacciones
  */
@@ -128,11 +138,76 @@ const metricsQuerySchema = z.object({
   path: ["dateFrom"]
 });
 
+/**
+ * Esquema de validación para el cuerpo de la petición del endpoint POST /api/driver/wallet/cash-deposits
+ */
+const createCashDepositSchema = z.object({
+  amount: z
+    .number({
+      required_error: "El monto del depósito es requerido",
+      invalid_type_error: "El monto debe ser un número"
+    })
+    .positive('El monto debe ser mayor a 0')
+    .max(99999999.99, 'El monto es demasiado grande')
+    .transform(val => Math.round(val * 100) / 100),
+
+  reference: z
+    .string({
+      required_error: "La referencia del depósito es requerida"
+    })
+    .trim()
+    .min(1, 'La referencia del depósito es requerida')
+    .max(100, 'La referencia no puede exceder 100 caracteres'),
+
+  depositedAt: z
+    .string({
+      required_error: "La fecha del depósito es requerida"
+    })
+    .datetime('Formato de fecha inválido para depositedAt')
+    .refine(val => new Date(val) <= new Date(), 'La fecha del depósito no puede ser futura'),
+
+  notes: z
+    .string()
+    .trim()
+    .max(500, 'Las notas no pueden exceder 500 caracteres')
+    .optional()
+});
+
+/**
+ * Esquema de validación para query parameters del endpoint GET /api/driver/wallet/cash-deposits
+ */
+const cashDepositsQuerySchema = z.object({
+  status: z.nativeEnum(CashDepositStatus, {
+    invalid_type_error: "Estado inválido. Los estados permitidos son: pending, confirmed, rejected"
+  }).optional(),
+
+  // Paginación
+  page: z
+    .string()
+    .regex(/^\d+$/, 'La página debe ser un número')
+    .transform(Number)
+    .refine(val => val > 0, 'La página debe ser mayor a 0')
+    .optional()
+    .default(1),
+
+  pageSize: z
+    .string()
+    .regex(/^\d+$/, 'El tamaño de página debe ser un número')
+    .transform(Number)
+    .refine(val => val > 0, 'El tamaño de página debe ser mayor a 0')
+    .refine(val => val <= 50, 'El tamaño de página no puede ser mayor a 50')
+    .optional()
+    .default(10)
+});
+
 module.exports = {
   updateDriverStatusSchema,
   availableOrdersQuerySchema,
   historyQuerySchema,
   updateLocationSchema,
   orderParamsSchema,
-  metricsQuerySchema
+  rejectOrderSchema,
+  metricsQuerySchema,
+  createCashDepositSchema,
+  cashDepositsQuerySchema
 };
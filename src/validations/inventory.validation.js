@@ -0,0 +1,151 @@
+const { z } = require('zod');
+
+/**
+ * Esquema de validación para registrar un movimiento de inventario
+ */
+const createInventoryMovementSchema = z.object({
+  productId: z
+    .number({
+      required_error: 'El ID del producto es requerido',
+      invalid_type_error: 'El ID del producto debe ser un número'
+    })
+    .int({ message: 'El ID del producto debe ser un número entero' })
+    .min(1, 'El ID del producto debe ser mayor que 0'),
+
+  type: z.enum(['RESTOCK', 'SPOILAGE', 'TRANSFER'], {
+    errorMap: () => ({ message: 'El tipo de movimiento debe ser uno de: RESTOCK, SPOILAGE, TRANSFER' })
+  }),
+
+  quantity: z
+    .number({
+      required_error: 'La cantidad es requerida',
+      invalid_type_error: 'La cantidad debe ser un número'
+    })
+    .int({ message: 'La cantidad debe ser un número entero' })
+    .min(1, 'La cantidad debe ser mayor que 0')
+    .max(100000, 'La cantidad no puede exceder 100000 unidades'),
+
+  direction: z
+    .enum(['in', 'out'], {
+      errorMap: () => ({ message: 'La dirección del traspaso debe ser in u out' })
+    })
+    .optional(),
+
+  unitCost: z
+    .number({ invalid_type_error: 'El costo unitario debe ser un número' })
+    .min(0, 'El costo unitario no puede ser negativo')
+    .optional(),
+
+  note: z
+    .string({ invalid_type_error: 'La nota debe ser un texto' })
+    .trim()
+    .max(255, 'La nota no puede exceder 255 caracteres')
+    .optional()
+}).strict()
+  .refine(data => data.type !== 'TRANSFER' || data.direction !== undefined, {
+    message: 'Un traspaso requiere direction (in u out)',
+    path: ['direction']
+  })
+  .refine(data => data.type === 'TRANSFER' || data.direction === undefined, {
+    message: 'direction solo aplica a traspasos',
+    path: ['direction']
+  })
+  .refine(data => data.type === 'RESTOCK' || data.unitCost === undefined, {
+    message: 'unitCost solo aplica a reabastecimientos',
+    path: ['unitCost']
+  });
+
+/**
+ * Esquema de validación para el umbral de reorden y costo unitario de un producto
+ */
+const updateProductStockSettingsSchema = z.object({
+  lowStockThreshold: z
+    .number({ invalid_type_error: 'El umbral de stock bajo debe ser un número' })
+    .int({ message: 'El umbral de stock bajo debe ser un número entero' })
+    .min(0, 'El umbral de stock bajo no puede ser negativo')
+    .nullable()
+    .optional(),
+
+  unitCost: z
+    .number({ invalid_type_error: 'El costo unitario debe ser un número' })
+    .min(0, 'El costo unitario no puede ser negativo')
+    .nullable()
+    .optional()
+}).strict().refine(
+  data => data.lowStockThreshold !== undefined || data.unitCost !== undefined,
+  { message: 'Debe enviar lowStockThreshold o unitCost' }
+);
+
+/**
+ * Esquema de validación para parámetros de ruta de inventario por producto
+ */
+const inventoryProductParamsSchema = z.object({
+  productId: z.string().regex(/^\d+$/, 'El ID del producto debe ser un número válido').transform(Number)
+});
+
+/**
+ * Esquema de validación para query parameters del historial de inventario
+ */
+const inventoryMovementsQuerySchema = z.object({
+  // Paginación
+  page: z
+    .string()
+    .regex(/^\d+$/, 'La página debe ser un número')
+    .transform(Number)
+    .refine(val => val > 0, 'La página debe ser mayor a 0')
+    .optional()
+    .default(1),
+
+  pageSize: z
+    .string()
+    .regex(/^\d+$/, 'El tamaño de página debe ser un número')
+    .transform(Number)
+    .refine(val => val > 0, 'El tamaño de página debe ser mayor a 0')
+    .refine(val => val <= 100, 'El tamaño de página no puede ser mayor a 100')
+    .optional()
+    .default(20),
+
+  // Filtros
+  productId: z
+    .string()
+    .regex(/^\d+$/, 'El ID del producto debe ser un número')
+    .transform(Number)
+    .optional(),
+
+  type: z
+    .enum(['ORDER_SALE', 'MANUAL_ADJUSTMENT', 'RESTOCK', 'TRANSFER', 'SPOILAGE'], {
+      errorMap: () => ({ message: 'El tipo debe ser uno de: ORDER_SALE, MANUAL_ADJUSTMENT, RESTOCK, TRANSFER, SPOILAGE' })
+    })
+    .optional(),
+
+  userId: z
+    .string()
+    .regex(/^\d+$/, 'El ID del empleado debe ser un número')
+    .transform(Number)
+    .optional(),
+
+  dateFrom: z
+    .string()
+    .datetime('Formato de fecha inválido para dateFrom')
+    .optional(),
+
+  dateTo: z
+    .string()
+    .datetime('Formato de fecha inválido para dateTo')
+    .optional()
+}).refine(data => {
+  if (data.dateFrom && data.dateTo) {
+    return new Date(data.dateFrom) <= new Date(data.dateTo);
+  }
+  return true;
+}, {
+  message: 'dateFrom debe ser anterior o igual a dateTo',
+  path: ['dateFrom']
+});
+
+module.exports = {
+  createInventoryMovementSchema,
+  updateProductStockSettingsSchema,
+  inventoryProductParamsSchema,
+  inventoryMovementsQuerySchema
+};
@@ -0,0 +1,260 @@
+const { z } = require('zod');
+
+// Límites de un archivo de menú; todo el import se aplica en una sola transacción
+const MENU_IMPORT_LIMITS = {
+  subcategories: 200,
+  modifierGroups: 200,
+  optionsPerGroup: 50,
+  products: 2000
+};
+
+const optionalId = z
+  .number({ message: 'El ID debe ser un número' })
+  .int({ message: 'El ID debe ser un número entero' })
+  .min(1, 'El ID debe ser mayor que 0')
+  .optional();
+
+/**
+ * Esquema de una subcategoría del archivo de menú
+ */
+const menuSubcategorySchema = z.object({
+  id: optionalId,
+  category: z
+    .string({ message: 'La categoría debe ser un texto' })
+    .trim()
+    .min(1, 'La categoría es requerida'),
+  name: z
+    .string({ message: 'El nombre debe ser un texto' })
+    .trim()
+    .min(1, 'El nombre no puede estar vacío')
+    .max(100, 'El nombre debe tener máximo 100 caracteres'),
+  displayOrder: z
+    .number({ message: 'El orden de visualización debe ser un número' })
+    .int({ message: 'El orden de visualización debe ser un número entero' })
+    .min(0, 'El orden de visualización debe ser mayor o igual a 0')
+    .optional(),
+  isActive: z
+    .boolean({ message: 'isActive debe ser un valor booleano' })
+    .optional()
+}).strict();
+
+/**
+ * Esquema de una opción de modificador del archivo de menú
+ */
+const menuModifierOptionSchema = z.object({
+  id: optionalId,
+  name: z
+    .string({ message: 'El nombre debe ser un texto' })
+    .trim()
+    .min(1, 'El nombre no puede estar vacío')
+    .max(100, 'El nombre debe tener máximo 100 caracteres'),
+  price: z
+    .number({ message: 'El precio debe ser un número' })
+    .min(0, 'El precio debe ser mayor o igual a 0')
+}).strict();
+
+/**
+ * Esquema de un grupo de modificadores del archivo de menú
+ */
+const menuModifierGroupSchema = z.object({
+  id: optionalId,
+  name: z
+    .string({ message: 'El nombre debe ser un texto' })
+    .trim()
+    .min(1, 'El nombre no puede estar vacío')
+    .max(100, 'El nombre debe tener máximo 100 caracteres'),
+  minSelection: z
+    .number({ message: 'La selección mínima debe ser un número' })
+    .int({ message: 'La selección mínima debe ser un número entero' })
+    .min(0, 'La selección mínima debe ser mayor o igual a 0')
+    .max(10, 'La selección mínima debe ser menor o igual a 10')
+    .optional(),
+  maxSelection: z
+    .number({ message: 'La selección máxima debe ser un número' })
+    .int({ message: 'La selección máxima debe ser un número entero' })
+    .min(1, 'La selección máxima debe ser mayor o igual a 1')
+    .max(10, 'La selección máxima debe ser menor o igual a 10')
+    .optional(),
+  options: z
+    .array(z.any(), { message: 'options debe ser una lista' })
+    .max(MENU_IMPORT_LIMITS.optionsPerGroup, `Un grupo no puede tener más de ${MENU_IMPORT_LIMITS.optionsPerGroup} opciones`)
+    .optional()
+    .default([])
+}).strict();
+
+/**
+ * Esquema de un producto del archivo de menú
+ */
+const menuProductSchema = z.object({
+  id: optionalId,
+  category: z
+    .string({ message: 'La categoría debe ser un texto' })
+    .trim()
+    .min(1, 'La categoría es requerida'),
+  subcategory: z
+    .string({ message: 'La subcategoría debe ser un texto' })
+    .trim()
+    .min(1, 'La subcategoría es requerida'),
+  name: z
+    .string({ message: 'El nombre debe ser un texto' })
+    .trim()
+    .min(1, 'El nombre no puede estar vacío')
+    .max(150, 'El nombre debe tener máximo 150 caracteres'),
+  description: z
+    .string({ message: 'La descripción debe ser un texto' })
+    .trim()
+    .max(1000, 'La descripción no puede exceder 1000 caracteres')
+    .nullable()
+    .optional(),
+  imageUrl: z
+    .string({ message: 'La URL de la imagen debe ser un texto' })
+    .trim()
+    .url({ message: 'La URL de la imagen no es válida' })
+    .max(255, 'La URL de la imagen no puede exceder 255 caracteres')
+    .nullable()
+    .optional(),
+  price: z
+    .number({ message: 'El precio debe ser un número' })
+    .min(0.01, 'El precio debe ser mayor que cero'),
+  isAvailable: z
+    .boolean({ message: 'isAvailable debe ser un valor booleano' })
+    .optional(),
+  trackStock: z
+    .boolean({ message: 'trackStock debe ser un valor booleano' })
+    .optional(),
+  tags: z
+    .string({ message: 'Las etiquetas deben ser un texto' })
+    .trim()
+    .max(1000, 'Las etiquetas no pueden exceder 1000 caracteres')
+    .nullable()
+    .optional(),
+  modifierGroups: z
+    .array(
+      z.string({ message: 'Cada grupo de modificadores debe ser un nombre' }).trim().min(1),
+      { message: 'modifierGroups debe ser una lista de nombres de grupo' }
+    )
+    .optional()
+    .default([])
+}).strict();
+
+/**
+ * Esquema del cuerpo de la importación de menú
+ * El menú llega como objeto (format json) o como el contenido de un CSV (format csv).
+ */
+const importMenuSchema = z.object({
+  format: z.enum(['json', 'csv'], {
+    message: 'El formato debe ser json o csv'
+  }),
+  menu: z
+    .object({
+      subcategories: z
+        .array(z.any(), { message: 'subcategories debe ser una lista' })
+        .max(MENU_IMPORT_LIMITS.subcategories, `El menú no puede tener más de ${MENU_IMPORT_LIMITS.subcategories} subcategorías`)
+        .optional()
+        .default([]),
+      modifierGroups: z
+        .array(z.any(), { message: 'modifierGroups debe ser una lista' })
+        .max(MENU_IMPORT_LIMITS.modifierGroups, `El menú no puede tener más de ${MENU_IMPORT_LIMITS.modifierGroups} grupos de modificadores`)
+        .optional()
+        .default([]),
+      products: z
+        .array(z.any(), { message: 'products debe ser una lista' })
+        .max(MENU_IMPORT_LIMITS.products, `El menú no puede tener más de ${MENU_IMPORT_LIMITS.products} productos`)
+        .optional()
+        .default([])
+    }, { message: 'menu debe ser un objeto' })
+    .passthrough()
+    .optional(),
+  content: z
+    .string({ message: 'content debe ser el texto del archivo CSV' })
+    .min(1, 'El archivo CSV está vacío')
+    .optional(),
+  deactivateMissing: z
+    .boolean({ message: 'deactivateMissing debe ser un valor booleano' })
+    .optional()
+    .default(true)
+}).strict()
+  .refine(data => data.format !== 'json' || data.menu !== undefined, {
+    message: 'El formato json requiere el objeto menu',
+    path: ['menu']
+  })
+  .refine(data => data.format !== 'csv' || data.content !== undefined, {
+    message: 'El formato csv requiere el contenido del archivo en content',
+    path: ['content']
+  });
+
+/**
+ * Esquema de query parameters de la exportación de menú
+ */
+const exportMenuQuerySchema = z.object({
+  format: z
+    .enum(['json', 'csv'], {
+      message: 'El formato debe ser json o csv'
+    })
+    .optional()
+    .default('json')
+});
+
+/**
+ * Hora "HH:MM" u "HH:MM:SS" en hora local del restaurante; se guarda como "HH:MM"
+ * @param {string} label - Nombre del campo para los mensajes
+ */
+const windowTime = (label) => z
+  .string({ message: `${label} debe ser un texto` })
+  .regex(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/, `${label} debe tener el formato HH:MM`)
+  .transform((value) => value.slice(0, 5));
+
+/**
+ * Esquema de una ventana de disponibilidad (días de la semana y rango de horas)
+ * Un rango cuyo fin es anterior a su inicio cruza la medianoche (ej. 22:00 a 02:00).
+ */
+const availabilityWindowSchema = z.object({
+  daysOfWeek: z
+    .array(
+      z.number({ message: 'Cada día debe ser un número' })
+        .int({ message: 'Cada día debe ser un número entero' })
+        .min(0, 'Los días van de 0 (domingo) a 6 (sábado)')
+        .max(6, 'Los días van de 0 (domingo) a 6 (sábado)'),
+      { message: 'daysOfWeek debe ser una lista de días' }
+    )
+    .min(1, 'La ventana debe incluir al menos un día')
+    .max(7, 'La ventana no puede tener más de 7 días'),
+  startTime: windowTime('La hora de inicio'),
+  endTime: windowTime('La hora de fin')
+}).strict()
+  .refine(data => data.startTime !== data.endTime, {
+    message: 'La hora de inicio y la de fin no pueden ser iguales',
+    path: ['endTime']
+  });
+
+/**
+ * Esquema para reemplazar las ventanas de disponibilidad de una subcategoría o producto
+ * Una lista vacía quita las ventanas: el elemento queda disponible en todo el horario del restaurante.
+ */
+const setAvailabilityWindowsSchema = z.object({
+  windows: z
+    .array(availabilityWindowSchema, { message: 'windows debe ser una lista' })
+    .max(20, 'No se pueden definir más de 20 ventanas')
+}).strict();
+
+/**
+ * Esquema de query parameters de la vista previa del menú a una hora
+ */
+const menuPreviewQuerySchema = z.object({
+  at: z
+    .string()
+    .datetime({ offset: true, message: 'Formato de fecha inválido para at' })
+    .optional()
+});
+
+module.exports = {
+  MENU_IMPORT_LIMITS,
+  menuSubcategorySchema,
+  menuModifierGroupSchema,
+  menuModifierOptionSchema,
+  menuProductSchema,
+  importMenuSchema,
+  exportMenuQuerySchema,
+  setAvailabilityWindowsSchema,
+  menuPreviewQuerySchema
+};
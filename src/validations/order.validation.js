@@ -36,8 +36,15 @@ const orderQuerySchema = z.object({
     .datetime({ message: "Formato de fecha inválido (YYYY-MM-DDTHH:mm:ssZ)" })
     .optional(),
 
+  scheduled: z
+    .enum(['true', 'false'], {
+      errorMap: () => ({ message: 'scheduled debe ser true o false' })
+    })
+    .transform(val => val === 'true')
+    .optional(),
+
   // Ordenamiento
-  sortBy: z.enum(['orderPlacedAt', 'total']).optional().default('orderPlacedAt'),
+  sortBy: z.enum(['orderPlacedAt', 'total', 'scheduledFor']).optional().default('orderPlacedAt'),
   
   sortOrder: z.enum(['asc', 'desc']).optional().default('desc'),
 
@@ -91,11 +98,31 @@ const updateOrderStatusSchema = z.object({
       return true;
     }, {
       message: "La razón de cancelación es obligatoria y debe tener al menos 10 caracteres cuando el estado es 'cancelled'"
+    }),
+  // Código que muestra el cliente al recoger un pedido para recoger (requerido para marcarlo como entregado)
+  pickupCode: z.string({
+    invalid_type_error: "El código de recogida debe ser un texto"
+  })
+    .trim()
+    .regex(/^\d{6}$/, "El código de recogida debe tener 6 dígitos")
+    .optional()
+});
+
+/**
+ * Esquema de validación para el cuerpo de la petición del endpoint POST /api/customer/orders/:orderId/tip
+ */
+const addTipSchema = z.object({
+  amount: z
+    .number({
+      required_error: "El monto de la propina es requerido",
+      invalid_type_error: "El monto de la propina debe ser un número"
     })
+    .positive('El monto de la propina debe ser mayor a 0')
 });
 
 module.exports = {
   orderQuerySchema,
   orderParamsSchema,
-  updateOrderStatusSchema
+  updateOrderStatusSchema,
+  addTipSchema
 };
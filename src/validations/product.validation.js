@@ -44,6 +44,11 @@ const createProductSchema = z.object({
     .optional()
     .default(true),
 
+  trackStock: z
+    .boolean({ invalid_type_error: 'trackStock debe ser un valor booleano' })
+    .optional()
+    .default(false),
+
   modifierGroupIds: z
     .array(
       z.number({ invalid_type_error: 'Los IDs de grupos de modificadores deben ser números' })
@@ -94,6 +99,10 @@ const updateProductSchema = z.object({
     .boolean({ invalid_type_error: 'isAvailable debe ser un valor booleano' })
     .optional(),
 
+  trackStock: z
+    .boolean({ invalid_type_error: 'trackStock debe ser un valor booleano' })
+    .optional(),
+
   modifierGroupIds: z
     .array(
       z.number({ invalid_type_error: 'Los IDs de grupos de modificadores deben ser números' })
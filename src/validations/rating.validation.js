@@ -0,0 +1,104 @@
+const { z } = require('zod');
+
+/**
+ * Esquema de validación para el cuerpo de la petición del endpoint POST /api/customer/orders/:orderId/rating
+ */
+const createRatingSchema = z.object({
+  restaurantScore: z
+    .number({
+      required_error: "La calificación del restaurante es requerida",
+      invalid_type_error: "La calificación del restaurante debe ser un número"
+    })
+    .int('La calificación del restaurante debe ser un número entero')
+    .min(1, 'La calificación del restaurante debe ser al menos 1')
+    .max(5, 'La calificación del restaurante no puede ser mayor a 5'),
+
+  driverScore: z
+    .number({
+      invalid_type_error: "La calificación del repartidor debe ser un número"
+    })
+    .int('La calificación del repartidor debe ser un número entero')
+    .min(1, 'La calificación del repartidor debe ser al menos 1')
+    .max(5, 'La calificación del repartidor no puede ser mayor a 5')
+    .optional(),
+
+  comment: z
+    .string({
+      invalid_type_error: "El comentario debe ser un texto"
+    })
+    .trim()
+    .max(1000, 'El comentario no puede exceder 1000 caracteres')
+    .optional()
+});
+
+/**
+ * Esquema de validación para parámetros de ruta de endpoints de reseñas
+ */
+const ratingParamsSchema = z.object({
+  ratingId: z.string().regex(/^\d+$/, 'El ID de la reseña debe ser un número válido').transform(Number)
+});
+
+/**
+ * Esquema de validación para el cuerpo de la petición de los endpoints de reporte de reseñas
+ */
+const reportRatingSchema = z.object({
+  reason: z
+    .string({
+      required_error: "El motivo del reporte es requerido",
+      invalid_type_error: "El motivo del reporte debe ser un texto"
+    })
+    .trim()
+    .min(5, 'El motivo del reporte debe tener al menos 5 caracteres')
+    .max(255, 'El motivo del reporte no puede exceder 255 caracteres')
+});
+
+/**
+ * Esquema de validación para el cuerpo de la petición del endpoint PATCH /api/restaurant/ratings/:ratingId/reply
+ */
+const replyRatingSchema = z.object({
+  reply: z
+    .string({
+      required_error: "La respuesta es requerida",
+      invalid_type_error: "La respuesta debe ser un texto"
+    })
+    .trim()
+    .min(1, 'La respuesta no puede estar vacía')
+    .max(1000, 'La respuesta no puede exceder 1000 caracteres')
+});
+
+/**
+ * Esquema de validación para query parameters del listado de reseñas del restaurante
+ */
+const ratingsQuerySchema = z.object({
+  // Paginación
+  page: z
+    .string()
+    .regex(/^\d+$/, 'La página debe ser un número')
+    .transform(Number)
+    .refine(val => val > 0, 'La página debe ser mayor a 0')
+    .optional()
+    .default(1),
+
+  pageSize: z
+    .string()
+    .regex(/^\d+$/, 'El tamaño de página debe ser un número')
+    .transform(Number)
+    .refine(val => val > 0, 'El tamaño de página debe ser mayor a 0')
+    .refine(val => val <= 50, 'El tamaño de página no puede ser mayor a 50')
+    .optional()
+    .default(10),
+
+  // Filtros
+  hasReply: z
+    .enum(['true', 'false'])
+    .transform(val => val === 'true')
+    .optional()
+});
+
+module.exports = {
+  createRatingSchema,
+  ratingParamsSchema,
+  reportRatingSchema,
+  replyRatingSchema,
+  ratingsQuerySchema
+};
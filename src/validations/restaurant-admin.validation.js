@@ -144,8 +144,155 @@ const metricsQuerySchema = z.object({
   path: ["dateFrom"]
 });
 
+/**
+ * Esquema de validación para la aceptación de pedidos del restaurante
+ */
+const updateOrderAcceptanceSchema = z.object({
+  autoAcceptOrders: z
+    .boolean({
+      invalid_type_error: 'autoAcceptOrders debe ser verdadero o falso'
+    })
+    .optional(),
+
+  acceptingOrders: z
+    .boolean({
+      invalid_type_error: 'acceptingOrders debe ser verdadero o falso'
+    })
+    .optional()
+}).strict().refine(
+  data => data.autoAcceptOrders !== undefined || data.acceptingOrders !== undefined,
+  { message: 'Debe enviar autoAcceptOrders o acceptingOrders' }
+);
+
+// Duración máxima de una excepción al horario (un año)
+const SCHEDULE_EXCEPTION_MAX_DAYS = 366;
+
+/**
+ * Fecha de calendario "YYYY-MM-DD" (hora local de México)
+ * @param {string} label - Nombre del campo para los mensajes
+ */
+const exceptionDate = (label) => z
+  .string({ message: `${label} debe ser un texto` })
+  .regex(/^\d{4}-\d{2}-\d{2}$/, `${label} debe tener el formato YYYY-MM-DD`)
+  .refine(
+    value => new Date(`${value}T00:00:00.000Z`).toISOString().slice(0, 10) === value,
+    `${label} no es una fecha válida`
+  );
+
+/**
+ * Hora "HH:MM" o "HH:MM:SS"; se guarda como "HH:MM"
+ * @param {string} label - Nombre del campo para los mensajes
+ */
+const exceptionTime = (label) => z
+  .string({ message: `${label} debe ser un texto` })
+  .regex(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/, `${label} debe tener el formato HH:MM`)
+  .transform((value) => value.slice(0, 5));
+
+/**
+ * Días que cubre un rango de fechas inclusivo
+ * @param {string} startDate - Fecha inicial YYYY-MM-DD
+ * @param {string} endDate - Fecha final YYYY-MM-DD
+ * @returns {number} Número de días
+ */
+const daysInRange = (startDate, endDate) =>
+  Math.round((Date.parse(endDate) - Date.parse(startDate)) / (24 * 60 * 60 * 1000)) + 1;
+
+/**
+ * Esquema de validación para crear una excepción al horario semanal
+ * Un cierre (isClosed, por defecto) no lleva horario; un horario especial requiere openTime y closeTime.
+ * Un horario cuyo cierre es anterior a su apertura cruza la medianoche (ej. 20:00 a 02:00).
+ */
+const createScheduleExceptionSchema = z.object({
+  startDate: exceptionDate('La fecha inicial'),
+  endDate: exceptionDate('La fecha final').optional(),
+
+  isClosed: z
+    .boolean({ message: 'isClosed debe ser verdadero o falso' })
+    .default(true),
+
+  openTime: exceptionTime('La hora de apertura').optional(),
+  closeTime: exceptionTime('La hora de cierre').optional(),
+
+  reason: z
+    .string({ message: 'El motivo debe ser un texto' })
+    .trim()
+    .max(255, 'El motivo no puede exceder 255 caracteres')
+    .optional()
+}).strict()
+  .refine(data => !data.endDate || data.endDate >= data.startDate, {
+    message: 'La fecha final no puede ser anterior a la inicial',
+    path: ['endDate']
+  })
+  .refine(data => !data.endDate || daysInRange(data.startDate, data.endDate) <= SCHEDULE_EXCEPTION_MAX_DAYS, {
+    message: `Una excepción no puede durar más de ${SCHEDULE_EXCEPTION_MAX_DAYS} días`,
+    path: ['endDate']
+  })
+  .refine(data => !data.isClosed || (data.openTime === undefined && data.closeTime === undefined), {
+    message: 'Un cierre no lleva horario; envía isClosed: false para un horario especial',
+    path: ['isClosed']
+  })
+  .refine(data => data.isClosed || (data.openTime !== undefined && data.closeTime !== undefined), {
+    message: 'Un horario especial requiere openTime y closeTime',
+    path: ['openTime']
+  })
+  .refine(data => data.isClosed || data.openTime !== data.closeTime, {
+    message: 'La hora de apertura y la de cierre no pueden ser iguales',
+    path: ['closeTime']
+  });
+
+/**
+ * Esquema de validación para actualizar una excepción al horario
+ * Las reglas entre campos se validan en el servicio contra la excepción ya guardada.
+ */
+const updateScheduleExceptionSchema = z.object({
+  startDate: exceptionDate('La fecha inicial').optional(),
+  endDate: exceptionDate('La fecha final').optional(),
+
+  isClosed: z
+    .boolean({ message: 'isClosed debe ser verdadero o falso' })
+    .optional(),
+
+  openTime: exceptionTime('La hora de apertura').nullable().optional(),
+  closeTime: exceptionTime('La hora de cierre').nullable().optional(),
+
+  reason: z
+    .string({ message: 'El motivo debe ser un texto' })
+    .trim()
+    .max(255, 'El motivo no puede exceder 255 caracteres')
+    .nullable()
+    .optional()
+}).strict().refine(
+  data => Object.keys(data).length > 0,
+  { message: 'Debe enviar al menos un campo para actualizar' }
+);
+
+/**
+ * Esquema de validación para parámetros de ruta de una excepción al horario
+ */
+const scheduleExceptionParamsSchema = z.object({
+  exceptionId: z.string().regex(/^\d+$/, 'El ID de la excepción debe ser un número válido').transform(Number)
+});
+
+/**
+ * Esquema de validación para query parameters del listado de excepciones al horario
+ */
+const scheduleExceptionsQuerySchema = z.object({
+  // Por defecto, desde hoy (las excepciones que ya terminaron no se listan)
+  from: exceptionDate('from').optional(),
+  to: exceptionDate('to').optional()
+}).refine(data => !data.from || !data.to || data.from <= data.to, {
+  message: 'from no puede ser posterior a to',
+  path: ['to']
+});
+
 module.exports = {
   updateProfileSchema,
   updateLocationSchema,
-  metricsQuerySchema
+  metricsQuerySchema,
+  updateOrderAcceptanceSchema,
+  SCHEDULE_EXCEPTION_MAX_DAYS,
+  createScheduleExceptionSchema,
+  updateScheduleExceptionSchema,
+  scheduleExceptionParamsSchema,
+  scheduleExceptionsQuerySchema
 };
@@ -18,6 +18,11 @@ const DASHBOARD_EVENTS = {
   NEW_ORDER_PENDING: 'NEW_ORDER_PENDING',
   ORDER_STATUS_CHANGED: 'ORDER_STATUS_CHANGED',
   ORDER_CANCELLED: 'ORDER_CANCELLED',
+  ORDER_ACCEPTANCE_REMINDER: 'ORDER_ACCEPTANCE_REMINDER',
+  
+  // Inventario
+  PRODUCT_LOW_STOCK: 'PRODUCT_LOW_STOCK',
+  PRODUCT_OUT_OF_STOCK: 'PRODUCT_OUT_OF_STOCK',
   
   // Finanzas
   PAYMENT_RECEIVED: 'PAYMENT_RECEIVED',
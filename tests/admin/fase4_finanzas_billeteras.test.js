@@ -1,6 +1,8 @@
 const request = require('supertest');
 const { PrismaClient } = require('@prisma/client');
 
+const RefundService = require('../../src/services/refund.service');
+
 const prisma = new PrismaClient();
 
 // Configuración para Render
@@ -403,4 +405,453 @@ describe('FASE 4: Finanzas y Billeteras - Tests', () => {
       expect(response.body.data.pagination.pageSize).toBe(5);
     });
   });
+
+  describe('8. POST /orders/:id/refunds - Crear Reembolso de Orden', () => {
+    test('Debe rechazar reembolso parcial sin artículos ni monto', async () => {
+      if (!testOrderId) {
+        console.log('⚠️ No hay orden disponible para testing');
+        return;
+      }
+
+      const response = await request(BASE_URL)
+        .post(`/api/admin/orders/${testOrderId}/refunds`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ type: 'partial', reason: 'MISSING_ITEMS' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.status).toBe('error');
+      expect(response.body.message).toBe('Datos de entrada inválidos');
+    });
+
+    test('Debe rechazar reembolso total con monto', async () => {
+      if (!testOrderId) {
+        console.log('⚠️ No hay orden disponible para testing');
+        return;
+      }
+
+      const response = await request(BASE_URL)
+        .post(`/api/admin/orders/${testOrderId}/refunds`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ type: 'full', reason: 'ORDER_NOT_DELIVERED', amount: 50 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.status).toBe('error');
+    });
+
+    test('Debe devolver 404 para orden inexistente', async () => {
+      const response = await request(BASE_URL)
+        .post('/api/admin/orders/999999999/refunds')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ type: 'full', reason: 'ORDER_NOT_DELIVERED' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('ORDER_NOT_FOUND');
+    });
+
+    test('Debe obtener los reembolsos de una orden', async () => {
+      if (!testOrderId) {
+        console.log('⚠️ No hay orden disponible para testing');
+        return;
+      }
+
+      const response = await request(BASE_URL)
+        .get(`/api/admin/orders/${testOrderId}/refunds`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('success');
+      expect(response.body.data.order).toBeDefined();
+      expect(Array.isArray(response.body.data.refunds)).toBe(true);
+    });
+
+    test('Debe rechazar un reembolso parcial mayor a lo pagado en una orden con cupón', async () => {
+      const couponOrder = await prisma.order.findFirst({
+        where: {
+          discountAmount: { gt: 0 },
+          paymentStatus: 'completed',
+          refundedAmount: 0,
+          coupon: { discountType: { not: 'free_delivery' } }
+        },
+        select: { id: true, subtotal: true }
+      });
+      if (!couponOrder) {
+        console.log('⚠️ No hay orden con cupón disponible para testing');
+        return;
+      }
+
+      // El subtotal completo excede lo pagado por productos (subtotal menos el descuento)
+      const response = await request(BASE_URL)
+        .post(`/api/admin/orders/${couponOrder.id}/refunds`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ type: 'partial', reason: 'MISSING_ITEMS', amount: Number(couponOrder.subtotal) });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('REFUND_AMOUNT_EXCEEDED');
+    });
+
+    test('Debe informar como reembolsable parcial solo lo pagado por productos en una orden con cupón', async () => {
+      const couponOrder = await prisma.order.findFirst({
+        where: {
+          discountAmount: { gt: 0 },
+          paymentStatus: 'completed',
+          refundedAmount: 0,
+          coupon: { discountType: { not: 'free_delivery' } }
+        },
+        select: { id: true, subtotal: true, discountAmount: true }
+      });
+      if (!couponOrder) {
+        console.log('⚠️ No hay orden con cupón disponible para testing');
+        return;
+      }
+
+      const response = await request(BASE_URL)
+        .get(`/api/admin/orders/${couponOrder.id}/refunds`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.order.remainingPartialRefundable)
+        .toBeCloseTo(Math.max(Number(couponOrder.subtotal) - Number(couponOrder.discountAmount), 0), 2);
+    });
+
+    test('Debe calcular el reembolso de una orden con cupón sobre el monto pagado', () => {
+      // subtotal 200 - cupón 150 + envío 25 + servicio 10 + propina 5 = 90
+      const couponOrder = {
+        total: 90,
+        subtotal: 200,
+        discountAmount: 150,
+        coupon: { discountType: 'fixed_amount' },
+        refundedAmount: 0,
+        tipAmount: 5,
+        platformFee: 10,
+        commissionRateSnapshot: 10,
+        restaurantPayout: 30,
+        driverFeeNet: 20,
+        orderItems: [{ id: 1n, quantity: 2, pricePerUnit: 100, refundItems: [] }],
+        restaurantWalletTransactions: [{ id: 1 }],
+        driverWalletTransactions: [{ id: 1 }]
+      };
+
+      expect(() => RefundService.calculateRefund(couponOrder, { type: 'partial', amount: 200 }))
+        .toThrow(expect.objectContaining({ code: 'REFUND_AMOUNT_EXCEEDED' }));
+
+      const partial = RefundService.calculateRefund(couponOrder, {
+        type: 'partial',
+        items: [{ orderItemId: 1, quantity: 1 }]
+      });
+      expect(partial.amount).toBe(25);
+      expect(partial.restaurantDebit).toBe(15);
+      expect(partial.platformFeeReversed).toBe(10);
+
+      // Tras el parcial, el total devuelve el resto de lo cobrado y la cuota de servicio una sola vez
+      const full = RefundService.calculateRefund({ ...couponOrder, refundedAmount: 25 }, { type: 'full' });
+      expect(full.amount).toBe(65);
+      expect(full.restaurantDebit).toBe(15);
+      expect(full.platformFeeReversed).toBe(20);
+      expect(full.driverDebit).toBe(25);
+    });
+
+    test('Debe revertir la comisión sobre la venta neta del cupón financiado por el restaurante', () => {
+      // subtotal 200 - cupón del restaurante 50 + envío 25 + servicio 10 + propina 5 = 190; comisión 10% de 150
+      const couponOrder = {
+        total: 190,
+        subtotal: 200,
+        discountAmount: 50,
+        discountFundedBy: 'restaurant',
+        coupon: { discountType: 'fixed_amount' },
+        refundedAmount: 0,
+        tipAmount: 5,
+        platformFee: 10,
+        commissionRateSnapshot: 10,
+        restaurantPayout: 135,
+        driverFeeNet: 20,
+        orderItems: [{ id: 1n, quantity: 2, pricePerUnit: 100, refundItems: [] }],
+        restaurantWalletTransactions: [{ id: 1 }],
+        driverWalletTransactions: [{ id: 1 }]
+      };
+
+      const partial = RefundService.calculateRefund(couponOrder, {
+        type: 'partial',
+        items: [{ orderItemId: 1, quantity: 1 }]
+      });
+      expect(partial.amount).toBe(75);
+      expect(partial.restaurantDebit).toBe(67.5);
+      expect(partial.platformFeeReversed).toBe(7.5);
+
+      const full = RefundService.calculateRefund(couponOrder, { type: 'full' });
+      expect(full.amount).toBe(190);
+      expect(full.restaurantDebit).toBe(135);
+      expect(full.platformFeeReversed).toBe(25);
+    });
+  });
+
+  describe('9. /coupons - Gestión de Cupones', () => {
+    test('Debe rechazar cupón porcentual sin valor de descuento', async () => {
+      const response = await request(BASE_URL)
+        .post('/api/admin/coupons')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ code: 'TEST10', discountType: 'percentage' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.status).toBe('error');
+      expect(response.body.message).toBe('Datos de entrada inválidos');
+    });
+
+    test('Debe rechazar cupón financiado por restaurante sin restaurantId', async () => {
+      const response = await request(BASE_URL)
+        .post('/api/admin/coupons')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ code: 'TEST10', discountType: 'fixed_amount', discountValue: 30, fundedBy: 'restaurant' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.status).toBe('error');
+    });
+
+    test('Debe listar cupones con paginación', async () => {
+      const response = await request(BASE_URL)
+        .get('/api/admin/coupons?page=1&pageSize=5')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('success');
+      expect(Array.isArray(response.body.data.coupons)).toBe(true);
+      expect(response.body.data.pagination).toBeDefined();
+    });
+
+    test('Debe devolver 404 al actualizar un cupón inexistente', async () => {
+      const response = await request(BASE_URL)
+        .patch('/api/admin/coupons/999999999')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ isActive: false });
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('COUPON_NOT_FOUND');
+    });
+  });
+
+  describe('10. /webhook-events - Eventos de Webhooks de Pago', () => {
+    test('Debe listar eventos de webhook con paginación', async () => {
+      const response = await request(BASE_URL)
+        .get('/api/admin/webhook-events?status=failed&page=1&pageSize=5')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('success');
+      expect(Array.isArray(response.body.data.events)).toBe(true);
+      expect(response.body.data.pagination.pageSize).toBe(5);
+    });
+
+    test('Debe rechazar un estado de evento inválido', async () => {
+      const response = await request(BASE_URL)
+        .get('/api/admin/webhook-events?status=unknown')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.status).toBe('error');
+    });
+
+    test('Debe devolver 404 para un evento inexistente', async () => {
+      const response = await request(BASE_URL)
+        .get('/api/admin/webhook-events/999999999')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('WEBHOOK_EVENT_NOT_FOUND');
+    });
+
+    test('Debe devolver 404 al reprocesar un evento inexistente', async () => {
+      const response = await request(BASE_URL)
+        .post('/api/admin/webhook-events/999999999/replay')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('WEBHOOK_EVENT_NOT_FOUND');
+    });
+  });
+
+  describe('11. /payments/reconciliation - Conciliación de Pagos', () => {
+    test('Debe listar reportes de conciliación con paginación', async () => {
+      const response = await request(BASE_URL)
+        .get('/api/admin/payments/reconciliation/reports?page=1&pageSize=5')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('success');
+      expect(Array.isArray(response.body.data.reports)).toBe(true);
+      expect(response.body.data.pagination.pageSize).toBe(5);
+    });
+
+    test('Debe rechazar una fecha de reporte inválida', async () => {
+      const response = await request(BASE_URL)
+        .get('/api/admin/payments/reconciliation/reports/04-11-2025')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('INVALID_REPORT_DATE');
+    });
+
+    test('Debe devolver 404 para un día sin reporte', async () => {
+      const response = await request(BASE_URL)
+        .get('/api/admin/payments/reconciliation/reports/2000-01-01')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('RECONCILIATION_REPORT_NOT_FOUND');
+    });
+
+    test('Debe ejecutar la conciliación de pagos pendientes', async () => {
+      const response = await request(BASE_URL)
+        .post('/api/admin/payments/reconciliation/run')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('success');
+      expect(response.body.data.summary).toBeDefined();
+    });
+  });
+
+  describe('12. Idempotency-Key - Reintentos de Ajustes de Billetera', () => {
+    test('Debe devolver la respuesta guardada al reintentar con la misma llave', async () => {
+      if (!testRestaurantId) {
+        console.log('⚠️ No hay restaurante disponible para testing');
+        return;
+      }
+
+      const idempotencyKey = `test-adjust-${Date.now()}`;
+      const adjustData = {
+        amount: 10,
+        description: 'Ajuste idempotente - Test'
+      };
+
+      const firstResponse = await request(BASE_URL)
+        .post(`/api/admin/wallets/restaurants/${testRestaurantId}/adjust`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .set('Idempotency-Key', idempotencyKey)
+        .send(adjustData);
+
+      const retryResponse = await request(BASE_URL)
+        .post(`/api/admin/wallets/restaurants/${testRestaurantId}/adjust`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .set('Idempotency-Key', idempotencyKey)
+        .send(adjustData);
+
+      expect(firstResponse.status).toBe(200);
+      expect(retryResponse.status).toBe(200);
+      expect(retryResponse.headers['idempotent-replayed']).toBe('true');
+      expect(retryResponse.body.data.transaction.id).toBe(firstResponse.body.data.transaction.id);
+      expect(retryResponse.body.data.wallet.balance).toBe(firstResponse.body.data.wallet.balance);
+    });
+
+    test('Debe rechazar una llave reutilizada con otro contenido', async () => {
+      if (!testRestaurantId) {
+        console.log('⚠️ No hay restaurante disponible para testing');
+        return;
+      }
+
+      const idempotencyKey = `test-adjust-reused-${Date.now()}`;
+
+      await request(BASE_URL)
+        .post(`/api/admin/wallets/restaurants/${testRestaurantId}/adjust`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .set('Idempotency-Key', idempotencyKey)
+        .send({ amount: 5, description: 'Ajuste idempotente - Test' });
+
+      const response = await request(BASE_URL)
+        .post(`/api/admin/wallets/restaurants/${testRestaurantId}/adjust`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .set('Idempotency-Key', idempotencyKey)
+        .send({ amount: 50, description: 'Ajuste idempotente - Test' });
+
+      expect(response.status).toBe(422);
+      expect(response.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    });
+  });
+
+  describe('13. GET /ledger/integrity - Integridad del Libro Contable', () => {
+    test('Debe reportar el resultado de la verificación del libro contable', async () => {
+      const response = await request(BASE_URL)
+        .get('/api/admin/ledger/integrity')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('success');
+      expect(typeof response.body.data.isConsistent).toBe('boolean');
+      expect(Array.isArray(response.body.data.walletDrift)).toBe(true);
+      expect(Array.isArray(response.body.data.unbalancedEntries)).toBe(true);
+      expect(response.body.data.summary.walletsChecked).toBeGreaterThanOrEqual(0);
+    });
+
+    test('Un ajuste de billetera no debe generar diferencias con el libro contable', async () => {
+      if (!testRestaurantId) {
+        console.log('⚠️ No hay restaurante disponible para testing');
+        return;
+      }
+
+      const adjustResponse = await request(BASE_URL)
+        .post(`/api/admin/wallets/restaurants/${testRestaurantId}/adjust`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ amount: 12.34, description: 'Ajuste libro contable - Test' });
+
+      expect(adjustResponse.status).toBe(200);
+
+      const response = await request(BASE_URL)
+        .get('/api/admin/ledger/integrity')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      const restaurantDrift = response.body.data.walletDrift.find(item =>
+        item.walletType === 'restaurant' && item.ownerId === testRestaurantId
+      );
+      expect(restaurantDrift).toBeUndefined();
+    });
+  });
+
+  describe('14. /payouts/batches - Lotes de Pago', () => {
+    test('Debe listar lotes de pago con paginación', async () => {
+      const response = await request(BASE_URL)
+        .get('/api/admin/payouts/batches')
+        .query({ payeeType: 'restaurant' })
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('success');
+      expect(Array.isArray(response.body.data.batches)).toBe(true);
+      expect(response.body.data.pagination).toBeDefined();
+    });
+
+    test('Debe rechazar un tipo de beneficiario inválido al crear un lote', async () => {
+      const response = await request(BASE_URL)
+        .post('/api/admin/payouts/batches')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ payeeType: 'customer' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.status).toBe('error');
+    });
+
+    test('Debe retornar 404 al exportar un lote inexistente', async () => {
+      const response = await request(BASE_URL)
+        .get('/api/admin/payouts/batches/999999/export')
+        .query({ format: 'spei' })
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('PAYOUT_BATCH_NOT_FOUND');
+    });
+
+    test('Debe exigir un motivo para retener los pagos de un restaurante', async () => {
+      if (!testRestaurantId) {
+        console.log('⚠️ No hay restaurante disponible para testing');
+        return;
+      }
+
+      const response = await request(BASE_URL)
+        .patch(`/api/admin/wallets/restaurants/${testRestaurantId}/payout-hold`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ hold: true });
+
+      expect(response.status).toBe(400);
+      expect(response.body.status).toBe('error');
+    });
+  });
 });
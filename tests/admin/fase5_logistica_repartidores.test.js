@@ -410,4 +410,178 @@ describe('FASE 5: Logística y Repartidores - Tests', () => {
       expect(response.body.status).toBe('error');
     });
   });
+
+  describe('7. Efectivo de Repartidores - Límite y Depósitos', () => {
+    test('Debe listar depósitos de efectivo pendientes', async () => {
+      const response = await request(BASE_URL)
+        .get('/api/admin/drivers/cash-deposits?status=pending')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('success');
+      expect(Array.isArray(response.body.data.deposits)).toBe(true);
+      expect(response.body.data.pagination).toBeDefined();
+      response.body.data.deposits.forEach(deposit => {
+        expect(deposit.status).toBe('pending');
+      });
+    });
+
+    test('Debe asignar y quitar el límite de efectivo de un repartidor', async () => {
+      if (!testDriverId) {
+        console.log('⚠️ No hay repartidor disponible para testing');
+        return;
+      }
+
+      const response = await request(BASE_URL)
+        .patch(`/api/admin/drivers/${testDriverId}/cash-limit`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ cashLimit: 1500 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.cashStatus.cashLimit).toBe(1500);
+      expect(response.body.data.cashStatus.limitSource).toBe('driver');
+
+      const resetResponse = await request(BASE_URL)
+        .patch(`/api/admin/drivers/${testDriverId}/cash-limit`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ cashLimit: null });
+
+      expect(resetResponse.status).toBe(200);
+      expect(resetResponse.body.data.cashStatus.limitSource).toBe('global');
+    });
+
+    test('Debe fallar con límite de efectivo negativo', async () => {
+      const response = await request(BASE_URL)
+        .patch(`/api/admin/drivers/${testDriverId || 1}/cash-limit`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ cashLimit: -100 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.status).toBe('error');
+    });
+
+    test('Debe fallar al confirmar un depósito inexistente', async () => {
+      const response = await request(BASE_URL)
+        .post('/api/admin/drivers/cash-deposits/99999/confirm')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('CASH_DEPOSIT_NOT_FOUND');
+    });
+  });
+
+  describe('8. Consola de Pedidos - Búsqueda e Intervención', () => {
+    test('Debe buscar pedidos con filtros y banderas', async () => {
+      const response = await request(BASE_URL)
+        .get('/api/admin/orders?stuck=true&pageSize=5')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(Array.isArray(response.body.data.orders)).toBe(true);
+      expect(response.body.data.pagination.pageSize).toBe(5);
+      response.body.data.orders.forEach(order => {
+        expect(order.flags.isStuck).toBe(true);
+      });
+    });
+
+    test('Debe obtener el detalle completo de un pedido', async () => {
+      if (!testOrderId) {
+        console.log('⚠️ No hay orden disponible para testing');
+        return;
+      }
+
+      const response = await request(BASE_URL)
+        .get(`/api/admin/orders/${testOrderId}`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.order.id).toBe(testOrderId.toString());
+      expect(Array.isArray(response.body.data.order.items)).toBe(true);
+      expect(Array.isArray(response.body.data.order.auditTrail)).toBe(true);
+    });
+
+    test('Debe agregar una nota interna y registrarla en la auditoría', async () => {
+      if (!testOrderId) {
+        console.log('⚠️ No hay orden disponible para testing');
+        return;
+      }
+
+      const response = await request(BASE_URL)
+        .post(`/api/admin/orders/${testOrderId}/notes`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ note: 'Nota de prueba de la consola de pedidos' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.note.note).toBe('Nota de prueba de la consola de pedidos');
+
+      const auditLog = await prisma.auditLog.findFirst({
+        where: { action: 'ADD_ORDER_NOTE', entity: 'ORDER', entityId: BigInt(testOrderId) },
+        orderBy: { createdAt: 'desc' }
+      });
+      expect(auditLog).toBeTruthy();
+    });
+
+    test('Debe fallar al cancelar sin motivo suficiente', async () => {
+      const response = await request(BASE_URL)
+        .post(`/api/admin/orders/${testOrderId || 1}/cancel`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ reason: 'corto' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.status).toBe('error');
+    });
+
+    test('Debe rechazar entregar un pedido desde el cambio de estado', async () => {
+      const response = await request(BASE_URL)
+        .patch(`/api/admin/orders/${testOrderId || 1}/status`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'delivered', reason: 'Prueba de validación', force: true });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('Debe fallar con pedido inexistente', async () => {
+      const response = await request(BASE_URL)
+        .get('/api/admin/orders/99999999')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('ORDER_NOT_FOUND');
+    });
+  });
+
+  describe('9. GET /orders/:id/timeline - Línea de Tiempo de Pedido', () => {
+    test('Debe obtener la línea de tiempo en orden cronológico', async () => {
+      if (!testOrderId) {
+        console.log('⚠️ No hay orden disponible para testing');
+        return;
+      }
+
+      const response = await request(BASE_URL)
+        .get(`/api/admin/orders/${testOrderId}/timeline`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.order.id).toBe(testOrderId.toString());
+      expect(response.body.data.events[0].type).toBe('order_placed');
+
+      const times = response.body.data.events.map(event => new Date(event.occurredAt).getTime());
+      expect(times).toEqual([...times].sort((a, b) => a - b));
+
+      const historyCount = await prisma.orderStatusHistory.count({
+        where: { orderId: BigInt(testOrderId) }
+      });
+      const statusEvents = response.body.data.events.filter(event => event.type === 'status_changed');
+      expect(statusEvents.length).toBe(historyCount);
+    });
+
+    test('Debe fallar con pedido inexistente', async () => {
+      const response = await request(BASE_URL)
+        .get('/api/admin/orders/99999999/timeline')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('ORDER_NOT_FOUND');
+    });
+  });
 });
@@ -0,0 +1,217 @@
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    order: { findFirst: jest.fn() },
+    restaurant: { findUnique: jest.fn() },
+    complaint: { findFirst: jest.fn(), findUnique: jest.fn(), create: jest.fn() },
+    notification: { createMany: jest.fn() },
+    $transaction: jest.fn()
+  }
+}));
+jest.mock('../../src/config/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../../src/config/socket', () => ({
+  getIo: jest.fn(() => ({ to: jest.fn(() => ({ emit: jest.fn() })) }))
+}));
+
+const { prisma } = require('../../src/config/database');
+const ComplaintRepository = require('../../src/repositories/complaint.repository');
+
+const CUSTOMER_ID = 1;
+const OWNER_ID = 20;
+
+const order = { id: 500n, restaurantId: 3, deliveryDriverId: 7 };
+
+/**
+ * Construye un ticket como lo devuelve Prisma con complaintSummaryInclude
+ * @param {Object} overrides - Campos a reemplazar
+ * @returns {Object} Ticket
+ */
+const buildComplaint = (overrides = {}) => ({
+  id: 40,
+  userId: CUSTOMER_ID,
+  orderId: 500n,
+  restaurantId: 3,
+  driverId: 7,
+  target: 'order',
+  status: 'pending',
+  subject: 'Pedido incompleto',
+  description: 'Faltó una bebida',
+  restaurant: { id: 3, name: 'Pizzería' },
+  order: { id: 500n, status: 'delivered', total: '250.00', orderPlacedAt: new Date() },
+  _count: { messages: 0 },
+  createdAt: new Date(),
+  updatedAt: new Date(),
+  ...overrides
+});
+
+/**
+ * Crea un cliente de transacción para agregar mensajes
+ * @returns {Object} Transacción simulada
+ */
+const createTx = () => ({
+  complaintMessage: {
+    create: jest.fn(async ({ data }) => ({ id: 90, ...data })),
+    findUnique: jest.fn(async () => ({
+      id: 90,
+      authorRole: 'customer',
+      body: 'Sigue sin llegar',
+      attachments: [],
+      createdAt: new Date()
+    }))
+  },
+  complaintAttachment: { create: jest.fn() },
+  complaint: { update: jest.fn() }
+});
+
+describe('ComplaintRepository - Quejas de clientes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.restaurant.findUnique.mockResolvedValue({ id: 3, ownerId: OWNER_ID });
+  });
+
+  describe('1. createComplaint', () => {
+    test('Debe rechazar un pedido que no es del cliente', async () => {
+      prisma.order.findFirst.mockResolvedValue(null);
+
+      await expect(ComplaintRepository.createComplaint(CUSTOMER_ID, { target: 'order', orderId: 500n }))
+        .rejects.toMatchObject({ status: 404, code: 'ORDER_NOT_FOUND' });
+    });
+
+    test('Una queja contra el repartidor requiere que el pedido tenga repartidor', async () => {
+      prisma.order.findFirst.mockResolvedValue({ ...order, deliveryDriverId: null });
+
+      await expect(ComplaintRepository.createComplaint(CUSTOMER_ID, { target: 'driver', orderId: 500n }))
+        .rejects.toMatchObject({ status: 400, code: 'ORDER_HAS_NO_DRIVER' });
+    });
+
+    test('Debe rechazar una segunda queja abierta del mismo pedido y motivo', async () => {
+      prisma.order.findFirst.mockResolvedValue(order);
+      prisma.complaint.findFirst.mockResolvedValue({ id: 40 });
+
+      await expect(ComplaintRepository.createComplaint(CUSTOMER_ID, { target: 'order', orderId: 500n }))
+        .rejects.toMatchObject({ status: 409, code: 'COMPLAINT_ALREADY_OPEN', details: { complaintId: 40 } });
+      expect(prisma.complaint.create).not.toHaveBeenCalled();
+    });
+
+    test('Una queja del pedido involucra a su restaurante y su repartidor y notifica al dueño', async () => {
+      prisma.order.findFirst.mockResolvedValue(order);
+      prisma.complaint.findFirst.mockResolvedValue(null);
+      prisma.complaint.create.mockResolvedValue(buildComplaint());
+
+      const result = await ComplaintRepository.createComplaint(CUSTOMER_ID, {
+        target: 'order',
+        orderId: 500n,
+        subject: 'Pedido incompleto',
+        description: 'Faltó una bebida'
+      });
+
+      expect(prisma.complaint.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ userId: CUSTOMER_ID, orderId: 500n, restaurantId: 3, driverId: 7, target: 'order' })
+      }));
+      // El cliente que abre la queja no se notifica a sí mismo
+      expect(prisma.notification.createMany).toHaveBeenCalledWith({
+        data: [expect.objectContaining({ userId: OWNER_ID, type: 'COMPLAINT_UPDATE' })]
+      });
+      expect(result).toEqual(expect.objectContaining({
+        id: 40,
+        status: 'pending',
+        order: expect.objectContaining({ id: '500', total: 250 })
+      }));
+    });
+
+    test('Una queja contra un restaurante sin pedido valida que el restaurante exista', async () => {
+      prisma.restaurant.findUnique.mockResolvedValue(null);
+
+      await expect(ComplaintRepository.createComplaint(CUSTOMER_ID, { target: 'restaurant', restaurantId: 99 }))
+        .rejects.toMatchObject({ status: 404, code: 'RESTAURANT_NOT_FOUND' });
+    });
+  });
+
+  describe('2. getComplaintDetail - acceso por participante', () => {
+    const detail = buildComplaint({
+      messages: [{
+        id: 1,
+        authorRole: 'support',
+        body: 'Revisamos tu caso',
+        sender: { id: 2, name: 'Laura', lastname: 'Pérez' },
+        attachments: [],
+        createdAt: new Date()
+      }],
+      attachments: []
+    });
+
+    test.each([
+      ['el cliente que la abrió', { userId: CUSTOMER_ID, role: 'customer' }],
+      ['el restaurante involucrado', { userId: OWNER_ID, role: 'restaurant', restaurantId: 3 }],
+      ['soporte', { userId: 2, role: 'support' }]
+    ])('Debe permitir el acceso a %s', async (_, viewer) => {
+      prisma.complaint.findFirst.mockResolvedValue(detail);
+
+      const result = await ComplaintRepository.getComplaintDetail(40, viewer);
+
+      expect(result.id).toBe(40);
+      // Los mensajes de soporte no exponen el nombre del agente
+      expect(result.messages[0].sender.name).toBe('Soporte Delixmi');
+    });
+
+    test.each([
+      ['otro cliente', { userId: 5, role: 'customer' }],
+      ['otro restaurante', { userId: 30, role: 'restaurant', restaurantId: 4 }]
+    ])('Debe responder 404 a %s', async (_, viewer) => {
+      prisma.complaint.findFirst.mockResolvedValue(detail);
+
+      await expect(ComplaintRepository.getComplaintDetail(40, viewer))
+        .rejects.toMatchObject({ status: 404, code: 'COMPLAINT_NOT_FOUND' });
+    });
+  });
+
+  describe('3. addMessage - estados del ticket', () => {
+    const customer = { userId: CUSTOMER_ID, role: 'customer' };
+    const photo = { filename: 'abc.jpg', originalname: 'foto.jpg', mimetype: 'image/jpeg', size: 2048 };
+
+    test('Una queja cerrada no admite mensajes', async () => {
+      prisma.complaint.findFirst.mockResolvedValue(buildComplaint({ status: 'closed' }));
+
+      await expect(ComplaintRepository.addMessage(40, customer, 'Hola', [], 'https://api.test'))
+        .rejects.toMatchObject({ status: 409, code: 'COMPLAINT_CLOSED' });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('Si el cliente responde a una queja resuelta, se reabre', async () => {
+      const tx = createTx();
+      prisma.complaint.findFirst.mockResolvedValue(buildComplaint({ status: 'resolved' }));
+      prisma.$transaction.mockImplementation(async (callback) => callback(tx));
+
+      const result = await ComplaintRepository.addMessage(40, customer, 'Sigue sin llegar', [photo], 'https://api.test');
+
+      expect(tx.complaint.update).toHaveBeenCalledWith({ where: { id: 40 }, data: { status: 'pending' } });
+      expect(tx.complaintAttachment.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          messageId: 90,
+          fileUrl: 'https://api.test/uploads/complaints/abc.jpg',
+          fileName: 'foto.jpg',
+          sizeBytes: 2048
+        })
+      });
+      expect(result.complaintStatus).toBe('pending');
+    });
+
+    test('Si el restaurante responde a una queja resuelta, no se reabre', async () => {
+      const tx = createTx();
+      prisma.complaint.findFirst.mockResolvedValue(buildComplaint({ status: 'resolved' }));
+      prisma.$transaction.mockImplementation(async (callback) => callback(tx));
+
+      const result = await ComplaintRepository.addMessage(
+        40,
+        { userId: OWNER_ID, role: 'restaurant', restaurantId: 3 },
+        'Te enviamos la bebida',
+        [],
+        'https://api.test'
+      );
+
+      expect(tx.complaint.update).toHaveBeenCalledWith({ where: { id: 40 }, data: { updatedAt: expect.any(Date) } });
+      expect(result.complaintStatus).toBe('resolved');
+    });
+  });
+});
@@ -0,0 +1,159 @@
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    order: { findUnique: jest.fn() },
+    $transaction: jest.fn()
+  }
+}));
+jest.mock('../../src/config/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../../src/config/socket', () => ({
+  getIo: jest.fn(() => ({ emit: jest.fn(), to: jest.fn(() => ({ emit: jest.fn() })) }))
+}));
+jest.mock('../../src/services/user.service', () => ({ getUserWithRoles: jest.fn() }));
+jest.mock('../../src/services/dispatch.service', () => ({ startDispatch: jest.fn() }));
+jest.mock('../../src/services/coupon.service', () => ({ releaseRedemption: jest.fn() }));
+jest.mock('../../src/services/ledger.service', () => ({ postOrderSettlement: jest.fn() }));
+jest.mock('../../src/services/order-acceptance.service', () => ({ resetMissedOrders: jest.fn() }));
+jest.mock('../../src/services/stock.service', () => ({
+  commitOrderStock: jest.fn(),
+  releaseOrderStock: jest.fn()
+}));
+
+const { prisma } = require('../../src/config/database');
+const UserService = require('../../src/services/user.service');
+const LedgerService = require('../../src/services/ledger.service');
+const OrderRepository = require('../../src/repositories/order.repository');
+
+const OWNER_ID = 20;
+const RESTAURANT_ID = 3;
+
+// Pedido para recoger listo en mostrador, pagado en efectivo
+const pickupOrder = {
+  id: 500n,
+  restaurantId: RESTAURANT_ID,
+  status: 'ready_for_pickup',
+  fulfillmentType: 'pickup',
+  pickupCode: '042137',
+  paymentMethod: 'cash',
+  subtotal: '200',
+  deliveryFee: '0',
+  commissionRateSnapshot: '10',
+  discountAmount: '0',
+  discountFundedBy: null,
+  restaurant: { id: RESTAURANT_ID, rfc: 'ABC010101AB1' },
+  payment: null
+};
+
+/**
+ * Construye el pedido que devuelve la transacción con las relaciones del formato de respuesta
+ * @param {Object} order - Pedido base
+ * @returns {Object}
+ */
+const buildUpdatedOrder = (order) => ({
+  ...order,
+  status: 'delivered',
+  total: '200',
+  platformFee: '20',
+  restaurantPayout: '164.49',
+  customer: { id: 1, name: 'Ana', lastname: 'López', email: 'ana@test.com', phone: '5550000000' },
+  address: null,
+  restaurant: { id: RESTAURANT_ID, name: 'Pizzería', address: 'Centro', phone: '5551111111' },
+  deliveryDriver: null,
+  orderItems: []
+});
+
+/**
+ * Crea un cliente de transacción para la entrega en mostrador
+ * @returns {Object} Transacción simulada
+ */
+const createTx = () => ({
+  order: {
+    updateMany: jest.fn(async () => ({ count: 1 })),
+    findUnique: jest.fn(async () => buildUpdatedOrder(pickupOrder))
+  },
+  orderStatusHistory: { create: jest.fn(async ({ data }) => ({ id: 1, ...data })) }
+});
+
+describe('OrderRepository.updateOrderStatus - Entrega de pedidos para recoger', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    UserService.getUserWithRoles.mockResolvedValue({
+      id: OWNER_ID,
+      userRoleAssignments: [{ restaurantId: RESTAURANT_ID, role: { name: 'owner' } }]
+    });
+    LedgerService.postOrderSettlement.mockResolvedValue({
+      movements: [{ transaction: { balanceAfter: '-36.17' } }]
+    });
+  });
+
+  test('Debe exigir el código de recogida del cliente', async () => {
+    prisma.order.findUnique.mockResolvedValue(pickupOrder);
+
+    await expect(OrderRepository.updateOrderStatus(500n, 'delivered', OWNER_ID, 'req-1'))
+      .rejects.toMatchObject({
+        status: 409,
+        code: 'INVALID_PICKUP_CODE',
+        message: 'Se requiere el código de recogida del cliente'
+      });
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  test('Debe rechazar un código que no coincide con el del pedido', async () => {
+    prisma.order.findUnique.mockResolvedValue(pickupOrder);
+
+    await expect(OrderRepository.updateOrderStatus(500n, 'delivered', OWNER_ID, 'req-1', null, '042138'))
+      .rejects.toMatchObject({
+        status: 409,
+        code: 'INVALID_PICKUP_CODE',
+        message: 'El código de recogida no coincide con el del pedido',
+        details: { orderId: '500' }
+      });
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  test('Un pedido a domicilio no se entrega en mostrador', async () => {
+    prisma.order.findUnique.mockResolvedValue({ ...pickupOrder, fulfillmentType: 'delivery', pickupCode: null });
+
+    await expect(OrderRepository.updateOrderStatus(500n, 'delivered', OWNER_ID, 'req-1', null, '042137'))
+      .rejects.toMatchObject({ status: 409, code: 'INVALID_STATUS_TRANSITION' });
+  });
+
+  test('El personal de cocina no puede entregar el pedido', async () => {
+    UserService.getUserWithRoles.mockResolvedValue({
+      id: 21,
+      userRoleAssignments: [{ restaurantId: RESTAURANT_ID, role: { name: 'kitchen_staff' } }]
+    });
+    prisma.order.findUnique.mockResolvedValue(pickupOrder);
+
+    await expect(OrderRepository.updateOrderStatus(500n, 'delivered', 21, 'req-1', null, '042137'))
+      .rejects.toMatchObject({ status: 403, code: 'STATUS_UPDATE_NOT_ALLOWED_FOR_ROLE' });
+  });
+
+  test('Con el código correcto entrega el pedido y lo liquida sin repartidor', async () => {
+    const tx = createTx();
+    prisma.order.findUnique.mockResolvedValue(pickupOrder);
+    prisma.$transaction.mockImplementation(async (callback) => callback(tx));
+
+    const result = await OrderRepository.updateOrderStatus(500n, 'delivered', OWNER_ID, 'req-1', null, '042137');
+
+    // Venta 200 con RFC: base 172.41, IVA 13.79, ISR 1.72, comisión 20
+    expect(tx.order.updateMany).toHaveBeenCalledWith({
+      where: { id: 500n, status: 'ready_for_pickup' },
+      data: expect.objectContaining({
+        status: 'delivered',
+        orderDeliveredAt: expect.any(Date),
+        retainedIVA: 13.79,
+        retainedISR: 1.72,
+        restaurantPayout: 164.49
+      })
+    });
+    expect(LedgerService.postOrderSettlement).toHaveBeenCalledWith(
+      tx,
+      { order: pickupOrder, settlement: expect.objectContaining({ driver: null }) },
+      'req-1'
+    );
+    expect(tx.orderStatusHistory.create).toHaveBeenCalled();
+    expect(result).toEqual(expect.objectContaining({ id: '500', status: 'delivered', fulfillmentType: 'pickup', address: null }));
+  });
+});
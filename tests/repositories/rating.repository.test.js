@@ -0,0 +1,195 @@
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    order: { findFirst: jest.fn() },
+    rating: { findFirst: jest.fn(), update: jest.fn() },
+    $transaction: jest.fn()
+  }
+}));
+jest.mock('../../src/config/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../../src/config/socket', () => ({
+  getIo: jest.fn(() => ({ to: jest.fn(() => ({ emit: jest.fn() })) }))
+}));
+
+const { prisma } = require('../../src/config/database');
+const RatingRepository = require('../../src/repositories/rating.repository');
+
+/**
+ * Crea un cliente de transacción con las operaciones que usa la calificación
+ * @returns {Object} Transacción simulada
+ */
+const createTx = () => ({
+  rating: {
+    create: jest.fn(async ({ data }) => ({ id: 10, createdAt: new Date(), ...data })),
+    aggregate: jest.fn(async () => ({ _avg: { restaurantScore: 4.3333 }, _count: { restaurantScore: 3 } }))
+  },
+  restaurant: { update: jest.fn() },
+  restaurantMetrics: { upsert: jest.fn() }
+});
+
+const deliveredOrder = {
+  id: 500n,
+  status: 'delivered',
+  restaurantId: 3,
+  deliveryDriverId: 7,
+  ratings: null
+};
+
+describe('RatingRepository - Calificaciones de pedidos', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('1. createRating', () => {
+    test('Debe rechazar un pedido que no es del cliente', async () => {
+      prisma.order.findFirst.mockResolvedValue(null);
+
+      await expect(RatingRepository.createRating(500n, 1, { restaurantScore: 5 }))
+        .rejects.toMatchObject({ status: 404, code: 'ORDER_NOT_FOUND' });
+    });
+
+    test('Debe rechazar un pedido que no está entregado', async () => {
+      prisma.order.findFirst.mockResolvedValue({ ...deliveredOrder, status: 'out_for_delivery' });
+
+      await expect(RatingRepository.createRating(500n, 1, { restaurantScore: 5 }))
+        .rejects.toMatchObject({
+          status: 409,
+          code: 'ORDER_NOT_DELIVERED',
+          details: { currentStatus: 'out_for_delivery' }
+        });
+    });
+
+    test('Debe rechazar un pedido ya calificado', async () => {
+      prisma.order.findFirst.mockResolvedValue({ ...deliveredOrder, ratings: { id: 1 } });
+
+      await expect(RatingRepository.createRating(500n, 1, { restaurantScore: 5 }))
+        .rejects.toMatchObject({ status: 409, code: 'ORDER_ALREADY_RATED' });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('Debe rechazar la calificación del repartidor en un pedido sin repartidor', async () => {
+      prisma.order.findFirst.mockResolvedValue({ ...deliveredOrder, deliveryDriverId: null });
+
+      await expect(RatingRepository.createRating(500n, 1, { restaurantScore: 5, driverScore: 4 }))
+        .rejects.toMatchObject({ status: 400, code: 'NO_DRIVER_TO_RATE' });
+    });
+
+    test('Debe crear la calificación y recalcular el promedio en la misma transacción', async () => {
+      const tx = createTx();
+      prisma.order.findFirst.mockResolvedValue(deliveredOrder);
+      prisma.$transaction.mockImplementation(async (callback) => callback(tx));
+
+      const result = await RatingRepository.createRating(500n, 1, { restaurantScore: 4, comment: 'Muy rico' });
+
+      expect(tx.rating.create).toHaveBeenCalledWith({
+        data: {
+          orderId: 500n,
+          restaurantId: 3,
+          customerId: 1,
+          driverId: 7,
+          restaurantScore: 4,
+          driverScore: null,
+          comment: 'Muy rico'
+        }
+      });
+      expect(tx.restaurant.update).toHaveBeenCalledWith({ where: { id: 3 }, data: { rating: 4.33 } });
+      expect(result).toEqual(expect.objectContaining({
+        orderId: '500',
+        restaurantScore: 4,
+        driverScore: null
+      }));
+    });
+
+    test('Debe responder 409 si otra petición calificó el pedido al mismo tiempo', async () => {
+      prisma.order.findFirst.mockResolvedValue(deliveredOrder);
+      prisma.$transaction.mockRejectedValue({ code: 'P2002' });
+
+      await expect(RatingRepository.createRating(500n, 1, { restaurantScore: 5 }))
+        .rejects.toMatchObject({ status: 409, code: 'ORDER_ALREADY_RATED' });
+    });
+  });
+
+  describe('2. recalculateRestaurantRating', () => {
+    test('Debe guardar el promedio redondeado en el restaurante y en sus métricas', async () => {
+      const tx = createTx();
+
+      const result = await RatingRepository.recalculateRestaurantRating(3, tx);
+
+      expect(result).toEqual({ averageRating: 4.33, totalRatings: 3 });
+      expect(tx.rating.aggregate).toHaveBeenCalledWith(expect.objectContaining({
+        where: { restaurantId: 3, deletedAt: null, restaurantScore: { not: null } }
+      }));
+      expect(tx.restaurantMetrics.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { restaurantId: 3 },
+        create: { restaurantId: 3, customerRating: 4.33 }
+      }));
+    });
+
+    test('Sin calificaciones vigentes el promedio es cero', async () => {
+      const tx = createTx();
+      tx.rating.aggregate.mockResolvedValue({ _avg: { restaurantScore: null }, _count: { restaurantScore: 0 } });
+
+      const result = await RatingRepository.recalculateRestaurantRating(3, tx);
+
+      expect(result).toEqual({ averageRating: 0, totalRatings: 0 });
+      expect(tx.restaurant.update).toHaveBeenCalledWith({ where: { id: 3 }, data: { rating: 0 } });
+    });
+  });
+
+  describe('3. reportRating', () => {
+    test('El autor no puede reportar su propia reseña', async () => {
+      prisma.rating.findFirst.mockResolvedValue({ id: 10, customerId: 1, isReported: false });
+
+      await expect(RatingRepository.reportRating(10, 1, 'Spam', 3))
+        .rejects.toMatchObject({ status: 403, code: 'CANNOT_REPORT_OWN_RATING' });
+    });
+
+    test('Una reseña en revisión no puede reportarse otra vez', async () => {
+      prisma.rating.findFirst.mockResolvedValue({ id: 10, customerId: 1, isReported: true });
+
+      await expect(RatingRepository.reportRating(10, 2, 'Spam', 3))
+        .rejects.toMatchObject({ status: 409, code: 'RATING_ALREADY_REPORTED' });
+      expect(prisma.rating.update).not.toHaveBeenCalled();
+    });
+
+    test('Debe marcar la reseña como reportada con el motivo', async () => {
+      prisma.rating.findFirst.mockResolvedValue({ id: 10, customerId: 1, isReported: false });
+      prisma.rating.update.mockImplementation(async ({ data }) => ({ id: 10, ...data }));
+
+      const result = await RatingRepository.reportRating(10, 2, 'Lenguaje ofensivo', 3);
+
+      expect(prisma.rating.update).toHaveBeenCalledWith({
+        where: { id: 10 },
+        data: expect.objectContaining({ isReported: true, reportReason: 'Lenguaje ofensivo', reportedById: 2 })
+      });
+      expect(result).toEqual(expect.objectContaining({ id: 10, isReported: true, reportReason: 'Lenguaje ofensivo' }));
+    });
+  });
+
+  describe('4. replyToRating', () => {
+    test('Debe rechazar una reseña de otro restaurante', async () => {
+      prisma.rating.findFirst.mockResolvedValue(null);
+
+      await expect(RatingRepository.replyToRating(10, 99, 'Gracias'))
+        .rejects.toMatchObject({ status: 404, code: 'RATING_NOT_FOUND' });
+    });
+
+    test('Debe publicar la respuesta mostrando solo la inicial del apellido del cliente', async () => {
+      prisma.rating.findFirst.mockResolvedValue({ id: 10, customerId: 1, orderId: 500n });
+      prisma.rating.update.mockImplementation(async ({ data }) => ({
+        id: 10,
+        restaurantScore: 5,
+        comment: 'Excelente',
+        customer: { name: 'Ana', lastname: 'López' },
+        createdAt: new Date(),
+        ...data
+      }));
+
+      const result = await RatingRepository.replyToRating(10, 3, '¡Gracias por tu visita!');
+
+      expect(result.customer).toEqual({ name: 'Ana', lastnameInitial: 'L.' });
+      expect(result.ownerReply.text).toBe('¡Gracias por tu visita!');
+    });
+  });
+});
@@ -0,0 +1,247 @@
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    product: { findFirst: jest.fn(), findMany: jest.fn(), update: jest.fn() },
+    productInventoryLog: { findMany: jest.fn(), count: jest.fn() },
+    orderStockReservation: { groupBy: jest.fn() },
+    $transaction: jest.fn()
+  }
+}));
+jest.mock('../../src/config/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../../src/config/socket', () => {
+  const io = { to: jest.fn(() => io), emit: jest.fn() };
+  return { getIo: jest.fn(() => io) };
+});
+
+const { prisma } = require('../../src/config/database');
+const InventoryService = require('../../src/services/inventory.service');
+
+const RESTAURANT_ID = 3;
+const MANAGER_ID = 20;
+
+/**
+ * Construye un producto con valuationProductSelect
+ * @param {Object} overrides - Campos a reemplazar
+ * @returns {Object} Producto
+ */
+const buildProduct = (overrides = {}) => ({
+  id: 10,
+  name: 'Refresco 600ml',
+  restaurantId: RESTAURANT_ID,
+  trackStock: true,
+  stockQuantity: 12,
+  lowStockThreshold: null,
+  isAvailable: true,
+  outOfStockAt: null,
+  price: '25.00',
+  unitCost: '11.50',
+  ...overrides
+});
+
+/**
+ * Crea un cliente de transacción para registrar movimientos
+ * @param {Object} updatedProduct - Producto después del movimiento
+ * @param {boolean} [enoughStock] - Si la salida condicionada encuentra stock suficiente
+ * @returns {Object} Transacción simulada
+ */
+const createTx = (updatedProduct, enoughStock = true) => ({
+  product: {
+    updateMany: jest.fn(async () => ({ count: enoughStock ? 1 : 0 })),
+    update: jest.fn(),
+    findUnique: jest.fn(async () => updatedProduct)
+  },
+  productInventoryLog: {
+    create: jest.fn(async ({ data }) => ({
+      id: 300n,
+      ...data,
+      orderId: null,
+      product: { id: data.productId, name: updatedProduct.name },
+      user: { id: MANAGER_ID, name: 'Laura', lastname: 'Pérez' },
+      createdAt: new Date()
+    }))
+  }
+});
+
+describe('InventoryService - Inventario del restaurante', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.orderStockReservation.groupBy.mockResolvedValue([]);
+  });
+
+  describe('1. recordMovement', () => {
+    test('Debe rechazar un producto de otro restaurante', async () => {
+      prisma.product.findFirst.mockResolvedValue(null);
+
+      await expect(InventoryService.recordMovement(RESTAURANT_ID, { productId: 99, type: 'RESTOCK', quantity: 5 }, MANAGER_ID))
+        .rejects.toMatchObject({ status: 404, code: 'PRODUCT_NOT_FOUND' });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('Un reabastecimiento suma stock y actualiza el costo unitario', async () => {
+      const updated = buildProduct({ stockQuantity: 36, unitCost: '12.00' });
+      const tx = createTx(updated);
+      prisma.product.findFirst.mockResolvedValueOnce(buildProduct()).mockResolvedValueOnce(updated);
+      prisma.$transaction.mockImplementation(async (callback) => callback(tx));
+
+      const result = await InventoryService.recordMovement(RESTAURANT_ID, {
+        productId: 10,
+        type: 'RESTOCK',
+        quantity: 24,
+        unitCost: 12,
+        note: 'Pedido al proveedor'
+      }, MANAGER_ID);
+
+      expect(tx.product.update).toHaveBeenCalledWith({
+        where: { id: 10 },
+        data: { stockQuantity: { increment: 24 }, unitCost: 12 }
+      });
+      expect(tx.productInventoryLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: {
+          productId: 10,
+          userId: MANAGER_ID,
+          change: 24,
+          newQuantity: 36,
+          reason: 'RESTOCK',
+          unitCost: 12,
+          note: 'Pedido al proveedor'
+        }
+      }));
+      expect(result.movement).toEqual(expect.objectContaining({
+        id: '300',
+        type: 'RESTOCK',
+        change: 24,
+        unitCost: 12,
+        recordedBy: { id: MANAGER_ID, name: 'Laura', lastname: 'Pérez' }
+      }));
+      expect(result.product).toEqual(expect.objectContaining({ stockQuantity: 36, stockValue: 432, retailValue: 900 }));
+    });
+
+    test('Una merma no puede sacar más de lo disponible', async () => {
+      const tx = createTx(buildProduct());
+      tx.product.findUnique.mockResolvedValue({ stockQuantity: 3 });
+      tx.product.updateMany.mockResolvedValue({ count: 0 });
+      prisma.product.findFirst.mockResolvedValue(buildProduct({ stockQuantity: 3 }));
+      prisma.$transaction.mockImplementation(async (callback) => callback(tx));
+
+      await expect(InventoryService.recordMovement(RESTAURANT_ID, { productId: 10, type: 'SPOILAGE', quantity: 5 }, MANAGER_ID))
+        .rejects.toMatchObject({
+          status: 409,
+          code: 'INSUFFICIENT_STOCK',
+          details: { requested: 5, available: 3 }
+        });
+      expect(tx.productInventoryLog.create).not.toHaveBeenCalled();
+    });
+
+    test('Un traspaso de salida descuenta y al agotar el producto lo desactiva', async () => {
+      const updated = buildProduct({ stockQuantity: 0 });
+      const tx = createTx(updated);
+      prisma.product.findFirst.mockResolvedValue(buildProduct({ stockQuantity: 4 }));
+      prisma.$transaction.mockImplementation(async (callback) => callback(tx));
+
+      const result = await InventoryService.recordMovement(RESTAURANT_ID, {
+        productId: 10,
+        type: 'TRANSFER',
+        direction: 'out',
+        quantity: 4
+      }, MANAGER_ID);
+
+      expect(tx.product.updateMany).toHaveBeenCalledWith({
+        where: { id: 10, stockQuantity: { gte: 4 } },
+        data: { stockQuantity: { decrement: 4 } }
+      });
+      expect(tx.product.update).toHaveBeenCalledWith({
+        where: { id: 10 },
+        data: { isAvailable: false, outOfStockAt: expect.any(Date) }
+      });
+      expect(result.movement).toEqual(expect.objectContaining({ type: 'TRANSFER', change: -4, unitCost: null }));
+    });
+  });
+
+  describe('2. updateProductStockSettings', () => {
+    test('Un umbral nulo vuelve al umbral general', async () => {
+      prisma.product.findFirst.mockResolvedValue(buildProduct({ lowStockThreshold: 10 }));
+      prisma.product.update.mockResolvedValue(buildProduct({ stockQuantity: 4, lowStockThreshold: null }));
+      prisma.orderStockReservation.groupBy.mockResolvedValue([{ productId: 10, _sum: { quantity: 2 } }]);
+
+      const result = await InventoryService.updateProductStockSettings(RESTAURANT_ID, 10, { lowStockThreshold: null }, MANAGER_ID);
+
+      expect(prisma.product.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: { lowStockThreshold: null }
+      }));
+      expect(result).toEqual(expect.objectContaining({
+        lowStockThreshold: 5,
+        usesDefaultThreshold: true,
+        isLowStock: true,
+        reservedQuantity: 2
+      }));
+    });
+  });
+
+  describe('3. getMovementHistory', () => {
+    test('Debe filtrar por los productos del restaurante y paginar', async () => {
+      prisma.productInventoryLog.findMany.mockResolvedValue([]);
+      prisma.productInventoryLog.count.mockResolvedValue(45);
+
+      const result = await InventoryService.getMovementHistory(RESTAURANT_ID, {
+        type: 'SPOILAGE',
+        dateFrom: '2025-12-01T00:00:00.000Z',
+        page: 2,
+        pageSize: 20
+      });
+
+      expect(prisma.productInventoryLog.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          product: { restaurantId: RESTAURANT_ID },
+          reason: 'SPOILAGE',
+          createdAt: { gte: new Date('2025-12-01T00:00:00.000Z') }
+        },
+        skip: 20,
+        take: 20
+      }));
+      expect(result.pagination).toEqual({
+        currentPage: 2,
+        pageSize: 20,
+        totalCount: 45,
+        totalPages: 3,
+        hasNextPage: true,
+        hasPreviousPage: true
+      });
+    });
+  });
+
+  describe('4. getStockValuation', () => {
+    test('Debe valuar el stock a costo y a precio de venta', async () => {
+      prisma.product.findMany.mockResolvedValue([
+        buildProduct(),
+        buildProduct({ id: 11, name: 'Agua 1L', stockQuantity: 3, lowStockThreshold: 4, price: '18.00', unitCost: null }),
+        buildProduct({ id: 12, name: 'Cerveza', stockQuantity: 0, price: '40.00', unitCost: '22.335' })
+      ]);
+      prisma.orderStockReservation.groupBy.mockResolvedValue([{ productId: 10, _sum: { quantity: 2 } }]);
+
+      const { products, summary } = await InventoryService.getStockValuation(RESTAURANT_ID);
+
+      expect(products[0]).toEqual(expect.objectContaining({ reservedQuantity: 2, stockValue: 138, retailValue: 300 }));
+      expect(products[1]).toEqual(expect.objectContaining({ unitCost: null, stockValue: null, isLowStock: true }));
+      expect(summary).toEqual({
+        totalProducts: 3,
+        totalUnits: 15,
+        stockValue: 138,
+        retailValue: 354,
+        // Un producto agotado cuenta como agotado, no como stock bajo
+        lowStockCount: 1,
+        outOfStockCount: 1,
+        productsWithoutCost: 1
+      });
+    });
+
+    test('Sin productos con inventario no consulta reservas', async () => {
+      prisma.product.findMany.mockResolvedValue([]);
+
+      const { summary } = await InventoryService.getStockValuation(RESTAURANT_ID);
+
+      expect(summary.totalProducts).toBe(0);
+      expect(prisma.orderStockReservation.groupBy).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,217 @@
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    product: { findMany: jest.fn(), findFirst: jest.fn() },
+    subcategory: { findMany: jest.fn() },
+    $transaction: jest.fn()
+  }
+}));
+jest.mock('../../src/config/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { prisma } = require('../../src/config/database');
+const MenuAvailabilityService = require('../../src/services/menu-availability.service');
+
+/**
+ * Construye una fecha en hora local de México (UTC-6)
+ * @param {string} localDateTime - "YYYY-MM-DDTHH:MM"
+ * @returns {Date}
+ */
+const mx = (localDateTime) => new Date(`${localDateTime}:00-06:00`);
+
+/**
+ * Filas de MenuAvailabilityWindow para varios días con el mismo rango
+ * @param {Array<number>} days - Días de la semana (0 = domingo)
+ * @param {string} startTime - Hora de inicio
+ * @param {string} endTime - Hora de fin
+ * @returns {Array<Object>}
+ */
+const windowRows = (days, startTime, endTime) => days.map(dayOfWeek => ({ dayOfWeek, startTime, endTime }));
+
+// Desayunos de lunes a viernes de 07:00 a 12:00
+const breakfast = windowRows([1, 2, 3, 4, 5], '07:00', '12:00');
+// Menú nocturno viernes y sábado de 22:00 a 03:00
+const lateNight = windowRows([5, 6], '22:00', '03:00');
+
+describe('MenuAvailabilityService - Disponibilidad del menú por horario', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('1. isWithinWindows', () => {
+    test('Sin ventanas el elemento siempre está disponible', () => {
+      expect(MenuAvailabilityService.isWithinWindows([], mx('2025-12-24T03:00'))).toBe(true);
+      expect(MenuAvailabilityService.isWithinWindows(undefined, mx('2025-12-24T03:00'))).toBe(true);
+    });
+
+    test('Debe respetar el día y el rango de horas, sin incluir la hora de fin', () => {
+      // Miércoles 24 y sábado 27 de diciembre de 2025
+      expect(MenuAvailabilityService.isWithinWindows(breakfast, mx('2025-12-24T07:00'))).toBe(true);
+      expect(MenuAvailabilityService.isWithinWindows(breakfast, mx('2025-12-24T12:00'))).toBe(false);
+      expect(MenuAvailabilityService.isWithinWindows(breakfast, mx('2025-12-27T09:00'))).toBe(false);
+    });
+
+    test('Una ventana nocturna sigue vigente la madrugada del día siguiente', () => {
+      // Sábado 01:30 por la ventana del viernes; domingo 01:30 por la del sábado
+      expect(MenuAvailabilityService.isWithinWindows(lateNight, mx('2025-12-27T01:30'))).toBe(true);
+      expect(MenuAvailabilityService.isWithinWindows(lateNight, mx('2025-12-28T01:30'))).toBe(true);
+      // Viernes 01:30 sería la madrugada del jueves, que no tiene ventana
+      expect(MenuAvailabilityService.isWithinWindows(lateNight, mx('2025-12-26T01:30'))).toBe(false);
+    });
+  });
+
+  describe('2. getScheduleConflict', () => {
+    test('La ventana de la subcategoría se revisa antes que la del producto', () => {
+      const product = {
+        availabilityWindows: windowRows([3], '08:00', '10:00'),
+        subcategory: { id: 5, name: 'Desayunos', availabilityWindows: breakfast }
+      };
+
+      expect(MenuAvailabilityService.getScheduleConflict(product, mx('2025-12-24T13:00'))).toEqual({
+        reason: 'outside_subcategory_window',
+        availability: [{ daysOfWeek: [1, 2, 3, 4, 5], startTime: '07:00', endTime: '12:00' }]
+      });
+      expect(MenuAvailabilityService.getScheduleConflict(product, mx('2025-12-24T11:00'))).toEqual({
+        reason: 'outside_product_window',
+        availability: [{ daysOfWeek: [3], startTime: '08:00', endTime: '10:00' }]
+      });
+      expect(MenuAvailabilityService.getScheduleConflict(product, mx('2025-12-24T09:00'))).toBeNull();
+    });
+  });
+
+  describe('3. assertProductsAvailableAt', () => {
+    const chilaquiles = {
+      id: 10,
+      name: 'Chilaquiles',
+      availabilityWindows: [],
+      subcategory: { id: 5, name: 'Desayunos', availabilityWindows: breakfast }
+    };
+    const alitas = {
+      id: 11,
+      name: 'Alitas',
+      availabilityWindows: lateNight,
+      subcategory: { id: 6, name: 'Botanas', availabilityWindows: [] }
+    };
+    const refresco = { id: 12, name: 'Refresco', availabilityWindows: [], subcategory: null };
+
+    test('Debe permitir el pedido si todos los productos están en horario', async () => {
+      prisma.product.findMany.mockResolvedValue([chilaquiles, refresco]);
+
+      await expect(MenuAvailabilityService.assertProductsAvailableAt([10, 12], mx('2025-12-24T09:00'))).resolves.toBeUndefined();
+    });
+
+    test('Debe nombrar el producto cuando solo uno está fuera de horario', async () => {
+      prisma.product.findMany.mockResolvedValue([chilaquiles, refresco]);
+
+      await expect(MenuAvailabilityService.assertProductsAvailableAt([10, 12], mx('2025-12-24T15:00')))
+        .rejects.toMatchObject({
+          status: 409,
+          code: 'PRODUCT_OUTSIDE_AVAILABILITY',
+          message: 'Chilaquiles no está disponible a esta hora',
+          details: { products: [expect.objectContaining({ productId: 10, reason: 'outside_subcategory_window' })] }
+        });
+    });
+
+    test('Debe listar todos los productos fuera de horario', async () => {
+      prisma.product.findMany.mockResolvedValue([chilaquiles, alitas, refresco]);
+
+      const error = await MenuAvailabilityService
+        .assertProductsAvailableAt([10, 11, 12], mx('2025-12-24T15:00'))
+        .catch(err => err);
+
+      expect(error.message).toBe('Algunos productos no están disponibles a esta hora');
+      expect(error.details.products.map(product => product.productId)).toEqual([10, 11]);
+    });
+  });
+
+  describe('4. Ventanas guardadas', () => {
+    test('Debe guardar una fila por día sin repetir y devolverlas agrupadas por rango', async () => {
+      const tx = { menuAvailabilityWindow: { deleteMany: jest.fn(), createMany: jest.fn() } };
+      prisma.product.findFirst.mockResolvedValue({ id: 10, name: 'Chilaquiles' });
+      prisma.$transaction.mockImplementation(async (callback) => callback(tx));
+
+      const result = await MenuAvailabilityService.setProductWindows(3, 10, [
+        { daysOfWeek: [6, 0], startTime: '08:00', endTime: '13:00' },
+        { daysOfWeek: [1, 2], startTime: '07:00', endTime: '11:00' },
+        { daysOfWeek: [0], startTime: '08:00', endTime: '13:00' }
+      ], 20);
+
+      expect(tx.menuAvailabilityWindow.deleteMany).toHaveBeenCalledWith({ where: { productId: 10 } });
+      expect(tx.menuAvailabilityWindow.createMany.mock.calls[0][0].data).toHaveLength(4);
+      expect(result.availability).toEqual([
+        { daysOfWeek: [1, 2], startTime: '07:00', endTime: '11:00' },
+        { daysOfWeek: [0, 6], startTime: '08:00', endTime: '13:00' }
+      ]);
+    });
+
+    test('Una lista vacía quita las ventanas', async () => {
+      const tx = { menuAvailabilityWindow: { deleteMany: jest.fn(), createMany: jest.fn() } };
+      prisma.product.findFirst.mockResolvedValue({ id: 10, name: 'Chilaquiles' });
+      prisma.$transaction.mockImplementation(async (callback) => callback(tx));
+
+      const result = await MenuAvailabilityService.setProductWindows(3, 10, [], 20);
+
+      expect(tx.menuAvailabilityWindow.createMany).not.toHaveBeenCalled();
+      expect(result.availability).toEqual([]);
+    });
+
+    test('Debe rechazar un producto de otro restaurante', async () => {
+      prisma.product.findFirst.mockResolvedValue(null);
+
+      await expect(MenuAvailabilityService.setProductWindows(3, 99, [], 20))
+        .rejects.toMatchObject({ status: 404, code: 'PRODUCT_NOT_FOUND' });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('5. getMenuPreview', () => {
+    test('Debe indicar por qué cada producto no se puede pedir a esa hora', async () => {
+      prisma.subcategory.findMany.mockResolvedValue([
+        {
+          id: 5,
+          name: 'Desayunos',
+          is_active: true,
+          category: { id: 1, name: 'Comida' },
+          availabilityWindows: breakfast,
+          products: [{ id: 10, name: 'Chilaquiles', price: '95.00', isAvailable: true, availabilityWindows: [] }]
+        },
+        {
+          id: 6,
+          name: 'Botanas',
+          is_active: true,
+          category: { id: 1, name: 'Comida' },
+          availabilityWindows: [],
+          products: [
+            { id: 11, name: 'Alitas', price: '120.00', isAvailable: true, availabilityWindows: lateNight },
+            { id: 12, name: 'Nachos', price: '80.00', isAvailable: false, availabilityWindows: [] },
+            { id: 13, name: 'Papas', price: '60.00', isAvailable: true, availabilityWindows: [] }
+          ]
+        },
+        {
+          id: 7,
+          name: 'Temporada',
+          is_active: false,
+          category: { id: 1, name: 'Comida' },
+          availabilityWindows: [],
+          products: [{ id: 14, name: 'Rosca', price: '300.00', isAvailable: true, availabilityWindows: [] }]
+        }
+      ]);
+
+      const preview = await MenuAvailabilityService.getMenuPreview(3, mx('2025-12-24T15:00'));
+
+      const reasons = Object.fromEntries(preview.subcategories
+        .flatMap(subcategory => subcategory.products)
+        .map(product => [product.name, product.reason]));
+
+      expect(reasons).toEqual({
+        Chilaquiles: 'outside_subcategory_window',
+        Alitas: 'outside_product_window',
+        Nachos: 'product_unavailable',
+        Papas: null,
+        Rosca: 'subcategory_inactive'
+      });
+      expect(preview.subcategories[0]).toEqual(expect.objectContaining({ availableAt: false, reason: 'outside_subcategory_window' }));
+      expect(preview.summary).toEqual({ availableProducts: 1, unavailableProducts: 4 });
+    });
+  });
+});
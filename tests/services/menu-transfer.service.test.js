@@ -0,0 +1,322 @@
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    category: { findMany: jest.fn() },
+    subcategory: { findMany: jest.fn() },
+    modifierGroup: { findMany: jest.fn() },
+    product: { findMany: jest.fn() },
+    $transaction: jest.fn()
+  }
+}));
+jest.mock('../../src/config/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { prisma } = require('../../src/config/database');
+const MenuTransferService = require('../../src/services/menu-transfer.service');
+
+const RESTAURANT_ID = 3;
+const OWNER_ID = 20;
+
+const categories = [
+  { id: 1, name: 'Comida' },
+  { id: 2, name: 'Bebidas' }
+];
+
+// Menú actual del restaurante como lo devuelve loadMenu
+const currentMenu = {
+  subcategories: [
+    { id: 5, categoryId: 1, name: 'Pizzas', displayOrder: 0, is_active: true, category: categories[0] },
+    { id: 6, categoryId: 2, name: 'Refrescos', displayOrder: 1, is_active: true, category: categories[1] }
+  ],
+  modifierGroups: [
+    {
+      id: 7,
+      name: 'Tamaño',
+      minSelection: 1,
+      maxSelection: 1,
+      options: [
+        { id: 70, name: 'Chica', price: '0.00' },
+        { id: 71, name: 'Grande', price: '40.00' }
+      ]
+    }
+  ],
+  products: [
+    {
+      id: 10,
+      subcategoryId: 5,
+      name: 'Pizza Hawaiana',
+      description: 'Piña, jamón y "extra" queso',
+      imageUrl: null,
+      price: '150.00',
+      isAvailable: true,
+      trackStock: false,
+      tags: null,
+      modifierGroups: [{ modifierGroupId: 7 }]
+    },
+    {
+      id: 11,
+      subcategoryId: 6,
+      name: 'Coca-Cola',
+      description: null,
+      imageUrl: null,
+      price: '25.00',
+      isAvailable: true,
+      trackStock: true,
+      tags: 'bebida,fría',
+      modifierGroups: []
+    }
+  ]
+};
+
+/**
+ * Crea un cliente de transacción que asigna IDs a lo que se crea
+ * @returns {Object} Transacción simulada
+ */
+const createTx = () => ({
+  subcategory: { create: jest.fn(async ({ data }) => ({ id: 100, ...data })), update: jest.fn(), updateMany: jest.fn() },
+  modifierGroup: { create: jest.fn(async ({ data }) => ({ id: 200, ...data })), update: jest.fn() },
+  modifierOption: { create: jest.fn(), update: jest.fn() },
+  product: { create: jest.fn(async ({ data }) => ({ id: 300, ...data })), update: jest.fn(), updateMany: jest.fn() },
+  productModifier: { createMany: jest.fn(), deleteMany: jest.fn() },
+  auditLog: { create: jest.fn() }
+});
+
+const CSV_HEADER = MenuTransferService.CSV_COLUMNS.join(',');
+
+describe('MenuTransferService - Exportación e importación del menú', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.category.findMany.mockResolvedValue(categories);
+    prisma.subcategory.findMany.mockResolvedValue(currentMenu.subcategories);
+    prisma.modifierGroup.findMany.mockResolvedValue(currentMenu.modifierGroups);
+    prisma.product.findMany.mockResolvedValue(currentMenu.products);
+  });
+
+  describe('1. Exportación a CSV', () => {
+    test('Debe escapar comas y comillas y unir los grupos del producto', async () => {
+      const csv = MenuTransferService.buildMenuCsv(await MenuTransferService.exportMenu(RESTAURANT_ID));
+      const lines = csv.split('\n');
+
+      expect(lines[0]).toBe(CSV_HEADER);
+      expect(lines).toContain('modifier_option,71,,,Tamaño,Grande,,40,,,,,,,,');
+      expect(lines).toContain('product,10,Comida,Pizzas,,Pizza Hawaiana,"Piña, jamón y ""extra"" queso",150,,,,true,false,,,Tamaño');
+      expect(lines).toContain('product,11,Bebidas,Refrescos,,Coca-Cola,,25,,,,true,true,,"bebida,fría",');
+    });
+
+    test('Importar el mismo CSV que se exportó no cambia nada', async () => {
+      const csv = MenuTransferService.buildMenuCsv(await MenuTransferService.exportMenu(RESTAURANT_ID));
+
+      const report = await MenuTransferService.previewImport(RESTAURANT_ID, { format: 'csv', content: csv, deactivateMissing: true });
+
+      expect(report.valid).toBe(true);
+      expect(report.changes).toEqual([]);
+      expect(report.summary).toEqual({
+        subcategories: { create: 0, update: 0, deactivate: 0, unchanged: 2 },
+        modifierGroups: { create: 0, update: 0, unchanged: 1 },
+        modifierOptions: { create: 0, update: 0, unchanged: 2 },
+        products: { create: 0, update: 0, deactivate: 0, unchanged: 2 },
+        modifierLinks: { link: 0, unlink: 0 }
+      });
+    });
+  });
+
+  describe('2. Lectura del CSV', () => {
+    test('Debe aceptar el CSV de Excel en español: BOM, punto y coma y CRLF', async () => {
+      const content = '\uFEFFtype;category;subcategory;name;price;is_active;modifier_groups\r\n' +
+        'product;Comida;Pizzas;Pizza Hawaiana;165.5;sí;Tamaño\r\n' +
+        'product;Comida;Pizzas;Pizza Mexicana;160,5;no;\r\n';
+
+      const report = await MenuTransferService.previewImport(RESTAURANT_ID, { format: 'csv', content, deactivateMissing: false });
+
+      expect(report.changes).toEqual([expect.objectContaining({
+        entity: 'product',
+        action: 'update',
+        id: 10,
+        fields: { price: { from: 150, to: 165.5 } }
+      })]);
+      // Un precio con coma decimal no es un número y lo reporta el esquema
+      expect(report.errors).toEqual([expect.objectContaining({ source: 'fila 3', field: 'price' })]);
+    });
+
+    test('Un texto entre comillas puede tener saltos de línea', async () => {
+      const content = `${CSV_HEADER}\n` +
+        'product,10,Comida,Pizzas,,Pizza Hawaiana,"Piña y jamón\nHorneada en leña",150,,,,true,false,,,Tamaño\n';
+
+      const report = await MenuTransferService.previewImport(RESTAURANT_ID, { format: 'csv', content, deactivateMissing: false });
+
+      expect(report.valid).toBe(true);
+      expect(report.changes).toEqual([expect.objectContaining({
+        entity: 'product',
+        action: 'update',
+        id: 10,
+        fields: { description: { from: 'Piña, jamón y "extra" queso', to: 'Piña y jamón\nHorneada en leña' } }
+      })]);
+    });
+
+    test('Debe rechazar columnas desconocidas', async () => {
+      const report = await MenuTransferService.previewImport(RESTAURANT_ID, {
+        format: 'csv',
+        content: 'type,name,precio\nproduct,Pizza,150',
+        deactivateMissing: false
+      });
+
+      expect(report.errors).toEqual([{ source: 'fila 1', field: 'encabezado', message: 'Columnas desconocidas: precio' }]);
+    });
+
+    test('Debe reportar tipos de fila inválidos y opciones sin su grupo, con el número de fila', async () => {
+      const content = `${CSV_HEADER}\n` +
+        'combo,,,,,Combo familiar,,300,,,,,,,,\n' +
+        '\n' +
+        'modifier_option,,,,Salsas,Habanero,,5,,,,,,,,\n';
+
+      const report = await MenuTransferService.previewImport(RESTAURANT_ID, { format: 'csv', content, deactivateMissing: false });
+
+      expect(report.errors).toEqual([
+        expect.objectContaining({ source: 'fila 2', field: 'type' }),
+        expect.objectContaining({
+          source: 'fila 4',
+          field: 'modifier_group',
+          message: "El grupo de modificadores 'Salsas' no viene en el archivo"
+        })
+      ]);
+    });
+  });
+
+  describe('3. Vista previa (sin aplicar cambios)', () => {
+    const menu = {
+      subcategories: [
+        { category: 'Comida', name: 'Pizzas' },
+        { category: 'Comida', name: 'Postres', displayOrder: 2 }
+      ],
+      modifierGroups: [
+        { name: 'Tamaño', options: [{ name: 'Chica', price: 0 }, { name: 'Grande', price: 45 }, { name: 'Familiar', price: 80 }] }
+      ],
+      products: [
+        { category: 'Comida', subcategory: 'pizzas', name: 'pizza hawaiana', price: 165, modifierGroups: ['Tamaño'] },
+        { category: 'Comida', subcategory: 'Postres', name: 'Flan', price: 45, modifierGroups: [] }
+      ]
+    };
+
+    test('Debe empatar por nombre sin importar mayúsculas y reportar cada cambio', async () => {
+      const report = await MenuTransferService.previewImport(RESTAURANT_ID, { format: 'json', menu, deactivateMissing: true });
+
+      expect(report.valid).toBe(true);
+      expect(report.summary).toEqual({
+        subcategories: { create: 1, update: 0, deactivate: 1, unchanged: 1 },
+        modifierGroups: { create: 0, update: 0, unchanged: 1 },
+        modifierOptions: { create: 1, update: 1, unchanged: 1 },
+        products: { create: 1, update: 1, deactivate: 1, unchanged: 0 },
+        modifierLinks: { link: 0, unlink: 0 }
+      });
+      expect(report.changes).toEqual(expect.arrayContaining([
+        { entity: 'subcategory', action: 'create', id: null, name: 'Postres' },
+        { entity: 'modifier_option', action: 'update', id: 71, name: 'Tamaño / Grande', fields: { price: { from: 40, to: 45 } } },
+        {
+          entity: 'product',
+          action: 'update',
+          id: 10,
+          name: 'pizza hawaiana',
+          fields: { name: { from: 'Pizza Hawaiana', to: 'pizza hawaiana' }, price: { from: 150, to: 165 } }
+        },
+        { entity: 'product', action: 'deactivate', id: 11, name: 'Coca-Cola' },
+        { entity: 'subcategory', action: 'deactivate', id: 6, name: 'Refrescos' }
+      ]));
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('Sin deactivateMissing conserva lo que no viene en el archivo', async () => {
+      const report = await MenuTransferService.previewImport(RESTAURANT_ID, { format: 'json', menu, deactivateMissing: false });
+
+      expect(report.summary.products.deactivate).toBe(0);
+      expect(report.summary.subcategories.deactivate).toBe(0);
+    });
+
+    test('Debe reportar referencias que no existen en el archivo ni en el restaurante', async () => {
+      const report = await MenuTransferService.previewImport(RESTAURANT_ID, {
+        format: 'json',
+        menu: {
+          subcategories: [{ category: 'Postres', name: 'Pasteles' }],
+          modifierGroups: [{ name: 'Extras', minSelection: 3, maxSelection: 2 }],
+          products: [
+            { id: 999, category: 'Comida', subcategory: 'Pizzas', name: 'Pizza Mexicana', price: 160 },
+            { category: 'Comida', subcategory: 'Pizzas', name: 'Pizza Pepperoni', price: 150, modifierGroups: ['Salsas'] }
+          ]
+        },
+        deactivateMissing: false
+      });
+
+      expect(report.valid).toBe(false);
+      expect(report.errors).toEqual([
+        { source: 'subcategories[0]', field: 'category', message: "La categoría 'Postres' no existe" },
+        { source: 'modifierGroups[0]', field: 'minSelection', message: 'La selección mínima no puede ser mayor que la selección máxima' },
+        { source: 'products[0]', field: 'id', message: 'El producto con id 999 no pertenece al restaurante' },
+        expect.objectContaining({ source: 'products[1]', field: 'modifierGroups' })
+      ]);
+    });
+  });
+
+  describe('4. importMenu', () => {
+    test('Un archivo con errores no aplica ningún cambio', async () => {
+      await expect(MenuTransferService.importMenu(RESTAURANT_ID, {
+        format: 'json',
+        menu: { subcategories: [], modifierGroups: [], products: [{ name: 'Sin precio' }] },
+        deactivateMissing: true
+      }, OWNER_ID)).rejects.toMatchObject({ status: 400, code: 'MENU_IMPORT_INVALID' });
+
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('Debe crear, actualizar, vincular y desactivar en una sola transacción', async () => {
+      const tx = createTx();
+      prisma.$transaction.mockImplementation(async (callback) => callback(tx));
+
+      const report = await MenuTransferService.importMenu(RESTAURANT_ID, {
+        format: 'json',
+        menu: {
+          subcategories: [{ category: 'Comida', name: 'Pizzas' }, { category: 'Comida', name: 'Postres' }],
+          modifierGroups: [{ name: 'Tamaño', options: [{ name: 'Chica', price: 0 }, { name: 'Grande', price: 40 }] }],
+          products: [
+            { id: 10, category: 'Comida', subcategory: 'Pizzas', name: 'Pizza Hawaiana', price: 150, isAvailable: false, modifierGroups: [] },
+            { category: 'Comida', subcategory: 'Postres', name: 'Flan', price: 45, modifierGroups: ['Tamaño'] }
+          ]
+        },
+        deactivateMissing: true
+      }, OWNER_ID);
+
+      expect(report.valid).toBe(true);
+      expect(tx.subcategory.create).toHaveBeenCalledWith({
+        data: { restaurantId: RESTAURANT_ID, name: 'Postres', categoryId: 1, displayOrder: 0, is_active: true }
+      });
+      // Cambiar la disponibilidad desde el archivo quita la marca de agotado
+      expect(tx.product.update).toHaveBeenCalledWith({
+        where: { id: 10 },
+        data: { isAvailable: false, outOfStockAt: null }
+      });
+      expect(tx.productModifier.deleteMany).toHaveBeenCalledWith({ where: { productId: 10, modifierGroupId: { in: [7] } } });
+      // El producto nuevo usa el ID de la subcategoría creada en la misma transacción
+      expect(tx.product.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ restaurantId: RESTAURANT_ID, subcategoryId: 100, name: 'Flan', isAvailable: true })
+      });
+      expect(tx.productModifier.createMany).toHaveBeenCalledWith({ data: [{ productId: 300, modifierGroupId: 7 }] });
+      expect(tx.product.updateMany).toHaveBeenCalledWith({ where: { id: { in: [11] } }, data: { isAvailable: false } });
+      expect(tx.subcategory.updateMany).toHaveBeenCalledWith({ where: { id: { in: [6] } }, data: { is_active: false } });
+      expect(tx.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ userId: OWNER_ID, action: 'IMPORT_MENU', entityId: BigInt(RESTAURANT_ID) })
+      });
+    });
+
+    test('Un nombre que choca con otro elemento del restaurante responde 409', async () => {
+      prisma.$transaction.mockRejectedValue({ code: 'P2002', meta: { target: 'products_subcategory_id_name_key' } });
+
+      await expect(MenuTransferService.importMenu(RESTAURANT_ID, {
+        format: 'json',
+        menu: { subcategories: [], modifierGroups: [], products: [] },
+        deactivateMissing: false
+      }, OWNER_ID)).rejects.toMatchObject({
+        status: 409,
+        code: 'MENU_IMPORT_CONFLICT',
+        details: { target: 'products_subcategory_id_name_key' }
+      });
+    });
+  });
+});
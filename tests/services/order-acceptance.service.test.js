@@ -0,0 +1,276 @@
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    order: { findMany: jest.fn(), findUnique: jest.fn(), updateMany: jest.fn() },
+    restaurantConfig: { upsert: jest.fn() },
+    $transaction: jest.fn()
+  }
+}));
+jest.mock('../../src/config/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../../src/config/socket', () => {
+  const io = { to: jest.fn(() => io), emit: jest.fn() };
+  return { getIo: jest.fn(() => io) };
+});
+jest.mock('../../src/services/coupon.service', () => ({ releaseRedemption: jest.fn() }));
+jest.mock('../../src/services/refund.service', () => ({ createRefund: jest.fn() }));
+jest.mock('../../src/services/stock.service', () => ({
+  commitOrderStock: jest.fn(),
+  releaseOrderStock: jest.fn()
+}));
+
+const { prisma } = require('../../src/config/database');
+const { getIo } = require('../../src/config/socket');
+const CouponService = require('../../src/services/coupon.service');
+const RefundService = require('../../src/services/refund.service');
+const StockService = require('../../src/services/stock.service');
+const OrderAcceptanceService = require('../../src/services/order-acceptance.service');
+
+const NOW = new Date('2025-12-23T18:00:00.000Z');
+
+/**
+ * Fecha relativa a NOW
+ * @param {number} minutes - Minutos antes de NOW
+ * @returns {Date}
+ */
+const minutesAgo = (minutes) => new Date(NOW.getTime() - minutes * 60 * 1000);
+
+/**
+ * Construye un pedido con awaitingOrderSelect
+ * @param {Object} overrides - Campos a reemplazar
+ * @returns {Object} Pedido
+ */
+const buildOrder = (overrides = {}) => ({
+  id: 500n,
+  status: 'placed',
+  fulfillmentType: 'delivery',
+  customerId: 1,
+  restaurantId: 3,
+  paymentStatus: 'completed',
+  total: '250.00',
+  orderPlacedAt: minutesAgo(1),
+  acceptanceReminderSentAt: null,
+  payment: { id: 80n, provider: 'mercadopago', status: 'completed' },
+  restaurant: { id: 3, name: 'Pizzería', ownerId: 20, config: { autoAcceptOrders: false } },
+  statusHistory: [],
+  ...overrides
+});
+
+/**
+ * Crea un cliente de transacción; conflict simula que otro proceso cambió el pedido antes
+ * @param {boolean} [conflict]
+ * @returns {Object} Transacción simulada
+ */
+const createTx = (conflict = false) => ({
+  order: { updateMany: jest.fn(async () => ({ count: conflict ? 0 : 1 })) },
+  orderStatusHistory: { create: jest.fn(async ({ data }) => ({ id: 1, ...data })) },
+  payment: { update: jest.fn() },
+  notification: { createMany: jest.fn(), create: jest.fn() },
+  auditLog: { create: jest.fn() },
+  restaurantConfig: { update: jest.fn() },
+  restaurant: { update: jest.fn() }
+});
+
+describe('OrderAcceptanceService - Aceptación de pedidos', () => {
+  let tx;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: NOW });
+    tx = createTx();
+    prisma.$transaction.mockImplementation(async (callback) => callback(tx));
+    prisma.restaurantConfig.upsert.mockResolvedValue({ consecutiveMissedOrders: 1 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('1. autoAcceptIfEnabled', () => {
+    test('Sin aceptación automática el pedido espera al restaurante', async () => {
+      prisma.order.findUnique.mockResolvedValue(buildOrder());
+
+      await expect(OrderAcceptanceService.autoAcceptIfEnabled(500n)).resolves.toBe(false);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('Con aceptación automática confirma el pedido y su stock', async () => {
+      prisma.order.findUnique.mockResolvedValue(buildOrder({
+        restaurant: { id: 3, name: 'Pizzería', ownerId: 20, config: { autoAcceptOrders: true } }
+      }));
+
+      await expect(OrderAcceptanceService.autoAcceptIfEnabled(500n, 'req-1')).resolves.toBe(true);
+      expect(tx.order.updateMany).toHaveBeenCalledWith({
+        where: { id: 500n, status: 'placed' },
+        data: expect.objectContaining({ status: 'confirmed', orderConfirmedAt: expect.any(Date) })
+      });
+      expect(StockService.commitOrderStock).toHaveBeenCalledWith(tx, 500n, null, 'req-1');
+    });
+
+    test('Un pedido en efectivo pendiente también espera aceptación; uno en línea pendiente no', async () => {
+      const autoAccept = { id: 3, name: 'Pizzería', ownerId: 20, config: { autoAcceptOrders: true } };
+
+      prisma.order.findUnique.mockResolvedValue(buildOrder({
+        status: 'pending',
+        paymentStatus: 'pending',
+        payment: { id: 80n, provider: 'cash', status: 'pending' },
+        restaurant: autoAccept
+      }));
+      await expect(OrderAcceptanceService.autoAcceptIfEnabled(500n)).resolves.toBe(true);
+
+      prisma.order.findUnique.mockResolvedValue(buildOrder({
+        status: 'pending',
+        paymentStatus: 'pending',
+        payment: { id: 80n, provider: 'mercadopago', status: 'pending' },
+        restaurant: autoAccept
+      }));
+      await expect(OrderAcceptanceService.autoAcceptIfEnabled(500n)).resolves.toBe(false);
+    });
+
+    test('Si el pedido cambió antes de confirmarlo no se acepta ni se notifica', async () => {
+      tx = createTx(true);
+      prisma.order.findUnique.mockResolvedValue(buildOrder({
+        restaurant: { id: 3, name: 'Pizzería', ownerId: 20, config: { autoAcceptOrders: true } }
+      }));
+
+      await expect(OrderAcceptanceService.autoAcceptIfEnabled(500n)).resolves.toBe(false);
+      expect(StockService.commitOrderStock).not.toHaveBeenCalled();
+      expect(getIo).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('2. processAwaitingOrders - recordatorio y cancelación por tiempo', () => {
+    test('Un pedido reciente no recibe recordatorio', async () => {
+      prisma.order.findMany.mockResolvedValue([buildOrder({ orderPlacedAt: minutesAgo(3) })]);
+
+      const summary = await OrderAcceptanceService.processAwaitingOrders();
+
+      expect(summary).toEqual({ checked: 1, autoAccepted: 0, reminded: 0, cancelled: 0, errors: 0 });
+      expect(prisma.order.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('A los 5 minutos sin aceptar se recuerda al restaurante', async () => {
+      const order = buildOrder({ orderPlacedAt: minutesAgo(6) });
+      prisma.order.findMany.mockResolvedValue([order]);
+      prisma.order.updateMany.mockResolvedValue({ count: 1 });
+
+      const summary = await OrderAcceptanceService.processAwaitingOrders();
+
+      expect(summary.reminded).toBe(1);
+      // La marca anterior condiciona la actualización para no duplicar el recordatorio
+      expect(prisma.order.updateMany).toHaveBeenCalledWith({
+        where: { id: 500n, status: 'placed', acceptanceReminderSentAt: null },
+        data: { acceptanceReminderSentAt: NOW }
+      });
+      expect(getIo().emit).toHaveBeenCalledWith('ORDER_ACCEPTANCE_REMINDER', expect.objectContaining({
+        data: expect.objectContaining({ waitingMinutes: 6, autoCancelAt: minutesAgo(-9).toISOString() })
+      }));
+    });
+
+    test('No repite el recordatorio antes de otros 5 minutos', async () => {
+      prisma.order.findMany.mockResolvedValue([buildOrder({
+        orderPlacedAt: minutesAgo(8),
+        acceptanceReminderSentAt: minutesAgo(2)
+      })]);
+
+      const summary = await OrderAcceptanceService.processAwaitingOrders();
+
+      expect(summary.reminded).toBe(0);
+      expect(prisma.order.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('A los 15 minutos cancela, libera cupón y stock, y reembolsa el pago en línea', async () => {
+      prisma.order.findMany.mockResolvedValue([buildOrder({ orderPlacedAt: minutesAgo(16) })]);
+
+      const summary = await OrderAcceptanceService.processAwaitingOrders('req-1');
+
+      expect(summary.cancelled).toBe(1);
+      expect(tx.order.updateMany).toHaveBeenCalledWith({
+        where: { id: 500n, status: 'placed' },
+        data: expect.objectContaining({
+          status: 'cancelled',
+          rejectionReason: 'El restaurante no aceptó el pedido a tiempo'
+        })
+      });
+      expect(CouponService.releaseRedemption).toHaveBeenCalledWith(tx, 500n, 'req-1');
+      expect(StockService.releaseOrderStock).toHaveBeenCalledWith(tx, 500n, 'req-1');
+      expect(tx.payment.update).not.toHaveBeenCalled();
+      expect(RefundService.createRefund).toHaveBeenCalledWith(500n, expect.objectContaining({
+        type: 'full',
+        reason: 'RESTAURANT_CANCELLED'
+      }), null, 'req-1');
+      expect(prisma.restaurantConfig.upsert).toHaveBeenCalled();
+    });
+
+    test('Un pedido en efectivo cancelado por tiempo cancela su pago y no se reembolsa', async () => {
+      prisma.order.findMany.mockResolvedValue([buildOrder({
+        status: 'pending',
+        paymentStatus: 'pending',
+        orderPlacedAt: minutesAgo(20),
+        payment: { id: 80n, provider: 'cash', status: 'pending' }
+      })]);
+
+      await OrderAcceptanceService.processAwaitingOrders();
+
+      expect(tx.order.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ status: 'cancelled', paymentStatus: 'cancelled' })
+      }));
+      expect(tx.payment.update).toHaveBeenCalledWith({ where: { id: 80n }, data: { status: 'cancelled' } });
+      expect(RefundService.createRefund).not.toHaveBeenCalled();
+    });
+
+    test('Un programado cuenta el tiempo desde que se liberó, no desde que se creó', async () => {
+      prisma.order.findMany.mockResolvedValue([buildOrder({
+        orderPlacedAt: minutesAgo(180),
+        statusHistory: [{ toStatus: 'placed', createdAt: minutesAgo(2) }]
+      })]);
+
+      const summary = await OrderAcceptanceService.processAwaitingOrders();
+
+      expect(summary).toEqual(expect.objectContaining({ cancelled: 0, reminded: 0 }));
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('Si el restaurante lo aceptó mientras se cancelaba, no cuenta como vencido', async () => {
+      tx = createTx(true);
+      prisma.order.findMany.mockResolvedValue([buildOrder({ orderPlacedAt: minutesAgo(16) })]);
+
+      const summary = await OrderAcceptanceService.processAwaitingOrders();
+
+      expect(summary.cancelled).toBe(0);
+      expect(summary.errors).toBe(0);
+      expect(StockService.releaseOrderStock).not.toHaveBeenCalled();
+      expect(prisma.restaurantConfig.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('3. registerMissedOrder', () => {
+    const restaurant = { id: 3, name: 'Pizzería', ownerId: 20 };
+
+    test('Debajo del umbral solo suma a la racha', async () => {
+      prisma.restaurantConfig.upsert.mockResolvedValue({ consecutiveMissedOrders: 2 });
+
+      const result = await OrderAcceptanceService.registerMissedOrder(restaurant);
+
+      expect(result).toEqual({ consecutiveMissedOrders: 2, flagged: false, paused: false });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('Al llegar al umbral marca al restaurante y avisa al owner', async () => {
+      prisma.restaurantConfig.upsert.mockResolvedValue({ consecutiveMissedOrders: 3 });
+
+      const result = await OrderAcceptanceService.registerMissedOrder(restaurant);
+
+      expect(result).toEqual({ consecutiveMissedOrders: 3, flagged: true, paused: false });
+      expect(tx.restaurantConfig.update).toHaveBeenCalledWith({
+        where: { restaurantId: 3 },
+        data: { missedOrdersFlaggedAt: NOW }
+      });
+      // Sin ORDER_ACCEPTANCE_PAUSE_ON_MISSES el restaurante sigue recibiendo pedidos
+      expect(tx.restaurant.update).not.toHaveBeenCalled();
+      expect(tx.notification.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ userId: 20, title: 'Pedidos sin aceptar' })
+      });
+    });
+  });
+});
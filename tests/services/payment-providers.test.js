@@ -0,0 +1,213 @@
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    payment: { findUnique: jest.fn() },
+    orderTip: { findUnique: jest.fn() }
+  }
+}));
+jest.mock('../../src/config/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('uuid', () => ({ v4: jest.fn(() => '9b2f7c1e') }));
+
+const { prisma } = require('../../src/config/database');
+const PaymentProviderRegistry = require('../../src/services/payment-providers');
+const PaymentProvider = require('../../src/services/payment-providers/payment-provider');
+const SandboxProvider = require('../../src/services/payment-providers/sandbox.provider');
+
+const ORIGINAL_ENV = { ...process.env };
+
+/**
+ * Proveedor mínimo para probar el registro sin SDK externo
+ */
+class FakeProvider extends PaymentProvider {
+  constructor(enabled = true) {
+    super('fake');
+    this.enabled = enabled;
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+}
+
+describe('Proveedores de pago', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...ORIGINAL_ENV, NODE_ENV: 'test' };
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  describe('1. PaymentProviderRegistry', () => {
+    test('Debe rechazar un proveedor no registrado', () => {
+      expect(PaymentProviderRegistry.hasProvider('oxxo')).toBe(false);
+      expect(() => PaymentProviderRegistry.getProvider('oxxo')).toThrow(expect.objectContaining({
+        status: 400,
+        code: 'PAYMENT_PROVIDER_NOT_SUPPORTED'
+      }));
+    });
+
+    test('Un proveedor se crea una sola vez y se reutiliza', () => {
+      const factory = jest.fn(() => new FakeProvider());
+      PaymentProviderRegistry.registerProvider('fake', factory);
+
+      const first = PaymentProviderRegistry.getProvider('fake');
+      const second = PaymentProviderRegistry.getProvider('fake');
+
+      expect(first).toBe(second);
+      expect(factory).toHaveBeenCalledTimes(1);
+      expect(PaymentProviderRegistry.getProviderNames()).toEqual(expect.arrayContaining(['mercadopago', 'sandbox', 'fake']));
+    });
+
+    test('Registrar de nuevo un proveedor descarta la instancia anterior', () => {
+      PaymentProviderRegistry.registerProvider('fake', () => new FakeProvider());
+      const first = PaymentProviderRegistry.getProvider('fake');
+
+      PaymentProviderRegistry.registerProvider('fake', () => new FakeProvider());
+
+      expect(PaymentProviderRegistry.getProvider('fake')).not.toBe(first);
+    });
+
+    test('El proveedor de checkout se elige con PAYMENT_PROVIDER', () => {
+      process.env.PAYMENT_PROVIDER = 'sandbox';
+
+      expect(PaymentProviderRegistry.getCheckoutProvider().name).toBe('sandbox');
+    });
+
+    test('Un proveedor de checkout deshabilitado responde 503', () => {
+      PaymentProviderRegistry.registerProvider('fake', () => new FakeProvider(false));
+      process.env.PAYMENT_PROVIDER = 'fake';
+
+      expect(() => PaymentProviderRegistry.getCheckoutProvider()).toThrow(expect.objectContaining({
+        status: 503,
+        code: 'PAYMENT_PROVIDER_UNAVAILABLE'
+      }));
+    });
+
+    test('La interfaz base indica el método que el proveedor no implementa', async () => {
+      await expect(new FakeProvider().refund({}))
+        .rejects.toThrow('fake: refund no implementado');
+    });
+  });
+
+  describe('2. SandboxProvider', () => {
+    const sandbox = new SandboxProvider();
+
+    beforeEach(() => {
+      jest.spyOn(sandbox, 'scheduleNotification').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    });
+
+    test('No se permite en producción', () => {
+      expect(sandbox.isEnabled()).toBe(true);
+
+      process.env.NODE_ENV = 'production';
+
+      expect(sandbox.isEnabled()).toBe(false);
+      expect(sandbox.parseWebhook({ body: { data: { id: 'x' } } })).toEqual(expect.objectContaining({
+        valid: false,
+        reason: 'Proveedor sandbox deshabilitado'
+      }));
+    });
+
+    test.each([
+      ['approve', 'success', 2],
+      ['reject', 'failure', 2],
+      ['delay', 'pending', 121]
+    ])('El escenario %s viaja en la referencia y regresa a payment/%s', async (scenario, resultPath, notifySeconds) => {
+      const checkout = await sandbox.createCheckout({ kind: 'order', orderId: 500n, options: { sandboxScenario: scenario } });
+
+      expect(checkout.externalReference).toBe(`delixmi_sbx-${scenario}_9b2f7c1e`);
+      expect(checkout.checkoutId).toBe(checkout.externalReference);
+      expect(checkout.checkoutUrl).toBe(`delixmi://payment/${resultPath}?external_reference=${checkout.externalReference}`);
+      expect(sandbox.scheduleNotification).toHaveBeenCalledWith(checkout.externalReference, notifySeconds);
+    });
+
+    test('Una referencia que no es del sandbox no tiene pago', async () => {
+      await expect(sandbox.findPaymentByReference('delixmi_abc')).resolves.toBeNull();
+      expect(prisma.payment.findUnique).not.toHaveBeenCalled();
+    });
+
+    test('Debe aprobar o rechazar según el escenario', async () => {
+      prisma.payment.findUnique.mockResolvedValue({ amount: '250.00', createdAt: new Date() });
+
+      await expect(sandbox.findPaymentByReference('delixmi_sbx-approve_1')).resolves.toEqual({
+        id: 'delixmi_sbx-approve_1',
+        externalReference: 'delixmi_sbx-approve_1',
+        status: 'completed',
+        providerStatus: 'approved',
+        amount: 250
+      });
+      await expect(sandbox.findPaymentByReference('delixmi_sbx-reject_1')).resolves.toEqual(expect.objectContaining({
+        status: 'failed',
+        providerStatus: 'rejected'
+      }));
+    });
+
+    test('Un pago demorado queda en proceso hasta que pasa el tiempo de espera', async () => {
+      const createdAt = new Date('2025-12-23T16:00:00.000Z');
+      prisma.payment.findUnique.mockResolvedValue({ amount: '250.00', createdAt });
+
+      jest.useFakeTimers({ now: new Date(createdAt.getTime() + 60 * 1000) });
+      await expect(sandbox.findPaymentByReference('delixmi_sbx-delay_1')).resolves.toEqual(expect.objectContaining({
+        status: 'processing',
+        providerStatus: 'in_process'
+      }));
+
+      jest.setSystemTime(new Date(createdAt.getTime() + 121 * 1000));
+      await expect(sandbox.findPaymentByReference('delixmi_sbx-delay_1')).resolves.toEqual(expect.objectContaining({
+        status: 'completed'
+      }));
+    });
+
+    test('Debe buscar también las propinas cobradas con el sandbox', async () => {
+      prisma.payment.findUnique.mockResolvedValue(null);
+      prisma.orderTip.findUnique.mockResolvedValue({ amount: '20.00', createdAt: new Date() });
+
+      const payment = await sandbox.getPayment('delixmi_sbx-approve_2');
+
+      expect(prisma.orderTip.findUnique).toHaveBeenCalledWith(expect.objectContaining({
+        where: { providerPaymentId: 'delixmi_sbx-approve_2' }
+      }));
+      expect(payment.amount).toBe(20);
+    });
+
+    test('getPayment falla si la referencia no tiene registro', async () => {
+      prisma.payment.findUnique.mockResolvedValue(null);
+      prisma.orderTip.findUnique.mockResolvedValue(null);
+
+      await expect(sandbox.getPayment('delixmi_sbx-approve_3'))
+        .rejects.toThrow('Pago sandbox no encontrado: delixmi_sbx-approve_3');
+    });
+
+    test('El reembolso es idempotente por llave y no aplica a pagos rechazados', async () => {
+      const refund = await sandbox.refund({ externalReference: 'delixmi_sbx-approve_1', amount: '75.5', idempotencyKey: 'refund-9' });
+
+      expect(refund).toEqual({ id: 'sbx_refund_refund-9', status: 'approved', amount: 75.5 });
+      await expect(sandbox.refund({ externalReference: 'delixmi_sbx-reject_1', amount: 10, idempotencyKey: 'refund-10' }))
+        .rejects.toThrow('El pago sandbox fue rechazado; no hay nada que reembolsar');
+    });
+
+    test('Debe normalizar la notificación simulada', () => {
+      const webhook = sandbox.parseWebhook({
+        body: { id: 'sbx_evt_1', type: 'payment', action: 'payment.updated', data: { id: 'delixmi_sbx-approve_1' } }
+      });
+
+      expect(webhook).toEqual({
+        valid: true,
+        reason: null,
+        eventId: 'sbx_evt_1',
+        eventType: 'payment',
+        action: 'payment.updated',
+        resourceId: 'delixmi_sbx-approve_1',
+        providerRequestId: null
+      });
+    });
+  });
+});
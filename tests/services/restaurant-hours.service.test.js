@@ -0,0 +1,258 @@
+jest.mock('../../src/config/database', () => ({ prisma: {} }));
+jest.mock('../../src/config/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const RestaurantHoursService = require('../../src/services/restaurant-hours.service');
+
+/**
+ * Construye una fecha en hora local de México (UTC-6)
+ * @param {string} localDateTime - "YYYY-MM-DDTHH:MM"
+ * @returns {Date}
+ */
+const mx = (localDateTime) => new Date(`${localDateTime}:00-06:00`);
+
+/**
+ * Construye una excepción como la devuelve Prisma (columnas DATE a medianoche UTC)
+ * @param {Object} data - startDate, endDate y el resto de campos
+ * @returns {Object}
+ */
+const exception = ({ startDate, endDate = startDate, ...rest }) => ({
+  id: 1,
+  startDate: new Date(`${startDate}T00:00:00.000Z`),
+  endDate: new Date(`${endDate}T00:00:00.000Z`),
+  isClosed: true,
+  openTime: null,
+  closeTime: null,
+  reason: null,
+  ...rest
+});
+
+// Lunes a domingo de 08:00 a 22:00
+const weeklySchedules = [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({
+  dayOfWeek,
+  openTime: '08:00:00',
+  closeTime: '22:00:00'
+}));
+
+describe('RestaurantHoursService.resolveStatus - Horario del restaurante', () => {
+  describe('1. Horario semanal', () => {
+    test('Debe estar abierto dentro del horario y cerrar a la hora indicada', () => {
+      const status = RestaurantHoursService.resolveStatus({ schedules: weeklySchedules }, mx('2025-12-24T12:00'));
+
+      expect(status).toEqual(expect.objectContaining({
+        isOpen: true,
+        reason: 'open',
+        date: '2025-12-24',
+        hours: [{ openTime: '08:00', closeTime: '22:00' }],
+        exception: null,
+        closesAt: '22:00',
+        opensAt: null
+      }));
+    });
+
+    test('Antes de abrir debe indicar a qué hora abre hoy', () => {
+      const status = RestaurantHoursService.resolveStatus({ schedules: weeklySchedules }, mx('2025-12-24T07:30'));
+
+      expect(status.isOpen).toBe(false);
+      expect(status.reason).toBe('outside_hours');
+      expect(status.opensAt).toBe('08:00');
+    });
+
+    test('La hora de cierre no está incluida', () => {
+      const status = RestaurantHoursService.resolveStatus({ schedules: weeklySchedules }, mx('2025-12-24T22:00'));
+
+      expect(status.reason).toBe('outside_hours');
+      expect(status.opensAt).toBeNull();
+    });
+
+    test('Debe usar la fecha local de México y no la de UTC', () => {
+      // 23:30 del 24 en México son las 05:30 del 25 en UTC
+      const status = RestaurantHoursService.resolveStatus(
+        { schedules: [{ dayOfWeek: 3, openTime: '08:00', closeTime: '23:59' }] },
+        mx('2025-12-24T23:30')
+      );
+
+      expect(status.date).toBe('2025-12-24');
+      expect(status.isOpen).toBe(true);
+    });
+
+    test('Sin horario semanal debe indicar no_schedule', () => {
+      const status = RestaurantHoursService.resolveStatus({ schedules: [] }, mx('2025-12-24T12:00'));
+
+      expect(status.isOpen).toBe(false);
+      expect(status.reason).toBe('no_schedule');
+    });
+
+    test('La pausa cierra al restaurante aunque esté en horario', () => {
+      const status = RestaurantHoursService.resolveStatus(
+        { isGloballyOpen: false, schedules: weeklySchedules },
+        mx('2025-12-24T12:00')
+      );
+
+      expect(status.isOpen).toBe(false);
+      expect(status.reason).toBe('paused');
+      expect(status.closesAt).toBeNull();
+    });
+  });
+
+  describe('2. Horario que cruza la medianoche', () => {
+    // Viernes de 20:00 a 02:00 del sábado
+    const overnightSchedules = [{ dayOfWeek: 5, openTime: '20:00', closeTime: '02:00' }];
+
+    test('Debe estar abierto el viernes después de abrir', () => {
+      const status = RestaurantHoursService.resolveStatus({ schedules: overnightSchedules }, mx('2025-11-21T23:00'));
+
+      expect(status.isOpen).toBe(true);
+      expect(status.closesAt).toBe('02:00');
+    });
+
+    test('Debe seguir abierto el sábado de madrugada por el rango del viernes', () => {
+      const status = RestaurantHoursService.resolveStatus({ schedules: overnightSchedules }, mx('2025-11-22T01:30'));
+
+      expect(status.isOpen).toBe(true);
+      expect(status.date).toBe('2025-11-22');
+      expect(status.closesAt).toBe('02:00');
+    });
+
+    test('Debe cerrar el sábado a las 02:00', () => {
+      const status = RestaurantHoursService.resolveStatus({ schedules: overnightSchedules }, mx('2025-11-22T02:30'));
+
+      expect(status.isOpen).toBe(false);
+      expect(status.reason).toBe('outside_hours');
+    });
+
+    test('El viernes antes de abrir debe indicar la apertura', () => {
+      const status = RestaurantHoursService.resolveStatus({ schedules: overnightSchedules }, mx('2025-11-21T19:00'));
+
+      expect(status.isOpen).toBe(false);
+      expect(status.opensAt).toBe('20:00');
+    });
+
+    test('isWithinWeeklySchedule aplica la misma regla', () => {
+      expect(RestaurantHoursService.isWithinWeeklySchedule(overnightSchedules, mx('2025-11-22T01:30'))).toBe(true);
+      expect(RestaurantHoursService.isWithinWeeklySchedule(overnightSchedules, mx('2025-11-22T02:30'))).toBe(false);
+    });
+  });
+
+  describe('3. Excepción de cierre', () => {
+    const christmas = exception({ startDate: '2025-12-25', reason: 'Navidad' });
+
+    test('Un cierre reemplaza al horario semanal de ese día', () => {
+      const status = RestaurantHoursService.resolveStatus(
+        { schedules: weeklySchedules, exceptions: [christmas] },
+        mx('2025-12-25T12:00')
+      );
+
+      expect(status.isOpen).toBe(false);
+      expect(status.reason).toBe('closed_exception');
+      expect(status.hours).toEqual([]);
+      expect(status.exception).toEqual(expect.objectContaining({
+        startDate: '2025-12-25',
+        endDate: '2025-12-25',
+        isClosed: true,
+        reason: 'Navidad'
+      }));
+    });
+
+    test('El cierre no afecta los días fuera de su rango', () => {
+      const status = RestaurantHoursService.resolveStatus(
+        { schedules: weeklySchedules, exceptions: [christmas] },
+        mx('2025-12-26T12:00')
+      );
+
+      expect(status.isOpen).toBe(true);
+      expect(status.exception).toBeNull();
+    });
+
+    test('Un cierre de varios días cubre ambas fechas, inclusivas', () => {
+      const vacation = exception({ startDate: '2026-01-05', endDate: '2026-01-18', reason: 'Vacaciones' });
+
+      for (const day of ['2026-01-05', '2026-01-12', '2026-01-18']) {
+        const status = RestaurantHoursService.resolveStatus(
+          { schedules: weeklySchedules, exceptions: [vacation] },
+          mx(`${day}T12:00`)
+        );
+        expect(status.reason).toBe('closed_exception');
+      }
+
+      const after = RestaurantHoursService.resolveStatus(
+        { schedules: weeklySchedules, exceptions: [vacation] },
+        mx('2026-01-19T12:00')
+      );
+      expect(after.isOpen).toBe(true);
+    });
+
+    test('Un cierre termina el rango semanal nocturno del día anterior a su hora', () => {
+      // Jueves 25 cerrado; el miércoles 24 abre de 20:00 a 02:00
+      const status = RestaurantHoursService.resolveStatus(
+        {
+          schedules: [{ dayOfWeek: 3, openTime: '20:00', closeTime: '02:00' }],
+          exceptions: [christmas]
+        },
+        mx('2025-12-25T01:00')
+      );
+
+      expect(status.isOpen).toBe(true);
+      expect(status.exception.reason).toBe('Navidad');
+    });
+  });
+
+  describe('4. Excepción de horario especial', () => {
+    const christmasEve = exception({
+      startDate: '2025-12-24',
+      isClosed: false,
+      openTime: '20:00:00',
+      closeTime: '02:00:00',
+      reason: 'Nochebuena'
+    });
+
+    test('El horario especial reemplaza al semanal: cerrado a mediodía aunque el semanal abra', () => {
+      const status = RestaurantHoursService.resolveStatus(
+        { schedules: weeklySchedules, exceptions: [christmasEve] },
+        mx('2025-12-24T12:00')
+      );
+
+      expect(status.isOpen).toBe(false);
+      expect(status.reason).toBe('outside_hours');
+      expect(status.hours).toEqual([{ openTime: '20:00', closeTime: '02:00' }]);
+      expect(status.opensAt).toBe('20:00');
+      expect(status.exception.reason).toBe('Nochebuena');
+    });
+
+    test('Debe estar abierto dentro del horario especial', () => {
+      const status = RestaurantHoursService.resolveStatus(
+        { schedules: weeklySchedules, exceptions: [christmasEve] },
+        mx('2025-12-24T21:00')
+      );
+
+      expect(status.isOpen).toBe(true);
+      expect(status.closesAt).toBe('02:00');
+    });
+
+    test('El horario especial nocturno cubre la madrugada siguiente aunque ese día sea un cierre', () => {
+      const christmas = exception({ id: 2, startDate: '2025-12-25', reason: 'Navidad' });
+
+      const duringEve = RestaurantHoursService.resolveStatus(
+        { schedules: weeklySchedules, exceptions: [christmasEve, christmas] },
+        mx('2025-12-25T01:30')
+      );
+      expect(duringEve.isOpen).toBe(true);
+
+      const afterEve = RestaurantHoursService.resolveStatus(
+        { schedules: weeklySchedules, exceptions: [christmasEve, christmas] },
+        mx('2025-12-25T02:30')
+      );
+      expect(afterEve.reason).toBe('closed_exception');
+    });
+
+    test('La pausa tiene prioridad sobre el horario especial', () => {
+      const status = RestaurantHoursService.resolveStatus(
+        { isGloballyOpen: false, schedules: weeklySchedules, exceptions: [christmasEve] },
+        mx('2025-12-24T21:00')
+      );
+
+      expect(status.reason).toBe('paused');
+    });
+  });
+});
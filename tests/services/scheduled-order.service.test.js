@@ -0,0 +1,205 @@
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    order: { findMany: jest.fn(), findUnique: jest.fn() },
+    $transaction: jest.fn()
+  }
+}));
+jest.mock('../../src/config/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../../src/services/notification.service', () => ({
+  notifyScheduledOrderReleased: jest.fn()
+}));
+jest.mock('../../src/services/order-status.service', () => ({
+  recordTransition: jest.fn()
+}));
+jest.mock('../../src/services/order-acceptance.service', () => ({
+  autoAcceptIfEnabled: jest.fn()
+}));
+
+const { prisma } = require('../../src/config/database');
+const NotificationService = require('../../src/services/notification.service');
+const OrderStatusService = require('../../src/services/order-status.service');
+const OrderAcceptanceService = require('../../src/services/order-acceptance.service');
+const RestaurantHoursService = require('../../src/services/restaurant-hours.service');
+const ScheduledOrderService = require('../../src/services/scheduled-order.service');
+
+/**
+ * Construye una fecha en hora local de México (UTC-6)
+ * @param {string} localDateTime - "YYYY-MM-DDTHH:MM"
+ * @returns {Date}
+ */
+const mx = (localDateTime) => new Date(`${localDateTime}:00-06:00`);
+
+const RESTAURANT_ID = 3;
+
+// Lunes a domingo de 08:00 a 22:00
+const weeklySchedules = [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({
+  dayOfWeek,
+  openTime: '08:00:00',
+  closeTime: '22:00:00'
+}));
+
+// Preparación + traslado de hasta 40 minutos, 15 de ellos en camino; con el margen de 10, se libera 50 minutos antes
+const estimatedDeliveryTime = { minMinutes: 30, maxMinutes: 40, travelTime: 15 };
+
+/**
+ * Simula las horas del restaurante que carga RestaurantHoursService.loadHours
+ * @param {Object} hours - schedules y exceptions
+ */
+const mockHours = ({ schedules = weeklySchedules, exceptions = [] } = {}) => {
+  jest.spyOn(RestaurantHoursService, 'loadHours').mockResolvedValue(
+    new Map([[RESTAURANT_ID, { id: RESTAURANT_ID, isGloballyOpen: true, schedules, exceptions }]])
+  );
+};
+
+describe('ScheduledOrderService - Pedidos programados', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: mx('2025-12-23T10:00') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('1. validateScheduledSlot', () => {
+    test('Debe calcular la hora de liberación restando preparación, traslado y margen', async () => {
+      mockHours();
+
+      const result = await ScheduledOrderService.validateScheduledSlot(
+        RESTAURANT_ID,
+        mx('2025-12-23T14:00').toISOString(),
+        estimatedDeliveryTime
+      );
+
+      expect(result.scheduledFor).toEqual(mx('2025-12-23T14:00'));
+      expect(result.releaseAt).toEqual(mx('2025-12-23T13:10'));
+    });
+
+    test('Debe rechazar una hora que no deja tiempo de preparar el pedido', async () => {
+      mockHours();
+
+      await expect(ScheduledOrderService.validateScheduledSlot(RESTAURANT_ID, mx('2025-12-23T10:30'), estimatedDeliveryTime))
+        .rejects.toMatchObject({
+          status: 409,
+          code: 'SCHEDULED_TIME_TOO_SOON',
+          details: { earliestScheduledFor: mx('2025-12-23T11:00') }
+        });
+    });
+
+    test('Debe rechazar una hora más allá de los días permitidos', async () => {
+      mockHours();
+
+      await expect(ScheduledOrderService.validateScheduledSlot(RESTAURANT_ID, mx('2025-12-31T12:00'), estimatedDeliveryTime))
+        .rejects.toMatchObject({ status: 409, code: 'SCHEDULED_TIME_TOO_FAR' });
+    });
+
+    test('Un restaurante sin horario semanal no acepta pedidos programados', async () => {
+      mockHours({ schedules: [] });
+
+      await expect(ScheduledOrderService.validateScheduledSlot(RESTAURANT_ID, mx('2025-12-23T14:00'), estimatedDeliveryTime))
+        .rejects.toMatchObject({ status: 409, code: 'RESTAURANT_SCHEDULE_NOT_CONFIGURED' });
+    });
+
+    test('El restaurante debe estar abierto cuando empieza a preparar el pedido', async () => {
+      mockHours();
+
+      // Entrega a las 08:30: habría que empezar a preparar a las 07:40, antes de abrir
+      await expect(ScheduledOrderService.validateScheduledSlot(RESTAURANT_ID, mx('2025-12-24T08:30'), estimatedDeliveryTime))
+        .rejects.toMatchObject({
+          status: 409,
+          code: 'SCHEDULED_TIME_OUTSIDE_HOURS',
+          message: 'El restaurante está cerrado a la hora programada',
+          details: { preparationStartsAt: mx('2025-12-24T07:40') }
+        });
+    });
+
+    test('Debe rechazar una fecha con cierre por excepción indicando el motivo', async () => {
+      mockHours({
+        exceptions: [{
+          id: 1,
+          startDate: new Date('2025-12-25T00:00:00.000Z'),
+          endDate: new Date('2025-12-25T00:00:00.000Z'),
+          isClosed: true,
+          openTime: null,
+          closeTime: null,
+          reason: 'Navidad'
+        }]
+      });
+
+      const error = await ScheduledOrderService
+        .validateScheduledSlot(RESTAURANT_ID, mx('2025-12-25T14:00'), estimatedDeliveryTime)
+        .catch(err => err);
+
+      expect(error.code).toBe('SCHEDULED_TIME_OUTSIDE_HOURS');
+      expect(error.message).toBe('El restaurante está cerrado en la fecha programada: Navidad');
+      expect(error.details.exception).toEqual(expect.objectContaining({ startDate: '2025-12-25', reason: 'Navidad' }));
+    });
+  });
+
+  describe('2. isHeld', () => {
+    test('Un pedido se retiene hasta su hora de liberación', () => {
+      expect(ScheduledOrderService.isHeld({ scheduledReleaseAt: mx('2025-12-23T13:10') })).toBe(true);
+      expect(ScheduledOrderService.isHeld({ scheduledReleaseAt: mx('2025-12-23T09:00') })).toBe(false);
+    });
+
+    test('Un pedido inmediato nunca se retiene', () => {
+      expect(ScheduledOrderService.isHeld({ scheduledReleaseAt: null })).toBe(false);
+    });
+  });
+
+  describe('3. releaseDueOrders', () => {
+    /**
+     * Crea una transacción simulada; claimed indica si el pedido seguía programado
+     * @param {boolean} claimed
+     * @returns {Object}
+     */
+    const createTx = (claimed) => ({
+      order: { updateMany: jest.fn(async () => ({ count: claimed ? 1 : 0 })) }
+    });
+
+    test('Debe liberar los pagados con tarjeta a placed y los de efectivo a pending', async () => {
+      const txs = [createTx(true), createTx(true)];
+      prisma.order.findMany.mockResolvedValue([
+        { id: 1n, paymentStatus: 'completed' },
+        { id: 2n, paymentStatus: 'pending' }
+      ]);
+      prisma.$transaction.mockImplementation(async (callback) => callback(txs.shift()));
+      prisma.order.findUnique.mockImplementation(async ({ where }) => ({ id: where.id }));
+
+      const released = await ScheduledOrderService.releaseDueOrders();
+
+      expect(released).toBe(2);
+      expect(OrderStatusService.recordTransition).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ orderId: 1n, fromStatus: 'scheduled', toStatus: 'placed', source: 'system' }),
+        null
+      );
+      expect(OrderStatusService.recordTransition).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ orderId: 2n, toStatus: 'pending' }),
+        null
+      );
+      expect(NotificationService.notifyScheduledOrderReleased).toHaveBeenCalledTimes(2);
+      expect(OrderAcceptanceService.autoAcceptIfEnabled).toHaveBeenCalledWith(1n, null);
+    });
+
+    test('Un pedido cancelado mientras estaba programado no se libera', async () => {
+      const tx = createTx(false);
+      prisma.order.findMany.mockResolvedValue([{ id: 1n, paymentStatus: 'completed' }]);
+      prisma.$transaction.mockImplementation(async (callback) => callback(tx));
+
+      const released = await ScheduledOrderService.releaseDueOrders();
+
+      expect(released).toBe(0);
+      expect(tx.order.updateMany).toHaveBeenCalledWith({
+        where: { id: 1n, status: 'scheduled' },
+        data: { status: 'placed' }
+      });
+      expect(OrderStatusService.recordTransition).not.toHaveBeenCalled();
+      expect(NotificationService.notifyScheduledOrderReleased).not.toHaveBeenCalled();
+    });
+  });
+});
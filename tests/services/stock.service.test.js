@@ -0,0 +1,230 @@
+jest.mock('../../src/config/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../../src/config/socket', () => {
+  const io = { to: jest.fn(() => io), emit: jest.fn() };
+  return { getIo: jest.fn(() => io) };
+});
+
+const { getIo } = require('../../src/config/socket');
+const StockService = require('../../src/services/stock.service');
+
+/**
+ * Construye un producto con stockProductSelect
+ * @param {Object} overrides - Campos a reemplazar
+ * @returns {Object} Producto
+ */
+const buildProduct = (overrides = {}) => ({
+  id: 10,
+  name: 'Pizza Hawaiana',
+  restaurantId: 3,
+  trackStock: true,
+  stockQuantity: 20,
+  lowStockThreshold: null,
+  isAvailable: true,
+  outOfStockAt: null,
+  ...overrides
+});
+
+/**
+ * Crea un cliente de transacción con un inventario en memoria
+ * La actualización condicionada se comporta como la de la base: solo descuenta si alcanza.
+ * @param {Array<Object>} products - Productos del inventario
+ * @param {Array<Object>} [reservations] - Stock apartado existente
+ * @returns {Object} Transacción simulada
+ */
+const createTx = (products, reservations = []) => {
+  const inventory = new Map(products.map(product => [product.id, { ...product }]));
+
+  return {
+    inventory,
+    product: {
+      findMany: jest.fn(async ({ where }) => [...inventory.values()]
+        .filter(product => where.id.in.includes(product.id) && product.trackStock)),
+      findUnique: jest.fn(async ({ where }) => ({ ...inventory.get(where.id) })),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const product = inventory.get(where.id);
+        if (product.stockQuantity < where.stockQuantity.gte) {
+          return { count: 0 };
+        }
+        product.stockQuantity -= data.stockQuantity.decrement;
+        return { count: 1 };
+      }),
+      update: jest.fn(async ({ where, data }) => {
+        const product = inventory.get(where.id);
+        if (data.stockQuantity) {
+          product.stockQuantity += data.stockQuantity.increment;
+        } else {
+          Object.assign(product, data);
+        }
+        return { ...product };
+      })
+    },
+    orderStockReservation: {
+      create: jest.fn(),
+      findMany: jest.fn(async () => reservations),
+      updateMany: jest.fn()
+    },
+    productInventoryLog: { createMany: jest.fn() }
+  };
+};
+
+describe('StockService - Stock apartado por pedido', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('1. reserveOrderStock', () => {
+    test('Debe apartar la suma de las líneas del mismo producto', async () => {
+      const tx = createTx([buildProduct()]);
+
+      await StockService.reserveOrderStock(tx, 500n, [
+        { productId: 10, quantity: 2 },
+        { productId: '10', quantity: 1 }
+      ]);
+
+      expect(tx.product.updateMany).toHaveBeenCalledWith({
+        where: { id: 10, stockQuantity: { gte: 3 } },
+        data: { stockQuantity: { decrement: 3 } }
+      });
+      expect(tx.orderStockReservation.create).toHaveBeenCalledWith({
+        data: { orderId: 500n, productId: 10, quantity: 3 }
+      });
+      expect(tx.inventory.get(10).stockQuantity).toBe(17);
+    });
+
+    test('Los productos sin control de inventario no se apartan', async () => {
+      const tx = createTx([buildProduct({ trackStock: false })]);
+
+      const alerts = await StockService.reserveOrderStock(tx, 500n, [{ productId: 10, quantity: 2 }]);
+
+      expect(alerts).toEqual([]);
+      expect(tx.product.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('Debe rechazar el pedido si no alcanza el stock', async () => {
+      const tx = createTx([buildProduct({ stockQuantity: 2 })]);
+
+      await expect(StockService.reserveOrderStock(tx, 500n, [{ productId: 10, quantity: 3 }]))
+        .rejects.toMatchObject({
+          status: 409,
+          code: 'INSUFFICIENT_STOCK',
+          details: { productId: 10, requested: 3, available: 2 }
+        });
+      expect(tx.orderStockReservation.create).not.toHaveBeenCalled();
+    });
+
+    test('Al agotarse desactiva el producto y devuelve la alerta', async () => {
+      const tx = createTx([buildProduct({ stockQuantity: 2 })]);
+
+      const alerts = await StockService.reserveOrderStock(tx, 500n, [{ productId: 10, quantity: 2 }]);
+
+      expect(tx.inventory.get(10)).toEqual(expect.objectContaining({
+        stockQuantity: 0,
+        isAvailable: false,
+        outOfStockAt: expect.any(Date)
+      }));
+      expect(alerts).toEqual([expect.objectContaining({ type: 'PRODUCT_OUT_OF_STOCK', productId: 10, stockQuantity: 0 })]);
+    });
+
+    test('Debe alertar stock bajo solo al cruzar el umbral', async () => {
+      const tx = createTx([buildProduct({ stockQuantity: 8, lowStockThreshold: 5 })]);
+
+      const crossing = await StockService.reserveOrderStock(tx, 500n, [{ productId: 10, quantity: 3 }]);
+      const below = await StockService.reserveOrderStock(tx, 501n, [{ productId: 10, quantity: 1 }]);
+
+      expect(crossing).toEqual([expect.objectContaining({ type: 'PRODUCT_LOW_STOCK', stockQuantity: 5, lowStockThreshold: 5 })]);
+      expect(below).toEqual([]);
+    });
+  });
+
+  describe('2. commitOrderStock', () => {
+    test('Debe confirmar lo apartado como venta y registrar ORDER_SALE', async () => {
+      const tx = createTx([], [{ productId: 10, quantity: 3, product: { stockQuantity: 17 } }]);
+
+      const committed = await StockService.commitOrderStock(tx, 500n, 20);
+
+      expect(committed).toBe(1);
+      expect(tx.orderStockReservation.updateMany).toHaveBeenCalledWith({
+        where: { orderId: 500n, status: 'reserved' },
+        data: { status: 'committed' }
+      });
+      expect(tx.productInventoryLog.createMany).toHaveBeenCalledWith({
+        data: [{ productId: 10, userId: 20, orderId: 500n, change: -3, newQuantity: 17, reason: 'ORDER_SALE' }]
+      });
+    });
+
+    test('Sin stock apartado no registra nada', async () => {
+      const tx = createTx([]);
+
+      await expect(StockService.commitOrderStock(tx, 500n)).resolves.toBe(0);
+      expect(tx.productInventoryLog.createMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('3. releaseOrderStock - cancelación antes de aceptar', () => {
+    test('Debe devolver lo apartado y reactivar el producto que agotó el inventario', async () => {
+      const tx = createTx(
+        [buildProduct({ stockQuantity: 0, isAvailable: false, outOfStockAt: new Date() })],
+        [{ id: 1, productId: 10, quantity: 2 }]
+      );
+
+      const released = await StockService.releaseOrderStock(tx, 500n);
+
+      expect(released).toBe(1);
+      expect(tx.orderStockReservation.updateMany).toHaveBeenCalledWith({
+        where: { orderId: 500n, status: 'reserved' },
+        data: { status: 'released' }
+      });
+      expect(tx.inventory.get(10)).toEqual(expect.objectContaining({
+        stockQuantity: 2,
+        isAvailable: true,
+        outOfStockAt: null
+      }));
+    });
+
+    test('No reactiva un producto que el owner apagó a mano', async () => {
+      const tx = createTx(
+        [buildProduct({ stockQuantity: 0, isAvailable: false, outOfStockAt: null })],
+        [{ id: 1, productId: 10, quantity: 2 }]
+      );
+
+      await StockService.releaseOrderStock(tx, 500n);
+
+      expect(tx.inventory.get(10)).toEqual(expect.objectContaining({ stockQuantity: 2, isAvailable: false }));
+    });
+
+    test('Una venta ya confirmada no se devuelve', async () => {
+      const tx = createTx([buildProduct()]);
+
+      await expect(StockService.releaseOrderStock(tx, 500n)).resolves.toBe(0);
+      // Solo se buscan reservas vigentes; las confirmadas o devueltas no cuentan
+      expect(tx.orderStockReservation.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { orderId: 500n, status: 'reserved' }
+      }));
+      expect(tx.product.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('4. notifyStockAlerts', () => {
+    test('Debe enviar cada alerta al dashboard de su restaurante', () => {
+      StockService.notifyStockAlerts([
+        { type: 'PRODUCT_LOW_STOCK', restaurantId: 3, productId: 10, stockQuantity: 4 }
+      ]);
+
+      expect(getIo().to).toHaveBeenCalledWith('restaurant_3');
+      expect(getIo().to).toHaveBeenCalledWith('dashboard_3');
+      expect(getIo().emit).toHaveBeenCalledWith('PRODUCT_LOW_STOCK', {
+        type: 'PRODUCT_LOW_STOCK',
+        data: expect.objectContaining({ restaurantId: 3, productId: 10, stockQuantity: 4 })
+      });
+    });
+
+    test('Un fallo del socket no interrumpe el flujo', () => {
+      getIo.mockImplementationOnce(() => { throw new Error('Socket.io no inicializado'); });
+
+      expect(() => StockService.notifyStockAlerts([{ type: 'PRODUCT_OUT_OF_STOCK', restaurantId: 3, productId: 10 }]))
+        .not.toThrow();
+    });
+  });
+});
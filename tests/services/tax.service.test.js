@@ -0,0 +1,164 @@
+jest.mock('../../src/config/database', () => ({ prisma: {} }));
+jest.mock('../../src/config/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const TaxService = require('../../src/services/tax.service');
+
+// RFC de persona física (13 caracteres) y de persona moral (12 caracteres)
+const RFC_PERSONA_FISICA = 'XAXX010101000';
+const RFC_PERSONA_MORAL = 'ABC010101AB1';
+
+describe('TaxService - Retenciones y liquidación fiscal', () => {
+  describe('1. hasValidRfc', () => {
+    test('Debe aceptar RFC de persona física y moral sin importar mayúsculas ni espacios', () => {
+      expect(TaxService.hasValidRfc(RFC_PERSONA_FISICA)).toBe(true);
+      expect(TaxService.hasValidRfc(RFC_PERSONA_MORAL)).toBe(true);
+      expect(TaxService.hasValidRfc(' xaxx010101000 ')).toBe(true);
+    });
+
+    test('Debe rechazar RFC vacío, nulo o con formato inválido', () => {
+      expect(TaxService.hasValidRfc(null)).toBe(false);
+      expect(TaxService.hasValidRfc('')).toBe(false);
+      expect(TaxService.hasValidRfc('XAXX0101')).toBe(false);
+      expect(TaxService.hasValidRfc('1234010101000')).toBe(false);
+    });
+  });
+
+  describe('2. calculateWithholdings (Art. 113-A LISR / Art. 18-J LIVA)', () => {
+    test('Restaurante con RFC: retiene 8% de IVA y 1% de ISR sobre la base sin IVA', () => {
+      const result = TaxService.calculateWithholdings(116, 'restaurant', RFC_PERSONA_MORAL);
+
+      expect(result).toEqual({
+        grossAmount: 116,
+        taxBase: 100,
+        hasRfc: true,
+        ivaRate: 0.08,
+        isrRate: 0.01,
+        retainedIVA: 8,
+        retainedISR: 1,
+        netAmount: 107
+      });
+    });
+
+    test('Restaurante sin RFC: retiene 16% de IVA y 20% de ISR', () => {
+      const result = TaxService.calculateWithholdings(116, 'restaurant', null);
+
+      expect(result.hasRfc).toBe(false);
+      expect(result.retainedIVA).toBe(16);
+      expect(result.retainedISR).toBe(20);
+      expect(result.netAmount).toBe(80);
+    });
+
+    test('Repartidor con RFC: retiene 8% de IVA y 2.1% de ISR', () => {
+      const result = TaxService.calculateWithholdings(116, 'driver', RFC_PERSONA_FISICA);
+
+      expect(result.hasRfc).toBe(true);
+      expect(result.ivaRate).toBe(0.08);
+      expect(result.isrRate).toBe(0.021);
+      expect(result.retainedIVA).toBe(8);
+      expect(result.retainedISR).toBe(2.1);
+      expect(result.netAmount).toBe(105.9);
+    });
+
+    test('Repartidor sin RFC: retiene 16% de IVA y 20% de ISR', () => {
+      const result = TaxService.calculateWithholdings(116, 'driver', null);
+
+      expect(result.hasRfc).toBe(false);
+      expect(result.retainedIVA).toBe(16);
+      expect(result.retainedISR).toBe(20);
+      expect(result.netAmount).toBe(80);
+    });
+
+    test('Un RFC con formato inválido se trata como sin RFC', () => {
+      const result = TaxService.calculateWithholdings(116, 'driver', 'NO-ES-RFC');
+
+      expect(result.hasRfc).toBe(false);
+      expect(result.isrRate).toBe(0.2);
+    });
+
+    test('Debe redondear cada importe a 2 decimales', () => {
+      // 45.50 / 1.16 = 39.2241 -> 39.22; IVA 3.1376 -> 3.14; ISR 0.8236 -> 0.82
+      const result = TaxService.calculateWithholdings(45.5, 'driver', RFC_PERSONA_FISICA);
+
+      expect(result.taxBase).toBe(39.22);
+      expect(result.retainedIVA).toBe(3.14);
+      expect(result.retainedISR).toBe(0.82);
+      expect(result.netAmount).toBe(41.54);
+    });
+
+    test('Debe aceptar montos Decimal como texto y tratar un monto vacío como cero', () => {
+      expect(TaxService.calculateWithholdings('116', 'restaurant', RFC_PERSONA_MORAL).netAmount).toBe(107);
+      expect(TaxService.calculateWithholdings(null, 'driver', null)).toEqual(expect.objectContaining({
+        grossAmount: 0,
+        retainedIVA: 0,
+        retainedISR: 0,
+        netAmount: 0
+      }));
+    });
+
+    test('Debe rechazar un tipo de beneficiario no soportado', () => {
+      expect(() => TaxService.calculateWithholdings(100, 'customer', null))
+        .toThrow('Tipo de beneficiario fiscal no soportado: customer');
+    });
+  });
+
+  describe('3. calculateOrderSettlement', () => {
+    const baseOrder = {
+      subtotal: '200',
+      deliveryFee: '30',
+      commissionRateSnapshot: '10',
+      discountAmount: '50'
+    };
+
+    test('Un cupón del restaurante reduce la venta antes de comisión y retenciones', () => {
+      const settlement = TaxService.calculateOrderSettlement(
+        { ...baseOrder, discountFundedBy: 'restaurant' },
+        { rfc: RFC_PERSONA_MORAL },
+        { rfc: null }
+      );
+
+      // Venta 150: base 129.31, IVA 10.34, ISR 1.29, comisión 15
+      expect(settlement.restaurant).toEqual(expect.objectContaining({
+        grossAmount: 150,
+        discount: 50,
+        commission: 15,
+        retainedIVA: 10.34,
+        retainedISR: 1.29,
+        payout: 123.37
+      }));
+
+      // El repartidor sin RFC retiene sobre la tarifa de envío: base 25.86
+      expect(settlement.driver).toEqual(expect.objectContaining({
+        grossAmount: 30,
+        hasRfc: false,
+        retainedIVA: 4.14,
+        retainedISR: 5.17,
+        netAmount: 20.69
+      }));
+    });
+
+    test('Un cupón de la plataforma no afecta la venta del restaurante', () => {
+      const settlement = TaxService.calculateOrderSettlement(
+        { ...baseOrder, discountFundedBy: 'platform' },
+        { rfc: null },
+        null
+      );
+
+      expect(settlement.restaurant.grossAmount).toBe(200);
+      expect(settlement.restaurant.discount).toBe(0);
+      expect(settlement.restaurant.commission).toBe(20);
+      expect(settlement.restaurant.payout).toBe(117.93);
+    });
+
+    test('Sin repartidor de plataforma no se calculan retenciones de repartidor', () => {
+      const settlement = TaxService.calculateOrderSettlement(
+        { ...baseOrder, discountAmount: '0', discountFundedBy: null },
+        { rfc: RFC_PERSONA_MORAL },
+        null
+      );
+
+      expect(settlement.driver).toBeNull();
+    });
+  });
+});